@@ -0,0 +1,175 @@
+// controllers/authController.js
+import {
+  createUser, countUsers, loginWithPassword, loginWithApiToken,
+  createApiToken, listApiTokens, revokeApiToken,
+  membershipsOf, listMembers, setMember, removeMember, claimWorkspace, createWorkspace,
+} from "../services/auth.js";
+import { permissionsOf } from "../utils/auth/permissions.js";
+
+/* ------------------------ helpers ------------------------ */
+
+function requireTenant(req, res) {
+  if (typeof req.sessionId === "undefined") {
+    res.status(500).json({ ok: false, error: "Tenant middleware not initialized." });
+    return null;
+  }
+  if (req.sessionId === null) {
+    res.status(400).json({ ok: false, error: "workspace_required" });
+    return null;
+  }
+  return req.sessionId;
+}
+
+function fail(res, where, err) {
+  if (err?.http) return res.status(err.http).json({ ok: false, error: err.message });
+  console.error(`${where} error`, err);
+  return res.status(500).json({ ok: false, error: err.message });
+}
+
+const isSuperadmin = (req) => !!req.user?.roles?.includes("superadmin");
+
+/* ------------------------ users & login ------------------------ */
+
+/**
+ * POST /api/auth/register { email, password, name? }
+ * Open for the first user (who becomes superadmin) or with ALLOW_SIGNUP=true;
+ * otherwise only a superadmin can create users.
+ */
+export async function register(req, res) {
+  try {
+    const open = (await countUsers()) === 0 || process.env.ALLOW_SIGNUP === "true";
+    if (!open && !isSuperadmin(req)) return res.status(403).json({ ok: false, error: "signup_closed" });
+    const b = req.body || {};
+    const user = await createUser({
+      email: b.email, name: b.name, password: b.password,
+      isSuperadmin: isSuperadmin(req) && b.isSuperadmin === true,
+    });
+    return res.status(201).json({ ok: true, user });
+  } catch (err) {
+    return fail(res, "register", err);
+  }
+}
+
+/** POST /api/auth/login { email, password } | { apiToken } → { token, expiresIn, user, memberships } */
+export async function login(req, res) {
+  try {
+    const b = req.body || {};
+    const out = b.apiToken
+      ? await loginWithApiToken(b.apiToken)
+      : await loginWithPassword(b.email, b.password);
+    return res.json({ ok: true, ...out, memberships: await membershipsOf(out.user.id) });
+  } catch (err) {
+    return fail(res, "login", err);
+  }
+}
+
+/** GET /api/auth/me */
+export async function me(req, res) {
+  try {
+    const memberships = (await membershipsOf(req.user.id)).map(m => ({ ...m, permissions: permissionsOf(m.role) }));
+    return res.json({ ok: true, user: req.user, memberships });
+  } catch (err) {
+    return fail(res, "me", err);
+  }
+}
+
+/* ------------------------ API tokens ------------------------ */
+
+/** GET /api/auth/tokens */
+export async function getTokens(req, res) {
+  try {
+    return res.json({ ok: true, tokens: await listApiTokens(req.user.id) });
+  } catch (err) {
+    return fail(res, "getTokens", err);
+  }
+}
+
+/** POST /api/auth/tokens { name?, workspaceId?, expiresInDays? } — the token is shown once */
+export async function newToken(req, res) {
+  try {
+    const b = req.body || {};
+    const out = await createApiToken(req.user.id, {
+      name: b.name ? String(b.name) : null,
+      sessionId: b.workspaceId ? String(b.workspaceId) : null,
+      expiresInDays: b.expiresInDays,
+    });
+    return res.status(201).json({ ok: true, ...out });
+  } catch (err) {
+    return fail(res, "newToken", err);
+  }
+}
+
+/** DELETE /api/auth/tokens/:id */
+export async function deleteToken(req, res) {
+  try {
+    return res.json({ ok: true, ...(await revokeApiToken(req.user.id, req.params.id)) });
+  } catch (err) {
+    return fail(res, "deleteToken", err);
+  }
+}
+
+/** POST /api/auth/workspaces { id, name? } — register a new workspace; the caller becomes owner */
+export async function postWorkspace(req, res) {
+  try {
+    const b = req.body || {};
+    return res.status(201).json({ ok: true, ...(await createWorkspace(req.user.id, { id: b.id, name: b.name })) });
+  } catch (err) {
+    return fail(res, "postWorkspace", err);
+  }
+}
+
+/**
+ * POST /api/auth/workspaces/:id/claim { bootstrapToken? } — become owner of a workspace that has
+ * no members yet. Allowed for the user who created it, or with the bootstrap token (body or
+ * X-Bootstrap-Token header); anyone else gets 403.
+ */
+export async function claim(req, res) {
+  try {
+    const sid = String(req.params.id || "").trim();
+    if (!sid || sid.toUpperCase() === "ALL") return res.status(400).json({ ok: false, error: "workspace_required" });
+    const bootstrapToken = req.body?.bootstrapToken || req.headers?.["x-bootstrap-token"] || null;
+    return res.status(201).json({ ok: true, ...(await claimWorkspace(sid, req.user.id, { bootstrapToken })) });
+  } catch (err) {
+    if (/UNIQUE|PRIMARY KEY/i.test(String(err?.message))) {
+      return res.status(409).json({ ok: false, error: "Workspace already has members; ask an owner for access" });
+    }
+    return fail(res, "claim", err);
+  }
+}
+
+/* ------------------------ members (active workspace) ------------------------ */
+
+/** GET /api/members */
+export async function getMembers(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    return res.json({ ok: true, members: await listMembers(sid) });
+  } catch (err) {
+    return fail(res, "getMembers", err);
+  }
+}
+
+/** POST /api/members { email | userId, role } — add or change role */
+export async function saveMember(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const b = req.body || {};
+    const out = await setMember(sid, { userId: b.userId || null, email: b.email || null, role: b.role, actorId: req.user?.id || null });
+    return res.status(out.previousRole ? 200 : 201).json({ ok: true, ...out });
+  } catch (err) {
+    return fail(res, "saveMember", err);
+  }
+}
+
+/** DELETE /api/members/:userId */
+export async function deleteMember(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    return res.json({ ok: true, ...(await removeMember(sid, { userId: req.params.userId, actorId: req.user?.id || null })) });
+  } catch (err) {
+    return fail(res, "deleteMember", err);
+  }
+}
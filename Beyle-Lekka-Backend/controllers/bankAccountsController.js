@@ -0,0 +1,95 @@
+// controllers/bankAccountsController.js
+import {
+  listBankAccounts, getBankAccount, saveBankAccount, deleteBankAccount,
+} from "../services/bankAccounts.js";
+
+/* ------------------------ helpers ------------------------ */
+
+const units = (c) => (c == null ? null : Math.round(Number(c)) / 100);
+
+function requireTenant(req, res) {
+  if (typeof req.sessionId === "undefined") {
+    res.status(500).json({ ok: false, error: "Tenant middleware not initialized." });
+    return null;
+  }
+  if (req.sessionId === null) {
+    res.status(400).json({ ok: false, error: "workspace_required" });
+    return null;
+  }
+  return req.sessionId;
+}
+
+function fail(res, where, err) {
+  if (err?.http) return res.status(err.http).json({ ok: false, error: err.message });
+  console.error(`${where} error`, err);
+  return res.status(500).json({ ok: false, error: err.message });
+}
+
+const userOf = (req) => req.user?.id || req.body?.userId || null;
+
+function shapeAccount(a) {
+  const { opening_balance_cents, facility_limit_cents, ...rest } = a;
+  return {
+    ...rest,
+    is_active: Number(a.is_active ?? 1) === 1,
+    line_count: Number(a.line_count || 0),
+    opening_balance: units(opening_balance_cents),
+    facility_limit: units(facility_limit_cents),
+  };
+}
+
+/* ------------------------ bank accounts ------------------------ */
+
+/** GET /api/bank-accounts?includeInactive=1 */
+export async function getAccounts(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const includeInactive = ["1", "true"].includes(String(req.query?.includeInactive || ""));
+    const accounts = await listBankAccounts(sid, { includeInactive });
+    return res.json({ ok: true, accounts: accounts.map(shapeAccount) });
+  } catch (err) {
+    return fail(res, "getAccounts", err);
+  }
+}
+
+/** GET /api/bank-accounts/:id */
+export async function getAccount(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    return res.json({ ok: true, account: shapeAccount(await getBankAccount(sid, String(req.params.id))) });
+  } catch (err) {
+    return fail(res, "getAccount", err);
+  }
+}
+
+/**
+ * POST /api/bank-accounts         (create)
+ * PUT  /api/bank-accounts/:id     (update; omitted fields are kept)
+ * { name, accountNo?, ifsc?, bankName?, branch?, accountType?, openingBalance?, openingDate?,
+ *   ledger?, isActive?, facilityId? | facility?: { type, limit, validFrom?, validTo? } }
+ */
+export async function putAccount(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const input = { ...(req.body || {}) };
+    if (req.params?.id) input.id = String(req.params.id);
+    const out = await saveBankAccount(sid, input, userOf(req));
+    return res.status(out.created ? 201 : 200).json({ ok: true, created: out.created, account: shapeAccount(out.account) });
+  } catch (err) {
+    return fail(res, "putAccount", err);
+  }
+}
+
+/** DELETE /api/bank-accounts/:id — deactivates instead when statement lines or rules use it */
+export async function removeAccount(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    return res.json({ ok: true, ...(await deleteBankAccount(sid, String(req.params.id), userOf(req))) });
+  } catch (err) {
+    return fail(res, "removeAccount", err);
+  }
+}
@@ -6,6 +6,16 @@ import crypto from "crypto";
 import { parse } from "csv-parse/sync";
 import { query } from "../services/db.js";
 import { rankCandidates } from "../utils/reco/matcher.js";
+import {
+  createMatchGroup, unmatch, excludeLines, listGroups, groupSuggestions as suggestGroups,
+} from "../services/recoGroups.js";
+import { importStatement, listStatements } from "../services/bankStatements.js";
+import ofxStatement from "../services/formats/ofx-bank-statement-v1.js";
+import camt053Statement from "../services/formats/camt053-bank-statement-v1.js";
+import mt940Statement from "../services/formats/mt940-bank-statement-v1.js";
+
+// Structured statement formats; anything else goes down the CSV path below
+const STATEMENT_PROFILES = [ofxStatement, camt053Statement, mt940Statement];
 
 const UPLOAD_DIR = path.resolve("./uploads/bank");
 if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR, { recursive: true });
@@ -101,7 +111,26 @@ export async function importBankCSV(req, res) {
     const file = req.file;
     if (!file) return res.status(400).json({ ok: false, error: "No file uploaded" });
 
-    const csv = fs.readFileSync(file.path, "utf8");
+    const buf = fs.readFileSync(file.path);
+    let best = null;
+    for (const p of STATEMENT_PROFILES) {
+      const s = await p.sniff(buf.slice(0, 256 * 1024), file.originalname);
+      if (s?.match && (!best || s.confidence > best.confidence)) best = { p, confidence: s.confidence };
+    }
+    if (best) {
+      try {
+        const result = await importStatement(sid, {
+          bankAccountId, parsed: await best.p.parse(buf), format: best.p.id,
+          fileId: file.filename, accountRef: req.body?.accountRef || null,
+        });
+        return res.json({ ok: true, format: best.p.id, ...result });
+      } catch (e) {
+        if (!e.http) throw e;
+        return res.status(e.http).json({ ok: false, error: e.message, accounts: e.accounts });
+      }
+    }
+
+    const csv = buf.toString("utf8");
     const rows = parse(csv, { columns: true, skip_empty_lines: true, trim: true });
 
     if (!rows.length) {
@@ -208,9 +237,11 @@ export async function suggestions(req, res) {
 }
 
 /**
- * Confirm a bank-line ↔ ledger-entry match.
+ * Confirm a match.
+ * - { bankLineId, ledgerEntryId } for 1:1, or { bankLineIds: [...], ledgerEntryIds: [...] }
+ *   for a group (N bank lines ↔ M ledger entries) whose signed totals agree.
  * - Requires a concrete tenant (req.sessionId !== null).
- * - Validates both records belong to the same tenant.
+ * - Validates all records belong to the same tenant and are not matched already.
  */
 export async function confirmMatch(req, res) {
   try {
@@ -222,47 +253,150 @@ export async function confirmMatch(req, res) {
       return res.status(400).json({ ok: false, error: "Workspace required to confirm match." });
     }
 
-    const { bankLineId, ledgerEntryId } = req.body || {};
-    if (!bankLineId || !ledgerEntryId)
+    const b = req.body || {};
+    const bankLineIds = Array.isArray(b.bankLineIds) ? b.bankLineIds : [b.bankLineId].filter(Boolean);
+    const ledgerEntryIds = Array.isArray(b.ledgerEntryIds) ? b.ledgerEntryIds : [b.ledgerEntryId].filter(Boolean);
+    if (!bankLineIds.length || !ledgerEntryIds.length)
       return res
         .status(400)
-        .json({ ok: false, error: "bankLineId and ledgerEntryId are required" });
+        .json({ ok: false, error: "bankLineId(s) and ledgerEntryId(s) are required" });
 
-    // Ensure bank statement line exists in this workspace
-    const bl = await query(
-      `SELECT id FROM bank_statement_lines WHERE id = $2 AND ($1 IS NULL OR session_id = $1)`,
-      [sid, bankLineId]
-    );
-    if (!bl.rows?.length) {
-      return res.status(404).json({ ok: false, error: "Bank statement line not found in this workspace" });
+    const out = await createMatchGroup(sid, {
+      bankLineIds,
+      ledgerEntryIds,
+      note: b.note ? String(b.note) : null,
+      actorId: req.user?.id || b.userId || null,
+    });
+    return res.json({ ok: true, ...out });
+  } catch (err) {
+    if (err?.http) {
+      const body = { ok: false, error: err.message };
+      if (err.difference != null) body.difference = err.difference;
+      return res.status(err.http).json(body);
     }
+    console.error("confirmMatch error", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+}
 
-    // Ensure ledger entry exists in this workspace
-    const led = await query(
-      `SELECT id FROM ledger_entries WHERE id = $2 AND ($1 IS NULL OR session_id = $1)`,
-      [sid, ledgerEntryId]
-    );
-    if (!led.rows?.length) {
-      return res.status(404).json({ ok: false, error: "Ledger entry not found in this workspace" });
+/**
+ * Many-to-one / one-to-many match proposals (subset-sum within the date window).
+ * GET /api/bankreco/group-suggestions?bankAccountId=&dateFrom=&dateTo=&windowDays=&maxItems=
+ */
+export async function groupSuggestions(req, res) {
+  try {
+    if (typeof req.sessionId === "undefined") {
+      return res.status(500).json({ ok: false, error: "Tenant middleware not initialized." });
+    }
+    const sid = req.sessionId;
+    if (sid === null) {
+      return res.status(400).json({ ok: false, error: "Workspace required for group suggestions." });
     }
+    const { bankAccountId, dateFrom, dateTo, windowDays, maxItems } = req.query || {};
+    if (!bankAccountId)
+      return res.status(400).json({ ok: false, error: "bankAccountId is required" });
 
-    // Update within the same tenant
-    const result = await query(
-      `UPDATE bank_statement_lines
-          SET matched_ledger_id = $2, status = 'matched'
-        WHERE id = $3
-          AND ($1 IS NULL OR session_id = $1)`,
-      [sid, ledgerEntryId, bankLineId]
-    );
+    const out = await suggestGroups(sid, {
+      bankAccountId: String(bankAccountId),
+      dateFrom: dateFrom || null,
+      dateTo: dateTo || null,
+      windowDays: Math.min(Math.max(Number(windowDays) || 5, 0), 31),
+      maxItems: Math.min(Math.max(Number(maxItems) || 4, 2), 6),
+    });
+    return res.json({ ok: true, ...out });
+  } catch (err) {
+    if (err?.http) return res.status(err.http).json({ ok: false, error: err.message });
+    console.error("groupSuggestions error", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+}
+
+/** GET /api/bankreco/groups?bankAccountId= — confirmed match groups with their lines and entries */
+export async function matchGroups(req, res) {
+  try {
+    if (typeof req.sessionId === "undefined") {
+      return res.status(500).json({ ok: false, error: "Tenant middleware not initialized." });
+    }
+    const sid = req.sessionId;
+    if (sid === null) {
+      return res.status(400).json({ ok: false, error: "Workspace required for match groups." });
+    }
+    const groups = await listGroups(sid, { bankAccountId: req.query?.bankAccountId || null });
+    return res.json({ ok: true, groups });
+  } catch (err) {
+    console.error("matchGroups error", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+}
 
-    const changed = result?.changes ?? result?.rowCount ?? 0;
-    if (!changed) {
-      return res.status(404).json({ ok: false, error: "Bank statement line not found or not updated" });
+/**
+ * Imported statements with their reported balances.
+ * GET /api/bankreco/statements?bankAccountId=
+ */
+export async function statements(req, res) {
+  try {
+    if (typeof req.sessionId === "undefined") {
+      return res.status(500).json({ ok: false, error: "Tenant middleware not initialized." });
+    }
+    const sid = req.sessionId;
+    if (sid === null) {
+      return res.status(400).json({ ok: false, error: "Workspace required for statements." });
     }
+    const rows = await listStatements(sid, { bankAccountId: req.query?.bankAccountId || null });
+    return res.json({ ok: true, statements: rows });
+  } catch (err) {
+    console.error("statements error", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+}
 
-    return res.json({ ok: true });
+/**
+ * Undo a match (the whole group) or re-open an excluded line.
+ * POST /api/bankreco/unmatch { groupId } | { bankLineId }
+ */
+export async function unmatchLines(req, res) {
+  try {
+    if (typeof req.sessionId === "undefined") {
+      return res.status(500).json({ ok: false, error: "Tenant middleware not initialized." });
+    }
+    const sid = req.sessionId;
+    if (sid === null) {
+      return res.status(400).json({ ok: false, error: "Workspace required to unmatch." });
+    }
+    const b = req.body || {};
+    const out = await unmatch(sid, {
+      groupId: b.groupId || null,
+      bankLineId: b.bankLineId || null,
+      actorId: req.user?.id || b.userId || null,
+    });
+    return res.json({ ok: true, ...out });
   } catch (err) {
-    console.error("confirmMatch error", err);
+    if (err?.http) return res.status(err.http).json({ ok: false, error: err.message });
+    console.error("unmatchLines error", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+}
+
+/**
+ * Exclude bank lines from reconciliation.
+ * POST /api/bankreco/exclude { bankLineIds: [...], reason }
+ */
+export async function excludeBankLines(req, res) {
+  try {
+    if (typeof req.sessionId === "undefined") {
+      return res.status(500).json({ ok: false, error: "Tenant middleware not initialized." });
+    }
+    const sid = req.sessionId;
+    if (sid === null) {
+      return res.status(400).json({ ok: false, error: "Workspace required to exclude lines." });
+    }
+    const b = req.body || {};
+    const ids = Array.isArray(b.bankLineIds) ? b.bankLineIds : [b.bankLineId].filter(Boolean);
+    const out = await excludeLines(sid, { bankLineIds: ids, reason: b.reason, actorId: req.user?.id || b.userId || null });
+    return res.json({ ok: true, ...out });
+  } catch (err) {
+    if (err?.http) return res.status(err.http).json({ ok: false, error: err.message });
+    console.error("excludeBankLines error", err);
     return res.status(500).json({ ok: false, error: err.message });
   }
 }
@@ -0,0 +1,130 @@
+// controllers/bankRulesController.js
+import {
+  listRules, saveRule, deleteRule, learnFromMatches, draftRulePreviews,
+} from "../services/bankRules.js";
+
+/* ------------------------ helpers ------------------------ */
+
+const units = (c) => (c == null ? null : Math.round(Number(c)) / 100);
+const ISO = /^\d{4}-\d{2}-\d{2}$/;
+
+function requireTenant(req, res) {
+  if (typeof req.sessionId === "undefined") {
+    res.status(500).json({ ok: false, error: "Tenant middleware not initialized." });
+    return null;
+  }
+  if (req.sessionId === null) {
+    res.status(400).json({ ok: false, error: "workspace_required" });
+    return null;
+  }
+  return req.sessionId;
+}
+
+function fail(res, where, err) {
+  if (err?.http) return res.status(err.http).json({ ok: false, error: err.message });
+  console.error(`${where} error`, err);
+  return res.status(500).json({ ok: false, error: err.message });
+}
+
+const userOf = (req) => req.user?.id || req.body?.userId || null;
+
+function shapeRule(r) {
+  const { min_amount_cents, max_amount_cents, ...rest } = r;
+  return { ...rest, min_amount: units(min_amount_cents), max_amount: units(max_amount_cents) };
+}
+
+/* ------------------------ rules ------------------------ */
+
+/** GET /api/bankreco/rules */
+export async function getRules(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    return res.json({ ok: true, rules: (await listRules(sid)).map(shapeRule) });
+  } catch (err) {
+    return fail(res, "getRules", err);
+  }
+}
+
+/**
+ * POST /api/bankreco/rules
+ * { id?, name?, matchType: "contains"|"regex", pattern, direction: "in"|"out"|"any",
+ *   minAmount?, maxAmount?, counterAccount, bankAccountId?, narrationTemplate?, priority?, isActive? }
+ */
+export async function postRule(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const out = await saveRule(sid, req.body || {}, userOf(req));
+    return res.status(out.created ? 201 : 200).json({ ok: true, ...out });
+  } catch (err) {
+    return fail(res, "postRule", err);
+  }
+}
+
+/** DELETE /api/bankreco/rules/:id */
+export async function removeRule(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    return res.json({ ok: true, ...(await deleteRule(sid, req.params.id)) });
+  } catch (err) {
+    return fail(res, "removeRule", err);
+  }
+}
+
+/**
+ * POST /api/bankreco/rules/learn { bankAccountId?, minSupport?, minPrecision?, save? }
+ * Proposes rules from lines already matched to ledger entries; save = true stores the new ones.
+ */
+export async function learnRulesFromMatches(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const b = req.body || {};
+    const minSupport = Math.max(1, Number(b.minSupport) || 2);
+    const minPrecision = Math.min(1, Math.max(0, Number(b.minPrecision ?? 0.9)));
+    const out = await learnFromMatches(sid, {
+      bankAccountId: b.bankAccountId || null, minSupport, minPrecision, save: b.save === true, actorId: userOf(req),
+    });
+    return res.json({
+      ok: true,
+      decisions: out.decisions,
+      proposals: out.proposals.map(p => ({
+        ...p, observed: { min: units(p.observed.min_cents), max: units(p.observed.max_cents) },
+      })),
+    });
+  } catch (err) {
+    return fail(res, "learnRulesFromMatches", err);
+  }
+}
+
+/* ------------------------ auto-post ------------------------ */
+
+/**
+ * POST /api/bankreco/auto-post { bankAccountId, dateFrom?, dateTo?, limit? }
+ * Drafts a journal preview per unmatched line a rule matches. Nothing is posted here:
+ * each draft is confirmed with /api/confirmAndSaveEntry { previewId, hash }, which also
+ * marks the statement line matched.
+ */
+export async function autoPost(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const b = req.body || {};
+    if (!b.bankAccountId) return res.status(400).json({ ok: false, error: "bankAccountId is required" });
+    for (const k of ["dateFrom", "dateTo"]) {
+      if (b[k] && !ISO.test(String(b[k]))) return res.status(400).json({ ok: false, error: `${k} must be YYYY-MM-DD` });
+    }
+    const out = await draftRulePreviews(sid, {
+      bankAccountId: String(b.bankAccountId),
+      dateFrom: b.dateFrom || null,
+      dateTo: b.dateTo || null,
+      limit: b.limit,
+      userId: userOf(req),
+    });
+    return res.json({ ok: true, ...out });
+  } catch (err) {
+    return fail(res, "autoPost", err);
+  }
+}
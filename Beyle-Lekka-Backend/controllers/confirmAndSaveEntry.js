@@ -13,13 +13,17 @@ import {
   ensureLedgerExistsWithMapping
 } from "../utils/coaService.js";
 
-import { generateInvoiceDoc } from "../utils/docGenerators/invoice.js";
-import { generateReceiptDoc } from "../utils/docGenerators/receipt.js";
-import { generatePaymentVoucherDoc } from "../utils/docGenerators/paymentVoucher.js";
+import { generateDocument } from "../utils/docGenerators/index.js";
+import { getBranding } from "../services/workspaceSettings.js";
 
 import { getSnapshot } from "../utils/preview/snapshotStore.js";
 import { finalizeReservation } from "../services/series.js";
 import { releaseFundsHolds } from "../utils/preview/fundsHolds.js";
+import { SETTLEMENT_SIDE, settlementPartyLine, saveAllocations } from "../services/settlements.js";
+import { markLineMatched } from "../services/bankRules.js";
+import { markLoanVoucherPosted } from "../services/loans.js";
+import { postDocumentMovements } from "../services/inventory.js";
+import { markOrderInvoicePosted } from "../services/salesOrders.js";
 
 /* ------------------------ date helpers (parity with orchestrator) ------------------------ */
 
@@ -210,6 +214,8 @@ async function detectColumns() {
     docHasGrossAmount: doc.has("gross_amount"),
     docHasSession: doc.has("session_id"),
     docHasCreatedBy: doc.has("created_by"),
+    docHasPayload: doc.has("payload_json"),
+    docHasOriginal: doc.has("original_document_id"),
 
     // idempotency
     idemHasSession: idem.has("session_id"),
@@ -533,6 +539,8 @@ export const confirmAndSaveEntry = async (req, res) => {
             sDocModel.buyer ||
             sDocModel.buyerName ||
             sDocModel.vendor ||
+            sDocModel.receivedFrom ||
+            sDocModel.payee ||
             null;
 
           const grossUnits = sDocModel.total != null ? Number(sDocModel.total) : null;
@@ -547,8 +555,12 @@ export const confirmAndSaveEntry = async (req, res) => {
           cols.push("status", "file_url");
           vals.push("FINALIZED", null);
 
-          if (flags.docHasCreatedBy) { cols.push("created_by"); vals.push(req.body?.userId || null); }
+          if (flags.docHasCreatedBy) { cols.push("created_by"); vals.push(req.user?.id || req.body?.userId || null); }
           if (flags.docHasSession)   { cols.push("session_id"); vals.push(sid); }
+          if (flags.docHasPayload)   { cols.push("payload_json"); vals.push(JSON.stringify(docModel)); }
+          if (flags.docHasOriginal && sDocModel.originalInvoiceId) {
+            cols.push("original_document_id"); vals.push(sDocModel.originalInvoiceId); // credit / debit notes
+          }
 
           const ph = cols.map((_, i) => `$${i + 1}`).join(",");
           await query(`INSERT INTO documents (${cols.join(",")}) VALUES (${ph})`, vals);
@@ -567,9 +579,11 @@ export const confirmAndSaveEntry = async (req, res) => {
           VALUES ($1,$2,$3,$4,$5,$6,$7,$8${hashCol ? ",$9" : ""})
         `;
 
+        const insertedRowIds = [];
         for (let i = 0; i < pairs.length; i++) {
           const p = pairs[i];
           const rowId = randomUUID();
+          insertedRowIds.push(rowId);
           const txnDate = isISODate(p.transaction_date) ? p.transaction_date.slice(0,10) : finalDocDate;
           const baseParams = [
             rowId,
@@ -586,6 +600,60 @@ export const confirmAndSaveEntry = async (req, res) => {
           await query(flags.hasAmountCents ? insertSqlCents : insertSqlUnits, params);
         }
 
+        // 3b) Bill-wise allocations for receipts / payment vouchers
+        const side = SETTLEMENT_SIDE[sDocType];
+        if (side && insertedDocId && Array.isArray(sDocModel.allocations) && sDocModel.allocations.length) {
+          const partyLine = settlementPartyLine(sJournal, side);
+          if (partyLine) {
+            await saveAllocations({
+              sessionId: sid,
+              settlementDocId: insertedDocId,
+              partyLedger: partyLine.account,
+              totalCents: partyLine.cents,
+              allocations: sDocModel.allocations,
+            });
+          }
+        }
+
+        // 3c) Bank-rule drafts: match the statement line to the posted entry; a line matched or
+        //     excluded since the draft must not be booked again, so the whole posting rolls back
+        if (payload.bankLine?.id && insertedRowIds.length) {
+          const matched = await markLineMatched(sid, {
+            bankLineId: payload.bankLine.id,
+            ledgerEntryId: insertedRowIds[0],
+            ruleId: payload.bankLine.ruleId || null,
+          });
+          if (!matched) {
+            const e = new Error("Bank statement line is already matched or excluded; discard this draft");
+            e.http = 409;
+            throw e;
+          }
+        }
+
+        // 3d) Loan drafts: EMI instalment / prepayment / disbursement posted
+        if (payload.loanVoucher?.loanId && insertedRowIds.length) {
+          await markLoanVoucherPosted(sid, {
+            installmentId: payload.loanVoucher.installmentId || null,
+            eventId: payload.loanVoucher.eventId || null,
+            ledgerEntryId: insertedRowIds[0],
+          });
+        }
+
+        // 3e) Stock movements for item lines (invoice → issue, purchase → receipt)
+        if (insertedDocId && Array.isArray(docModel.items) && docModel.items.length) {
+          await postDocumentMovements(sid, {
+            documentId: insertedDocId,
+            docType: sDocType,
+            docModel: { ...docModel, number: sDocModel.number || null },
+            actorId: req.user?.id || req.body?.userId || null,
+          });
+        }
+
+        // 3f) Invoices drafted from a sales order: count the quantities as invoiced
+        if (payload.salesOrder?.linkId && insertedDocId) {
+          await markOrderInvoicePosted(sid, { linkId: payload.salesOrder.linkId, documentId: insertedDocId });
+        }
+
         // 4) Finalize series reservation + mark snapshot used
         if (snap.reservation_id) {
           try {
@@ -610,9 +678,8 @@ export const confirmAndSaveEntry = async (req, res) => {
       if (insertedDocId && sDocType && sDocType !== "journal") {
         try {
           const structured = { docType: sDocType, documentFields: { [sDocType]: sDocModel } };
-          if (sDocType === "invoice") docMeta = await generateInvoiceDoc({ structured });
-          else if (sDocType === "receipt") docMeta = await generateReceiptDoc({ structured });
-          else if (sDocType === "payment_voucher") docMeta = await generatePaymentVoucherDoc({ structured });
+          // PDF by default; DOCX when the workspace prefers editable files
+          docMeta = await generateDocument({ structured, branding: await getBranding(sid) });
 
           if (docMeta?.filename || docMeta?.url) {
             let sql = `UPDATE documents SET file_url=$1 WHERE id=$2`;
@@ -0,0 +1,79 @@
+// controllers/einvoiceController.js
+import { listEInvoices, einvoicePayload, generateIrn } from "../services/einvoice.js";
+import { listAdapters } from "../services/irp/registry.js";
+
+/* ------------------------ helpers ------------------------ */
+
+const units = (c) => (c == null ? null : Math.round(Number(c)) / 100);
+
+function requireTenant(req, res) {
+  if (typeof req.sessionId === "undefined") {
+    res.status(500).json({ ok: false, error: "Tenant middleware not initialized." });
+    return null;
+  }
+  if (req.sessionId === null) {
+    res.status(400).json({ ok: false, error: "workspace_required" });
+    return null;
+  }
+  return req.sessionId;
+}
+
+// Validation and IRP rejections carry their error list
+function fail(res, where, err) {
+  if (err?.http) return res.status(err.http).json({ ok: false, error: err.message, ...(err.details ? { errors: err.details } : {}) });
+  console.error(`${where} error`, err);
+  return res.status(500).json({ ok: false, error: err.message });
+}
+
+const userOf = (req) => req.user?.id || req.body?.userId || null;
+const truthy = (v) => ["1", "true"].includes(String(v || ""));
+
+/* ------------------------ handlers ------------------------ */
+
+/** GET /api/einvoice?from=&to=&status=pending|registered */
+export async function getEInvoices(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const { from = null, to = null, status = null } = req.query || {};
+    const docs = await listEInvoices(sid, { from, to, status });
+    return res.json({
+      ok: true,
+      adapter: process.env.IRP_ADAPTER || "stub",
+      adapters: listAdapters(),
+      documents: docs.map(({ gross_amount_cents, ...d }) => ({ ...d, gross_amount: units(gross_amount_cents) })),
+    });
+  } catch (err) {
+    return fail(res, "getEInvoices", err);
+  }
+}
+
+/** GET /api/einvoice/:id/payload[?download=1] — NIC JSON with validation errors, or the JSON file */
+export async function getPayload(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const out = await einvoicePayload(sid, String(req.params.id));
+    if (truthy(req.query?.download)) {
+      const name = `einvoice_${String(out.document.number).replace(/[^A-Za-z0-9-]/g, "-")}.json`;
+      res.setHeader("Content-Disposition", `attachment; filename="${name}"`);
+      res.setHeader("Content-Type", "application/json");
+      return res.status(200).send(JSON.stringify([out.payload], null, 2));
+    }
+    return res.json({ ok: true, ...out });
+  } catch (err) {
+    return fail(res, "getEInvoicePayload", err);
+  }
+}
+
+/** POST /api/einvoice/:id/irn — register with the IRP (IRP_ADAPTER); 422 lists what failed */
+export async function postIrn(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const out = await generateIrn(sid, String(req.params.id), userOf(req));
+    return res.json({ ok: true, ...out });
+  } catch (err) {
+    return fail(res, "postIrn", err);
+  }
+}
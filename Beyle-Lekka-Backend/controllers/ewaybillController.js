@@ -0,0 +1,92 @@
+// controllers/ewaybillController.js
+import { listEwayBills, ewayBillJson, saveTransport, recordEwayBill } from "../services/ewaybill.js";
+
+/* ------------------------ helpers ------------------------ */
+
+const units = (c) => (c == null ? null : Math.round(Number(c)) / 100);
+
+function requireTenant(req, res) {
+  if (typeof req.sessionId === "undefined") {
+    res.status(500).json({ ok: false, error: "Tenant middleware not initialized." });
+    return null;
+  }
+  if (req.sessionId === null) {
+    res.status(400).json({ ok: false, error: "workspace_required" });
+    return null;
+  }
+  return req.sessionId;
+}
+
+function fail(res, where, err) {
+  if (err?.http) return res.status(err.http).json({ ok: false, error: err.message, ...(err.details ? { errors: err.details } : {}) });
+  console.error(`${where} error`, err);
+  return res.status(500).json({ ok: false, error: err.message });
+}
+
+const userOf = (req) => req.user?.id || req.body?.userId || null;
+const truthy = (v) => ["1", "true"].includes(String(v || ""));
+const idList = (v) => (Array.isArray(v) ? v : String(v || "").split(",")).map(s => String(s).trim()).filter(Boolean);
+
+/* ------------------------ handlers ------------------------ */
+
+/** GET /api/ewaybill?from=&to=&status=pending|generated */
+export async function getEwayBills(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const { from = null, to = null, status = null } = req.query || {};
+    const docs = await listEwayBills(sid, { from, to, status });
+    return res.json({
+      ok: true,
+      documents: docs.map(({ gross_amount_cents, ...d }) => ({ ...d, gross_amount: units(gross_amount_cents) })),
+    });
+  } catch (err) {
+    return fail(res, "getEwayBills", err);
+  }
+}
+
+/** GET /api/ewaybill/json?ids=a,b[&download=1] — bulk-generation JSON for the portal */
+export async function getEwayBillJson(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const out = await ewayBillJson(sid, idList(req.query?.ids));
+    if (truthy(req.query?.download)) {
+      if (!out.json.billLists.length) {
+        return res.status(422).json({ ok: false, error: "None of the documents can produce an e-way bill yet", errors: out.skipped });
+      }
+      const name = `ewaybill_${new Date().toISOString().slice(0, 10)}.json`;
+      res.setHeader("Content-Disposition", `attachment; filename="${name}"`);
+      res.setHeader("Content-Type", "application/json");
+      return res.status(200).send(JSON.stringify(out.json, null, 2));
+    }
+    return res.json({ ok: true, ...out });
+  } catch (err) {
+    return fail(res, "getEwayBillJson", err);
+  }
+}
+
+/** PUT /api/ewaybill/:id/transport — body: { mode, transporterId, vehicleNo, distanceKm, … } */
+export async function putTransport(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const body = req.body || {};
+    const out = await saveTransport(sid, String(req.params.id), body.transport || body, userOf(req));
+    return res.json({ ok: true, ...out });
+  } catch (err) {
+    return fail(res, "putTransport", err);
+  }
+}
+
+/** POST /api/ewaybill/:id — body: { ewbNo, ewbDate?, validUntil? } */
+export async function postEwayBill(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const out = await recordEwayBill(sid, String(req.params.id), req.body || {}, userOf(req));
+    return res.json({ ok: true, ...out });
+  } catch (err) {
+    return fail(res, "postEwayBill", err);
+  }
+}
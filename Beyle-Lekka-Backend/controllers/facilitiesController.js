@@ -0,0 +1,145 @@
+// controllers/facilitiesController.js
+import {
+  listFacilities, getFacility, createFacility, changeLimit, renewFacility, closeFacility, headroom,
+} from "../services/facilities.js";
+
+/* ------------------------ helpers ------------------------ */
+
+const units = (c) => (c == null ? null : Math.round(Number(c)) / 100);
+
+function requireTenant(req, res) {
+  if (typeof req.sessionId === "undefined") {
+    res.status(500).json({ ok: false, error: "Tenant middleware not initialized." });
+    return null;
+  }
+  if (req.sessionId === null) {
+    res.status(400).json({ ok: false, error: "workspace_required" });
+    return null;
+  }
+  return req.sessionId;
+}
+
+function fail(res, where, err) {
+  if (err?.http) {
+    return res.status(err.http).json({ ok: false, error: err.message, ...(err.headroom ? { headroom: shapeHeadroom(err.headroom) } : {}) });
+  }
+  console.error(`${where} error`, err);
+  return res.status(500).json({ ok: false, error: err.message });
+}
+
+const userOf = (req) => req.user?.id || req.body?.userId || null;
+
+function shapeFacility(f) {
+  const { limit_cents, limits, ...rest } = f;
+  return {
+    ...rest,
+    limit: units(limit_cents),
+    ...(limits ? { limits: limits.map(({ limit_cents: c, ...l }) => ({ ...l, limit: units(c) })) } : {}),
+  };
+}
+
+function shapeHeadroom(h) {
+  return {
+    account: h.account,
+    asOf: h.asOf,
+    facility: h.facility ? { id: h.facility.id, type: h.facility.facility_type } : null,
+    balance: units(h.balance_cents),
+    limit: units(h.limit_cents),
+    utilised: units(h.utilised_cents),
+    holds: units(h.holds_cents),
+    available: units(h.available_cents),
+    ...(h.utilised_after ? { utilisedAfter: { date: h.utilised_after.date, amount: units(h.utilised_after.utilised_cents) } } : {}),
+  };
+}
+
+/* ------------------------ facilities ------------------------ */
+
+/** GET /api/facilities?includeClosed=1&asOf=YYYY-MM-DD — each with its headroom on asOf */
+export async function getFacilities(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const includeClosed = ["1", "true"].includes(String(req.query?.includeClosed || ""));
+    const asOf = req.query?.asOf || null;
+    const rows = await listFacilities(sid, { includeClosed });
+    const facilities = [];
+    for (const f of rows) {
+      const h = await headroom(sid, { account: f.primary_account, asOf });
+      facilities.push({ ...shapeFacility(f), headroom: shapeHeadroom(h) });
+    }
+    return res.json({ ok: true, facilities });
+  } catch (err) {
+    return fail(res, "getFacilities", err);
+  }
+}
+
+/** GET /api/facilities/headroom?account=|bankAccountId=|facilityId=&asOf= */
+export async function getHeadroom(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const { account, bankAccountId, facilityId, asOf } = req.query || {};
+    return res.json({ ok: true, headroom: shapeHeadroom(await headroom(sid, { account, bankAccountId, facilityId, asOf })) });
+  } catch (err) {
+    return fail(res, "getHeadroom", err);
+  }
+}
+
+/** GET /api/facilities/:id — with limit history */
+export async function getOne(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    return res.json({ ok: true, facility: shapeFacility(await getFacility(sid, String(req.params.id))) });
+  } catch (err) {
+    return fail(res, "getFacility", err);
+  }
+}
+
+/** POST /api/facilities { account | bankAccountId, type, limit, validFrom?, validTo?, lender?, sanctionRef? } */
+export async function postFacility(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const f = await createFacility(sid, req.body || {}, userOf(req));
+    return res.status(201).json({ ok: true, facility: shapeFacility(f) });
+  } catch (err) {
+    return fail(res, "postFacility", err);
+  }
+}
+
+/** POST /api/facilities/:id/limit { limit, effectiveFrom, reason?, sanctionRef? } */
+export async function postLimit(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const f = await changeLimit(sid, String(req.params.id), req.body || {}, userOf(req));
+    return res.json({ ok: true, facility: shapeFacility(f) });
+  } catch (err) {
+    return fail(res, "postLimit", err);
+  }
+}
+
+/** POST /api/facilities/:id/renew { validTo, limit?, effectiveFrom?, reason?, sanctionRef? } */
+export async function postRenew(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const f = await renewFacility(sid, String(req.params.id), req.body || {}, userOf(req));
+    return res.json({ ok: true, facility: shapeFacility(f) });
+  } catch (err) {
+    return fail(res, "postRenew", err);
+  }
+}
+
+/** POST /api/facilities/:id/close { closedOn?, reason } */
+export async function postClose(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const f = await closeFacility(sid, String(req.params.id), req.body || {}, userOf(req));
+    return res.json({ ok: true, facility: shapeFacility(f) });
+  } catch (err) {
+    return fail(res, "postClose", err);
+  }
+}
@@ -0,0 +1,175 @@
+// controllers/gstController.js
+import { query } from "../services/db.js";
+import { loadDocModels } from "../services/documentPayloads.js";
+import { isValidGSTIN } from "../utils/tax/gstUtil.js";
+import { reconcileItc } from "../utils/tax/itcReco.js";
+
+/* ------------------------ helpers ------------------------ */
+
+const GSTR2B_PROFILE = "gstr2b-json-v1";
+const ISO = /^\d{4}-\d{2}-\d{2}$/;
+
+function requireTenant(req, res) {
+  if (typeof req.sessionId === "undefined") {
+    res.status(500).json({ ok: false, error: "Tenant middleware not initialized." });
+    return null;
+  }
+  if (req.sessionId === null) {
+    res.status(400).json({ ok: false, error: "workspace_required" });
+    return null;
+  }
+  return req.sessionId;
+}
+
+// "042025" → 2025-04-01 … 2025-04-30
+function periodBounds(rtnprd) {
+  const m = String(rtnprd || "").match(/^(\d{2})(\d{4})$/);
+  if (!m) return null;
+  const y = Number(m[2]), mo = Number(m[1]);
+  const last = new Date(Date.UTC(y, mo, 0)).getUTCDate();
+  return { from: `${m[2]}-${m[1]}-01`, to: `${m[2]}-${m[1]}-${String(last).padStart(2, "0")}` };
+}
+
+function taxHead(account) {
+  const a = String(account || "");
+  if (!/^\s*GST Input\b/i.test(a)) return null;
+  if (/\bIGST\b/i.test(a)) return "igst";
+  if (/\bCGST\b/i.test(a)) return "cgst";
+  if (/\b(SGST|UTGST)\b/i.test(a)) return "sgst";
+  if (/\bcess\b/i.test(a)) return "cess";
+  return null;
+}
+
+const GSTIN_IN_TEXT = /\b(\d{2}[A-Z]{5}\d{4}[A-Z][0-9A-Z]Z[0-9A-Z])\b/i;
+const BILL_NO_IN_TEXT = /\b(?:inv(?:oice)?|bill)\s*(?:no\.?|num(?:ber)?|#)?\s*[:\-#]?\s*([A-Z0-9][A-Z0-9\/-]*\d[A-Z0-9\/-]*)/i;
+
+function supplierGSTIN(dm, narration) {
+  const g = String(dm?.vendorGSTIN || dm?.supplierGSTIN || dm?.sellerGSTIN || dm?.fromGSTIN || dm?.gstin || "").trim().toUpperCase();
+  if (isValidGSTIN(g)) return g;
+  const m = String(narration || "").match(GSTIN_IN_TEXT);
+  return m ? m[1].toUpperCase() : null;
+}
+
+function supplierBillNo(dm, narration) {
+  const n = dm?.vendorInvoiceNumber || dm?.supplierInvoiceNumber || dm?.billNumber ||
+            dm?.invoice_number || dm?.invoiceNumber || null;
+  if (n) return String(n).trim();
+  const m = String(narration || "").match(BILL_NO_IN_TEXT);
+  return m ? m[1] : null;
+}
+
+async function findBatch(sid, batchId) {
+  const { rows } = await query(
+    `SELECT id, profile_id, status, created_at
+       FROM import_batches
+      WHERE session_id = $1
+        AND (($2 IS NOT NULL AND id = $2) OR ($2 IS NULL AND profile_id = $3))
+      ORDER BY created_at DESC
+      LIMIT 1`,
+    [sid, batchId || null, GSTR2B_PROFILE]
+  );
+  return rows[0] || null;
+}
+
+async function stagedGstr2b(batchId) {
+  const { rows } = await query(
+    `SELECT normalized_json FROM import_rows
+      WHERE batch_id = $1 AND entity_type = 'gstr2b_doc'
+      ORDER BY row_index`,
+    [batchId]
+  );
+  return (rows || []).map(r => JSON.parse(r.normalized_json));
+}
+
+/**
+ * ITC per purchase in the books: GST Input postings grouped by document
+ * (or by date + narration for postings without one). Credits to GST Input
+ * (returns, reversals) reduce the group.
+ */
+async function booksItc(sid, from, to) {
+  const { rows } = await query(
+    `SELECT id, debit_account, credit_account, amount_cents, narration,
+            substr(transaction_date, 1, 10) AS date, document_id
+       FROM ledger_entries
+      WHERE session_id = $1
+        AND substr(transaction_date, 1, 10) BETWEEN $2 AND $3
+        AND (debit_account LIKE 'GST Input%' OR credit_account LIKE 'GST Input%'
+             OR document_id IN (SELECT document_id FROM ledger_entries
+                                 WHERE session_id = $1 AND document_id IS NOT NULL
+                                   AND (debit_account LIKE 'GST Input%' OR credit_account LIKE 'GST Input%')))
+      ORDER BY transaction_date, created_at, id`,
+    [sid, from, to]
+  );
+
+  const groups = new Map();
+  for (const r of rows || []) {
+    const key = r.document_id ? `doc:${r.document_id}` : `le:${r.date}|${String(r.narration || "").trim()}`;
+    let g = groups.get(key);
+    if (!g) {
+      g = { document_id: r.document_id || null, date: r.date, narration: r.narration || "", party: null, igst: 0, cgst: 0, sgst: 0, cess: 0 };
+      groups.set(key, g);
+    }
+    const units = Number(r.amount_cents || 0) / 100;
+    const dr = taxHead(r.debit_account), cr = taxHead(r.credit_account);
+    if (dr) g[dr] += units;
+    if (cr) g[cr] -= units;
+    if (!g.party && /^\s*Creditors\b/i.test(String(r.credit_account || ""))) g.party = r.credit_account;
+  }
+
+  const docs = await loadDocModels(sid, [...groups.values()].map(g => g.document_id));
+  const out = [];
+  for (const g of groups.values()) {
+    if (!g.igst && !g.cgst && !g.sgst && !g.cess) continue;
+    const d = g.document_id ? docs.get(g.document_id) : null;
+    const dm = d?.dm || {};
+    out.push({
+      document_id: g.document_id,
+      number: supplierBillNo(dm, g.narration) || d?.number || null,
+      date: String(dm.invoiceDate || dm.invoice_date || g.date).slice(0, 10),
+      ctin: supplierGSTIN(dm, g.narration),
+      party: d?.party_name || dm.payee || g.party || null,
+      igst: g.igst, cgst: g.cgst, sgst: g.sgst, cess: g.cess,
+    });
+  }
+  return out;
+}
+
+/* ------------------------ endpoints ------------------------ */
+
+/**
+ * GET /api/gst/itc-reco?batchId=&from=&to=&tolerance=
+ * Reconcile GST Input in the books against a staged GSTR-2B import batch
+ * (latest GSTR-2B batch when batchId is omitted). The books window defaults
+ * to the 2B return period.
+ */
+export async function itcReconciliation(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+
+    const batch = await findBatch(sid, req.query.batchId ? String(req.query.batchId) : null);
+    if (!batch) return res.status(404).json({ ok: false, error: "gstr2b_batch_not_found" });
+
+    const portal = await stagedGstr2b(batch.id);
+    if (!portal.length) {
+      return res.status(409).json({ ok: false, error: "gstr2b_not_staged", hint: "Preview the import batch first." });
+    }
+
+    const returnPeriod = portal.find(p => p.return_period)?.return_period || null;
+    const bounds = periodBounds(returnPeriod);
+    const from = ISO.test(String(req.query.from || "")) ? String(req.query.from) : bounds?.from;
+    const to = ISO.test(String(req.query.to || "")) ? String(req.query.to) : bounds?.to;
+    if (!from || !to) return res.status(400).json({ ok: false, error: "from_to_required" });
+
+    const tol = Number(req.query.tolerance);
+    const tolerance = Number.isFinite(tol) && tol >= 0 ? tol : 1;
+
+    const books = await booksItc(sid, from, to);
+    const { rows, summary } = reconcileItc({ books, portal, tolerance });
+
+    return res.json({ ok: true, batchId: batch.id, returnPeriod, from, to, tolerance, summary, rows });
+  } catch (err) {
+    console.error("itcReconciliation error", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+}
@@ -7,6 +7,7 @@ import { query, withTx } from "../services/db.js";
 import { listProfiles, getProfile, autoDetect } from "../services/formats/registry.js";
 import * as Hash from "../utils/hash.js";
 import { ensureLedgerExists } from "../utils/coaService.js";
+import { importStatement, countDuplicates } from "../services/bankStatements.js";
 
 // --- file storage (disk; safe for big workbooks) ---
 const UPLOAD_DIR = path.resolve("./uploads/imports");
@@ -20,8 +21,9 @@ export const upload = multer({
   storage,
   limits: { fileSize: 50 * 1024 * 1024, files: 1 }, // 50 MB
   fileFilter: (_req, file, cb) => {
-    // Simple MIME allow-list (xlsx, csv, json)
-    const ok = /excel|spreadsheet|csv|text\/plain|json/.test(file.mimetype) || /\.(xlsx|csv|json)$/i.test(file.originalname);
+    // Simple MIME allow-list (xlsx, csv, json; OFX/QFX, CAMT.053 xml, MT940 text for bank statements)
+    const ok = /excel|spreadsheet|csv|text\/plain|json|xml|ofx/.test(file.mimetype) ||
+      /\.(xlsx|csv|json|ofx|qfx|xml|sta|mt940|940|txt)$/i.test(file.originalname);
     cb(ok ? null : new Error("unsupported_file_type"));
   },
 });
@@ -194,6 +196,24 @@ export async function previewImport(req, res) {
       }
     }
 
+    // GSTR-2B supplier documents (staged only; used by ITC reconciliation)
+    let gstr2bCount = 0;
+    if (Array.isArray(parsed?.gstr2b_docs)) {
+      for (const d of parsed.gstr2b_docs) {
+        gstr2bCount++;
+        await ins("gstr2b_doc", d);
+      }
+    }
+
+    // Bank statement lines (staged only; landed in bank_statement_lines on commit)
+    let bankCount = 0;
+    if (Array.isArray(parsed?.bank_txns)) {
+      for (const t of parsed.bank_txns) {
+        bankCount++;
+        await ins("bank_txn", t);
+      }
+    }
+
     // Dup check (estimate): compute per-pair uniq hashes and ask DB how many exist already
     let dupPairs = 0;
     if (pairCount) {
@@ -213,6 +233,18 @@ export async function previewImport(req, res) {
     }
 
     const counts = { pairs: pairCount, journalLines: lineCount, estimatedDuplicates: dupPairs, uniqueAccounts: unknownAccounts.size };
+    if (gstr2bCount) Object.assign(counts, { gstr2bDocuments: gstr2bCount, returnPeriod: parsed.meta?.rtnprd || null });
+    if (bankCount) {
+      const bankAccountId = req.query?.bankAccountId || req.body?.bankAccountId || null;
+      Object.assign(counts, {
+        bankTransactions: bankCount,
+        statements: (parsed.statements || []).map(st => ({
+          account: st.account || null, from: st.from || null, to: st.to || null, lines: st.lines || 0,
+          opening_cents: st.opening?.cents ?? null, closing_cents: st.closing?.cents ?? null,
+        })),
+      });
+      if (bankAccountId) counts.bankDuplicates = await countDuplicates(sid, String(bankAccountId), parsed.bank_txns);
+    }
     await query(`UPDATE import_batches SET status='PREVIEW', counts_json=$1, errors_json=$2, updated_at=datetime('now') WHERE id=$3`,
       [JSON.stringify(counts), JSON.stringify([]), b.id]);
 
@@ -233,6 +265,23 @@ export async function commitImport(req, res) {
     const buf = fs.readFileSync(b.storage_path);
     const parsed = await profile.parse(buf);
 
+    // Bank statements land in bank_statement_lines for the chosen bank account
+    if (Array.isArray(parsed?.bank_txns) && parsed.bank_txns.length) {
+      const { bankAccountId, accountRef } = req.body || {};
+      if (!bankAccountId) return res.status(400).json({ ok: false, error: "bankAccountId is required for bank statements" });
+      try {
+        const result = await importStatement(sid, {
+          bankAccountId: String(bankAccountId), parsed, format: profile.id,
+          fileId: b.file_id, batchId: b.id, accountRef: accountRef || null,
+        });
+        await query(`UPDATE import_batches SET status='COMMITTED', updated_at=datetime('now') WHERE id=$1`, [b.id]);
+        return res.json({ ok: true, batchId: b.id, result });
+      } catch (e) {
+        if (!e.http) throw e;
+        return res.status(e.http).json({ ok: false, error: e.message, accounts: e.accounts });
+      }
+    }
+
     // Build pairs (if only lines were provided, the parser already paired best-effort)
     const pairs = Array.isArray(parsed?.pairs) ? parsed.pairs : [];
 
@@ -286,10 +335,12 @@ export async function downloadTemplate(req, res) {
     const profile = getProfile(String(req.params.profile));
     if (!profile?.template) return res.status(404).json({ ok: false, error: "template_not_available" });
     const buf = profile.template();
-    const ext = profile.kind === "xlsx" ? "xlsx" : (profile.kind === "csv" ? "csv" : "json");
+    const ext = { xlsx: "xlsx", csv: "csv", ofx: "ofx", xml: "xml", txt: "sta" }[profile.kind] || "json";
     res.setHeader("Content-Disposition", `attachment; filename="${profile.id}.` + ext + `"`);
     res.setHeader("Content-Type", profile.kind === "xlsx" ? "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" :
-                               profile.kind === "csv" ? "text/csv" : "application/json");
+                               profile.kind === "csv" ? "text/csv" :
+                               profile.kind === "xml" ? "application/xml" :
+                               profile.kind === "ofx" || profile.kind === "txt" ? "text/plain" : "application/json");
     res.status(200).send(buf);
   } catch (err) {
     console.error("downloadTemplate failed:", err);
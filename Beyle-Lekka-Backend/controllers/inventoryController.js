@@ -0,0 +1,343 @@
+// controllers/inventoryController.js
+import {
+  listItems, getItem, saveItem, deleteItem, postStockMovement, receiveGoods,
+  stockSummary, stockValuation, movementRegister, expiryReport, itemBatches, stockByWarehouse, draftGrn,
+} from "../services/inventory.js";
+import { listWarehouses, saveWarehouse } from "../services/warehouses.js";
+import { listTransfers, getTransfer, createTransfer, receiveTransfer, cancelTransfer } from "../services/stockTransfers.js";
+import { getInventorySettings as readSettings, setInventorySettings } from "../services/workspaceSettings.js";
+
+/* ------------------------ helpers ------------------------ */
+
+const units = (c) => (c == null ? null : Math.round(Number(c)) / 100);
+
+function requireTenant(req, res) {
+  if (typeof req.sessionId === "undefined") {
+    res.status(500).json({ ok: false, error: "Tenant middleware not initialized." });
+    return null;
+  }
+  if (req.sessionId === null) {
+    res.status(400).json({ ok: false, error: "workspace_required" });
+    return null;
+  }
+  return req.sessionId;
+}
+
+function fail(res, where, err) {
+  if (err?.http) return res.status(err.http).json({ ok: false, error: err.message });
+  console.error(`${where} error`, err);
+  return res.status(500).json({ ok: false, error: err.message });
+}
+
+const userOf = (req) => req.user?.id || req.body?.userId || null;
+const truthy = (v) => ["1", "true"].includes(String(v || ""));
+
+/** *_cents → units (key without the suffix) */
+function shape(o) {
+  if (Array.isArray(o)) return o.map(shape);
+  if (!o || typeof o !== "object") return o;
+  const out = {};
+  for (const [k, v] of Object.entries(o)) {
+    if (k.endsWith("_cents")) out[k.slice(0, -6)] = units(v);
+    else out[k] = v && typeof v === "object" ? shape(v) : v;
+  }
+  return out;
+}
+
+/* ------------------------ items ------------------------ */
+
+/** GET /api/items?q=&includeInactive=1 */
+export async function getItems(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const items = await listItems(sid, { q: req.query?.q || null, includeInactive: truthy(req.query?.includeInactive) });
+    return res.json({ ok: true, items });
+  } catch (err) {
+    return fail(res, "getItems", err);
+  }
+}
+
+/** GET /api/items/:id */
+export async function getOne(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    return res.json({ ok: true, item: await getItem(sid, String(req.params.id)) });
+  } catch (err) {
+    return fail(res, "getItem", err);
+  }
+}
+
+/**
+ * POST /api/items            { code, name, uom?, hsn?, gstRate?, reorderLevel?, stockTracked?,
+ *                              costingMethod?: wavg|fifo|null, batchTracked? }
+ * PUT  /api/items/:id        same fields, partial
+ */
+export async function putItem(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const id = req.params?.id ? String(req.params.id) : undefined;
+    const out = await saveItem(sid, { ...(req.body || {}), id }, userOf(req));
+    return res.status(out.created ? 201 : 200).json({ ok: true, item: out.item });
+  } catch (err) {
+    return fail(res, "saveItem", err);
+  }
+}
+
+/** DELETE /api/items/:id — deactivates an item that has stock history */
+export async function removeItem(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    return res.json({ ok: true, ...(await deleteItem(sid, String(req.params.id), userOf(req))) });
+  } catch (err) {
+    return fail(res, "deleteItem", err);
+  }
+}
+
+/* ------------------------ movements ------------------------ */
+
+/**
+ * POST /api/stock/movements { itemId | code, date, kind: opening|receipt|issue|adjustment, qty, rate?, refDoc?, narration?,
+ *                             batchNo?, expiryDate?, warehouseId? }
+ */
+export async function postMovement(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const mv = await postStockMovement(sid, req.body || {}, userOf(req));
+    return res.status(201).json({ ok: true, movement: shape(mv) });
+  } catch (err) {
+    return fail(res, "postMovement", err);
+  }
+}
+
+/**
+ * POST /api/stock/grn { number, date, supplier?, warehouseId?, items: [{ itemId | code | name, qty, rate, batchNo?, expiryDate? }],
+ *                       note? }
+ */
+export async function postGrn(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const out = await receiveGoods(sid, req.body || {}, userOf(req));
+    return res.status(201).json({ ok: true, ...out, movements: shape(out.movements) });
+  } catch (err) {
+    return fail(res, "postGrn", err);
+  }
+}
+
+/** POST /api/stock/grn/extract { text, fileName?, warehouseId? } — GRN header from delivery-challan text */
+export async function postGrnExtract(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const { text = "", fileName = "", warehouseId = null } = req.body || {};
+    if (!String(text).trim()) return res.status(400).json({ ok: false, error: "text is required" });
+    return res.json({ ok: true, draft: await draftGrn(sid, { text, fileName, warehouseId }) });
+  } catch (err) {
+    return fail(res, "postGrnExtract", err);
+  }
+}
+
+/* ------------------------ warehouses & transfers ------------------------ */
+
+/** GET /api/warehouses?includeInactive=1&includeTransit=1 */
+export async function getWarehouses(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const warehouses = await listWarehouses(sid, {
+      includeInactive: truthy(req.query?.includeInactive), includeTransit: truthy(req.query?.includeTransit),
+    });
+    return res.json({ ok: true, warehouses });
+  } catch (err) {
+    return fail(res, "getWarehouses", err);
+  }
+}
+
+/**
+ * POST /api/warehouses      { name, code?, address?, isDefault?, isActive? }
+ * PUT  /api/warehouses/:id  same fields, partial
+ */
+export async function putWarehouse(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const id = req.params?.id ? String(req.params.id) : undefined;
+    const out = await saveWarehouse(sid, { ...(req.body || {}), id }, userOf(req));
+    return res.status(out.created ? 201 : 200).json({ ok: true, warehouse: out.warehouse });
+  } catch (err) {
+    return fail(res, "saveWarehouse", err);
+  }
+}
+
+/** GET /api/stock/transfers?status=in_transit|received|cancelled&from=&to= */
+export async function getTransfers(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const { status = null, from = null, to = null } = req.query || {};
+    return res.json({ ok: true, transfers: shape(await listTransfers(sid, { status, from, to })) });
+  } catch (err) {
+    return fail(res, "getTransfers", err);
+  }
+}
+
+/** GET /api/stock/transfers/:id */
+export async function getTransferOne(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    return res.json({ ok: true, transfer: shape(await getTransfer(sid, String(req.params.id))) });
+  } catch (err) {
+    return fail(res, "getTransfer", err);
+  }
+}
+
+/**
+ * POST /api/stock/transfers { number?, date?, fromWarehouseId, toWarehouseId,
+ *                             items: [{ itemId | code | name, qty, batchNo? }], note?, receiveNow? }
+ */
+export async function postTransfer(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const t = await createTransfer(sid, req.body || {}, userOf(req));
+    return res.status(201).json({ ok: true, transfer: shape(t) });
+  } catch (err) {
+    return fail(res, "postTransfer", err);
+  }
+}
+
+/** POST /api/stock/transfers/:id/receive { date? } */
+export async function postTransferReceive(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const t = await receiveTransfer(sid, String(req.params.id), req.body || {}, userOf(req));
+    return res.json({ ok: true, transfer: shape(t) });
+  } catch (err) {
+    return fail(res, "postTransferReceive", err);
+  }
+}
+
+/** POST /api/stock/transfers/:id/cancel { date?, reason? } */
+export async function postTransferCancel(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const t = await cancelTransfer(sid, String(req.params.id), req.body || {}, userOf(req));
+    return res.json({ ok: true, transfer: shape(t) });
+  } catch (err) {
+    return fail(res, "postTransferCancel", err);
+  }
+}
+
+/* ------------------------ reports ------------------------ */
+
+/** GET /api/reports/stock-summary?from=&to=&includeInactive=1&warehouseId= */
+export async function getStockSummary(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const r = await stockSummary(sid, {
+      from: req.query?.from || null, to: req.query?.to || null, includeInactive: truthy(req.query?.includeInactive),
+      warehouseId: req.query?.warehouseId || null,
+    });
+    return res.json({ ok: true, from: r.from, to: r.to, warehouse: r.warehouse, rows: shape(r.rows), totals: shape(r.totals), belowReorder: r.below_reorder });
+  } catch (err) {
+    return fail(res, "getStockSummary", err);
+  }
+}
+
+/** GET /api/reports/stock-register?itemId=|code=&from=&to=&warehouseId= */
+export async function getStockRegister(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const { itemId = null, code = null, from = null, to = null, warehouseId = null } = req.query || {};
+    if (!itemId && !code) return res.status(400).json({ ok: false, error: "itemId or code is required" });
+    return res.json({ ok: true, ...shape(await movementRegister(sid, { itemId, code, from, to, warehouseId })) });
+  } catch (err) {
+    return fail(res, "getStockRegister", err);
+  }
+}
+
+/**
+ * GET /api/reports/stock-valuation?asOf=&warehouseId= — per-item method; the workspace view is
+ * reconciled to the inventory ledger
+ */
+export async function getStockValuation(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const r = await stockValuation(sid, {
+      asOf: req.query?.asOf || null, includeInactive: truthy(req.query?.includeInactive), warehouseId: req.query?.warehouseId || null,
+    });
+    return res.json({ ok: true, asOf: r.asOf, warehouse: r.warehouse, rows: shape(r.rows), total: units(r.total_cents), reconciliation: shape(r.reconciliation) });
+  } catch (err) {
+    return fail(res, "getStockValuation", err);
+  }
+}
+
+/** GET /api/reports/stock-expiry?asOf=&days=30&itemId=&warehouseId= — expired and near-expiry batches */
+export async function getStockExpiry(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const { asOf = null, days = 30, itemId = null, warehouseId = null } = req.query || {};
+    return res.json({ ok: true, ...shape(await expiryReport(sid, { asOf, days, itemId, warehouseId })) });
+  } catch (err) {
+    return fail(res, "getStockExpiry", err);
+  }
+}
+
+/** GET /api/items/:id/batches?asOf=&warehouseId= */
+export async function getItemBatches(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    return res.json({ ok: true, ...shape(await itemBatches(sid, String(req.params.id), req.query?.asOf || null, req.query?.warehouseId || null)) });
+  } catch (err) {
+    return fail(res, "getItemBatches", err);
+  }
+}
+
+/** GET /api/reports/stock-by-warehouse?asOf=&itemId= */
+export async function getStockByWarehouse(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const r = await stockByWarehouse(sid, { asOf: req.query?.asOf || null, itemId: req.query?.itemId || null });
+    return res.json({ ok: true, ...shape(r) });
+  } catch (err) {
+    return fail(res, "getStockByWarehouse", err);
+  }
+}
+
+/* ------------------------ settings ------------------------ */
+
+/** GET /api/inventory/settings */
+export async function getInventorySettings(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    return res.json({ ok: true, settings: await readSettings(sid) });
+  } catch (err) {
+    return fail(res, "getInventorySettings", err);
+  }
+}
+
+/** PUT /api/inventory/settings { costingMethod?: wavg|fifo, inventoryLedger? } */
+export async function putInventorySettings(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    return res.json({ ok: true, settings: await setInventorySettings(sid, req.body || {}) });
+  } catch (err) {
+    return fail(res, "putInventorySettings", err);
+  }
+}
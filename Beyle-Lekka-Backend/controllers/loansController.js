@@ -0,0 +1,135 @@
+// controllers/loansController.js
+import {
+  listLoans, getLoan, createLoan, recordPrepayment, resetRate, draftDueInstallments, loanReport,
+} from "../services/loans.js";
+
+/* ------------------------ helpers ------------------------ */
+
+const units = (c) => (c == null ? null : Math.round(Number(c)) / 100);
+const pct = (bps) => (bps == null ? null : Number(bps) / 100);
+
+function requireTenant(req, res) {
+  if (typeof req.sessionId === "undefined") {
+    res.status(500).json({ ok: false, error: "Tenant middleware not initialized." });
+    return null;
+  }
+  if (req.sessionId === null) {
+    res.status(400).json({ ok: false, error: "workspace_required" });
+    return null;
+  }
+  return req.sessionId;
+}
+
+function fail(res, where, err) {
+  if (err?.http) return res.status(err.http).json({ ok: false, error: err.message });
+  console.error(`${where} error`, err);
+  return res.status(500).json({ ok: false, error: err.message });
+}
+
+const userOf = (req) => req.user?.id || req.body?.userId || null;
+
+/** *_cents → units and rate_bps → rate (%), recursively over rows / nested lists */
+function shape(o) {
+  if (Array.isArray(o)) return o.map(shape);
+  if (!o || typeof o !== "object") return o;
+  const out = {};
+  for (const [k, v] of Object.entries(o)) {
+    if (k.endsWith("_cents")) out[k.slice(0, -6)] = units(v);
+    else if (k === "rate_bps") out.rate = pct(v);
+    else out[k] = v && typeof v === "object" ? shape(v) : v;
+  }
+  return out;
+}
+
+/* ------------------------ loans ------------------------ */
+
+/** GET /api/loans?includeClosed=1 */
+export async function getLoans(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const includeClosed = ["1", "true"].includes(String(req.query?.includeClosed || ""));
+    return res.json({ ok: true, loans: shape(await listLoans(sid, { includeClosed })) });
+  } catch (err) {
+    return fail(res, "getLoans", err);
+  }
+}
+
+/** GET /api/loans/:id — with schedule and events */
+export async function getOne(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    return res.json({ ok: true, loan: shape(await getLoan(sid, String(req.params.id))) });
+  } catch (err) {
+    return fail(res, "getLoan", err);
+  }
+}
+
+/**
+ * POST /api/loans
+ * { name, principal, rate, tenureMonths, startDate, firstDueDate?, method?, lender?, secured?,
+ *   ledger?, interestLedger?, bankAccountId? | bankLedger?, facility?, sanctionRef?, draftDisbursement? }
+ */
+export async function postLoan(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const out = await createLoan(sid, req.body || {}, userOf(req));
+    return res.status(201).json({ ok: true, loan: shape(out.loan), disbursement: shape(out.disbursement || null) });
+  } catch (err) {
+    return fail(res, "postLoan", err);
+  }
+}
+
+/** POST /api/loans/:id/prepay { date, amount, keep?: tenure|emi, note?, draft? } */
+export async function postPrepayment(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const out = await recordPrepayment(sid, String(req.params.id), req.body || {}, userOf(req));
+    return res.json({ ok: true, change: shape(out.change), loan: shape(out.loan), voucher: shape(out.voucher || null) });
+  } catch (err) {
+    return fail(res, "postPrepayment", err);
+  }
+}
+
+/** POST /api/loans/:id/rate-reset { effectiveFrom, rate, keep?: emi|tenure, note? } */
+export async function postRateReset(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const out = await resetRate(sid, String(req.params.id), req.body || {}, userOf(req));
+    return res.json({ ok: true, change: shape(out.change), loan: shape(out.loan) });
+  } catch (err) {
+    return fail(res, "postRateReset", err);
+  }
+}
+
+/**
+ * POST /api/loans/draft-emis { asOf?, loanId?, limit? }
+ * Drafts EMI vouchers due by asOf as previews; confirm each via /confirmAndSaveEntry.
+ */
+export async function postDraftEmis(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const { asOf = null, loanId = null, limit } = req.body || {};
+    const out = await draftDueInstallments(sid, { asOf, loanId, limit, userId: userOf(req) });
+    return res.json({ ok: true, ...out });
+  } catch (err) {
+    return fail(res, "postDraftEmis", err);
+  }
+}
+
+/** GET /api/reports/loans?asOf=&loanId= — schedule vs ledger outstanding */
+export async function getLoanReport(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const out = await loanReport(sid, { asOf: req.query?.asOf || null, loanId: req.query?.loanId || null });
+    return res.json({ ok: true, asOf: out.asOf, loans: shape(out.loans) });
+  } catch (err) {
+    return fail(res, "getLoanReport", err);
+  }
+}
@@ -0,0 +1,67 @@
+// controllers/notesController.js
+import { draftNote, notesForInvoice } from "../services/notes.js";
+
+/* ------------------------ helpers ------------------------ */
+
+const units = (c) => (c == null ? null : Math.round(Number(c)) / 100);
+
+function requireTenant(req, res) {
+  if (typeof req.sessionId === "undefined") {
+    res.status(500).json({ ok: false, error: "Tenant middleware not initialized." });
+    return null;
+  }
+  if (req.sessionId === null) {
+    res.status(400).json({ ok: false, error: "workspace_required" });
+    return null;
+  }
+  return req.sessionId;
+}
+
+function fail(res, where, err) {
+  if (err?.http) return res.status(err.http).json({ ok: false, error: err.message, ...(err.details ? { errors: err.details } : {}) });
+  console.error(`${where} error`, err);
+  return res.status(500).json({ ok: false, error: err.message });
+}
+
+const userOf = (req) => req.user?.id || req.body?.userId || null;
+
+/* ------------------------ handlers ------------------------ */
+
+/**
+ * GET /api/notes?invoiceId= | ?invoice=<number>
+ * The invoice's lines, the notes posted against it and the value still open to each kind.
+ */
+export async function getNotes(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const { invoiceId = null, invoice = null } = req.query || {};
+    if (!invoiceId && !invoice) return res.status(400).json({ ok: false, error: "invoiceId or invoice is required" });
+    const out = await notesForInvoice(sid, { id: invoiceId, number: invoice });
+    const { value_cents, ...inv } = out.invoice;
+    return res.json({
+      ok: true,
+      invoice: { ...inv, value: units(value_cents) },
+      notes: out.notes.map(({ gross_amount_cents, ...n }) => ({ ...n, gross_amount: units(gross_amount_cents) })),
+      open: { credit_note: units(out.open_cents.credit_note), debit_note: units(out.open_cents.debit_note) },
+    });
+  } catch (err) {
+    return fail(res, "getNotes", err);
+  }
+}
+
+/**
+ * POST /api/notes/draft
+ * { docType: credit_note|debit_note, originalInvoiceId | originalInvoiceNumber, date?, reason,
+ *   items?: [{ line, qty?, amount? }] } → preview; confirm via /confirmAndSaveEntry.
+ */
+export async function postNoteDraft(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const draft = await draftNote(sid, req.body || {}, userOf(req));
+    return res.json({ ok: true, ...draft });
+  } catch (err) {
+    return fail(res, "postNoteDraft", err);
+  }
+}
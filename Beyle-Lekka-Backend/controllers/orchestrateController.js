@@ -16,6 +16,9 @@ import {
   ensureLedgerExistsWithMapping
 } from "../utils/coaService.js";
 import { createFundsHolds } from "../utils/preview/fundsHolds.js";
+import { SETTLEMENT_SIDE, normalizeAllocations } from "../services/settlements.js";
+import { currentUserId } from "../services/requestContext.js";
+import { normalizeTransport } from "../utils/tax/ewaybill.js";
 
 /* =======================================================================
    Date helpers: “today” means today; relative dates are anchored to today
@@ -599,7 +602,10 @@ const HARD_ERROR_CODES = new Set([
   "SHAPE_MIN_LINES", "DRCR_EXCLUSIVE", "NOT_BALANCED",
   "BANK_SINGLELINE", "BANK_MIXED", "TOTALS_MISMATCH",
   "NUMBER_UNAVAILABLE", "PERIOD_LOCKED", "DATE_INVALID", "INV_ITEM_MISSING",
-  "BANK_CASH_INSUFFICIENT" // funds/headroom failures must block preview
+  "BANK_CASH_INSUFFICIENT", // funds/headroom failures must block preview
+  "ALLOC_NO_PARTY", "ALLOC_DOC_NOT_FOUND", "ALLOC_PARTY_MISMATCH",
+  "ALLOC_OVER_OUTSTANDING", "ALLOC_OVER_SETTLEMENT",
+  "NOTE_ORIGINAL_MISSING", "NOTE_OVER_ORIGINAL", "NOTE_SPLIT_MISMATCH"
 ]);
 function partitionValidation(validation) {
   const errs = Array.isArray(validation?.errors) ? validation.errors : [];
@@ -737,6 +743,23 @@ function buildDocModel(docType, documentFields, journal) {
   const shouldDefaultDate = DOC_TYPES_WITH_DEFAULT_DATE.has(docType);
   const dm = { ...(dfByType || {}), date: dfByType.date || lineDate || (shouldDefaultDate ? todayISO : undefined) };
   if (dm.items && !Array.isArray(dm.items)) dm.items = [];
+  // Bill-wise allocations (receipt/payment) ride on the docModel into the snapshot
+  if (SETTLEMENT_SIDE[docType] && dm.allocations != null) {
+    dm.allocations = normalizeAllocations(dm.allocations).map(a =>
+      a.kind === "on_account"
+        ? { on_account: true, ...(a.amount_cents ? { amount: a.amount_cents / 100 } : {}) }
+        : {
+            ...(a.invoice_id ? { invoice_id: a.invoice_id } : {}),
+            ...(a.invoice_number ? { invoice_number: a.invoice_number } : {}),
+            ...(a.amount_cents ? { amount: a.amount_cents / 100 } : {}),
+          }
+    );
+  }
+  // E-way bill transport details captured on the preview
+  if (docType === "invoice" && dm.transport != null) {
+    const transport = normalizeTransport(dm.transport);
+    if (transport) dm.transport = transport; else delete dm.transport;
+  }
   return dm;
 }
 
@@ -1005,7 +1028,7 @@ async function runStructuredDocFlow({ parsedDocType, parsedFields, sessionId, id
     journal: finalJournal,
     ...(mappingLines ? { familyMapping: mappingLines } : {}) // stored for audit/next-step rails
   };
-  const snap = await createSnapshot({ docType, payload: previewPayload, reservation, sessionId, userId: null });
+  const snap = await createSnapshot({ docType, payload: previewPayload, reservation, sessionId, userId: currentUserId() });
 
   try {
     await createFundsHolds({ sessionId, journal: finalJournal, defaultDate: dateISO, previewId: snap.previewId });
@@ -1128,7 +1151,7 @@ export const orchestratePrompt = async (req, res) => {
       const reservation = await reserveSeries({ docType, dateISO, previewId: "tmp", sessionId: sid });
 
       const previewPayload = { docType, docModel: { ...docModel, number: reservation.number }, journal: journalWithAccount };
-      const snap = await createSnapshot({ docType, payload: previewPayload, reservation, sessionId: sid, userId: req.body?.userId || null });
+      const snap = await createSnapshot({ docType, payload: previewPayload, reservation, sessionId: sid, userId: req.user?.id || req.body?.userId || null });
 
       try {
         await createFundsHolds({ sessionId: sid, journal: journalWithAccount, defaultDate: dateISO, previewId: snap.previewId });
@@ -1341,7 +1364,7 @@ export const orchestratePrompt = async (req, res) => {
       journal: finalJournal,
       ...(mappingLines ? { familyMapping: mappingLines } : {})
     };
-    const snap = await createSnapshot({ docType, payload: previewPayload, reservation, sessionId: sid, userId: req.body?.userId || null });
+    const snap = await createSnapshot({ docType, payload: previewPayload, reservation, sessionId: sid, userId: req.user?.id || req.body?.userId || null });
 
     try {
       await createFundsHolds({ sessionId: sid, journal: finalJournal, defaultDate: dateISO, previewId: snap.previewId });
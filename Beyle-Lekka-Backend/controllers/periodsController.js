@@ -0,0 +1,179 @@
+// controllers/periodsController.js
+import defPolicy from "../utils/validation/policies/default.json" with { type: "json" };
+import {
+  listClosedPeriods, lockedThrough, periodChecklist, closePeriod, reopenPeriod,
+  yearEndPreview, runYearEnd, listOpeningBalances, fyLabel,
+} from "../services/periods.js";
+
+/* ------------------------ helpers ------------------------ */
+
+const units = (c) => Math.round(Number(c || 0)) / 100;
+const ISO = /^\d{4}-\d{2}-\d{2}$/;
+
+function requireTenant(req, res) {
+  if (typeof req.sessionId === "undefined") {
+    res.status(500).json({ ok: false, error: "Tenant middleware not initialized." });
+    return null;
+  }
+  if (req.sessionId === null) {
+    res.status(400).json({ ok: false, error: "workspace_required" });
+    return null;
+  }
+  return req.sessionId;
+}
+
+function fail(res, where, err) {
+  if (err?.http) {
+    const body = { ok: false, error: err.message };
+    if (err.checklist) body.checklist = shapeChecklist(err.checklist);
+    if (err.documentId) body.documentId = err.documentId;
+    return res.status(err.http).json(body);
+  }
+  console.error(`${where} error`, err);
+  return res.status(500).json({ ok: false, error: err.message });
+}
+
+const userOf = (req) => req.user?.id || req.body?.userId || null;
+
+// ?fy=2025 (FY start year); defaults to the FY before the one containing today
+function fyParam(v) {
+  if (/^\d{4}$/.test(String(v ?? ""))) return Number(v);
+  const startMonth = defPolicy?.financialYear?.startMonth || 4;
+  const now = new Date();
+  const cur = now.getUTCMonth() + 1 >= startMonth ? now.getUTCFullYear() : now.getUTCFullYear() - 1;
+  return cur - 1;
+}
+
+function shapeChecklist(c) {
+  return {
+    periodEnd: c.periodEnd,
+    ready: c.ready,
+    items: c.items.map(i => ({
+      ...i,
+      rows: i.rows.map(r => {
+        const { amount_cents, balance_cents, ...rest } = r;
+        if (amount_cents != null) rest.amount = units(amount_cents);
+        if (balance_cents != null) rest.balance = units(balance_cents);
+        return rest;
+      }),
+    })),
+  };
+}
+
+/* ------------------------ locks ------------------------ */
+
+/** GET /api/periods — closed periods, latest first */
+export async function getPeriods(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    return res.json({ ok: true, lockedThrough: await lockedThrough(sid), periods: await listClosedPeriods(sid) });
+  } catch (err) {
+    return fail(res, "getPeriods", err);
+  }
+}
+
+/** GET /api/periods/checklist?periodEnd=YYYY-MM-DD */
+export async function getChecklist(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const periodEnd = String(req.query.periodEnd || "");
+    if (!ISO.test(periodEnd)) return res.status(400).json({ ok: false, error: "periodEnd must be YYYY-MM-DD" });
+    return res.json({ ok: true, ...shapeChecklist(await periodChecklist(sid, periodEnd)) });
+  } catch (err) {
+    return fail(res, "getChecklist", err);
+  }
+}
+
+/** POST /api/periods/close { periodEnd, force? } — 409 with the checklist while items are open */
+export async function closePeriodHandler(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const b = req.body || {};
+    const out = await closePeriod(sid, { periodEnd: b.periodEnd, force: b.force === true, userId: userOf(req) });
+    return res.status(201).json({ ok: true, ...out, checklist: shapeChecklist(out.checklist) });
+  } catch (err) {
+    if (/UNIQUE|PRIMARY KEY/i.test(String(err?.message))) {
+      return res.status(409).json({ ok: false, error: "Period already closed" });
+    }
+    return fail(res, "closePeriod", err);
+  }
+}
+
+/** POST /api/periods/reopen { periodEnd, reason } — admin only (see routes/api.js) */
+export async function reopenPeriodHandler(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const b = req.body || {};
+    const out = await reopenPeriod(sid, { periodEnd: b.periodEnd, reason: b.reason, userId: userOf(req) });
+    return res.json({ ok: true, ...out });
+  } catch (err) {
+    return fail(res, "reopenPeriod", err);
+  }
+}
+
+/* ------------------------ year-end ------------------------ */
+
+/** GET /api/periods/year-end?fy=2025 — closing pairs that would be posted */
+export async function getYearEnd(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const plan = await yearEndPreview(sid, { fy: fyParam(req.query.fy), policy: defPolicy });
+    return res.json({
+      ok: true,
+      fy: plan.fy, label: plan.label, from: plan.from, to: plan.to,
+      profit: units(plan.profit_cents),
+      entries: plan.pairs.map(p => ({ ...p, amount: units(p.amount_cents) })),
+    });
+  } catch (err) {
+    return fail(res, "getYearEnd", err);
+  }
+}
+
+/** POST /api/periods/year-end { fy, lock = true, force? } */
+export async function runYearEndHandler(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const b = req.body || {};
+    const out = await runYearEnd(sid, {
+      fy: fyParam(b.fy), policy: defPolicy, userId: userOf(req),
+      lock: b.lock !== false, force: b.force === true,
+    });
+    return res.status(201).json({
+      ok: true,
+      documentId: out.documentId,
+      number: out.number,
+      from: out.from, to: out.to,
+      profit: units(out.profit_cents),
+      entries: out.entries.map(e => ({ ...e, amount: units(e.amount_cents) })),
+      openingBalances: out.openingBalances.map(b => ({ account: b.account, balance: units(b.net_cents) })),
+      locked: out.locked,
+    });
+  } catch (err) {
+    if (/period_closed/i.test(String(err?.message))) {
+      return res.status(409).json({ ok: false, error: "Period is closed; reopen it before the year-end close" });
+    }
+    return fail(res, "runYearEnd", err);
+  }
+}
+
+/** GET /api/periods/opening-balances?fy=2026 — balances carried forward into that FY */
+export async function getOpeningBalances(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const fy = fyParam(req.query.fy) + (req.query.fy ? 0 : 1);
+    const rows = await listOpeningBalances(sid, fy);
+    return res.json({
+      ok: true, fy, label: fyLabel(fy),
+      rows: rows.map(r => ({ account: r.account, as_of: r.as_of, balance: units(r.balance_cents), source_document_id: r.source_document_id })),
+    });
+  } catch (err) {
+    return fail(res, "getOpeningBalances", err);
+  }
+}
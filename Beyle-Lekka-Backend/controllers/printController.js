@@ -0,0 +1,60 @@
+// controllers/printController.js
+import { getBranding, setBranding } from "../services/workspaceSettings.js";
+import { renderPostedDocument } from "../services/documentFiles.js";
+
+/* ------------------------ helpers ------------------------ */
+
+function requireTenant(req, res) {
+  if (typeof req.sessionId === "undefined") {
+    res.status(500).json({ ok: false, error: "Tenant middleware not initialized." });
+    return null;
+  }
+  if (req.sessionId === null) {
+    res.status(400).json({ ok: false, error: "workspace_required" });
+    return null;
+  }
+  return req.sessionId;
+}
+
+function fail(res, where, err) {
+  if (err?.http) return res.status(err.http).json({ ok: false, error: err.message });
+  console.error(`${where} error`, err);
+  return res.status(500).json({ ok: false, error: err.message });
+}
+
+/* ------------------------ handlers ------------------------ */
+
+/** GET /api/settings/branding — letterhead used on generated documents */
+export async function getBrandingSettings(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    return res.json({ ok: true, branding: await getBranding(sid) });
+  } catch (err) {
+    return fail(res, "getBrandingSettings", err);
+  }
+}
+
+/** PUT /api/settings/branding — body: { legalName, address, gstin, bank: {…}, upiId, terms, logo, signature, docFormat, … } */
+export async function putBrandingSettings(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    return res.json({ ok: true, branding: await setBranding(sid, req.body || {}) });
+  } catch (err) {
+    return fail(res, "putBrandingSettings", err);
+  }
+}
+
+/** GET /api/documents/:id/file?format=pdf|docx — the posted document, freshly rendered */
+export async function getDocumentFile(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const format = req.query?.format ? String(req.query.format).toLowerCase() : null;
+    const meta = await renderPostedDocument(sid, String(req.params.id), format);
+    return res.download(meta.absPath, meta.filename);
+  } catch (err) {
+    return fail(res, "getDocumentFile", err);
+  }
+}
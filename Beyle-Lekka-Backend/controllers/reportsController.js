@@ -1,5 +1,10 @@
 ﻿// controllers/reportsController.js
 import { query } from "../services/db.js";
+import defPolicy from "../utils/validation/policies/default.json" with { type: "json" };
+import { AGE_BUCKETS, emptyBuckets, settleParty, ageItems } from "../utils/reports/ageing.js";
+import { loadAllocations } from "../services/settlements.js";
+import XLSX from "xlsx";
+import { brsReport } from "../services/brs.js";
 
 /* ------------------------ helpers ------------------------ */
 
@@ -239,6 +244,96 @@ export async function trialBalance(req, res) {
 /* ======================================================================
  * PROFIT & LOSS
  * ==================================================================== */
+
+// Year-end closing pairs (services/periods.js) zero income/expense into Reserves & Surplus;
+// the P&L leaves them out so a closed year still reports its result.
+const NOT_YEAR_END = `AND NOT EXISTS (SELECT 1 FROM documents yd WHERE yd.id = le.document_id AND yd.doc_type = 'year_end_close')`;
+
+// Per-account income/expense amounts for [from, to] (shared by plain and compare modes).
+async function pnlAccountRows(sid, from, to) {
+  const DATE_NORMALIZER = await getDateNormalizerCTE();
+  const AMT      = await amountCentsExpr("le");
+  const COA_JOIN = await coaJoinClause();
+
+  const per = await query(
+    `
+    ${DATE_NORMALIZER}
+    , moves AS (
+      SELECT debit_account  AS account, ${AMT} AS amt,  1 AS side
+        FROM le
+       WHERE le.txn_date BETWEEN $2 AND $3
+         ${NOT_YEAR_END}
+      UNION ALL
+      SELECT credit_account AS account, ${AMT} AS amt, -1 AS side
+        FROM le
+       WHERE le.txn_date BETWEEN $2 AND $3
+         ${NOT_YEAR_END}
+    ),
+    agg AS (
+      SELECT account, SUM(amt * side) AS net_cents
+        FROM moves
+       GROUP BY account
+    ),
+    mapped AS (
+      SELECT a.account,
+             LOWER(COALESCE(coa.type, ''))           AS type,
+             LOWER(COALESCE(coa.normal_balance, '')) AS normal_balance,
+             a.net_cents
+        FROM agg a
+        ${COA_JOIN}
+    )
+    SELECT account, type,
+           CASE
+             WHEN type = 'income'  THEN (-net_cents) / 100.0
+             WHEN type = 'expense' THEN ( net_cents) / 100.0
+             ELSE 0.0
+           END AS amount
+      FROM mapped
+     WHERE type IN ('income','expense')
+     ORDER BY type, account
+    `,
+    [sid, from, to]
+  );
+  return per.rows || [];
+}
+
+// Diagnostics: moved-but-untyped ledgers in [from, to]
+async function pnlUntyped(sid, from, to) {
+  const DATE_NORMALIZER = await getDateNormalizerCTE();
+  const AMT      = await amountCentsExpr("le");
+  const COA_JOIN = await coaJoinClause();
+
+  const diag = await query(
+    `
+    ${DATE_NORMALIZER}
+    , moves AS (
+      SELECT debit_account  AS account, ${AMT} AS amt,  1 AS side
+        FROM le
+       WHERE le.txn_date BETWEEN $2 AND $3
+         ${NOT_YEAR_END}
+      UNION ALL
+      SELECT credit_account AS account, ${AMT} AS amt, -1 AS side
+        FROM le
+       WHERE le.txn_date BETWEEN $2 AND $3
+         ${NOT_YEAR_END}
+    ),
+    agg AS ( SELECT account, SUM(amt * side) AS net_cents FROM moves GROUP BY account ),
+    mapped AS (
+      SELECT a.account, LOWER(COALESCE(coa.type, '')) AS type, a.net_cents
+        FROM agg a
+        ${COA_JOIN}
+    )
+    SELECT account, (net_cents / 100.0) AS amount
+      FROM mapped
+     WHERE (type NOT IN ('income','expense') OR type = '')
+       AND ABS(net_cents) > 0
+     ORDER BY account
+    `,
+    [sid, from, to]
+  );
+  return (diag.rows || []).map(r => ({ account: r.account, amount: round2(r.amount) }));
+}
+
 export async function profitAndLoss(req, res) {
   try {
     if (typeof req.sessionId === "undefined") {
@@ -246,52 +341,13 @@ export async function profitAndLoss(req, res) {
     }
     const sid = req.sessionId ?? null;
 
+    const compare = String(req.query.compare || req.body?.compare || "").trim().toLowerCase();
+    if (compare) return await profitAndLossCompare(req, res, sid, compare);
+
     const from = normalizeDate(req.query.from || req.body?.from || "1900-01-01");
     const to   = normalizeDate(req.query.to   || req.body?.to);
 
-    const DATE_NORMALIZER = await getDateNormalizerCTE();
-    const AMT      = await amountCentsExpr("le");
-    const COA_JOIN = await coaJoinClause();
-
-    const per = await query(
-      `
-      ${DATE_NORMALIZER}
-      , moves AS (
-        SELECT debit_account  AS account, ${AMT} AS amt,  1 AS side
-          FROM le
-         WHERE le.txn_date BETWEEN $2 AND $3
-        UNION ALL
-        SELECT credit_account AS account, ${AMT} AS amt, -1 AS side
-          FROM le
-         WHERE le.txn_date BETWEEN $2 AND $3
-      ),
-      agg AS (
-        SELECT account, SUM(amt * side) AS net_cents
-          FROM moves
-         GROUP BY account
-      ),
-      mapped AS (
-        SELECT a.account,
-               LOWER(COALESCE(coa.type, ''))           AS type,
-               LOWER(COALESCE(coa.normal_balance, '')) AS normal_balance,
-               a.net_cents
-          FROM agg a
-          ${COA_JOIN}
-      )
-      SELECT account, type,
-             CASE
-               WHEN type = 'income'  THEN (-net_cents) / 100.0
-               WHEN type = 'expense' THEN ( net_cents) / 100.0
-               ELSE 0.0
-             END AS amount
-        FROM mapped
-       WHERE type IN ('income','expense')
-       ORDER BY type, account
-      `,
-      [sid, from, to]
-    );
-
-    const rows = per.rows || [];
+    const rows = await pnlAccountRows(sid, from, to);
     const income   = rows.filter(r => r.type === "income"  && !isTiny(r.amount))
                          .map(r => ({ account: r.account, amount: round2(r.amount) }));
     const expenses = rows.filter(r => r.type === "expense" && !isTiny(r.amount))
@@ -303,35 +359,7 @@ export async function profitAndLoss(req, res) {
     };
     totals.net = round2(totals.income - totals.expenses);
 
-    // Diagnostics: moved-but-untyped ledgers in this period
-    const diag = await query(
-      `
-      ${DATE_NORMALIZER}
-      , moves AS (
-        SELECT debit_account  AS account, ${AMT} AS amt,  1 AS side
-          FROM le
-         WHERE le.txn_date BETWEEN $2 AND $3
-        UNION ALL
-        SELECT credit_account AS account, ${AMT} AS amt, -1 AS side
-          FROM le
-         WHERE le.txn_date BETWEEN $2 AND $3
-      ),
-      agg AS ( SELECT account, SUM(amt * side) AS net_cents FROM moves GROUP BY account ),
-      mapped AS (
-        SELECT a.account, LOWER(COALESCE(coa.type, '')) AS type, a.net_cents
-          FROM agg a
-          ${COA_JOIN}
-      )
-      SELECT account, (net_cents / 100.0) AS amount
-        FROM mapped
-       WHERE (type NOT IN ('income','expense') OR type = '')
-         AND ABS(net_cents) > 0
-       ORDER BY account
-      `,
-      [sid, from, to]
-    );
-
-    const diagnostics = { untyped: (diag.rows || []).map(r => ({ account: r.account, amount: round2(r.amount) })) };
+    const diagnostics = { untyped: await pnlUntyped(sid, from, to) };
 
     return res.json({ ok: true, from, to, income, expenses, totals, diagnostics });
   } catch (err) {
@@ -340,6 +368,157 @@ export async function profitAndLoss(req, res) {
   }
 }
 
+/* ------------------------ P&L compare mode ------------------------ */
+
+const COMPARE_MODES = new Set(["monthly", "quarterly", "yoy"]);
+const MONTHS = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];
+
+const pad2 = (n) => String(n).padStart(2, "0");
+const isoOf = (d) => `${d.getUTCFullYear()}-${pad2(d.getUTCMonth() + 1)}-${pad2(d.getUTCDate())}`;
+const utc = (iso) => new Date(`${iso}T00:00:00Z`);
+
+function addMonthsISO(iso, n) {
+  const d = utc(iso);
+  const day = d.getUTCDate();
+  d.setUTCDate(1);
+  d.setUTCMonth(d.getUTCMonth() + n);
+  const last = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+  d.setUTCDate(Math.min(day, last));
+  return isoOf(d);
+}
+function addDaysISO(iso, n) {
+  const d = utc(iso);
+  d.setUTCDate(d.getUTCDate() + n);
+  return isoOf(d);
+}
+
+// Start of the financial year containing dateISO, per policy.financialYear
+function fyStartFor(dateISO, fy) {
+  const y = Number(dateISO.slice(0, 4));
+  const start = `${y}-${pad2(fy.startMonth)}-${pad2(fy.startDay)}`;
+  return dateISO >= start ? start : `${y - 1}-${pad2(fy.startMonth)}-${pad2(fy.startDay)}`;
+}
+
+function fyLabel(startISO) {
+  const y = Number(startISO.slice(0, 4));
+  return startISO.slice(5) === "01-01" ? `FY ${y}` : `FY ${y}-${String(y + 1).slice(2)}`;
+}
+
+/**
+ * Column definitions for compare mode. Each column carries `baseKey`,
+ * the column its variance is measured against (null → no variance).
+ */
+function buildCompareColumns(mode, from, to, fy) {
+  if (mode === "yoy") {
+    const prevFrom = addMonthsISO(from, -12);
+    const prevTo   = addMonthsISO(to, -12);
+    return [
+      { key: "current",  label: `${from} to ${to}`,         from,           to,           baseKey: "previous" },
+      { key: "previous", label: `${prevFrom} to ${prevTo}`, from: prevFrom, to: prevTo, baseKey: null },
+    ];
+  }
+
+  const fyStart = fyStartFor(to, fy);
+  const step = mode === "quarterly" ? 3 : 1;
+  const cols = [];
+  for (let i = 0; i < 12; i += step) {
+    const pFrom = addMonthsISO(fyStart, i);
+    const pTo   = addDaysISO(addMonthsISO(fyStart, i + step), -1);
+    const key = mode === "quarterly" ? `Q${i / 3 + 1}` : pFrom.slice(0, 7);
+    const label = mode === "quarterly"
+      ? `Q${i / 3 + 1} ${fyLabel(fyStart)}`
+      : `${MONTHS[Number(pFrom.slice(5, 7)) - 1]} ${pFrom.slice(0, 4)}`;
+    cols.push({ key, label, from: pFrom, to: pTo, baseKey: cols.length ? cols[cols.length - 1].key : null });
+  }
+  return cols;
+}
+
+function variance(cur, base) {
+  if (base === null || base === undefined) return null;
+  const amount = round2(cur - base);
+  const pct = isTiny(base) ? null : round2((amount / Math.abs(base)) * 100);
+  return { amount, pct };
+}
+
+/**
+ * GET /api/reports/pl?compare=monthly|quarterly|yoy&from=&to=
+ * - monthly / quarterly: the financial year containing `to`, one column per period,
+ *   variance against the preceding column.
+ * - yoy: [from, to] against the same dates one year earlier.
+ */
+async function profitAndLossCompare(req, res, sid, mode) {
+  if (!COMPARE_MODES.has(mode)) {
+    return res.status(400).json({ ok: false, error: `compare must be one of: ${[...COMPARE_MODES].join(", ")}` });
+  }
+
+  const fy = {
+    startMonth: Number(defPolicy.financialYear?.startMonth) || 4,
+    startDay:   Number(defPolicy.financialYear?.startDay)   || 1,
+  };
+
+  // yoy defaults to financial year-to-date
+  const to   = normalizeDate(req.query.to || req.body?.to);
+  const from = mode === "yoy"
+    ? normalizeDate(req.query.from || req.body?.from || fyStartFor(to, fy))
+    : null;
+  const columns = buildCompareColumns(mode, from, to, fy);
+
+  // One pass per column; the row set is the union of accounts across columns.
+  const byAccount = new Map(); // account -> { type, values[] }
+  for (let i = 0; i < columns.length; i++) {
+    const rows = await pnlAccountRows(sid, columns[i].from, columns[i].to);
+    for (const r of rows) {
+      if (!byAccount.has(r.account)) {
+        byAccount.set(r.account, { type: r.type, values: columns.map(() => 0) });
+      }
+      byAccount.get(r.account).values[i] = round2(r.amount);
+    }
+  }
+
+  const idx = new Map(columns.map((c, i) => [c.key, i]));
+  const withVariance = (values) =>
+    columns.map((c, i) => (c.baseKey ? variance(values[i], values[idx.get(c.baseKey)]) : null));
+
+  const section = (type) =>
+    [...byAccount.entries()]
+      .filter(([, v]) => v.type === type && v.values.some(x => !isTiny(x)))
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([account, v]) => ({ account, values: v.values, variance: withVariance(v.values) }));
+
+  const income   = section("income");
+  const expenses = section("expense");
+
+  const colTotal = (arr, i) => sum(arr, r => r.values[i]);
+  const totalsIncome   = columns.map((_, i) => colTotal(income, i));
+  const totalsExpenses = columns.map((_, i) => colTotal(expenses, i));
+  const totalsNet      = columns.map((_, i) => round2(totalsIncome[i] - totalsExpenses[i]));
+
+  const spanFrom = columns.reduce((m, c) => (c.from < m ? c.from : m), columns[0].from);
+  const spanTo   = columns.reduce((m, c) => (c.to   > m ? c.to   : m), columns[0].to);
+
+  return res.json({
+    ok: true,
+    compare: mode,
+    from: mode === "yoy" ? from : columns[0].from,
+    to:   mode === "yoy" ? to   : columns[columns.length - 1].to,
+    financialYear: fy,
+    columns,
+    income,
+    expenses,
+    totals: {
+      income:   totalsIncome,
+      expenses: totalsExpenses,
+      net:      totalsNet,
+    },
+    variance: {
+      income:   withVariance(totalsIncome),
+      expenses: withVariance(totalsExpenses),
+      net:      withVariance(totalsNet),
+    },
+    diagnostics: { untyped: await pnlUntyped(sid, spanFrom, spanTo) },
+  });
+}
+
 /* ======================================================================
  * BALANCE SHEET — guaranteed to tally
  * ==================================================================== */
@@ -470,3 +649,404 @@ export async function balanceSheet(req, res) {
     return res.status(500).json({ ok: false, error: err.message });
   }
 }
+
+/* ======================================================================
+ * ACCOUNT STATEMENT
+ * ==================================================================== */
+
+// Resolve a ledger by name or code (tenant-first, GLOBAL fallback).
+async function resolveAccount(sid, account) {
+  const hasSid = await hasCoaSessionId();
+  const r = hasSid
+    ? await query(
+        `SELECT account_code, name, LOWER(COALESCE(type,'')) AS type,
+                LOWER(COALESCE(normal_balance,'')) AS normal_balance
+           FROM chart_of_accounts
+          WHERE (LOWER(name) = LOWER($2) OR account_code = $2)
+            AND (
+                  ($1 IS NULL AND session_id = 'GLOBAL')
+               OR ($1 IS NOT NULL AND (session_id = $1 OR session_id = 'GLOBAL'))
+                )
+          ORDER BY CASE WHEN session_id = $1 THEN 0 ELSE 1 END
+          LIMIT 1`,
+        [sid, account]
+      )
+    : await query(
+        `SELECT account_code, name, LOWER(COALESCE(type,'')) AS type,
+                LOWER(COALESCE(normal_balance,'')) AS normal_balance
+           FROM chart_of_accounts
+          WHERE LOWER(name) = LOWER($1) OR account_code = $1
+          LIMIT 1`,
+        [account]
+      );
+  return (r.rows || [])[0] || null;
+}
+
+/**
+ * GET /api/reports/account-statement?account=&from=&to=
+ * Opening balance, each posting with contra account / narration / document number
+ * and a running balance, then the closing balance. Balances are signed by the
+ * ledger's normal_balance (debit-normal: Dr − Cr, credit-normal: Cr − Dr).
+ */
+export async function accountStatement(req, res) {
+  try {
+    if (typeof req.sessionId === "undefined") {
+      return res.status(500).json({ ok: false, error: "Tenant middleware not initialized." });
+    }
+    const sid = req.sessionId ?? null;
+
+    const account = String(req.query.account || req.body?.account || "").trim();
+    if (!account) return res.status(400).json({ ok: false, error: "account is required" });
+
+    const from = normalizeDate(req.query.from || req.body?.from || "1900-01-01");
+    const to   = normalizeDate(req.query.to   || req.body?.to);
+    if (from > to) return res.status(400).json({ ok: false, error: "from must be on or before to" });
+
+    // Postings are only accepted against typed CoA ledgers (012 triggers), so no match means no such account.
+    const coa = await resolveAccount(sid, account);
+    if (!coa) return res.status(404).json({ ok: false, error: `Unknown account: ${account}` });
+    // Postings store ledger names; accept either the name or the code the caller passed.
+    const names = [...new Set([account, coa?.name, coa?.account_code].filter(Boolean))];
+    const normal = coa?.normal_balance === "credit" ? "credit" : "debit";
+    const sign = normal === "credit" ? -1 : 1; // applied to (Dr − Cr)
+
+    const DATE_NORMALIZER = await getDateNormalizerCTE();
+    const AMT = await amountCentsExpr("le");
+
+    // $2..$4 are the account aliases (padded so the SQL shape is fixed)
+    const alias = [names[0], names[1] ?? names[0], names[2] ?? names[0]];
+    const isAcct = (col) => `LOWER(${col}) IN (LOWER($2), LOWER($3), LOWER($4))`;
+
+    const open = await query(
+      `
+      ${DATE_NORMALIZER}
+      SELECT COALESCE(SUM(CASE WHEN ${isAcct("le.debit_account")}  THEN ${AMT} ELSE 0 END), 0) AS dr,
+             COALESCE(SUM(CASE WHEN ${isAcct("le.credit_account")} THEN ${AMT} ELSE 0 END), 0) AS cr
+        FROM le
+       WHERE le.txn_date < $5
+         AND (${isAcct("le.debit_account")} OR ${isAcct("le.credit_account")})
+      `,
+      [sid, ...alias, from]
+    );
+    const o = (open.rows || [])[0] || {};
+    const openingCents = sign * (Number(o.dr || 0) - Number(o.cr || 0));
+
+    const r = await query(
+      `
+      ${DATE_NORMALIZER}
+      SELECT le.id, le.txn_date, le.debit_account, le.credit_account, le.narration,
+             ${AMT} AS amt_cents, le.created_at, d.number AS document_number, d.doc_type AS document_type
+        FROM le
+        LEFT JOIN documents d
+               ON d.id = le.document_id
+              AND ($1 IS NULL OR d.session_id = $1)
+       WHERE le.txn_date BETWEEN $5 AND $6
+         AND (${isAcct("le.debit_account")} OR ${isAcct("le.credit_account")})
+       ORDER BY le.txn_date, le.created_at, le.id
+      `,
+      [sid, ...alias, from, to]
+    );
+
+    const lower = new Set(names.map(n => n.toLowerCase()));
+    let running = openingCents;
+    let drTotal = 0, crTotal = 0;
+    const rows = (r.rows || []).map(x => {
+      const cents = Number(x.amt_cents || 0);
+      const isDebit = lower.has(String(x.debit_account || "").toLowerCase());
+      const dr = isDebit ? cents : 0;
+      const cr = isDebit ? 0 : cents;
+      drTotal += dr;
+      crTotal += cr;
+      running += sign * (dr - cr);
+      return {
+        id: x.id,
+        date: x.txn_date,
+        contra_account: isDebit ? x.credit_account : x.debit_account,
+        narration: x.narration || "",
+        document_number: x.document_number || null,
+        document_type: x.document_type || null,
+        debit: round2(dr / 100),
+        credit: round2(cr / 100),
+        balance: round2(running / 100),
+      };
+    });
+
+    return res.json({
+      ok: true,
+      account: coa?.name || account,
+      account_code: coa?.account_code || null,
+      type: coa?.type || null,
+      normal_balance: normal,
+      from,
+      to,
+      opening_balance: round2(openingCents / 100),
+      rows,
+      totals: { debit: round2(drTotal / 100), credit: round2(crTotal / 100) },
+      closing_balance: round2(running / 100),
+    });
+  } catch (err) {
+    console.error("Account statement error", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+}
+
+/* ======================================================================
+ * AR / AP AGEING
+ * ==================================================================== */
+
+const AGEING_SIDES = {
+  ar: { parent: "Debtors (Accounts Receivable)", chargeSide: "debit" },
+  ap: { parent: "Creditors (Accounts Payable)",  chargeSide: "credit" },
+};
+
+function partyLabel(ledger, parent) {
+  const name = String(ledger || "");
+  if (!name.toLowerCase().startsWith(parent.toLowerCase())) return name;
+  return name.slice(parent.length).replace(/^\s*[-:]\s*/, "") || name;
+}
+
+/**
+ * Party-wise ageing as of a date. Party ledgers are the children of the AR/AP
+ * parent ("Debtors (Accounts Receivable) - Acme"). Charges are aged from the
+ * linked document's date (fallback: posting date). Bill-wise allocations are
+ * applied first; settlements without allocations are knocked off FIFO.
+ */
+async function partyAgeing(req, res, side) {
+  try {
+    if (typeof req.sessionId === "undefined") {
+      return res.status(500).json({ ok: false, error: "Tenant middleware not initialized." });
+    }
+    const sid = req.sessionId ?? null;
+    const cfg = AGEING_SIDES[side];
+    const asOf = normalizeDate(req.query.asOf || req.body?.asOf || req.query.to || req.body?.to);
+
+    const DATE_NORMALIZER = await getDateNormalizerCTE();
+    const AMT = await amountCentsExpr("le");
+    const isParty = (col) => `(${col} IN (SELECT name FROM parties) OR LOWER(${col}) LIKE LOWER($4))`;
+    // Party ledgers of this workspace (plus GLOBAL); $1 NULL is the admin ALL scope
+    const inScope = (await hasCoaSessionId())
+      ? (alias) => `AND ($1 IS NULL OR ${alias}.session_id = $1 OR ${alias}.session_id = 'GLOBAL')`
+      : () => "";
+
+    const r = await query(
+      `
+      ${DATE_NORMALIZER}
+      , parties AS (
+        SELECT DISTINCT c.name
+          FROM chart_of_accounts c
+         WHERE c.parent_code IN (
+                 SELECT p.account_code FROM chart_of_accounts p WHERE LOWER(p.name) = LOWER($3) ${inScope("p")}
+               )
+           ${inScope("c")}
+      )
+      SELECT le.id, le.session_id, le.txn_date, le.debit_account, le.credit_account,
+             ${AMT} AS amt_cents, le.document_id,
+             d.date AS doc_date, d.number AS document_number,
+             CASE WHEN ${isParty("le.debit_account")}  THEN 1 ELSE 0 END AS dr_party,
+             CASE WHEN ${isParty("le.credit_account")} THEN 1 ELSE 0 END AS cr_party
+        FROM le
+        LEFT JOIN documents d
+               ON d.id = le.document_id
+              AND ($1 IS NULL OR d.session_id = $1)
+       WHERE le.txn_date <= $2
+         AND (${isParty("le.debit_account")} OR ${isParty("le.credit_account")})
+       ORDER BY le.txn_date, le.created_at, le.id
+      `,
+      [sid, asOf, cfg.parent, `${cfg.parent} - %`]
+    );
+
+    // key: session + ledger (admin ALL scope must not mix tenants)
+    const byParty = new Map();
+    const bucketOf = (sessionId, ledger) => {
+      const k = `${sessionId}\u0000${ledger}`;
+      if (!byParty.has(k)) byParty.set(k, { session_id: sessionId, ledger, charges: [], settlements: [] });
+      return byParty.get(k);
+    };
+
+    for (const x of r.rows || []) {
+      const cents = Number(x.amt_cents || 0);
+      const legs = [];
+      if (Number(x.dr_party)) legs.push({ ledger: x.debit_account,  side: "debit" });
+      if (Number(x.cr_party)) legs.push({ ledger: x.credit_account, side: "credit" });
+      for (const leg of legs) {
+        const p = bucketOf(x.session_id, leg.ledger);
+        if (leg.side === cfg.chargeSide) {
+          p.charges.push({
+            ledger_id: x.id,
+            document_id: x.document_id,
+            document_number: x.document_number,
+            date: String(x.doc_date || x.txn_date).slice(0, 10),
+            cents,
+          });
+        } else {
+          p.settlements.push({ document_id: x.document_id, cents });
+        }
+      }
+    }
+
+    // Bill-wise allocations (026); settlements without them are knocked off FIFO
+    const allocByParty = new Map();
+    for (const a of await loadAllocations(sid)) {
+      const k = `${a.session_id}\u0000${String(a.party_ledger).toLowerCase()}`;
+      if (!allocByParty.has(k)) allocByParty.set(k, []);
+      allocByParty.get(k).push(a);
+    }
+
+    const totals = emptyBuckets();
+    let totalOutstanding = 0, totalUnapplied = 0;
+    const parties = [];
+    for (const p of byParty.values()) {
+      const allocations = allocByParty.get(`${p.session_id}\u0000${p.ledger.toLowerCase()}`) || [];
+      const { items, unapplied_cents } = settleParty({ charges: p.charges, settlements: p.settlements, allocations });
+      const { buckets, open } = ageItems(items, asOf);
+      const outstanding = Object.values(buckets).reduce((a, b) => a + b, 0);
+      if (!outstanding && !unapplied_cents) continue;
+
+      for (const b of AGE_BUCKETS) totals[b.key] += buckets[b.key];
+      totalOutstanding += outstanding;
+      totalUnapplied += unapplied_cents;
+
+      parties.push({
+        party: partyLabel(p.ledger, cfg.parent),
+        ledger: p.ledger,
+        ...(sid === null ? { session_id: p.session_id } : {}),
+        buckets: Object.fromEntries(AGE_BUCKETS.map(b => [b.key, round2(buckets[b.key] / 100)])),
+        outstanding: round2(outstanding / 100),
+        on_account: round2(unapplied_cents / 100),
+        open_items: open.map(it => ({
+          date: it.date,
+          document_id: it.document_id,
+          document_number: it.document_number,
+          amount: round2(it.cents / 100),
+          outstanding: round2(it.outstanding_cents / 100),
+          days: it.days,
+          bucket: it.bucket,
+        })),
+      });
+    }
+    parties.sort((a, b) => b.outstanding - a.outstanding || a.party.localeCompare(b.party));
+
+    return res.json({
+      ok: true,
+      kind: side,
+      asOf,
+      buckets: AGE_BUCKETS.map(b => b.key),
+      parties,
+      totals: {
+        buckets: Object.fromEntries(AGE_BUCKETS.map(b => [b.key, round2(totals[b.key] / 100)])),
+        outstanding: round2(totalOutstanding / 100),
+        on_account: round2(totalUnapplied / 100),
+      },
+    });
+  } catch (err) {
+    console.error(`${side.toUpperCase()} ageing error`, err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+}
+
+/** GET /api/reports/ar-ageing?asOf= */
+export const arAgeing = (req, res) => partyAgeing(req, res, "ar");
+
+/** GET /api/reports/ap-ageing?asOf= */
+export const apAgeing = (req, res) => partyAgeing(req, res, "ap");
+
+/* ======================================================================
+ * BANK RECONCILIATION STATEMENT
+ * ==================================================================== */
+
+const BRS_SECTIONS = [
+  { key: "chequesNotPresented", label: "Add: Cheques issued but not presented", sign: 1 },
+  { key: "depositsNotCredited", label: "Less: Deposits not yet credited", sign: -1 },
+  { key: "bankDebits",          label: "Less: Debited by bank, not in books (charges)", sign: -1 },
+  { key: "bankCredits",         label: "Add: Credited by bank, not in books (interest)", sign: 1 },
+];
+
+function brsWorkbook(r) {
+  const units = (c) => round2(Number(c || 0) / 100);
+  const rows = [
+    ["Bank Reconciliation Statement"],
+    ["Bank account", `${r.bankAccount.name}${r.bankAccount.account_no ? ` (${r.bankAccount.account_no})` : ""}`],
+    ["Ledger", r.bankLedger],
+    ["As of", r.asOf],
+    [],
+    ["Balance as per books", "", "", units(r.book_cents)],
+  ];
+  for (const s of BRS_SECTIONS) {
+    const sec = r.sections[s.key];
+    rows.push([s.label, "", "", s.sign * units(sec.total_cents)]);
+    for (const x of sec.rows) rows.push(["", x.date, x.document_number || x.narration || "", units(Math.abs(x.cents))]);
+  }
+  rows.push(
+    [],
+    ["Adjusted balance", "", "", units(r.adjusted_cents)],
+    ["Balance as per bank statement", "", "", units(r.statement.closing_cents)],
+    ["  Opening balance", "", "", units(r.statement.opening_cents)],
+    ["  Statement movements", "", "", units(r.statement.movements_cents)],
+    ["Unexplained difference", "", "", units(r.difference_cents)],
+  );
+  const wb = XLSX.utils.book_new();
+  const ws = XLSX.utils.aoa_to_sheet(rows);
+  ws["!cols"] = [{ wch: 46 }, { wch: 12 }, { wch: 40 }, { wch: 16 }];
+  XLSX.utils.book_append_sheet(wb, ws, "BRS");
+  return XLSX.write(wb, { type: "buffer", bookType: "xlsx" });
+}
+
+/**
+ * GET /api/reports/brs?bankAccountId=&asOf=&format=json|xlsx
+ * Balance as per books → cheques not presented, deposits not credited, bank-only debits and
+ * credits → balance as per statement (opening_balance_cents + statement lines to asOf).
+ * difference is what the listed items leave unexplained; 0 when the account is reconciled.
+ */
+export async function bankReconciliationStatement(req, res) {
+  try {
+    if (typeof req.sessionId === "undefined") {
+      return res.status(500).json({ ok: false, error: "Tenant middleware not initialized." });
+    }
+    const sid = req.sessionId;
+    if (sid === null) return res.status(400).json({ ok: false, error: "workspace_required" });
+
+    const bankAccountId = String(req.query.bankAccountId || "").trim();
+    if (!bankAccountId) return res.status(400).json({ ok: false, error: "bankAccountId is required" });
+    const asOf = normalizeDate(req.query.asOf);
+
+    const r = await brsReport(sid, { bankAccountId, asOf });
+
+    if (String(req.query.format || "").toLowerCase() === "xlsx") {
+      const name = `BRS_${String(r.bankAccount.name || bankAccountId).replace(/[^A-Za-z0-9._-]/g, "_")}_${asOf}.xlsx`;
+      res.setHeader("Content-Disposition", `attachment; filename="${name}"`);
+      res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+      return res.status(200).send(brsWorkbook(r));
+    }
+
+    const units = (c) => round2(Number(c || 0) / 100);
+    const shapeRow = ({ cents, ...x }) => ({ ...x, amount: units(Math.abs(cents)) });
+    return res.json({
+      ok: true,
+      asOf,
+      bankAccount: r.bankAccount,
+      bankLedger: r.bankLedger,
+      bookBalance: units(r.book_cents),
+      sections: BRS_SECTIONS.map(s => ({
+        key: s.key,
+        label: s.label,
+        sign: s.sign,
+        total: units(r.sections[s.key].total_cents),
+        rows: r.sections[s.key].rows.map(shapeRow),
+      })),
+      adjustedBalance: units(r.adjusted_cents),
+      statement: {
+        opening: units(r.statement.opening_cents),
+        movements: units(r.statement.movements_cents),
+        closing: units(r.statement.closing_cents),
+      },
+      difference: units(r.difference_cents),
+      reconciled: r.difference_cents === 0,
+      broughtForward: { before: r.brought_forward.before, count: r.brought_forward.count, amount: units(r.brought_forward.cents) },
+      excluded: { count: r.excluded.count, amount: units(r.excluded.cents) },
+    });
+  } catch (err) {
+    if (err?.http) return res.status(err.http).json({ ok: false, error: err.message });
+    console.error("BRS error", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+}
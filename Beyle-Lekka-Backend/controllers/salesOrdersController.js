@@ -0,0 +1,152 @@
+// controllers/salesOrdersController.js
+import {
+  listSalesDocuments, getSalesDocument, createQuotation, createOrder, convertQuotation,
+  cancelSalesDocument, draftOrderInvoice, pendingOrders,
+} from "../services/salesOrders.js";
+
+/* ------------------------ helpers ------------------------ */
+
+const units = (c) => (c == null ? null : Math.round(Number(c)) / 100);
+
+function requireTenant(req, res) {
+  if (typeof req.sessionId === "undefined") {
+    res.status(500).json({ ok: false, error: "Tenant middleware not initialized." });
+    return null;
+  }
+  if (req.sessionId === null) {
+    res.status(400).json({ ok: false, error: "workspace_required" });
+    return null;
+  }
+  return req.sessionId;
+}
+
+function fail(res, where, err) {
+  if (err?.http) return res.status(err.http).json({ ok: false, error: err.message, ...(err.details ? { errors: err.details } : {}) });
+  console.error(`${where} error`, err);
+  return res.status(500).json({ ok: false, error: err.message });
+}
+
+const userOf = (req) => req.user?.id || req.body?.userId || null;
+
+/** *_cents → units (key without the suffix); the stored docModel is passed through as is */
+function shape(o) {
+  if (Array.isArray(o)) return o.map(shape);
+  if (!o || typeof o !== "object") return o;
+  const out = {};
+  for (const [k, v] of Object.entries(o)) {
+    if (k.endsWith("_cents")) out[k.slice(0, -6)] = units(v);
+    else if (k === "docModel") out[k] = v;
+    else out[k] = v && typeof v === "object" ? shape(v) : v;
+  }
+  return out;
+}
+
+/* ------------------------ quotations and orders ------------------------ */
+
+/** GET /api/sales/documents?docType=quotation|sales_order&status=&party=&from=&to= */
+export async function getSalesDocuments(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const { docType = null, status = null, party = null, from = null, to = null } = req.query || {};
+    return res.json({ ok: true, documents: shape(await listSalesDocuments(sid, { docType, status, party, from, to })) });
+  } catch (err) {
+    return fail(res, "getSalesDocuments", err);
+  }
+}
+
+/** GET /api/sales/documents/:id — with line progress and invoices for orders */
+export async function getSalesDocumentOne(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    return res.json({ ok: true, document: shape(await getSalesDocument(sid, String(req.params.id))) });
+  } catch (err) {
+    return fail(res, "getSalesDocument", err);
+  }
+}
+
+/**
+ * POST /api/sales/quotations
+ * { date?, validUntil?, buyer, buyerAddress?, customerGSTIN?, placeOfSupply?, customerPO?, note?,
+ *   items: [{ itemId | code | name, qty, rate, gstRate?, hsn?, uom? }] }
+ */
+export async function postQuotation(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const doc = await createQuotation(sid, req.body || {}, userOf(req));
+    return res.status(201).json({ ok: true, document: shape(doc) });
+  } catch (err) {
+    return fail(res, "postQuotation", err);
+  }
+}
+
+/**
+ * POST /api/sales/orders
+ * { date?, deliveryDate?, customerPO?, note?, quotationId? } plus, without a quotation, the party
+ * and items as for a quotation.
+ */
+export async function postOrder(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const doc = await createOrder(sid, req.body || {}, userOf(req));
+    return res.status(201).json({ ok: true, document: shape(doc) });
+  } catch (err) {
+    return fail(res, "postOrder", err);
+  }
+}
+
+/** POST /api/sales/quotations/:id/convert { date?, deliveryDate?, customerPO?, note? } → the new order */
+export async function postQuotationConvert(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const doc = await convertQuotation(sid, String(req.params.id), req.body || {}, userOf(req));
+    return res.status(201).json({ ok: true, document: shape(doc) });
+  } catch (err) {
+    return fail(res, "postQuotationConvert", err);
+  }
+}
+
+/** POST /api/sales/documents/:id/cancel { reason? } */
+export async function postSalesDocumentCancel(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const doc = await cancelSalesDocument(sid, String(req.params.id), req.body || {}, userOf(req));
+    return res.json({ ok: true, document: shape(doc) });
+  } catch (err) {
+    return fail(res, "postSalesDocumentCancel", err);
+  }
+}
+
+/**
+ * POST /api/sales/orders/:id/invoice-draft { date?, dueDate?, items?: [{ line, qty? }] }
+ * → invoice preview for what is left on the order (or the lines given); confirm via /confirmAndSaveEntry.
+ */
+export async function postOrderInvoiceDraft(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const draft = await draftOrderInvoice(sid, String(req.params.id), req.body || {}, userOf(req));
+    return res.json({ ok: true, ...draft });
+  } catch (err) {
+    return fail(res, "postOrderInvoiceDraft", err);
+  }
+}
+
+/* ------------------------ report ------------------------ */
+
+/** GET /api/reports/pending-orders?asOf=&party= */
+export async function getPendingOrders(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const out = await pendingOrders(sid, { asOf: req.query?.asOf || null, party: req.query?.party || null });
+    return res.json({ ok: true, ...shape(out) });
+  } catch (err) {
+    return fail(res, "getPendingOrders", err);
+  }
+}
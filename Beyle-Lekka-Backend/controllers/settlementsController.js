@@ -0,0 +1,149 @@
+// controllers/settlementsController.js
+import { query } from "../services/db.js";
+import {
+  PARTY_PARENTS,
+  isPartyLedger,
+  openItemsForParty,
+  findDocumentRef,
+} from "../services/settlements.js";
+
+/* ------------------------ helpers ------------------------ */
+
+const round2 = (n) => Math.round((Number(n || 0) + Number.EPSILON) * 100) / 100;
+const units = (c) => round2(Number(c || 0) / 100);
+
+function requireTenant(req, res) {
+  if (typeof req.sessionId === "undefined") {
+    res.status(500).json({ ok: false, error: "Tenant middleware not initialized." });
+    return null;
+  }
+  if (req.sessionId === null) {
+    res.status(400).json({ ok: false, error: "workspace_required" });
+    return null;
+  }
+  return req.sessionId;
+}
+
+// Accept either the full ledger ("Debtors (Accounts Receivable) - Acme") or the bare party name.
+function partyLedgerFor(party, side) {
+  const p = String(party || "").trim();
+  if (!p) return null;
+  return isPartyLedger(p, side) ? p : `${PARTY_PARENTS[side]} - ${p}`;
+}
+
+function shapeItem(it) {
+  return {
+    document_id: it.document_id,
+    document_number: it.document_number,
+    date: it.date,
+    amount: units(it.cents),
+    allocated: units(it.allocated_cents),
+    settled_fifo: units(it.settled_cents),
+    outstanding: units(it.outstanding_cents),
+  };
+}
+
+/* ------------------------ endpoints ------------------------ */
+
+/**
+ * GET /api/settlements/outstanding?party=&side=ar|ap&asOf=&all=1
+ * Invoice-wise outstanding for one party (bill-wise allocations first, FIFO for the rest).
+ * Fully settled items are omitted unless all=1.
+ */
+export async function partyOutstanding(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+
+    const side = String(req.query.side || "ar").toLowerCase();
+    if (!PARTY_PARENTS[side]) return res.status(400).json({ ok: false, error: "side must be ar or ap" });
+
+    const ledger = partyLedgerFor(req.query.party, side);
+    if (!ledger) return res.status(400).json({ ok: false, error: "party is required" });
+
+    const asOf = /^\d{4}-\d{2}-\d{2}$/.test(String(req.query.asOf || "")) ? String(req.query.asOf) : null;
+    const showAll = String(req.query.all || "") === "1";
+
+    const { items, unapplied_cents } = await openItemsForParty(sid, side, ledger, { asOf });
+    const list = items.filter(it => showAll || it.outstanding_cents > 0).map(shapeItem);
+
+    return res.json({
+      ok: true,
+      side,
+      party: ledger,
+      asOf,
+      items: list,
+      totals: {
+        outstanding: units(items.reduce((s, it) => s + it.outstanding_cents, 0)),
+        on_account: units(unapplied_cents),
+      },
+    });
+  } catch (err) {
+    console.error("partyOutstanding error", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+}
+
+/**
+ * GET /api/settlements/invoices/:id
+ * Outstanding for one invoice (id or number) and the settlements allocated to it.
+ */
+export async function invoiceOutstanding(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+
+    const ref = String(req.params.id || "").trim();
+    const doc = (await findDocumentRef(sid, { id: ref })) || (await findDocumentRef(sid, { number: ref }));
+    if (!doc) return res.status(404).json({ ok: false, error: "invoice_not_found" });
+
+    // Find the party ledger the document charged
+    const { rows } = await query(
+      `SELECT debit_account, credit_account FROM ledger_entries WHERE session_id = $1 AND document_id = $2`,
+      [sid, doc.id]
+    );
+    let side = null, ledger = null;
+    for (const r of rows || []) {
+      if (isPartyLedger(r.debit_account, "ar"))  { side = "ar"; ledger = r.debit_account;  break; }
+      if (isPartyLedger(r.credit_account, "ap")) { side = "ap"; ledger = r.credit_account; break; }
+    }
+    if (!ledger) {
+      return res.status(422).json({ ok: false, error: "Document does not charge a party ledger" });
+    }
+
+    const { items } = await openItemsForParty(sid, side, ledger);
+    const item = items.find(it => it.document_id === doc.id);
+
+    let allocations = [];
+    try {
+      const a = await query(
+        `SELECT sa.settlement_doc_id, d.number AS settlement_number, d.doc_type AS settlement_type,
+                d.date AS settlement_date, sa.amount_cents
+           FROM settlement_allocations sa
+           LEFT JOIN documents d ON d.id = sa.settlement_doc_id
+          WHERE sa.session_id = $1 AND sa.invoice_doc_id = $2
+          ORDER BY d.date, sa.created_at`,
+        [sid, doc.id]
+      );
+      allocations = (a.rows || []).map(r => ({
+        settlement_doc_id: r.settlement_doc_id,
+        number: r.settlement_number,
+        doc_type: r.settlement_type,
+        date: r.settlement_date,
+        amount: units(r.amount_cents),
+      }));
+    } catch {}
+
+    return res.json({
+      ok: true,
+      side,
+      party: ledger,
+      invoice: { id: doc.id, number: doc.number, doc_type: doc.doc_type, date: doc.date },
+      ...(item ? shapeItem(item) : { amount: 0, allocated: 0, settled_fifo: 0, outstanding: 0 }),
+      allocations,
+    });
+  } catch (err) {
+    console.error("invoiceOutstanding error", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+}
@@ -0,0 +1,201 @@
+// controllers/tdsController.js
+import defPolicy from "../utils/validation/policies/default.json" with { type: "json" };
+import {
+  listDeductees, upsertDeductee, listChallans, createChallan,
+  loadClearingPayments, prepare26Q, deductorFromEnv,
+} from "../services/tds26q.js";
+import { build26QText, quarterOf } from "../utils/tax/tds26q.js";
+
+/* ------------------------ helpers ------------------------ */
+
+const units = (c) => Math.round(Number(c || 0)) / 100;
+const ISO = /^\d{4}-\d{2}-\d{2}$/;
+
+function requireTenant(req, res) {
+  if (typeof req.sessionId === "undefined") {
+    res.status(500).json({ ok: false, error: "Tenant middleware not initialized." });
+    return null;
+  }
+  if (req.sessionId === null) {
+    res.status(400).json({ ok: false, error: "workspace_required" });
+    return null;
+  }
+  return req.sessionId;
+}
+
+function fail(res, where, err) {
+  if (err?.http) return res.status(err.http).json({ ok: false, error: err.message });
+  console.error(`${where} error`, err);
+  return res.status(500).json({ ok: false, error: err.message });
+}
+
+// ?fy=2025&quarter=Q1 (fy = FY start year); defaults to the quarter containing today
+function quarterParams(req) {
+  const startMonth = defPolicy?.financialYear?.startMonth || 4;
+  const cur = quarterOf(new Date().toISOString().slice(0, 10), startMonth);
+  const fy = /^\d{4}$/.test(String(req.query.fy || "")) ? Number(req.query.fy) : cur.fy;
+  const quarter = String(req.query.quarter || cur.quarter).toUpperCase();
+  return { fy, quarter };
+}
+
+function shapeChallan(c) {
+  return {
+    id: c.id,
+    bsr_code: c.bsr_code,
+    challan_serial: c.challan_serial,
+    deposit_date: c.deposit_date,
+    section: c.section,
+    tds: units(c.tds_cents),
+    interest: units(c.interest_cents),
+    fee: units(c.fee_cents),
+    others: units(c.others_cents),
+    amount: units(c.amount_cents),
+    payment_document_id: c.payment_document_id,
+    ledger_entry_id: c.ledger_entry_id,
+  };
+}
+
+/* ------------------------ deductees ------------------------ */
+
+/** GET /api/tds/deductees */
+export async function getDeductees(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    return res.json({ ok: true, deductees: await listDeductees(sid) });
+  } catch (err) {
+    return fail(res, "getDeductees", err);
+  }
+}
+
+/** POST /api/tds/deductees { pan, name, section?, partyLedger?, deducteeCode? } (upsert by PAN + section) */
+export async function saveDeductee(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const b = req.body || {};
+    const out = await upsertDeductee(sid, {
+      pan: b.pan, name: b.name, section: b.section || null,
+      partyLedger: b.partyLedger || b.party_ledger || null,
+      deducteeCode: b.deducteeCode || b.deductee_code || null,
+    });
+    return res.status(out.created ? 201 : 200).json({ ok: true, ...out });
+  } catch (err) {
+    return fail(res, "saveDeductee", err);
+  }
+}
+
+/* ------------------------ challans ------------------------ */
+
+/** GET /api/tds/challans?from=&to= */
+export async function getChallans(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const from = ISO.test(String(req.query.from || "")) ? String(req.query.from) : null;
+    const to = ISO.test(String(req.query.to || "")) ? String(req.query.to) : null;
+    const rows = await listChallans(sid, { from, to });
+    return res.json({ ok: true, challans: rows.map(shapeChallan) });
+  } catch (err) {
+    return fail(res, "getChallans", err);
+  }
+}
+
+/**
+ * POST /api/tds/challans
+ * { bsrCode, challanSerial, depositDate, tds, interest?, fee?, others?, amount?, section?,
+ *   paymentDocumentId? | ledgerEntryId? }
+ */
+export async function saveChallan(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const out = await createChallan(sid, { ...(req.body || {}), userId: req.user?.id || req.body?.userId || null });
+    return res.status(201).json({ ok: true, ...out });
+  } catch (err) {
+    if (/UNIQUE/i.test(String(err?.message))) {
+      return res.status(409).json({ ok: false, error: "Challan already recorded (BSR code, serial, date)" });
+    }
+    return fail(res, "saveChallan", err);
+  }
+}
+
+/** GET /api/tds/clearing-payments?unlinked=1 — TDS Payable payments to link challans to */
+export async function getClearingPayments(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const to = ISO.test(String(req.query.to || "")) ? String(req.query.to) : new Date().toISOString().slice(0, 10);
+    let rows = await loadClearingPayments(sid, { to });
+    if (String(req.query.unlinked || "") === "1") rows = rows.filter(r => !r.challan_id);
+    return res.json({ ok: true, payments: rows.map(r => ({ ...r, amount: units(r.amount_cents) })) });
+  } catch (err) {
+    return fail(res, "getClearingPayments", err);
+  }
+}
+
+/* ------------------------ 26Q ------------------------ */
+
+/** GET /api/tds/26q?fy=2025&quarter=Q1 — deductee/challan data with exception flags */
+export async function form26Q(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const { fy, quarter } = quarterParams(req);
+    const data = await prepare26Q(sid, { fy, quarter, policy: defPolicy });
+
+    return res.json({
+      ok: true,
+      fy, quarter, from: data.from, to: data.to,
+      deductor: deductorFromEnv(),
+      deductions: data.deductions.map(d => ({
+        document_id: d.document_id,
+        document_number: d.document_number,
+        ledger_entry_id: d.ledger_entry_id,
+        date: d.date,
+        payee: d.payee,
+        pan: d.deductee?.pan || null,
+        section: d.section,
+        paid: units(d.paid_cents),
+        tds: units(d.tds_cents),
+        deposited: units(d.tds_cents - d.unallocated_cents),
+        due_date: d.due_date,
+        deposit_date: d.deposit_date,
+        late: d.late,
+        interest: units(d.interest_cents),
+        challan_ids: d.challans.map(c => c.challan_id),
+      })),
+      challans: data.challans.map(c => ({ ...shapeChallan(c), used_this_quarter: units(c.used_cents), deductees: c.rows.length })),
+      flags: data.flags,
+      totals: {
+        tds: units(data.totals.tds_cents),
+        deposited: units(data.totals.deposited_cents),
+        interest: units(data.totals.interest_cents),
+      },
+    });
+  } catch (err) {
+    return fail(res, "form26Q", err);
+  }
+}
+
+/** GET /api/tds/26q/file?fy=&quarter= — NSDL text file for the return preparation utility */
+export async function form26QFile(req, res) {
+  try {
+    const sid = requireTenant(req, res);
+    if (!sid) return;
+    const { fy, quarter } = quarterParams(req);
+    const data = await prepare26Q(sid, { fy, quarter, policy: defPolicy });
+    const deductor = deductorFromEnv();
+    const text = build26QText({
+      deductor, fy, quarter, challans: data.challans,
+      createdOn: new Date().toISOString().slice(0, 10),
+    });
+    const name = `26Q_${deductor.tan || "TAN"}_${fy}-${String((fy + 1) % 100).padStart(2, "0")}_${quarter}.txt`;
+    res.setHeader("Content-Disposition", `attachment; filename="${name}"`);
+    res.setHeader("Content-Type", "text/plain");
+    if (data.flags.no_challan.length) res.setHeader("X-TDS-Unallocated", String(data.flags.no_challan.length));
+    return res.status(200).send(text);
+  } catch (err) {
+    return fail(res, "form26QFile", err);
+  }
+}
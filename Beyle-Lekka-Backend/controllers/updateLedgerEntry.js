@@ -1,11 +1,18 @@
 // controllers/updateLedgerEntry.js
-import { query } from "../services/db.js";
+import { randomUUID, createHash } from "crypto";
+import { query, withTx } from "../services/db.js";
 import { ensureLedgerExists } from "../utils/coaService.js";
+import { writeAudit } from "../services/audit.js";
 
 /**
  * POST /api/ledger/update
- * Body: { id, transaction_date, debit_account, credit_account, amount, narration }
- * - amount is in ₹ (units); we store paise in amount_cents when present.
+ * Body: { id, transaction_date, debit_account, credit_account, amount, narration, reason? }
+ * - amount is in ₹ (units); we store paise in amount_cents.
+ * - Posted entries are never edited in place. The original row stays untouched and we post:
+ *     1) a contra pair (debit/credit swapped, same amount/date) with reverses_id = original.id
+ *     2) the corrected pair with amends_id = original.id
+ *   Both rows carry the original document_id and a uniq_hash (migration 020) scoped to the link,
+ *   so a retried request cannot double-post.
  */
 
 function toUnits(n) {
@@ -51,10 +58,34 @@ async function detectLedgerColumns() {
   _ledCols = {
     hasAmountCents: cols.includes("amount_cents"),
     hasAmount: cols.includes("amount"),
+    hasUniqHash: cols.includes("uniq_hash"),
+    hasDocumentId: cols.includes("document_id"),
+    hasLinks: cols.includes("reverses_id") && cols.includes("amends_id"),
   };
   return _ledCols;
 }
 
+// Same content basis as confirmAndSaveEntry.contentHashOfPair, tagged with the link
+// so a correction that repeats the original content does not collide with it.
+function linkedContentHash(sid, pair, tag) {
+  const base = [
+    sid,
+    String(pair.transaction_date || "").slice(0, 10),
+    String(pair.debit_account || "").trim().toLowerCase(),
+    String(pair.credit_account || "").trim().toLowerCase(),
+    pair.amount_cents,
+    String(pair.narration || "").trim(),
+    tag,
+  ].join("|");
+  return createHash("sha256").update(base).digest("hex");
+}
+
+function httpError(status, message) {
+  const e = new Error(message);
+  e.http = status;
+  return e;
+}
+
 // -----------------------------------------------------------------------------
 
 export const updateLedgerEntry = async (req, res) => {
@@ -75,6 +106,7 @@ export const updateLedgerEntry = async (req, res) => {
       credit_account,
       amount,
       narration,
+      reason,
     } = req.body || {};
 
     if (!id) return res.status(400).json({ ok: false, error: "id is required" });
@@ -104,48 +136,121 @@ export const updateLedgerEntry = async (req, res) => {
     }
     const amount_cents = Math.round(units * 100);
 
+    const cols = await detectLedgerColumns();
+    if (!cols.hasLinks) {
+      return res
+        .status(500)
+        .json({ ok: false, error: "ledger_entries is missing reverses_id/amends_id (run migrations)" });
+    }
+
     // Ensure COA accounts exist in THIS workspace (helps reports immediately)
     await ensureLedgerExists(debit, sid);
     await ensureLedgerExists(credit, sid);
 
-    // Build dynamic SET clause based on available columns
-    const { hasAmountCents, hasAmount } = await detectLedgerColumns();
+    const userId = req.user?.id || req.body?.userId || null;
 
-    const baseParams = [sid, id]; // $1 = sid, $2 = id
-    const sets = [];
-    const params = [];
+    const result = await withTx(async (exec) => {
+      const run = exec || query;
 
-    const pushSet = (col, val) => {
-      const idx = baseParams.length + params.length + 1; // starts at $3
-      sets.push(`${col} = $${idx}`);
-      params.push(val);
-    };
+      const cur = await run(
+        `SELECT id, debit_account, credit_account, amount_cents, narration, transaction_date,
+                ${cols.hasDocumentId ? "document_id" : "NULL AS document_id"},
+                reverses_id, amends_id
+           FROM ledger_entries
+          WHERE id = $1 AND session_id = $2
+          LIMIT 1`,
+        [id, sid]
+      );
+      const orig = cur.rows?.[0];
+      if (!orig) throw httpError(404, "Ledger entry not found");
+      if (orig.reverses_id) throw httpError(409, "Reversal entries cannot be amended");
 
-    pushSet("transaction_date", date);
-    pushSet("debit_account", debit);
-    pushSet("credit_account", credit);
+      const rev = await run(
+        `SELECT id FROM ledger_entries WHERE session_id = $1 AND reverses_id = $2 LIMIT 1`,
+        [sid, orig.id]
+      );
+      if (rev.rows?.length) {
+        throw httpError(409, "Ledger entry was already reversed; amend the latest correction instead");
+      }
 
-    if (hasAmountCents) pushSet("amount_cents", amount_cents);
-    if (hasAmount)      pushSet("amount", units);
+      const reversal = {
+        id: randomUUID(),
+        debit_account: orig.credit_account,
+        credit_account: orig.debit_account,
+        amount_cents: Number(orig.amount_cents),
+        narration: `Reversal of ${orig.id}${orig.narration ? ` (${orig.narration})` : ""}`,
+        transaction_date: String(orig.transaction_date).slice(0, 10),
+        reverses_id: orig.id,
+        amends_id: null,
+      };
+      const corrected = {
+        id: randomUUID(),
+        debit_account: debit,
+        credit_account: credit,
+        amount_cents,
+        narration: String(narration ?? ""),
+        transaction_date: date,
+        reverses_id: null,
+        amends_id: orig.id,
+      };
 
-    pushSet("narration", narration ?? "");
+      for (const [row, tag] of [[reversal, `reverses:${orig.id}`], [corrected, `amends:${orig.id}`]]) {
+        const c = ["id", "session_id", "debit_account", "credit_account", "amount_cents", "narration",
+                   "transaction_date", "reverses_id", "amends_id"];
+        const v = [row.id, sid, row.debit_account, row.credit_account, row.amount_cents, row.narration,
+                   row.transaction_date, row.reverses_id, row.amends_id];
+        if (cols.hasAmount)     { c.push("amount");      v.push(row.amount_cents / 100); }
+        if (cols.hasDocumentId) { c.push("document_id"); v.push(orig.document_id || null); }
+        if (cols.hasUniqHash)   { c.push("uniq_hash");   v.push(linkedContentHash(sid, row, tag)); }
+        const ph = c.map((_, i) => `$${i + 1}`).join(",");
+        await run(`INSERT INTO ledger_entries (${c.join(",")}) VALUES (${ph})`, v);
+      }
 
-    const sql = `
-      UPDATE ledger_entries
-         SET ${sets.join(",\n             ")}
-       WHERE id = $2
-         AND ($1 IS NULL OR session_id = $1)
-    `;
+      await writeAudit(
+        {
+          sessionId: sid,
+          userId,
+          action: "amend_ledger_entry",
+          entity: "ledger_entries",
+          entityId: orig.id,
+          details: {
+            reason: reason ? String(reason) : null,
+            reversal_id: reversal.id,
+            amendment_id: corrected.id,
+            before: {
+              transaction_date: orig.transaction_date,
+              debit_account: orig.debit_account,
+              credit_account: orig.credit_account,
+              amount_cents: Number(orig.amount_cents),
+              narration: orig.narration,
+            },
+            after: {
+              transaction_date: corrected.transaction_date,
+              debit_account: corrected.debit_account,
+              credit_account: corrected.credit_account,
+              amount_cents: corrected.amount_cents,
+              narration: corrected.narration,
+            },
+          },
+        },
+        run
+      );
 
-    const result = await query(sql, [...baseParams, ...params]);
-    const changed = result?.changes ?? result?.rowCount ?? 0;
+      return { originalId: orig.id, reversalId: reversal.id, amendmentId: corrected.id };
+    });
 
-    if (!changed) {
-      // Not found in this workspace (or no-op update)
-      return res.status(404).json({ ok: false, error: "Ledger entry not found" });
-    }
-    return res.status(200).json({ ok: true, updated: changed });
+    return res.status(200).json({ ok: true, ...result });
   } catch (err) {
+    if (err?.http) {
+      return res.status(err.http).json({ ok: false, error: err.message });
+    }
+    const msg = String(err?.message || "");
+    if (/period[_ ]closed/i.test(msg)) {
+      return res.status(409).json({ ok: false, error: "Posting blocked: period closed" });
+    }
+    if (/unique/i.test(msg) && /uniq|reverses/i.test(msg)) {
+      return res.status(409).json({ ok: false, error: "Ledger entry was already reversed" });
+    }
     console.error("updateLedgerEntry error:", err);
     return res
       .status(500)
@@ -9,6 +9,8 @@ import path from "path";
 import { fileURLToPath } from "url";
 import * as CoA from "./utils/coaService.js";
 import adminRoutes from "./routes/admin.js";
+import authRoutes from "./routes/auth.js";
+import { authenticate } from "./middleware/auth.js";
 import { randomUUID } from "crypto";
 
 /* ---------- Flags & Health ---------- */
@@ -231,8 +233,12 @@ if (!fs.existsSync(FILES_DIR)) {
 }
 app.use("/files", express.static(FILES_DIR));
 
-/* ---------- Admin routes (before main API) ---------- */
+/* ---------- Authentication (Bearer JWT → req.user; anonymous passes through) ---------- */
+app.use(authenticate());
+
+/* ---------- Admin & auth routes (before main API) ---------- */
 app.use("/api/admin", adminRoutes);
+app.use("/api/auth", authRoutes);
 
 /* ---------- Health / Ready / Healthz / Metrics ---------- */
 app.get("/health", (_req, res) => {
@@ -0,0 +1,74 @@
+// middleware/auth.js
+// authenticate(): Bearer JWT → req.user (and the request context used by audit/memory writers).
+// can(permission): per-route check against the caller's role in the active workspace
+// (req.user.role, resolved by tenantStub). Anonymous calls pass only while auth is not
+// enforced (development without AUTH_REQUIRED=true).
+import { verifyJwt } from "../utils/auth/jwt.js";
+import { roleCan } from "../utils/auth/permissions.js";
+import { getUser, jwtSecret, authEnforced } from "../services/auth.js";
+import { runWithContext } from "../services/requestContext.js";
+
+function bearer(req) {
+  const h = String(req.headers.authorization || "");
+  const m = h.match(/^Bearer\s+(.+)$/i);
+  return m ? m[1].trim() : null;
+}
+
+export function authenticate() {
+  return async (req, res, next) => {
+    const token = bearer(req);
+    if (!token) return runWithContext({ user: null }, next);
+
+    let payload;
+    try {
+      payload = verifyJwt(token, jwtSecret());
+    } catch (err) {
+      const code = err.message === "token_expired" ? "token_expired" : "invalid_token";
+      return res.status(401).json({ ok: false, error: code });
+    }
+
+    try {
+      const u = await getUser(payload.sub);
+      if (!u || !Number(u.is_active)) return res.status(401).json({ ok: false, error: "invalid_token" });
+      req.user = {
+        id: u.id,
+        email: u.email,
+        name: u.name,
+        roles: Number(u.is_superadmin) ? ["superadmin"] : [],
+        workspace: payload.ws || null, // API-token logins may be pinned to one workspace
+        role: null,                     // set by tenantStub for the active workspace
+      };
+      return runWithContext({ user: req.user }, next);
+    } catch (err) {
+      console.error("[auth] middleware error:", err);
+      return res.status(500).json({ ok: false, error: "auth_middleware_failed" });
+    }
+  };
+}
+
+/** Require a signed-in user (regardless of workspace). */
+export function requireUser(req, res, next) {
+  if (req.user) return next();
+  return res.status(401).json({ ok: false, error: "auth_required" });
+}
+
+export function can(permission) {
+  return (req, res, next) => {
+    if (!req.user) {
+      if (!authEnforced()) return next();
+      return res.status(401).json({ ok: false, error: "auth_required" });
+    }
+    if (req.user.roles?.includes("superadmin")) return next();
+    if (req.sessionId === null) {
+      // ALL scope (already gated by tenantStub) is read-only
+      if (permission === "read") return next();
+      return res.status(403).json({ ok: false, error: "forbidden", permission });
+    }
+    const role = req.user.role;
+    if (!role) return res.status(403).json({ ok: false, error: "not_a_member" });
+    if (!roleCan(role, permission)) {
+      return res.status(403).json({ ok: false, error: "forbidden", permission, role });
+    }
+    return next();
+  };
+}
@@ -1,5 +1,6 @@
 // middleware/tenant.js
 import { randomUUID } from "crypto";
+import { authEnforced, roleIn } from "../services/auth.js";
 
 const SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
 
@@ -70,6 +71,22 @@ export function tenantStub() {
           .json({ ok: false, error: "workspace_required" });
       }
 
+      // --- Authenticated callers must belong to the workspace (see middleware/auth.js)
+      if (!req.user && authEnforced()) {
+        return res.status(401).json({ ok: false, error: "auth_required" });
+      }
+      let role = null;
+      if (req.user && sid) {
+        if (req.user.workspace && req.user.workspace !== sid) {
+          return res.status(403).json({ ok: false, error: "token_workspace_mismatch" });
+        }
+        role = await roleIn(req.user.id, sid);
+        if (!role && !isSuperadmin) {
+          return res.status(403).json({ ok: false, error: "not_a_member" });
+        }
+        req.user.role = role;
+      }
+
       // Attach to request for downstream code
       req.sessionId = sid;                 // used in WHERE clauses
       req.sessionIdForInsert = sid;        // REQUIRED for inserts; controllers must reject if null
@@ -78,6 +95,7 @@ export function tenantStub() {
         isAll: wantsAll,
         allowAll,
         allowAllWrites,
+        role,
       };
 
       // --- Postgres: set per-transaction variables for optional RLS
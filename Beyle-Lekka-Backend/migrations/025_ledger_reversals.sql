@@ -0,0 +1,31 @@
+-- 025_ledger_reversals.sql
+-- Posted entries are corrected by reverse-and-repost instead of in-place UPDATE.
+--   reverses_id : set on the contra pair that cancels an original entry
+--   amends_id   : set on the corrected pair that replaces an original entry
+BEGIN;
+
+ALTER TABLE ledger_entries ADD COLUMN reverses_id TEXT;
+ALTER TABLE ledger_entries ADD COLUMN amends_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_amends
+  ON ledger_entries(session_id, amends_id);
+
+/* An entry can be reversed at most once. */
+CREATE UNIQUE INDEX IF NOT EXISTS ux_ledger_entries_reverses
+  ON ledger_entries(reverses_id)
+  WHERE reverses_id IS NOT NULL;
+
+/* Expose the links on the compatibility view (see 005). */
+DROP VIEW IF EXISTS ledger_entries_view;
+CREATE VIEW ledger_entries_view AS
+SELECT
+  id, session_id, debit_account, credit_account,
+  (amount_cents / 100.0) AS amount,
+  narration, transaction_date, document_id, created_at,
+  reverses_id, amends_id
+FROM ledger_entries;
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity
+  ON audit_log(session_id, entity, entity_id);
+
+COMMIT;
@@ -0,0 +1,31 @@
+-- 026_settlement_allocations.sql
+-- Bill-wise settlement: how a receipt / payment voucher is applied to open invoices.
+--   kind = 'invoice'    → amount knocked off invoice_doc_id
+--   kind = 'on_account' → advance / unallocated remainder (invoice_doc_id NULL)
+-- Settlements without any rows here are knocked off FIFO (legacy behaviour).
+PRAGMA foreign_keys = ON;
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS settlement_allocations (
+  id                TEXT PRIMARY KEY,
+  session_id        TEXT NOT NULL,
+  settlement_doc_id TEXT NOT NULL REFERENCES documents(id),
+  invoice_doc_id    TEXT REFERENCES documents(id),
+  party_ledger      TEXT NOT NULL,
+  kind              TEXT NOT NULL CHECK (kind IN ('invoice','on_account')),
+  amount_cents      INTEGER NOT NULL CHECK (amount_cents > 0),
+  created_at        TEXT NOT NULL DEFAULT (datetime('now')),
+  CHECK ((kind = 'invoice' AND invoice_doc_id IS NOT NULL) OR (kind = 'on_account' AND invoice_doc_id IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_alloc_sid_invoice
+  ON settlement_allocations(session_id, invoice_doc_id);
+CREATE INDEX IF NOT EXISTS idx_alloc_sid_settlement
+  ON settlement_allocations(session_id, settlement_doc_id);
+CREATE INDEX IF NOT EXISTS idx_alloc_sid_party
+  ON settlement_allocations(session_id, party_ledger);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_sid_doc
+  ON ledger_entries(session_id, document_id);
+
+COMMIT;
@@ -0,0 +1,12 @@
+-- 027_document_payload.sql
+-- Keep the confirmed docModel (items, GSTINs, place of supply, HSN…) on the document
+-- so statutory returns and reprints do not depend on preview snapshots.
+PRAGMA foreign_keys = ON;
+BEGIN;
+
+ALTER TABLE documents ADD COLUMN payload_json TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_documents_sid_type_date
+  ON documents(session_id, doc_type, date);
+
+COMMIT;
@@ -0,0 +1,29 @@
+-- 028_import_rows_gstr2b.sql
+-- Allow GSTR-2B supplier documents to be staged in import_rows (entity_type 'gstr2b_doc').
+-- SQLite cannot alter a CHECK constraint, so the table is rebuilt.
+PRAGMA foreign_keys = OFF;
+BEGIN;
+
+CREATE TABLE import_rows_new (
+  id TEXT PRIMARY KEY,
+  batch_id TEXT NOT NULL,
+  row_index INTEGER NOT NULL,
+  entity_type TEXT NOT NULL CHECK (entity_type IN ('journal_line','pair','bank_txn','gstr2b_doc')),
+  raw_json TEXT,
+  normalized_json TEXT NOT NULL,
+  status TEXT NOT NULL CHECK (status IN ('NEW','NORMALIZED','INVALID')) DEFAULT 'NORMALIZED',
+  error TEXT,
+  FOREIGN KEY(batch_id) REFERENCES import_batches(id) ON DELETE CASCADE
+);
+
+INSERT INTO import_rows_new (id, batch_id, row_index, entity_type, raw_json, normalized_json, status, error)
+SELECT id, batch_id, row_index, entity_type, raw_json, normalized_json, status, error FROM import_rows;
+
+DROP TABLE import_rows;
+ALTER TABLE import_rows_new RENAME TO import_rows;
+
+CREATE INDEX IF NOT EXISTS idx_import_rows_batch ON import_rows(batch_id);
+CREATE INDEX IF NOT EXISTS idx_import_rows_batch_type ON import_rows(batch_id, entity_type);
+
+COMMIT;
+PRAGMA foreign_keys = ON;
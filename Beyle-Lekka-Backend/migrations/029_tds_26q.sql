@@ -0,0 +1,44 @@
+-- 029_tds_26q.sql
+-- TDS return (Form 26Q) support:
+--   tds_deductees → deductee master (PAN, name, default section), matched to payees by name / party ledger
+--   tds_challans  → government deposits (BSR code + challan serial + deposit date), linked to the
+--                   TDS Payable clearing payment (document or ledger entry) that paid them
+-- Deductions themselves are read from TDS Payable credits in ledger_entries.
+PRAGMA foreign_keys = ON;
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS tds_deductees (
+  id            TEXT PRIMARY KEY,
+  session_id    TEXT NOT NULL,
+  pan           TEXT NOT NULL,
+  name          TEXT NOT NULL,
+  section       TEXT,
+  party_ledger  TEXT,
+  deductee_code TEXT NOT NULL DEFAULT '02' CHECK (deductee_code IN ('01','02')), -- 01 company, 02 other
+  created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at    TEXT NOT NULL DEFAULT (datetime('now')),
+  UNIQUE(session_id, pan, section)
+);
+CREATE INDEX IF NOT EXISTS idx_tds_deductees_sid_name ON tds_deductees(session_id, name);
+
+CREATE TABLE IF NOT EXISTS tds_challans (
+  id                  TEXT PRIMARY KEY,
+  session_id          TEXT NOT NULL,
+  bsr_code            TEXT NOT NULL CHECK (length(bsr_code) = 7),
+  challan_serial      TEXT NOT NULL,
+  deposit_date        TEXT NOT NULL,
+  section             TEXT,                         -- optional: restrict to one section
+  tds_cents           INTEGER NOT NULL CHECK (tds_cents >= 0),
+  interest_cents      INTEGER NOT NULL DEFAULT 0,
+  fee_cents           INTEGER NOT NULL DEFAULT 0,
+  others_cents        INTEGER NOT NULL DEFAULT 0,
+  amount_cents        INTEGER NOT NULL CHECK (amount_cents > 0), -- total deposited
+  payment_document_id TEXT REFERENCES documents(id),
+  ledger_entry_id     TEXT,
+  created_by          TEXT,
+  created_at          TEXT NOT NULL DEFAULT (datetime('now')),
+  UNIQUE(session_id, bsr_code, challan_serial, deposit_date)
+);
+CREATE INDEX IF NOT EXISTS idx_tds_challans_sid_date ON tds_challans(session_id, deposit_date);
+
+COMMIT;
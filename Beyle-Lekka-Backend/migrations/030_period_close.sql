@@ -0,0 +1,26 @@
+-- 030_period_close.sql
+-- Period close / year-end:
+--   closed_periods   → who closed the period and the kind of close ('period' or 'year_end');
+--                      the lock itself is still enforced by trg_block_closed (see 019)
+--   opening_balances → balance-sheet balances carried forward into the next financial year,
+--                      snapshotted by the year-end routine after income/expense are closed
+--                      into Reserves & Surplus (debit-positive cents)
+-- Reopen reasons live in audit_log (action 'reopen_period').
+PRAGMA foreign_keys = ON;
+BEGIN;
+
+ALTER TABLE closed_periods ADD COLUMN closed_by TEXT;
+ALTER TABLE closed_periods ADD COLUMN kind TEXT NOT NULL DEFAULT 'period';
+
+CREATE TABLE IF NOT EXISTS opening_balances (
+  session_id          TEXT NOT NULL,
+  fy                  INTEGER NOT NULL,             -- FY start year the balances open
+  as_of               TEXT NOT NULL,                -- first day of that FY
+  account             TEXT NOT NULL,
+  balance_cents       INTEGER NOT NULL,             -- debit-positive
+  source_document_id  TEXT,                         -- the year_end_close document
+  created_at          TEXT NOT NULL DEFAULT (datetime('now')),
+  PRIMARY KEY (session_id, fy, account)
+);
+
+COMMIT;
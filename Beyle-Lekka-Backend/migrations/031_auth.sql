@@ -0,0 +1,48 @@
+-- 031_auth.sql
+-- Authentication and per-workspace access:
+--   users        → login identities (scrypt password hash); is_superadmin replaces the shared
+--                  DEV_ADMIN_KEY for admin routes and the ALL scope in production
+--   api_tokens   → long-lived tokens exchanged for a JWT at /api/auth/login; only a sha256 of the
+--                  token is stored, optionally pinned to one workspace
+--   memberships  → user ↔ workspace (session_id) with a role
+-- audit_log.user_id / memory_log.user_id hold users.id.
+PRAGMA foreign_keys = ON;
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS users (
+  id             TEXT PRIMARY KEY,
+  email          TEXT NOT NULL,
+  name           TEXT,
+  password_hash  TEXT,                              -- NULL → API-token only
+  is_superadmin  INTEGER NOT NULL DEFAULT 0,
+  is_active      INTEGER NOT NULL DEFAULT 1,
+  last_login_at  TEXT,
+  created_at     TEXT NOT NULL DEFAULT (datetime('now'))
+);
+CREATE UNIQUE INDEX IF NOT EXISTS ux_users_email ON users(lower(email));
+
+CREATE TABLE IF NOT EXISTS api_tokens (
+  id            TEXT PRIMARY KEY,
+  user_id       TEXT NOT NULL REFERENCES users(id),
+  name          TEXT,
+  token_hash    TEXT NOT NULL UNIQUE,
+  prefix        TEXT NOT NULL,                      -- first characters, to tell tokens apart
+  session_id    TEXT,                               -- NULL → any workspace the user belongs to
+  expires_at    TEXT,
+  last_used_at  TEXT,
+  revoked_at    TEXT,
+  created_at    TEXT NOT NULL DEFAULT (datetime('now'))
+);
+CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens(user_id);
+
+CREATE TABLE IF NOT EXISTS memberships (
+  user_id     TEXT NOT NULL REFERENCES users(id),
+  session_id  TEXT NOT NULL,
+  role        TEXT NOT NULL CHECK (role IN ('owner','accountant','data-entry','viewer','auditor')),
+  created_by  TEXT,
+  created_at  TEXT NOT NULL DEFAULT (datetime('now')),
+  PRIMARY KEY (user_id, session_id)
+);
+CREATE INDEX IF NOT EXISTS idx_memberships_sid ON memberships(session_id);
+
+COMMIT;
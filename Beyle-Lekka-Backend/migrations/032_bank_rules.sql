@@ -0,0 +1,35 @@
+-- 032_bank_rules.sql
+-- Per-workspace bank rules: an unmatched statement line whose narration (contains / regex),
+-- amount range and direction match a rule is drafted as a journal against `counter_account`
+-- (inflow: Dr bank / Cr counter; outflow: Dr counter / Cr bank) and goes through the usual
+-- preview → confirm path. On confirm the line is matched to the posted entry and rule_id set.
+--   source = 'learned' → proposed from past matches (confirmMatch decisions)
+PRAGMA foreign_keys = ON;
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS bank_rules (
+  id                 TEXT PRIMARY KEY,
+  session_id         TEXT NOT NULL,
+  bank_account_id    TEXT,                           -- NULL → any bank account of the workspace
+  name               TEXT NOT NULL,
+  match_type         TEXT NOT NULL DEFAULT 'contains' CHECK (match_type IN ('contains','regex')),
+  pattern            TEXT NOT NULL,
+  direction          TEXT NOT NULL DEFAULT 'any' CHECK (direction IN ('in','out','any')),
+  min_amount_cents   INTEGER,
+  max_amount_cents   INTEGER,
+  counter_account    TEXT NOT NULL,
+  narration_template TEXT,                           -- "{narration}" → statement narration
+  priority           INTEGER NOT NULL DEFAULT 100,   -- lower runs first
+  is_active          INTEGER NOT NULL DEFAULT 1,
+  source             TEXT NOT NULL DEFAULT 'manual' CHECK (source IN ('manual','learned')),
+  hits               INTEGER NOT NULL DEFAULT 0,
+  last_used_at       TEXT,
+  created_by         TEXT,
+  created_at         TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at         TEXT NOT NULL DEFAULT (datetime('now'))
+);
+CREATE INDEX IF NOT EXISTS idx_bank_rules_sid ON bank_rules(session_id, is_active, priority);
+
+ALTER TABLE bank_statement_lines ADD COLUMN rule_id TEXT;
+
+COMMIT;
@@ -0,0 +1,36 @@
+-- 033_reco_match_groups.sql
+-- Bank reconciliation match groups: N statement lines ↔ M ledger entries whose signed sums agree
+-- (a deposit covering several receipts, an invoice paid in two transfers). A 1:1 match is a
+-- group of one each. bank_statement_lines.matched_ledger_id keeps the first ledger entry of the
+-- group for older readers; match_group_id points at the group.
+--   amount_cents on items is signed as seen from the bank: + inflow, − outflow
+PRAGMA foreign_keys = ON;
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS reco_match_groups (
+  id                 TEXT PRIMARY KEY,
+  session_id         TEXT NOT NULL,
+  bank_account_id    TEXT NOT NULL REFERENCES bank_accounts(id),
+  bank_total_cents   INTEGER NOT NULL,
+  ledger_total_cents INTEGER NOT NULL,
+  note               TEXT,
+  created_by         TEXT,
+  created_at         TEXT NOT NULL DEFAULT (datetime('now'))
+);
+CREATE INDEX IF NOT EXISTS idx_reco_groups_sid_acct ON reco_match_groups(session_id, bank_account_id);
+
+CREATE TABLE IF NOT EXISTS reco_match_items (
+  group_id      TEXT NOT NULL REFERENCES reco_match_groups(id),
+  session_id    TEXT NOT NULL,
+  kind          TEXT NOT NULL CHECK (kind IN ('bank','ledger')),
+  ref_id        TEXT NOT NULL,                      -- bank_statement_lines.id | ledger_entries.id
+  amount_cents  INTEGER NOT NULL,
+  PRIMARY KEY (group_id, kind, ref_id)
+);
+-- a line or entry belongs to at most one group
+CREATE UNIQUE INDEX IF NOT EXISTS ux_reco_items_ref ON reco_match_items(session_id, kind, ref_id);
+
+ALTER TABLE bank_statement_lines ADD COLUMN match_group_id TEXT;
+ALTER TABLE bank_statement_lines ADD COLUMN excluded_reason TEXT;
+
+COMMIT;
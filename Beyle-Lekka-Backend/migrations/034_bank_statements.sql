@@ -0,0 +1,36 @@
+-- 034_bank_statements.sql
+-- Imported bank statements (OFX/QFX, CAMT.053, MT940, CSV): one row per statement in a file with
+-- the opening / closing balances the bank reported. Lines land in bank_statement_lines with
+-- statement_id; ext_ref (the bank's reference) dedupes re-imports per bank account.
+--   balance_ok → opening + Σ lines = closing (NULL when the file carries no balances)
+PRAGMA foreign_keys = ON;
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS bank_statements (
+  id                TEXT PRIMARY KEY,
+  session_id        TEXT NOT NULL,
+  bank_account_id   TEXT NOT NULL REFERENCES bank_accounts(id),
+  format            TEXT NOT NULL,                  -- import profile id
+  file_id           TEXT,
+  batch_id          TEXT,
+  statement_ref     TEXT,                           -- :20: / Stmt/Id
+  account_ref       TEXT,                           -- account as printed in the file
+  currency          TEXT,
+  period_from       TEXT,
+  period_to         TEXT,
+  opening_date      TEXT,
+  opening_cents     INTEGER,
+  closing_date      TEXT,
+  closing_cents     INTEGER,
+  lines_total       INTEGER NOT NULL DEFAULT 0,
+  lines_imported    INTEGER NOT NULL DEFAULT 0,
+  lines_duplicate   INTEGER NOT NULL DEFAULT 0,
+  balance_ok        INTEGER,
+  created_at        TEXT NOT NULL DEFAULT (datetime('now'))
+);
+CREATE INDEX IF NOT EXISTS idx_bank_statements_acct ON bank_statements(session_id, bank_account_id, period_to);
+
+ALTER TABLE bank_statement_lines ADD COLUMN statement_id TEXT;
+CREATE INDEX IF NOT EXISTS idx_bank_lines_ext_ref ON bank_statement_lines(session_id, bank_account_id, ext_ref);
+
+COMMIT;
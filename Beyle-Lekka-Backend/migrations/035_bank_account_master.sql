@@ -0,0 +1,18 @@
+-- 035_bank_account_master.sql
+-- Bank accounts become workspace master data: each one posts to a CoA ledger
+-- (ledger_account, e.g. "Bank - HDFC") and may carry an OD/OCC facility (account_facilities).
+PRAGMA foreign_keys = ON;
+BEGIN;
+
+ALTER TABLE bank_accounts ADD COLUMN ledger_account TEXT;
+ALTER TABLE bank_accounts ADD COLUMN facility_id TEXT REFERENCES account_facilities(id);
+ALTER TABLE bank_accounts ADD COLUMN bank_name TEXT;
+ALTER TABLE bank_accounts ADD COLUMN branch TEXT;
+ALTER TABLE bank_accounts ADD COLUMN account_type TEXT;          -- SAVINGS | CURRENT | OD | OCC
+ALTER TABLE bank_accounts ADD COLUMN opening_date TEXT;          -- date opening_balance_cents is as of
+ALTER TABLE bank_accounts ADD COLUMN is_active INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE bank_accounts ADD COLUMN updated_at TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_bank_accounts_sid_ledger ON bank_accounts(session_id, ledger_account);
+
+COMMIT;
@@ -0,0 +1,134 @@
+-- 036_facility_limits.sql
+-- OD/OCC/loan facilities managed through the API: sanction details, status and a dated limit
+-- history (sanction letters change limits mid-year). The limit in force on a date is the latest
+-- facility_limits row with effective_from <= date; account_facilities.limit_cents mirrors the
+-- newest one and stays the fallback for facilities without history.
+PRAGMA foreign_keys = OFF;
+BEGIN;
+
+ALTER TABLE account_facilities ADD COLUMN status TEXT NOT NULL DEFAULT 'active';   -- active | closed
+ALTER TABLE account_facilities ADD COLUMN lender TEXT;
+ALTER TABLE account_facilities ADD COLUMN sanction_ref TEXT;
+ALTER TABLE account_facilities ADD COLUMN closed_on TEXT;
+ALTER TABLE account_facilities ADD COLUMN close_reason TEXT;
+
+CREATE TABLE IF NOT EXISTS facility_limits (
+  id              TEXT PRIMARY KEY,
+  session_id      TEXT NOT NULL,
+  facility_id     TEXT NOT NULL REFERENCES account_facilities(id),
+  effective_from  TEXT NOT NULL,                 -- 'YYYY-MM-DD'
+  limit_cents     INTEGER NOT NULL,
+  sanction_ref    TEXT,
+  reason          TEXT,
+  created_by      TEXT,
+  created_at      TEXT NOT NULL DEFAULT (datetime('now'))
+);
+CREATE UNIQUE INDEX IF NOT EXISTS ux_facility_limits_from ON facility_limits(facility_id, effective_from);
+
+-- Existing facilities start their history with the limit they have today
+INSERT INTO facility_limits (id, session_id, facility_id, effective_from, limit_cents, reason)
+SELECT lower(hex(randomblob(16))), session_id, id, COALESCE(valid_from, '1900-01-01'), limit_cents, 'initial'
+  FROM account_facilities;
+
+-- Outflow guard triggers (019) read the limit in force on the transaction date
+DROP TRIGGER IF EXISTS trg_block_overflow_insert;
+DROP TRIGGER IF EXISTS trg_block_overflow_update;
+
+CREATE TRIGGER trg_block_overflow_insert
+BEFORE INSERT ON ledger_entries
+FOR EACH ROW
+WHEN (
+  LOWER(NEW.credit_account) LIKE '%bank%' OR
+  LOWER(NEW.credit_account) LIKE '%cash%' OR
+  LOWER(NEW.credit_account) LIKE '%loan%'
+)
+BEGIN
+  SELECT
+    CASE
+      WHEN (
+        COALESCE((
+          SELECT
+            COALESCE(SUM(CASE WHEN debit_account  = NEW.credit_account THEN amount_cents ELSE 0 END),0)
+            - COALESCE(SUM(CASE WHEN credit_account = NEW.credit_account THEN amount_cents ELSE 0 END),0)
+          FROM ledger_entries
+          WHERE transaction_date <= NEW.transaction_date
+            AND (NEW.session_id IS NULL OR session_id = NEW.session_id)
+        ), 0)
+        +
+        COALESCE((
+          SELECT COALESCE((
+                   SELECT fl.limit_cents FROM facility_limits fl
+                    WHERE fl.facility_id = f.id AND fl.effective_from <= NEW.transaction_date
+                    ORDER BY fl.effective_from DESC LIMIT 1
+                 ), f.limit_cents)
+            FROM account_facilities f
+           WHERE f.primary_account = NEW.credit_account
+             AND (NEW.session_id IS NULL OR f.session_id = NEW.session_id)
+             AND (f.valid_from IS NULL OR f.valid_from <= NEW.transaction_date)
+             AND (f.valid_to   IS NULL OR f.valid_to   >= NEW.transaction_date)
+           LIMIT 1
+        ), 0)
+        -
+        COALESCE((
+          SELECT COALESCE(SUM(amount_cents),0)
+            FROM funds_holds
+           WHERE account = NEW.credit_account
+             AND hold_date = NEW.transaction_date
+             AND (NEW.session_id IS NULL OR session_id = NEW.session_id)
+             AND expires_at > datetime('now')
+        ),0)
+      ) < NEW.amount_cents
+      THEN RAISE(ABORT, 'Insufficient funds/facility headroom for outflow')
+    END;
+END;
+
+CREATE TRIGGER trg_block_overflow_update
+BEFORE UPDATE OF amount_cents, credit_account, transaction_date, session_id ON ledger_entries
+FOR EACH ROW
+WHEN (
+  LOWER(NEW.credit_account) LIKE '%bank%' OR
+  LOWER(NEW.credit_account) LIKE '%cash%' OR
+  LOWER(NEW.credit_account) LIKE '%loan%'
+)
+BEGIN
+  SELECT
+    CASE
+      WHEN (
+        COALESCE((
+          SELECT
+            COALESCE(SUM(CASE WHEN debit_account  = NEW.credit_account THEN amount_cents ELSE 0 END),0)
+            - COALESCE(SUM(CASE WHEN credit_account = NEW.credit_account THEN amount_cents ELSE 0 END),0)
+          FROM ledger_entries
+          WHERE transaction_date <= NEW.transaction_date
+            AND (NEW.session_id IS NULL OR session_id = NEW.session_id)
+        ), 0)
+        +
+        COALESCE((
+          SELECT COALESCE((
+                   SELECT fl.limit_cents FROM facility_limits fl
+                    WHERE fl.facility_id = f.id AND fl.effective_from <= NEW.transaction_date
+                    ORDER BY fl.effective_from DESC LIMIT 1
+                 ), f.limit_cents)
+            FROM account_facilities f
+           WHERE f.primary_account = NEW.credit_account
+             AND (NEW.session_id IS NULL OR f.session_id = NEW.session_id)
+             AND (f.valid_from IS NULL OR f.valid_from <= NEW.transaction_date)
+             AND (f.valid_to   IS NULL OR f.valid_to   >= NEW.transaction_date)
+           LIMIT 1
+        ), 0)
+        -
+        COALESCE((
+          SELECT COALESCE(SUM(amount_cents),0)
+            FROM funds_holds
+           WHERE account = NEW.credit_account
+             AND hold_date = NEW.transaction_date
+             AND (NEW.session_id IS NULL OR session_id = NEW.session_id)
+             AND expires_at > datetime('now')
+        ),0)
+      ) < NEW.amount_cents
+      THEN RAISE(ABORT, 'Insufficient funds/facility headroom for outflow')
+    END;
+END;
+
+COMMIT;
+PRAGMA foreign_keys=ON;
@@ -0,0 +1,70 @@
+-- 037_loans.sql
+-- Term loans with an EMI schedule. loan_installments holds the live schedule: posted rows are
+-- never rewritten; prepayments and rate resets (loan_events) regenerate the unposted tail.
+--   installment status: scheduled → drafted (preview created) → posted (confirmAndSaveEntry)
+--   rate_bps: annual rate in basis points (10.50% → 1050)
+PRAGMA foreign_keys = ON;
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS loans (
+  id               TEXT PRIMARY KEY,
+  session_id       TEXT NOT NULL,
+  name             TEXT NOT NULL,
+  lender           TEXT,
+  loan_ledger      TEXT NOT NULL,                 -- e.g. "Secured Loans - HDFC Term Loan"
+  interest_ledger  TEXT NOT NULL,
+  bank_ledger      TEXT NOT NULL,                 -- EMIs are paid from this ledger
+  bank_account_id  TEXT REFERENCES bank_accounts(id),
+  facility_id      TEXT REFERENCES account_facilities(id),
+  method           TEXT NOT NULL CHECK (method IN ('reducing','flat')),
+  principal_cents  INTEGER NOT NULL,
+  rate_bps         INTEGER NOT NULL,              -- current rate
+  tenure_months    INTEGER NOT NULL,
+  start_date       TEXT NOT NULL,                 -- disbursement
+  first_due_date   TEXT NOT NULL,
+  due_day          INTEGER NOT NULL,              -- day of month EMIs fall due
+  status           TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active','closed')),
+  created_by       TEXT,
+  created_at       TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at       TEXT
+);
+CREATE UNIQUE INDEX IF NOT EXISTS ux_loans_ledger ON loans(session_id, loan_ledger);
+
+CREATE TABLE IF NOT EXISTS loan_installments (
+  id               TEXT PRIMARY KEY,
+  session_id       TEXT NOT NULL,
+  loan_id          TEXT NOT NULL REFERENCES loans(id),
+  seq              INTEGER NOT NULL,
+  due_date         TEXT NOT NULL,
+  opening_cents    INTEGER NOT NULL,
+  emi_cents        INTEGER NOT NULL,
+  interest_cents   INTEGER NOT NULL,
+  principal_cents  INTEGER NOT NULL,
+  closing_cents    INTEGER NOT NULL,
+  rate_bps         INTEGER NOT NULL,
+  status           TEXT NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled','drafted','posted')),
+  preview_id       TEXT,
+  ledger_entry_id  TEXT,
+  posted_at        TEXT
+);
+CREATE UNIQUE INDEX IF NOT EXISTS ux_loan_inst_seq ON loan_installments(loan_id, seq);
+CREATE INDEX IF NOT EXISTS idx_loan_inst_due ON loan_installments(session_id, status, due_date);
+
+CREATE TABLE IF NOT EXISTS loan_events (
+  id               TEXT PRIMARY KEY,
+  session_id       TEXT NOT NULL,
+  loan_id          TEXT NOT NULL REFERENCES loans(id),
+  kind             TEXT NOT NULL CHECK (kind IN ('disbursement','prepayment','rate_reset')),
+  event_date       TEXT NOT NULL,
+  amount_cents     INTEGER,                       -- disbursement / prepayment
+  rate_bps         INTEGER,                       -- rate_reset: new rate
+  keep             TEXT CHECK (keep IN ('tenure','emi')),
+  note             TEXT,
+  preview_id       TEXT,                          -- drafted voucher (disbursement / prepayment)
+  ledger_entry_id  TEXT,
+  created_by       TEXT,
+  created_at       TEXT NOT NULL DEFAULT (datetime('now'))
+);
+CREATE INDEX IF NOT EXISTS idx_loan_events_loan ON loan_events(loan_id, event_date);
+
+COMMIT;
@@ -0,0 +1,46 @@
+-- 038_inventory_items.sql
+-- Item master per workspace (code unique within a workspace, not globally) with UOM, HSN,
+-- GST rate and reorder level; stock_ledger rows carry their kind and source document.
+-- Rebuilding items needs FK enforcement off outside the transaction (stock_ledger references it).
+PRAGMA foreign_keys = OFF;
+BEGIN;
+
+DROP TABLE IF EXISTS items_new;
+
+CREATE TABLE items_new (
+  id             TEXT PRIMARY KEY,
+  session_id     TEXT,
+  code           TEXT NOT NULL,
+  name           TEXT NOT NULL,
+  uom            TEXT,
+  hsn            TEXT,
+  gst_rate       REAL,                          -- percent, e.g. 18
+  reorder_level  REAL,
+  stock_tracked  INTEGER NOT NULL DEFAULT 1,
+  is_active      INTEGER NOT NULL DEFAULT 1,
+  created_at     TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at     TEXT,
+  UNIQUE (session_id, code)
+);
+
+INSERT OR IGNORE INTO items_new (id, session_id, code, name, uom, stock_tracked)
+SELECT id, session_id, code, name, uom, stock_tracked FROM items;
+
+DROP TABLE items;
+ALTER TABLE items_new RENAME TO items;
+
+CREATE INDEX IF NOT EXISTS idx_items_sid      ON items(session_id);
+CREATE INDEX IF NOT EXISTS idx_items_sid_name ON items(session_id, name);
+
+-- kind: opening | receipt | issue | adjustment | grn | sale | purchase
+ALTER TABLE stock_ledger ADD COLUMN kind        TEXT;
+ALTER TABLE stock_ledger ADD COLUMN document_id TEXT;
+ALTER TABLE stock_ledger ADD COLUMN narration   TEXT;
+ALTER TABLE stock_ledger ADD COLUMN created_by  TEXT;
+ALTER TABLE stock_ledger ADD COLUMN created_at  TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_stock_sid_item_date ON stock_ledger(session_id, item_id, date);
+CREATE INDEX IF NOT EXISTS idx_stock_sid_doc       ON stock_ledger(session_id, document_id);
+
+COMMIT;
+PRAGMA foreign_keys = ON;
@@ -0,0 +1,53 @@
+PRAGMA foreign_keys = ON;
+BEGIN;
+
+-- Costing method per item (NULL → workspace default), fixed once the item has movements.
+-- Batch-tracked items carry batch number and expiry on every receipt layer.
+ALTER TABLE items ADD COLUMN costing_method TEXT CHECK (costing_method IN ('wavg','fifo'));
+ALTER TABLE items ADD COLUMN batch_tracked  INTEGER NOT NULL DEFAULT 0;
+
+-- Items with history were costed at weighted average; keep them there.
+UPDATE items SET costing_method = 'wavg'
+ WHERE costing_method IS NULL AND id IN (SELECT DISTINCT item_id FROM stock_ledger);
+
+ALTER TABLE stock_ledger ADD COLUMN batch_no    TEXT;
+ALTER TABLE stock_ledger ADD COLUMN expiry_date TEXT;
+
+-- Receipt layers (FIFO items and batch-tracked items): what is left of each receipt.
+CREATE TABLE IF NOT EXISTS stock_layers (
+  id            TEXT PRIMARY KEY,
+  session_id    TEXT NOT NULL,
+  item_id       TEXT NOT NULL,
+  warehouse_id  TEXT,
+  receipt_id    TEXT NOT NULL,                  -- stock_ledger row that created the layer
+  date          TEXT NOT NULL,
+  batch_no      TEXT,
+  expiry_date   TEXT,
+  qty_in        REAL NOT NULL,
+  qty_remaining REAL NOT NULL,
+  rate_cents    INTEGER NOT NULL DEFAULT 0,
+  created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+  FOREIGN KEY (item_id) REFERENCES items(id)
+);
+CREATE INDEX IF NOT EXISTS idx_layers_sid_item   ON stock_layers(session_id, item_id, date);
+CREATE INDEX IF NOT EXISTS idx_layers_sid_expiry ON stock_layers(session_id, expiry_date);
+CREATE INDEX IF NOT EXISTS idx_layers_sid_batch  ON stock_layers(session_id, item_id, batch_no);
+
+-- Which layers an issue consumed (one issue may span several layers).
+CREATE TABLE IF NOT EXISTS stock_layer_issues (
+  id          TEXT PRIMARY KEY,
+  session_id  TEXT NOT NULL,
+  issue_id    TEXT NOT NULL,                    -- stock_ledger row of the issue
+  layer_id    TEXT NOT NULL,
+  qty         REAL NOT NULL,
+  value_cents INTEGER NOT NULL DEFAULT 0,
+  FOREIGN KEY (layer_id) REFERENCES stock_layers(id)
+);
+CREATE INDEX IF NOT EXISTS idx_layer_issues_layer ON stock_layer_issues(layer_id);
+CREATE INDEX IF NOT EXISTS idx_layer_issues_issue ON stock_layer_issues(session_id, issue_id);
+
+-- Workspace defaults: costing method for new items, and the ledger stock value reconciles to.
+ALTER TABLE workspace_settings ADD COLUMN costing_method   TEXT;
+ALTER TABLE workspace_settings ADD COLUMN inventory_ledger TEXT;
+
+COMMIT;
@@ -0,0 +1,76 @@
+PRAGMA foreign_keys = ON;
+BEGIN;
+
+-- Warehouses (archived 009 + tenant column from 014): code, default and in-transit flags.
+-- Each workspace has one default location (movements without a warehouse land there) and, once
+-- it transfers stock, one in-transit location that holds dispatched-but-not-received goods.
+CREATE TABLE IF NOT EXISTS warehouses (
+  id         TEXT PRIMARY KEY,
+  name       TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  session_id TEXT
+);
+ALTER TABLE warehouses ADD COLUMN code       TEXT;
+ALTER TABLE warehouses ADD COLUMN address    TEXT;
+ALTER TABLE warehouses ADD COLUMN is_default INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE warehouses ADD COLUMN is_transit INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE warehouses ADD COLUMN is_active  INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE warehouses ADD COLUMN updated_at TEXT;
+
+-- Workspaces with stock but no location get a "Main" warehouse
+INSERT INTO warehouses (id, session_id, name, code)
+SELECT lower(hex(randomblob(16))), s.session_id, 'Main', 'MAIN'
+  FROM (SELECT DISTINCT session_id FROM stock_ledger WHERE session_id IS NOT NULL) s
+ WHERE NOT EXISTS (SELECT 1 FROM warehouses w WHERE w.session_id = s.session_id);
+
+-- The oldest warehouse of each workspace becomes its default
+UPDATE warehouses SET is_default = 1
+ WHERE id IN (SELECT (SELECT w2.id FROM warehouses w2 WHERE w2.session_id = w.session_id
+                       ORDER BY w2.created_at, w2.rowid LIMIT 1)
+                FROM (SELECT DISTINCT session_id FROM warehouses WHERE session_id IS NOT NULL) w);
+
+UPDATE warehouses SET code = upper(substr(replace(name, ' ', ''), 1, 12)) WHERE code IS NULL;
+UPDATE warehouses SET code = code || '-' || rowid
+ WHERE EXISTS (SELECT 1 FROM warehouses o
+                WHERE o.session_id = warehouses.session_id AND o.code = warehouses.code AND o.rowid < warehouses.rowid);
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_warehouses_sid_code    ON warehouses(session_id, code);
+CREATE UNIQUE INDEX IF NOT EXISTS ux_warehouses_sid_default ON warehouses(session_id) WHERE is_default = 1;
+CREATE UNIQUE INDEX IF NOT EXISTS ux_warehouses_sid_transit ON warehouses(session_id) WHERE is_transit = 1;
+
+-- Existing movements and layers belong to the default location
+UPDATE stock_ledger
+   SET warehouse_id = (SELECT w.id FROM warehouses w WHERE w.session_id = stock_ledger.session_id AND w.is_default = 1)
+ WHERE warehouse_id IS NULL AND session_id IS NOT NULL;
+UPDATE stock_layers
+   SET warehouse_id = (SELECT w.id FROM warehouses w WHERE w.session_id = stock_layers.session_id AND w.is_default = 1)
+ WHERE warehouse_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_stock_sid_wh_item ON stock_ledger(session_id, warehouse_id, item_id, date);
+
+-- Stock transfer vouchers: the `stock_transfer` document carries number and lines; this row
+-- tracks where the goods are (dispatched → in transit → received, or cancelled back).
+CREATE TABLE IF NOT EXISTS stock_transfers (
+  id                TEXT PRIMARY KEY,
+  session_id        TEXT NOT NULL,
+  document_id       TEXT NOT NULL,
+  number            TEXT NOT NULL,
+  date              TEXT NOT NULL,               -- dispatch date
+  from_warehouse_id TEXT NOT NULL,
+  to_warehouse_id   TEXT NOT NULL,
+  status            TEXT NOT NULL DEFAULT 'in_transit' CHECK (status IN ('in_transit','received','cancelled')),
+  received_date     TEXT,
+  value_cents       INTEGER NOT NULL DEFAULT 0,
+  lines_json        TEXT NOT NULL DEFAULT '[]',  -- [{ item_id, qty, batch_no, value_cents, transit_receipt_id }]
+  note              TEXT,
+  created_by        TEXT,
+  created_at        TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at        TEXT,
+  FOREIGN KEY (from_warehouse_id) REFERENCES warehouses(id),
+  FOREIGN KEY (to_warehouse_id)   REFERENCES warehouses(id),
+  CHECK (from_warehouse_id <> to_warehouse_id)
+);
+CREATE UNIQUE INDEX IF NOT EXISTS ux_transfers_sid_number ON stock_transfers(session_id, number);
+CREATE INDEX IF NOT EXISTS idx_transfers_sid_status ON stock_transfers(session_id, status, date);
+
+COMMIT;
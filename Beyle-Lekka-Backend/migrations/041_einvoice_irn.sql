@@ -0,0 +1,13 @@
+PRAGMA foreign_keys = ON;
+BEGIN;
+
+-- GST e-invoice registration of posted invoices / notes: what the IRP returned.
+-- The signed QR (a JWT) is printed on the invoice as a QR code.
+ALTER TABLE documents ADD COLUMN irn           TEXT;
+ALTER TABLE documents ADD COLUMN irn_ack_no    TEXT;
+ALTER TABLE documents ADD COLUMN irn_ack_date  TEXT;
+ALTER TABLE documents ADD COLUMN irn_signed_qr TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_documents_sid_irn ON documents(session_id, irn) WHERE irn IS NOT NULL;
+
+COMMIT;
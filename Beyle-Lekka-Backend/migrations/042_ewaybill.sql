@@ -0,0 +1,12 @@
+PRAGMA foreign_keys = ON;
+BEGIN;
+
+-- E-way bills generated on the portal for posted invoices / stock transfers.
+-- The transport details themselves live on the docModel (payload_json.transport).
+ALTER TABLE documents ADD COLUMN ewb_no          TEXT;
+ALTER TABLE documents ADD COLUMN ewb_date        TEXT;
+ALTER TABLE documents ADD COLUMN ewb_valid_until TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_documents_sid_ewb ON documents(session_id, ewb_no) WHERE ewb_no IS NOT NULL;
+
+COMMIT;
@@ -0,0 +1,9 @@
+PRAGMA foreign_keys = ON;
+BEGIN;
+
+-- Letterhead for generated documents: name, address, GSTIN, bank details, UPI ID, terms,
+-- logo and signature images (data URLs), as JSON. doc_format picks PDF (default) or DOCX.
+ALTER TABLE workspace_settings ADD COLUMN branding_json TEXT;
+ALTER TABLE workspace_settings ADD COLUMN doc_format    TEXT;
+
+COMMIT;
@@ -0,0 +1,11 @@
+PRAGMA foreign_keys = ON;
+BEGIN;
+
+-- Credit / debit notes point at the invoice they adjust; the note's docModel keeps the
+-- original's number, date and value for GSTR-1 and the e-invoice RefDtls.
+ALTER TABLE documents ADD COLUMN original_document_id TEXT;
+
+CREATE INDEX IF NOT EXISTS ix_documents_sid_original
+  ON documents(session_id, original_document_id) WHERE original_document_id IS NOT NULL;
+
+COMMIT;
@@ -0,0 +1,46 @@
+PRAGMA foreign_keys = ON;
+BEGIN;
+
+-- Quotations and sales orders (series QTN / SO). Each is a non-posting `quotation` /
+-- `sales_order` document carrying the lines; this row tracks it along the chain:
+-- quotation open → converted (into an order); order open → partial → fulfilled as invoices post.
+CREATE TABLE IF NOT EXISTS sales_documents (
+  id          TEXT PRIMARY KEY,
+  session_id  TEXT NOT NULL,
+  document_id TEXT NOT NULL,
+  doc_type    TEXT NOT NULL CHECK (doc_type IN ('quotation','sales_order')),
+  number      TEXT NOT NULL,
+  date        TEXT NOT NULL,
+  party_name  TEXT NOT NULL,
+  due_date    TEXT,                        -- quotation: valid until; order: expected delivery
+  status      TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open','converted','partial','fulfilled','cancelled')),
+  source_id   TEXT,                        -- order: the quotation it came from
+  value_cents INTEGER NOT NULL DEFAULT 0,
+  created_by  TEXT,
+  created_at  TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at  TEXT,
+  FOREIGN KEY (source_id) REFERENCES sales_documents(id)
+);
+CREATE UNIQUE INDEX IF NOT EXISTS ux_sales_docs_sid_number ON sales_documents(session_id, doc_type, number);
+CREATE INDEX IF NOT EXISTS idx_sales_docs_sid_status ON sales_documents(session_id, doc_type, status, date);
+
+-- Invoices drafted from an order. The invoice number is held by the preview snapshot; the
+-- quantities count against the order while that preview is live, and for good once it posts.
+CREATE TABLE IF NOT EXISTS sales_order_invoices (
+  id             TEXT PRIMARY KEY,
+  session_id     TEXT NOT NULL,
+  order_id       TEXT NOT NULL,
+  preview_id     TEXT NOT NULL,
+  invoice_number TEXT NOT NULL,
+  document_id    TEXT,                     -- the posted invoice
+  status         TEXT NOT NULL DEFAULT 'drafted' CHECK (status IN ('drafted','posted')),
+  lines_json     TEXT NOT NULL DEFAULT '[]', -- [{ line, qty }] against the order's items
+  created_by     TEXT,
+  created_at     TEXT NOT NULL DEFAULT (datetime('now')),
+  posted_at      TEXT,
+  FOREIGN KEY (order_id) REFERENCES sales_documents(id)
+);
+CREATE UNIQUE INDEX IF NOT EXISTS ux_so_invoices_preview ON sales_order_invoices(preview_id);
+CREATE INDEX IF NOT EXISTS idx_so_invoices_sid_order ON sales_order_invoices(session_id, order_id, status);
+
+COMMIT;
@@ -0,0 +1,15 @@
+-- 046_workspaces.sql
+-- Workspace registry: who created each workspace id. A workspace nobody belongs to yet can
+-- only be claimed by its creator, or by whoever holds WORKSPACE_BOOTSTRAP_TOKEN (for ids that
+-- predate this table).
+PRAGMA foreign_keys = ON;
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS workspaces (
+  session_id  TEXT PRIMARY KEY,
+  name        TEXT,
+  created_by  TEXT REFERENCES users(id),
+  created_at  TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+COMMIT;
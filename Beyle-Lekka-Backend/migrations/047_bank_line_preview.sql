@@ -0,0 +1,9 @@
+-- 047_bank_line_preview.sql
+-- The bank-rule draft pending on a statement line. While that preview is live the line is not
+-- drafted again, so confirming two previews cannot book the same line twice.
+PRAGMA foreign_keys = ON;
+BEGIN;
+
+ALTER TABLE bank_statement_lines ADD COLUMN preview_id TEXT;
+
+COMMIT;
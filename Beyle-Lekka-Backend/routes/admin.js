@@ -18,17 +18,36 @@ router.post("/move-session", adminOnly, async (req, res) => {
   if (!from || !to) return res.status(400).json({ error: "from/to required" });
 
   const tables = [
-    "ledger_entries", "ledger_entries_v2",
+    "ledger_entries",
     "chart_of_accounts", "documents", "files", "extractions",
     "items", "stock_ledger", "closed_periods",
     "bank_accounts", "bank_statement_lines",
     "warehouses", "coa_synonyms",
-    "series_reservations", "idempotency_keys", "memory_log"
+    "series_reservations", "idempotency_keys", "memory_log",
+    "settlement_allocations", "tds_deductees", "tds_challans",
+    "opening_balances", "bank_rules", "reco_match_groups", "reco_match_items", "bank_statements",
+    "account_facilities", "facility_limits", "loans", "loan_installments", "loan_events",
+    "stock_layers", "stock_layer_issues", "stock_transfers",
+    "sales_documents", "sales_order_invoices",
+    "api_tokens"
   ];
 
   for (const t of tables) {
     await query(`UPDATE ${t} SET session_id = $1 WHERE session_id = $2`, [to, from]);
   }
+  // Memberships and the workspace registry are keyed by session_id: rows already under `to` win.
+  await query(
+    `UPDATE memberships SET session_id = $1
+     WHERE session_id = $2 AND user_id NOT IN (SELECT user_id FROM memberships WHERE session_id = $1)`,
+    [to, from]
+  );
+  await query(`DELETE FROM memberships WHERE session_id = $1`, [from]);
+  await query(
+    `UPDATE workspaces SET session_id = $1
+     WHERE session_id = $2 AND NOT EXISTS (SELECT 1 FROM workspaces WHERE session_id = $1)`,
+    [to, from]
+  );
+  await query(`DELETE FROM workspaces WHERE session_id = $1`, [from]);
   res.json({ ok: true, from, to });
 });
 
@@ -7,7 +7,11 @@ import { updateLedgerEntry } from "../controllers/updateLedgerEntry.js";
 import {
   trialBalance,
   profitAndLoss,
-  balanceSheet
+  balanceSheet,
+  accountStatement,
+  arAgeing,
+  apAgeing,
+  bankReconciliationStatement
 } from "../controllers/reportsController.js";
 import {
   upload as uploadDocs,
@@ -17,8 +21,112 @@ import {
   uploadCSV as uploadBankCSV,
   importBankCSV,
   suggestions,
-  confirmMatch
+  confirmMatch,
+  groupSuggestions,
+  matchGroups,
+  unmatchLines,
+  excludeBankLines,
+  statements as bankStatements
 } from "../controllers/bankReconciliation.js";
+import {
+  getRules as getBankRules,
+  postRule as saveBankRule,
+  removeRule as deleteBankRule,
+  learnRulesFromMatches,
+  autoPost as bankAutoPost
+} from "../controllers/bankRulesController.js";
+import {
+  getAccounts as getBankAccounts,
+  getAccount as getBankAccount,
+  putAccount as saveBankAccount,
+  removeAccount as deleteBankAccount
+} from "../controllers/bankAccountsController.js";
+import {
+  getFacilities,
+  getHeadroom as getFacilityHeadroom,
+  getOne as getFacility,
+  postFacility,
+  postLimit as changeFacilityLimit,
+  postRenew as renewFacility,
+  postClose as closeFacility
+} from "../controllers/facilitiesController.js";
+import {
+  getLoans,
+  getOne as getLoan,
+  postLoan,
+  postPrepayment as prepayLoan,
+  postRateReset as resetLoanRate,
+  postDraftEmis as draftLoanEmis,
+  getLoanReport
+} from "../controllers/loansController.js";
+import {
+  getItems,
+  getOne as getItem,
+  putItem as saveItem,
+  removeItem as deleteItem,
+  postMovement as postStockMovement,
+  postGrn,
+  getStockSummary,
+  getStockRegister,
+  getStockValuation,
+  getStockExpiry,
+  getItemBatches,
+  getInventorySettings,
+  putInventorySettings,
+  postGrnExtract,
+  getWarehouses,
+  putWarehouse,
+  getTransfers,
+  getTransferOne,
+  postTransfer,
+  postTransferReceive,
+  postTransferCancel,
+  getStockByWarehouse
+} from "../controllers/inventoryController.js";
+import {
+  partyOutstanding,
+  invoiceOutstanding
+} from "../controllers/settlementsController.js";
+import { itcReconciliation } from "../controllers/gstController.js";
+import { getEInvoices, getPayload as getEInvoicePayload, postIrn } from "../controllers/einvoiceController.js";
+import { getEwayBills, getEwayBillJson, putTransport, postEwayBill } from "../controllers/ewaybillController.js";
+import { getBrandingSettings, putBrandingSettings, getDocumentFile } from "../controllers/printController.js";
+import { getNotes, postNoteDraft } from "../controllers/notesController.js";
+import {
+  getSalesDocuments,
+  getSalesDocumentOne,
+  postQuotation,
+  postOrder,
+  postQuotationConvert,
+  postSalesDocumentCancel,
+  postOrderInvoiceDraft,
+  getPendingOrders
+} from "../controllers/salesOrdersController.js";
+import {
+  getDeductees,
+  saveDeductee,
+  getChallans,
+  saveChallan,
+  getClearingPayments,
+  form26Q,
+  form26QFile
+} from "../controllers/tdsController.js";
+import {
+  getPeriods,
+  getChecklist,
+  closePeriodHandler,
+  reopenPeriodHandler,
+  getYearEnd,
+  runYearEndHandler,
+  getOpeningBalances
+} from "../controllers/periodsController.js";
+import {
+  getMembers,
+  saveMember,
+  deleteMember
+} from "../controllers/authController.js";
+import adminOnly from "../middleware/adminOnly.js";
+import { can } from "../middleware/auth.js";
 import { tenantStub } from "../middleware/tenant.js"; // <-- correct relative path
 
 // NEW: brand‑agnostic Import/Export controllers
@@ -35,34 +143,165 @@ import { exportData } from "../controllers/exportsController.js";
 
 const router = express.Router();
 
-// Mount tenant middleware for all /api routes
+// Mount tenant middleware for all /api routes, then require membership (every role can read);
+// writes below add their own permission (utils/auth/permissions.js)
 router.use(tenantStub());
+router.use(can("read"));
 
 // Orchestrate (preview)
-router.post("/orchestratePrompt", orchestratePrompt);
+router.post("/orchestratePrompt", can("post"), orchestratePrompt);
 
 // Confirm & save
-router.post("/confirmAndSaveEntry", confirmAndSaveEntry);
+router.post("/confirmAndSaveEntry", can("post"), confirmAndSaveEntry);
 
 // Ledger view
 router.get("/getLedgerView", getLedgerView);
 router.post("/getLedgerView", getLedgerView);
 
 // Update ledger line
-router.post("/ledger/update", updateLedgerEntry);
+router.post("/ledger/update", can("amend"), updateLedgerEntry);
 
 // Reports
 router.get("/reports/trial-balance", trialBalance);
 router.get("/reports/pl",            profitAndLoss);
 router.get("/reports/bs",            balanceSheet);
+router.get("/reports/account-statement", accountStatement);
+router.get("/reports/ar-ageing",     arAgeing);
+router.get("/reports/ap-ageing",     apAgeing);
+router.get("/reports/brs",           bankReconciliationStatement);
+router.get("/reports/loans",         getLoanReport);
+router.get("/reports/stock-summary",   getStockSummary);
+router.get("/reports/stock-register",  getStockRegister);
+router.get("/reports/stock-valuation", getStockValuation);
+router.get("/reports/stock-expiry",    getStockExpiry);
+router.get("/reports/stock-by-warehouse", getStockByWarehouse);
+router.get("/reports/pending-orders",  getPendingOrders);
+
+// Bill-wise settlement (receipt/payment allocations)
+router.get("/settlements/outstanding",  partyOutstanding);
+router.get("/settlements/invoices/:id", invoiceOutstanding);
+
+// GST: input tax credit vs GSTR-2B
+router.get("/gst/itc-reco", itcReconciliation);
+
+// GST e-invoice: NIC JSON from posted invoices/notes, IRN via the configured IRP adapter
+router.get ("/einvoice",             getEInvoices);
+router.get ("/einvoice/:id/payload", getEInvoicePayload);
+router.post("/einvoice/:id/irn",     can("tax"), postIrn);
+
+// E-way bills: bulk JSON from posted invoices / stock transfers, transport details, EWB numbers
+router.get ("/ewaybill",               getEwayBills);
+router.get ("/ewaybill/json",          getEwayBillJson);
+router.put ("/ewaybill/:id/transport", can("post"), putTransport);
+router.post("/ewaybill/:id",           can("post"), postEwayBill);
+
+// Credit / debit notes against posted invoices (CN / DN series), drafted into the preview pipeline
+router.get ("/notes",       getNotes);
+router.post("/notes/draft", can("post"), postNoteDraft);
+
+// Quotations (QTN) and sales orders (SO): non-posting; orders are invoiced via preview drafts
+router.get ("/sales/documents",                getSalesDocuments);
+router.get ("/sales/documents/:id",            getSalesDocumentOne);
+router.post("/sales/documents/:id/cancel",     can("post"), postSalesDocumentCancel);
+router.post("/sales/quotations",               can("post"), postQuotation);
+router.post("/sales/quotations/:id/convert",   can("post"), postQuotationConvert);
+router.post("/sales/orders",                   can("post"), postOrder);
+router.post("/sales/orders/:id/invoice-draft", can("post"), postOrderInvoiceDraft);
+
+// TDS: deductees, challans and quarterly 26Q
+router.get ("/tds/deductees",         getDeductees);
+router.post("/tds/deductees",         can("tax"), saveDeductee);
+router.get ("/tds/challans",          getChallans);
+router.post("/tds/challans",          can("tax"), saveChallan);
+router.get ("/tds/clearing-payments", getClearingPayments);
+router.get ("/tds/26q",               form26Q);
+router.get ("/tds/26q/file",          form26QFile);
+
+// Period close / year-end (reopen is admin-only; reason goes to audit_log)
+router.get ("/periods",                  getPeriods);
+router.get ("/periods/checklist",        getChecklist);
+router.post("/periods/close",            can("period.close"), closePeriodHandler);
+router.post("/periods/reopen",           adminOnly, reopenPeriodHandler);
+router.get ("/periods/year-end",         getYearEnd);
+router.post("/periods/year-end",         can("year_end"), runYearEndHandler);
+router.get ("/periods/opening-balances", getOpeningBalances);
+
+// Workspace members (owners manage roles)
+router.get   ("/members",         getMembers);
+router.post  ("/members",         can("members.manage"), saveMember);
+router.delete("/members/:userId", can("members.manage"), deleteMember);
 
 // Document upload & extraction
-router.post("/documents/upload", uploadDocs.single("file"), uploadAndExtract);
+router.post("/documents/upload", can("post"), uploadDocs.single("file"), uploadAndExtract);
+
+// Printed documents: letterhead and on-demand PDF / DOCX of posted documents
+router.get("/settings/branding", getBrandingSettings);
+router.put("/settings/branding", can("masters"), putBrandingSettings);
+router.get("/documents/:id/file", getDocumentFile);
 
 // Bank reconciliation
-router.post("/bankreco/import",      uploadBankCSV.single("file"), importBankCSV);
+router.post("/bankreco/import",      can("reconcile"), uploadBankCSV.single("file"), importBankCSV);
 router.get ("/bankreco/suggestions", suggestions);
-router.post("/bankreco/match",       confirmMatch);
+router.post("/bankreco/match",       can("reconcile"), confirmMatch);
+router.get ("/bankreco/group-suggestions", groupSuggestions);
+router.get ("/bankreco/groups",      matchGroups);
+router.post("/bankreco/unmatch",     can("reconcile"), unmatchLines);
+router.post("/bankreco/exclude",     can("reconcile"), excludeBankLines);
+router.get ("/bankreco/statements",  bankStatements);
+
+// Bank rules: narration/amount/direction → counter ledger; auto-post drafts previews
+router.get   ("/bankreco/rules",       getBankRules);
+router.post  ("/bankreco/rules",       can("reconcile"), saveBankRule);
+router.post  ("/bankreco/rules/learn", can("reconcile"), learnRulesFromMatches);
+router.delete("/bankreco/rules/:id",   can("reconcile"), deleteBankRule);
+router.post  ("/bankreco/auto-post",   can("reconcile"), bankAutoPost);
+
+// Bank account master: CoA ledger link, optional OD/OCC facility
+router.get   ("/bank-accounts",     getBankAccounts);
+router.get   ("/bank-accounts/:id", getBankAccount);
+router.post  ("/bank-accounts",     can("masters"), saveBankAccount);
+router.put   ("/bank-accounts/:id", can("masters"), saveBankAccount);
+router.delete("/bank-accounts/:id", can("masters"), deleteBankAccount);
+
+// OD/OCC/loan facilities: limit history, renew/close, headroom as of a date
+router.get ("/facilities",           getFacilities);
+router.get ("/facilities/headroom",  getFacilityHeadroom);
+router.get ("/facilities/:id",       getFacility);
+router.post("/facilities",           can("masters"), postFacility);
+router.post("/facilities/:id/limit", can("masters"), changeFacilityLimit);
+router.post("/facilities/:id/renew", can("masters"), renewFacility);
+router.post("/facilities/:id/close", can("masters"), closeFacility);
+
+// Term loans: EMI schedule, EMI drafts into the preview pipeline, prepayments / rate resets
+router.get ("/loans",                getLoans);
+router.get ("/loans/:id",            getLoan);
+router.post("/loans",                can("masters"), postLoan);
+router.post("/loans/draft-emis",     can("post"),    draftLoanEmis);
+router.post("/loans/:id/prepay",     can("masters"), prepayLoan);
+router.post("/loans/:id/rate-reset", can("masters"), resetLoanRate);
+
+// Item master and stock movements (weighted average or FIFO, batches with expiry)
+router.get   ("/inventory/settings", getInventorySettings);
+router.put   ("/inventory/settings", can("masters"), putInventorySettings);
+router.get   ("/items",           getItems);
+router.get   ("/items/:id",       getItem);
+router.get   ("/items/:id/batches", getItemBatches);
+router.post  ("/items",           can("masters"), saveItem);
+router.put   ("/items/:id",       can("masters"), saveItem);
+router.delete("/items/:id",       can("masters"), deleteItem);
+router.post  ("/stock/movements", can("post"),    postStockMovement);
+router.post  ("/stock/grn",       can("post"),    postGrn);
+router.post  ("/stock/grn/extract", postGrnExtract);
+
+// Warehouses and stock transfers (dispatch → in transit → received / cancelled)
+router.get   ("/warehouses",      getWarehouses);
+router.post  ("/warehouses",      can("masters"), putWarehouse);
+router.put   ("/warehouses/:id",  can("masters"), putWarehouse);
+router.get   ("/stock/transfers",              getTransfers);
+router.get   ("/stock/transfers/:id",          getTransferOne);
+router.post  ("/stock/transfers",              can("post"), postTransfer);
+router.post  ("/stock/transfers/:id/receive",  can("post"), postTransferReceive);
+router.post  ("/stock/transfers/:id/cancel",   can("post"), postTransferCancel);
 
 /* ------------------------------------------------------------------ */
 /*                         IMPORT / EXPORT (GENERIC)                   */
@@ -70,25 +309,25 @@ router.post("/bankreco/match",       confirmMatch);
 
 // Import (brand‑agnostic):
 // 1) Upload a file (xlsx/csv/json)
-router.post("/import/upload", uploadImport.single("file"), startImport);
+router.post("/import/upload", can("import"), uploadImport.single("file"), startImport);
 
 // 2) Batch status & suggested profile
 router.get("/import/batches/:id", getBatch);
 
 // 3) Override/confirm detected profile
-router.post("/import/batches/:id/profile", setProfile);
+router.post("/import/batches/:id/profile", can("import"), setProfile);
 
 // 4) Parse & stage (preview)
-router.get("/import/batches/:id/preview", previewImport);
+router.get("/import/batches/:id/preview", can("import"), previewImport);
 
 // 5) Commit to ledger (atomic + idempotent)
-router.post("/import/batches/:id/commit", commitImport);
+router.post("/import/batches/:id/commit", can("import"), commitImport);
 
 // 6) Download blank templates per profile
 router.get("/import/templates/:profile", downloadTemplate);
 
 // Export (brand‑agnostic):
 // GET /api/export?profile=<id>&from=YYYY-MM-DD&to=YYYY-MM-DD
-router.get("/export", exportData);
+router.get("/export", can("export"), exportData);
 
 export default router;
@@ -0,0 +1,31 @@
+// routes/auth.js
+import express from "express";
+import { requireUser } from "../middleware/auth.js";
+import {
+  register,
+  login,
+  me,
+  getTokens,
+  newToken,
+  deleteToken,
+  claim,
+  postWorkspace
+} from "../controllers/authController.js";
+
+const router = express.Router();
+
+// Users & login (JWT via password or API token)
+router.post("/register", register);
+router.post("/login",    login);
+router.get ("/me",       requireUser, me);
+
+// API tokens (plain token returned once on create)
+router.get   ("/tokens",     requireUser, getTokens);
+router.post  ("/tokens",     requireUser, newToken);
+router.delete("/tokens/:id", requireUser, deleteToken);
+
+// Register a new workspace; become owner of one nobody belongs to yet (creator or bootstrap token)
+router.post("/workspaces",           requireUser, postWorkspace);
+router.post("/workspaces/:id/claim", requireUser, claim);
+
+export default router;
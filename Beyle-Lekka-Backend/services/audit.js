@@ -0,0 +1,22 @@
+// services/audit.js
+import { randomUUID } from "crypto";
+import { query } from "./db.js";
+import { currentUserId } from "./requestContext.js";
+
+/**
+ * Append a row to audit_log (append-only; see migration 006).
+ * Pass `exec` to write inside an open withTx() on adapters that hand one out.
+ * userId defaults to the authenticated user of the current request.
+ */
+export async function writeAudit(
+  { sessionId, userId = null, action, entity, entityId = null, details = null },
+  exec = query
+) {
+  const id = randomUUID();
+  await exec(
+    `INSERT INTO audit_log (id, at, user_id, action, entity, entity_id, details_json, session_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [id, new Date().toISOString(), userId || currentUserId(),action, entity, entityId, details == null ? null : JSON.stringify(details), sessionId]
+  );
+  return id;
+}
@@ -0,0 +1,305 @@
+// services/auth.js
+// Users, API tokens, JWT issue and workspace memberships (migration 031).
+import { randomUUID, randomBytes, createHash, timingSafeEqual } from "crypto";
+import { query, withTx } from "./db.js";
+import { writeAudit } from "./audit.js";
+import { hashPassword, verifyPassword, MIN_PASSWORD_LENGTH } from "../utils/auth/password.js";
+import { signJwt } from "../utils/auth/jwt.js";
+import { isRole } from "../utils/auth/permissions.js";
+
+const TOKEN_PREFIX = "blk_";
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function httpError(status, message) {
+  const e = new Error(message);
+  e.http = status;
+  return e;
+}
+
+const sha256 = (s) => createHash("sha256").update(String(s)).digest("hex");
+
+/** Auth is mandatory in production, or anywhere AUTH_REQUIRED=true. */
+export function authEnforced() {
+  return process.env.NODE_ENV === "production" || process.env.AUTH_REQUIRED === "true";
+}
+
+/** The development fallback is only used while auth is not enforced; otherwise JWT_SECRET is required. */
+let _warned = false;
+export function jwtSecret() {
+  const s = process.env.JWT_SECRET;
+  if (s) return s;
+  if (authEnforced()) throw new Error("JWT_SECRET is not configured");
+  if (!_warned) { console.warn("[auth] JWT_SECRET not set; using an insecure development secret"); _warned = true; }
+  return "beyle-lekka-dev-secret";
+}
+
+const jwtTtl = () => Number(process.env.JWT_TTL_SECONDS) || 8 * 3600;
+
+function publicUser(u) {
+  return u && { id: u.id, email: u.email, name: u.name, is_superadmin: !!Number(u.is_superadmin) };
+}
+
+/* ------------------------ users ------------------------ */
+
+export async function getUser(id, run = query) {
+  const { rows } = await run(
+    `SELECT id, email, name, is_superadmin, is_active FROM users WHERE id = $1`,
+    [id]
+  );
+  return rows?.[0] || null;
+}
+
+async function findUserByEmail(email, run = query) {
+  const { rows } = await run(
+    `SELECT id, email, name, password_hash, is_superadmin, is_active
+       FROM users WHERE lower(email) = lower($1)`,
+    [String(email || "").trim()]
+  );
+  return rows?.[0] || null;
+}
+
+export async function countUsers(run = query) {
+  const { rows } = await run(`SELECT COUNT(*) AS n FROM users`);
+  return Number(rows?.[0]?.n || 0);
+}
+
+/**
+ * Create a user. The very first user becomes superadmin (bootstrap); later users are
+ * created by a superadmin or, with ALLOW_SIGNUP=true, by self sign-up.
+ */
+export async function createUser({ email, name = null, password, isSuperadmin = false }) {
+  const e = String(email || "").trim().toLowerCase();
+  if (!EMAIL.test(e)) throw httpError(400, "A valid email is required");
+  if (String(password || "").length < MIN_PASSWORD_LENGTH) {
+    throw httpError(400, `password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  if (await findUserByEmail(e)) throw httpError(409, "A user with this email already exists");
+
+  const first = (await countUsers()) === 0;
+  const id = randomUUID();
+  await query(
+    `INSERT INTO users (id, email, name, password_hash, is_superadmin) VALUES ($1,$2,$3,$4,$5)`,
+    [id, e, name ? String(name).trim() : null, await hashPassword(password), first || isSuperadmin ? 1 : 0]
+  );
+  return publicUser(await getUser(id));
+}
+
+/* ------------------------ login ------------------------ */
+
+export function issueJwt(user, { sessionId = null } = {}) {
+  const payload = { sub: user.id, email: user.email };
+  if (sessionId) payload.ws = sessionId; // token pinned to one workspace
+  return { token: signJwt(payload, jwtSecret(), jwtTtl()), expiresIn: jwtTtl() };
+}
+
+export async function loginWithPassword(email, password) {
+  const u = await findUserByEmail(email);
+  const ok = u && Number(u.is_active) && u.password_hash && (await verifyPassword(password, u.password_hash));
+  if (!ok) throw httpError(401, "invalid_credentials");
+  await query(`UPDATE users SET last_login_at = datetime('now') WHERE id = $1`, [u.id]);
+  return { user: publicUser(u), ...issueJwt(u) };
+}
+
+export async function loginWithApiToken(token) {
+  const { rows } = await query(
+    `SELECT t.id, t.user_id, t.session_id, t.expires_at, t.revoked_at, u.email, u.name, u.is_superadmin, u.is_active
+       FROM api_tokens t JOIN users u ON u.id = t.user_id
+      WHERE t.token_hash = $1`,
+    [sha256(String(token || "").trim())]
+  );
+  const t = rows?.[0];
+  const expired = t?.expires_at && t.expires_at <= new Date().toISOString();
+  if (!t || t.revoked_at || expired || !Number(t.is_active)) throw httpError(401, "invalid_credentials");
+  await query(`UPDATE api_tokens SET last_used_at = datetime('now') WHERE id = $1`, [t.id]);
+  const user = { id: t.user_id, email: t.email, name: t.name, is_superadmin: t.is_superadmin };
+  return { user: publicUser(user), ...issueJwt(user, { sessionId: t.session_id }) };
+}
+
+/* ------------------------ API tokens ------------------------ */
+
+/** The plain token is returned once; only its sha256 is stored. */
+export async function createApiToken(userId, { name = null, sessionId = null, expiresInDays = null } = {}) {
+  if (sessionId && !(await roleIn(userId, sessionId))) {
+    const u = await getUser(userId);
+    if (!Number(u?.is_superadmin)) throw httpError(403, "not_a_member");
+  }
+  const token = TOKEN_PREFIX + randomBytes(32).toString("base64url");
+  const id = randomUUID();
+  const days = Number(expiresInDays);
+  const expiresAt = days > 0 ? new Date(Date.now() + days * 86400000).toISOString() : null;
+  await query(
+    `INSERT INTO api_tokens (id, user_id, name, token_hash, prefix, session_id, expires_at)
+     VALUES ($1,$2,$3,$4,$5,$6,$7)`,
+    [id, userId, name, sha256(token), token.slice(0, 10), sessionId, expiresAt]
+  );
+  return { id, token, prefix: token.slice(0, 10), sessionId, expiresAt };
+}
+
+export async function listApiTokens(userId) {
+  const { rows } = await query(
+    `SELECT id, name, prefix, session_id, expires_at, last_used_at, revoked_at, created_at
+       FROM api_tokens WHERE user_id = $1 ORDER BY created_at DESC`,
+    [userId]
+  );
+  return rows || [];
+}
+
+export async function revokeApiToken(userId, id) {
+  const { rows } = await query(
+    `SELECT id FROM api_tokens WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL`,
+    [id, userId]
+  );
+  if (!rows?.length) throw httpError(404, "Token not found");
+  await query(`UPDATE api_tokens SET revoked_at = datetime('now') WHERE id = $1`, [id]);
+  return { id, revoked: true };
+}
+
+/* ------------------------ memberships ------------------------ */
+
+export async function roleIn(userId, sessionId, run = query) {
+  if (!userId || !sessionId) return null;
+  const { rows } = await run(
+    `SELECT role FROM memberships WHERE user_id = $1 AND session_id = $2`,
+    [userId, sessionId]
+  );
+  return rows?.[0]?.role || null;
+}
+
+export async function membershipsOf(userId) {
+  const { rows } = await query(
+    `SELECT session_id, role, created_at FROM memberships WHERE user_id = $1 ORDER BY session_id`,
+    [userId]
+  );
+  return rows || [];
+}
+
+export async function listMembers(sessionId) {
+  const { rows } = await query(
+    `SELECT m.user_id, u.email, u.name, m.role, m.created_at
+       FROM memberships m JOIN users u ON u.id = m.user_id
+      WHERE m.session_id = $1
+      ORDER BY u.email`,
+    [sessionId]
+  );
+  return rows || [];
+}
+
+async function ownerCount(sessionId, run) {
+  const { rows } = await run(
+    `SELECT COUNT(*) AS n FROM memberships WHERE session_id = $1 AND role = 'owner'`,
+    [sessionId]
+  );
+  return Number(rows?.[0]?.n || 0);
+}
+
+/** Add a member or change their role (by userId or email). A workspace keeps at least one owner. */
+export async function setMember(sessionId, { userId = null, email = null, role, actorId = null }) {
+  if (!isRole(role)) throw httpError(400, "role must be one of owner, accountant, data-entry, viewer, auditor");
+  const target = userId ? await getUser(userId) : await findUserByEmail(email);
+  if (!target) throw httpError(404, "User not found");
+
+  return withTx(async (exec) => {
+    const run = exec || query;
+    const prev = await roleIn(target.id, sessionId, run);
+    if (prev === "owner" && role !== "owner" && (await ownerCount(sessionId, run)) <= 1) {
+      throw httpError(409, "A workspace must keep at least one owner");
+    }
+    if (prev) {
+      await run(`UPDATE memberships SET role = $1 WHERE user_id = $2 AND session_id = $3`, [role, target.id, sessionId]);
+    } else {
+      await run(
+        `INSERT INTO memberships (user_id, session_id, role, created_by) VALUES ($1,$2,$3,$4)`,
+        [target.id, sessionId, role, actorId]
+      );
+    }
+    await writeAudit({
+      sessionId, userId: actorId, action: prev ? "change_member_role" : "add_member",
+      entity: "memberships", entityId: target.id, details: { email: target.email, role, previous_role: prev },
+    }, run);
+    return { userId: target.id, email: target.email, role, previousRole: prev };
+  });
+}
+
+export async function removeMember(sessionId, { userId, actorId = null }) {
+  return withTx(async (exec) => {
+    const run = exec || query;
+    const prev = await roleIn(userId, sessionId, run);
+    if (!prev) throw httpError(404, "Membership not found");
+    if (prev === "owner" && (await ownerCount(sessionId, run)) <= 1) {
+      throw httpError(409, "A workspace must keep at least one owner");
+    }
+    await run(`DELETE FROM memberships WHERE user_id = $1 AND session_id = $2`, [userId, sessionId]);
+    await writeAudit({
+      sessionId, userId: actorId, action: "remove_member", entity: "memberships", entityId: userId,
+      details: { role: prev },
+    }, run);
+    return { userId, removed: true };
+  });
+}
+
+/** First member of a workspace: the caller becomes its owner. 409 once anyone is a member. */
+/* ------------------------ workspaces ------------------------ */
+
+/** Register a new workspace id; the creator becomes its owner. */
+export async function createWorkspace(userId, { id, name = null } = {}) {
+  const sessionId = String(id || "").trim();
+  if (!sessionId || sessionId.toUpperCase() === "ALL" || sessionId.toUpperCase() === "GLOBAL") {
+    throw httpError(400, "workspace_required");
+  }
+  return withTx(async (exec) => {
+    const run = exec || query;
+    const { rows: taken } = await run(
+      `SELECT 1 FROM workspaces WHERE session_id = $1
+       UNION ALL SELECT 1 FROM memberships WHERE session_id = $1 LIMIT 1`,
+      [sessionId]
+    );
+    if (taken?.length) throw httpError(409, "Workspace id is already in use");
+    await run(
+      `INSERT INTO workspaces (session_id, name, created_by) VALUES ($1,$2,$3)`,
+      [sessionId, name ? String(name).trim() : null, userId]
+    );
+    await run(
+      `INSERT INTO memberships (user_id, session_id, role, created_by) VALUES ($1,$2,'owner',$1)`,
+      [userId, sessionId]
+    );
+    await writeAudit({
+      sessionId, userId, action: "create_workspace", entity: "workspaces", entityId: sessionId, details: { name },
+    }, run);
+    return { sessionId, name: name ? String(name).trim() : null, role: "owner" };
+  });
+}
+
+function bootstrapTokenMatches(token) {
+  const expected = process.env.WORKSPACE_BOOTSTRAP_TOKEN;
+  if (!expected || !token) return false;
+  const a = Buffer.from(sha256(token));
+  const b = Buffer.from(sha256(expected));
+  return timingSafeEqual(a, b);
+}
+
+/**
+ * Become owner of a workspace that has no members yet. Only the user who created the id
+ * (see createWorkspace) may claim it, or anyone presenting WORKSPACE_BOOTSTRAP_TOKEN.
+ */
+export async function claimWorkspace(sessionId, userId, { bootstrapToken = null } = {}) {
+  return withTx(async (exec) => {
+    const run = exec || query;
+    const { rows } = await run(`SELECT 1 FROM memberships WHERE session_id = $1 LIMIT 1`, [sessionId]);
+    if (rows?.length) throw httpError(409, "Workspace already has members; ask an owner for access");
+
+    const { rows: ws } = await run(`SELECT created_by FROM workspaces WHERE session_id = $1`, [sessionId]);
+    const via = ws?.[0]?.created_by && ws[0].created_by === userId
+      ? "creator"
+      : bootstrapTokenMatches(bootstrapToken) ? "bootstrap_token" : null;
+    if (!via) throw httpError(403, "claim_not_allowed");
+
+    await run(
+      `INSERT INTO memberships (user_id, session_id, role, created_by) VALUES ($1,$2,'owner',$1)`,
+      [userId, sessionId]
+    );
+    await writeAudit({
+      sessionId, userId, action: "claim_workspace", entity: "memberships", entityId: userId, details: { role: "owner", via },
+    }, run);
+    return { sessionId, role: "owner" };
+  });
+}
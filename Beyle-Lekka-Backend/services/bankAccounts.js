@@ -0,0 +1,233 @@
+// services/bankAccounts.js
+// Bank account master per workspace (migrations 008 + 035). Each account posts to one CoA
+// ledger (ledger_account) and may be linked to the OD/OCC facility on that ledger.
+import { randomUUID } from "crypto";
+import { query, withTx } from "./db.js";
+import { writeAudit } from "./audit.js";
+import { ensureLedgerExists } from "../utils/coaService.js";
+import { createFacility } from "./facilities.js";
+
+// 4 letters (bank), a zero, 6 alphanumerics (branch) — RBI format
+const IFSC_RE = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const ACCOUNT_TYPES = ["SAVINGS", "CURRENT", "OD", "OCC"];
+const ISO = /^\d{4}-\d{2}-\d{2}$/;
+
+function httpError(status, message) {
+  const e = new Error(message);
+  e.http = status;
+  return e;
+}
+
+const has = (o, ...keys) => keys.some(k => Object.prototype.hasOwnProperty.call(o, k));
+const pick = (o, ...keys) => { for (const k of keys) if (has(o, k)) return o[k]; return undefined; };
+const blank = (v) => v === undefined || v === null || String(v).trim() === "";
+
+export function normalizeIfsc(v) {
+  if (blank(v)) return null;
+  const ifsc = String(v).trim().toUpperCase();
+  if (!IFSC_RE.test(ifsc)) throw httpError(400, `Invalid IFSC "${v}" (expected e.g. HDFC0001234)`);
+  return ifsc;
+}
+
+const SELECT_ACCOUNTS = `
+  SELECT a.id, a.name, a.account_no, a.ifsc, a.bank_name, a.branch, a.account_type,
+         a.ledger_account, a.facility_id, a.opening_balance_cents, a.opening_date,
+         a.is_active, a.created_at, a.updated_at,
+         f.facility_type, f.limit_cents AS facility_limit_cents,
+         f.valid_from AS facility_valid_from, f.valid_to AS facility_valid_to,
+         (SELECT COUNT(*) FROM bank_statement_lines l
+           WHERE l.session_id = a.session_id AND l.bank_account_id = a.id) AS line_count
+    FROM bank_accounts a
+    LEFT JOIN account_facilities f ON f.id = a.facility_id AND f.session_id = a.session_id`;
+
+export async function listBankAccounts(sessionId, { includeInactive = false } = {}) {
+  const { rows } = await query(
+    `${SELECT_ACCOUNTS}
+      WHERE a.session_id = $1 AND ($2 = 1 OR COALESCE(a.is_active, 1) = 1)
+      ORDER BY a.name`,
+    [sessionId, includeInactive ? 1 : 0]
+  );
+  return rows || [];
+}
+
+export async function getBankAccount(sessionId, id, run = query) {
+  const { rows } = await run(`${SELECT_ACCOUNTS} WHERE a.id = $1 AND a.session_id = $2`, [id, sessionId]);
+  if (!rows?.length) throw httpError(404, "Bank account not found in this workspace");
+  return rows[0];
+}
+
+/** CoA name for a ledger given by name or code; created under "Bank" when missing. */
+async function resolveLedger(sessionId, ledger) {
+  const code = await ensureLedgerExists(ledger, sessionId, { type: "asset" });
+  const { rows } = await query(
+    `SELECT name FROM chart_of_accounts
+      WHERE (account_code = $1 OR name = $2) AND (session_id = $3 OR session_id = 'GLOBAL' OR session_id IS NULL)
+      ORDER BY CASE WHEN session_id = $3 THEN 0 ELSE 1 END
+      LIMIT 1`,
+    [code || null, ledger, sessionId]
+  );
+  return rows?.[0]?.name || ledger;
+}
+
+/**
+ * Create (no id) or update a bank account.
+ * input: { id?, name, accountNo?, ifsc?, bankName?, branch?, accountType?, openingBalance? (units),
+ *          openingDate?, ledger? (defaults to "Bank - <name>"), isActive?,
+ *          facilityId? (existing facility on the same ledger; null unlinks)
+ *          | facility? { type: OD|OCC|LIMIT_ONLY, limit (units), validFrom?, validTo? } }
+ * An inline facility is created through services/facilities.js; later limit changes go through
+ * its limit history (POST /facilities/:id/limit), not through this call.
+ */
+export async function saveBankAccount(sessionId, input = {}, actorId = null) {
+  const prev = input.id ? await getBankAccount(sessionId, input.id) : null;
+
+  const name = blank(input.name) ? prev?.name : String(input.name).trim();
+  if (!name) throw httpError(400, "name is required");
+
+  const accountNo = has(input, "accountNo", "account_no")
+    ? (blank(pick(input, "accountNo", "account_no")) ? null : String(pick(input, "accountNo", "account_no")).replace(/\s+/g, ""))
+    : prev?.account_no ?? null;
+  const ifsc = has(input, "ifsc") ? normalizeIfsc(input.ifsc) : prev?.ifsc ?? null;
+
+  let accountType = has(input, "accountType", "account_type") ? pick(input, "accountType", "account_type") : prev?.account_type;
+  accountType = blank(accountType) ? null : String(accountType).toUpperCase();
+  if (accountType && !ACCOUNT_TYPES.includes(accountType)) {
+    throw httpError(400, `accountType must be one of ${ACCOUNT_TYPES.join(", ")}`);
+  }
+
+  const opening = pick(input, "openingBalance", "opening_balance");
+  const openingCents = opening === undefined ? Number(prev?.opening_balance_cents || 0) : Math.round(Number(opening || 0) * 100);
+  if (!Number.isFinite(openingCents)) throw httpError(400, "openingBalance must be a number");
+  const openingDate = has(input, "openingDate", "opening_date") ? pick(input, "openingDate", "opening_date") || null : prev?.opening_date ?? null;
+  if (openingDate && !ISO.test(openingDate)) throw httpError(400, "openingDate must be YYYY-MM-DD");
+
+  const ledgerIn = pick(input, "ledger", "ledgerAccount", "ledger_account");
+  const ledger = !blank(ledgerIn)
+    ? await resolveLedger(sessionId, String(ledgerIn).trim())
+    : prev?.ledger_account || await resolveLedger(sessionId, `Bank - ${name}`);
+
+  // One account per ledger and per account number, or statements reconcile against the wrong books
+  const { rows: clash } = await query(
+    `SELECT id, name, ledger_account, account_no FROM bank_accounts
+      WHERE session_id = $1 AND id <> $2 AND COALESCE(is_active, 1) = 1
+        AND (ledger_account = $3 OR ($4 IS NOT NULL AND account_no = $4))
+      LIMIT 1`,
+    [sessionId, prev?.id || "", ledger, accountNo]
+  );
+  if (clash?.length) {
+    const c = clash[0];
+    throw httpError(409, c.ledger_account === ledger
+      ? `Ledger "${ledger}" is already used by bank account "${c.name}"`
+      : `Account number ${accountNo} already exists as "${c.name}"`);
+  }
+
+  const facilityId = await resolveFacility(sessionId, input, prev, ledger);
+  const isActive = has(input, "isActive", "is_active")
+    ? (pick(input, "isActive", "is_active") === false || Number(pick(input, "isActive", "is_active")) === 0 ? 0 : 1)
+    : prev ? Number(prev.is_active ?? 1) : 1;
+
+  const id = prev?.id || randomUUID();
+  const row = {
+    name, account_no: accountNo, ifsc, bank_name: pick(input, "bankName", "bank_name") ?? prev?.bank_name ?? null,
+    branch: input.branch ?? prev?.branch ?? null, account_type: accountType, ledger_account: ledger,
+    facility_id: facilityId, opening_balance_cents: openingCents, opening_date: openingDate, is_active: isActive,
+  };
+
+  await withTx(async (exec) => {
+    const run = exec || query;
+    if (prev) {
+      await run(
+        `UPDATE bank_accounts
+            SET name = $3, account_no = $4, ifsc = $5, bank_name = $6, branch = $7, account_type = $8,
+                ledger_account = $9, facility_id = $10, opening_balance_cents = $11, opening_date = $12,
+                is_active = $13, updated_at = datetime('now')
+          WHERE id = $1 AND session_id = $2`,
+        [id, sessionId, row.name, row.account_no, row.ifsc, row.bank_name, row.branch, row.account_type,
+         row.ledger_account, row.facility_id, row.opening_balance_cents, row.opening_date, row.is_active]
+      );
+    } else {
+      await run(
+        `INSERT INTO bank_accounts
+           (id, session_id, name, account_no, ifsc, bank_name, branch, account_type, ledger_account,
+            facility_id, opening_balance_cents, opening_date, is_active, updated_at)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13, datetime('now'))`,
+        [id, sessionId, row.name, row.account_no, row.ifsc, row.bank_name, row.branch, row.account_type,
+         row.ledger_account, row.facility_id, row.opening_balance_cents, row.opening_date, row.is_active]
+      );
+    }
+    const changes = prev
+      ? Object.fromEntries(Object.entries(row).filter(([k, v]) => (prev[k] ?? null) !== v).map(([k, v]) => [k, { from: prev[k] ?? null, to: v }]))
+      : row;
+    await writeAudit({
+      sessionId, userId: actorId, action: prev ? "bank_account_update" : "bank_account_create",
+      entity: "bank_accounts", entityId: id, details: changes,
+    }, run);
+  });
+
+  if (inlineFacility(input) && !facilityId) {
+    await createFacility(sessionId, { ...input.facility, bankAccountId: id }, actorId);
+  }
+  return { created: !prev, account: await getBankAccount(sessionId, id) };
+}
+
+const inlineFacility = (input) => !!input.facility && typeof input.facility === "object";
+
+/**
+ * facility_id to store: an explicit facilityId (null unlinks), the facility already on the
+ * ledger when one is given inline, or the current link. A linked facility must be on the
+ * account's ledger, since cashBankFacilities looks facilities up by primary_account.
+ */
+async function resolveFacility(sessionId, input, prev, ledger) {
+  if (inlineFacility(input)) {
+    const { rows } = await query(
+      `SELECT id, facility_type, limit_cents FROM account_facilities WHERE session_id = $1 AND primary_account = $2`,
+      [sessionId, ledger]
+    );
+    const f = rows?.[0];
+    if (!f) return null; // created after the account is saved
+    const type = String(input.facility.type || input.facility.facility_type || "").toUpperCase();
+    const limitCents = Math.round(Number(input.facility.limit ?? 0) * 100);
+    if ((type && type !== String(f.facility_type).toUpperCase()) || limitCents !== Number(f.limit_cents)) {
+      throw httpError(409, `"${ledger}" already has a facility; change its limit through /facilities/${f.id}/limit`);
+    }
+    return f.id;
+  }
+  const facilityId = has(input, "facilityId", "facility_id") ? pick(input, "facilityId", "facility_id") || null : prev?.facility_id || null;
+  if (!facilityId) return null;
+  const { rows } = await query(
+    `SELECT id, primary_account FROM account_facilities WHERE id = $1 AND session_id = $2`,
+    [facilityId, sessionId]
+  );
+  if (!rows?.length) throw httpError(404, "Facility not found in this workspace");
+  if (rows[0].primary_account !== ledger) {
+    throw httpError(409, `Facility is on "${rows[0].primary_account}", not on this account's ledger "${ledger}"`);
+  }
+  return facilityId;
+}
+
+/** Delete an unused account; one with statement lines or rules is deactivated instead. */
+export async function deleteBankAccount(sessionId, id, actorId = null) {
+  const acct = await getBankAccount(sessionId, id);
+  const { rows: rules } = await query(
+    `SELECT COUNT(*) AS n FROM bank_rules WHERE session_id = $1 AND bank_account_id = $2`,
+    [sessionId, id]
+  );
+  const inUse = Number(acct.line_count || 0) > 0 || Number(rules?.[0]?.n || 0) > 0;
+
+  await withTx(async (exec) => {
+    const run = exec || query;
+    if (inUse) {
+      await run(
+        `UPDATE bank_accounts SET is_active = 0, updated_at = datetime('now') WHERE id = $1 AND session_id = $2`,
+        [id, sessionId]
+      );
+    } else {
+      await run(`DELETE FROM bank_accounts WHERE id = $1 AND session_id = $2`, [id, sessionId]);
+    }
+    await writeAudit({
+      sessionId, userId: actorId, action: inUse ? "bank_account_deactivate" : "bank_account_delete",
+      entity: "bank_accounts", entityId: id, details: { name: acct.name, ledger_account: acct.ledger_account },
+    }, run);
+  });
+  return { id, deleted: !inUse, deactivated: inUse };
+}
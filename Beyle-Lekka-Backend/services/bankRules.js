@@ -0,0 +1,302 @@
+// services/bankRules.js
+// Per-workspace bank rules (migration 032): CRUD, learning from confirmed matches, and
+// drafting previews for unmatched statement lines. Drafts are ordinary journal previews
+// (preview_snapshots + series reservation); /confirmAndSaveEntry posts them and calls
+// markLineMatched() for the `bankLine` carried in the snapshot payload.
+import { randomUUID } from "crypto";
+import { query } from "./db.js";
+import { reserveSeries } from "./series.js";
+import { ensureLedgerExists } from "../utils/coaService.js";
+import { runValidation } from "../utils/validation/index.js";
+import { createSnapshot } from "../utils/preview/snapshotStore.js";
+import { createFundsHolds } from "../utils/preview/fundsHolds.js";
+import { insertMatchGroup } from "./recoGroups.js";
+import {
+  DIRECTIONS, MATCH_TYPES, compilePattern, pickRule, draftJournal, renderNarration, learnRules,
+} from "../utils/reco/rules.js";
+
+const DEFAULT_BANK_LEDGER = "Bank";
+const MAX_DRAFTS = 200;
+
+function httpError(status, message) {
+  const e = new Error(message);
+  e.http = status;
+  return e;
+}
+
+const centsOrNull = (v) => (v === null || v === undefined || v === "" ? null : Math.round(Number(v) * 100));
+
+/* ------------------------ rules CRUD ------------------------ */
+
+export async function listRules(sessionId, run = query) {
+  const { rows } = await run(
+    `SELECT id, bank_account_id, name, match_type, pattern, direction, min_amount_cents, max_amount_cents,
+            counter_account, narration_template, priority, is_active, source, hits, last_used_at,
+            created_at, updated_at
+       FROM bank_rules WHERE session_id = $1
+      ORDER BY priority, created_at`,
+    [sessionId]
+  );
+  return rows || [];
+}
+
+/**
+ * Create or update (when `id` is given) a rule.
+ * Amounts in units: minAmount / maxAmount (absolute, direction is separate).
+ */
+export async function saveRule(sessionId, input = {}, actorId = null) {
+  const name = String(input.name || input.pattern || "").trim();
+  const matchType = input.matchType || input.match_type || "contains";
+  const pattern = String(input.pattern || "").trim();
+  const direction = input.direction || "any";
+  const counter = String(input.counterAccount || input.counter_account || "").trim();
+  const minC = centsOrNull(input.minAmount);
+  const maxC = centsOrNull(input.maxAmount);
+
+  if (!MATCH_TYPES.includes(matchType)) throw httpError(400, "matchType must be contains or regex");
+  if (!pattern || !compilePattern(matchType, pattern)) throw httpError(400, "pattern is missing or not a valid expression");
+  if (!DIRECTIONS.includes(direction)) throw httpError(400, "direction must be in, out or any");
+  if (!counter) throw httpError(400, "counterAccount is required");
+  if ((minC != null && !Number.isFinite(minC)) || (maxC != null && !Number.isFinite(maxC))) {
+    throw httpError(400, "minAmount / maxAmount must be numbers");
+  }
+  if (minC != null && maxC != null && minC > maxC) throw httpError(400, "minAmount cannot exceed maxAmount");
+
+  const bankAccountId = input.bankAccountId || input.bank_account_id || null;
+  if (bankAccountId) await loadBankAccount(sessionId, bankAccountId);
+
+  const priority = Number.isFinite(Number(input.priority)) ? Math.trunc(Number(input.priority)) : 100;
+  const active = input.isActive === false || input.is_active === 0 ? 0 : 1;
+  const template = input.narrationTemplate || input.narration_template || null;
+  const source = input.source === "learned" ? "learned" : "manual";
+
+  await ensureLedgerExists(counter, sessionId);
+
+  if (input.id) {
+    const { rows } = await query(`SELECT id FROM bank_rules WHERE id = $1 AND session_id = $2`, [input.id, sessionId]);
+    if (!rows?.length) throw httpError(404, "Rule not found");
+    await query(
+      `UPDATE bank_rules
+          SET bank_account_id = $1, name = $2, match_type = $3, pattern = $4, direction = $5,
+              min_amount_cents = $6, max_amount_cents = $7, counter_account = $8, narration_template = $9,
+              priority = $10, is_active = $11, updated_at = datetime('now')
+        WHERE id = $12 AND session_id = $13`,
+      [bankAccountId, name, matchType, pattern, direction, minC, maxC, counter, template, priority, active, input.id, sessionId]
+    );
+    return { id: input.id, created: false };
+  }
+
+  const id = randomUUID();
+  await query(
+    `INSERT INTO bank_rules (id, session_id, bank_account_id, name, match_type, pattern, direction,
+                             min_amount_cents, max_amount_cents, counter_account, narration_template,
+                             priority, is_active, source, created_by)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15)`,
+    [id, sessionId, bankAccountId, name, matchType, pattern, direction, minC, maxC, counter, template,
+     priority, active, source, actorId]
+  );
+  return { id, created: true };
+}
+
+export async function deleteRule(sessionId, id) {
+  const r = await query(`DELETE FROM bank_rules WHERE id = $1 AND session_id = $2`, [id, sessionId]);
+  const changed = r?.changes ?? r?.rowCount ?? 0;
+  if (!changed) throw httpError(404, "Rule not found");
+  return { id, deleted: true };
+}
+
+/* ------------------------ bank account → ledger ------------------------ */
+
+async function loadBankAccount(sessionId, bankAccountId, run = query) {
+  const { rows } = await run(
+    `SELECT * FROM bank_accounts WHERE id = $1 AND session_id = $2`,
+    [bankAccountId, sessionId]
+  );
+  if (!rows?.length) throw httpError(404, "Bank account not found in this workspace");
+  return rows[0];
+}
+
+/**
+ * CoA ledger a bank account posts to: its linked ledger_account (migration 035); for accounts
+ * created before that, a ledger named like the account, else "Bank".
+ */
+export async function bankLedgerOf(sessionId, bankAccountId, run = query) {
+  const acct = await loadBankAccount(sessionId, bankAccountId, run);
+  if (acct.ledger_account) return acct.ledger_account;
+  const { rows } = await run(
+    `SELECT name FROM chart_of_accounts
+      WHERE (session_id = $1 OR session_id = 'GLOBAL') AND name = $2
+      LIMIT 1`,
+    [sessionId, acct.name]
+  );
+  return rows?.length ? rows[0].name : DEFAULT_BANK_LEDGER;
+}
+
+/* ------------------------ learning ------------------------ */
+
+/**
+ * Matched statement lines with the counter side of their ledger entry:
+ * inflow → the entry's credit account, outflow → its debit account.
+ */
+async function matchDecisions(sessionId, bankAccountId, run = query) {
+  const { rows } = await run(
+    `SELECT l.id, l.bank_account_id, l.narration, l.amount_cents,
+            CASE WHEN l.amount_cents >= 0 THEN le.credit_account ELSE le.debit_account END AS counter_account
+       FROM bank_statement_lines l
+       JOIN ledger_entries le ON le.id = l.matched_ledger_id AND le.session_id = l.session_id
+      WHERE l.session_id = $1 AND l.status = 'matched'
+        AND ($2 IS NULL OR l.bank_account_id = $2)`,
+    [sessionId, bankAccountId || null]
+  );
+  return rows || [];
+}
+
+/**
+ * Proposed rules from past matches; `exists` marks proposals an existing rule already covers
+ * (same pattern, direction and counter ledger). With save = true new proposals are stored
+ * as source = 'learned'.
+ */
+export async function learnFromMatches(sessionId, { bankAccountId = null, minSupport = 2, minPrecision = 0.9, save = false, actorId = null } = {}) {
+  if (bankAccountId) await loadBankAccount(sessionId, bankAccountId);
+  const decisions = await matchDecisions(sessionId, bankAccountId);
+  const proposals = learnRules(decisions, { minSupport, minPrecision });
+
+  const existing = await listRules(sessionId);
+  const key = (r) => `${String(r.pattern).toLowerCase()}|${r.direction}|${String(r.counter_account).toLowerCase()}`;
+  const have = new Set(existing.map(key));
+
+  const out = [];
+  for (const p of proposals) {
+    const exists = have.has(key(p));
+    let id = null;
+    if (save && !exists) {
+      ({ id } = await saveRule(sessionId, {
+        name: `Learned: ${p.pattern}`,
+        matchType: "contains",
+        pattern: p.pattern,
+        direction: p.direction,
+        counterAccount: p.counter_account,
+        bankAccountId: p.bank_account_id,
+        priority: 200, // after manual rules
+        source: "learned",
+      }, actorId));
+      have.add(key(p));
+    }
+    out.push({ ...p, exists, savedId: id });
+  }
+  return { decisions: decisions.length, proposals: out };
+}
+
+/* ------------------------ drafting ------------------------ */
+
+/**
+ * Draft journal previews for unmatched lines of one bank account that a rule matches.
+ * Each draft is validated like an orchestrated preview; lines with hard errors are skipped
+ * with the errors, as are lines whose earlier draft is still live (the pending preview is kept on
+ * the line). Confirm each draft via /confirmAndSaveEntry { previewId, hash }.
+ */
+export async function draftRulePreviews(sessionId, { bankAccountId, dateFrom = null, dateTo = null, limit = MAX_DRAFTS, userId = null }) {
+  if (!bankAccountId) throw httpError(400, "bankAccountId is required");
+  const bankLedger = await bankLedgerOf(sessionId, bankAccountId);
+  const rules = (await listRules(sessionId)).filter(r => Number(r.is_active));
+
+  const { rows: lines } = await query(
+    `SELECT l.id, l.bank_account_id, l.value_date, l.narration, l.amount_cents, l.preview_id,
+            p.status AS preview_status, p.expires_at
+       FROM bank_statement_lines l
+       LEFT JOIN preview_snapshots p ON p.preview_id = l.preview_id
+      WHERE l.session_id = $1 AND l.bank_account_id = $2
+        AND (l.status IS NULL OR l.status = 'unmatched')
+        AND l.value_date BETWEEN COALESCE($3,'1900-01-01') AND COALESCE($4,'2999-12-31')
+      ORDER BY l.value_date, l.id`,
+    [sessionId, bankAccountId, dateFrom, dateTo]
+  );
+  const now = Date.now();
+  const pending = (l) =>
+    !!l.preview_id && !!l.expires_at && l.preview_status !== "USED" && new Date(l.expires_at).getTime() > now;
+
+  const drafts = [];
+  const skipped = [];
+  let noRule = 0;
+  const cap = Math.min(Number(limit) || MAX_DRAFTS, MAX_DRAFTS);
+
+  for (const line of lines || []) {
+    if (drafts.length >= cap) break;
+    if (!Number(line.amount_cents)) { skipped.push({ bankLineId: line.id, reason: "zero_amount" }); continue; }
+    if (pending(line)) {
+      skipped.push({ bankLineId: line.id, reason: "draft_pending", previewId: line.preview_id });
+      continue;
+    }
+    const rule = pickRule(rules, line);
+    if (!rule) { noRule++; continue; }
+
+    const narration = renderNarration(rule.narration_template, line) || `Bank: ${rule.name}`;
+    const journal = draftJournal(line, { bankLedger, counterAccount: rule.counter_account, narration });
+    const date = journal[0].date;
+    const docModel = { date, narration, bankAccountId, bankLineId: line.id, ruleId: rule.id };
+
+    await ensureLedgerExists(rule.counter_account, sessionId);
+    const v = await runValidation({ docType: "journal", journal, docModel, mode: "preview", sessionId });
+    const hard = (v?.errors || []).filter(e => e && e.level !== "warn");
+    if (hard.length) {
+      skipped.push({ bankLineId: line.id, ruleId: rule.id, reason: "validation", errors: hard });
+      continue;
+    }
+
+    const reservation = await reserveSeries({ docType: "journal", dateISO: date, previewId: "tmp", sessionId });
+    const payload = {
+      docType: "journal",
+      docModel: { ...docModel, number: reservation.number },
+      journal,
+      bankLine: { id: line.id, bankAccountId, ruleId: rule.id },
+    };
+    const snap = await createSnapshot({ docType: "journal", payload, reservation, sessionId, userId });
+    try {
+      await createFundsHolds({ sessionId, journal, defaultDate: date, previewId: snap.previewId });
+    } catch (e) { console.warn("Funds holds creation failed (non-fatal):", e?.message || e); }
+    await query(
+      `UPDATE bank_statement_lines SET preview_id = $1 WHERE id = $2 AND session_id = $3`,
+      [snap.previewId, line.id, sessionId]
+    );
+
+    drafts.push({
+      bankLineId: line.id,
+      ruleId: rule.id,
+      ruleName: rule.name,
+      previewId: snap.previewId,
+      hash: snap.hash,
+      expiresAt: snap.expiresAt,
+      number: reservation.number,
+      journal,
+      warnings: v?.warnings || [],
+    });
+  }
+
+  return { bankLedger, drafts, skipped, unmatched: (lines || []).length, withoutRule: noRule };
+}
+
+/**
+ * Called from confirmAndSaveEntry once a bank-rule draft is posted: the line is matched (as a 1:1
+ * match group) to the posted entry and the rule's hit count bumped. Returns false, leaving the
+ * line alone, when it was matched or excluded meanwhile.
+ */
+export async function markLineMatched(sessionId, { bankLineId, ledgerEntryId, ruleId = null }, run = query) {
+  const { rows } = await run(
+    `SELECT status FROM bank_statement_lines WHERE id = $1 AND session_id = $2`,
+    [bankLineId, sessionId]
+  );
+  const status = rows?.[0]?.status;
+  if (!rows?.length || (status && status !== "unmatched")) return false;
+
+  await insertMatchGroup(sessionId, {
+    bankLineIds: [bankLineId], ledgerEntryIds: [ledgerEntryId], note: ruleId ? "bank rule" : null,
+  }, run);
+  if (ruleId) {
+    await run(`UPDATE bank_statement_lines SET rule_id = $1 WHERE id = $2 AND session_id = $3`, [ruleId, bankLineId, sessionId]);
+    await run(
+      `UPDATE bank_rules SET hits = hits + 1, last_used_at = datetime('now') WHERE id = $1 AND session_id = $2`,
+      [ruleId, sessionId]
+    );
+  }
+  return true;
+}
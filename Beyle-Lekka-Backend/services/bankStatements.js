@@ -0,0 +1,170 @@
+// services/bankStatements.js
+// Land parsed bank statements (services/formats/*-bank-statement-v1.js) in bank_statement_lines:
+// dedupe by ext_ref per bank account, record each statement's balances (migration 034).
+import { randomUUID } from "crypto";
+import { query, withTx } from "./db.js";
+import { withRefs } from "./formats/bank-statement-utils.js";
+
+function httpError(status, message) {
+  const e = new Error(message);
+  e.http = status;
+  return e;
+}
+
+function isoDate(v) {
+  const s = String(v || "").trim();
+  const m = s.match(/^(\d{2})[-/.](\d{2})[-/.](\d{4})$/);
+  if (m) return `${m[3]}-${m[2]}-${m[1]}`;
+  return /^\d{4}-\d{2}-\d{2}/.test(s) ? s.slice(0, 10) : null;
+}
+
+const digits = (s) => String(s || "").replace(/\D/g, "");
+
+/** Does the account printed in the file refer to this bank account? (IBAN / "BIC/acct" / plain) */
+function sameAccount(ref, account) {
+  const a = digits(account.account_no);
+  const r = digits(ref);
+  return !!a && !!r && (r === a || r.endsWith(a) || a.endsWith(r));
+}
+
+/**
+ * parsed: { bank_txns: [{ date, narration, ref, amount_cents, account?, statement? }], statements?: [...] }
+ * Each line lands under the statement its `statement` index points at (untagged lines, as from
+ * CSV profiles without statements, under the first). A file covering several accounts imports only the statements of `accountRef` (or those whose
+ * account matches bank_accounts.account_no); with no way to choose, it is rejected.
+ * The bank account's opening_balance_cents is seeded from the first statement's opening
+ * balance when the account has no lines yet and no opening balance.
+ */
+export async function importStatement(sessionId, { bankAccountId, parsed, format, fileId = null, batchId = null, accountRef = null }) {
+  if (!bankAccountId) throw httpError(400, "bankAccountId is required");
+  const { rows: accts } = await query(
+    `SELECT id, name, account_no, opening_balance_cents FROM bank_accounts WHERE id = $1 AND session_id = $2`,
+    [bankAccountId, sessionId]
+  );
+  const account = accts?.[0];
+  if (!account) throw httpError(404, "Bank account not found in this workspace");
+
+  let statements = Array.isArray(parsed?.statements) && parsed.statements.length
+    ? parsed.statements.map((s, index) => ({ ...s, index }))
+    : [{ index: 0, account: null, opening: null, closing: null }];
+  const txns = withRefs((parsed?.bank_txns || []).map(t => ({ ...t, date: isoDate(t.date) })).filter(t => t.date));
+
+  const refs = [...new Set(statements.map(s => s.account).filter(Boolean))];
+  if (refs.length > 1) {
+    const pick = accountRef
+      ? refs.filter(r => r === accountRef)
+      : refs.filter(r => sameAccount(r, account));
+    if (pick.length !== 1) {
+      const e = httpError(400, `File holds statements for ${refs.length} accounts; pass accountRef`);
+      e.accounts = refs;
+      throw e;
+    }
+    statements = statements.filter(s => s.account === pick[0]);
+  }
+
+  return withTx(async (exec) => {
+    const run = exec || query;
+    const { rows: cnt } = await run(
+      `SELECT COUNT(*) AS n FROM bank_statement_lines WHERE session_id = $1 AND bank_account_id = $2`,
+      [sessionId, bankAccountId]
+    );
+    const firstImport = Number(cnt?.[0]?.n || 0) === 0;
+
+    const out = [];
+    for (const st of statements) {
+      const mine = txns.filter(t => (t.statement ?? 0) === st.index);
+      const statementId = randomUUID();
+      let imported = 0, duplicate = 0;
+      const seen = new Set();
+      for (const t of mine) {
+        if (seen.has(t.ref)) { duplicate++; continue; }
+        seen.add(t.ref);
+        const { rows: ex } = await run(
+          `SELECT 1 FROM bank_statement_lines WHERE session_id = $1 AND bank_account_id = $2 AND ext_ref = $3 LIMIT 1`,
+          [sessionId, bankAccountId, t.ref]
+        );
+        if (ex?.length) { duplicate++; continue; }
+        await run(
+          `INSERT INTO bank_statement_lines
+             (id, session_id, bank_account_id, value_date, narration, amount_cents, ext_ref, imported_file_id, status, statement_id)
+           VALUES ($1,$2,$3,$4,$5,$6,$7,$8,'unmatched',$9)`,
+          [randomUUID(), sessionId, bankAccountId, t.date, t.narration || "", Number(t.amount_cents || 0), t.ref, fileId, statementId]
+        );
+        imported++;
+      }
+
+      const movement = mine.reduce((s, t) => s + Number(t.amount_cents || 0), 0);
+      const balanceOk = st.opening && st.closing ? st.opening.cents + movement === st.closing.cents : null;
+      await run(
+        `INSERT INTO bank_statements
+           (id, session_id, bank_account_id, format, file_id, batch_id, statement_ref, account_ref, currency,
+            period_from, period_to, opening_date, opening_cents, closing_date, closing_cents,
+            lines_total, lines_imported, lines_duplicate, balance_ok)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19)`,
+        [statementId, sessionId, bankAccountId, format, fileId, batchId, st.id || st.number || null, st.account || null,
+         st.currency || null, st.from || null, st.to || null, st.opening?.date || null, st.opening?.cents ?? null,
+         st.closing?.date || null, st.closing?.cents ?? null, mine.length, imported, duplicate,
+         balanceOk == null ? null : balanceOk ? 1 : 0]
+      );
+      out.push({
+        statementId,
+        statementRef: st.id || st.number || null,
+        accountRef: st.account || null,
+        from: st.from || null,
+        to: st.to || null,
+        opening: st.opening || null,
+        closing: st.closing || null,
+        lines: mine.length,
+        imported,
+        duplicates: duplicate,
+        balanceOk,
+        difference_cents: balanceOk === false ? st.closing.cents - st.opening.cents - movement : 0,
+      });
+    }
+
+    // Seed the account's opening balance from the earliest statement on a first import
+    let openingBalanceSet = false;
+    const earliest = out.filter(s => s.opening).sort((a, b) => String(a.opening.date).localeCompare(String(b.opening.date)))[0];
+    if (firstImport && earliest && !Number(account.opening_balance_cents)) {
+      await run(
+        `UPDATE bank_accounts SET opening_balance_cents = $1 WHERE id = $2 AND session_id = $3`,
+        [earliest.opening.cents, bankAccountId, sessionId]
+      );
+      openingBalanceSet = true;
+    }
+
+    return {
+      bankAccountId,
+      imported: out.reduce((s, x) => s + x.imported, 0),
+      duplicates: out.reduce((s, x) => s + x.duplicates, 0),
+      statements: out,
+      openingBalanceSet,
+    };
+  });
+}
+
+/** Bank-statement lines in a parsed file already present for the account (by ext_ref). */
+export async function countDuplicates(sessionId, bankAccountId, txns) {
+  let n = 0;
+  for (const t of withRefs(txns || [])) {
+    const { rows } = await query(
+      `SELECT 1 FROM bank_statement_lines WHERE session_id = $1 AND bank_account_id = $2 AND ext_ref = $3 LIMIT 1`,
+      [sessionId, bankAccountId, t.ref]
+    );
+    if (rows?.length) n++;
+  }
+  return n;
+}
+
+export async function listStatements(sessionId, { bankAccountId = null } = {}) {
+  const { rows } = await query(
+    `SELECT id, bank_account_id, format, statement_ref, account_ref, currency, period_from, period_to,
+            opening_date, opening_cents, closing_date, closing_cents, lines_total, lines_imported,
+            lines_duplicate, balance_ok, created_at
+       FROM bank_statements
+      WHERE session_id = $1 AND ($2 IS NULL OR bank_account_id = $2)
+      ORDER BY period_to DESC, created_at DESC`,
+    [sessionId, bankAccountId]
+  );
+  return rows || [];
+}
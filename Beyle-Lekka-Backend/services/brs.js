@@ -0,0 +1,88 @@
+// services/brs.js
+// Data for the Bank Reconciliation Statement (utils/reports/brs.js) of one bank account.
+import { query } from "./db.js";
+import { bankLedgerOf } from "./bankRules.js";
+import { buildBrs } from "../utils/reports/brs.js";
+
+function httpError(status, message) {
+  const e = new Error(message);
+  e.http = status;
+  return e;
+}
+
+export async function brsReport(sessionId, { bankAccountId, asOf }) {
+  if (!bankAccountId) throw httpError(400, "bankAccountId is required");
+  const { rows: accts } = await query(
+    `SELECT id, name, account_no, ifsc, opening_balance_cents FROM bank_accounts WHERE id = $1 AND session_id = $2`,
+    [bankAccountId, sessionId]
+  );
+  const account = accts?.[0];
+  if (!account) throw httpError(404, "Bank account not found in this workspace");
+  const bankLedger = await bankLedgerOf(sessionId, bankAccountId);
+
+  // Book side: postings to the bank ledger, signed as seen from the bank
+  const { rows: entries } = await query(
+    `SELECT le.id, substr(le.transaction_date,1,10) AS date, le.narration,
+            le.debit_account, le.credit_account, d.number AS document_number,
+            CASE WHEN lower(le.debit_account) = lower($2) THEN le.amount_cents ELSE -le.amount_cents END AS cents
+       FROM ledger_entries le
+       LEFT JOIN documents d ON d.id = le.document_id AND d.session_id = le.session_id
+      WHERE le.session_id = $1
+        AND (lower(le.debit_account) = lower($2) OR lower(le.credit_account) = lower($2))
+        AND lower(le.debit_account) <> lower(le.credit_account)
+        AND substr(le.transaction_date,1,10) <= $3`,
+    [sessionId, bankLedger, asOf]
+  );
+
+  const { rows: lines } = await query(
+    `SELECT id, value_date AS date, narration, amount_cents AS cents, status, ext_ref
+       FROM bank_statement_lines
+      WHERE session_id = $1 AND bank_account_id = $2 AND value_date <= $3`,
+    [sessionId, bankAccountId, asOf]
+  );
+
+  const { rows: first } = await query(
+    `SELECT MIN(value_date) AS d FROM bank_statement_lines WHERE session_id = $1 AND bank_account_id = $2`,
+    [sessionId, bankAccountId]
+  );
+
+  // Match groups on this account (any date), plus 1:1 matches made before groups existed
+  const { rows: items } = await query(
+    `SELECT i.group_id, i.kind, i.ref_id,
+            CASE WHEN i.kind = 'bank' THEN b.value_date ELSE substr(le.transaction_date,1,10) END AS date,
+            CASE WHEN i.kind = 'ledger'
+                  AND (lower(le.debit_account) = lower($3) OR lower(le.credit_account) = lower($3)) THEN 1 ELSE 0 END AS on_bank_ledger
+       FROM reco_match_items i
+       JOIN reco_match_groups g ON g.id = i.group_id
+       LEFT JOIN bank_statement_lines b ON i.kind = 'bank' AND b.id = i.ref_id
+       LEFT JOIN ledger_entries le ON i.kind = 'ledger' AND le.id = i.ref_id
+      WHERE i.session_id = $1 AND g.bank_account_id = $2
+     UNION ALL
+     SELECT 'line:' || b.id, 'bank', b.id, b.value_date, 0
+       FROM bank_statement_lines b
+      WHERE b.session_id = $1 AND b.bank_account_id = $2 AND b.status = 'matched'
+        AND b.match_group_id IS NULL AND b.matched_ledger_id IS NOT NULL
+     UNION ALL
+     SELECT 'line:' || b.id, 'ledger', le.id, substr(le.transaction_date,1,10),
+            CASE WHEN lower(le.debit_account) = lower($3) OR lower(le.credit_account) = lower($3) THEN 1 ELSE 0 END
+       FROM bank_statement_lines b
+       JOIN ledger_entries le ON le.id = b.matched_ledger_id AND le.session_id = b.session_id
+      WHERE b.session_id = $1 AND b.bank_account_id = $2 AND b.status = 'matched' AND b.match_group_id IS NULL`,
+    [sessionId, bankAccountId, bankLedger]
+  );
+
+  const brs = buildBrs({
+    asOf,
+    entries: (entries || []).map(e => ({ ...e, cents: Number(e.cents || 0) })),
+    lines: (lines || []).map(l => ({ ...l, cents: Number(l.cents || 0) })),
+    items: items || [],
+    openingCents: account.opening_balance_cents,
+    statementStart: first?.[0]?.d ? String(first[0].d).slice(0, 10) : null,
+  });
+
+  return {
+    bankAccount: { id: account.id, name: account.name, account_no: account.account_no, ifsc: account.ifsc },
+    bankLedger,
+    ...brs,
+  };
+}
@@ -0,0 +1,38 @@
+// services/documentFiles.js
+// Posted documents re-rendered on demand from their stored docModel, as PDF or DOCX, with the
+// workspace letterhead and any e-invoice registration the row carries.
+import { query } from "./db.js";
+import { getPostedDocument } from "./documentPayloads.js";
+import { getBranding, DOC_FORMATS } from "./workspaceSettings.js";
+import { generateDocument, RENDERABLE_DOC_TYPES } from "../utils/docGenerators/index.js";
+
+function httpError(status, message) {
+  const e = new Error(message);
+  e.http = status;
+  return e;
+}
+
+/** Render a posted invoice / receipt / payment voucher; format defaults to the workspace's. */
+export async function renderPostedDocument(sessionId, id, format = null) {
+  if (format && !DOC_FORMATS.includes(format)) throw httpError(400, `format must be one of ${DOC_FORMATS.join(", ")}`);
+  const doc = await getPostedDocument(sessionId, id);
+  if (!doc) throw httpError(404, "Document not found in this workspace");
+  if (!RENDERABLE_DOC_TYPES.includes(doc.doc_type)) throw httpError(409, `${doc.doc_type} documents have no printable template`);
+
+  const { rows } = await query(
+    `SELECT irn, irn_ack_no, irn_ack_date, irn_signed_qr FROM documents WHERE id = $1 AND session_id = $2`,
+    [id, sessionId]
+  );
+  const reg = rows?.[0] || {};
+  const fields = {
+    ...doc.dm,
+    number: doc.number,
+    date: doc.dm?.date || doc.date,
+    ...(reg.irn ? { irn: reg.irn, ackNo: reg.irn_ack_no, ackDate: reg.irn_ack_date, signedQr: reg.irn_signed_qr } : {}),
+  };
+  return generateDocument({
+    structured: { docType: doc.doc_type, documentFields: { [doc.doc_type]: fields } },
+    branding: await getBranding(sessionId),
+    format,
+  });
+}
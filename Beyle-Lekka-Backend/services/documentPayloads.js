@@ -0,0 +1,111 @@
+// services/documentPayloads.js
+// Posted documents with their docModel. Confirm stores the docModel on
+// documents.payload_json (027); older rows fall back to the used preview snapshot.
+import { query } from "./db.js";
+
+function parse(json) {
+  if (!json) return null;
+  try { return JSON.parse(json); } catch { return null; }
+}
+
+async function hasPayloadColumn(run) {
+  try {
+    await run(`SELECT payload_json FROM documents WHERE 1 = 0`);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Snapshot payloads for documents posted before 027, keyed by reserved number
+async function snapshotModels(sessionId, docTypes, run) {
+  const ph = docTypes.map((_, i) => `$${i + 2}`).join(",");
+  const { rows } = await run(
+    `SELECT doc_type, reserved_number, payload_json
+       FROM preview_snapshots
+      WHERE session_id = $1 AND status = 'USED' AND doc_type IN (${ph})`,
+    [sessionId, ...docTypes]
+  );
+  const out = new Map();
+  for (const r of rows || []) {
+    const p = parse(r.payload_json);
+    const number = p?.docModel?.number || r.reserved_number;
+    if (p?.docModel && number) out.set(`${r.doc_type}|${number}`, p.docModel);
+  }
+  return out;
+}
+
+/**
+ * Posted documents of the given types dated within [from, to], each with `dm`
+ * (the previewed docModel, or {} when none can be found).
+ */
+export async function listPostedDocuments(sessionId, { docTypes, from, to }, run = query) {
+  if (!Array.isArray(docTypes) || !docTypes.length) return [];
+  const withPayload = await hasPayloadColumn(run);
+  const ph = docTypes.map((_, i) => `$${i + 4}`).join(",");
+  const { rows } = await run(
+    `SELECT id, doc_type, number, date, party_name, gross_amount_cents
+            ${withPayload ? ", payload_json" : ""}
+       FROM documents
+      WHERE session_id = $1
+        AND substr(date, 1, 10) BETWEEN $2 AND $3
+        AND doc_type IN (${ph})
+        AND COALESCE(status, 'FINALIZED') <> 'CANCELLED'
+      ORDER BY date, number`,
+    [sessionId, from, to, ...docTypes]
+  );
+
+  const docs = (rows || []).map(r => ({ ...r, date: String(r.date).slice(0, 10), dm: parse(r.payload_json) }));
+  if (docs.some(d => !d.dm)) {
+    const snaps = await snapshotModels(sessionId, docTypes, run).catch(() => new Map());
+    for (const d of docs) if (!d.dm) d.dm = snaps.get(`${d.doc_type}|${d.number}`) || {};
+  }
+  for (const d of docs) delete d.payload_json;
+  return docs;
+}
+
+/** One posted document with its docModel, by id. */
+export async function getPostedDocument(sessionId, id, run = query) {
+  const withPayload = await hasPayloadColumn(run);
+  const { rows } = await run(
+    `SELECT id, doc_type, number, date, party_name, gross_amount_cents, status, file_url
+            ${withPayload ? ", payload_json" : ""}
+       FROM documents
+      WHERE session_id = $1 AND id = $2`,
+    [sessionId, id]
+  );
+  const r = rows?.[0];
+  if (!r) return null;
+  let dm = parse(r.payload_json);
+  if (!dm) {
+    const snaps = await snapshotModels(sessionId, [r.doc_type], run).catch(() => new Map());
+    dm = snaps.get(`${r.doc_type}|${r.number}`) || {};
+  }
+  const { payload_json, ...doc } = r;
+  return { ...doc, date: String(doc.date).slice(0, 10), dm };
+}
+
+/** docModels for a set of document ids → Map(id → { doc_type, number, date, party_name, dm }). */
+export async function loadDocModels(sessionId, ids, run = query) {
+  const list = [...new Set((ids || []).filter(Boolean))];
+  const out = new Map();
+  if (!list.length) return out;
+  const withPayload = await hasPayloadColumn(run);
+  const ph = list.map((_, i) => `$${i + 2}`).join(",");
+  const { rows } = await run(
+    `SELECT id, doc_type, number, date, party_name ${withPayload ? ", payload_json" : ""}
+       FROM documents
+      WHERE session_id = $1 AND id IN (${ph})`,
+    [sessionId, ...list]
+  );
+  let snaps = null;
+  for (const r of rows || []) {
+    let dm = parse(r.payload_json);
+    if (!dm) {
+      snaps = snaps || await snapshotModels(sessionId, [...new Set(rows.map(x => x.doc_type))], run).catch(() => new Map());
+      dm = snaps.get(`${r.doc_type}|${r.number}`) || {};
+    }
+    out.set(r.id, { doc_type: r.doc_type, number: r.number, date: String(r.date).slice(0, 10), party_name: r.party_name, dm });
+  }
+  return out;
+}
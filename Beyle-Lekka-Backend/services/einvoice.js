@@ -0,0 +1,152 @@
+// services/einvoice.js
+// GST e-invoicing of posted invoices and notes (migration 041): build the NIC JSON from the
+// stored docModel, validate it, submit it through the configured IRP adapter and keep the IRN,
+// acknowledgement and signed QR on the documents row. The invoice is then re-rendered with them.
+import { query } from "./db.js";
+import { writeAudit } from "./audit.js";
+import { getPostedDocument } from "./documentPayloads.js";
+import { getAdapter } from "./irp/registry.js";
+import { buildEInvoice, validateEInvoice, DOC_TYPES } from "../utils/tax/einvoice.js";
+import { customerGSTINOf } from "../utils/tax/gstr1.js";
+import { isValidGSTIN } from "../utils/tax/gstUtil.js";
+import { generateDocument } from "../utils/docGenerators/index.js";
+import { getBranding } from "./workspaceSettings.js";
+
+const ISO = /^\d{4}-\d{2}-\d{2}$/;
+const E_DOC_TYPES = Object.keys(DOC_TYPES);
+
+function httpError(status, message, details = null) {
+  const e = new Error(message);
+  e.http = status;
+  if (details) e.details = details;
+  return e;
+}
+
+const parse = (s) => { try { return JSON.parse(s); } catch { return {}; } };
+
+function isoOrNull(v, field) {
+  if (v === undefined || v === null || String(v).trim() === "") return null;
+  if (!ISO.test(String(v))) throw httpError(400, `${field} must be YYYY-MM-DD`);
+  return String(v);
+}
+
+/**
+ * Workspace identity for seller fields the docModel does not carry: the branding letterhead
+ * (which falls back to ORG_GSTIN / ORG_LEGAL_NAME / COMPANY_ADDRESS), plus city and pincode
+ * from the environment.
+ */
+export async function sellerIdentity(sessionId, run = query) {
+  const b = await getBranding(sessionId, run);
+  const env = process.env;
+  return {
+    gstin: b.gstin,
+    name: b.legalName || b.tradeName,
+    address: b.address,
+    location: env.COMPANY_CITY || "",
+    pin: env.COMPANY_PINCODE || "",
+  };
+}
+
+/**
+ * Posted invoices / notes in [from, to] with their e-invoice state.
+ * status: "pending" (B2B, no IRN yet) | "registered" | null (all).
+ */
+export async function listEInvoices(sessionId, { from = null, to = null, status = null } = {}) {
+  const ph = E_DOC_TYPES.map((_, i) => `$${i + 4}`).join(",");
+  const { rows } = await query(
+    `SELECT id, doc_type, number, date, party_name, gross_amount_cents, status,
+            irn, irn_ack_no, irn_ack_date, payload_json
+       FROM documents
+      WHERE session_id = $1
+        AND ($2 IS NULL OR substr(date, 1, 10) >= $2) AND ($3 IS NULL OR substr(date, 1, 10) <= $3)
+        AND doc_type IN (${ph})
+        AND COALESCE(status, 'FINALIZED') <> 'CANCELLED'
+      ORDER BY date DESC, number DESC`,
+    [sessionId, isoOrNull(from, "from"), isoOrNull(to, "to"), ...E_DOC_TYPES]
+  );
+  const out = (rows || []).map(({ payload_json, ...r }) => {
+    const ctin = customerGSTINOf(parse(payload_json));
+    return { ...r, date: String(r.date).slice(0, 10), buyer_gstin: ctin || null, b2b: isValidGSTIN(ctin) };
+  });
+  if (status === "registered") return out.filter(r => r.irn);
+  if (status === "pending") return out.filter(r => r.b2b && !r.irn);
+  return out;
+}
+
+async function loadDocument(sessionId, id, run = query) {
+  const doc = await getPostedDocument(sessionId, id, run);
+  if (!doc) throw httpError(404, "Document not found in this workspace");
+  if (!DOC_TYPES[doc.doc_type]) throw httpError(409, `${doc.doc_type} documents are not e-invoiced`);
+  if (doc.status === "CANCELLED") throw httpError(409, `${doc.number} is cancelled`);
+  return doc;
+}
+
+/** The NIC JSON for a posted document and what would stop the IRP from accepting it. */
+export async function einvoicePayload(sessionId, id) {
+  const doc = await loadDocument(sessionId, id);
+  const payload = buildEInvoice(doc, { seller: await sellerIdentity(sessionId) });
+  const errors = validateEInvoice(payload, doc.dm);
+  return { document: { id: doc.id, doc_type: doc.doc_type, number: doc.number, date: doc.date }, payload, valid: !errors.length, errors };
+}
+
+/**
+ * Register a posted document with the IRP and store the IRN, ack number/date and signed QR.
+ * The payload must pass validation first; an IRP rejection comes back as 422 with its errors.
+ */
+export async function generateIrn(sessionId, id, actorId = null) {
+  const doc = await loadDocument(sessionId, id);
+  const { rows: cur } = await query(`SELECT irn FROM documents WHERE id = $1 AND session_id = $2`, [id, sessionId]);
+  if (cur?.[0]?.irn) throw httpError(409, `${doc.number} already has IRN ${cur[0].irn}`);
+
+  const payload = buildEInvoice(doc, { seller: await sellerIdentity(sessionId) });
+  const errors = validateEInvoice(payload, doc.dm);
+  if (errors.length) throw httpError(422, "E-invoice JSON failed validation", errors);
+
+  const adapter = getAdapter();
+  if (!adapter) throw httpError(500, `Unknown IRP adapter: ${process.env.IRP_ADAPTER}`);
+  let res;
+  try {
+    res = await adapter.generateIrn(payload);
+  } catch (e) {
+    if (e.irpErrors) throw httpError(422, `IRP rejected ${doc.number}: ${e.message}`, e.irpErrors);
+    throw httpError(502, `IRP unavailable: ${e.message}`);
+  }
+
+  await query(
+    `UPDATE documents SET irn = $3, irn_ack_no = $4, irn_ack_date = $5, irn_signed_qr = $6
+      WHERE id = $1 AND session_id = $2`,
+    [id, sessionId, res.irn, res.ackNo, res.ackDate, res.signedQr]
+  );
+  await writeAudit({
+    sessionId, userId: actorId, action: "einvoice_irn", entity: "documents", entityId: id,
+    details: { number: doc.number, adapter: adapter.id, irn: res.irn, ack_no: res.ackNo, ack_date: res.ackDate },
+  });
+
+  // Re-render the invoice with the IRN block (best-effort; the registration stands either way)
+  let fileUrl = doc.file_url || null;
+  if (doc.doc_type === "invoice") {
+    try {
+      const meta = await generateDocument({
+        branding: await getBranding(sessionId),
+        structured: {
+          docType: "invoice",
+          documentFields: {
+            invoice: { ...doc.dm, number: doc.number, irn: res.irn, ackNo: res.ackNo, ackDate: res.ackDate, signedQr: res.signedQr },
+          },
+        },
+      });
+      fileUrl = meta.url || meta.filename;
+      await query(`UPDATE documents SET file_url = $1 WHERE id = $2 AND session_id = $3`, [fileUrl, id, sessionId]);
+    } catch (e) {
+      console.warn("Invoice re-render after IRN failed:", e?.message);
+    }
+  }
+
+  return {
+    document: { id, doc_type: doc.doc_type, number: doc.number, date: doc.date, file_url: fileUrl },
+    irn: res.irn,
+    ack_no: res.ackNo,
+    ack_date: res.ackDate,
+    signed_qr: res.signedQr,
+  };
+}
@@ -0,0 +1,169 @@
+// services/ewaybill.js
+// E-way bills for posted goods invoices and stock transfers (migration 042). The bulk JSON is
+// built from the stored docModel and its transport details; the EWB number and validity the
+// portal returns are recorded back on the documents row.
+import { query } from "./db.js";
+import { writeAudit } from "./audit.js";
+import { getPostedDocument } from "./documentPayloads.js";
+import { resolveWarehouse, warehouseRefOf } from "./warehouses.js";
+import { sellerIdentity } from "./einvoice.js";
+import {
+  invoiceEwayBill, transferEwayBill, bulkEwayBillJson, normalizeTransport, transportProblems,
+  ewbValidUntil, DEFAULT_EWB_THRESHOLD,
+} from "../utils/tax/ewaybill.js";
+import defPolicy from "../utils/validation/policies/default.json" with { type: "json" };
+
+const ISO = /^\d{4}-\d{2}-\d{2}$/;
+const EWB_NO = /^\d{12}$/;
+const EWB_DOC_TYPES = ["invoice", "stock_transfer"];
+
+function httpError(status, message, details = null) {
+  const e = new Error(message);
+  e.http = status;
+  if (details) e.details = details;
+  return e;
+}
+
+const parse = (s) => { try { return JSON.parse(s); } catch { return {}; } };
+const threshold = () => Number(defPolicy.ewayBill?.threshold ?? DEFAULT_EWB_THRESHOLD);
+
+function isoOrNull(v, field) {
+  if (v === undefined || v === null || String(v).trim() === "") return null;
+  if (!ISO.test(String(v))) throw httpError(400, `${field} must be YYYY-MM-DD`);
+  return String(v);
+}
+
+// Invoices dispatch from the warehouse their lines name, when it has an address on file
+async function dispatchFromOf(sessionId, dm) {
+  const items = Array.isArray(dm.items) ? dm.items : [];
+  const ref = warehouseRefOf(items[0] || {}, dm);
+  if (!ref) return null;
+  const w = await resolveWarehouse(sessionId, ref).catch(() => null);
+  return w?.address ? { address: w.address } : null;
+}
+
+async function buildBill(sessionId, doc) {
+  const seller = await sellerIdentity(sessionId);
+  if (doc.doc_type === "stock_transfer") return transferEwayBill(doc, { seller });
+  return invoiceEwayBill(doc, { seller, dispatchFrom: await dispatchFromOf(sessionId, doc.dm) });
+}
+
+/**
+ * Posted invoices and stock transfers in [from, to] with their e-way bill state.
+ * status: "pending" (goods above the threshold, no EWB yet) | "generated" | null (all).
+ */
+export async function listEwayBills(sessionId, { from = null, to = null, status = null } = {}) {
+  const { rows } = await query(
+    `SELECT id, doc_type, number, date, party_name, gross_amount_cents, status,
+            ewb_no, ewb_date, ewb_valid_until, payload_json
+       FROM documents
+      WHERE session_id = $1
+        AND ($2 IS NULL OR substr(date, 1, 10) >= $2) AND ($3 IS NULL OR substr(date, 1, 10) <= $3)
+        AND doc_type IN ($4, $5)
+        AND COALESCE(status, 'FINALIZED') <> 'CANCELLED'
+      ORDER BY date DESC, number DESC`,
+    [sessionId, isoOrNull(from, "from"), isoOrNull(to, "to"), ...EWB_DOC_TYPES]
+  );
+  const limit = threshold();
+  const seller = await sellerIdentity(sessionId);
+  const out = (rows || []).map(({ payload_json, ...r }) => {
+    const doc = { ...r, date: String(r.date).slice(0, 10), dm: parse(payload_json) };
+    const built = doc.doc_type === "stock_transfer" ? transferEwayBill(doc, { seller }) : invoiceEwayBill(doc, { seller });
+    const transport = normalizeTransport(doc.dm.transport);
+    return {
+      ...r,
+      date: doc.date,
+      goods_value: built.value,
+      required: !!built.bill && built.value > limit,
+      transport,
+      ready: !!built.bill && !built.problems.length,
+    };
+  });
+  if (status === "generated") return out.filter(r => r.ewb_no);
+  if (status === "pending") return out.filter(r => r.required && !r.ewb_no);
+  return out;
+}
+
+async function loadDocument(sessionId, id) {
+  const doc = await getPostedDocument(sessionId, id);
+  if (!doc) throw httpError(404, "Document not found in this workspace");
+  if (!EWB_DOC_TYPES.includes(doc.doc_type)) throw httpError(409, `${doc.doc_type} documents do not carry an e-way bill`);
+  if (doc.status === "CANCELLED") throw httpError(409, `${doc.number} is cancelled`);
+  return doc;
+}
+
+/**
+ * Bulk-generation JSON for the given documents. Documents that cannot produce a complete bill
+ * are left out and listed in `skipped` with their problems.
+ */
+export async function ewayBillJson(sessionId, ids = []) {
+  const list = [...new Set((ids || []).map(String).filter(Boolean))];
+  if (!list.length) throw httpError(400, "ids are required");
+  const bills = [], included = [], skipped = [];
+  for (const id of list) {
+    const doc = await loadDocument(sessionId, id);
+    const { bill, problems } = await buildBill(sessionId, doc);
+    if (!bill || problems.length) {
+      skipped.push({ id, number: doc.number, problems });
+      continue;
+    }
+    bills.push(bill);
+    included.push({ id, number: doc.number });
+  }
+  return { json: bulkEwayBillJson(bills), included, skipped };
+}
+
+/**
+ * Set the transport details on a posted document's docModel. Once an EWB number is recorded the
+ * details are what the portal holds, so they can no longer change here.
+ */
+export async function saveTransport(sessionId, id, transport, actorId = null) {
+  const doc = await loadDocument(sessionId, id);
+  const { rows } = await query(`SELECT ewb_no FROM documents WHERE id = $1 AND session_id = $2`, [id, sessionId]);
+  if (rows?.[0]?.ewb_no) throw httpError(409, `${doc.number} already has e-way bill ${rows[0].ewb_no}`);
+  const t = normalizeTransport(transport);
+  if (!t) throw httpError(400, "transport details are required");
+  const problems = transportProblems(t);
+  const dm = { ...doc.dm, transport: t };
+  await query(`UPDATE documents SET payload_json = $3 WHERE id = $1 AND session_id = $2`, [id, sessionId, JSON.stringify(dm)]);
+  await writeAudit({
+    sessionId, userId: actorId, action: "ewaybill_transport", entity: "documents", entityId: id,
+    details: { number: doc.number, transport: t },
+  });
+  return { document: { id, doc_type: doc.doc_type, number: doc.number, date: doc.date }, transport: t, problems };
+}
+
+/**
+ * Record the e-way bill the portal generated.
+ * input: { ewbNo (12 digits), ewbDate? (YYYY-MM-DD[ HH:MM:SS], default now), validUntil? }
+ * Without validUntil it follows from the transport distance and vehicle type.
+ */
+export async function recordEwayBill(sessionId, id, input = {}, actorId = null) {
+  const doc = await loadDocument(sessionId, id);
+  const ewbNo = String(input.ewbNo ?? input.ewb_no ?? "").replace(/\s+/g, "");
+  if (!EWB_NO.test(ewbNo)) throw httpError(400, "ewbNo must be the 12-digit e-way bill number");
+  const { rows } = await query(`SELECT ewb_no FROM documents WHERE id = $1 AND session_id = $2`, [id, sessionId]);
+  if (rows?.[0]?.ewb_no) throw httpError(409, `${doc.number} already has e-way bill ${rows[0].ewb_no}`);
+  const { rows: dup } = await query(
+    `SELECT number FROM documents WHERE session_id = $1 AND ewb_no = $2 AND id <> $3`, [sessionId, ewbNo, id]
+  );
+  if (dup?.length) throw httpError(409, `E-way bill ${ewbNo} is already recorded on ${dup[0].number}`);
+
+  const ewbDate = String(input.ewbDate ?? input.ewb_date ?? "").trim() || new Date().toISOString().slice(0, 19).replace("T", " ");
+  if (!/^\d{4}-\d{2}-\d{2}( \d{2}:\d{2}(:\d{2})?)?$/.test(ewbDate)) throw httpError(400, "ewbDate must be YYYY-MM-DD or YYYY-MM-DD HH:MM:SS");
+  const t = normalizeTransport(doc.dm.transport) || {};
+  const validUntil = String(input.validUntil ?? input.valid_until ?? "").trim() || ewbValidUntil(ewbDate, t.distanceKm, t.vehicleType);
+
+  await query(
+    `UPDATE documents SET ewb_no = $3, ewb_date = $4, ewb_valid_until = $5 WHERE id = $1 AND session_id = $2`,
+    [id, sessionId, ewbNo, ewbDate, validUntil]
+  );
+  await writeAudit({
+    sessionId, userId: actorId, action: "ewaybill_record", entity: "documents", entityId: id,
+    details: { number: doc.number, ewb_no: ewbNo, ewb_date: ewbDate, valid_until: validUntil },
+  });
+  return {
+    document: { id, doc_type: doc.doc_type, number: doc.number, date: doc.date },
+    ewb_no: ewbNo, ewb_date: ewbDate, ewb_valid_until: validUntil,
+  };
+}
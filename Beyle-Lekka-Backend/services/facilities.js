@@ -0,0 +1,447 @@
+// services/facilities.js
+// OD / OCC / LIMIT_ONLY / LOAN facilities (account_facilities, migrations 015 + 036) and the
+// headroom they give a ledger on a date. cashBankFacilities (preview) and the ledger_entries
+// triggers (confirm) enforce the same numbers.
+import { randomUUID } from "crypto";
+import { query, withTx } from "./db.js";
+import { writeAudit } from "./audit.js";
+import { ensureLedgerExists } from "../utils/coaService.js";
+
+const TYPES = ["OD", "OCC", "LOAN", "LIMIT_ONLY"];
+const ISO = /^\d{4}-\d{2}-\d{2}$/;
+const EARLIEST = "1900-01-01";
+
+function httpError(status, message) {
+  const e = new Error(message);
+  e.http = status;
+  return e;
+}
+
+const today = () => new Date().toISOString().slice(0, 10);
+const nowISO = () => new Date().toISOString();
+
+function toLimitCents(v, field = "limit") {
+  const c = Math.round(Number(v) * 100);
+  if (v === undefined || v === null || v === "" || !Number.isFinite(c) || c < 0) {
+    throw httpError(400, `${field} must be a non-negative amount`);
+  }
+  return c;
+}
+
+function isoOrNull(v, field) {
+  if (v === undefined || v === null || v === "") return null;
+  if (!ISO.test(String(v))) throw httpError(400, `${field} must be YYYY-MM-DD`);
+  return String(v);
+}
+
+/* ------------------------ headroom ------------------------ */
+
+/** Running balance (Dr - Cr) as of date (inclusive), tenant-scoped. */
+export async function balanceAsOf(sessionId, account, dateISO) {
+  // Prefer amount_cents (live schema); if that fails (legacy DB), fall back to amount.
+  const SQL_CENTS = `
+    SELECT
+      COALESCE(SUM(CASE WHEN debit_account  = $1 THEN amount_cents ELSE 0 END),0)
+    - COALESCE(SUM(CASE WHEN credit_account = $1 THEN amount_cents ELSE 0 END),0) AS bal_cents
+    FROM ledger_entries
+    WHERE transaction_date <= $2
+      AND ($3 IS NULL OR session_id = $3)
+  `;
+  const SQL_AMOUNT = `
+    SELECT
+      COALESCE(SUM(CASE WHEN debit_account  = $1 THEN CAST(ROUND(amount*100.0) AS INTEGER) ELSE 0 END),0)
+    - COALESCE(SUM(CASE WHEN credit_account = $1 THEN CAST(ROUND(amount*100.0) AS INTEGER) ELSE 0 END),0) AS bal_cents
+    FROM ledger_entries
+    WHERE transaction_date <= $2
+      AND ($3 IS NULL OR session_id = $3)
+  `;
+
+  try {
+    const { rows } = await query(SQL_CENTS, [account, dateISO, sessionId]);
+    return Number(rows?.[0]?.bal_cents ?? 0);
+  } catch (_e1) {
+    try {
+      const { rows } = await query(SQL_AMOUNT, [account, dateISO, sessionId]);
+      return Number(rows?.[0]?.bal_cents ?? 0);
+    } catch (_e2) {
+      return 0;
+    }
+  }
+}
+
+/**
+ * Facility (if any) applicable on date with the limit in force that day;
+ * returns { id, facility_type, limit_cents } or null.
+ */
+export async function facilityOn(sessionId, account, dateISO) {
+  const withHistory = `
+    SELECT f.id, f.facility_type,
+           COALESCE((SELECT fl.limit_cents FROM facility_limits fl
+                      WHERE fl.facility_id = f.id AND fl.effective_from <= $3
+                      ORDER BY fl.effective_from DESC LIMIT 1), f.limit_cents) AS limit_cents
+      FROM account_facilities f
+     WHERE f.primary_account = $1
+       AND ($2 IS NULL OR f.session_id = $2)
+       AND (f.valid_from IS NULL OR f.valid_from <= $3)
+       AND (f.valid_to   IS NULL OR f.valid_to   >= $3)
+     LIMIT 1
+  `;
+  // Before migration 036 there is no limit history
+  const legacy = `
+    SELECT id, facility_type, limit_cents
+      FROM account_facilities
+     WHERE primary_account = $1
+       AND ($2 IS NULL OR session_id = $2)
+       AND (valid_from IS NULL OR valid_from <= $3)
+       AND (valid_to   IS NULL OR valid_to   >= $3)
+     LIMIT 1
+  `;
+  for (const sql of [withHistory, legacy]) {
+    try {
+      const { rows } = await query(sql, [account, sessionId, dateISO]);
+      if (!rows || !rows[0]) return null;
+      return {
+        id: rows[0].id,
+        facility_type: String(rows[0].facility_type || "").toUpperCase(),
+        limit_cents: Number(rows[0].limit_cents || 0)
+      };
+    } catch {
+      // try the next shape
+    }
+  }
+  return null;
+}
+
+/** Active preview holds for (account,date), tenant-scoped. */
+export async function holdsOnDate(sessionId, account, dateISO) {
+  const sql = `
+    SELECT COALESCE(SUM(amount_cents),0) AS held
+      FROM funds_holds
+     WHERE account = $1
+       AND hold_date = $2
+       AND ($3 IS NULL OR session_id = $3)
+       AND expires_at > $4
+  `;
+  try {
+    const { rows } = await query(sql, [account, dateISO, sessionId, nowISO()]);
+    return Number(rows?.[0]?.held || 0);
+  } catch {
+    // If holds table doesn't exist, treat as zero held.
+    return 0;
+  }
+}
+
+/**
+ * Headroom for an outflow from `account` on `dateISO`, with its parts.
+ * - LOAN facility: available = max(0, limit - outstanding) - holds
+ * - OD/OCC/LIMIT_ONLY facility (or none): available = balance + limit - holds
+ * utilised_cents is the drawn part of the facility (loan outstanding / overdraft).
+ */
+export async function headroomAsOf(sessionId, account, dateISO) {
+  const balance = await balanceAsOf(sessionId, account, dateISO); // Dr - Cr
+  const facility = await facilityOn(sessionId, account, dateISO);
+  const holds = await holdsOnDate(sessionId, account, dateISO);
+  const limit = facility ? Math.max(0, facility.limit_cents || 0) : 0;
+
+  if (facility && facility.facility_type === "LOAN") {
+    // Loan is a liability; outstanding appears as credit (negative Dr-Cr).
+    const outstanding = Math.max(0, -balance);
+    return {
+      account, asOf: dateISO, facility, balance_cents: balance, limit_cents: limit,
+      utilised_cents: outstanding, holds_cents: holds,
+      available_cents: Math.max(0, limit - outstanding) - holds, // do not add bank balance here for LOAN
+    };
+  }
+  return {
+    account, asOf: dateISO, facility, balance_cents: balance, limit_cents: limit,
+    utilised_cents: Math.max(0, -balance), holds_cents: holds,
+    available_cents: (balance + limit) - holds,
+  };
+}
+
+/* ------------------------ facilities ------------------------ */
+
+const SELECT_FACILITY = `
+  SELECT f.*,
+         (SELECT b.id FROM bank_accounts b WHERE b.session_id = f.session_id AND b.facility_id = f.id LIMIT 1) AS bank_account_id
+    FROM account_facilities f`;
+
+async function loadFacility(sessionId, id, run = query) {
+  const { rows } = await run(`${SELECT_FACILITY} WHERE f.id = $1 AND f.session_id = $2`, [id, sessionId]);
+  if (!rows?.length) throw httpError(404, "Facility not found in this workspace");
+  return rows[0];
+}
+
+async function limitHistory(sessionId, facilityId, run = query) {
+  const { rows } = await run(
+    `SELECT id, effective_from, limit_cents, sanction_ref, reason, created_by, created_at
+       FROM facility_limits WHERE facility_id = $1 AND session_id = $2
+      ORDER BY effective_from`,
+    [facilityId, sessionId]
+  );
+  return rows || [];
+}
+
+export async function listFacilities(sessionId, { includeClosed = false } = {}) {
+  const { rows } = await query(
+    `${SELECT_FACILITY}
+      WHERE f.session_id = $1 AND ($2 = 1 OR COALESCE(f.status, 'active') = 'active')
+      ORDER BY f.primary_account`,
+    [sessionId, includeClosed ? 1 : 0]
+  );
+  return rows || [];
+}
+
+export async function getFacility(sessionId, id) {
+  const f = await loadFacility(sessionId, id);
+  return { ...f, limits: await limitHistory(sessionId, id) };
+}
+
+/** account_facilities.limit_cents mirrors the newest history row. */
+async function syncCurrentLimit(sessionId, facilityId, run) {
+  await run(
+    `UPDATE account_facilities
+        SET limit_cents = COALESCE((SELECT limit_cents FROM facility_limits
+                                     WHERE facility_id = $1 ORDER BY effective_from DESC LIMIT 1), limit_cents),
+            updated_at = datetime('now')
+      WHERE id = $1 AND session_id = $2`,
+    [facilityId, sessionId]
+  );
+}
+
+async function putLimit(sessionId, facilityId, { effectiveFrom, limitCents, sanctionRef, reason, actorId }, run) {
+  await run(
+    `INSERT INTO facility_limits (id, session_id, facility_id, effective_from, limit_cents, sanction_ref, reason, created_by)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+     ON CONFLICT (facility_id, effective_from) DO UPDATE
+        SET limit_cents = excluded.limit_cents, sanction_ref = excluded.sanction_ref,
+            reason = excluded.reason, created_by = excluded.created_by, created_at = datetime('now')`,
+    [randomUUID(), sessionId, facilityId, effectiveFrom, limitCents, sanctionRef || null, reason || null, actorId]
+  );
+  await syncCurrentLimit(sessionId, facilityId, run);
+}
+
+/**
+ * input: { account (ledger name/code) | bankAccountId, type, limit (units), validFrom?, validTo?,
+ *          lender?, sanctionRef? }
+ * With bankAccountId the facility goes on that account's ledger and the account is linked to it.
+ */
+export async function createFacility(sessionId, input = {}, actorId = null) {
+  const type = String(input.type || input.facility_type || "").toUpperCase();
+  if (!TYPES.includes(type)) throw httpError(400, `type must be one of ${TYPES.join(", ")}`);
+  const limitCents = toLimitCents(input.limit);
+  const validFrom = isoOrNull(input.validFrom ?? input.valid_from, "validFrom");
+  const validTo = isoOrNull(input.validTo ?? input.valid_to, "validTo");
+  if (validFrom && validTo && validTo < validFrom) throw httpError(400, "validTo is before validFrom");
+
+  let account = String(input.account || input.primary_account || "").trim();
+  let bankAccount = null;
+  if (input.bankAccountId) {
+    const { rows } = await query(
+      `SELECT id, name, ledger_account, facility_id FROM bank_accounts WHERE id = $1 AND session_id = $2`,
+      [input.bankAccountId, sessionId]
+    );
+    bankAccount = rows?.[0];
+    if (!bankAccount) throw httpError(404, "Bank account not found in this workspace");
+    if (!bankAccount.ledger_account) throw httpError(409, `Bank account "${bankAccount.name}" has no ledger linked`);
+    if (account && account !== bankAccount.ledger_account) {
+      throw httpError(409, `Bank account "${bankAccount.name}" posts to "${bankAccount.ledger_account}", not "${account}"`);
+    }
+    account = bankAccount.ledger_account;
+  }
+  if (!account) throw httpError(400, "account or bankAccountId is required");
+  await ensureLedgerExists(account, sessionId, { type: type === "LOAN" ? "liability" : "asset" });
+
+  // One facility per ledger (idx_facilities_sid_acct); a closed one is renewed instead
+  const { rows: existing } = await query(
+    `SELECT id, status FROM account_facilities WHERE session_id = $1 AND primary_account = $2`,
+    [sessionId, account]
+  );
+  if (existing?.length) {
+    throw httpError(409, existing[0].status === "closed"
+      ? `"${account}" has a closed facility; renew it instead`
+      : `"${account}" already has a facility`);
+  }
+
+  const id = randomUUID();
+  await withTx(async (exec) => {
+    const run = exec || query;
+    await run(
+      `INSERT INTO account_facilities
+         (id, session_id, primary_account, facility_type, limit_cents, valid_from, valid_to, status, lender, sanction_ref, updated_at)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,'active',$8,$9, datetime('now'))`,
+      [id, sessionId, account, type, limitCents, validFrom, validTo, input.lender || null, input.sanctionRef || null]
+    );
+    await putLimit(sessionId, id, {
+      effectiveFrom: validFrom || EARLIEST, limitCents, sanctionRef: input.sanctionRef, reason: "sanction", actorId,
+    }, run);
+    if (bankAccount) {
+      await run(
+        `UPDATE bank_accounts SET facility_id = $1, updated_at = datetime('now') WHERE id = $2 AND session_id = $3`,
+        [id, bankAccount.id, sessionId]
+      );
+    }
+    await writeAudit({
+      sessionId, userId: actorId, action: "facility_create", entity: "account_facilities", entityId: id,
+      details: { account, type, limit_cents: limitCents, valid_from: validFrom, valid_to: validTo, bank_account_id: bankAccount?.id || null },
+    }, run);
+  });
+  return getFacility(sessionId, id);
+}
+
+/**
+ * Limit change from a date (mid-year enhancement / reduction). A change on an existing
+ * effective date replaces that entry. reason or sanctionRef is required for the audit trail.
+ */
+export async function changeLimit(sessionId, id, { limit, effectiveFrom, reason = null, sanctionRef = null } = {}, actorId = null) {
+  const f = await loadFacility(sessionId, id);
+  if (f.status === "closed") throw httpError(409, "Facility is closed; renew it first");
+  const limitCents = toLimitCents(limit);
+  const from = isoOrNull(effectiveFrom, "effectiveFrom");
+  if (!from) throw httpError(400, "effectiveFrom is required");
+  if (f.valid_to && from > f.valid_to) throw httpError(422, `effectiveFrom is after the facility expires (${f.valid_to}); renew it`);
+  if (!reason && !sanctionRef) throw httpError(400, "reason or sanctionRef is required for a limit change");
+
+  const before = await facilityOn(sessionId, f.primary_account, from);
+  await withTx(async (exec) => {
+    const run = exec || query;
+    await putLimit(sessionId, id, { effectiveFrom: from, limitCents, sanctionRef, reason, actorId }, run);
+    await writeAudit({
+      sessionId, userId: actorId, action: "facility_limit_change", entity: "account_facilities", entityId: id,
+      details: { account: f.primary_account, effective_from: from, from_cents: before?.limit_cents ?? null, to_cents: limitCents, reason, sanction_ref: sanctionRef },
+    }, run);
+  });
+  return getFacility(sessionId, id);
+}
+
+/**
+ * Renewal: new expiry (validTo), optionally a new limit from `effectiveFrom` (defaults to the day
+ * after the old expiry). Re-opens a closed facility.
+ */
+export async function renewFacility(sessionId, id, { validTo, limit, effectiveFrom, reason = null, sanctionRef = null } = {}, actorId = null) {
+  const f = await loadFacility(sessionId, id);
+  const to = isoOrNull(validTo, "validTo");
+  if (!to) throw httpError(400, "validTo is required");
+  if (f.valid_from && to < f.valid_from) throw httpError(400, "validTo is before the facility starts");
+
+  let limitCents = null;
+  let from = null;
+  if (limit !== undefined && limit !== null && limit !== "") {
+    limitCents = toLimitCents(limit);
+    from = isoOrNull(effectiveFrom, "effectiveFrom") || (f.valid_to ? nextDay(f.valid_to) : today());
+    if (from > to) throw httpError(400, "effectiveFrom is after the new validTo");
+  }
+
+  await withTx(async (exec) => {
+    const run = exec || query;
+    await run(
+      `UPDATE account_facilities
+          SET valid_to = $3, status = 'active', closed_on = NULL, close_reason = NULL,
+              sanction_ref = COALESCE($4, sanction_ref), updated_at = datetime('now')
+        WHERE id = $1 AND session_id = $2`,
+      [id, sessionId, to, sanctionRef]
+    );
+    if (limitCents != null) {
+      await putLimit(sessionId, id, { effectiveFrom: from, limitCents, sanctionRef, reason: reason || "renewal", actorId }, run);
+    }
+    await writeAudit({
+      sessionId, userId: actorId, action: "facility_renew", entity: "account_facilities", entityId: id,
+      details: {
+        account: f.primary_account, valid_to: { from: f.valid_to || null, to },
+        reopened: f.status === "closed", limit_cents: limitCents, effective_from: from, reason, sanction_ref: sanctionRef,
+      },
+    }, run);
+  });
+  return getFacility(sessionId, id);
+}
+
+function nextDay(iso) {
+  const d = new Date(`${iso}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Highest utilisation (loan outstanding / overdraft) of `account` on any day after `dateISO`,
+ * starting from `balanceCents` as of that date: { utilised_cents, date } or null when never drawn.
+ */
+async function peakUtilisationAfter(sessionId, account, dateISO, balanceCents) {
+  const { rows } = await query(
+    `SELECT substr(transaction_date,1,10) AS d,
+            COALESCE(SUM(CASE WHEN debit_account = $1 THEN amount_cents ELSE 0 END),0)
+          - COALESCE(SUM(CASE WHEN credit_account = $1 THEN amount_cents ELSE 0 END),0) AS net_cents
+       FROM ledger_entries
+      WHERE (debit_account = $1 OR credit_account = $1)
+        AND substr(transaction_date,1,10) > $2
+        AND ($3 IS NULL OR session_id = $3)
+      GROUP BY substr(transaction_date,1,10)
+      ORDER BY d`,
+    [account, dateISO, sessionId]
+  );
+  let balance = balanceCents;
+  let peak = null;
+  for (const r of rows || []) {
+    balance += Number(r.net_cents || 0);
+    if (balance < 0 && (!peak || -balance > peak.utilised_cents)) peak = { utilised_cents: -balance, date: r.d };
+  }
+  return peak;
+}
+
+/**
+ * Close on a date; refused while the facility is still drawn (loan outstanding / overdraft) on
+ * that date or on any later date already posted, since closing ends the limit from then on.
+ */
+export async function closeFacility(sessionId, id, { closedOn, reason } = {}, actorId = null) {
+  const f = await loadFacility(sessionId, id);
+  if (f.status === "closed") throw httpError(409, "Facility is already closed");
+  const on = isoOrNull(closedOn, "closedOn") || today();
+  if (!reason || !String(reason).trim()) throw httpError(400, "reason is required to close a facility");
+  if (f.valid_from && on < f.valid_from) throw httpError(400, "closedOn is before the facility starts");
+
+  const h = await headroomAsOf(sessionId, f.primary_account, on);
+  if (h.utilised_cents > 0) {
+    const e = httpError(409, `Facility is still utilised by ₹${(h.utilised_cents / 100).toFixed(2)} on ${on}`);
+    e.headroom = h;
+    throw e;
+  }
+  const later = await peakUtilisationAfter(sessionId, f.primary_account, on, h.balance_cents);
+  if (later) {
+    const e = httpError(409, `Facility is utilised by ₹${(later.utilised_cents / 100).toFixed(2)} on ${later.date}, after ${on}`);
+    e.headroom = { ...h, utilised_after: later };
+    throw e;
+  }
+
+  await withTx(async (exec) => {
+    const run = exec || query;
+    await run(
+      `UPDATE account_facilities
+          SET status = 'closed', valid_to = $3, closed_on = $3, close_reason = $4, updated_at = datetime('now')
+        WHERE id = $1 AND session_id = $2`,
+      [id, sessionId, on, String(reason).trim()]
+    );
+    await writeAudit({
+      sessionId, userId: actorId, action: "facility_close", entity: "account_facilities", entityId: id,
+      details: { account: f.primary_account, closed_on: on, previous_valid_to: f.valid_to || null, reason: String(reason).trim() },
+    }, run);
+  });
+  return getFacility(sessionId, id);
+}
+
+/**
+ * Headroom for an instrument as of a date: by ledger name (`account`), bank account or facility.
+ */
+export async function headroom(sessionId, { account = null, bankAccountId = null, facilityId = null, asOf = null } = {}) {
+  const date = isoOrNull(asOf, "asOf") || today();
+  let ledger = account ? String(account).trim() : null;
+  if (!ledger && bankAccountId) {
+    const { rows } = await query(
+      `SELECT name, ledger_account FROM bank_accounts WHERE id = $1 AND session_id = $2`,
+      [bankAccountId, sessionId]
+    );
+    if (!rows?.length) throw httpError(404, "Bank account not found in this workspace");
+    ledger = rows[0].ledger_account || rows[0].name;
+  }
+  if (!ledger && facilityId) ledger = (await loadFacility(sessionId, facilityId)).primary_account;
+  if (!ledger) throw httpError(400, "account, bankAccountId or facilityId is required");
+  return headroomAsOf(sessionId, ledger, date);
+}
@@ -0,0 +1,50 @@
+// services/formats/bank-statement-utils.js
+// Shared pieces of the bank statement profiles (OFX/QFX, CAMT.053, MT940).
+// Every bank profile's parse() returns
+//   { bank_txns: [{ date, narration, ref, amount_cents, account, statement }],
+//     statements: [{ account, currency, opening: { date, cents } | null, closing: { date, cents } | null,
+//                    from, to, lines }],
+//     meta }
+// amount_cents is signed (+ credit to the account holder), ref is the bank's reference → ext_ref,
+// statement is the index in `statements` of the statement the line belongs to (a file may carry
+// several statements for the same account, e.g. one per day).
+import { createHash } from "crypto";
+
+/** "1.234,56" / "1,234.56" / "1234,56" → cents */
+export function toCents(v) {
+  let s = String(v ?? "").trim().replace(/\s/g, "");
+  if (!s) return 0;
+  const neg = /^-/.test(s) || /^\(.*\)$/.test(s);
+  s = s.replace(/[()+-]/g, "");
+  const lastComma = s.lastIndexOf(",");
+  const lastDot = s.lastIndexOf(".");
+  if (lastComma > lastDot) s = s.replace(/\./g, "").replace(",", ".");
+  else s = s.replace(/,/g, "");
+  const n = Number.parseFloat(s);
+  if (!Number.isFinite(n)) return 0;
+  return (neg ? -1 : 1) * Math.round(n * 100);
+}
+
+export const cleanText = (s) => String(s ?? "").replace(/\s+/g, " ").trim();
+
+/**
+ * Fill in a stable reference for lines the bank sent without one, so a re-import of the
+ * same file dedupes: hash of date, amount and narration, plus the occurrence number of
+ * identical lines within the file.
+ */
+export function withRefs(txns) {
+  const seen = new Map();
+  return txns.map(t => {
+    if (t.ref) return t;
+    const base = `${t.date}|${t.amount_cents}|${cleanText(t.narration).toLowerCase()}`;
+    const n = (seen.get(base) || 0) + 1;
+    seen.set(base, n);
+    const h = createHash("sha1").update(`${base}|${n}`).digest("hex").slice(0, 20);
+    return { ...t, ref: `auto:${h}` };
+  });
+}
+
+export function summarize(txns) {
+  const dates = txns.map(t => t.date).filter(Boolean).sort();
+  return { from: dates[0] || null, to: dates[dates.length - 1] || null, lines: txns.length };
+}
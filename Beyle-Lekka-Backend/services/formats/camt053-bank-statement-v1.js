@@ -0,0 +1,145 @@
+// services/formats/camt053-bank-statement-v1.js
+// ISO 20022 CAMT.053 (BkToCstmrStmt) bank statements. One file may hold several <Stmt>s.
+// Opening balance: Bal type OPBD (or PRCD); closing: CLBD. The bank reference is AcctSvcrRef,
+// falling back to NtryRef and then the transaction's EndToEndId.
+import { toCents, cleanText, withRefs, summarize } from "./bank-statement-utils.js";
+
+function decode(s) {
+  return String(s || "")
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1")
+    .replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCharCode(Number(n))).replace(/&amp;/g, "&");
+}
+
+// Namespace prefixes (<ns2:Ntry>) are dropped before matching
+const stripNs = (xml) => String(xml || "").replace(/<(\/?)[A-Za-z0-9_]+:/g, "<$1");
+
+// Content of every top-level <tag> in xml; same-named nested elements (Acct/Id/Othr/Id) are balanced
+function blocks(xml, tag) {
+  const re = new RegExp(`<(/?)${tag}(?:\\s[^>]*)?(/?)>`, "g");
+  const out = [];
+  let depth = 0, start = -1, m;
+  while ((m = re.exec(xml))) {
+    if (m[2]) continue; // <tag/>
+    if (!m[1]) {
+      if (depth++ === 0) start = re.lastIndex;
+    } else if (depth > 0 && --depth === 0) {
+      out.push(xml.slice(start, m.index));
+    }
+  }
+  return out;
+}
+
+/** Text of the first element at `path` ("Acct/Id/IBAN"), descending one block at a time. */
+function text(xml, path) {
+  let cur = xml;
+  for (const tag of path.split("/")) {
+    const b = blocks(cur, tag)[0];
+    if (b == null) return null;
+    cur = b;
+  }
+  return decode(cur).trim();
+}
+
+const dateOf = (xml, tag) => {
+  const v = text(xml, `${tag}/Dt`) || text(xml, `${tag}/DtTm`);
+  return v ? v.slice(0, 10) : null;
+};
+
+const signed = (amt, ind) => (String(ind || "").toUpperCase() === "DBIT" ? -1 : 1) * Math.abs(toCents(amt));
+
+function balance(stmt, codes) {
+  for (const bal of blocks(stmt, "Bal")) {
+    const cd = text(bal, "Tp/CdOrPrtry/Cd") || text(bal, "Tp/CdOrPrtry/Prtry");
+    if (codes.includes(String(cd || "").toUpperCase())) {
+      return { date: dateOf(bal, "Dt"), cents: signed(text(bal, "Amt"), text(bal, "CdtDbtInd")), type: cd };
+    }
+  }
+  return null;
+}
+
+function entry(ntry) {
+  const ind = text(ntry, "CdtDbtInd");
+  const tx = blocks(ntry, "TxDtls")[0] || "";
+  const party = String(ind).toUpperCase() === "DBIT"
+    ? text(tx, "RltdPties/Cdtr/Nm") || text(tx, "RltdPties/Cdtr/Pty/Nm")
+    : text(tx, "RltdPties/Dbtr/Nm") || text(tx, "RltdPties/Dbtr/Pty/Nm");
+  const remit = blocks(tx, "Ustrd").map(decode).join(" ");
+  const narration = cleanText([party, remit || text(ntry, "AddtlNtryInf") || text(tx, "AddtlTxInf")].filter(Boolean).join(" / "));
+  const e2e = text(tx, "Refs/EndToEndId");
+  return {
+    date: dateOf(ntry, "ValDt") || dateOf(ntry, "BookgDt"),
+    narration,
+    ref: text(ntry, "AcctSvcrRef") || text(ntry, "NtryRef") || (e2e && e2e !== "NOTPROVIDED" ? e2e : null),
+    amount_cents: signed(text(ntry, "Amt"), ind),
+    status: text(ntry, "Sts/Cd") || text(ntry, "Sts"),
+  };
+}
+
+export function parseCamt053(xmlText) {
+  const xml = stripNs(String(xmlText || "").replace(/^\uFEFF/, ""));
+  const statements = [];
+  const all = [];
+  for (const stmt of blocks(xml, "Stmt")) {
+    // pending entries (Sts PDNG / INFO) are not booked yet
+    const txns = blocks(stmt, "Ntry").map(entry)
+      .filter(t => t.date && !/^(PDNG|INFO)$/i.test(String(t.status || "")))
+      .map(({ status, ...t }) => t);
+    const account = text(stmt, "Acct/Id/IBAN") || text(stmt, "Acct/Id/Othr/Id");
+    const s = summarize(txns);
+    const index = statements.length;
+    statements.push({
+      id: text(stmt, "Id"),
+      account,
+      currency: text(stmt, "Acct/Ccy"),
+      opening: balance(stmt, ["OPBD", "PRCD"]),
+      closing: balance(stmt, ["CLBD"]),
+      from: text(stmt, "FrToDt/FrDtTm")?.slice(0, 10) || s.from,
+      to: text(stmt, "FrToDt/ToDtTm")?.slice(0, 10) || s.to,
+      lines: s.lines,
+    });
+    all.push(...txns.map(t => ({ ...t, account, statement: index })));
+  }
+  return { bank_txns: withRefs(all), statements };
+}
+
+export default {
+  id: "camt053-bank-statement-v1",
+  displayName: "Bank Statement (ISO 20022 CAMT.053)",
+  kind: "xml",
+  entities: ["bank_txn"],
+  async sniff(buf, filename) {
+    const name = (filename || "").toLowerCase();
+    const head = buf.slice(0, 64 * 1024).toString("utf8");
+    if (/camt\.053/i.test(head) || /<(\w+:)?BkToCstmrStmt[\s>]/.test(head)) return { match: true, confidence: 0.97 };
+    if (name.endsWith(".xml") && /<(\w+:)?Ntry[\s>]/.test(head)) return { match: true, confidence: 0.6 };
+    return { match: false, confidence: 0 };
+  },
+  async parse(buffer) {
+    const { bank_txns, statements } = parseCamt053(buffer.toString("utf8"));
+    return { lines: [], pairs: [], bank_txns, statements, meta: { rows: bank_txns.length, statements: statements.length } };
+  },
+  async export() { return { files: [] }; }, // import-only
+  template() {
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02">
+  <BkToCstmrStmt>
+    <GrpHdr><MsgId>STMT-20250430</MsgId><CreDtTm>2025-04-30T23:59:59</CreDtTm></GrpHdr>
+    <Stmt>
+      <Id>STMT-001</Id>
+      <Acct><Id><Othr><Id>50100012345678</Id></Othr></Id><Ccy>INR</Ccy></Acct>
+      <Bal><Tp><CdOrPrtry><Cd>OPBD</Cd></CdOrPrtry></Tp><Amt Ccy="INR">10000.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><Dt><Dt>2025-04-01</Dt></Dt></Bal>
+      <Bal><Tp><CdOrPrtry><Cd>CLBD</Cd></CdOrPrtry></Tp><Amt Ccy="INR">9701.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><Dt><Dt>2025-04-30</Dt></Dt></Bal>
+      <Ntry>
+        <Amt Ccy="INR">299.00</Amt><CdtDbtInd>DBIT</CdtDbtInd><Sts>BOOK</Sts>
+        <BookgDt><Dt>2025-04-02</Dt></BookgDt><ValDt><Dt>2025-04-02</Dt></ValDt>
+        <AcctSvcrRef>TXN001</AcctSvcrRef>
+        <NtryDtls><TxDtls><RltdPties><Cdtr><Nm>Acme Store</Nm></Cdtr></RltdPties><RmtInf><Ustrd>UPI payment</Ustrd></RmtInf></TxDtls></NtryDtls>
+      </Ntry>
+    </Stmt>
+  </BkToCstmrStmt>
+</Document>
+`;
+    return Buffer.from(xml, "utf8");
+  },
+};
@@ -0,0 +1,69 @@
+// services/formats/gstr1-v1.js
+// GSTR-1 outward supplies (B2B, B2CL, B2CS, CDNR/CDNUR, HSN) as portal JSON + Excel workbook.
+import XLSX from "xlsx";
+import defPolicy from "../../utils/validation/policies/default.json" with { type: "json" };
+import { buildGstr1, returnPeriod, supplierGSTINOf, NOTE_TYPES } from "../../utils/tax/gstr1.js";
+import { listPostedDocuments } from "../documentPayloads.js";
+
+const SHEETS = [
+  ["b2b", "B2B"],
+  ["b2cl", "B2CL"],
+  ["b2cs", "B2CS"],
+  ["cdnr", "CDNR"],
+  ["cdnur", "CDNUR"],
+  ["hsn", "HSN"],
+];
+
+export default {
+  id: "gstr1-v1",
+  displayName: "GSTR-1 (portal JSON + Excel)",
+  kind: "json",
+  entities: ["invoice", "credit_note", "debit_note"],
+  async sniff() {
+    return { match: false, confidence: 0 }; // export-only
+  },
+  async parse() {
+    return { lines: [], pairs: [], meta: { note: "GSTR-1 is export-only" } };
+  },
+  async export(db, sessionId, { from, to }) {
+    const docs = await listPostedDocuments(
+      sessionId,
+      { docTypes: ["invoice", ...Object.keys(NOTE_TYPES)], from, to },
+      db.query
+    );
+    const gstin = supplierGSTINOf(docs.find(d => supplierGSTINOf(d.dm))?.dm, process.env.ORG_GSTIN);
+    const fp = returnPeriod(to);
+    const { json, rows, warnings } = buildGstr1(docs, {
+      gstin,
+      fp,
+      b2clThreshold: Number(defPolicy?.gst?.b2clThreshold) || undefined,
+      assumeIntraIfUnknown: defPolicy?.gst?.assumeIntraIfUnknown !== false,
+    });
+
+    const wb = XLSX.utils.book_new();
+    const summary = [
+      { field: "GSTIN", value: gstin || "(not set)" },
+      { field: "Return period", value: fp },
+      { field: "From", value: from },
+      { field: "To", value: to },
+      { field: "Documents", value: docs.length },
+      ...warnings.map(w => ({ field: `Warning: ${w.number}`, value: w.warning })),
+    ];
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(summary), "Summary");
+    for (const [key, name] of SHEETS) {
+      XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rows[key] || []), name);
+    }
+    const xlsx = XLSX.write(wb, { type: "buffer", bookType: "xlsx" });
+
+    const base = `GSTR1_${gstin || "UNREGISTERED"}_${fp}`;
+    return {
+      files: [
+        { name: `${base}.json`, content: JSON.stringify(json, null, 2) },
+        { name: `${base}.xlsx`, content: xlsx },
+      ],
+    };
+  },
+  template() {
+    return Buffer.from('{\n  "gstin":"",\n  "fp":"MMYYYY"\n}\n', "utf8");
+  },
+};
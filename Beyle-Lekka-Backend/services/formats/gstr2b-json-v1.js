@@ -0,0 +1,107 @@
+// services/formats/gstr2b-json-v1.js
+// GSTR-2B (portal JSON): supplier-reported B2B invoices and credit/debit notes.
+// Import-only; parsed documents are staged as import_rows 'gstr2b_doc' for ITC reconciliation.
+
+const num = (v) => {
+  const n = Number.parseFloat(String(v ?? "").replace(/[^\d.-]/g, ""));
+  return Number.isFinite(n) ? Math.round(n * 100) / 100 : 0;
+};
+
+// Portal dates are dd-mm-yyyy
+function isoDate(s) {
+  const m = String(s || "").trim().match(/^(\d{2})[-/](\d{2})[-/](\d{4})$/);
+  if (m) return `${m[3]}-${m[2]}-${m[1]}`;
+  return /^\d{4}-\d{2}-\d{2}/.test(String(s || "")) ? String(s).slice(0, 10) : null;
+}
+
+function root(json) {
+  return json?.data?.docdata ? json.data : json?.docdata ? json : null;
+}
+
+function taxTotals(doc) {
+  // Newer files carry totals on the document; older ones only per item
+  const items = Array.isArray(doc.items) ? doc.items : Array.isArray(doc.itms) ? doc.itms.map(i => i.itm_det || i) : [];
+  const pick = (k, alt) => (doc[k] != null ? num(doc[k]) : items.reduce((s, i) => s + num(i[k] ?? i[alt]), 0));
+  return {
+    taxable: pick("txval"),
+    igst: pick("igst", "iamt"),
+    cgst: pick("cgst", "camt"),
+    sgst: pick("sgst", "samt"),
+    cess: pick("cess", "csamt"),
+  };
+}
+
+function record(kind, sup, doc, meta) {
+  const t = taxTotals(doc);
+  const sign = kind === "credit_note" ? -1 : 1;
+  return {
+    kind,
+    ctin: String(sup.ctin || "").trim().toUpperCase(),
+    trade_name: sup.trdnm || null,
+    number: String(doc.inum ?? doc.ntnum ?? doc.nt_num ?? "").trim(),
+    date: isoDate(doc.dt ?? doc.idt ?? doc.nt_dt),
+    value: sign * num(doc.val),
+    taxable: sign * t.taxable,
+    igst: sign * t.igst,
+    cgst: sign * t.cgst,
+    sgst: sign * t.sgst,
+    cess: sign * t.cess,
+    pos: doc.pos || null,
+    reverse_charge: String(doc.rev || doc.rchrg || "N").toUpperCase() === "Y",
+    itc_available: String(doc.itcavl || "Y").toUpperCase() !== "N",
+    return_period: meta.rtnprd || null,
+    supplier_period: sup.supprd || null,
+  };
+}
+
+export function parseGstr2b(json) {
+  const r = root(json);
+  if (!r) return { docs: [], meta: {} };
+  const meta = { gstin: r.gstin || null, rtnprd: r.rtnprd || null, gendt: r.gendt || null };
+  const docs = [];
+  for (const sup of r.docdata.b2b || []) {
+    for (const inv of sup.inv || []) docs.push(record("invoice", sup, inv, meta));
+  }
+  for (const sup of r.docdata.cdnr || []) {
+    for (const nt of sup.nt || []) {
+      docs.push(record(String(nt.typ || nt.ntty).toUpperCase() === "D" ? "debit_note" : "credit_note", sup, nt, meta));
+    }
+  }
+  return { docs: docs.filter(d => d.ctin && d.number), meta };
+}
+
+export default {
+  id: "gstr2b-json-v1",
+  displayName: "GSTR-2B (portal JSON)",
+  kind: "json",
+  entities: ["gstr2b_doc"],
+  async sniff(buf, filename) {
+    const name = (filename || "").toLowerCase();
+    if (!name.endsWith(".json")) return { match: false, confidence: 0 };
+    const head = buf.slice(0, 64 * 1024).toString("utf8");
+    const looksLike = /"docdata"\s*:/.test(head) && /"rtnprd"\s*:|"b2b"\s*:/.test(head);
+    return { match: looksLike, confidence: looksLike ? 0.95 : 0 };
+  },
+  async parse(buffer) {
+    const json = JSON.parse(buffer.toString("utf8").replace(/^\uFEFF/, ""));
+    const { docs, meta } = parseGstr2b(json);
+    return { lines: [], pairs: [], gstr2b_docs: docs, meta: { ...meta, documents: docs.length } };
+  },
+  async export() { return { files: [] }; }, // import-only
+  template() {
+    const sample = {
+      data: {
+        gstin: "27AAAAA0000A1Z5",
+        rtnprd: "042025",
+        docdata: {
+          b2b: [{
+            ctin: "29ABCDE1234F1Z5", trdnm: "Acme Supplies",
+            inv: [{ inum: "AS/001", dt: "05-04-2025", val: 1180, pos: "27", rev: "N", itcavl: "Y",
+                    items: [{ num: 1, rt: 18, txval: 1000, igst: 180, cgst: 0, sgst: 0, cess: 0 }] }],
+          }],
+        },
+      },
+    };
+    return Buffer.from(JSON.stringify(sample, null, 2) + "\n", "utf8");
+  },
+};
@@ -0,0 +1,139 @@
+// services/formats/mt940-bank-statement-v1.js
+// SWIFT MT940 customer statements. Fields used:
+//   :20: statement ref  :25: account  :28C: statement no.
+//   :60F:/:60M: opening balance  :61: statement line  :86: line details  :62F:/:62M: closing balance
+// Balances read "C250401INR10000,00" (C/D mark, YYMMDD, currency, amount with decimal comma).
+// The bank reference (after "//" on :61:) is the ext_ref, else the customer reference unless NONREF.
+import { toCents, cleanText, withRefs, summarize } from "./bank-statement-utils.js";
+
+const yymmdd = (s) => {
+  const m = String(s || "").match(/^(\d{2})(\d{2})(\d{2})$/);
+  return m ? `${Number(m[1]) < 80 ? "20" : "19"}${m[1]}-${m[2]}-${m[3]}` : null;
+};
+
+function balanceField(v) {
+  const m = String(v || "").replace(/\s+/g, "").match(/^([CD])(\d{6})([A-Z]{3})([\d,.]+)/);
+  if (!m) return null;
+  return { date: yymmdd(m[2]), currency: m[3], cents: (m[1] === "D" ? -1 : 1) * Math.abs(toCents(m[4])) };
+}
+
+// :61: 2504020402D299,00NTRFNONREF//TXN001 [\n supplementary details]
+const LINE_61 = /^(\d{6})(\d{4})?(R?[CD])([A-Z])?([\d,]+)([A-Z][A-Z0-9]{3})([^/\n]*)(?:\/\/([^\n]*))?(?:\n([\s\S]*))?$/;
+
+function statementLine(v) {
+  const m = String(v || "").replace(/\r/g, "").match(LINE_61);
+  if (!m) return null;
+  const mark = m[3];
+  const debit = mark === "D" || mark === "RC"; // RC: reversal of a credit
+  const custRef = (m[7] || "").trim();
+  const bankRef = (m[8] || "").trim();
+  return {
+    date: yymmdd(m[1]),
+    amount_cents: (debit ? -1 : 1) * Math.abs(toCents(m[5])),
+    ref: bankRef || (custRef && custRef.toUpperCase() !== "NONREF" ? custRef : null),
+    supplementary: cleanText(m[9] || ""),
+    type: m[6],
+  };
+}
+
+// :86: is free text in most banks; structured ("?20…?21…" / "/REMI/…") variants are flattened
+function details(v) {
+  const raw = String(v || "").replace(/\r?\n/g, "");
+  if (/\?\d{2}/.test(raw)) {
+    const parts = raw.split(/\?(\d{2})/).slice(1);
+    const out = [];
+    for (let i = 0; i < parts.length; i += 2) {
+      const code = Number(parts[i]);
+      if ((code >= 20 && code <= 29) || (code >= 32 && code <= 33) || (code >= 60 && code <= 63)) out.push(parts[i + 1]);
+    }
+    return cleanText(out.join(" "));
+  }
+  return cleanText(raw.replace(/\/(REMI|NAME|ORDP|BENM|EREF|PURP)\//g, " ").replace(/\//g, " "));
+}
+
+/** Split the text into { tag, value } fields, keeping continuation lines with their field. */
+function fields(block) {
+  const out = [];
+  for (const line of block.replace(/\r/g, "").split("\n")) {
+    const m = line.match(/^:(\d{2}[A-Z]?):(.*)$/);
+    if (m) out.push({ tag: m[1], value: m[2] });
+    else if (out.length && line.trim() && !/^-\}?$/.test(line.trim())) out[out.length - 1].value += `\n${line}`;
+  }
+  return out;
+}
+
+export function parseMt940(text) {
+  // Drop SWIFT envelope blocks ({1:…}{2:…}{4:) and split statements at :20:
+  const body = String(text || "").replace(/^\uFEFF/, "").replace(/\{[1-3]:[^}]*\}/g, "").replace(/\{4:/g, "\n").replace(/-\}/g, "\n");
+  const chunks = body.split(/(?=^:20:)/m).filter(c => /^:20:/.test(c));
+  const statements = [];
+  const all = [];
+  for (const chunk of chunks) {
+    const st = { id: null, account: null, number: null, currency: null, opening: null, closing: null };
+    const txns = [];
+    let last = null;
+    for (const f of fields(chunk)) {
+      if (f.tag === "20") st.id = f.value.trim();
+      else if (f.tag === "25") st.account = f.value.trim();
+      else if (f.tag === "28C") st.number = f.value.trim();
+      else if (f.tag === "60F" || f.tag === "60M") {
+        const b = balanceField(f.value);
+        if (b && (!st.opening || f.tag === "60F")) { st.opening = { date: b.date, cents: b.cents }; st.currency = b.currency; }
+      } else if (f.tag === "62F" || f.tag === "62M") {
+        const b = balanceField(f.value);
+        if (b) st.closing = { date: b.date, cents: b.cents };
+      } else if (f.tag === "61") {
+        last = statementLine(f.value);
+        if (last) txns.push(last);
+      } else if (f.tag === "86" && last) {
+        last.narration = details(f.value);
+        last = null;
+      }
+    }
+    const lines = txns.map(t => ({
+      date: t.date,
+      narration: t.narration || t.supplementary || t.type,
+      ref: t.ref,
+      amount_cents: t.amount_cents,
+      account: st.account,
+      statement: statements.length,
+    }));
+    statements.push({ ...st, ...summarize(lines) });
+    all.push(...lines);
+  }
+  return { bank_txns: withRefs(all), statements };
+}
+
+export default {
+  id: "mt940-bank-statement-v1",
+  displayName: "Bank Statement (SWIFT MT940)",
+  kind: "txt",
+  entities: ["bank_txn"],
+  async sniff(buf, filename) {
+    const name = (filename || "").toLowerCase();
+    const head = buf.slice(0, 64 * 1024).toString("utf8");
+    const looksLike = /^:20:/m.test(head) && /^:25:/m.test(head) && /^:6[02][FM]:/m.test(head);
+    if (looksLike) return { match: true, confidence: /^:61:/m.test(head) ? 0.97 : 0.9 };
+    if (/\.(sta|mt940|940)$/.test(name)) return { match: true, confidence: 0.5 };
+    return { match: false, confidence: 0 };
+  },
+  async parse(buffer) {
+    const { bank_txns, statements } = parseMt940(buffer.toString("utf8"));
+    return { lines: [], pairs: [], bank_txns, statements, meta: { rows: bank_txns.length, statements: statements.length } };
+  },
+  async export() { return { files: [] }; }, // import-only
+  template() {
+    const sample = [
+      ":20:STMT20250430",
+      ":25:HDFC0000001/50100012345678",
+      ":28C:1/1",
+      ":60F:C250401INR10000,00",
+      ":61:2504020402D299,00NTRFNONREF//TXN001",
+      ":86:UPI/Acme Store/payment",
+      ":62F:C250430INR9701,00",
+      "-",
+      "",
+    ].join("\r\n");
+    return Buffer.from(sample, "utf8");
+  },
+};
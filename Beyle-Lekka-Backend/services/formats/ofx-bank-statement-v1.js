@@ -0,0 +1,111 @@
+// services/formats/ofx-bank-statement-v1.js
+// OFX / QFX bank statements: OFX 1.x (SGML, leaf elements unclosed) and OFX 2.x (XML).
+// FITID is the bank reference. OFX carries only the ledger balance at DTASOF, so the opening
+// balance is derived as LEDGERBAL − Σ transactions.
+import { toCents, cleanText, withRefs, summarize } from "./bank-statement-utils.js";
+
+// 20250401, 20250401120000[-5:EST], 20250401120000.000 → 2025-04-01
+function ofxDate(v) {
+  const m = String(v || "").trim().match(/^(\d{4})(\d{2})(\d{2})/);
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+}
+
+function decode(s) {
+  return String(s || "")
+    .replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&nbsp;/g, " ").replace(/&amp;/g, "&");
+}
+
+// Leaf value: "<TAG>value" up to the next tag or line end (works for SGML and XML)
+function leaf(block, tag) {
+  const m = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, "i"));
+  return m ? decode(m[1]).trim() : null;
+}
+
+function blocks(text, tag) {
+  const re = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, "gi");
+  const out = [];
+  let m;
+  while ((m = re.exec(text))) out.push(m[1]);
+  return out;
+}
+
+function parseStatement(stmt) {
+  const acctBlock = blocks(stmt, "BANKACCTFROM")[0] || blocks(stmt, "CCACCTFROM")[0] || "";
+  const txns = blocks(stmt, "STMTTRN").map(t => {
+    const name = leaf(t, "NAME");
+    const memo = leaf(t, "MEMO");
+    const check = leaf(t, "CHECKNUM");
+    const narration = cleanText([name, memo && memo !== name ? memo : null, check ? `CHQ ${check}` : null].filter(Boolean).join(" / "));
+    return {
+      date: ofxDate(leaf(t, "DTPOSTED") || leaf(t, "DTUSER")),
+      narration: narration || leaf(t, "TRNTYPE") || "",
+      ref: leaf(t, "FITID") || leaf(t, "REFNUM") || null,
+      amount_cents: toCents(leaf(t, "TRNAMT")),
+    };
+  }).filter(t => t.date);
+
+  const ledgerBal = blocks(stmt, "LEDGERBAL")[0];
+  const closing = ledgerBal
+    ? { date: ofxDate(leaf(ledgerBal, "DTASOF")), cents: toCents(leaf(ledgerBal, "BALAMT")) }
+    : null;
+  const tranList = blocks(stmt, "BANKTRANLIST")[0] || "";
+  const s = summarize(txns);
+  const movement = txns.reduce((n, t) => n + t.amount_cents, 0);
+  return {
+    txns,
+    statement: {
+      account: leaf(acctBlock, "ACCTID"),
+      bank_id: leaf(acctBlock, "BANKID"),
+      currency: leaf(stmt, "CURDEF"),
+      opening: closing ? { date: ofxDate(leaf(tranList, "DTSTART")) || s.from, cents: closing.cents - movement, derived: true } : null,
+      closing,
+      from: ofxDate(leaf(tranList, "DTSTART")) || s.from,
+      to: ofxDate(leaf(tranList, "DTEND")) || s.to,
+      lines: s.lines,
+    },
+  };
+}
+
+export function parseOfx(text) {
+  const body = String(text || "").replace(/^\uFEFF/, "");
+  const stmts = [...blocks(body, "STMTRS"), ...blocks(body, "CCSTMTRS")];
+  const parsed = stmts.map(parseStatement);
+  return {
+    bank_txns: withRefs(parsed.flatMap((p, i) => p.txns.map(t => ({ ...t, account: p.statement.account, statement: i })))),
+    statements: parsed.map(p => p.statement),
+  };
+}
+
+export default {
+  id: "ofx-bank-statement-v1",
+  displayName: "Bank Statement (OFX / QFX)",
+  kind: "ofx",
+  entities: ["bank_txn"],
+  async sniff(buf, filename) {
+    const name = (filename || "").toLowerCase();
+    const head = buf.slice(0, 64 * 1024).toString("utf8");
+    const looksLike = /OFXHEADER\s*[:=]/i.test(head) || /<OFX>/i.test(head);
+    if (looksLike) return { match: true, confidence: /<STMTTRN>|<STMTRS>/i.test(head) ? 0.97 : 0.9 };
+    if (/\.(ofx|qfx)$/.test(name)) return { match: true, confidence: 0.5 };
+    return { match: false, confidence: 0 };
+  },
+  async parse(buffer) {
+    const { bank_txns, statements } = parseOfx(buffer.toString("utf8"));
+    return { lines: [], pairs: [], bank_txns, statements, meta: { rows: bank_txns.length, statements: statements.length } };
+  },
+  async export() { return { files: [] }; }, // import-only
+  template() {
+    const sample = [
+      "OFXHEADER:100", "DATA:OFXSGML", "VERSION:102", "SECURITY:NONE", "ENCODING:USASCII",
+      "CHARSET:1252", "COMPRESSION:NONE", "OLDFILEUID:NONE", "NEWFILEUID:NONE", "",
+      "<OFX><BANKMSGSRSV1><STMTTRNRS><TRNUID>1<STATUS><CODE>0<SEVERITY>INFO</STATUS>",
+      "<STMTRS><CURDEF>INR<BANKACCTFROM><BANKID>HDFC0000001<ACCTID>50100012345678<ACCTTYPE>CURRENT</BANKACCTFROM>",
+      "<BANKTRANLIST><DTSTART>20250401<DTEND>20250430",
+      "<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20250402<TRNAMT>-299.00<FITID>TXN001<NAME>UPI Acme Store</STMTTRN>",
+      "</BANKTRANLIST><LEDGERBAL><BALAMT>9701.00<DTASOF>20250430</LEDGERBAL>",
+      "</STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>", "",
+    ].join("\r\n");
+    return Buffer.from(sample, "utf8");
+  },
+};
@@ -3,8 +3,14 @@ import csvUJ from "./csv-universal-journal-v1.js";
 import xlsxUW from "./xlsx-universal-workbook-v1.js";
 import csvBS from "./csv-bank-statement-v1.js";
 import jsonAP from "./json-audit-package-v1.js";
+import gstr1 from "./gstr1-v1.js";
+import gstr2b from "./gstr2b-json-v1.js";
+import tds26q from "./tds-26q-v1.js";
+import ofxBS from "./ofx-bank-statement-v1.js";
+import camt053 from "./camt053-bank-statement-v1.js";
+import mt940 from "./mt940-bank-statement-v1.js";
 
-const PROFILES = [xlsxUW, csvUJ, csvBS, jsonAP];
+const PROFILES = [xlsxUW, csvUJ, csvBS, ofxBS, camt053, mt940, jsonAP, gstr1, gstr2b, tds26q];
 
 export function listProfiles() {
   return PROFILES.map(p => ({ id: p.id, displayName: p.displayName, kind: p.kind }));
@@ -0,0 +1,54 @@
+// services/formats/tds-26q-v1.js
+// Form 26Q (quarterly TDS) in the NSDL text layout, plus an exceptions sheet.
+// The quarter is the one containing `to`.
+import defPolicy from "../../utils/validation/policies/default.json" with { type: "json" };
+import { build26QText, quarterOf } from "../../utils/tax/tds26q.js";
+import { prepare26Q, deductorFromEnv } from "../tds26q.js";
+
+const csvCell = (v) => {
+  const s = v == null ? "" : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export default {
+  id: "tds-26q-v1",
+  displayName: "TDS 26Q (NSDL text)",
+  kind: "txt",
+  entities: ["tds_deduction", "tds_challan"],
+  async sniff() {
+    return { match: false, confidence: 0 }; // export-only
+  },
+  async parse() {
+    return { lines: [], pairs: [], meta: { note: "26Q is export-only" } };
+  },
+  async export(db, sessionId, { to }) {
+    const { fy, quarter } = quarterOf(to, defPolicy?.financialYear?.startMonth || 4);
+    const data = await prepare26Q(sessionId, { fy, quarter, policy: defPolicy }, db.query);
+    const deductor = deductorFromEnv();
+    const base = `26Q_${deductor.tan || "TAN"}_${fy}-${String((fy + 1) % 100).padStart(2, "0")}_${quarter}`;
+
+    const header = ["issue", "date", "payee", "section", "tds", "detail"];
+    const lines = [header.join(",")];
+    const byKey = new Map(data.deductions.map(d => [d.key, d]));
+    const add = (issue, f, detail) => {
+      const d = byKey.get(f.key) || {};
+      lines.push([issue, d.date, d.payee, d.section, (Number(d.tds_cents || 0) / 100).toFixed(2), detail]
+        .map(csvCell).join(","));
+    };
+    for (const f of data.flags.no_challan) add("no_challan", f, `unallocated ${(f.unallocated_cents / 100).toFixed(2)}`);
+    for (const f of data.flags.late_deposit) add("late_deposit", f, `due ${f.due_date}, deposited ${f.deposit_date}, interest ${(f.interest_cents / 100).toFixed(2)}`);
+    for (const f of data.flags.deductee_missing) add("deductee_missing", f, "no PAN in deductee master");
+    for (const f of data.flags.section_missing) add("section_missing", f, "");
+    for (const f of data.flags.section_unknown) add("section_unknown", f, "no 26Q section code; give the sub-clause, e.g. 194I(b)");
+
+    return {
+      files: [
+        { name: `${base}.txt`, content: build26QText({ deductor, fy, quarter, challans: data.challans, createdOn: new Date().toISOString().slice(0, 10) }) },
+        { name: `${base}_exceptions.csv`, content: lines.join("\n") + "\n" },
+      ],
+    };
+  },
+  template() {
+    return Buffer.from("", "utf8");
+  },
+};
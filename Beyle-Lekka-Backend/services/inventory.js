@@ -0,0 +1,793 @@
+// services/inventory.js
+// Item master (migration 038) and stock movements through utils/stock/wavg.js. Movements come
+// from confirmed invoices (issues) and purchase vouchers / GRNs (receipts) via
+// postDocumentMovements(), or are entered directly (opening, receipt, issue, adjustment).
+// Costing (migration 039): weighted average or FIFO per item, else the workspace default; FIFO and
+// batch-tracked items also keep receipt layers (utils/stock/fifo.js) with batch and expiry.
+// Locations (migration 040): every movement is in a warehouse (services/warehouses.js), costed and
+// checked for negative stock there; transfers move goods through an in-transit location.
+import { randomUUID } from "crypto";
+import { query, withTx } from "./db.js";
+import { writeAudit } from "./audit.js";
+import { getWAVG, postMovement } from "../utils/stock/wavg.js";
+import { addLayer, openLayers, planIssue, applyIssue, isExpired } from "../utils/stock/fifo.js";
+import { getInventorySettings, COSTING_METHODS } from "./workspaceSettings.js";
+import { assertDateOpen } from "./periods.js";
+import { defaultWarehouse, resolveWarehouse, warehouseRefOf, getWarehouse } from "./warehouses.js";
+import { buildStockSummary, buildMovementRegister } from "../utils/reports/stock.js";
+import { extractGRNFields } from "../utils/extraction/grnExtractor.js";
+import defPolicy from "../utils/validation/policies/default.json" with { type: "json" };
+
+const ISO = /^\d{4}-\d{2}-\d{2}$/;
+const MOVEMENT_KINDS = ["opening", "receipt", "issue", "adjustment"];
+
+function httpError(status, message) {
+  const e = new Error(message);
+  e.http = status;
+  return e;
+}
+
+const today = () => new Date().toISOString().slice(0, 10);
+const blank = (v) => v === undefined || v === null || String(v).trim() === "";
+const has = (o, ...keys) => keys.some(k => Object.prototype.hasOwnProperty.call(o, k));
+const pick = (o, ...keys) => { for (const k of keys) if (has(o, k)) return o[k]; return undefined; };
+
+function isoOrNull(v, field) {
+  if (blank(v)) return null;
+  if (!ISO.test(String(v))) throw httpError(400, `${field} must be YYYY-MM-DD`);
+  return String(v);
+}
+
+function numberOrNull(v, field) {
+  if (blank(v)) return null;
+  const n = Number(v);
+  if (!Number.isFinite(n)) throw httpError(400, `${field} must be a number`);
+  return n;
+}
+
+/* ------------------------ item master ------------------------ */
+
+const SELECT_ITEMS = `
+  SELECT i.id, i.code, i.name, i.uom, i.hsn, i.gst_rate, i.reorder_level, i.stock_tracked,
+         i.costing_method, i.batch_tracked, i.is_active, i.created_at, i.updated_at,
+         COALESCE((SELECT SUM(s.qty_in) - SUM(s.qty_out) FROM stock_ledger s
+                    WHERE s.item_id = i.id AND s.session_id = i.session_id), 0) AS on_hand
+    FROM items i`;
+
+export async function listItems(sessionId, { q = null, includeInactive = false } = {}) {
+  const like = blank(q) ? null : `%${String(q).trim().toLowerCase()}%`;
+  const { rows } = await query(
+    `${SELECT_ITEMS}
+      WHERE i.session_id = $1 AND ($2 = 1 OR i.is_active = 1)
+        AND ($3 IS NULL OR lower(i.code) LIKE $3 OR lower(i.name) LIKE $3 OR i.hsn LIKE $3)
+      ORDER BY i.code`,
+    [sessionId, includeInactive ? 1 : 0, like]
+  );
+  return rows || [];
+}
+
+export async function getItem(sessionId, id, run = query) {
+  const { rows } = await run(`${SELECT_ITEMS} WHERE i.id = $1 AND i.session_id = $2`, [id, sessionId]);
+  if (!rows?.length) throw httpError(404, "Item not found in this workspace");
+  return rows[0];
+}
+
+/**
+ * Create (no id) or update an item.
+ * input: { id?, code, name, uom?, hsn?, gstRate? (%), reorderLevel?, stockTracked?, isActive?,
+ *          costingMethod?: wavg|fifo|null (null → workspace default), batchTracked? }
+ * Costing method and batch tracking cannot change once the item has stock movements.
+ */
+export async function saveItem(sessionId, input = {}, actorId = null) {
+  const prev = input.id ? await getItem(sessionId, input.id) : null;
+
+  const code = blank(input.code) ? prev?.code : String(input.code).trim();
+  if (!code) throw httpError(400, "code is required");
+  const name = blank(input.name) ? prev?.name : String(input.name).trim();
+  if (!name) throw httpError(400, "name is required");
+
+  const hsnIn = has(input, "hsn", "hsnCode") ? pick(input, "hsn", "hsnCode") : prev?.hsn;
+  const hsn = blank(hsnIn) ? null : String(hsnIn).replace(/\s+/g, "");
+  if (hsn && !/^\d{4,8}$/.test(hsn)) throw httpError(400, `Invalid HSN/SAC "${hsnIn}" (4–8 digits)`);
+
+  const gstRate = has(input, "gstRate", "gst_rate") ? numberOrNull(pick(input, "gstRate", "gst_rate"), "gstRate") : prev?.gst_rate ?? null;
+  if (gstRate != null && (gstRate < 0 || gstRate > 28)) throw httpError(400, "gstRate must be between 0 and 28");
+  const reorderLevel = has(input, "reorderLevel", "reorder_level")
+    ? numberOrNull(pick(input, "reorderLevel", "reorder_level"), "reorderLevel")
+    : prev?.reorder_level ?? null;
+  if (reorderLevel != null && reorderLevel < 0) throw httpError(400, "reorderLevel cannot be negative");
+
+  const flag = (keys, fallback) => {
+    if (!has(input, ...keys)) return fallback;
+    const v = pick(input, ...keys);
+    return v === false || Number(v) === 0 ? 0 : 1;
+  };
+
+  const methodIn = has(input, "costingMethod", "costing_method") ? pick(input, "costingMethod", "costing_method") : prev?.costing_method;
+  const costingMethod = blank(methodIn) ? null : String(methodIn).toLowerCase();
+  if (costingMethod && !COSTING_METHODS.includes(costingMethod)) {
+    throw httpError(400, `costingMethod must be one of ${COSTING_METHODS.join(", ")}`);
+  }
+
+  const row = {
+    code,
+    name,
+    uom: has(input, "uom", "unit") ? (blank(pick(input, "uom", "unit")) ? null : String(pick(input, "uom", "unit")).trim().toUpperCase()) : prev?.uom ?? null,
+    hsn,
+    gst_rate: gstRate,
+    reorder_level: reorderLevel,
+    stock_tracked: flag(["stockTracked", "stock_tracked"], prev ? Number(prev.stock_tracked) : 1),
+    is_active: flag(["isActive", "is_active"], prev ? Number(prev.is_active) : 1),
+    costing_method: costingMethod,
+    batch_tracked: flag(["batchTracked", "batch_tracked"], prev ? Number(prev.batch_tracked || 0) : 0),
+  };
+
+  if (prev && (row.costing_method !== (prev.costing_method ?? null) || row.batch_tracked !== Number(prev.batch_tracked || 0))) {
+    const { rows: hist } = await query(`SELECT 1 FROM stock_ledger WHERE session_id = $1 AND item_id = $2 LIMIT 1`, [sessionId, prev.id]);
+    if (hist?.length) throw httpError(409, `${prev.code} has stock movements; its costing method and batch tracking are fixed`);
+  }
+
+  const { rows: clash } = await query(
+    `SELECT id, name FROM items WHERE session_id = $1 AND code = $2 AND id <> $3 LIMIT 1`,
+    [sessionId, code, prev?.id || ""]
+  );
+  if (clash?.length) throw httpError(409, `Item code ${code} is already used by "${clash[0].name}"`);
+
+  const id = prev?.id || randomUUID();
+  await withTx(async (exec) => {
+    const run = exec || query;
+    if (prev) {
+      await run(
+        `UPDATE items
+            SET code = $3, name = $4, uom = $5, hsn = $6, gst_rate = $7, reorder_level = $8,
+                stock_tracked = $9, is_active = $10, costing_method = $11, batch_tracked = $12, updated_at = datetime('now')
+          WHERE id = $1 AND session_id = $2`,
+        [id, sessionId, row.code, row.name, row.uom, row.hsn, row.gst_rate, row.reorder_level, row.stock_tracked, row.is_active,
+         row.costing_method, row.batch_tracked]
+      );
+    } else {
+      await run(
+        `INSERT INTO items (id, session_id, code, name, uom, hsn, gst_rate, reorder_level, stock_tracked, is_active,
+                            costing_method, batch_tracked, updated_at)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12, datetime('now'))`,
+        [id, sessionId, row.code, row.name, row.uom, row.hsn, row.gst_rate, row.reorder_level, row.stock_tracked, row.is_active,
+         row.costing_method, row.batch_tracked]
+      );
+    }
+    const changes = prev
+      ? Object.fromEntries(Object.entries(row).filter(([k, v]) => (prev[k] ?? null) !== v).map(([k, v]) => [k, { from: prev[k] ?? null, to: v }]))
+      : row;
+    await writeAudit({
+      sessionId, userId: actorId, action: prev ? "item_update" : "item_create",
+      entity: "items", entityId: id, details: changes,
+    }, run);
+  });
+  return { created: !prev, item: await getItem(sessionId, id) };
+}
+
+/** Delete an item without movements; one with stock history is deactivated instead. */
+export async function deleteItem(sessionId, id, actorId = null) {
+  const item = await getItem(sessionId, id);
+  const { rows } = await query(
+    `SELECT COUNT(*) AS n FROM stock_ledger WHERE session_id = $1 AND item_id = $2`,
+    [sessionId, id]
+  );
+  const inUse = Number(rows?.[0]?.n || 0) > 0;
+
+  await withTx(async (exec) => {
+    const run = exec || query;
+    if (inUse) {
+      await run(`UPDATE items SET is_active = 0, updated_at = datetime('now') WHERE id = $1 AND session_id = $2`, [id, sessionId]);
+    } else {
+      await run(`DELETE FROM items WHERE id = $1 AND session_id = $2`, [id, sessionId]);
+    }
+    await writeAudit({
+      sessionId, userId: actorId, action: inUse ? "item_deactivate" : "item_delete",
+      entity: "items", entityId: id, details: { code: item.code, name: item.name },
+    }, run);
+  });
+  return { id, deleted: !inUse, deactivated: inUse };
+}
+
+/** Master row for a document line: by code (code / itemCode / sku), else by exact name. */
+export async function findItemForLine(sessionId, line = {}, run = query) {
+  const code = line.code || line.itemCode || line.sku || null;
+  if (code) {
+    const { rows } = await run(`SELECT * FROM items WHERE session_id = $1 AND code = $2 LIMIT 1`, [sessionId, String(code).trim()]);
+    if (rows?.length) return rows[0];
+  }
+  const name = String(line.name || line.description || "").trim();
+  if (!name) return null;
+  const { rows } = await run(
+    `SELECT * FROM items WHERE session_id = $1 AND lower(name) = lower($2) AND is_active = 1 LIMIT 1`,
+    [sessionId, name]
+  );
+  return rows?.[0] || null;
+}
+
+async function resolveItem(sessionId, input, run = query) {
+  const id = pick(input, "itemId", "item_id");
+  if (id) {
+    const { rows } = await run(`SELECT * FROM items WHERE id = $1 AND session_id = $2`, [id, sessionId]);
+    if (!rows?.length) throw httpError(404, "Item not found in this workspace");
+    return rows[0];
+  }
+  const item = await findItemForLine(sessionId, input, run);
+  if (!item) throw httpError(404, `Item not found: ${input.code || input.itemCode || input.name || "(none)"}`);
+  return item;
+}
+
+/* ------------------------ movements ------------------------ */
+
+export async function onHand(sessionId, itemId, asOf = "2999-12-31", run = query, warehouseId = null) {
+  const { rows } = await run(
+    `SELECT COALESCE(SUM(qty_in) - SUM(qty_out), 0) AS qty
+       FROM stock_ledger WHERE session_id = $1 AND item_id = $2 AND date <= $3 AND ($4 IS NULL OR warehouse_id = $4)`,
+    [sessionId, itemId, asOf, warehouseId]
+  );
+  return Number(rows?.[0]?.qty || 0);
+}
+
+/** Costing of an item: its own method, else the workspace default; layered = keeps receipt layers. */
+async function costingOf(sessionId, item, run = query) {
+  const method = item.costing_method || (await getInventorySettings(sessionId, run)).costingMethod;
+  return { method, layered: method === "fifo" || !!Number(item.batch_tracked) };
+}
+
+/**
+ * One movement for an item. Receipts are valued at `rateCents`; issues at the weighted average on
+ * the date, or at the cost of the FIFO layers they consume. Layered items open a layer per receipt
+ * (batch-tracked ones need batchNo) and issue FIFO, or earliest-expiry-first for batches.
+ * With enforce (direct entry), an issue is refused when it would take the item below zero in its
+ * warehouse (with blockNegativeStock) or could only be met from expired batches.
+ * warehouse defaults to the workspace's default location; valueCents fixes an issue's value (the
+ * receiving leg of a transfer) and receiptId limits it to the layers one receipt opened.
+ */
+async function moveItem(sessionId, item, {
+  date, qtyIn = 0, qtyOut = 0, rateCents = null, kind, refDoc = null, documentId = null, narration = null,
+  actorId = null, enforce = true, batchNo = null, expiryDate = null, warehouse = null, valueCents = null, receiptId = null,
+}, run) {
+  const wh = warehouse || await defaultWarehouse(sessionId, run);
+  if (qtyOut > 0 && enforce && defPolicy.inventory?.blockNegativeStock) {
+    const onDate = await onHand(sessionId, item.id, date, run, wh.id);
+    const overall = await onHand(sessionId, item.id, "2999-12-31", run, wh.id);
+    const available = Math.min(onDate, overall);
+    if (available < qtyOut) {
+      throw httpError(422, `Insufficient stock for ${item.code} in ${wh.name}: on-hand ${available}, requested ${qtyOut}`);
+    }
+  }
+  const batched = !!Number(item.batch_tracked);
+  if (qtyIn > 0 && batched && blank(batchNo)) throw httpError(400, `${item.code} is batch-tracked: batch number is required`);
+
+  const { method, layered } = await costingOf(sessionId, item, run);
+  const mv = {
+    id: randomUUID(), session_id: sessionId, date, item_id: item.id, warehouse_id: wh.id,
+    qty_in: qtyIn, qty_out: qtyOut, rate_cents: rateCents,
+    kind, ref_doc: refDoc, document_id: documentId, narration, created_by: actorId,
+    batch_no: batchNo || null, expiry_date: qtyIn > 0 ? expiryDate || null : null,
+  };
+
+  let plan = null;
+  if (qtyOut > 0 && layered) {
+    const layers = await openLayers({ sessionId, itemId: item.id, warehouseId: wh.id, date, batchNo: batchNo || null, receiptId }, run);
+    plan = planIssue(layers, qtyOut, { date, order: batched ? "fefo" : "fifo", allowExpired: !enforce });
+    if (enforce && batchNo && !layers.length) throw httpError(422, `Batch ${batchNo} of ${item.code} has no stock on ${date}`);
+    if (enforce && plan.short > 0) {
+      const expired = layers.filter(l => isExpired(l, date));
+      throw httpError(422, expired.length
+        ? `${item.code}: only ${qtyOut - plan.short} usable; batch ${expired.map(l => `${l.batch_no} (expired ${l.expiry_date})`).join(", ")} cannot be issued`
+        : `Insufficient stock for ${item.code}${batchNo ? ` batch ${batchNo}` : ""}: requested ${qtyOut}, short ${plan.short}`);
+    }
+    const batches = [...new Set(plan.picks.map(p => p.layer.batch_no).filter(Boolean))];
+    if (batches.length === 1) mv.batch_no = batches[0];
+    if (method === "fifo" && valueCents == null) {
+      // anything no layer covered (negative stock allowed) goes at the last layer's rate
+      const lastRate = plan.picks.length ? Number(plan.picks[plan.picks.length - 1].layer.rate_cents) : (await getWAVG(item.id, date, wh.id, run)).rate_cents;
+      mv.value_cents = plan.value_cents + Math.round(plan.short * lastRate);
+      mv.rate_cents = Math.round(mv.value_cents / qtyOut);
+    }
+  }
+
+  if (qtyOut > 0 && valueCents != null) {
+    mv.value_cents = valueCents;
+    mv.rate_cents = Math.round(valueCents / qtyOut);
+  }
+
+  const { rate_cents, value_cents } = await postMovement(mv, run);
+  if (qtyIn > 0 && layered) {
+    await addLayer({
+      sessionId, itemId: item.id, warehouseId: wh.id, receiptId: mv.id, date, batchNo: batchNo || null, expiryDate: expiryDate || null,
+      qty: qtyIn, rateCents: rate_cents,
+    }, run);
+  }
+  if (plan?.picks.length) await applyIssue({ sessionId, issueId: mv.id, picks: plan.picks }, run);
+  if (!item.costing_method) {
+    await run(`UPDATE items SET costing_method = $1 WHERE id = $2 AND session_id = $3 AND costing_method IS NULL`, [method, item.id, sessionId]);
+    item.costing_method = method;
+  }
+
+  return {
+    id: mv.id, item_id: item.id, code: item.code, date, kind, qty_in: qtyIn, qty_out: qtyOut,
+    warehouse_id: wh.id, warehouse: wh.name,
+    rate_cents, value_cents, method, batch_no: mv.batch_no, expiry_date: mv.expiry_date,
+    ...(plan ? { layers: plan.picks.map(p => ({ batch_no: p.layer.batch_no, expiry_date: p.layer.expiry_date, qty: p.qty, rate_cents: Number(p.layer.rate_cents || 0), value_cents: p.value_cents })) } : {}),
+  };
+}
+
+/**
+ * Direct movement. input: { itemId | code, date, kind: opening|receipt|issue|adjustment,
+ *   qty (adjustment: signed), rate? (units; required for opening / receipt), refDoc?, narration?,
+ *   batchNo? (required on receipts of batch-tracked items; on issues picks the batch), expiryDate?,
+ *   warehouseId? (id, code or name; default warehouse when absent) }
+ */
+export async function postStockMovement(sessionId, input = {}, actorId = null) {
+  const kind = String(input.kind || "").toLowerCase();
+  if (!MOVEMENT_KINDS.includes(kind)) throw httpError(400, `kind must be one of ${MOVEMENT_KINDS.join(", ")}`);
+  const date = isoOrNull(input.date, "date") || today();
+  const qty = Number(input.qty);
+  if (!Number.isFinite(qty) || qty === 0 || (kind !== "adjustment" && qty < 0)) {
+    throw httpError(400, kind === "adjustment" ? "qty must be non-zero (negative reduces stock)" : "qty must be positive");
+  }
+  const rate = numberOrNull(input.rate, "rate");
+  if ((kind === "opening" || kind === "receipt") && rate == null) throw httpError(400, "rate is required for receipts");
+  if (rate != null && rate < 0) throw httpError(400, "rate cannot be negative");
+  const expiryDate = isoOrNull(pick(input, "expiryDate", "expiry_date", "expiry"), "expiryDate");
+
+  let out;
+  await withTx(async (exec) => {
+    const run = exec || query;
+    await assertDateOpen(sessionId, date, run);
+    const item = await resolveItem(sessionId, input, run);
+    if (!Number(item.stock_tracked)) throw httpError(409, `${item.code} is not stock-tracked`);
+    const warehouse = await resolveWarehouse(sessionId, warehouseRefOf(input), run);
+    const inward = kind === "opening" || kind === "receipt" || (kind === "adjustment" && qty > 0);
+    let rateCents = rate != null ? Math.round(rate * 100) : null;
+    if (inward && rateCents == null) rateCents = (await getWAVG(item.id, date, warehouse.id, run)).rate_cents;
+    out = await moveItem(sessionId, item, {
+      date,
+      qtyIn: inward ? Math.abs(qty) : 0,
+      qtyOut: inward ? 0 : Math.abs(qty),
+      rateCents: inward ? rateCents : null,
+      kind,
+      refDoc: input.refDoc || null,
+      narration: input.narration || null,
+      batchNo: batchOf(input),
+      expiryDate,
+      warehouse,
+      actorId,
+    }, run);
+    await writeAudit({
+      sessionId, userId: actorId, action: "stock_movement", entity: "stock_ledger", entityId: out.id,
+      details: { item: item.code, kind, date, qty, warehouse: warehouse.code, batch_no: out.batch_no, rate_cents: out.rate_cents, value_cents: out.value_cents },
+    }, run);
+  });
+  return out;
+}
+
+/**
+ * qty of an item from one location to another on a date: an issue from `from` and a receipt into
+ * `to` at the same value, so workspace totals do not move. Layered items arrive with the batches,
+ * expiries and rates they left with. valueCents / receiptId pin the issue to what an earlier
+ * transfer leg put in (used when goods leave the in-transit location).
+ */
+export async function transferStock(sessionId, item, {
+  date, qty, from, to, batchNo = null, valueCents = null, receiptId = null,
+  refDoc = null, documentId = null, narration = null, actorId = null, enforce = true,
+}, run = query) {
+  const out = await moveItem(sessionId, item, {
+    date, qtyOut: qty, kind: "transfer_out", refDoc, documentId, narration, actorId, enforce,
+    batchNo, warehouse: from, valueCents, receiptId,
+  }, run);
+
+  const inId = randomUUID();
+  await postMovement({
+    id: inId, session_id: sessionId, date, item_id: item.id, warehouse_id: to.id,
+    qty_in: qty, qty_out: 0, rate_cents: Math.round(out.value_cents / qty), value_cents: out.value_cents,
+    kind: "transfer_in", ref_doc: refDoc, document_id: documentId, narration, created_by: actorId,
+    batch_no: out.batch_no, expiry_date: out.expiry_date,
+  }, run);
+
+  const { layered } = await costingOf(sessionId, item, run);
+  if (layered) {
+    const parts = out.layers || [];
+    for (const l of parts) {
+      await addLayer({
+        sessionId, itemId: item.id, warehouseId: to.id, receiptId: inId, date,
+        batchNo: l.batch_no, expiryDate: l.expiry_date, qty: l.qty, rateCents: l.rate_cents,
+      }, run);
+    }
+    const covered = parts.reduce((s, l) => s + Number(l.qty), 0);
+    const rest = Math.round((qty - covered) * 1000) / 1000;
+    if (rest > 0) {
+      const restCents = out.value_cents - parts.reduce((s, l) => s + l.value_cents, 0);
+      await addLayer({
+        sessionId, itemId: item.id, warehouseId: to.id, receiptId: inId, date,
+        qty: rest, rateCents: Math.round(restCents / rest),
+      }, run);
+    }
+  }
+
+  return {
+    out,
+    in: {
+      id: inId, item_id: item.id, code: item.code, date, kind: "transfer_in", qty_in: qty, qty_out: 0,
+      warehouse_id: to.id, warehouse: to.name, rate_cents: Math.round(out.value_cents / qty), value_cents: out.value_cents,
+      batch_no: out.batch_no,
+    },
+  };
+}
+
+/** Batch number on an input or document line (batch / batchNo / batch_no). */
+function batchOf(line = {}) {
+  const b = pick(line, "batchNo", "batch_no", "batch");
+  return blank(b) ? null : String(b).trim();
+}
+
+/**
+ * Which way a confirmed document moves stock: sales invoices issue, GRNs receive, purchase
+ * payment vouchers receive unless they point at a GRN that already brought the goods in.
+ */
+export function stockDirection(docType, docModel = {}) {
+  if (docType === "invoice") return "out";
+  if (docType === "grn") return "in";
+  if (docType === "payment_voucher" && docModel.purpose === "purchase" && !docModel.grnNumber) return "in";
+  return null;
+}
+
+/**
+ * Movements for a confirmed document's items (confirmAndSaveEntry, inside its transaction).
+ * Lines without a stock-tracked master item are services or free text and are skipped.
+ * Stock availability was already checked by stockGuards at validation. The warehouse comes from
+ * the line, else the document (warehouseId / warehouse), else the default location.
+ */
+export async function postDocumentMovements(sessionId, { documentId, docType, docModel = {}, actorId = null }, run = query) {
+  const dir = stockDirection(docType, docModel);
+  const lines = Array.isArray(docModel.items) ? docModel.items : [];
+  if (!dir || !lines.length) return [];
+  const date = String(docModel.date || today()).slice(0, 10);
+  const posted = [];
+  for (const line of lines) {
+    const qty = Number(line.qty || 0);
+    if (!(qty > 0)) continue;
+    const item = await findItemForLine(sessionId, line, run);
+    if (!item || !Number(item.stock_tracked)) continue;
+    const warehouse = await resolveWarehouse(sessionId, warehouseRefOf(line, docModel), run);
+    const unit = line.rate != null ? Number(line.rate) : line.amount != null ? Number(line.amount) / qty : 0;
+    posted.push(await moveItem(sessionId, item, {
+      date,
+      qtyIn: dir === "in" ? qty : 0,
+      qtyOut: dir === "out" ? qty : 0,
+      rateCents: dir === "in" ? Math.round(unit * 100) : null,
+      kind: dir === "in" ? (docType === "grn" ? "grn" : "purchase") : "sale",
+      refDoc: docModel.number || null,
+      documentId,
+      actorId,
+      enforce: false,
+      warehouse,
+      batchNo: batchOf(line),
+      expiryDate: ISO.test(String(pick(line, "expiryDate", "expiry_date", "expiry") || "")) ? pick(line, "expiryDate", "expiry_date", "expiry") : null,
+    }, run));
+  }
+  return posted;
+}
+
+/**
+ * Goods received note: a non-posting `grn` document plus a receipt per line.
+ * input: { number, date, supplier?, warehouseId?, items: [{ itemId | code | name, qty, rate, batchNo?, expiryDate? }], note? }
+ * Fields from utils/extraction/grnExtractor.js map as delivery_note_number → number; the goods
+ * land in warehouseId (or the extracted `warehouse`), else the default warehouse.
+ */
+export async function receiveGoods(sessionId, input = {}, actorId = null) {
+  const number = String(input.number || input.delivery_note_number || "").trim();
+  if (!number) throw httpError(400, "number is required");
+  const date = isoOrNull(input.date, "date") || today();
+  const lines = Array.isArray(input.items) ? input.items : [];
+  if (!lines.length) throw httpError(400, "items are required");
+
+  const { rows: dup } = await query(
+    `SELECT id FROM documents WHERE session_id = $1 AND doc_type = 'grn' AND number = $2`,
+    [sessionId, number]
+  );
+  if (dup?.length) throw httpError(409, `GRN ${number} already exists`);
+
+  const documentId = randomUUID();
+  const movements = [];
+  await withTx(async (exec) => {
+    const run = exec || query;
+    await assertDateOpen(sessionId, date, run);
+    const warehouse = await resolveWarehouse(sessionId, warehouseRefOf(input), run);
+    const resolved = [];
+    for (const [i, line] of lines.entries()) {
+      const qty = Number(line.qty);
+      if (!(qty > 0)) throw httpError(400, `items[${i}].qty must be positive`);
+      const rate = numberOrNull(line.rate, `items[${i}].rate`);
+      if (rate == null || rate < 0) throw httpError(400, `items[${i}].rate is required`);
+      const item = await resolveItem(sessionId, line, run);
+      if (!Number(item.stock_tracked)) throw httpError(409, `${item.code} is not stock-tracked`);
+      const expiryDate = isoOrNull(pick(line, "expiryDate", "expiry_date", "expiry"), `items[${i}].expiryDate`);
+      resolved.push({ item, qty, rate, batchNo: batchOf(line), expiryDate });
+    }
+    const docModel = {
+      number, date, supplier: input.supplier || null, note: input.note || null,
+      warehouse: { id: warehouse.id, code: warehouse.code, name: warehouse.name },
+      items: resolved.map(r => ({ itemId: r.item.id, code: r.item.code, name: r.item.name, uom: r.item.uom, hsn: r.item.hsn, qty: r.qty, rate: r.rate,
+        ...(r.batchNo ? { batchNo: r.batchNo, expiryDate: r.expiryDate } : {}) })),
+    };
+    const total = resolved.reduce((s, r) => s + Math.round(r.qty * r.rate * 100), 0);
+    await run(
+      `INSERT INTO documents (id, session_id, doc_type, number, date, party_name, gross_amount_cents, status, created_by, payload_json)
+       VALUES ($1,$2,'grn',$3,$4,$5,$6,'FINALIZED',$7,$8)`,
+      [documentId, sessionId, number, date, input.supplier || null, total, actorId, JSON.stringify(docModel)]
+    );
+    for (const r of resolved) {
+      movements.push(await moveItem(sessionId, r.item, {
+        date, qtyIn: r.qty, rateCents: Math.round(r.rate * 100), kind: "grn", refDoc: number, documentId, actorId,
+        batchNo: r.batchNo, expiryDate: r.expiryDate, warehouse,
+      }, run));
+    }
+    await writeAudit({
+      sessionId, userId: actorId, action: "grn_receive", entity: "documents", entityId: documentId,
+      details: { number, date, supplier: input.supplier || null, warehouse: warehouse.code, lines: resolved.length, value_cents: total },
+    }, run);
+  });
+  return { documentId, number, date, movements };
+}
+
+/**
+ * GRN header prefilled from delivery-challan text (utils/extraction/grnExtractor.js). The goods go
+ * to `warehouseId` when the user picked one, else the warehouse the challan names if it is in the
+ * master, else the default warehouse; lines are entered (or confirmed) by the user.
+ */
+export async function draftGrn(sessionId, { text = "", fileName = "", warehouseId = null } = {}) {
+  const fields = extractGRNFields(String(text || ""), fileName || "");
+  let warehouse = null;
+  let note = null;
+  if (!blank(warehouseId)) {
+    warehouse = await resolveWarehouse(sessionId, warehouseId);
+  } else if (fields.warehouse) {
+    warehouse = await resolveWarehouse(sessionId, fields.warehouse).catch(() => null);
+    if (!warehouse) note = `"${fields.warehouse}" is not in the warehouse master; using the default warehouse`;
+  }
+  warehouse = warehouse || await defaultWarehouse(sessionId);
+  return {
+    number: fields.delivery_note_number || null,
+    date: fields.date || null,
+    supplier: fields.supplier || null,
+    warehouseId: warehouse.id,
+    warehouse: warehouse.name,
+    extracted: fields,
+    note,
+  };
+}
+
+/* ------------------------ reports ------------------------ */
+
+const TRANSFER_KINDS = ["transfer_out", "transfer_in"];
+
+/**
+ * stock_ledger rows up to a date, for one warehouse or the whole workspace. Workspace-wide, the
+ * two legs of a transfer cancel out and are left out so they do not inflate in / out.
+ */
+async function movementsUpTo(sessionId, to, itemId = null, warehouseId = null) {
+  const { rows } = await query(
+    `SELECT s.id, s.item_id, s.warehouse_id, substr(s.date,1,10) AS date, s.qty_in, s.qty_out, s.rate_cents, s.value_cents,
+            s.kind, s.ref_doc, s.document_id, s.narration, d.doc_type, d.party_name
+       FROM stock_ledger s
+       LEFT JOIN documents d ON d.id = s.document_id AND d.session_id = s.session_id
+      WHERE s.session_id = $1 AND s.date <= $2 AND ($3 IS NULL OR s.item_id = $3)
+        AND ($4 IS NULL OR s.warehouse_id = $4)
+      ORDER BY s.date, COALESCE(s.created_at, ''), s.rowid`,
+    [sessionId, to, itemId, warehouseId]
+  );
+  return warehouseId ? rows || [] : (rows || []).filter(r => !TRANSFER_KINDS.includes(r.kind));
+}
+
+async function warehouseFilter(sessionId, warehouseId) {
+  if (blank(warehouseId)) return null;
+  const w = await getWarehouse(sessionId, String(warehouseId));
+  return { id: w.id, code: w.code, name: w.name };
+}
+
+async function itemsForReport(sessionId, includeInactive) {
+  const { rows } = await query(
+    `SELECT id, code, name, uom, hsn, gst_rate, reorder_level, is_active, costing_method
+       FROM items WHERE session_id = $1 AND stock_tracked = 1 AND ($2 = 1 OR is_active = 1)
+      ORDER BY code`,
+    [sessionId, includeInactive ? 1 : 0]
+  );
+  return rows || [];
+}
+
+/** Opening / in / out / closing per item for from..to, for the workspace or one warehouse. */
+export async function stockSummary(sessionId, { from = null, to = null, includeInactive = false, warehouseId = null } = {}) {
+  const f = isoOrNull(from, "from");
+  const t = isoOrNull(to, "to") || today();
+  if (f && f > t) throw httpError(400, "from must be on or before to");
+  const warehouse = await warehouseFilter(sessionId, warehouseId);
+  const items = await itemsForReport(sessionId, includeInactive);
+  const movements = await movementsUpTo(sessionId, t, null, warehouse?.id || null);
+  return { from: f, to: t, warehouse, ...buildStockSummary({ items, movements, from: f }) };
+}
+
+/**
+ * Ledgers whose balance stock value should equal: the workspace inventory ledger, its CoA
+ * children and anything in the assets.inventory family.
+ */
+async function inventoryLedgers(sessionId, ledger) {
+  const { rows } = await query(
+    `SELECT name FROM chart_of_accounts
+      WHERE (session_id = $1 OR session_id = 'GLOBAL')
+        AND (lower(name) = lower($2) OR lower(parent_code) = lower($2)
+             OR parent_code IN (SELECT account_code FROM chart_of_accounts
+                                 WHERE (session_id = $1 OR session_id = 'GLOBAL') AND lower(name) = lower($2))
+             OR family_code = 'assets.inventory')`,
+    [sessionId, ledger]
+  );
+  const names = new Set([ledger.toLowerCase(), ...(rows || []).map(r => String(r.name).toLowerCase())]);
+  return [...names];
+}
+
+async function ledgerBalanceCents(sessionId, ledgers, asOf) {
+  if (!ledgers.length) return 0;
+  const list = ledgers.map((_, i) => `$${i + 3}`).join(",");
+  const { rows } = await query(
+    `SELECT COALESCE(SUM(CASE WHEN lower(debit_account)  IN (${list}) THEN amount_cents ELSE 0 END),0)
+          - COALESCE(SUM(CASE WHEN lower(credit_account) IN (${list}) THEN amount_cents ELSE 0 END),0) AS cents
+       FROM ledger_entries
+      WHERE session_id = $1 AND substr(transaction_date,1,10) <= $2`,
+    [sessionId, asOf, ...ledgers]
+  );
+  return Number(rows?.[0]?.cents || 0);
+}
+
+/**
+ * Quantity, rate and value per item as of a date, reconciled to the inventory ledger.
+ * Issues of FIFO items carry the value of the layers they consumed, so the signed value sum
+ * is the FIFO value for those items and the weighted-average value for the rest. A single
+ * warehouse is valued the same way but not reconciled (the ledger is not kept per location).
+ */
+export async function stockValuation(sessionId, { asOf = null, includeInactive = false, warehouseId = null } = {}) {
+  const date = isoOrNull(asOf, "asOf") || today();
+  const warehouse = await warehouseFilter(sessionId, warehouseId);
+  const items = await itemsForReport(sessionId, includeInactive);
+  const { rows, totals } = buildStockSummary({ items, movements: await movementsUpTo(sessionId, date, null, warehouse?.id || null) });
+  const { costingMethod, inventoryLedger } = await getInventorySettings(sessionId);
+  const methodOf = new Map(items.map(i => [i.id, i.costing_method || costingMethod]));
+
+  const ledgers = warehouse ? [] : await inventoryLedgers(sessionId, inventoryLedger);
+  const ledgerCents = warehouse ? 0 : await ledgerBalanceCents(sessionId, ledgers, date);
+  return {
+    asOf: date,
+    warehouse,
+    rows: rows
+      .filter(r => r.closing_qty !== 0 || r.in_qty !== 0)
+      .map(r => ({
+        id: r.id, code: r.code, name: r.name, uom: r.uom, method: methodOf.get(r.id),
+        qty: r.closing_qty, rate_cents: r.rate_cents, value_cents: r.closing_cents,
+      })),
+    total_cents: totals.closing_cents,
+    reconciliation: warehouse ? null : {
+      ledger: inventoryLedger,
+      ledgers,
+      ledger_balance_cents: ledgerCents,
+      stock_value_cents: totals.closing_cents,
+      difference_cents: ledgerCents - totals.closing_cents,
+    },
+  };
+}
+
+/**
+ * Quantity and value of each item in each location as of a date (the in-transit location
+ * included), with per-warehouse totals. Values follow each location's own average or layers.
+ */
+export async function stockByWarehouse(sessionId, { asOf = null, itemId = null } = {}) {
+  const date = isoOrNull(asOf, "asOf") || today();
+  const { rows } = await query(
+    `SELECT s.warehouse_id, w.code AS warehouse_code, w.name AS warehouse, w.is_transit,
+            i.id AS item_id, i.code, i.name, i.uom,
+            SUM(s.qty_in) - SUM(s.qty_out) AS qty,
+            SUM(CASE WHEN s.qty_out > 0 THEN -s.value_cents ELSE s.value_cents END) AS value_cents
+       FROM stock_ledger s
+       JOIN items i ON i.id = s.item_id
+       LEFT JOIN warehouses w ON w.id = s.warehouse_id
+      WHERE s.session_id = $1 AND s.date <= $2 AND ($3 IS NULL OR s.item_id = $3)
+      GROUP BY s.warehouse_id, w.code, w.name, w.is_transit, i.id, i.code, i.name, i.uom
+      ORDER BY COALESCE(w.is_transit, 0), w.name, i.code`,
+    [sessionId, date, itemId]
+  );
+
+  const byWarehouse = new Map();
+  for (const r of rows || []) {
+    const qty = Math.round(Number(r.qty || 0) * 1000) / 1000;
+    if (qty === 0) continue;
+    const key = r.warehouse_id || "";
+    if (!byWarehouse.has(key)) {
+      byWarehouse.set(key, {
+        id: r.warehouse_id, code: r.warehouse_code, name: r.warehouse || "(unassigned)",
+        is_transit: !!Number(r.is_transit), items: [], total_cents: 0,
+      });
+    }
+    const w = byWarehouse.get(key);
+    const value = qty > 0 ? Number(r.value_cents || 0) : 0;
+    w.items.push({
+      item_id: r.item_id, code: r.code, name: r.name, uom: r.uom, qty,
+      rate_cents: qty > 0 ? Math.round(value / qty) : 0, value_cents: value,
+    });
+    w.total_cents += value;
+  }
+  const warehouses = [...byWarehouse.values()];
+  return { asOf: date, warehouses, total_cents: warehouses.reduce((s, w) => s + w.total_cents, 0) };
+}
+
+/**
+ * Batches of batch-tracked (and other layered) items that have expired or expire within `days`
+ * of asOf, with the quantity left on asOf. Layers are rebuilt as of the date from
+ * stock_layer_issues, so a back-dated report is not affected by later issues.
+ */
+export async function expiryReport(sessionId, { asOf = null, days = 30, itemId = null, warehouseId = null } = {}) {
+  const date = isoOrNull(asOf, "asOf") || today();
+  const window = numberOrNull(days, "days") ?? 30;
+  if (window < 0) throw httpError(400, "days must not be negative");
+  const horizon = new Date(Date.parse(date + "T00:00:00Z") + window * 86400000).toISOString().slice(0, 10);
+
+  const { rows } = await query(
+    `SELECT l.id, l.item_id, i.code, i.name, i.uom, l.batch_no, l.expiry_date, l.date AS received_on,
+            l.warehouse_id, w.name AS warehouse, l.rate_cents, l.qty_in - COALESCE((
+              SELECT SUM(x.qty) FROM stock_layer_issues x
+                JOIN stock_ledger s ON s.id = x.issue_id AND s.session_id = x.session_id
+               WHERE x.layer_id = l.id AND s.date <= $2), 0) AS qty
+       FROM stock_layers l
+       JOIN items i ON i.id = l.item_id
+       LEFT JOIN warehouses w ON w.id = l.warehouse_id
+      WHERE l.session_id = $1 AND l.date <= $2 AND l.expiry_date IS NOT NULL AND l.expiry_date <= $3
+        AND ($4 IS NULL OR l.item_id = $4) AND ($5 IS NULL OR l.warehouse_id = $5)
+      ORDER BY l.expiry_date, i.code, l.batch_no`,
+    [sessionId, date, horizon, itemId, blank(warehouseId) ? null : warehouseId]
+  );
+
+  const expired = [];
+  const nearExpiry = [];
+  for (const r of rows || []) {
+    const qty = Math.round(Number(r.qty) * 1000) / 1000;
+    if (qty <= 0) continue;
+    const row = {
+      layer_id: r.id, item_id: r.item_id, code: r.code, name: r.name, uom: r.uom,
+      batch_no: r.batch_no, expiry_date: r.expiry_date, received_on: r.received_on,
+      warehouse_id: r.warehouse_id, warehouse: r.warehouse,
+      days_left: Math.round((Date.parse(r.expiry_date + "T00:00:00Z") - Date.parse(date + "T00:00:00Z")) / 86400000),
+      qty, rate_cents: r.rate_cents, value_cents: Math.round(qty * Number(r.rate_cents || 0)),
+    };
+    (r.expiry_date < date ? expired : nearExpiry).push(row);
+  }
+  const sum = (list) => list.reduce((s, r) => s + r.value_cents, 0);
+  return {
+    asOf: date, days: window,
+    expired, nearExpiry,
+    totals: { expired_cents: sum(expired), near_expiry_cents: sum(nearExpiry) },
+  };
+}
+
+/** Open batches (layers) of one item on a date, earliest expiry first; optionally one warehouse. */
+export async function itemBatches(sessionId, itemId, asOf = null, warehouseId = null) {
+  const date = isoOrNull(asOf, "asOf") || today();
+  const item = await getItem(sessionId, itemId);
+  const layers = await openLayers({ sessionId, itemId: item.id, date, warehouseId: blank(warehouseId) ? null : warehouseId });
+  return {
+    item: { id: item.id, code: item.code, name: item.name, uom: item.uom },
+    asOf: date,
+    batches: layers
+      .map(l => ({ layer_id: l.id, warehouse_id: l.warehouse_id, batch_no: l.batch_no, expiry_date: l.expiry_date, received_on: l.date,
+        qty: l.qty_remaining, rate_cents: l.rate_cents, expired: isExpired(l, date) }))
+      .sort((a, b) => String(a.expiry_date || "9999") < String(b.expiry_date || "9999") ? -1 : 1),
+  };
+}
+
+/** Movement register of one item with running balance, for the workspace or one warehouse. */
+export async function movementRegister(sessionId, { itemId = null, code = null, from = null, to = null, warehouseId = null } = {}) {
+  const f = isoOrNull(from, "from");
+  const t = isoOrNull(to, "to") || today();
+  const item = await resolveItem(sessionId, { itemId, code });
+  const warehouse = await warehouseFilter(sessionId, warehouseId);
+  const reg = buildMovementRegister({ movements: await movementsUpTo(sessionId, t, item.id, warehouse?.id || null), from: f });
+  return { item: { id: item.id, code: item.code, name: item.name, uom: item.uom }, warehouse, from: f, to: t, ...reg };
+}
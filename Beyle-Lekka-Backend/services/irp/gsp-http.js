@@ -0,0 +1,51 @@
+// services/irp/gsp-http.js
+// IRP access through a GST Suvidha Provider's plain-JSON API: the GSP handles the IRP session
+// and payload encryption, we post the e-invoice JSON with the workspace's API credentials.
+//   IRP_BASE_URL        e.g. https://gsp.example.com/eivital  (no trailing slash)
+//   IRP_CLIENT_ID / IRP_CLIENT_SECRET / IRP_USERNAME / IRP_AUTH_TOKEN / IRP_GSTIN
+import axios from "axios";
+
+function headers() {
+  const env = process.env;
+  return {
+    "Content-Type": "application/json",
+    client_id: env.IRP_CLIENT_ID || "",
+    client_secret: env.IRP_CLIENT_SECRET || "",
+    user_name: env.IRP_USERNAME || "",
+    authtoken: env.IRP_AUTH_TOKEN || "",
+    gstin: env.IRP_GSTIN || env.ORG_GSTIN || "",
+  };
+}
+
+// NIC replies { Status: 1, Data } where Data is often a JSON string, or { Status: 0, ErrorDetails }
+function unwrap(body) {
+  if (Number(body?.Status) === 1) return typeof body.Data === "string" ? JSON.parse(body.Data) : body.Data;
+  const list = Array.isArray(body?.ErrorDetails) ? body.ErrorDetails : [];
+  const e = new Error(list.map(x => `${x.ErrorCode}: ${x.ErrorMessage}`).join("; ") || "IRP rejected the invoice");
+  e.irpErrors = list.map(x => ({ code: String(x.ErrorCode), message: x.ErrorMessage }));
+  throw e;
+}
+
+export default {
+  id: "gsp-http",
+  displayName: "IRP via GSP (HTTP)",
+
+  async generateIrn(payload) {
+    const base = process.env.IRP_BASE_URL;
+    if (!base) throw new Error("IRP_BASE_URL is not configured");
+    const { data } = await axios.post(`${base}/eicore/v1.03/Invoice`, payload, {
+      headers: headers(),
+      timeout: Number(process.env.IRP_TIMEOUT_MS || 30000),
+      validateStatus: (s) => s < 500,
+    });
+    const d = unwrap(data);
+    return {
+      irn: d.Irn,
+      ackNo: String(d.AckNo),
+      ackDate: d.AckDt,
+      status: d.Status || "ACT",
+      signedInvoice: d.SignedInvoice || null,
+      signedQr: d.SignedQRCode,
+    };
+  },
+};
@@ -0,0 +1,16 @@
+// services/irp/registry.js
+// E-invoice submission adapters. Each exports { id, displayName, generateIrn(payload) } and
+// resolves to { irn, ackNo, ackDate, status, signedInvoice, signedQr }; a rejection throws with
+// `irpErrors: [{ code, message }]`. IRP_ADAPTER picks one (default: the local stub).
+import stub from "./stub-irp.js";
+import gspHttp from "./gsp-http.js";
+
+const ADAPTERS = [stub, gspHttp];
+
+export function listAdapters() {
+  return ADAPTERS.map(a => ({ id: a.id, displayName: a.displayName }));
+}
+
+export function getAdapter(id = process.env.IRP_ADAPTER || "stub") {
+  return ADAPTERS.find(a => a.id === id) || null;
+}
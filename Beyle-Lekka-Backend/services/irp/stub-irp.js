@@ -0,0 +1,62 @@
+// services/irp/stub-irp.js
+// Local stand-in for the Invoice Registration Portal: computes the IRN the way the IRP does
+// (SHA-256 of seller GSTIN, financial year, document type and number), rejects duplicates, and
+// signs the invoice and QR as HS256 JWTs with a local key. For development and tests only.
+import { createHash, createHmac } from "crypto";
+
+const KEY = process.env.IRP_STUB_KEY || "beyle-lekka-stub-irp";
+const issued = new Map(); // irn → response, for the life of the process
+let seq = 0;
+
+const b64 = (o) => Buffer.from(JSON.stringify(o)).toString("base64url");
+
+function sign(data) {
+  const head = b64({ alg: "HS256", kid: "STUB-IRP", typ: "JWT" });
+  const body = b64({ data: JSON.stringify(data), iss: "NIC" });
+  const sig = createHmac("sha256", KEY).update(`${head}.${body}`).digest("base64url");
+  return `${head}.${body}.${sig}`;
+}
+
+// "dd/mm/yyyy" → "2025-26"
+function financialYear(dt) {
+  const [, mm, yyyy] = String(dt).split("/").map(Number);
+  const start = mm >= 4 ? yyyy : yyyy - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, "0")}`;
+}
+
+function rejected(code, message) {
+  const e = new Error(message);
+  e.irpErrors = [{ code, message }];
+  return e;
+}
+
+export default {
+  id: "stub",
+  displayName: "Local stub IRP (no submission)",
+
+  async generateIrn(payload) {
+    const { DocDtls: doc, SellerDtls: seller, BuyerDtls: buyer, ItemList: items, ValDtls: val } = payload;
+    const irn = createHash("sha256")
+      .update(`${seller.Gstin}${financialYear(doc.Dt)}${doc.Typ}${doc.No}`.toUpperCase())
+      .digest("hex");
+    if (issued.has(irn)) throw rejected("2150", "Duplicate IRN");
+
+    const now = new Date();
+    const ackDate = `${now.toISOString().slice(0, 10)} ${now.toTimeString().slice(0, 8)}`;
+    const ackNo = `${now.getTime()}${String(seq++ % 100).padStart(2, "0")}`;
+    const mainHsn = [...items].sort((a, b) => b.AssAmt - a.AssAmt)[0]?.HsnCd || "";
+    const result = {
+      irn,
+      ackNo,
+      ackDate,
+      status: "ACT",
+      signedInvoice: sign({ ...payload, Irn: irn, AckNo: ackNo, AckDt: ackDate }),
+      signedQr: sign({
+        SellerGstin: seller.Gstin, BuyerGstin: buyer.Gstin, DocNo: doc.No, DocTyp: doc.Typ, DocDt: doc.Dt,
+        TotInvVal: val.TotInvVal, ItemCnt: items.length, MainHsnCode: mainHsn, Irn: irn, IrnDt: ackDate,
+      }),
+    };
+    issued.set(irn, result);
+    return result;
+  },
+};
@@ -0,0 +1,515 @@
+// services/loans.js
+// Term loans (migration 037): EMI schedule, EMI / prepayment / disbursement vouchers drafted as
+// ordinary journal previews, schedule regeneration on prepayments and rate resets, and
+// outstanding principal (schedule) vs the loan ledger. confirmAndSaveEntry calls
+// markLoanVoucherPosted() for the `loanVoucher` carried in a draft's snapshot payload.
+import { randomUUID } from "crypto";
+import { query, withTx } from "./db.js";
+import { writeAudit } from "./audit.js";
+import { reserveSeries } from "./series.js";
+import { createFacility, balanceAsOf } from "./facilities.js";
+import { bankLedgerOf } from "./bankRules.js";
+import { ensureLedgerExists } from "../utils/coaService.js";
+import { runValidation } from "../utils/validation/index.js";
+import { createSnapshot } from "../utils/preview/snapshotStore.js";
+import { createFundsHolds } from "../utils/preview/fundsHolds.js";
+import { METHODS, addMonths, buildSchedule, regenerateTail } from "../utils/loans/schedule.js";
+
+const ISO = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_INTEREST_LEDGER = "Interest on Loans";
+const MAX_DRAFTS = 200;
+
+function httpError(status, message) {
+  const e = new Error(message);
+  e.http = status;
+  return e;
+}
+
+const today = () => new Date().toISOString().slice(0, 10);
+const units = (c) => Math.round(Number(c || 0)) / 100;
+
+function isoOrNull(v, field) {
+  if (v === undefined || v === null || v === "") return null;
+  if (!ISO.test(String(v))) throw httpError(400, `${field} must be YYYY-MM-DD`);
+  return String(v);
+}
+
+function positiveCents(v, field) {
+  const c = Math.round(Number(v) * 100);
+  if (!Number.isFinite(c) || c <= 0) throw httpError(400, `${field} must be a positive amount`);
+  return c;
+}
+
+function rateToBps(v) {
+  const bps = Math.round(Number(v) * 100);
+  if (v === undefined || v === null || v === "" || !Number.isFinite(bps) || bps < 0 || bps > 10000) {
+    throw httpError(400, "rate must be an annual percentage between 0 and 100");
+  }
+  return bps;
+}
+
+/* ------------------------ reads ------------------------ */
+
+async function loadLoan(sessionId, id, run = query) {
+  const { rows } = await run(`SELECT * FROM loans WHERE id = $1 AND session_id = $2`, [id, sessionId]);
+  if (!rows?.length) throw httpError(404, "Loan not found in this workspace");
+  return rows[0];
+}
+
+async function installmentsOf(sessionId, loanId, run = query) {
+  const { rows } = await run(
+    `SELECT * FROM loan_installments WHERE loan_id = $1 AND session_id = $2 ORDER BY seq`,
+    [loanId, sessionId]
+  );
+  return rows || [];
+}
+
+export async function listLoans(sessionId, { includeClosed = false } = {}) {
+  const { rows } = await query(
+    `SELECT l.*,
+            (SELECT COUNT(*) FROM loan_installments i WHERE i.loan_id = l.id AND i.status = 'posted') AS posted_count,
+            (SELECT COUNT(*) FROM loan_installments i WHERE i.loan_id = l.id) AS installment_count,
+            (SELECT MIN(due_date) FROM loan_installments i WHERE i.loan_id = l.id AND i.status <> 'posted') AS next_due_date
+       FROM loans l
+      WHERE l.session_id = $1 AND ($2 = 1 OR l.status = 'active')
+      ORDER BY l.name`,
+    [sessionId, includeClosed ? 1 : 0]
+  );
+  return rows || [];
+}
+
+export async function getLoan(sessionId, id) {
+  const loan = await loadLoan(sessionId, id);
+  const { rows: events } = await query(
+    `SELECT * FROM loan_events WHERE loan_id = $1 AND session_id = $2 ORDER BY event_date, created_at`,
+    [id, sessionId]
+  );
+  return { ...loan, installments: await installmentsOf(sessionId, id), events: events || [] };
+}
+
+/* ------------------------ vouchers ------------------------ */
+
+/**
+ * Journal preview for a loan voucher, same path as the bank-rule drafts: validation, series
+ * reservation, snapshot, funds holds. Returns { draft } or { skipped } with validation errors.
+ */
+async function draftVoucher(sessionId, { journal, date, narration, link, userId }) {
+  const docModel = { date, narration, loanId: link.loanId };
+  const v = await runValidation({ docType: "journal", journal, docModel, mode: "preview", sessionId });
+  const hard = (v?.errors || []).filter(e => e && e.level !== "warn");
+  if (hard.length) return { skipped: { ...link, reason: "validation", errors: hard } };
+
+  const reservation = await reserveSeries({ docType: "journal", dateISO: date, previewId: "tmp", sessionId });
+  const payload = {
+    docType: "journal",
+    docModel: { ...docModel, number: reservation.number },
+    journal,
+    loanVoucher: link,
+  };
+  const snap = await createSnapshot({ docType: "journal", payload, reservation, sessionId, userId });
+  try {
+    await createFundsHolds({ sessionId, journal, defaultDate: date, previewId: snap.previewId });
+  } catch (e) { console.warn("Funds holds creation failed (non-fatal):", e?.message || e); }
+
+  return {
+    draft: {
+      ...link,
+      previewId: snap.previewId,
+      hash: snap.hash,
+      expiresAt: snap.expiresAt,
+      number: reservation.number,
+      journal,
+      warnings: v?.warnings || [],
+    },
+  };
+}
+
+/** EMI: Dr loan (principal), Dr interest, Cr bank (EMI). */
+function emiJournal(loan, inst) {
+  const date = inst.due_date;
+  const narration = `EMI ${inst.seq} – ${loan.name}`;
+  const lines = [];
+  if (inst.principal_cents > 0) lines.push({ account: loan.loan_ledger, debit: units(inst.principal_cents), credit: 0, date, narration });
+  if (inst.interest_cents > 0) lines.push({ account: loan.interest_ledger, debit: units(inst.interest_cents), credit: 0, date, narration });
+  lines.push({ account: loan.bank_ledger, debit: 0, credit: units(inst.emi_cents), date, narration });
+  return { journal: lines, date, narration };
+}
+
+function eventJournal(loan, ev) {
+  const date = ev.event_date;
+  const amount = units(ev.amount_cents);
+  if (ev.kind === "disbursement") {
+    const narration = `Loan disbursed – ${loan.name}`;
+    return {
+      date, narration,
+      journal: [
+        { account: loan.bank_ledger, debit: amount, credit: 0, date, narration },
+        { account: loan.loan_ledger, debit: 0, credit: amount, date, narration },
+      ],
+    };
+  }
+  const narration = `Loan prepayment – ${loan.name}`;
+  return {
+    date, narration,
+    journal: [
+      { account: loan.loan_ledger, debit: amount, credit: 0, date, narration },
+      { account: loan.bank_ledger, debit: 0, credit: amount, date, narration },
+    ],
+  };
+}
+
+/** A drafted row whose preview is still usable (not confirmed, not expired). */
+async function livePreview(previewId) {
+  if (!previewId) return false;
+  const { rows } = await query(`SELECT status, expires_at FROM preview_snapshots WHERE preview_id = $1`, [previewId]);
+  const s = rows?.[0];
+  return !!s && s.status !== "USED" && new Date(s.expires_at).getTime() > Date.now();
+}
+
+/**
+ * Draft EMI vouchers for instalments due on or before `asOf` that are not posted yet
+ * (a draft whose preview expired is drafted again). Confirm each via /confirmAndSaveEntry.
+ */
+export async function draftDueInstallments(sessionId, { asOf = null, loanId = null, limit = MAX_DRAFTS, userId = null } = {}) {
+  const date = isoOrNull(asOf, "asOf") || today();
+  const { rows } = await query(
+    `SELECT i.*
+       FROM loan_installments i
+       JOIN loans l ON l.id = i.loan_id AND l.session_id = i.session_id
+      WHERE i.session_id = $1 AND l.status = 'active' AND i.status <> 'posted'
+        AND i.due_date <= $2 AND ($3 IS NULL OR i.loan_id = $3)
+      ORDER BY i.due_date, i.seq`,
+    [sessionId, date, loanId]
+  );
+
+  const loans = new Map();
+  const drafts = [];
+  const skipped = [];
+  const cap = Math.min(Number(limit) || MAX_DRAFTS, MAX_DRAFTS);
+
+  for (const inst of rows || []) {
+    if (drafts.length >= cap) break;
+    if (inst.status === "drafted" && await livePreview(inst.preview_id)) {
+      skipped.push({ loanId: inst.loan_id, installmentId: inst.id, seq: inst.seq, reason: "draft_pending", previewId: inst.preview_id });
+      continue;
+    }
+    if (!loans.has(inst.loan_id)) loans.set(inst.loan_id, await loadLoan(sessionId, inst.loan_id));
+    const loan = loans.get(inst.loan_id);
+
+    const { journal, date: d, narration } = emiJournal(loan, inst);
+    const out = await draftVoucher(sessionId, {
+      journal, date: d, narration, userId,
+      link: { loanId: loan.id, installmentId: inst.id, seq: inst.seq },
+    });
+    if (out.skipped) { skipped.push(out.skipped); continue; }
+    await query(
+      `UPDATE loan_installments SET status = 'drafted', preview_id = $1 WHERE id = $2 AND session_id = $3`,
+      [out.draft.previewId, inst.id, sessionId]
+    );
+    drafts.push({ ...out.draft, dueDate: inst.due_date, emi: units(inst.emi_cents) });
+  }
+  return { asOf: date, drafts, skipped, due: (rows || []).length };
+}
+
+/**
+ * Called from confirmAndSaveEntry when a loan draft is posted. An instalment regenerated away
+ * meanwhile (or already posted) is left alone. Posting the last open instalment closes the loan.
+ */
+export async function markLoanVoucherPosted(sessionId, { installmentId = null, eventId = null, ledgerEntryId }, run = query) {
+  if (installmentId) {
+    const r = await run(
+      `UPDATE loan_installments SET status = 'posted', ledger_entry_id = $1, posted_at = datetime('now')
+        WHERE id = $2 AND session_id = $3 AND status <> 'posted'`,
+      [ledgerEntryId, installmentId, sessionId]
+    );
+    if (!((r?.changes ?? r?.rowCount ?? 0) > 0)) return false;
+    const { rows } = await run(
+      `SELECT loan_id FROM loan_installments WHERE id = $1 AND session_id = $2`,
+      [installmentId, sessionId]
+    );
+    if (rows?.[0]) await closeIfRepaid(sessionId, rows[0].loan_id, run);
+    return true;
+  }
+  if (eventId) {
+    const r = await run(
+      `UPDATE loan_events SET ledger_entry_id = $1 WHERE id = $2 AND session_id = $3 AND ledger_entry_id IS NULL`,
+      [ledgerEntryId, eventId, sessionId]
+    );
+    return (r?.changes ?? r?.rowCount ?? 0) > 0;
+  }
+  return false;
+}
+
+/* ------------------------ create ------------------------ */
+
+/**
+ * input: { name, lender?, principal, rate (annual %), tenureMonths, startDate, firstDueDate?,
+ *          method?: reducing|flat, secured?: true, ledger?, interestLedger?,
+ *          bankAccountId? | bankLedger?, facility?: true, draftDisbursement?: false }
+ * Credits to a loan ledger need a LOAN facility (cashBankFacilities + the ledger triggers), so one
+ * is created for the principal unless `facility: false` or the ledger already has one.
+ */
+export async function createLoan(sessionId, input = {}, actorId = null) {
+  const name = String(input.name || "").trim();
+  if (!name) throw httpError(400, "name is required");
+  const principalCents = positiveCents(input.principal, "principal");
+  const rateBps = rateToBps(input.rate);
+  const months = Math.trunc(Number(input.tenureMonths ?? input.tenure));
+  if (!(months >= 1 && months <= 600)) throw httpError(400, "tenureMonths must be between 1 and 600");
+  const method = String(input.method || "reducing").toLowerCase();
+  if (!METHODS.includes(method)) throw httpError(400, `method must be one of ${METHODS.join(", ")}`);
+  const startDate = isoOrNull(input.startDate, "startDate");
+  if (!startDate) throw httpError(400, "startDate is required");
+  const firstDueDate = isoOrNull(input.firstDueDate, "firstDueDate") || addMonths(startDate, 1);
+  if (firstDueDate <= startDate) throw httpError(400, "firstDueDate must be after startDate");
+
+  const loanLedger = String(input.ledger || `${input.secured === false ? "Unsecured Loans" : "Secured Loans"} - ${name}`).trim();
+  const interestLedger = String(input.interestLedger || DEFAULT_INTEREST_LEDGER).trim();
+  let bankLedger = String(input.bankLedger || "").trim();
+  if (input.bankAccountId) bankLedger = await bankLedgerOf(sessionId, input.bankAccountId);
+  if (!bankLedger) throw httpError(400, "bankAccountId or bankLedger is required");
+
+  const { rows: dup } = await query(`SELECT id FROM loans WHERE session_id = $1 AND loan_ledger = $2`, [sessionId, loanLedger]);
+  if (dup?.length) throw httpError(409, `A loan on "${loanLedger}" already exists`);
+
+  await ensureLedgerExists(loanLedger, sessionId, { type: "liability" });
+  await ensureLedgerExists(interestLedger, sessionId, { type: "expense" });
+  await ensureLedgerExists(bankLedger, sessionId, { type: "asset" });
+
+  const schedule = buildSchedule({ principalCents, rateBps, months, firstDueDate, method });
+  const id = randomUUID();
+  const disbursementId = randomUUID();
+
+  await withTx(async (exec) => {
+    const run = exec || query;
+    await run(
+      `INSERT INTO loans
+         (id, session_id, name, lender, loan_ledger, interest_ledger, bank_ledger, bank_account_id, method,
+          principal_cents, rate_bps, tenure_months, start_date, first_due_date, due_day, status, created_by, updated_at)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,'active',$16, datetime('now'))`,
+      [id, sessionId, name, input.lender || null, loanLedger, interestLedger, bankLedger, input.bankAccountId || null,
+       method, principalCents, rateBps, months, startDate, firstDueDate, Number(firstDueDate.slice(8, 10)), actorId]
+    );
+    await insertInstallments(sessionId, id, schedule, rateBps, run);
+    await run(
+      `INSERT INTO loan_events (id, session_id, loan_id, kind, event_date, amount_cents, rate_bps, created_by)
+       VALUES ($1,$2,$3,'disbursement',$4,$5,$6,$7)`,
+      [disbursementId, sessionId, id, startDate, principalCents, rateBps, actorId]
+    );
+    await writeAudit({
+      sessionId, userId: actorId, action: "loan_create", entity: "loans", entityId: id,
+      details: { name, loan_ledger: loanLedger, principal_cents: principalCents, rate_bps: rateBps, tenure_months: months, method, first_due_date: firstDueDate },
+    }, run);
+  });
+
+  // LOAN facility on the loan ledger (headroom for the disbursement credit)
+  const { rows: fac } = await query(
+    `SELECT id FROM account_facilities WHERE session_id = $1 AND primary_account = $2`,
+    [sessionId, loanLedger]
+  );
+  let facilityId = fac?.[0]?.id || null;
+  if (!facilityId && input.facility !== false) {
+    facilityId = (await createFacility(sessionId, {
+      account: loanLedger, type: "LOAN", limit: units(principalCents), validFrom: startDate,
+      lender: input.lender || null, sanctionRef: input.sanctionRef || null,
+    }, actorId)).id;
+  }
+  if (facilityId) await query(`UPDATE loans SET facility_id = $1 WHERE id = $2 AND session_id = $3`, [facilityId, id, sessionId]);
+
+  const result = { loan: await getLoan(sessionId, id) };
+  if (input.draftDisbursement) {
+    result.disbursement = await draftEventVoucher(sessionId, result.loan, disbursementId, actorId);
+  }
+  return result;
+}
+
+async function insertInstallments(sessionId, loanId, rows, rateBps, run) {
+  for (const r of rows) {
+    await run(
+      `INSERT INTO loan_installments
+         (id, session_id, loan_id, seq, due_date, opening_cents, emi_cents, interest_cents, principal_cents, closing_cents, rate_bps, status)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,'scheduled')`,
+      [randomUUID(), sessionId, loanId, r.seq, r.due_date, r.opening_cents, r.emi_cents, r.interest_cents,
+       r.principal_cents, r.closing_cents, rateBps]
+    );
+  }
+}
+
+async function draftEventVoucher(sessionId, loan, eventId, userId) {
+  const { rows } = await query(`SELECT * FROM loan_events WHERE id = $1 AND session_id = $2`, [eventId, sessionId]);
+  const ev = rows?.[0];
+  if (!ev || !ev.amount_cents) return null;
+  const { journal, date, narration } = eventJournal(loan, ev);
+  const out = await draftVoucher(sessionId, { journal, date, narration, userId, link: { loanId: loan.id, eventId } });
+  if (out.draft) {
+    await query(`UPDATE loan_events SET preview_id = $1 WHERE id = $2 AND session_id = $3`, [out.draft.previewId, eventId, sessionId]);
+  }
+  return out.draft || out.skipped;
+}
+
+/* ------------------------ prepayment / rate reset ------------------------ */
+
+/**
+ * Rebuild the unposted tail after `eventDate`. Instalments that are posted, or due on or before
+ * the event date, stay as they are; a tail instalment with a live draft blocks the change.
+ */
+async function regenerate(sessionId, loan, { eventDate, prepaymentCents = 0, rateBps, keep }, run) {
+  const all = await installmentsOf(sessionId, loan.id, run);
+  let lastKept = -1;
+  all.forEach((r, i) => { if (r.status === "posted" || r.due_date <= eventDate) lastKept = i; });
+  const kept = all.slice(0, lastKept + 1);
+  const tail = all.slice(lastKept + 1);
+
+  for (const r of tail) {
+    if (r.status === "drafted" && await livePreview(r.preview_id)) {
+      throw httpError(409, `EMI ${r.seq} (${r.due_date}) has a pending draft ${r.preview_id}; confirm it or let it expire first`);
+    }
+  }
+
+  const principalAfterKept = kept.length ? kept[kept.length - 1].closing_cents : loan.principal_cents;
+  if (prepaymentCents > principalAfterKept) {
+    throw httpError(422, `Prepayment exceeds the outstanding principal (₹${units(principalAfterKept).toFixed(2)})`);
+  }
+  const nextDueDate = tail[0]?.due_date || addMonths(kept[kept.length - 1]?.due_date || loan.first_due_date, kept.length ? 1 : 0, loan.due_day);
+
+  let rows;
+  try {
+    rows = regenerateTail({
+      kept, remainingMonths: tail.length || 1, nextDueDate, principalAfterKept, prepaymentCents, rateBps,
+      method: loan.method, keep, emiCents: tail[0]?.emi_cents || kept[kept.length - 1]?.emi_cents || null, dueDay: loan.due_day,
+    });
+  } catch (e) {
+    throw httpError(422, e.message);
+  }
+
+  for (const r of tail) {
+    await run(`DELETE FROM loan_installments WHERE id = $1 AND session_id = $2`, [r.id, sessionId]);
+  }
+  await insertInstallments(sessionId, loan.id, rows, rateBps, run);
+  return { kept: kept.length, removed: tail.length, added: rows.length, emi_cents: rows[0]?.emi_cents ?? null };
+}
+
+/**
+ * Part-prepayment on `date`: the balance after the instalments up to that date is reduced and the
+ * rest of the schedule rebuilt (keep: "tenure" lowers the EMI, "emi" shortens the tenure).
+ * The prepayment voucher (Dr loan, Cr bank) is drafted unless draft === false.
+ */
+export async function recordPrepayment(sessionId, loanId, { date, amount, keep = "tenure", note = null, draft = true } = {}, actorId = null) {
+  const loan = await loadLoan(sessionId, loanId);
+  if (loan.status !== "active") throw httpError(409, "Loan is closed");
+  const eventDate = isoOrNull(date, "date");
+  if (!eventDate) throw httpError(400, "date is required");
+  if (eventDate < loan.start_date) throw httpError(400, "date is before the loan starts");
+  const cents = positiveCents(amount, "amount");
+  if (!["tenure", "emi"].includes(keep)) throw httpError(400, 'keep must be "tenure" or "emi"');
+
+  const eventId = randomUUID();
+  let change;
+  await withTx(async (exec) => {
+    const run = exec || query;
+    change = await regenerate(sessionId, loan, { eventDate, prepaymentCents: cents, rateBps: loan.rate_bps, keep }, run);
+    await run(
+      `INSERT INTO loan_events (id, session_id, loan_id, kind, event_date, amount_cents, keep, note, created_by)
+       VALUES ($1,$2,$3,'prepayment',$4,$5,$6,$7,$8)`,
+      [eventId, sessionId, loanId, eventDate, cents, keep, note, actorId]
+    );
+    await closeIfRepaid(sessionId, loanId, run);
+    await writeAudit({
+      sessionId, userId: actorId, action: "loan_prepayment", entity: "loans", entityId: loanId,
+      details: { date: eventDate, amount_cents: cents, keep, ...change },
+    }, run);
+  });
+
+  const result = { change, loan: await getLoan(sessionId, loanId) };
+  if (draft !== false) result.voucher = await draftEventVoucher(sessionId, loan, eventId, actorId);
+  return result;
+}
+
+/**
+ * New rate from `effectiveFrom`: instalments due after it are recomputed
+ * (keep: "emi" stretches or shortens the tenure; "tenure" changes the EMI).
+ */
+export async function resetRate(sessionId, loanId, { effectiveFrom, rate, keep = "emi", note = null } = {}, actorId = null) {
+  const loan = await loadLoan(sessionId, loanId);
+  if (loan.status !== "active") throw httpError(409, "Loan is closed");
+  const eventDate = isoOrNull(effectiveFrom, "effectiveFrom");
+  if (!eventDate) throw httpError(400, "effectiveFrom is required");
+  const rateBps = rateToBps(rate);
+  if (!["tenure", "emi"].includes(keep)) throw httpError(400, 'keep must be "tenure" or "emi"');
+
+  let change;
+  await withTx(async (exec) => {
+    const run = exec || query;
+    change = await regenerate(sessionId, loan, { eventDate, rateBps, keep }, run);
+    await run(
+      `INSERT INTO loan_events (id, session_id, loan_id, kind, event_date, rate_bps, keep, note, created_by)
+       VALUES ($1,$2,$3,'rate_reset',$4,$5,$6,$7,$8)`,
+      [randomUUID(), sessionId, loanId, eventDate, rateBps, keep, note, actorId]
+    );
+    await run(`UPDATE loans SET rate_bps = $1, updated_at = datetime('now') WHERE id = $2 AND session_id = $3`, [rateBps, loanId, sessionId]);
+    await writeAudit({
+      sessionId, userId: actorId, action: "loan_rate_reset", entity: "loans", entityId: loanId,
+      details: { effective_from: eventDate, from_bps: loan.rate_bps, to_bps: rateBps, keep, ...change },
+    }, run);
+  });
+  return { change, loan: await getLoan(sessionId, loanId) };
+}
+
+async function closeIfRepaid(sessionId, loanId, run) {
+  const { rows } = await run(
+    `SELECT COUNT(*) AS n FROM loan_installments WHERE loan_id = $1 AND session_id = $2 AND status <> 'posted'`,
+    [loanId, sessionId]
+  );
+  if (Number(rows?.[0]?.n || 0) === 0) {
+    await run(`UPDATE loans SET status = 'closed', updated_at = datetime('now') WHERE id = $1 AND session_id = $2`, [loanId, sessionId]);
+  }
+}
+
+/* ------------------------ report ------------------------ */
+
+/**
+ * Per loan, as of a date:
+ *   schedule_outstanding = principal − principal of instalments due − prepayments
+ *   posted_outstanding   = principal − principal of posted instalments − posted prepayments
+ *   ledger_outstanding   = credit balance of the loan ledger
+ *   difference           = ledger − schedule (non-zero: EMIs not posted, or entries outside the module)
+ */
+export async function loanReport(sessionId, { asOf = null, loanId = null } = {}) {
+  const date = isoOrNull(asOf, "asOf") || today();
+  const loans = loanId ? [await loadLoan(sessionId, loanId)] : await listLoans(sessionId, { includeClosed: true });
+  const out = [];
+  for (const loan of loans) {
+    if (loan.start_date > date) continue;
+    const inst = await installmentsOf(sessionId, loan.id);
+    const { rows: events } = await query(
+      `SELECT kind, event_date, amount_cents, ledger_entry_id FROM loan_events
+        WHERE loan_id = $1 AND session_id = $2 AND kind = 'prepayment' AND event_date <= $3`,
+      [loan.id, sessionId, date]
+    );
+    const due = inst.filter(i => i.due_date <= date);
+    const prepaid = (events || []).reduce((s, e) => s + Number(e.amount_cents || 0), 0);
+    const prepaidPosted = (events || []).filter(e => e.ledger_entry_id).reduce((s, e) => s + Number(e.amount_cents || 0), 0);
+    const scheduleOutstanding = loan.principal_cents - due.reduce((s, i) => s + i.principal_cents, 0) - prepaid;
+    const postedOutstanding = loan.principal_cents
+      - inst.filter(i => i.status === "posted" && i.due_date <= date).reduce((s, i) => s + i.principal_cents, 0) - prepaidPosted;
+    const ledgerOutstanding = -(await balanceAsOf(sessionId, loan.loan_ledger, date));
+    const next = inst.find(i => i.due_date > date);
+    out.push({
+      loanId: loan.id,
+      name: loan.name,
+      loan_ledger: loan.loan_ledger,
+      method: loan.method,
+      rate_bps: loan.rate_bps,
+      status: loan.status,
+      principal_cents: loan.principal_cents,
+      schedule_outstanding_cents: scheduleOutstanding,
+      posted_outstanding_cents: postedOutstanding,
+      ledger_outstanding_cents: ledgerOutstanding,
+      difference_cents: ledgerOutstanding - scheduleOutstanding,
+      overdue: due.filter(i => i.status !== "posted").map(i => ({ seq: i.seq, due_date: i.due_date, emi_cents: i.emi_cents, status: i.status })),
+      interest_paid_cents: inst.filter(i => i.status === "posted").reduce((s, i) => s + i.interest_cents, 0),
+      next_due: next ? { seq: next.seq, due_date: next.due_date, emi_cents: next.emi_cents } : null,
+    });
+  }
+  return { asOf: date, loans: out };
+}
@@ -1,5 +1,6 @@
 ﻿// services/memory.js (SQLite-ready, matches migration with `result` column)
 import { query } from "./db.js";
+import { currentUserId } from "./requestContext.js";
 
 const safeParse = (v) => {
   if (typeof v !== "string") return v;
@@ -10,7 +11,7 @@ const safeParse = (v) => {
 async function store(
   sessionId,
   {
-    userId = "guest",
+    userId = currentUserId() || "guest",
     prompt,
     result,                 // object/string from caller
     type = "unknown",
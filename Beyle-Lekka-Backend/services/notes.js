@@ -0,0 +1,245 @@
+// services/notes.js
+// Credit and debit notes against posted invoices. A note copies the invoice's parties, GSTINs and
+// place of supply (so its GST splits the same way), takes all or some of its lines, and reverses
+// (credit) or adds to (debit) the invoice's ledgers. Drafts go through the preview snapshot with
+// their own CN / DN series; confirmAndSaveEntry links the posted note to the invoice (044).
+import { query } from "./db.js";
+import { reserveSeries } from "./series.js";
+import { runValidation } from "../utils/validation/index.js";
+import { getNoteOriginal } from "../utils/validation/repo.js";
+import { createSnapshot } from "../utils/preview/snapshotStore.js";
+import { isInterStateSupply, computeGSTBreakup, round2 } from "../utils/tax/gstUtil.js";
+import defPolicy from "../utils/validation/policies/default.json" with { type: "json" };
+
+export const NOTE_DOC_TYPES = ["credit_note", "debit_note"];
+
+const ISO = /^\d{4}-\d{2}-\d{2}$/;
+const GST_LEDGERS = { igst: "GST Output (IGST)", cgst: "GST Output (CGST)", sgst: "GST Output (SGST)" };
+const LABEL = { credit_note: "Credit note", debit_note: "Debit note" };
+
+// Invoice fields the note repeats so GSTR-1, the e-invoice and the PDF read it like the original
+const CARRIED_FIELDS = [
+  "buyer", "buyerLegalName", "buyerAddress", "customer", "customerAddress", "billingAddress",
+  "customerGSTIN", "buyerGSTIN", "toGSTIN", "supplierGSTIN", "sellerGSTIN", "fromGSTIN", "sellerName", "sellerAddress",
+  "placeOfSupply", "placeOfSupplyCode", "reverseCharge",
+];
+
+function httpError(status, message, details = null) {
+  const e = new Error(message);
+  e.http = status;
+  if (details) e.details = details;
+  return e;
+}
+
+const today = () => new Date().toISOString().slice(0, 10);
+const units = (c) => Math.round(Number(c || 0)) / 100;
+
+function isoOrNull(v, field) {
+  if (v === undefined || v === null || v === "") return null;
+  if (!ISO.test(String(v))) throw httpError(400, `${field} must be YYYY-MM-DD`);
+  return String(v);
+}
+
+function lineAmount(it) {
+  return it.amount != null ? Number(it.amount) : Number(it.qty || 1) * Number(it.rate || it.price || 0);
+}
+
+/**
+ * Note lines from the invoice's: every line when `picks` is empty, else
+ * [{ line (0-based index), qty?, amount? }] — qty returns part of a line at its invoiced rate,
+ * amount is a value-only adjustment (discount, price difference) on that line.
+ */
+function noteItems(docType, invoiceItems, picks) {
+  if (!invoiceItems.length) throw httpError(409, "The invoice has no item lines to note against");
+  if (!Array.isArray(picks) || !picks.length) return invoiceItems.map(it => ({ ...it }));
+
+  return picks.map((p, i) => {
+    const idx = Number(p?.line);
+    const src = Number.isInteger(idx) ? invoiceItems[idx] : null;
+    if (!src) throw httpError(400, `items[${i}].line must point at an invoice line (0–${invoiceItems.length - 1})`);
+    const srcQty = Number(src.qty || 1);
+    const rate = src.rate != null ? Number(src.rate) : lineAmount(src) / srcQty;
+    const qty = p.qty != null && p.qty !== "" ? Number(p.qty) : srcQty;
+    if (!(qty > 0)) throw httpError(400, `items[${i}].qty must be positive`);
+    if (docType === "credit_note" && qty > srcQty) {
+      throw httpError(400, `items[${i}].qty ${qty} is more than the ${srcQty} invoiced`);
+    }
+    const { amount: _a, cess, ...rest } = src;
+    const line = { ...rest, qty, rate };
+    if (p.amount != null && p.amount !== "") {
+      const amount = round2(p.amount);
+      if (!(amount > 0)) throw httpError(400, `items[${i}].amount must be positive`);
+      line.amount = amount;
+    }
+    if (cess) line.cess = round2(Number(cess) * lineAmount(line) / lineAmount(src));
+    return line;
+  });
+}
+
+/**
+ * Ledgers the invoice was posted to: the party (debited), the sales ledger (largest non-tax
+ * credit) and its GST output ledgers, falling back to the default chart's GST Output ledgers.
+ */
+async function invoiceLedgers(sessionId, invoiceId) {
+  const { rows } = await query(
+    `SELECT debit_account, credit_account, amount_cents
+       FROM ledger_entries
+      WHERE session_id = $1 AND document_id = $2`,
+    [sessionId, invoiceId]
+  );
+  if (!rows?.length) throw httpError(409, "The invoice has no ledger postings to adjust");
+
+  const sums = (key) => {
+    const m = new Map();
+    for (const r of rows) m.set(r[key], (m.get(r[key]) || 0) + Number(r.amount_cents || 0));
+    return [...m.entries()].sort((a, b) => b[1] - a[1]).map(([name]) => name);
+  };
+  const credits = sums("credit_account");
+  const isTax = (n) => /\b(gst|igst|cgst|sgst|utgst|tax|cess)\b/i.test(n);
+  const taxLedgers = credits.filter(isTax);
+  // A single undivided "GST Output" ledger takes every component
+  const undivided = taxLedgers.find(n => !/igst|cgst|sgst|utgst/i.test(n));
+  const pick = (re, fallback) => taxLedgers.find(n => re.test(n)) || undivided || fallback;
+
+  return {
+    party: sums("debit_account")[0],
+    sales: credits.find(n => !isTax(n)) || "Sales",
+    igst: pick(/igst/i, GST_LEDGERS.igst),
+    cgst: pick(/cgst/i, GST_LEDGERS.cgst),
+    sgst: pick(/sgst|utgst/i, GST_LEDGERS.sgst),
+  };
+}
+
+// Credit note: Dr sales + output GST, Cr party. Debit note: the other way round.
+function noteJournal(docType, ledgers, gst, { date, narration }) {
+  const reverse = docType === "credit_note";
+  const leg = (account, amount, onDebit) =>
+    amount > 0 ? [{ account, debit: onDebit ? amount : 0, credit: onDebit ? 0 : amount, date, narration }] : [];
+  return [
+    ...leg(ledgers.sales, gst.taxable, reverse),
+    ...leg(ledgers.igst, gst.igst, reverse),
+    ...leg(ledgers.cgst, gst.cgst, reverse),
+    ...leg(ledgers.sgst, gst.sgst, reverse),
+    ...leg(ledgers.party, gst.gross, !reverse),
+  ];
+}
+
+/**
+ * Draft a credit / debit note as a preview against a posted invoice.
+ * input: { docType: credit_note | debit_note, originalInvoiceId | originalInvoiceNumber, date?,
+ *          reason, items?: [{ line, qty?, amount? }] } (no items: the whole invoice).
+ * Returns { previewId, hash, expiresAt, number, docType, docModel, journal, warnings };
+ * confirm via /confirmAndSaveEntry.
+ */
+export async function draftNote(sessionId, input = {}, userId = null) {
+  const docType = String(input.docType || input.type || "").toLowerCase();
+  if (!NOTE_DOC_TYPES.includes(docType)) throw httpError(400, `docType must be one of ${NOTE_DOC_TYPES.join(", ")}`);
+  const ref = {
+    id: input.originalInvoiceId || null,
+    number: input.originalInvoiceNumber ? String(input.originalInvoiceNumber).trim() : null,
+  };
+  if (!ref.id && !ref.number) throw httpError(400, "originalInvoiceId or originalInvoiceNumber is required");
+  const reason = String(input.reason || "").trim();
+  if (!reason) throw httpError(400, "reason is required");
+
+  const found = await getNoteOriginal(sessionId, ref);
+  const invoice = found?.original;
+  if (!invoice || invoice.doc_type !== "invoice") throw httpError(404, "Original invoice not found in this workspace");
+  if (String(invoice.status || "").toUpperCase() === "CANCELLED") throw httpError(409, `Invoice ${invoice.number} is cancelled`);
+
+  const date = isoOrNull(input.date, "date") || today();
+  if (date < invoice.date) throw httpError(400, `${LABEL[docType]} cannot be dated before invoice ${invoice.number} (${invoice.date})`);
+
+  const idm = invoice.dm || {};
+  const items = noteItems(docType, Array.isArray(idm.items) ? idm.items : [], input.items);
+
+  // Same GSTINs and place of supply as the invoice, so the note splits IGST vs CGST+SGST as it did
+  const inter = isInterStateSupply(idm, !!defPolicy.gst?.assumeIntraIfUnknown);
+  const calc = computeGSTBreakup(items, inter);
+  const gst = {
+    taxable: calc.taxable,
+    igst: inter ? calc.totalTax : 0,
+    cgst: inter ? 0 : calc.cgst,
+    sgst: inter ? 0 : round2(calc.totalTax - calc.cgst),
+    gross: round2(calc.taxable + calc.totalTax),
+  };
+
+  const carried = {};
+  for (const k of CARRIED_FIELDS) if (idm[k] != null && idm[k] !== "") carried[k] = idm[k];
+  const narration = `${LABEL[docType]} against invoice ${invoice.number}: ${reason}`;
+  const docModel = {
+    ...carried,
+    buyer: carried.buyer || carried.customer || invoice.party_name,
+    date,
+    items,
+    igst: gst.igst,
+    cgst: gst.cgst,
+    sgst: gst.sgst,
+    taxes: calc.totalTax,
+    total: gst.gross,
+    totalAmount: gst.gross,
+    reason,
+    narration,
+    originalInvoiceId: invoice.id,
+    originalInvoiceNumber: invoice.number,
+    originalInvoiceDate: invoice.date,
+    originalInvoiceValue: units(found.valueCents),
+  };
+
+  const journal = noteJournal(docType, await invoiceLedgers(sessionId, invoice.id), gst, { date, narration });
+
+  const v = await runValidation({ docType, journal, docModel, mode: "preview", sessionId });
+  const errors = (v?.errors || []).filter(e => e && e.level !== "warn");
+  if (errors.length) {
+    throw httpError(422, `${LABEL[docType]} failed validation: ${errors.map(e => e.message).join("; ")}`, errors);
+  }
+
+  const reservation = await reserveSeries({ docType, dateISO: date, previewId: "tmp", sessionId });
+  const payload = { docType, docModel: { ...docModel, number: reservation.number }, journal };
+  const snap = await createSnapshot({ docType, payload, reservation, sessionId, userId });
+
+  return {
+    previewId: snap.previewId,
+    hash: snap.hash,
+    expiresAt: snap.expiresAt,
+    number: reservation.number,
+    docType,
+    docModel: payload.docModel,
+    journal,
+    warnings: v?.warnings || [],
+  };
+}
+
+/**
+ * Notes posted against an invoice, with how much of the invoice value is still open to
+ * credit / debit notes.
+ */
+export async function notesForInvoice(sessionId, ref = {}) {
+  const found = await getNoteOriginal(sessionId, ref);
+  const invoice = found?.original;
+  if (!invoice || invoice.doc_type !== "invoice") throw httpError(404, "Invoice not found in this workspace");
+  const { rows } = await query(
+    `SELECT id, doc_type, number, date, gross_amount_cents, status, file_url
+       FROM documents
+      WHERE session_id = $1 AND original_document_id = $2
+      ORDER BY date, number`,
+    [sessionId, invoice.id]
+  );
+  return {
+    invoice: {
+      id: invoice.id,
+      number: invoice.number,
+      date: invoice.date,
+      party_name: invoice.party_name,
+      value_cents: found.valueCents,
+      items: (invoice.dm?.items || []).map((it, line) => ({
+        line, name: it.name || it.description || "", qty: Number(it.qty || 1), amount: round2(lineAmount(it)), gstRate: Number(it.gstRate ?? it.gst ?? 0),
+      })),
+    },
+    notes: rows || [],
+    open_cents: {
+      credit_note: Math.max(0, found.valueCents - found.noted.credit_note),
+      debit_note: Math.max(0, found.valueCents - found.noted.debit_note),
+    },
+  };
+}
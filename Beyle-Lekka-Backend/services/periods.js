@@ -0,0 +1,424 @@
+// services/periods.js
+// Period close: locks in closed_periods (enforced on insert by trg_block_closed), the
+// pre-close checklist and the year-end routine that closes income/expense into
+// Reserves & Surplus and carries balance-sheet balances forward (migration 030).
+import { randomUUID, createHash } from "crypto";
+import { query, withTx } from "./db.js";
+import { writeAudit } from "./audit.js";
+import { ensureLedgerExists } from "../utils/coaService.js";
+
+export const RESERVES_LEDGER = "Reserves & Surplus";
+export const YEAR_END_DOC_TYPE = "year_end_close";
+
+const ISO = /^\d{4}-\d{2}-\d{2}$/;
+
+function httpError(status, message, extra = {}) {
+  const e = new Error(message);
+  e.http = status;
+  Object.assign(e, extra);
+  return e;
+}
+
+function iso(y, m, d) {
+  return `${y}-${String(m).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+}
+
+/** FY window for the FY starting in `fy` (policy.financialYear start month/day). */
+export function fyBounds(fy, policy = {}) {
+  const m = Number(policy?.financialYear?.startMonth) || 4;
+  const d = Number(policy?.financialYear?.startDay) || 1;
+  const from = iso(fy, m, d);
+  const end = new Date(Date.UTC(fy + 1, m - 1, d - 1));
+  return { from, to: end.toISOString().slice(0, 10), nextFrom: iso(fy + 1, m, d) };
+}
+
+export function fyLabel(fy) {
+  return `${fy}-${String((fy + 1) % 100).padStart(2, "0")}`;
+}
+
+/* ------------------------ locks ------------------------ */
+
+export async function listClosedPeriods(sessionId, run = query) {
+  const { rows } = await run(
+    `SELECT period_end, kind, closed_by, created_at
+       FROM closed_periods WHERE session_id = $1 ORDER BY period_end DESC`,
+    [sessionId]
+  );
+  return rows || [];
+}
+
+/** Latest locked date (inclusive) or null; everything on or before it is closed. */
+export async function lockedThrough(sessionId, run = query) {
+  const { rows } = await run(
+    `SELECT MAX(period_end) AS period_end FROM closed_periods WHERE session_id = $1`,
+    [sessionId]
+  );
+  return rows?.[0]?.period_end || null;
+}
+
+export async function isDateLocked(sessionId, isoDate, run = query) {
+  if (!sessionId || !isoDate) return false;
+  const { rows } = await run(
+    `SELECT 1 FROM closed_periods WHERE session_id = $1 AND period_end >= $2 LIMIT 1`,
+    [sessionId, String(isoDate).slice(0, 10)]
+  );
+  return !!rows?.length;
+}
+
+/**
+ * Refuse a write dated in a closed period. Ledger inserts are blocked by trg_block_closed; stock
+ * movements and other postings outside ledger_entries call this before inserting.
+ */
+export async function assertDateOpen(sessionId, isoDate, run = query) {
+  if (await isDateLocked(sessionId, isoDate, run)) {
+    throw httpError(409, `Period locked for date ${String(isoDate).slice(0, 10)}; reopen it first`);
+  }
+}
+
+/* ------------------------ checklist ------------------------ */
+
+function previewDate(payloadJson) {
+  try {
+    const p = JSON.parse(payloadJson || "null");
+    const d = p?.docModel?.date || p?.journal?.[0]?.date || null;
+    return d && ISO.test(String(d).slice(0, 10)) ? String(d).slice(0, 10) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Items that should be cleared before closing through `periodEnd`:
+ *   bank_unreconciled → unmatched statement lines dated on or before periodEnd
+ *   pending_previews  → live (ACTIVE, unexpired) previews dated on or before periodEnd
+ *   suspense          → non-zero balances on suspense ledgers as of periodEnd
+ */
+export async function periodChecklist(sessionId, periodEnd, run = query) {
+  const bank = await run(
+    `SELECT l.id, l.bank_account_id, l.value_date, l.narration, l.amount_cents
+       FROM bank_statement_lines l
+      WHERE l.session_id = $1 AND l.status = 'unmatched' AND l.value_date <= $2
+      ORDER BY l.value_date, l.id`,
+    [sessionId, periodEnd]
+  );
+  const bankRows = bank.rows || [];
+
+  const snaps = await run(
+    `SELECT preview_id, doc_type, reserved_number, payload_json, expires_at
+       FROM preview_snapshots
+      WHERE session_id = $1 AND status = 'ACTIVE' AND expires_at > datetime('now')`,
+    [sessionId]
+  );
+  const previews = (snaps.rows || [])
+    .map(r => ({ preview_id: r.preview_id, doc_type: r.doc_type, number: r.reserved_number, date: previewDate(r.payload_json), expires_at: r.expires_at }))
+    .filter(p => !p.date || p.date <= periodEnd);
+
+  const susp = await run(
+    `WITH moves AS (
+       SELECT debit_account AS account, amount_cents AS amt FROM ledger_entries
+        WHERE session_id = $1 AND substr(transaction_date,1,10) <= $2
+       UNION ALL
+       SELECT credit_account AS account, -amount_cents AS amt FROM ledger_entries
+        WHERE session_id = $1 AND substr(transaction_date,1,10) <= $2
+     )
+     SELECT account, SUM(amt) AS balance_cents
+       FROM moves
+      WHERE LOWER(account) LIKE '%suspense%'
+      GROUP BY account
+     HAVING SUM(amt) <> 0
+      ORDER BY account`,
+    [sessionId, periodEnd]
+  );
+  const suspense = (susp.rows || []).map(r => ({ account: r.account, balance_cents: Number(r.balance_cents) }));
+
+  const items = [
+    { key: "bank_unreconciled", ok: bankRows.length === 0, count: bankRows.length, rows: bankRows.slice(0, 50) },
+    { key: "pending_previews",  ok: previews.length === 0, count: previews.length, rows: previews.slice(0, 50) },
+    { key: "suspense",          ok: suspense.length === 0, count: suspense.length, rows: suspense },
+  ];
+  return { periodEnd, ready: items.every(i => i.ok), items };
+}
+
+/* ------------------------ close / reopen ------------------------ */
+
+/**
+ * Lock everything on or before `periodEnd`. Refuses (409, err.checklist) while the checklist
+ * has open items unless `force` is set; the checklist outcome is kept in the audit row.
+ */
+export async function closePeriod(sessionId, { periodEnd, force = false, userId = null }) {
+  if (!ISO.test(String(periodEnd || ""))) throw httpError(400, "periodEnd must be YYYY-MM-DD");
+  const current = await lockedThrough(sessionId);
+  if (current && current >= periodEnd) throw httpError(409, `Period already closed through ${current}`);
+
+  const checklist = await periodChecklist(sessionId, periodEnd);
+  if (!checklist.ready && !force) {
+    throw httpError(409, "Period close checklist has open items", { checklist });
+  }
+
+  await withTx(async (exec) => {
+    const run = exec || query;
+    await run(
+      `INSERT INTO closed_periods (session_id, period_end, closed_by, kind) VALUES ($1,$2,$3,'period')`,
+      [sessionId, periodEnd, userId]
+    );
+    await writeAudit({
+      sessionId, userId, action: "close_period", entity: "closed_periods", entityId: periodEnd,
+      details: {
+        period_end: periodEnd, previous_lock: current, forced: !checklist.ready,
+        checklist: Object.fromEntries(checklist.items.map(i => [i.key, i.count])),
+      },
+    }, run);
+  });
+
+  return { periodEnd, previousLock: current, checklist };
+}
+
+/**
+ * Remove locks on or after `periodEnd`; the workspace stays locked through the latest
+ * remaining period_end (if any). A reason is mandatory and recorded in audit_log.
+ * Year-end closes dated in the reopened range are reversed (see reverseYearEnd) so the
+ * year-end routine can run again once the year is corrected.
+ */
+export async function reopenPeriod(sessionId, { periodEnd, reason, userId = null }) {
+  if (!ISO.test(String(periodEnd || ""))) throw httpError(400, "periodEnd must be YYYY-MM-DD");
+  const why = String(reason || "").trim();
+  if (!why) throw httpError(400, "reason is required to reopen a period");
+
+  return withTx(async (exec) => {
+    const run = exec || query;
+    const { rows } = await run(
+      `SELECT period_end, kind FROM closed_periods WHERE session_id = $1 AND period_end >= $2 ORDER BY period_end`,
+      [sessionId, periodEnd]
+    );
+    if (!rows?.length) throw httpError(404, `No closed period on or after ${periodEnd}`);
+
+    await run(`DELETE FROM closed_periods WHERE session_id = $1 AND period_end >= $2`, [sessionId, periodEnd]);
+    const now = await lockedThrough(sessionId, run);
+
+    // Every lock left ends before periodEnd, so these dates are open for the reversal.
+    const ye = await run(
+      `SELECT id, number, date FROM documents
+        WHERE session_id = $1 AND doc_type = $2 AND status <> 'REVERSED' AND date >= $3
+        ORDER BY date`,
+      [sessionId, YEAR_END_DOC_TYPE, periodEnd]
+    );
+    const reversed = [];
+    for (const doc of ye.rows || []) reversed.push(await reverseYearEnd(sessionId, doc, run));
+
+    await writeAudit({
+      sessionId, userId, action: "reopen_period", entity: "closed_periods", entityId: periodEnd,
+      details: {
+        reason: why, reopened: rows.map(r => ({ period_end: r.period_end, kind: r.kind })), locked_through: now,
+        year_end_reversed: reversed.map(r => r.number),
+      },
+    }, run);
+
+    return { reopened: rows.map(r => r.period_end), lockedThrough: now, yearEndReversed: reversed };
+  });
+}
+
+/* ------------------------ year-end ------------------------ */
+
+/**
+ * Reverse a year-end close (inside the reopen transaction): contra pairs for its closing
+ * entries with reverses_id set, under the same document so the P&L keeps ignoring them;
+ * the document is marked REVERSED and the opening balances it carried forward are dropped.
+ */
+async function reverseYearEnd(sessionId, doc, run) {
+  const { rows } = await run(
+    `SELECT id, debit_account, credit_account, amount_cents, transaction_date
+       FROM ledger_entries
+      WHERE session_id = $1 AND document_id = $2 AND reverses_id IS NULL
+        AND NOT EXISTS (SELECT 1 FROM ledger_entries r WHERE r.session_id = $1 AND r.reverses_id = ledger_entries.id)
+      ORDER BY id`,
+    [sessionId, doc.id]
+  );
+  for (const e of rows || []) {
+    const p = { debit_account: e.credit_account, credit_account: e.debit_account, amount_cents: Number(e.amount_cents) };
+    await run(
+      `INSERT INTO ledger_entries (id, session_id, debit_account, credit_account, amount_cents, narration,
+                                   transaction_date, document_id, uniq_hash, reverses_id)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)`,
+      [randomUUID(), sessionId, p.debit_account, p.credit_account, p.amount_cents,
+       `Reversal of year-end close ${doc.number}`, e.transaction_date, doc.id,
+       closingHash(sessionId, `${doc.number}:reverses:${e.id}`, p), e.id]
+    );
+  }
+  await run(`UPDATE documents SET status = 'REVERSED' WHERE id = $1 AND session_id = $2`, [doc.id, sessionId]);
+  await run(`DELETE FROM opening_balances WHERE session_id = $1 AND source_document_id = $2`, [sessionId, doc.id]);
+  return { documentId: doc.id, number: doc.number, entries: (rows || []).length };
+}
+
+// Tenant CoA row first, GLOBAL fallback (same precedence as the reports)
+async function accountTypes(sessionId, accounts, run) {
+  const out = new Map();
+  if (!accounts.length) return out;
+  const ph = accounts.map((_, i) => `$${i + 2}`).join(",");
+  const { rows } = await run(
+    `SELECT name, account_code, LOWER(COALESCE(type,'')) AS type, session_id
+       FROM chart_of_accounts
+      WHERE (session_id = $1 OR session_id = 'GLOBAL')
+        AND (name IN (${ph}) OR account_code IN (${ph}))`,
+    [sessionId, ...accounts]
+  );
+  const wanted = new Set(accounts);
+  for (const r of (rows || []).sort((a, b) => (a.session_id === "GLOBAL") - (b.session_id === "GLOBAL"))) {
+    for (const k of [r.name, r.account_code]) {
+      if (k && wanted.has(k) && !out.has(k)) out.set(k, r.type);
+    }
+  }
+  return out;
+}
+
+// Net debit-positive cents per account; optional lower bound on the date
+async function balances(sessionId, { from = null, to }, run) {
+  const { rows } = await run(
+    `WITH le AS (
+       SELECT debit_account, credit_account, amount_cents
+         FROM ledger_entries
+        WHERE session_id = $1
+          AND ($2 IS NULL OR substr(transaction_date,1,10) >= $2)
+          AND substr(transaction_date,1,10) <= $3
+     ), moves AS (
+       SELECT debit_account AS account, amount_cents AS amt FROM le
+       UNION ALL
+       SELECT credit_account AS account, -amount_cents AS amt FROM le
+     )
+     SELECT account, SUM(amt) AS net_cents FROM moves GROUP BY account HAVING SUM(amt) <> 0 ORDER BY account`,
+    [sessionId, from, to]
+  );
+  return (rows || []).map(r => ({ account: r.account, net_cents: Number(r.net_cents) }));
+}
+
+/**
+ * Income/expense for the FY to close, as closing pairs against Reserves & Surplus.
+ * Expense (debit) balances are credited out and income (credit) balances debited out.
+ */
+export async function yearEndPreview(sessionId, { fy, policy }, run = query) {
+  const { from, to, nextFrom } = fyBounds(fy, policy);
+  const bal = await balances(sessionId, { from, to }, run);
+  const types = await accountTypes(sessionId, bal.map(b => b.account), run);
+
+  const pairs = [];
+  let profit = 0;
+  for (const b of bal) {
+    const type = types.get(b.account);
+    if (type !== "income" && type !== "expense") continue;
+    profit -= b.net_cents;
+    pairs.push(b.net_cents > 0
+      ? { debit_account: RESERVES_LEDGER, credit_account: b.account, amount_cents: b.net_cents, type }
+      : { debit_account: b.account, credit_account: RESERVES_LEDGER, amount_cents: -b.net_cents, type });
+  }
+  return { fy, label: fyLabel(fy), from, to, nextFrom, pairs, profit_cents: profit };
+}
+
+function closingHash(sessionId, docNumber, p) {
+  return createHash("sha256")
+    .update([sessionId, docNumber, p.debit_account, p.credit_account, p.amount_cents].join("|"))
+    .digest("hex");
+}
+
+/**
+ * Year-end close for FY `fy`:
+ *   1) post closing pairs (income/expense → Reserves & Surplus) dated the last day of the FY,
+ *      under a `year_end_close` document (excluded from the P&L so the year still reports)
+ *   2) snapshot balance-sheet balances as the next FY's opening_balances
+ *   3) lock the FY (unless lock === false)
+ * Runs once per FY. Reopening the FY reverses the close; a rerun then posts under
+ * YE-<fy>/2, YE-<fy>/3… since document numbers are never reused.
+ */
+export async function runYearEnd(sessionId, { fy, policy, userId = null, lock = true, force = false }) {
+  if (!Number.isInteger(fy) || fy < 1900) throw httpError(400, "fy must be the FY start year (e.g. 2025)");
+  const { from, to, nextFrom } = fyBounds(fy, policy);
+  const base = `YE-${fyLabel(fy)}`;
+
+  const current = await lockedThrough(sessionId);
+  if (current && current >= to) throw httpError(409, `Period already closed through ${current}; reopen it first`);
+
+  const prior = await query(
+    `SELECT id, status FROM documents
+      WHERE session_id = $1 AND doc_type = $2 AND (number = $3 OR number LIKE $4)`,
+    [sessionId, YEAR_END_DOC_TYPE, base, `${base}/%`]
+  );
+  const live = (prior.rows || []).find(d => d.status !== "REVERSED");
+  if (live) throw httpError(409, `Year-end for FY ${fyLabel(fy)} already posted`, { documentId: live.id });
+  const number = prior.rows?.length ? `${base}/${prior.rows.length + 1}` : base;
+
+  if (lock) {
+    const checklist = await periodChecklist(sessionId, to);
+    if (!checklist.ready && !force) throw httpError(409, "Period close checklist has open items", { checklist });
+  }
+
+  await ensureLedgerExists(RESERVES_LEDGER, sessionId);
+
+  return withTx(async (exec) => {
+    const run = exec || query;
+    const plan = await yearEndPreview(sessionId, { fy, policy }, run);
+
+    const documentId = randomUUID();
+    await run(
+      `INSERT INTO documents (id, doc_type, number, date, party_name, gross_amount_cents, status, created_by, session_id)
+       VALUES ($1,$2,$3,$4,NULL,$5,'FINALIZED',$6,$7)`,
+      [documentId, YEAR_END_DOC_TYPE, number, to, plan.profit_cents, userId, sessionId]
+    );
+
+    const entryIds = [];
+    for (const p of plan.pairs) {
+      const id = randomUUID();
+      await run(
+        `INSERT INTO ledger_entries (id, session_id, debit_account, credit_account, amount_cents, narration,
+                                     transaction_date, document_id, uniq_hash)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)`,
+        [id, sessionId, p.debit_account, p.credit_account, p.amount_cents,
+         `Year-end close FY ${plan.label}: ${p.type === "income" ? p.debit_account : p.credit_account}`,
+         to, documentId, closingHash(sessionId, number, p)]
+      );
+      entryIds.push(id);
+    }
+
+    // Carry forward: balance-sheet accounts only (income/expense are now zero)
+    const closing = await balances(sessionId, { to }, run);
+    const types = await accountTypes(sessionId, closing.map(b => b.account), run);
+    const carried = closing.filter(b => !["income", "expense"].includes(types.get(b.account)));
+    await run(`DELETE FROM opening_balances WHERE session_id = $1 AND fy = $2`, [sessionId, fy + 1]);
+    for (const b of carried) {
+      await run(
+        `INSERT INTO opening_balances (session_id, fy, as_of, account, balance_cents, source_document_id)
+         VALUES ($1,$2,$3,$4,$5,$6)`,
+        [sessionId, fy + 1, nextFrom, b.account, b.net_cents, documentId]
+      );
+    }
+
+    if (lock) {
+      await run(
+        `INSERT INTO closed_periods (session_id, period_end, closed_by, kind) VALUES ($1,$2,$3,'year_end')`,
+        [sessionId, to, userId]
+      );
+    }
+
+    await writeAudit({
+      sessionId, userId, action: "year_end_close", entity: "documents", entityId: documentId,
+      details: {
+        fy: plan.label, from, to, profit_cents: plan.profit_cents, entries: entryIds.length,
+        carried_forward: carried.length, locked: !!lock, previous_lock: current,
+      },
+    }, run);
+
+    return {
+      documentId, number, from, to, nextFrom,
+      profit_cents: plan.profit_cents,
+      entries: plan.pairs.map((p, i) => ({ id: entryIds[i], ...p })),
+      openingBalances: carried,
+      locked: !!lock,
+    };
+  });
+}
+
+export async function listOpeningBalances(sessionId, fy, run = query) {
+  const { rows } = await run(
+    `SELECT account, as_of, balance_cents, source_document_id
+       FROM opening_balances WHERE session_id = $1 AND fy = $2 ORDER BY account`,
+    [sessionId, fy]
+  );
+  return rows || [];
+}
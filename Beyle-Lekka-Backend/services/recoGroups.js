@@ -0,0 +1,253 @@
+// services/recoGroups.js
+// Bank reconciliation match groups (migration 033): N statement lines ↔ M ledger entries,
+// group suggestions (subset-sum within the date window), unmatch and exclude.
+import { randomUUID } from "crypto";
+import { query, withTx } from "./db.js";
+import { writeAudit } from "./audit.js";
+import { bankLedgerOf } from "./bankRules.js";
+import { signedLedgerCents, rankGroupCandidates } from "../utils/reco/matcher.js";
+
+function httpError(status, message) {
+  const e = new Error(message);
+  e.http = status;
+  return e;
+}
+
+const uniq = (xs) => [...new Set((xs || []).filter(Boolean).map(String))];
+const placeholders = (xs, from = 2) => xs.map((_, i) => `$${i + from}`).join(",");
+
+/** Ledger entries already reconciled: in a group, or on a line matched before groups existed. */
+async function takenLedgerIds(sessionId, ids, run) {
+  if (!ids.length) return new Set();
+  const ph = placeholders(ids);
+  const { rows } = await run(
+    `SELECT ref_id AS id FROM reco_match_items
+      WHERE session_id = $1 AND kind = 'ledger' AND ref_id IN (${ph})
+     UNION
+     SELECT matched_ledger_id AS id FROM bank_statement_lines
+      WHERE session_id = $1 AND status = 'matched' AND matched_ledger_id IN (${ph})`,
+    [sessionId, ...ids]
+  );
+  return new Set((rows || []).map(r => r.id));
+}
+
+/**
+ * Create a match group without opening a transaction (callers already inside one pass `run`).
+ * All lines must be unmatched and on one bank account; the signed bank total must equal the
+ * ledger total. Ledger entries that don't touch the account's bank ledger count with the sign
+ * of the bank total.
+ */
+export async function insertMatchGroup(sessionId, { bankLineIds, ledgerEntryIds, note = null, actorId = null }, run = query) {
+  const bIds = uniq(bankLineIds);
+  const lIds = uniq(ledgerEntryIds);
+  if (!bIds.length || !lIds.length) throw httpError(400, "bankLineIds and ledgerEntryIds are required");
+
+  const { rows: lines } = await run(
+    `SELECT id, bank_account_id, amount_cents, status FROM bank_statement_lines
+      WHERE session_id = $1 AND id IN (${placeholders(bIds)})`,
+    [sessionId, ...bIds]
+  );
+  if ((lines || []).length !== bIds.length) throw httpError(404, "Bank statement line not found in this workspace");
+  const accounts = uniq(lines.map(l => l.bank_account_id));
+  if (accounts.length !== 1) throw httpError(400, "All bank lines must belong to one bank account");
+  const notOpen = lines.filter(l => l.status && l.status !== "unmatched");
+  if (notOpen.length) throw httpError(409, `Bank line ${notOpen[0].id} is already ${notOpen[0].status}`);
+
+  const { rows: entries } = await run(
+    `SELECT id, debit_account, credit_account, amount_cents FROM ledger_entries
+      WHERE session_id = $1 AND id IN (${placeholders(lIds)})`,
+    [sessionId, ...lIds]
+  );
+  if ((entries || []).length !== lIds.length) throw httpError(404, "Ledger entry not found in this workspace");
+  const taken = await takenLedgerIds(sessionId, lIds, run);
+  if (taken.size) throw httpError(409, `Ledger entry ${[...taken][0]} is already matched`);
+
+  const bankAccountId = accounts[0];
+  const bankLedger = await bankLedgerOf(sessionId, bankAccountId, run);
+  const bankTotal = lines.reduce((s, l) => s + Number(l.amount_cents || 0), 0);
+  const sign = Math.sign(bankTotal) || 1;
+  const signed = entries.map(e => ({
+    id: e.id,
+    cents: signedLedgerCents(e, bankLedger) ?? sign * Math.abs(Number(e.amount_cents || 0)),
+  }));
+  const ledgerTotal = signed.reduce((s, e) => s + e.cents, 0);
+  if (ledgerTotal !== bankTotal) {
+    const e = httpError(422, `Totals differ: bank ${bankTotal / 100}, ledger ${ledgerTotal / 100}`);
+    e.difference = (bankTotal - ledgerTotal) / 100;
+    throw e;
+  }
+
+  const groupId = randomUUID();
+  await run(
+    `INSERT INTO reco_match_groups (id, session_id, bank_account_id, bank_total_cents, ledger_total_cents, note, created_by)
+     VALUES ($1,$2,$3,$4,$5,$6,$7)`,
+    [groupId, sessionId, bankAccountId, bankTotal, ledgerTotal, note, actorId]
+  );
+  for (const l of lines) {
+    await run(
+      `INSERT INTO reco_match_items (group_id, session_id, kind, ref_id, amount_cents) VALUES ($1,$2,'bank',$3,$4)`,
+      [groupId, sessionId, l.id, Number(l.amount_cents)]
+    );
+  }
+  for (const e of signed) {
+    await run(
+      `INSERT INTO reco_match_items (group_id, session_id, kind, ref_id, amount_cents) VALUES ($1,$2,'ledger',$3,$4)`,
+      [groupId, sessionId, e.id, e.cents]
+    );
+  }
+  await run(
+    `UPDATE bank_statement_lines
+        SET status = 'matched', matched_ledger_id = $1, match_group_id = $2, excluded_reason = NULL
+      WHERE session_id = $3 AND id IN (${placeholders(bIds, 4)})`,
+    [lIds[0], groupId, sessionId, ...bIds]
+  );
+  await writeAudit({
+    sessionId, userId: actorId, action: "reco_match", entity: "reco_match_groups", entityId: groupId,
+    details: { bank_account_id: bankAccountId, bank_line_ids: bIds, ledger_entry_ids: lIds, total_cents: bankTotal },
+  }, run);
+
+  return { groupId, bankAccountId, bankLineIds: bIds, ledgerEntryIds: lIds, totalCents: bankTotal };
+}
+
+export async function createMatchGroup(sessionId, input) {
+  return withTx(async (exec) => insertMatchGroup(sessionId, input, exec || query));
+}
+
+/**
+ * Undo a match: the whole group goes back to unmatched (give groupId, or any bankLineId in it).
+ * Excluded lines are re-opened the same way.
+ */
+export async function unmatch(sessionId, { groupId = null, bankLineId = null, actorId = null }) {
+  if (!groupId && !bankLineId) throw httpError(400, "groupId or bankLineId is required");
+  return withTx(async (exec) => {
+    const run = exec || query;
+    let gid = groupId;
+    let lineIds = [];
+    if (!gid) {
+      const { rows } = await run(
+        `SELECT id, status, match_group_id FROM bank_statement_lines WHERE id = $1 AND session_id = $2`,
+        [bankLineId, sessionId]
+      );
+      const line = rows?.[0];
+      if (!line) throw httpError(404, "Bank statement line not found in this workspace");
+      if (!line.status || line.status === "unmatched") throw httpError(409, "Bank line is not matched or excluded");
+      gid = line.match_group_id || null;
+      if (!gid) lineIds = [line.id]; // matched 1:1 before groups, or excluded
+    }
+    if (gid) {
+      const { rows } = await run(
+        `SELECT ref_id FROM reco_match_items WHERE group_id = $1 AND session_id = $2 AND kind = 'bank'`,
+        [gid, sessionId]
+      );
+      if (!rows?.length) throw httpError(404, "Match group not found");
+      lineIds = rows.map(r => r.ref_id);
+    }
+
+    await run(
+      `UPDATE bank_statement_lines
+          SET status = 'unmatched', matched_ledger_id = NULL, match_group_id = NULL, rule_id = NULL, excluded_reason = NULL
+        WHERE session_id = $1 AND id IN (${placeholders(lineIds)})`,
+      [sessionId, ...lineIds]
+    );
+    if (gid) {
+      await run(`DELETE FROM reco_match_items WHERE group_id = $1 AND session_id = $2`, [gid, sessionId]);
+      await run(`DELETE FROM reco_match_groups WHERE id = $1 AND session_id = $2`, [gid, sessionId]);
+    }
+    await writeAudit({
+      sessionId, userId: actorId, action: "reco_unmatch", entity: "bank_statement_lines", entityId: gid || lineIds[0],
+      details: { group_id: gid, bank_line_ids: lineIds },
+    }, run);
+    return { groupId: gid, bankLineIds: lineIds, status: "unmatched" };
+  });
+}
+
+/** Exclude lines from reconciliation (bank charges already booked elsewhere, reversed entries…). */
+export async function excludeLines(sessionId, { bankLineIds, reason, actorId = null }) {
+  const ids = uniq(bankLineIds);
+  const why = String(reason || "").trim();
+  if (!ids.length) throw httpError(400, "bankLineIds is required");
+  if (!why) throw httpError(400, "reason is required");
+  return withTx(async (exec) => {
+    const run = exec || query;
+    const { rows } = await run(
+      `SELECT id, status FROM bank_statement_lines WHERE session_id = $1 AND id IN (${placeholders(ids)})`,
+      [sessionId, ...ids]
+    );
+    if ((rows || []).length !== ids.length) throw httpError(404, "Bank statement line not found in this workspace");
+    const busy = rows.filter(r => r.status && r.status !== "unmatched");
+    if (busy.length) throw httpError(409, `Bank line ${busy[0].id} is already ${busy[0].status}`);
+
+    await run(
+      `UPDATE bank_statement_lines SET status = 'excluded', excluded_reason = $2
+        WHERE session_id = $1 AND id IN (${placeholders(ids, 3)})`,
+      [sessionId, why, ...ids]
+    );
+    await writeAudit({
+      sessionId, userId: actorId, action: "reco_exclude", entity: "bank_statement_lines", entityId: ids[0],
+      details: { bank_line_ids: ids, reason: why },
+    }, run);
+    return { bankLineIds: ids, status: "excluded" };
+  });
+}
+
+export async function listGroups(sessionId, { bankAccountId = null } = {}) {
+  const { rows: groups } = await query(
+    `SELECT id, bank_account_id, bank_total_cents, ledger_total_cents, note, created_by, created_at
+       FROM reco_match_groups
+      WHERE session_id = $1 AND ($2 IS NULL OR bank_account_id = $2)
+      ORDER BY created_at DESC`,
+    [sessionId, bankAccountId]
+  );
+  const { rows: items } = await query(
+    `SELECT i.group_id, i.kind, i.ref_id, i.amount_cents,
+            COALESCE(b.value_date, le.transaction_date) AS date,
+            COALESCE(b.narration, le.narration) AS narration
+       FROM reco_match_items i
+       LEFT JOIN bank_statement_lines b ON i.kind = 'bank' AND b.id = i.ref_id
+       LEFT JOIN ledger_entries le ON i.kind = 'ledger' AND le.id = i.ref_id
+       JOIN reco_match_groups g ON g.id = i.group_id
+      WHERE i.session_id = $1 AND ($2 IS NULL OR g.bank_account_id = $2)`,
+    [sessionId, bankAccountId]
+  );
+  const byGroup = new Map();
+  for (const it of items || []) {
+    if (!byGroup.has(it.group_id)) byGroup.set(it.group_id, { bank: [], ledger: [] });
+    byGroup.get(it.group_id)[it.kind].push(it);
+  }
+  return (groups || []).map(g => ({ ...g, ...(byGroup.get(g.id) || { bank: [], ledger: [] }) }));
+}
+
+/** Many-to-one / one-to-many proposals for one bank account's unmatched lines. */
+export async function groupSuggestions(sessionId, { bankAccountId, dateFrom = null, dateTo = null, windowDays = 5, maxItems = 4 }) {
+  if (!bankAccountId) throw httpError(400, "bankAccountId is required");
+  const bankLedger = await bankLedgerOf(sessionId, bankAccountId);
+
+  const { rows: lines } = await query(
+    `SELECT id, value_date, narration, amount_cents
+       FROM bank_statement_lines
+      WHERE session_id = $1 AND bank_account_id = $2
+        AND (status IS NULL OR status = 'unmatched')
+        AND value_date BETWEEN COALESCE($3,'1900-01-01') AND COALESCE($4,'2999-12-31')
+      ORDER BY value_date, id`,
+    [sessionId, bankAccountId, dateFrom, dateTo]
+  );
+  if (!lines?.length) return { bankLedger, groups: [] };
+
+  // ledger window: the lines' range widened by windowDays, excluding entries already matched
+  const shift = (d, n) => new Date(Date.parse(d) + n * 86400000).toISOString().slice(0, 10);
+  const from = shift(lines[0].value_date, -windowDays);
+  const to = shift(lines[lines.length - 1].value_date, windowDays);
+  const { rows: entries } = await query(
+    `SELECT le.id, le.transaction_date, le.narration, le.debit_account, le.credit_account, le.amount_cents
+       FROM ledger_entries le
+      WHERE le.session_id = $1 AND le.transaction_date BETWEEN $2 AND $3
+        AND NOT EXISTS (SELECT 1 FROM reco_match_items i
+                         WHERE i.session_id = le.session_id AND i.kind = 'ledger' AND i.ref_id = le.id)
+        AND NOT EXISTS (SELECT 1 FROM bank_statement_lines b
+                         WHERE b.session_id = le.session_id AND b.status = 'matched' AND b.matched_ledger_id = le.id)`,
+    [sessionId, from, to]
+  );
+
+  const groups = rankGroupCandidates(lines, entries || [], { bankLedger, windowDays, maxItems });
+  return { bankLedger, groups };
+}
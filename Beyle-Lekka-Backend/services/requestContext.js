@@ -0,0 +1,14 @@
+// services/requestContext.js
+// Per-request context (authenticated user) for code that is not handed `req`,
+// e.g. audit and memory writers. Populated by middleware/auth.js.
+import { AsyncLocalStorage } from "async_hooks";
+
+const store = new AsyncLocalStorage();
+
+export function runWithContext(ctx, fn) {
+  return store.run(ctx, fn);
+}
+
+export function currentUserId() {
+  return store.getStore()?.user?.id || null;
+}
@@ -0,0 +1,585 @@
+// services/salesOrders.js
+// Quotations and sales orders (migration 045). Both are non-posting documents with their own
+// series (QTN / SO): a quotation converts into an order, and an order is invoiced in one or more
+// goes. Each invoice is drafted through the preview snapshot (so its number is reserved as for
+// any invoice) and counts against the order's lines once confirmAndSaveEntry posts it.
+import { randomUUID } from "crypto";
+import { query, withTx } from "./db.js";
+import { writeAudit } from "./audit.js";
+import { reserveSeries, finalizeReservation, cancelReservation } from "./series.js";
+import { findItemForLine } from "./inventory.js";
+import { PARTY_PARENTS } from "./settlements.js";
+import { getBranding } from "./workspaceSettings.js";
+import { ensureLedgerExists } from "../utils/coaService.js";
+import { runValidation } from "../utils/validation/index.js";
+import { createSnapshot } from "../utils/preview/snapshotStore.js";
+import { isValidGSTIN, isInterStateSupply, computeGSTBreakup, round2 } from "../utils/tax/gstUtil.js";
+import defPolicy from "../utils/validation/policies/default.json" with { type: "json" };
+
+export const SALES_DOC_TYPES = ["quotation", "sales_order"];
+
+const ISO = /^\d{4}-\d{2}-\d{2}$/;
+const STATUSES = ["open", "converted", "partial", "fulfilled", "cancelled"];
+const LABEL = { quotation: "Quotation", sales_order: "Sales order" };
+const SALES_LEDGER = "Sales";
+const GST_LEDGERS = { igst: "GST Output (IGST)", cgst: "GST Output (CGST)", sgst: "GST Output (SGST)" };
+// Party fields an order carries over from its quotation and on to its invoices
+const PARTY_FIELDS = ["buyer", "buyerAddress", "customerGSTIN", "placeOfSupply", "supplierGSTIN", "customerPO"];
+
+function httpError(status, message, details = null) {
+  const e = new Error(message);
+  e.http = status;
+  if (details) e.details = details;
+  return e;
+}
+
+const today = () => new Date().toISOString().slice(0, 10);
+const blank = (v) => v === undefined || v === null || String(v).trim() === "";
+const qty3 = (n) => Math.round(Number(n || 0) * 1000) / 1000;
+const parse = (s, fallback) => { try { return JSON.parse(s); } catch { return fallback; } };
+const changed = (r) => (r?.changes ?? r?.rowCount ?? 0) > 0;
+
+function isoOrNull(v, field) {
+  if (blank(v)) return null;
+  if (!ISO.test(String(v))) throw httpError(400, `${field} must be YYYY-MM-DD`);
+  return String(v);
+}
+
+/* ------------------------ lines and pricing ------------------------ */
+
+/**
+ * Document lines from input [{ itemId | code | name, qty, rate, gstRate?, hsn?, uom? }]. Lines that
+ * match the item master take its code, HSN, unit and GST rate unless given; others are free text.
+ */
+async function resolveLines(sessionId, lines) {
+  if (!Array.isArray(lines) || !lines.length) throw httpError(400, "items are required");
+  const out = [];
+  for (const [i, line] of lines.entries()) {
+    const qty = Number(line?.qty);
+    if (!(qty > 0)) throw httpError(400, `items[${i}].qty must be positive`);
+    const rateIn = line.rate ?? line.price;
+    const rate = Number(rateIn);
+    if (blank(rateIn) || !(rate >= 0)) throw httpError(400, `items[${i}].rate is required`);
+
+    const itemId = line.itemId || line.item_id;
+    const item = itemId
+      ? (await query(`SELECT * FROM items WHERE id = $1 AND session_id = $2`, [itemId, sessionId])).rows?.[0]
+      : await findItemForLine(sessionId, line);
+    if (itemId && !item) throw httpError(404, `items[${i}]: item not found`);
+
+    const name = String(line.name || line.description || item?.name || "").trim();
+    if (!name) throw httpError(400, `items[${i}].name is required`);
+    const gstIn = line.gstRate ?? line.gst;
+    const gstRate = blank(gstIn) ? Number(item?.gst_rate || 0) : Number(gstIn);
+    if (!(gstRate >= 0)) throw httpError(400, `items[${i}].gstRate must be a non-negative number`);
+    const code = item?.code;
+    const hsn = line.hsn || item?.hsn;
+    const uom = line.uom || item?.uom;
+
+    out.push({
+      ...(item ? { itemId: item.id } : {}),
+      ...(code ? { code } : {}),
+      name,
+      ...(hsn ? { hsn: String(hsn) } : {}),
+      ...(uom ? { uom } : {}),
+      qty,
+      rate: round2(rate),
+      amount: round2(qty * rate),
+      gstRate,
+    });
+  }
+  return out;
+}
+
+async function partyOf(sessionId, input) {
+  const buyer = String(input.buyer || input.customer || input.party || "").trim();
+  if (!buyer) throw httpError(400, "buyer is required");
+  const customerGSTIN = String(input.customerGSTIN || input.buyerGSTIN || "").trim().toUpperCase();
+  if (customerGSTIN && !isValidGSTIN(customerGSTIN)) throw httpError(400, `customerGSTIN ${customerGSTIN} is not a valid GSTIN`);
+  const placeOfSupply = blank(input.placeOfSupply) ? null : String(input.placeOfSupply).trim();
+  if (placeOfSupply && !/^\d{2}$/.test(placeOfSupply)) throw httpError(400, "placeOfSupply must be a two-digit state code");
+  const { gstin } = await getBranding(sessionId);
+
+  const party = {
+    buyer,
+    buyerAddress: blank(input.buyerAddress) ? null : String(input.buyerAddress).trim(),
+    customerGSTIN: customerGSTIN || null,
+    placeOfSupply,
+    supplierGSTIN: isValidGSTIN(gstin) ? gstin.toUpperCase() : null,
+    customerPO: blank(input.customerPO) ? null : String(input.customerPO).trim(),
+  };
+  return Object.fromEntries(Object.entries(party).filter(([, v]) => v != null));
+}
+
+// Taxes split the way gstCore checks them on the invoice
+function priced(items, party) {
+  const inter = isInterStateSupply(party, !!defPolicy.gst?.assumeIntraIfUnknown);
+  const calc = computeGSTBreakup(items, inter);
+  const total = round2(calc.taxable + calc.totalTax);
+  return {
+    taxable: calc.taxable,
+    igst: inter ? calc.totalTax : 0,
+    cgst: inter ? 0 : calc.cgst,
+    sgst: inter ? 0 : round2(calc.totalTax - calc.cgst),
+    taxes: calc.totalTax,
+    total,
+    totalAmount: total,
+  };
+}
+
+const carriedParty = (dm = {}) =>
+  Object.fromEntries(PARTY_FIELDS.filter(k => !blank(dm[k])).map(k => [k, dm[k]]));
+
+/* ------------------------ reads ------------------------ */
+
+const SELECT = `
+  SELECT s.id, s.document_id, s.doc_type, s.number, s.date, s.party_name, s.due_date, s.status,
+         s.source_id, src.number AS source_number, s.value_cents, d.payload_json,
+         s.created_by, s.created_at, s.updated_at
+    FROM sales_documents s
+    LEFT JOIN sales_documents src ON src.id = s.source_id AND src.session_id = s.session_id
+    LEFT JOIN documents d ON d.id = s.document_id AND d.session_id = s.session_id`;
+
+function shapeDoc(r) {
+  const { payload_json, ...rest } = r;
+  const docModel = parse(payload_json, {});
+  return {
+    ...rest,
+    expired: rest.doc_type === "quotation" && rest.status === "open" && !!rest.due_date && rest.due_date < today(),
+    docModel,
+    items: Array.isArray(docModel.items) ? docModel.items : [],
+  };
+}
+
+/** Invoices drafted / posted from each order → Map(orderId → [link]); `live` marks a draft still confirmable. */
+async function invoiceLinks(sessionId, orderIds, run = query) {
+  const ids = [...new Set(orderIds)];
+  const out = new Map(ids.map(id => [id, []]));
+  if (!ids.length) return out;
+  const ph = ids.map((_, i) => `$${i + 2}`).join(",");
+  const { rows } = await run(
+    `SELECT l.id, l.order_id, l.preview_id, l.invoice_number, l.status, l.document_id, l.lines_json,
+            l.created_at, l.posted_at, i.date AS invoice_date, p.status AS preview_status, p.expires_at
+       FROM sales_order_invoices l
+       LEFT JOIN documents i ON i.id = l.document_id AND i.session_id = l.session_id
+       LEFT JOIN preview_snapshots p ON p.preview_id = l.preview_id
+      WHERE l.session_id = $1 AND l.order_id IN (${ph})
+      ORDER BY l.created_at`,
+    [sessionId, ...ids]
+  );
+  const now = Date.now();
+  for (const r of rows || []) {
+    const { lines_json, preview_status, expires_at, invoice_date, ...rest } = r;
+    out.get(r.order_id).push({
+      ...rest,
+      invoice_date: invoice_date ? String(invoice_date).slice(0, 10) : null,
+      live: r.status === "drafted" && !!expires_at && preview_status !== "USED" && new Date(expires_at).getTime() > now,
+      lines: parse(lines_json, []),
+    });
+  }
+  return out;
+}
+
+/**
+ * Per order line: ordered, invoiced (posted invoices, dated on or before asOf when given), drafted
+ * (live previews), pending (not yet invoiced) and available (pending less live drafts).
+ */
+function lineProgress(items, links, asOf = null) {
+  const invoiced = new Map();
+  const drafted = new Map();
+  for (const l of links) {
+    const into = l.status === "posted" ? (!asOf || (l.invoice_date && l.invoice_date <= asOf) ? invoiced : null)
+      : l.live ? drafted : null;
+    if (!into) continue;
+    for (const x of l.lines) into.set(Number(x.line), (into.get(Number(x.line)) || 0) + Number(x.qty || 0));
+  }
+  return items.map((it, line) => {
+    const ordered = Number(it.qty || 0);
+    const done = qty3(invoiced.get(line));
+    const held = qty3(drafted.get(line));
+    const pending = qty3(Math.max(0, ordered - done));
+    return {
+      line, code: it.code || null, name: it.name, uom: it.uom || null, rate: Number(it.rate || 0),
+      ordered, invoiced: done, drafted: held, pending, available: qty3(Math.max(0, pending - held)),
+    };
+  });
+}
+
+export async function listSalesDocuments(sessionId, { docType = null, status = null, party = null, from = null, to = null } = {}) {
+  if (docType && !SALES_DOC_TYPES.includes(docType)) throw httpError(400, `docType must be one of ${SALES_DOC_TYPES.join(", ")}`);
+  if (status && !STATUSES.includes(status)) throw httpError(400, `status must be one of ${STATUSES.join(", ")}`);
+  const { rows } = await query(
+    `${SELECT}
+      WHERE s.session_id = $1 AND ($2 IS NULL OR s.doc_type = $2) AND ($3 IS NULL OR s.status = $3)
+        AND ($4 IS NULL OR lower(s.party_name) LIKE '%' || lower($4) || '%')
+        AND ($5 IS NULL OR s.date >= $5) AND ($6 IS NULL OR s.date <= $6)
+      ORDER BY s.date DESC, s.created_at DESC`,
+    [sessionId, docType, status, blank(party) ? null : String(party).trim(), isoOrNull(from, "from"), isoOrNull(to, "to")]
+  );
+  return (rows || []).map(shapeDoc).map(({ docModel, ...d }) => d);
+}
+
+/**
+ * One quotation / order with its lines. Orders add per-line progress and the invoices drafted
+ * from them; quotations the order they were converted into.
+ */
+export async function getSalesDocument(sessionId, id, run = query) {
+  const { rows } = await run(`${SELECT} WHERE s.id = $1 AND s.session_id = $2`, [id, sessionId]);
+  if (!rows?.length) throw httpError(404, "Quotation / sales order not found in this workspace");
+  const doc = shapeDoc(rows[0]);
+  if (doc.doc_type === "quotation") {
+    const { rows: orders } = await run(
+      `SELECT id, number, date, status FROM sales_documents WHERE session_id = $1 AND source_id = $2`,
+      [sessionId, id]
+    );
+    return { ...doc, orders: orders || [] };
+  }
+  const links = (await invoiceLinks(sessionId, [id], run)).get(id);
+  return {
+    ...doc,
+    lines: lineProgress(doc.items, links),
+    invoices: links,
+  };
+}
+
+/* ------------------------ quotations and orders ------------------------ */
+
+async function createSalesDocument(sessionId, { docType, date, dueDate = null, docModel, source = null }, actorId) {
+  const reservation = await reserveSeries({ docType, dateISO: date, previewId: randomUUID(), sessionId });
+  const { number } = reservation;
+  const id = randomUUID();
+  const documentId = randomUUID();
+  const dm = { ...docModel, number, date };
+  const value = Math.round(Number(dm.total || 0) * 100);
+  try {
+    await withTx(async (exec) => {
+      const run = exec || query;
+      if (source) {
+        const r = await run(
+          `UPDATE sales_documents SET status = 'converted', updated_at = datetime('now')
+            WHERE id = $1 AND session_id = $2 AND status = 'open'`,
+          [source.id, sessionId]
+        );
+        if (!changed(r)) throw httpError(409, `Quotation ${source.number} is no longer open`);
+      }
+      await run(
+        `INSERT INTO documents (id, session_id, doc_type, number, date, party_name, gross_amount_cents, status, created_by, payload_json)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,'FINALIZED',$8,$9)`,
+        [documentId, sessionId, docType, number, date, dm.buyer, value, actorId, JSON.stringify(dm)]
+      );
+      await run(
+        `INSERT INTO sales_documents
+           (id, session_id, document_id, doc_type, number, date, party_name, due_date, status, source_id, value_cents, created_by, updated_at)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,'open',$9,$10,$11, datetime('now'))`,
+        [id, sessionId, documentId, docType, number, date, dm.buyer, dueDate, source?.id || null, value, actorId]
+      );
+      await writeAudit({
+        sessionId, userId: actorId, action: source ? "quotation_convert" : `${docType}_create`,
+        entity: "sales_documents", entityId: id,
+        details: { number, date, party: dm.buyer, lines: dm.items.length, value_cents: value, ...(source ? { quotation: source.number } : {}) },
+      }, run);
+    });
+  } catch (e) {
+    await cancelReservation({ reservationId: reservation.reservationId, sessionId }).catch(() => {});
+    throw e;
+  }
+  await finalizeReservation({ reservationId: reservation.reservationId, sessionId });
+  return getSalesDocument(sessionId, id);
+}
+
+/**
+ * Quotation (series QTN).
+ * input: { date?, validUntil?, buyer, buyerAddress?, customerGSTIN?, placeOfSupply?, customerPO?, note?,
+ *          items: [{ itemId | code | name, qty, rate, gstRate?, hsn?, uom? }] }
+ */
+export async function createQuotation(sessionId, input = {}, actorId = null) {
+  const date = isoOrNull(input.date, "date") || today();
+  const validUntil = isoOrNull(input.validUntil, "validUntil");
+  if (validUntil && validUntil < date) throw httpError(400, "validUntil cannot be before the quotation date");
+  const party = await partyOf(sessionId, input);
+  const items = await resolveLines(sessionId, input.items);
+  const docModel = {
+    ...party, items, ...priced(items, party),
+    ...(validUntil ? { validUntil } : {}),
+    ...(blank(input.note) ? {} : { note: String(input.note).trim() }),
+  };
+  return createSalesDocument(sessionId, { docType: "quotation", date, dueDate: validUntil, docModel }, actorId);
+}
+
+/**
+ * Sales order (series SO), entered directly or — with quotationId — converted from a quotation.
+ * input: { date?, deliveryDate?, customerPO?, note?, quotationId? } plus, without a quotation,
+ * the party and items as for createQuotation.
+ */
+export async function createOrder(sessionId, input = {}, actorId = null) {
+  if (!blank(input.quotationId)) return convertQuotation(sessionId, String(input.quotationId), input, actorId);
+  const date = isoOrNull(input.date, "date") || today();
+  const deliveryDate = isoOrNull(input.deliveryDate, "deliveryDate");
+  if (deliveryDate && deliveryDate < date) throw httpError(400, "deliveryDate cannot be before the order date");
+  const party = await partyOf(sessionId, input);
+  const items = await resolveLines(sessionId, input.items);
+  const docModel = {
+    ...party, items, ...priced(items, party),
+    ...(deliveryDate ? { deliveryDate } : {}),
+    ...(blank(input.note) ? {} : { note: String(input.note).trim() }),
+  };
+  return createSalesDocument(sessionId, { docType: "sales_order", date, dueDate: deliveryDate, docModel }, actorId);
+}
+
+/**
+ * Convert an open, unexpired quotation into a sales order with the same party, lines and prices.
+ * input: { date?, deliveryDate?, customerPO?, note? }
+ */
+export async function convertQuotation(sessionId, quotationId, input = {}, actorId = null) {
+  const qtn = await getSalesDocument(sessionId, quotationId);
+  if (qtn.doc_type !== "quotation") throw httpError(404, "Quotation not found in this workspace");
+  if (qtn.status !== "open") throw httpError(409, `Quotation ${qtn.number} is already ${qtn.status}`);
+  const date = isoOrNull(input.date, "date") || today();
+  if (date < qtn.date) throw httpError(400, `The order cannot be dated before quotation ${qtn.number} (${qtn.date})`);
+  if (qtn.due_date && date > qtn.due_date) throw httpError(409, `Quotation ${qtn.number} expired on ${qtn.due_date}`);
+  const deliveryDate = isoOrNull(input.deliveryDate, "deliveryDate");
+  if (deliveryDate && deliveryDate < date) throw httpError(400, "deliveryDate cannot be before the order date");
+
+  const { number: _n, date: _d, validUntil: _v, note, ...rest } = qtn.docModel;
+  const docModel = {
+    ...rest,
+    ...(blank(input.customerPO) ? {} : { customerPO: String(input.customerPO).trim() }),
+    quotationId: qtn.id,
+    quotationNumber: qtn.number,
+    quotationDate: qtn.date,
+    ...(deliveryDate ? { deliveryDate } : {}),
+    ...(blank(input.note ?? note) ? {} : { note: String(input.note ?? note).trim() }),
+  };
+  return createSalesDocument(sessionId, {
+    docType: "sales_order", date, dueDate: deliveryDate, docModel, source: { id: qtn.id, number: qtn.number },
+  }, actorId);
+}
+
+/**
+ * Cancel an open quotation, or an open / part-invoiced order (what is left of it is dropped; the
+ * invoices already posted stand). Orders with an invoice draft pending cannot be cancelled.
+ */
+export async function cancelSalesDocument(sessionId, id, { reason = null } = {}, actorId = null) {
+  const doc = await getSalesDocument(sessionId, id);
+  const label = LABEL[doc.doc_type];
+  if (!["open", "partial"].includes(doc.status)) throw httpError(409, `${label} ${doc.number} is already ${doc.status}`);
+  const pending = (doc.invoices || []).find(l => l.live);
+  if (pending) {
+    throw httpError(409, `Invoice ${pending.invoice_number} drafted from ${doc.number} is pending; confirm it or let it expire first`);
+  }
+  await withTx(async (exec) => {
+    const run = exec || query;
+    const r = await run(
+      `UPDATE sales_documents SET status = 'cancelled', updated_at = datetime('now')
+        WHERE id = $1 AND session_id = $2 AND status IN ('open','partial')`,
+      [id, sessionId]
+    );
+    if (!changed(r)) throw httpError(409, `${label} ${doc.number} changed meanwhile; reload it`);
+    await run(`UPDATE documents SET status = 'CANCELLED' WHERE id = $1 AND session_id = $2`, [doc.document_id, sessionId]);
+    await writeAudit({
+      sessionId, userId: actorId, action: `${doc.doc_type}_cancel`, entity: "sales_documents", entityId: id,
+      details: { number: doc.number, status: doc.status, ...(reason ? { reason } : {}) },
+    }, run);
+  });
+  return getSalesDocument(sessionId, id);
+}
+
+/* ------------------------ invoicing ------------------------ */
+
+/**
+ * CoA name for a ledger, created when missing. Party sub-ledgers are stored under a canonical
+ * name (the party part lowercased), so the journal must carry that name, not the one built here.
+ */
+async function ledgerName(sessionId, ledger) {
+  const code = await ensureLedgerExists(ledger, sessionId);
+  const { rows } = await query(
+    `SELECT name FROM chart_of_accounts
+      WHERE (account_code = $1 OR name = $2) AND (session_id = $3 OR session_id = 'GLOBAL' OR session_id IS NULL)
+      ORDER BY CASE WHEN session_id = $3 THEN 0 ELSE 1 END
+      LIMIT 1`,
+    [code || null, ledger, sessionId]
+  );
+  return rows?.[0]?.name || ledger;
+}
+
+/**
+ * Draft an invoice for all or part of an order as a preview.
+ * input: { date?, dueDate?, items?: [{ line (0-based), qty? }] } — no items: everything still
+ * available; a line without qty: all of it. Returns the preview like /orchestratePrompt
+ * ({ previewId, hash, number, docModel, journal, … }); confirm via /confirmAndSaveEntry.
+ */
+export async function draftOrderInvoice(sessionId, orderId, input = {}, userId = null) {
+  const order = await getSalesDocument(sessionId, orderId);
+  if (order.doc_type !== "sales_order") throw httpError(404, "Sales order not found in this workspace");
+  if (!["open", "partial"].includes(order.status)) throw httpError(409, `Sales order ${order.number} is ${order.status}`);
+  const date = isoOrNull(input.date, "date") || today();
+  if (date < order.date) throw httpError(400, `The invoice cannot be dated before sales order ${order.number} (${order.date})`);
+  const dueDate = isoOrNull(input.dueDate, "dueDate");
+
+  const picks = Array.isArray(input.items) && input.items.length
+    ? input.items
+    : order.lines.filter(l => l.available > 0).map(l => ({ line: l.line }));
+  if (!picks.length) {
+    throw httpError(409, `Nothing left to invoice on ${order.number}${order.lines.some(l => l.drafted) ? " (invoice drafts are pending)" : ""}`);
+  }
+  const seen = new Set();
+  const taken = picks.map((p, i) => {
+    const idx = Number(p?.line);
+    const l = Number.isInteger(idx) ? order.lines[idx] : null;
+    if (!l) throw httpError(400, `items[${i}].line must point at an order line (0–${order.lines.length - 1})`);
+    if (seen.has(idx)) throw httpError(400, `items[${i}]: line ${idx} is listed twice`);
+    seen.add(idx);
+    const qty = blank(p.qty) ? l.available : Number(p.qty);
+    if (!(qty > 0)) throw httpError(400, `items[${i}].qty must be positive`);
+    if (qty > l.available) {
+      throw httpError(409, `items[${i}].qty ${qty} of ${l.name} is more than the ${l.available} left to invoice on ${order.number}`);
+    }
+    return { line: idx, qty };
+  });
+
+  const party = carriedParty(order.docModel);
+  const items = taken.map(t => {
+    const it = order.items[t.line];
+    return { ...it, qty: t.qty, amount: round2(t.qty * Number(it.rate || 0)) };
+  });
+  const tax = priced(items, party);
+  const narration = `Invoice against sales order ${order.number}`;
+  const docModel = {
+    ...party,
+    date,
+    ...(dueDate ? { dueDate } : {}),
+    items,
+    igst: tax.igst,
+    cgst: tax.cgst,
+    sgst: tax.sgst,
+    taxes: tax.taxes,
+    total: tax.total,
+    totalAmount: tax.total,
+    narration,
+    salesOrderId: order.id,
+    salesOrderNumber: order.number,
+  };
+
+  // Dr party for the invoice value; Cr sales and output GST
+  const leg = (account, debit, credit) => ({ account, debit, credit, date, narration });
+  const journal = [
+    leg(`${PARTY_PARENTS.ar} - ${party.buyer}`, tax.total, 0),
+    leg(SALES_LEDGER, 0, tax.taxable),
+    ...["igst", "cgst", "sgst"].filter(k => tax[k] > 0).map(k => leg(GST_LEDGERS[k], 0, tax[k])),
+  ];
+  for (const l of journal) l.account = await ledgerName(sessionId, l.account);
+
+  const v = await runValidation({ docType: "invoice", journal, docModel, mode: "preview", sessionId });
+  const errors = (v?.errors || []).filter(e => e && e.level !== "warn");
+  if (errors.length) {
+    throw httpError(422, `Invoice for ${order.number} failed validation: ${errors.map(e => e.message).join("; ")}`, errors);
+  }
+
+  const reservation = await reserveSeries({ docType: "invoice", dateISO: date, previewId: "tmp", sessionId });
+  const linkId = randomUUID();
+  const payload = {
+    docType: "invoice",
+    docModel: { ...docModel, number: reservation.number },
+    journal,
+    salesOrder: { orderId: order.id, linkId },
+  };
+  const snap = await createSnapshot({ docType: "invoice", payload, reservation, sessionId, userId });
+  await query(
+    `INSERT INTO sales_order_invoices (id, session_id, order_id, preview_id, invoice_number, status, lines_json, created_by)
+     VALUES ($1,$2,$3,$4,$5,'drafted',$6,$7)`,
+    [linkId, sessionId, order.id, snap.previewId, reservation.number, JSON.stringify(taken), userId]
+  );
+
+  return {
+    previewId: snap.previewId,
+    hash: snap.hash,
+    expiresAt: snap.expiresAt,
+    number: reservation.number,
+    docType: "invoice",
+    docModel: payload.docModel,
+    journal,
+    warnings: v?.warnings || [],
+    salesOrder: { id: order.id, number: order.number },
+  };
+}
+
+/**
+ * Called by confirmAndSaveEntry when an invoice drafted from an order posts: its quantities now
+ * count as invoiced, and the order becomes partial or fulfilled.
+ */
+export async function markOrderInvoicePosted(sessionId, { linkId, documentId }, run = query) {
+  const r = await run(
+    `UPDATE sales_order_invoices SET status = 'posted', document_id = $3, posted_at = datetime('now')
+      WHERE id = $1 AND session_id = $2 AND status = 'drafted'`,
+    [linkId, sessionId, documentId]
+  );
+  if (!changed(r)) return false;
+  const { rows } = await run(
+    `SELECT order_id, invoice_number FROM sales_order_invoices WHERE id = $1 AND session_id = $2`,
+    [linkId, sessionId]
+  );
+  const { order_id: orderId, invoice_number: invoiceNumber } = rows[0];
+  const order = await getSalesDocument(sessionId, orderId, run);
+  const status = order.lines.every(l => l.pending <= 0) ? "fulfilled" : "partial";
+  await run(
+    `UPDATE sales_documents SET status = $3, updated_at = datetime('now')
+      WHERE id = $1 AND session_id = $2 AND status IN ('open','partial')`,
+    [orderId, sessionId, status]
+  );
+  await writeAudit({
+    sessionId, userId: null, action: "sales_order_invoice", entity: "sales_documents", entityId: orderId,
+    details: { number: order.number, invoice: invoiceNumber, documentId, status },
+  }, run);
+  return true;
+}
+
+/* ------------------------ report ------------------------ */
+
+/**
+ * Orders dated on or before asOf with quantities not invoiced by then, line by line, with the
+ * taxable value pending and whether the delivery date has passed. party filters by name.
+ */
+export async function pendingOrders(sessionId, { asOf = null, party = null } = {}) {
+  const date = isoOrNull(asOf, "asOf") || today();
+  // Fulfilled orders only matter when an invoice that fulfilled them is dated after asOf
+  const { rows } = await query(
+    `${SELECT}
+      WHERE s.session_id = $1 AND s.doc_type = 'sales_order' AND s.date <= $2
+        AND ($3 IS NULL OR lower(s.party_name) LIKE '%' || lower($3) || '%')
+        AND (s.status IN ('open','partial')
+             OR (s.status = 'fulfilled' AND EXISTS (
+                  SELECT 1 FROM sales_order_invoices l
+                    JOIN documents i ON i.id = l.document_id AND i.session_id = l.session_id
+                   WHERE l.session_id = s.session_id AND l.order_id = s.id AND substr(i.date, 1, 10) > $2)))
+      ORDER BY s.date, s.number`,
+    [sessionId, date, blank(party) ? null : String(party).trim()]
+  );
+  const docs = (rows || []).map(shapeDoc);
+  const links = await invoiceLinks(sessionId, docs.map(d => d.id));
+
+  const orders = [];
+  for (const d of docs) {
+    const lines = lineProgress(d.items, links.get(d.id), date)
+      .filter(l => l.pending > 0)
+      .map(l => ({ ...l, pending_value_cents: Math.round(l.pending * l.rate * 100) }));
+    if (!lines.length) continue;
+    orders.push({
+      id: d.id,
+      document_id: d.document_id,
+      number: d.number,
+      date: d.date,
+      party_name: d.party_name,
+      delivery_date: d.due_date,
+      status: d.status,
+      quotation_number: d.source_number,
+      overdue: !!d.due_date && d.due_date < date,
+      lines,
+      pending_value_cents: lines.reduce((s, l) => s + l.pending_value_cents, 0),
+    });
+  }
+  return {
+    asOf: date,
+    orders,
+    total_pending_cents: orders.reduce((s, o) => s + o.pending_value_cents, 0),
+  };
+}
@@ -26,6 +26,11 @@ function prefixForType(t) {
     case "voucher":        return "PV";
     case "contra_voucher": return "CV";
     case "journal":        return "JV";
+    case "stock_transfer": return "STN";
+    case "credit_note":    return "CN";
+    case "debit_note":     return "DN";
+    case "quotation":      return "QTN";
+    case "sales_order":    return "SO";
     default:               return "DOC";
   }
 }
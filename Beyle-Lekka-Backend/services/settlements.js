@@ -0,0 +1,227 @@
+// services/settlements.js
+// Bill-wise settlement of receipts / payment vouchers against open invoices.
+import { randomUUID } from "crypto";
+import { query } from "./db.js";
+import { settleParty } from "../utils/reports/ageing.js";
+
+/* ------------------------ party ledgers ------------------------ */
+
+export const PARTY_PARENTS = {
+  ar: "Debtors (Accounts Receivable)",
+  ap: "Creditors (Accounts Payable)",
+};
+
+// Which party side a settlement document knocks off
+export const SETTLEMENT_SIDE = {
+  receipt: "ar",
+  payment_voucher: "ap",
+};
+
+// AR charges are debits to the party; AP charges are credits.
+const CHARGE_SIDE = { ar: "debit", ap: "credit" };
+
+export function isPartyLedger(name, side) {
+  const parent = PARTY_PARENTS[side];
+  const n = String(name || "").trim().toLowerCase();
+  return !!parent && n.startsWith(parent.toLowerCase()) && /^\s*[-:]\s*\S/.test(n.slice(parent.length));
+}
+
+/**
+ * The party leg of a settlement journal: AR receipts credit the party,
+ * AP payments debit it. Returns { account, cents } for the first party ledger found.
+ */
+export function settlementPartyLine(journal, side) {
+  const lines = Array.isArray(journal) ? journal : [];
+  const leg = CHARGE_SIDE[side] === "debit" ? "credit" : "debit";
+  const hit = lines.find(l => isPartyLedger(l?.account, side) && Number(l?.[leg] || 0) > 0);
+  if (!hit) return null;
+  const account = String(hit.account).trim();
+  const cents = lines
+    .filter(l => String(l?.account || "").trim().toLowerCase() === account.toLowerCase())
+    .reduce((s, l) => s + Math.round(Number(l?.[leg] || 0) * 100), 0);
+  return { account, cents };
+}
+
+/* ------------------------ allocation input ------------------------ */
+
+/**
+ * Normalize allocations captured on the preview docModel.
+ * Accepts [{ invoice_id | invoiceId, invoice_number | invoice | number, amount }]
+ * and on-account markers [{ on_account: true, amount? }] (amount omitted → remainder).
+ */
+export function normalizeAllocations(raw) {
+  const arr = Array.isArray(raw) ? raw : [];
+  const out = [];
+  for (const a of arr) {
+    if (!a || typeof a !== "object") continue;
+    const amount = Number.parseFloat(String(a.amount ?? "").replace(/[^\d.-]/g, ""));
+    const cents = Number.isFinite(amount) ? Math.round(amount * 100) : null;
+    if (a.on_account === true || a.kind === "on_account") {
+      out.push({ kind: "on_account", amount_cents: cents && cents > 0 ? cents : null });
+      continue;
+    }
+    const invoice_id = a.invoice_id || a.invoiceId || a.document_id || null;
+    const invoice_number = a.invoice_number || a.invoiceNumber || a.invoice || a.number || null;
+    if (!invoice_id && !invoice_number) continue;
+    out.push({
+      kind: "invoice",
+      invoice_id: invoice_id ? String(invoice_id) : null,
+      invoice_number: invoice_number ? String(invoice_number).trim() : null,
+      amount_cents: cents,
+    });
+  }
+  return out;
+}
+
+/**
+ * Split a settlement of totalCents over normalized allocations: invoice allocations with an
+ * amount take it, the first one without an amount takes whatever the explicit ones leave
+ * (later ones get 0). Used by both the allocations rule and saveAllocations so preview and
+ * posting agree. Returns { lines:[{ ...allocation, cents }] (same order; on-account markers
+ * get 0), remainder_cents } — the remainder stays on account.
+ */
+export function allocationAmounts(allocations, totalCents) {
+  const list = Array.isArray(allocations) ? allocations : [];
+  const explicit = list
+    .filter(a => a.kind === "invoice" && a.amount_cents > 0)
+    .reduce((s, a) => s + a.amount_cents, 0);
+  let remainder = Math.max(0, Number(totalCents || 0) - explicit);
+  const lines = list.map(a => {
+    if (a.kind !== "invoice") return { ...a, cents: 0 };
+    if (a.amount_cents > 0) return { ...a, cents: a.amount_cents };
+    const cents = remainder;
+    remainder = 0;
+    return { ...a, cents };
+  });
+  return { lines, remainder_cents: remainder };
+}
+
+/* ------------------------ reads ------------------------ */
+
+// Documents that charge a party ledger and so can be settled bill-wise.
+export const SETTLEABLE_DOC_TYPES = ["invoice", "debit_note", "journal"];
+const SETTLEABLE_SQL = SETTLEABLE_DOC_TYPES.map(t => `'${t}'`).join(",");
+
+export async function loadAllocations(sessionId, partyLedger = null) {
+  try {
+    const { rows } = await query(
+      `SELECT settlement_doc_id, invoice_doc_id, party_ledger, kind, amount_cents, session_id
+         FROM settlement_allocations
+        WHERE ($1 IS NULL OR session_id = $1)
+          AND ($2 IS NULL OR LOWER(party_ledger) = LOWER($2))`,
+      [sessionId, partyLedger]
+    );
+    return rows || [];
+  } catch {
+    return []; // table may not exist yet (pre-026)
+  }
+}
+
+/** A settleable document by id or number (see SETTLEABLE_DOC_TYPES); null when none matches. */
+export async function findDocumentRef(sessionId, { id = null, number = null }) {
+  if (!id && !number) return null;
+  const { rows } = await query(
+    `SELECT id, doc_type, number, date, party_name
+       FROM documents
+      WHERE session_id = $1
+        AND doc_type IN (${SETTLEABLE_SQL})
+        AND (($2 IS NOT NULL AND id = $2) OR ($2 IS NULL AND number = $3))
+      ORDER BY date DESC
+      LIMIT 1`,
+    [sessionId, id, number]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Open items for one party ledger with bill-wise allocations applied, then FIFO
+ * for settlements that carry no allocation rows.
+ * Returns { items:[{document_id, document_number, date, cents, allocated_cents,
+ *           settled_cents, outstanding_cents}], unapplied_cents }.
+ */
+export async function openItemsForParty(sessionId, side, partyLedger, { asOf = null } = {}) {
+  const charge = CHARGE_SIDE[side];
+  const { rows } = await query(
+    `SELECT le.id, le.debit_account, le.credit_account, le.amount_cents, le.transaction_date,
+            le.document_id, d.number AS document_number, d.date AS doc_date
+       FROM ledger_entries le
+       LEFT JOIN documents d ON d.id = le.document_id AND d.session_id = le.session_id
+      WHERE le.session_id = $1
+        AND (LOWER(le.debit_account) = LOWER($2) OR LOWER(le.credit_account) = LOWER($2))
+        AND ($3 IS NULL OR substr(le.transaction_date, 1, 10) <= $3)
+      ORDER BY le.transaction_date, le.created_at, le.id`,
+    [sessionId, partyLedger, asOf]
+  );
+
+  const key = String(partyLedger).toLowerCase();
+  const charges = [];
+  const settlements = [];
+  for (const r of rows || []) {
+    const cents = Number(r.amount_cents || 0);
+    const onDebit = String(r.debit_account || "").toLowerCase() === key;
+    const isCharge = (charge === "debit") === onDebit;
+    if (isCharge) {
+      charges.push({
+        ledger_id: r.id,
+        document_id: r.document_id,
+        document_number: r.document_number,
+        date: String(r.doc_date || r.transaction_date).slice(0, 10),
+        cents,
+      });
+    } else {
+      settlements.push({ document_id: r.document_id, cents });
+    }
+  }
+
+  const allocations = await loadAllocations(sessionId, partyLedger);
+  return settleParty({ charges, settlements, allocations });
+}
+
+/* ------------------------ writes ------------------------ */
+
+/**
+ * Persist allocations for a posted settlement document (call inside withTx).
+ * Invoice refs are resolved to document ids; the unallocated remainder is
+ * recorded as on-account so the settlement never falls back to FIFO.
+ */
+export async function saveAllocations(
+  { sessionId, settlementDocId, partyLedger, totalCents, allocations },
+  exec = query
+) {
+  const list = normalizeAllocations(allocations);
+  if (!list.length) return [];
+
+  const { lines, remainder_cents } = allocationAmounts(list, totalCents);
+  const saved = [];
+  for (const a of lines) {
+    if (a.kind !== "invoice" || !a.cents) continue;
+    const doc = await findDocumentRef(sessionId, { id: a.invoice_id, number: a.invoice_number });
+    if (!doc) throw new Error(`Allocation invoice not found: ${a.invoice_id || a.invoice_number}`);
+    const row = {
+      id: randomUUID(), session_id: sessionId, settlement_doc_id: settlementDocId,
+      invoice_doc_id: doc.id, party_ledger: partyLedger, kind: "invoice", amount_cents: a.cents,
+    };
+    await exec(
+      `INSERT INTO settlement_allocations
+         (id, session_id, settlement_doc_id, invoice_doc_id, party_ledger, kind, amount_cents)
+       VALUES ($1,$2,$3,$4,$5,$6,$7)`,
+      [row.id, row.session_id, row.settlement_doc_id, row.invoice_doc_id, row.party_ledger, row.kind, row.amount_cents]
+    );
+    saved.push(row);
+  }
+
+  if (remainder_cents > 0) {
+    const row = {
+      id: randomUUID(), session_id: sessionId, settlement_doc_id: settlementDocId,
+      invoice_doc_id: null, party_ledger: partyLedger, kind: "on_account", amount_cents: remainder_cents,
+    };
+    await exec(
+      `INSERT INTO settlement_allocations
+         (id, session_id, settlement_doc_id, invoice_doc_id, party_ledger, kind, amount_cents)
+       VALUES ($1,$2,$3,NULL,$4,$5,$6)`,
+      [row.id, row.session_id, row.settlement_doc_id, row.party_ledger, row.kind, row.amount_cents]
+    );
+    saved.push(row);
+  }
+  return saved;
+}
@@ -0,0 +1,222 @@
+// services/stockTransfers.js
+// Stock transfer vouchers between warehouses (migration 040). Dispatch moves the goods from the
+// source into the workspace's in-transit location; receipt moves them on to the destination and
+// cancellation back to the source, each time at the value they left with. The transfer is also a
+// non-posting `stock_transfer` document (number series STN), which e-way bills are built from.
+import { randomUUID } from "crypto";
+import { query, withTx } from "./db.js";
+import { writeAudit } from "./audit.js";
+import { reserveSeries, finalizeReservation, cancelReservation } from "./series.js";
+import { resolveWarehouse, transitWarehouse, getWarehouse } from "./warehouses.js";
+import { findItemForLine, transferStock } from "./inventory.js";
+import { assertDateOpen } from "./periods.js";
+import { normalizeTransport } from "../utils/tax/ewaybill.js";
+
+const ISO = /^\d{4}-\d{2}-\d{2}$/;
+const STATUSES = ["in_transit", "received", "cancelled"];
+
+function httpError(status, message) {
+  const e = new Error(message);
+  e.http = status;
+  return e;
+}
+
+const today = () => new Date().toISOString().slice(0, 10);
+const blank = (v) => v === undefined || v === null || String(v).trim() === "";
+
+function isoOrNull(v, field) {
+  if (blank(v)) return null;
+  if (!ISO.test(String(v))) throw httpError(400, `${field} must be YYYY-MM-DD`);
+  return String(v);
+}
+
+const parse = (s, fallback) => { try { return JSON.parse(s); } catch { return fallback; } };
+
+const SELECT = `
+  SELECT t.id, t.document_id, t.number, t.date, t.status, t.received_date, t.value_cents, t.note,
+         t.from_warehouse_id, fw.name AS from_warehouse, t.to_warehouse_id, tw.name AS to_warehouse,
+         t.lines_json, d.payload_json, t.created_by, t.created_at, t.updated_at
+    FROM stock_transfers t
+    JOIN warehouses fw ON fw.id = t.from_warehouse_id
+    JOIN warehouses tw ON tw.id = t.to_warehouse_id
+    LEFT JOIN documents d ON d.id = t.document_id AND d.session_id = t.session_id`;
+
+function shapeTransfer(r) {
+  const { lines_json, payload_json, ...rest } = r;
+  const doc = parse(payload_json, {});
+  return { ...rest, items: Array.isArray(doc.items) ? doc.items : [], lines: parse(lines_json, []) };
+}
+
+export async function listTransfers(sessionId, { status = null, from = null, to = null } = {}) {
+  if (status && !STATUSES.includes(status)) throw httpError(400, `status must be one of ${STATUSES.join(", ")}`);
+  const { rows } = await query(
+    `${SELECT}
+      WHERE t.session_id = $1 AND ($2 IS NULL OR t.status = $2)
+        AND ($3 IS NULL OR t.date >= $3) AND ($4 IS NULL OR t.date <= $4)
+      ORDER BY t.date DESC, t.created_at DESC`,
+    [sessionId, status, isoOrNull(from, "from"), isoOrNull(to, "to")]
+  );
+  return (rows || []).map(shapeTransfer);
+}
+
+export async function getTransfer(sessionId, id, run = query) {
+  const { rows } = await run(`${SELECT} WHERE t.id = $1 AND t.session_id = $2`, [id, sessionId]);
+  if (!rows?.length) throw httpError(404, "Stock transfer not found in this workspace");
+  return shapeTransfer(rows[0]);
+}
+
+/**
+ * Dispatch goods from one warehouse to another.
+ * input: { number?, date?, fromWarehouseId, toWarehouseId, items: [{ itemId | code | name, qty, batchNo? }],
+ *          note?, receiveNow? (dispatch and receive on the same date), transport? (e-way bill details) }
+ * Without a number the next STN number is taken from the series. Refused (409) in a closed period.
+ */
+export async function createTransfer(sessionId, input = {}, actorId = null) {
+  const date = isoOrNull(input.date, "date") || today();
+  const lines = Array.isArray(input.items) ? input.items : [];
+  if (!lines.length) throw httpError(400, "items are required");
+  const fromRef = input.fromWarehouseId ?? input.from_warehouse_id ?? input.fromWarehouse ?? input.from;
+  const toRef = input.toWarehouseId ?? input.to_warehouse_id ?? input.toWarehouse ?? input.to;
+  if (blank(fromRef) || blank(toRef)) throw httpError(400, "fromWarehouseId and toWarehouseId are required");
+
+  const transport = normalizeTransport(input.transport);
+  await assertDateOpen(sessionId, date);
+  let number = blank(input.number) ? null : String(input.number).trim();
+  let reservation = null;
+  if (number) {
+    const { rows: dup } = await query(
+      `SELECT id FROM stock_transfers WHERE session_id = $1 AND number = $2`,
+      [sessionId, number]
+    );
+    if (dup?.length) throw httpError(409, `Stock transfer ${number} already exists`);
+  } else {
+    reservation = await reserveSeries({ docType: "stock_transfer", dateISO: date, previewId: randomUUID(), sessionId });
+    number = reservation.number;
+  }
+
+  const id = randomUUID();
+  const documentId = randomUUID();
+  try {
+    await withTx(async (exec) => {
+      const run = exec || query;
+      const from = await resolveWarehouse(sessionId, fromRef, run);
+      const to = await resolveWarehouse(sessionId, toRef, run);
+      if (from.id === to.id) throw httpError(400, "Source and destination warehouse must differ");
+      const transit = await transitWarehouse(sessionId, run);
+
+      const resolved = [];
+      for (const [i, line] of lines.entries()) {
+        const qty = Number(line.qty);
+        if (!(qty > 0)) throw httpError(400, `items[${i}].qty must be positive`);
+        const item = line.itemId || line.item_id
+          ? (await run(`SELECT * FROM items WHERE id = $1 AND session_id = $2`, [line.itemId || line.item_id, sessionId])).rows?.[0]
+          : await findItemForLine(sessionId, line, run);
+        if (!item) throw httpError(404, `items[${i}]: item not found`);
+        if (!Number(item.stock_tracked)) throw httpError(409, `${item.code} is not stock-tracked`);
+        const batchNo = line.batchNo ?? line.batch_no ?? line.batch;
+        resolved.push({ item, qty, batchNo: blank(batchNo) ? null : String(batchNo).trim() });
+      }
+
+      const narration = `Transfer ${number}: ${from.name} → ${to.name}`;
+      const legs = [];
+      for (const r of resolved) {
+        const { out, in: arrived } = await transferStock(sessionId, r.item, {
+          date, qty: r.qty, from, to: transit, batchNo: r.batchNo,
+          refDoc: number, documentId, narration, actorId,
+        }, run);
+        legs.push({ ...r, out, arrived });
+      }
+      const value = legs.reduce((s, l) => s + l.out.value_cents, 0);
+      const docModel = {
+        number, date, note: input.note || null,
+        fromWarehouse: { id: from.id, code: from.code, name: from.name, address: from.address || null },
+        toWarehouse: { id: to.id, code: to.code, name: to.name, address: to.address || null },
+        items: legs.map(l => ({
+          itemId: l.item.id, code: l.item.code, name: l.item.name, uom: l.item.uom, hsn: l.item.hsn,
+          gstRate: l.item.gst_rate, qty: l.qty, rate: Math.round(l.out.value_cents / l.qty) / 100,
+          amount: l.out.value_cents / 100, ...(l.out.batch_no ? { batchNo: l.out.batch_no } : {}),
+        })),
+        value: value / 100,
+        ...(transport ? { transport } : {}),
+      };
+      await run(
+        `INSERT INTO documents (id, session_id, doc_type, number, date, party_name, gross_amount_cents, status, created_by, payload_json)
+         VALUES ($1,$2,'stock_transfer',$3,$4,$5,$6,'FINALIZED',$7,$8)`,
+        [documentId, sessionId, number, date, `${from.name} → ${to.name}`, value, actorId, JSON.stringify(docModel)]
+      );
+      const stored = legs.map(l => ({
+        item_id: l.item.id, qty: l.qty, batch_no: l.out.batch_no || null,
+        value_cents: l.out.value_cents, transit_receipt_id: l.arrived.id,
+      }));
+      await run(
+        `INSERT INTO stock_transfers
+           (id, session_id, document_id, number, date, from_warehouse_id, to_warehouse_id, status, value_cents, lines_json, note, created_by, updated_at)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,'in_transit',$8,$9,$10,$11, datetime('now'))`,
+        [id, sessionId, documentId, number, date, from.id, to.id, value, JSON.stringify(stored), input.note || null, actorId]
+      );
+      await writeAudit({
+        sessionId, userId: actorId, action: "stock_transfer_dispatch", entity: "stock_transfers", entityId: id,
+        details: { number, date, from: from.code, to: to.code, lines: legs.length, value_cents: value },
+      }, run);
+
+      if (input.receiveNow) await complete(sessionId, id, { date, cancel: false, actorId }, run);
+    });
+  } catch (e) {
+    if (reservation) await cancelReservation({ reservationId: reservation.reservationId, sessionId }).catch(() => {});
+    throw e;
+  }
+  if (reservation) await finalizeReservation({ reservationId: reservation.reservationId, sessionId });
+  return getTransfer(sessionId, id);
+}
+
+/**
+ * Move an in-transit transfer out of the in-transit location: to the destination (receive) or
+ * back to the source (cancel). Each line leaves transit from the layers its dispatch opened, at
+ * the value it was dispatched with.
+ */
+async function complete(sessionId, id, { date, cancel, reason = null, actorId }, run) {
+  const t = await getTransfer(sessionId, id, run);
+  if (t.status !== "in_transit") throw httpError(409, `Transfer ${t.number} is already ${t.status}`);
+  if (date < t.date) throw httpError(400, `date cannot be before the dispatch date ${t.date}`);
+  await assertDateOpen(sessionId, date, run);
+
+  const transit = await transitWarehouse(sessionId, run);
+  const target = await getWarehouse(sessionId, cancel ? t.from_warehouse_id : t.to_warehouse_id, run);
+  const narration = cancel
+    ? `Transfer ${t.number} cancelled: back to ${target.name}`
+    : `Transfer ${t.number}: received at ${target.name}`;
+  for (const l of t.lines) {
+    const { rows } = await run(`SELECT * FROM items WHERE id = $1 AND session_id = $2`, [l.item_id, sessionId]);
+    await transferStock(sessionId, rows[0], {
+      date, qty: Number(l.qty), from: transit, to: target, valueCents: Number(l.value_cents),
+      receiptId: l.transit_receipt_id, refDoc: t.number, documentId: t.document_id, narration, actorId,
+      enforce: false,
+    }, run);
+  }
+  await run(
+    `UPDATE stock_transfers SET status = $3, received_date = $4, updated_at = datetime('now') WHERE id = $1 AND session_id = $2`,
+    [id, sessionId, cancel ? "cancelled" : "received", date]
+  );
+  if (cancel) {
+    await run(`UPDATE documents SET status = 'CANCELLED' WHERE id = $1 AND session_id = $2`, [t.document_id, sessionId]);
+  }
+  await writeAudit({
+    sessionId, userId: actorId, action: cancel ? "stock_transfer_cancel" : "stock_transfer_receive",
+    entity: "stock_transfers", entityId: id,
+    details: { number: t.number, date, warehouse: target.code, value_cents: t.value_cents, ...(reason ? { reason } : {}) },
+  }, run);
+}
+
+/** Receive an in-transit transfer at its destination. input: { date? } */
+export async function receiveTransfer(sessionId, id, { date = null } = {}, actorId = null) {
+  const d = isoOrNull(date, "date") || today();
+  await withTx(async (exec) => complete(sessionId, id, { date: d, cancel: false, actorId }, exec || query));
+  return getTransfer(sessionId, id);
+}
+
+/** Cancel an in-transit transfer; the goods go back to the source. input: { date?, reason? } */
+export async function cancelTransfer(sessionId, id, { date = null, reason = null } = {}, actorId = null) {
+  const d = isoOrNull(date, "date") || today();
+  await withTx(async (exec) => complete(sessionId, id, { date: d, cancel: true, reason, actorId }, exec || query));
+  return getTransfer(sessionId, id);
+}
@@ -0,0 +1,289 @@
+// services/tds26q.js
+// TDS deductee master, challans and quarterly 26Q preparation.
+// Deductions = net credits to TDS Payable per document; clearing payments = net debits.
+import { randomUUID } from "crypto";
+import { query } from "./db.js";
+import { loadDocModels } from "./documentPayloads.js";
+import {
+  quarterBounds, allocateChallans, isValidPAN, deducteeCodeForPAN, sectionCode, sameSection,
+} from "../utils/tax/tds26q.js";
+
+const TDS_LEDGER = "TDS Payable";
+const PARTY_PREFIX = /^\s*(creditors?|accounts\s*payable)[^-]*-\s*/i;
+
+const norm = (s) => String(s || "").replace(PARTY_PREFIX, "").trim().toLowerCase();
+const isTdsLedger = (a) => String(a || "").trim().toLowerCase().startsWith(TDS_LEDGER.toLowerCase());
+const sectionFromLedger = (a) => (String(a || "").match(/\b(19[0-9]{1}[A-Z]{0,2})\b/i) || [])[1]?.toUpperCase() || null;
+
+/* ------------------------ deductees ------------------------ */
+
+export async function listDeductees(sessionId, run = query) {
+  const { rows } = await run(
+    `SELECT id, pan, name, section, party_ledger, deductee_code, created_at, updated_at
+       FROM tds_deductees WHERE session_id = $1 ORDER BY name, section`,
+    [sessionId]
+  );
+  return rows || [];
+}
+
+export async function upsertDeductee(sessionId, { pan, name, section = null, partyLedger = null, deducteeCode = null }, run = query) {
+  const p = String(pan || "").trim().toUpperCase();
+  const n = String(name || "").trim();
+  if (!isValidPAN(p)) { const e = new Error("Invalid PAN"); e.http = 400; throw e; }
+  if (!n) { const e = new Error("name is required"); e.http = 400; throw e; }
+  const sec = section ? String(section).trim().toUpperCase() : null;
+  const code = deducteeCode === "01" || deducteeCode === "02" ? deducteeCode : deducteeCodeForPAN(p);
+
+  const ex = await run(
+    `SELECT id FROM tds_deductees WHERE session_id = $1 AND pan = $2 AND COALESCE(section,'') = COALESCE($3,'')`,
+    [sessionId, p, sec]
+  );
+  if (ex.rows?.length) {
+    const id = ex.rows[0].id;
+    await run(
+      `UPDATE tds_deductees SET name = $1, party_ledger = $2, deductee_code = $3, updated_at = datetime('now')
+        WHERE id = $4 AND session_id = $5`,
+      [n, partyLedger, code, id, sessionId]
+    );
+    return { id, created: false };
+  }
+  const id = randomUUID();
+  await run(
+    `INSERT INTO tds_deductees (id, session_id, pan, name, section, party_ledger, deductee_code)
+     VALUES ($1,$2,$3,$4,$5,$6,$7)`,
+    [id, sessionId, p, n, sec, partyLedger, code]
+  );
+  return { id, created: true };
+}
+
+function deducteeFor(deductees, payee, section) {
+  const key = norm(payee);
+  if (!key) return null;
+  const hits = deductees.filter(d => norm(d.name) === key || (d.party_ledger && norm(d.party_ledger) === key));
+  return hits.find(d => d.section && sameSection(d.section, section)) ||
+         hits.find(d => !d.section) || hits[0] || null;
+}
+
+/* ------------------------ ledger side ------------------------ */
+
+/**
+ * TDS Payable movements grouped by document (or by ledger entry when there is none).
+ * Reversed entries and their reversals are left out.
+ */
+async function tdsMovements(sessionId, from, to, run) {
+  const { rows } = await run(
+    `SELECT le.id, le.debit_account, le.credit_account, le.amount_cents, le.narration,
+            substr(le.transaction_date, 1, 10) AS date, le.document_id
+       FROM ledger_entries le
+      WHERE le.session_id = $1
+        AND ($2 IS NULL OR substr(le.transaction_date, 1, 10) >= $2)
+        AND substr(le.transaction_date, 1, 10) <= $3
+        AND le.reverses_id IS NULL
+        AND NOT EXISTS (SELECT 1 FROM ledger_entries r WHERE r.reverses_id = le.id)
+        AND (LOWER(le.debit_account) LIKE 'tds payable%' OR LOWER(le.credit_account) LIKE 'tds payable%'
+             OR le.document_id IN (SELECT document_id FROM ledger_entries
+                                    WHERE session_id = $1 AND document_id IS NOT NULL
+                                      AND LOWER(credit_account) LIKE 'tds payable%'))
+      ORDER BY le.transaction_date, le.created_at, le.id`,
+    [sessionId, from, to]
+  );
+
+  const groups = new Map();
+  for (const r of rows || []) {
+    const key = r.document_id ? `doc:${r.document_id}` : `le:${r.id}`;
+    let g = groups.get(key);
+    if (!g) {
+      g = { key, document_id: r.document_id || null, ledger_entry_id: r.document_id ? null : r.id, date: r.date,
+            narration: r.narration || "", net_cents: 0, section: null, party: null, expense_cents: 0 };
+      groups.set(key, g);
+    }
+    const c = Number(r.amount_cents || 0);
+    if (isTdsLedger(r.credit_account)) { g.net_cents += c; g.section = g.section || sectionFromLedger(r.credit_account); }
+    if (isTdsLedger(r.debit_account)) g.net_cents -= c;
+    if (PARTY_PREFIX.test(String(r.credit_account || ""))) g.party = g.party || r.credit_account;
+    if (!isTdsLedger(r.debit_account) && !/gst|tax|round/i.test(String(r.debit_account || ""))) g.expense_cents += c;
+  }
+  return [...groups.values()];
+}
+
+/** Deductions (net TDS Payable credits) in [from, to] with payee, section and amount paid. */
+export async function loadDeductions(sessionId, { from, to, policy }, run = query) {
+  const groups = (await tdsMovements(sessionId, from, to, run)).filter(g => g.net_cents > 0);
+  const docs = await loadDocModels(sessionId, groups.map(g => g.document_id), run);
+  const rates = policy?.tds?.rates || {};
+  return groups.map(g => {
+    const d = g.document_id ? docs.get(g.document_id) : null;
+    const dm = d?.dm || {};
+    const section = String(dm.tds?.section || g.section || "").toUpperCase() || null;
+    const rate = Number(rates[section]) || null;
+    const baseUnits = Number(dm.tds?.base || dm.taxable || dm.subtotal || 0);
+    const paid = baseUnits > 0 ? Math.round(baseUnits * 100)
+      : g.expense_cents > 0 ? g.expense_cents
+      : rate ? Math.round(g.net_cents / rate) : 0;
+    return {
+      key: g.key,
+      document_id: g.document_id,
+      document_number: d?.number || null,
+      ledger_entry_id: g.ledger_entry_id,
+      date: g.date,
+      payee: dm.payee || dm.tds?.payee || d?.party_name || (g.party ? g.party.replace(PARTY_PREFIX, "").trim() : null),
+      section,
+      rate,
+      tds_cents: g.net_cents,
+      paid_cents: paid,
+    };
+  });
+}
+
+/** TDS Payable clearing payments (net debits) and whether a challan already records them. */
+export async function loadClearingPayments(sessionId, { from = null, to }, run = query) {
+  const groups = (await tdsMovements(sessionId, from, to, run)).filter(g => g.net_cents < 0);
+  const { rows } = await run(
+    `SELECT id, payment_document_id, ledger_entry_id FROM tds_challans WHERE session_id = $1`,
+    [sessionId]
+  );
+  const linked = new Map();
+  for (const c of rows || []) {
+    if (c.payment_document_id) linked.set(`doc:${c.payment_document_id}`, c.id);
+    if (c.ledger_entry_id) linked.set(`le:${c.ledger_entry_id}`, c.id);
+  }
+  return groups.map(g => ({
+    document_id: g.document_id,
+    ledger_entry_id: g.ledger_entry_id,
+    date: g.date,
+    narration: g.narration,
+    amount_cents: -g.net_cents,
+    challan_id: linked.get(g.key) || null,
+  }));
+}
+
+/* ------------------------ challans ------------------------ */
+
+export async function listChallans(sessionId, { from = null, to = null } = {}, run = query) {
+  const { rows } = await run(
+    `SELECT * FROM tds_challans
+      WHERE session_id = $1
+        AND ($2 IS NULL OR deposit_date >= $2)
+        AND ($3 IS NULL OR deposit_date <= $3)
+      ORDER BY deposit_date, challan_serial`,
+    [sessionId, from, to]
+  );
+  return rows || [];
+}
+
+/**
+ * Record a challan. `paymentDocumentId` / `ledgerEntryId` must point at a TDS Payable
+ * clearing payment; the challan total must equal that payment.
+ */
+export async function createChallan(sessionId, input, run = query) {
+  const bad = (msg) => { const e = new Error(msg); e.http = 400; return e; };
+  const bsr = String(input.bsrCode || "").trim();
+  const serial = String(input.challanSerial || "").trim();
+  const date = String(input.depositDate || "").slice(0, 10);
+  const cents = (v) => Math.round(Number(v || 0) * 100);
+  if (!/^\d{7}$/.test(bsr)) throw bad("bsrCode must be 7 digits");
+  if (!/^\d{1,5}$/.test(serial)) throw bad("challanSerial must be up to 5 digits");
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) throw bad("depositDate must be YYYY-MM-DD");
+
+  const tds = cents(input.tds), interest = cents(input.interest), fee = cents(input.fee), others = cents(input.others);
+  const total = input.amount != null ? cents(input.amount) : tds + interest + fee + others;
+  if (!(total > 0)) throw bad("amount must be positive");
+  if (tds + interest + fee + others !== total) throw bad("tds + interest + fee + others must equal amount");
+
+  const docId = input.paymentDocumentId || null;
+  const leId = input.ledgerEntryId || null;
+  if (docId || leId) {
+    const payments = await loadClearingPayments(sessionId, { to: "9999-12-31" }, run);
+    const p = payments.find(x => (docId && x.document_id === docId) || (leId && x.ledger_entry_id === leId));
+    if (!p) throw bad("Linked payment does not debit TDS Payable");
+    if (p.challan_id) { const e = new Error("Payment already linked to a challan"); e.http = 409; throw e; }
+    if (p.amount_cents !== total) throw bad(`Challan amount ${total / 100} differs from the payment ${p.amount_cents / 100}`);
+  }
+
+  const id = randomUUID();
+  await run(
+    `INSERT INTO tds_challans
+       (id, session_id, bsr_code, challan_serial, deposit_date, section, tds_cents, interest_cents,
+        fee_cents, others_cents, amount_cents, payment_document_id, ledger_entry_id, created_by)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14)`,
+    [id, sessionId, bsr, serial, date, input.section ? String(input.section).toUpperCase() : null,
+     tds, interest, fee, others, total, docId, leId, input.userId || null]
+  );
+  return { id };
+}
+
+/* ------------------------ 26Q ------------------------ */
+
+/**
+ * Quarterly 26Q data: deductions of the quarter matched to deductees and allocated
+ * to challans (FIFO, challans deposited up to the filing date), with exception flags.
+ */
+export async function prepare26Q(sessionId, { fy, quarter, policy }, run = query) {
+  const bounds = quarterBounds(fy, quarter, policy?.financialYear?.startMonth || 4);
+  if (!bounds) { const e = new Error("quarter must be Q1..Q4"); e.http = 400; throw e; }
+
+  const deductees = await listDeductees(sessionId, run);
+  const deductions = await loadDeductions(sessionId, { from: bounds.from, to: bounds.to, policy }, run);
+  // Challans of earlier quarters may still have headroom; later deposits pay this quarter late.
+  const challans = await listChallans(sessionId, { from: null, to: null }, run);
+  const earlier = await loadDeductions(sessionId, { from: null, to: addDays(bounds.from, -1), policy }, run);
+
+  // Consume challan headroom with earlier deductions first so this quarter gets what remains.
+  const pre = allocateChallans(earlier, challans);
+  const left = pre.challans.map(c => ({ ...c, tds_cents: c.tds_cents - c.used_cents }));
+  const { deductions: alloc, challans: used } = allocateChallans(deductions, left);
+
+  const rows = alloc.map(d => ({ ...d, deductee: deducteeFor(deductees, d.payee, d.section) }));
+  const flags = {
+    no_challan: rows.filter(r => r.unallocated_cents > 0).map(r => ({ key: r.key, date: r.date, payee: r.payee, unallocated_cents: r.unallocated_cents })),
+    late_deposit: rows.filter(r => r.late).map(r => ({ key: r.key, date: r.date, payee: r.payee, due_date: r.due_date, deposit_date: r.deposit_date, interest_cents: r.interest_cents })),
+    deductee_missing: rows.filter(r => !r.deductee).map(r => ({ key: r.key, payee: r.payee, section: r.section })),
+    section_missing: rows.filter(r => !r.section).map(r => ({ key: r.key, payee: r.payee })),
+    // No NSDL code: unknown section, or 194I / 194J without the (a)/(b) sub-clause
+    section_unknown: rows.filter(r => r.section && !sectionCode(r.section)).map(r => ({ key: r.key, payee: r.payee, section: r.section })),
+  };
+
+  const byId = new Map(challans.map(c => [c.id, c]));
+  const challanRows = new Map();
+  for (const r of rows) {
+    for (const a of r.challans) {
+      if (!challanRows.has(a.challan_id)) challanRows.set(a.challan_id, []);
+      const paidShare = r.tds_cents ? Math.round(r.paid_cents * a.cents / r.tds_cents) : 0;
+      challanRows.get(a.challan_id).push({
+        deductee: r.deductee || { name: r.payee, pan: null },
+        section: r.section, date: r.date, rate: r.rate, tds_cents: a.cents, paid_cents: paidShare,
+      });
+    }
+  }
+  const challanList = [...challanRows.entries()]
+    .map(([id, list]) => ({ ...byId.get(id), rows: list, used_cents: used.find(u => u.id === id)?.used_cents || 0 }))
+    .sort((a, b) => (a.deposit_date < b.deposit_date ? -1 : 1));
+
+  return {
+    fy, quarter, ...bounds,
+    deductions: rows,
+    challans: challanList,
+    flags,
+    totals: {
+      tds_cents: rows.reduce((s, r) => s + r.tds_cents, 0),
+      deposited_cents: rows.reduce((s, r) => s + r.tds_cents - r.unallocated_cents, 0),
+      interest_cents: rows.reduce((s, r) => s + r.interest_cents, 0),
+    },
+  };
+}
+
+function addDays(isoDate, n) {
+  const d = new Date(`${isoDate}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+export function deductorFromEnv() {
+  return {
+    tan: process.env.ORG_TAN || "",
+    pan: process.env.ORG_PAN || "",
+    name: process.env.ORG_NAME || process.env.COMPANY_NAME || "",
+    address: process.env.ORG_ADDRESS || process.env.COMPANY_ADDRESS || "",
+    email: process.env.ORG_EMAIL || "",
+  };
+}
@@ -0,0 +1,171 @@
+// services/warehouses.js
+// Stock locations (migration 040). Every workspace has a default warehouse, where movements that
+// name no location land, and, once it transfers stock, an in-transit location that holds goods
+// dispatched but not yet received. Both are created on first use.
+import { randomUUID } from "crypto";
+import { query, withTx } from "./db.js";
+import { writeAudit } from "./audit.js";
+
+function httpError(status, message) {
+  const e = new Error(message);
+  e.http = status;
+  return e;
+}
+
+const blank = (v) => v === undefined || v === null || String(v).trim() === "";
+const has = (o, ...keys) => keys.some(k => Object.prototype.hasOwnProperty.call(o, k));
+const pick = (o, ...keys) => { for (const k of keys) if (has(o, k)) return o[k]; return undefined; };
+const flagOf = (v) => (v === false || Number(v) === 0 || v === "false" ? 0 : 1);
+const codeOf = (s) => String(s || "").replace(/\s+/g, "").toUpperCase().slice(0, 12);
+
+const SELECT = `
+  SELECT w.id, w.code, w.name, w.address, w.is_default, w.is_transit, w.is_active, w.created_at, w.updated_at
+    FROM warehouses w`;
+
+export async function listWarehouses(sessionId, { includeInactive = false, includeTransit = false } = {}) {
+  const { rows } = await query(
+    `${SELECT}
+      WHERE w.session_id = $1 AND ($2 = 1 OR w.is_active = 1) AND ($3 = 1 OR w.is_transit = 0)
+      ORDER BY w.is_transit, w.is_default DESC, w.name`,
+    [sessionId, includeInactive ? 1 : 0, includeTransit ? 1 : 0]
+  );
+  return rows || [];
+}
+
+export async function getWarehouse(sessionId, id, run = query) {
+  const { rows } = await run(`${SELECT} WHERE w.id = $1 AND w.session_id = $2`, [id, sessionId]);
+  if (!rows?.length) throw httpError(404, "Warehouse not found in this workspace");
+  return rows[0];
+}
+
+/** The workspace's default location; the oldest warehouse, or a new "Main", becomes it. */
+export async function defaultWarehouse(sessionId, run = query) {
+  const { rows } = await run(`${SELECT} WHERE w.session_id = $1 AND w.is_default = 1`, [sessionId]);
+  if (rows?.length) return rows[0];
+  const { rows: first } = await run(
+    `SELECT id FROM warehouses WHERE session_id = $1 AND is_transit = 0 AND is_active = 1 ORDER BY created_at, rowid LIMIT 1`,
+    [sessionId]
+  );
+  if (first?.length) {
+    await run(`UPDATE warehouses SET is_default = 1, updated_at = datetime('now') WHERE id = $1`, [first[0].id]);
+    return getWarehouse(sessionId, first[0].id, run);
+  }
+  const id = randomUUID();
+  await run(
+    `INSERT INTO warehouses (id, session_id, name, code, is_default, updated_at) VALUES ($1,$2,'Main','MAIN',1, datetime('now'))`,
+    [id, sessionId]
+  );
+  return getWarehouse(sessionId, id, run);
+}
+
+/** Goods dispatched on a transfer sit here until the destination receives them. */
+export async function transitWarehouse(sessionId, run = query) {
+  const { rows } = await run(`${SELECT} WHERE w.session_id = $1 AND w.is_transit = 1`, [sessionId]);
+  if (rows?.length) return rows[0];
+  const id = randomUUID();
+  await run(
+    `INSERT INTO warehouses (id, session_id, name, code, is_transit, updated_at) VALUES ($1,$2,'Goods in transit','TRANSIT',1, datetime('now'))`,
+    [id, sessionId]
+  );
+  return getWarehouse(sessionId, id, run);
+}
+
+/**
+ * Location a movement or document names — id, code or name — else the default warehouse.
+ * The in-transit location is only reachable through transfers.
+ */
+export async function resolveWarehouse(sessionId, ref, run = query) {
+  if (blank(ref)) return defaultWarehouse(sessionId, run);
+  const key = String(ref).trim();
+  const { rows } = await run(
+    `${SELECT}
+      WHERE w.session_id = $1 AND (w.id = $2 OR upper(w.code) = upper($2) OR lower(w.name) = lower($2))
+      ORDER BY CASE WHEN w.id = $2 THEN 0 WHEN upper(w.code) = upper($2) THEN 1 ELSE 2 END
+      LIMIT 1`,
+    [sessionId, key]
+  );
+  const w = rows?.[0];
+  if (!w) throw httpError(404, `Warehouse not found: ${key}`);
+  if (Number(w.is_transit)) throw httpError(409, "Goods in transit move only through stock transfers");
+  if (!Number(w.is_active)) throw httpError(409, `Warehouse ${w.name} is inactive`);
+  return w;
+}
+
+/** Warehouse reference on a document line or its header (warehouseId / warehouse). */
+export function warehouseRefOf(line = {}, docModel = {}) {
+  for (const o of [line, docModel]) {
+    const v = pick(o || {}, "warehouseId", "warehouse_id", "warehouse");
+    if (!blank(v)) return typeof v === "object" ? v.id || v.code || v.name || null : v;
+  }
+  return null;
+}
+
+/**
+ * Create (no id) or update a warehouse.
+ * input: { id?, name, code?, address?, isDefault?, isActive? }
+ * The default warehouse cannot be deactivated, and neither can one that still holds stock.
+ */
+export async function saveWarehouse(sessionId, input = {}, actorId = null) {
+  const prev = input.id ? await getWarehouse(sessionId, input.id) : null;
+  if (prev && Number(prev.is_transit)) throw httpError(409, "The in-transit location is managed by stock transfers");
+
+  const name = blank(input.name) ? prev?.name : String(input.name).trim();
+  if (!name) throw httpError(400, "name is required");
+  const code = blank(input.code) ? prev?.code || codeOf(name) : codeOf(input.code);
+  if (!code) throw httpError(400, "code is required");
+
+  const { rows: clash } = await query(
+    `SELECT id FROM warehouses WHERE session_id = $1 AND upper(code) = $2 AND id <> $3`,
+    [sessionId, code, prev?.id || ""]
+  );
+  if (clash?.length) throw httpError(409, `Warehouse code ${code} already exists`);
+
+  const isActive = has(input, "isActive", "is_active") ? flagOf(pick(input, "isActive", "is_active")) : prev ? Number(prev.is_active) : 1;
+  let isDefault = has(input, "isDefault", "is_default") ? flagOf(pick(input, "isDefault", "is_default")) : prev ? Number(prev.is_default) : 0;
+  if (!prev && !isDefault && isActive) {
+    const { rows } = await query(`SELECT 1 FROM warehouses WHERE session_id = $1 AND is_default = 1`, [sessionId]);
+    if (!rows?.length) isDefault = 1; // the first warehouse becomes the default
+  }
+  if (prev && Number(prev.is_default) && !isDefault) throw httpError(409, "Make another warehouse the default instead");
+  if (isDefault && !isActive) throw httpError(409, "The default warehouse cannot be inactive");
+  if (prev && Number(prev.is_active) && !isActive) {
+    const { rows } = await query(
+      `SELECT COUNT(*) AS n FROM (
+         SELECT item_id FROM stock_ledger WHERE session_id = $1 AND warehouse_id = $2
+          GROUP BY item_id HAVING ABS(SUM(qty_in) - SUM(qty_out)) > 0.0005)`,
+      [sessionId, prev.id]
+    );
+    if (Number(rows?.[0]?.n || 0) > 0) throw httpError(409, `${prev.name} still holds stock; transfer it out first`);
+  }
+
+  const id = prev?.id || randomUUID();
+  const row = { name, code, address: has(input, "address") ? input.address || null : prev?.address ?? null, is_active: isActive, is_default: isDefault };
+
+  await withTx(async (exec) => {
+    const run = exec || query;
+    if (isDefault) {
+      await run(`UPDATE warehouses SET is_default = 0, updated_at = datetime('now') WHERE session_id = $1 AND is_default = 1 AND id <> $2`, [sessionId, id]);
+    }
+    if (prev) {
+      await run(
+        `UPDATE warehouses SET name = $3, code = $4, address = $5, is_active = $6, is_default = $7, updated_at = datetime('now')
+          WHERE id = $1 AND session_id = $2`,
+        [id, sessionId, row.name, row.code, row.address, row.is_active, row.is_default]
+      );
+    } else {
+      await run(
+        `INSERT INTO warehouses (id, session_id, name, code, address, is_active, is_default, updated_at)
+         VALUES ($1,$2,$3,$4,$5,$6,$7, datetime('now'))`,
+        [id, sessionId, row.name, row.code, row.address, row.is_active, row.is_default]
+      );
+    }
+    const changes = prev
+      ? Object.fromEntries(Object.entries(row).filter(([k, v]) => (prev[k] ?? null) !== v).map(([k, v]) => [k, { from: prev[k] ?? null, to: v }]))
+      : row;
+    await writeAudit({
+      sessionId, userId: actorId, action: prev ? "warehouse_update" : "warehouse_create",
+      entity: "warehouses", entityId: id, details: changes,
+    }, run);
+  });
+  return { created: !prev, warehouse: await getWarehouse(sessionId, id) };
+}
@@ -17,3 +17,124 @@ export async function setDefaultSpendingAccount(sessionId, account) {
     [sessionId, account]
   );
 }
+
+export const COSTING_METHODS = ["wavg", "fifo"];
+const DEFAULT_INVENTORY_LEDGER = "Inventory";
+
+/** Costing method for items without their own, and the ledger stock valuation reconciles to. */
+export async function getInventorySettings(sessionId, run = query) {
+  const { rows } = await run(
+    `SELECT costing_method, inventory_ledger FROM workspace_settings WHERE session_id=$1 LIMIT 1`,
+    [sessionId]
+  );
+  const r = rows?.[0] || {};
+  return {
+    costingMethod: COSTING_METHODS.includes(r.costing_method) ? r.costing_method : "wavg",
+    inventoryLedger: r.inventory_ledger || DEFAULT_INVENTORY_LEDGER,
+  };
+}
+
+export async function setInventorySettings(sessionId, { costingMethod, inventoryLedger } = {}) {
+  const cur = await getInventorySettings(sessionId);
+  const method = costingMethod == null || costingMethod === "" ? cur.costingMethod : String(costingMethod).toLowerCase();
+  if (!COSTING_METHODS.includes(method)) {
+    const e = new Error(`costingMethod must be one of ${COSTING_METHODS.join(", ")}`);
+    e.http = 400;
+    throw e;
+  }
+  const ledger = String(inventoryLedger ?? "").trim() || cur.inventoryLedger;
+  await query(
+    `INSERT INTO workspace_settings(session_id, default_spending_account, costing_method, inventory_ledger, updated_at)
+     VALUES ($1, $2, $3, $4, datetime('now'))
+     ON CONFLICT(session_id) DO UPDATE SET costing_method=excluded.costing_method,
+                                           inventory_ledger=excluded.inventory_ledger, updated_at=datetime('now')`,
+    [sessionId, await getDefaultSpendingAccount(sessionId), method, ledger]
+  );
+  return getInventorySettings(sessionId);
+}
+
+export const DOC_FORMATS = ["pdf", "docx"];
+const BRANDING_TEXT = ["legalName", "tradeName", "address", "gstin", "pan", "phone", "email", "upiId", "upiName", "terms", "accentColor"];
+const BANK_TEXT = ["bankName", "accountName", "accountNo", "ifsc", "branch"];
+const IMAGE_DATA_URL = /^data:image\/(jpeg|jpg|png|webp);base64,[A-Za-z0-9+/=\s]+$/;
+const MAX_IMAGE_BYTES = 512 * 1024;
+
+function badRequest(message) {
+  const e = new Error(message);
+  e.http = 400;
+  return e;
+}
+
+// Workspace identity from the environment, for anything the branding does not set
+function envIdentity() {
+  const env = process.env;
+  return {
+    legalName: env.ORG_LEGAL_NAME || env.ORG_NAME || env.COMPANY_NAME || "",
+    address: env.COMPANY_ADDRESS || "",
+    gstin: env.ORG_GSTIN || "",
+  };
+}
+
+/**
+ * Letterhead for generated documents, merged over the environment identity.
+ * { legalName, tradeName, address, gstin, pan, phone, email, bank: { bankName, accountName, accountNo, ifsc, branch },
+ *   upiId, upiName, terms, accentColor, logo, signature, docFormat }
+ */
+export async function getBranding(sessionId, run = query) {
+  const { saved, docFormat } = await readBranding(sessionId, run);
+  const env = envIdentity();
+  return {
+    ...Object.fromEntries(BRANDING_TEXT.map(k => [k, saved[k] || env[k] || ""])),
+    bank: Object.fromEntries(BANK_TEXT.map(k => [k, saved.bank?.[k] || ""])),
+    logo: saved.logo || null,
+    signature: saved.signature || null,
+    docFormat,
+  };
+}
+
+async function readBranding(sessionId, run = query) {
+  const { rows } = await run(
+    `SELECT branding_json, doc_format FROM workspace_settings WHERE session_id=$1 LIMIT 1`,
+    [sessionId]
+  );
+  const r = rows?.[0] || {};
+  let saved = {};
+  try { saved = JSON.parse(r.branding_json || "{}") || {}; } catch {}
+  return { saved, docFormat: DOC_FORMATS.includes(r.doc_format) ? r.doc_format : "pdf" };
+}
+
+/**
+ * Update the letterhead; omitted fields keep their value, null / "" clears them.
+ * Images are data URLs (JPEG, PNG or WebP) of at most 512 KB.
+ */
+export async function setBranding(sessionId, input = {}) {
+  const { saved, docFormat } = await readBranding(sessionId);
+  const next = { ...saved, bank: { ...(saved.bank || {}) } };
+  for (const k of BRANDING_TEXT) if (k in input) next[k] = String(input[k] ?? "").trim();
+  for (const k of BANK_TEXT) if (input.bank && k in input.bank) next.bank[k] = String(input.bank[k] ?? "").trim();
+  for (const k of ["logo", "signature"]) {
+    if (!(k in input)) continue;
+    const v = input[k] ? String(input[k]) : null;
+    if (v && !IMAGE_DATA_URL.test(v)) throw badRequest(`${k} must be a JPEG, PNG or WebP data URL`);
+    if (v && Buffer.byteLength(v.split(",")[1] || "", "base64") > MAX_IMAGE_BYTES) throw badRequest(`${k} image must be at most 512 KB`);
+    next[k] = v;
+  }
+  next.gstin = String(next.gstin || "").toUpperCase();
+  if (next.gstin && !/^[0-9]{2}[A-Z0-9]{13}$/.test(next.gstin)) throw badRequest("gstin must be a 15-character GSTIN");
+  if (next.upiId && !/^[\w.-]{2,}@[A-Za-z0-9.-]{2,}$/.test(next.upiId)) throw badRequest("upiId must look like name@bank");
+  if (next.accentColor && !/^#[0-9a-f]{6}$/i.test(next.accentColor)) throw badRequest("accentColor must be #rrggbb");
+  next.bank.ifsc = String(next.bank.ifsc || "").toUpperCase();
+  if (next.bank.ifsc && !/^[A-Z]{4}0[A-Z0-9]{6}$/.test(next.bank.ifsc)) throw badRequest("IFSC must be 11 characters like HDFC0001234");
+
+  const format = "docFormat" in input ? String(input.docFormat || "pdf").toLowerCase() : docFormat;
+  if (!DOC_FORMATS.includes(format)) throw badRequest(`docFormat must be one of ${DOC_FORMATS.join(", ")}`);
+
+  await query(
+    `INSERT INTO workspace_settings(session_id, default_spending_account, branding_json, doc_format, updated_at)
+     VALUES ($1, $2, $3, $4, datetime('now'))
+     ON CONFLICT(session_id) DO UPDATE SET branding_json=excluded.branding_json,
+                                           doc_format=excluded.doc_format, updated_at=datetime('now')`,
+    [sessionId, await getDefaultSpendingAccount(sessionId), JSON.stringify(next), format]
+  );
+  return getBranding(sessionId);
+}
@@ -0,0 +1,58 @@
+// test/accountStatement.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setupDb } from "./helpers/db.js";
+import { call } from "./helpers/http.js";
+
+const { query } = await setupDb();
+const { accountStatement } = await import("../controllers/reportsController.js");
+
+let n = 0;
+async function post(date, debit, credit, cents, narration = "") {
+  await query(
+    `INSERT INTO ledger_entries (id, session_id, debit_account, credit_account, amount_cents, narration, transaction_date)
+     VALUES ($1, 'ws1', $2, $3, $4, $5, $6)`,
+    [`as-${++n}`, debit, credit, cents, narration, date]
+  );
+}
+
+await post("2025-03-31", "Cash", "Capital Account", 500000, "opening capital");
+await post("2025-04-02", "Cash", "Sales", 120000, "cash sale");
+await post("2025-04-03", "Rent", "Cash", 30000, "april rent");
+await post("2025-05-01", "Cash", "Sales", 10000, "after range");
+// Another workspace's postings never leak into the statement.
+await query(
+  `INSERT INTO ledger_entries (id, session_id, debit_account, credit_account, amount_cents, narration, transaction_date)
+   VALUES ('other', 'ws2', 'Cash', 'Sales', 99900, '', '2025-04-02')`
+);
+
+const statement = (query, sessionId = "ws1") => call(accountStatement, { query, sessionId });
+
+test("opening, running and closing balances for a debit-normal ledger", async () => {
+  const r = await statement({ account: "Cash", from: "2025-04-01", to: "2025-04-30" });
+  assert.equal(r.status, 200);
+  assert.equal(r.body.normal_balance, "debit");
+  assert.equal(r.body.opening_balance, 5000);
+  assert.deepEqual(r.body.rows.map(x => [x.contra_account, x.debit, x.credit, x.balance]), [
+    ["Sales", 1200, 0, 6200],
+    ["Rent", 0, 300, 5900],
+  ]);
+  assert.deepEqual(r.body.totals, { debit: 1200, credit: 300 });
+  assert.equal(r.body.closing_balance, 5900);
+});
+
+test("accepts the account code and signs credit-normal ledgers Cr − Dr", async () => {
+  const sales = await statement({ account: "4000", from: "2025-04-01", to: "2025-05-31" });
+  assert.equal(sales.status, 200);
+  assert.equal(sales.body.account, "Sales");
+  assert.equal(sales.body.normal_balance, "credit");
+  assert.deepEqual(sales.body.rows.map(x => x.balance), [1200, 1300]);
+  assert.equal(sales.body.closing_balance, 1300);
+});
+
+test("rejects unknown accounts and bad ranges", async () => {
+  assert.equal((await statement({ account: "No Such Ledger" })).status, 404);
+  assert.equal((await statement({ account: "9999" })).status, 404);
+  assert.equal((await statement({})).status, 400);
+  assert.equal((await statement({ account: "Cash", from: "2025-05-01", to: "2025-04-01" })).status, 400);
+});
@@ -0,0 +1,52 @@
+// test/adminMoveSession.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setupDb } from "./helpers/db.js";
+import { call } from "./helpers/http.js";
+
+const { query } = await setupDb();
+const { createUser, createWorkspace, setMember, roleIn, createApiToken } = await import("../services/auth.js");
+const { createOrder, draftOrderInvoice, getSalesDocument } = await import("../services/salesOrders.js");
+const { default: adminRouter } = await import("../routes/admin.js");
+
+const moveSession = adminRouter.stack.find(l => l.route?.path === "/move-session").route.stack.at(-1).handle;
+const superadmin = { id: "root", roles: ["superadmin"] };
+
+test("moving a workspace carries its members and registry row; the target keeps its own", async () => {
+  const alice = await createUser({ email: "alice@example.com", password: "correct horse battery" });
+  const bob = await createUser({ email: "bob@example.com", password: "correct horse battery" });
+  await createWorkspace(alice.id, { id: "old", name: "Old Books" });
+  await setMember("old", { userId: bob.id, role: "viewer", actorId: alice.id });
+  await createWorkspace(bob.id, { id: "new", name: "New Books" });
+  const token = await createApiToken(alice.id, { sessionId: "old" });
+
+  const res = await call(moveSession, { user: superadmin, body: { from: "old", to: "new" } });
+  assert.equal(res.status, 200);
+
+  assert.equal(await roleIn(alice.id, "new"), "owner");
+  assert.equal(await roleIn(bob.id, "new"), "owner");
+  const left = await query(`SELECT COUNT(*) AS n FROM memberships WHERE session_id = 'old'`);
+  assert.equal(Number(left.rows[0].n), 0);
+
+  const ws = await query(`SELECT session_id, name FROM workspaces ORDER BY session_id`);
+  assert.deepEqual(ws.rows.map(r => [r.session_id, r.name]), [["new", "New Books"]]);
+  const tok = await query(`SELECT session_id FROM api_tokens WHERE id = $1`, [token.id]);
+  assert.equal(tok.rows[0].session_id, "new");
+});
+
+test("sales orders and their invoice drafts move with the session", async () => {
+  const items = [{ name: "Steel rack", hsn: "9403", qty: 10, rate: 100, gstRate: 18 }];
+  const so = await createOrder("ws-a", { date: "2025-06-01", buyer: "Kolhapur Stores", items });
+  await draftOrderInvoice("ws-a", so.id, { date: "2025-06-05", items: [{ line: 0, qty: 4 }] });
+
+  const res = await call(moveSession, { user: superadmin, body: { from: "ws-a", to: "ws-b" } });
+  assert.equal(res.status, 200);
+
+  const moved = await getSalesDocument("ws-b", so.id);
+  assert.deepEqual(moved.lines.map(l => l.drafted), [4]);
+  const left = await query(
+    `SELECT (SELECT COUNT(*) FROM sales_documents WHERE session_id = 'ws-a')
+          + (SELECT COUNT(*) FROM sales_order_invoices WHERE session_id = 'ws-a') AS n`
+  );
+  assert.equal(Number(left.rows[0].n), 0);
+});
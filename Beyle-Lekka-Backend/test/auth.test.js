@@ -0,0 +1,85 @@
+// test/auth.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setupDb } from "./helpers/db.js";
+import { call } from "./helpers/http.js";
+
+const { query } = await setupDb();
+const { createUser, loginWithPassword, createWorkspace, claimWorkspace, roleIn, jwtSecret } = await import("../services/auth.js");
+const { claim, postWorkspace } = await import("../controllers/authController.js");
+
+const admin = await createUser({ email: "admin@example.com", password: "correct horse battery" });
+const alice = await createUser({ email: "alice@example.com", password: "correct horse battery" });
+const bob = await createUser({ email: "bob@example.com", password: "correct horse battery" });
+
+test("the first user is superadmin; password login issues a token", async () => {
+  assert.equal(admin.is_superadmin, true);
+  assert.equal(alice.is_superadmin, false);
+  const out = await loginWithPassword("ALICE@example.com", "correct horse battery");
+  assert.equal(out.user.id, alice.id);
+  assert.ok(out.token);
+  await assert.rejects(loginWithPassword("alice@example.com", "wrong password!"), { http: 401 });
+});
+
+test("an enforced deployment refuses to sign tokens without JWT_SECRET", () => {
+  const saved = process.env.JWT_SECRET;
+  delete process.env.JWT_SECRET;
+  process.env.AUTH_REQUIRED = "true";
+  try {
+    assert.throws(() => jwtSecret(), /JWT_SECRET is not configured/);
+    process.env.JWT_SECRET = "s3cret";
+    assert.equal(jwtSecret(), "s3cret");
+  } finally {
+    delete process.env.AUTH_REQUIRED;
+    if (saved === undefined) delete process.env.JWT_SECRET;
+    else process.env.JWT_SECRET = saved;
+  }
+});
+
+test("creating a workspace makes the creator its owner; the id cannot be taken twice", async () => {
+  const res = await call(postWorkspace, { user: alice, body: { id: "acme", name: "Acme Traders" } });
+  assert.equal(res.status, 201);
+  assert.equal(await roleIn(alice.id, "acme"), "owner");
+  const again = await call(postWorkspace, { user: bob, body: { id: "acme" } });
+  assert.equal(again.status, 409);
+  assert.equal((await call(postWorkspace, { user: bob, body: { id: "ALL" } })).status, 400);
+});
+
+test("a logged-in user cannot claim a member-less workspace they did not create", async () => {
+  await query(`INSERT INTO workspaces (session_id, created_by) VALUES ('ws-alice', $1)`, [alice.id]);
+  const res = await call(claim, { user: bob, params: { id: "ws-alice" } });
+  assert.equal(res.status, 403);
+  assert.equal(res.body.error, "claim_not_allowed");
+  assert.equal((await call(claim, { user: bob, params: { id: "legacy" } })).status, 403);
+  assert.equal(await roleIn(bob.id, "ws-alice"), null);
+});
+
+test("the creator can claim their member-less workspace", async () => {
+  const res = await call(claim, { user: alice, params: { id: "ws-alice" } });
+  assert.equal(res.status, 201);
+  assert.equal(res.body.role, "owner");
+  const audit = await query(`SELECT details_json FROM audit_log WHERE session_id = 'ws-alice' AND action = 'claim_workspace'`);
+  assert.equal(JSON.parse(audit.rows[0].details_json).via, "creator");
+});
+
+test("the bootstrap token allows claiming a workspace with no registry row", async () => {
+  process.env.WORKSPACE_BOOTSTRAP_TOKEN = "let-me-in";
+  try {
+    assert.equal((await call(claim, { user: bob, params: { id: "legacy" }, body: { bootstrapToken: "nope" } })).status, 403);
+    const res = await call(claim, { user: bob, params: { id: "legacy" }, headers: { "X-Bootstrap-Token": "let-me-in" } });
+    assert.equal(res.status, 201);
+    assert.equal(await roleIn(bob.id, "legacy"), "owner");
+  } finally {
+    delete process.env.WORKSPACE_BOOTSTRAP_TOKEN;
+  }
+});
+
+test("a workspace that already has members cannot be claimed, even with the token", async () => {
+  process.env.WORKSPACE_BOOTSTRAP_TOKEN = "let-me-in";
+  try {
+    await assert.rejects(claimWorkspace("legacy", alice.id, { bootstrapToken: "let-me-in" }), { http: 409 });
+    await assert.rejects(createWorkspace(alice.id, { id: "legacy" }), { http: 409 });
+  } finally {
+    delete process.env.WORKSPACE_BOOTSTRAP_TOKEN;
+  }
+});
@@ -0,0 +1,103 @@
+// test/bankAccounts.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setupDb } from "./helpers/db.js";
+
+const { query } = await setupDb();
+const { normalizeIfsc, listBankAccounts, saveBankAccount, deleteBankAccount } = await import("../services/bankAccounts.js");
+
+const coa = async (name) =>
+  (await query(`SELECT name, type FROM chart_of_accounts WHERE lower(name) = lower($1)`, [name])).rows[0];
+
+test("IFSC must be in the RBI format; case and blanks are normalised", () => {
+  assert.equal(normalizeIfsc(" hdfc0001234 "), "HDFC0001234");
+  assert.equal(normalizeIfsc(""), null);
+  for (const bad of ["HDFC1001234", "HDF00001234", "HDFC000123"]) {
+    assert.throws(() => normalizeIfsc(bad), { http: 400 });
+  }
+});
+
+let hdfc;
+test("a new account gets its own asset ledger under the default name", async () => {
+  const out = await saveBankAccount("ws1", {
+    name: "HDFC Current", accountNo: "5010 0012 3456 78", ifsc: "hdfc0001234", accountType: "current",
+    openingBalance: 1250.5, openingDate: "2025-04-01",
+  }, "u1");
+  hdfc = out.account;
+  assert.equal(out.created, true);
+  assert.equal(hdfc.account_no, "50100012345678");
+  assert.equal(hdfc.ifsc, "HDFC0001234");
+  assert.equal(hdfc.account_type, "CURRENT");
+  assert.equal(Number(hdfc.opening_balance_cents), 125050);
+  const ledger = await coa(hdfc.ledger_account);
+  assert.equal(ledger.name, hdfc.ledger_account);
+  assert.equal(ledger.type, "Asset");
+  assert.match(hdfc.ledger_account, /^Bank - hdfc current$/i);
+  const audit = await query(`SELECT action FROM audit_log WHERE entity_id = $1`, [hdfc.id]);
+  assert.deepEqual(audit.rows.map(r => r.action), ["bank_account_create"]);
+});
+
+test("bad input is rejected", async () => {
+  await assert.rejects(saveBankAccount("ws1", {}), { http: 400 });
+  await assert.rejects(saveBankAccount("ws1", { name: "X", ifsc: "BAD" }), { http: 400 });
+  await assert.rejects(saveBankAccount("ws1", { name: "X", accountType: "FD" }), { http: 400 });
+  await assert.rejects(saveBankAccount("ws1", { name: "X", openingDate: "01-04-2025" }), { http: 400 });
+  await assert.rejects(saveBankAccount("ws1", { id: "nope", name: "X" }), { http: 404 });
+});
+
+test("one active account per ledger and per account number", async () => {
+  await assert.rejects(saveBankAccount("ws1", { name: "Dup ledger", ledger: hdfc.ledger_account }), { http: 409 });
+  await assert.rejects(saveBankAccount("ws1", { name: "Dup number", accountNo: "50100012345678" }), { http: 409 });
+});
+
+test("an update keeps what it does not mention and audits the changes", async () => {
+  const out = await saveBankAccount("ws1", { id: hdfc.id, branch: "Fort, Mumbai" }, "u1");
+  assert.equal(out.created, false);
+  assert.equal(out.account.branch, "Fort, Mumbai");
+  assert.equal(out.account.ifsc, "HDFC0001234");
+  assert.equal(out.account.ledger_account, hdfc.ledger_account);
+  const { rows } = await query(
+    `SELECT details_json FROM audit_log WHERE entity_id = $1 AND action = 'bank_account_update'`, [hdfc.id]
+  );
+  assert.deepEqual(JSON.parse(rows[0].details_json), { branch: { from: null, to: "Fort, Mumbai" } });
+});
+
+test("an inline facility is created on the account's ledger and linked", async () => {
+  const { account } = await saveBankAccount("ws1", {
+    name: "SBI OD", accountType: "OD", facility: { type: "OD", limit: 500000, validFrom: "2025-04-01" },
+  });
+  assert.ok(account.facility_id);
+  assert.equal(account.facility_type, "OD");
+  assert.equal(Number(account.facility_limit_cents), 50000000);
+  const { rows } = await query(`SELECT primary_account FROM account_facilities WHERE id = $1`, [account.facility_id]);
+  assert.equal(rows[0].primary_account, account.ledger_account);
+
+  // the same facility again is fine; a different limit must go through the limit history
+  await saveBankAccount("ws1", { id: account.id, facility: { type: "OD", limit: 500000 } });
+  await assert.rejects(saveBankAccount("ws1", { id: account.id, facility: { type: "OD", limit: 600000 } }), { http: 409 });
+  // a facility on another ledger cannot be linked
+  await assert.rejects(saveBankAccount("ws1", { id: hdfc.id, facilityId: account.facility_id }), { http: 409 });
+});
+
+test("deleting removes an unused account and deactivates one with statement lines", async () => {
+  const { account: spare } = await saveBankAccount("ws1", { name: "Spare" });
+  assert.deepEqual(await deleteBankAccount("ws1", spare.id), { id: spare.id, deleted: true, deactivated: false });
+
+  await query(
+    `INSERT INTO bank_statement_lines (id, session_id, bank_account_id, value_date, narration, amount_cents)
+     VALUES ('l1', 'ws1', $1, '2025-04-02', 'x', 100)`,
+    [hdfc.id]
+  );
+  assert.deepEqual(await deleteBankAccount("ws1", hdfc.id), { id: hdfc.id, deleted: false, deactivated: true });
+  const names = (await listBankAccounts("ws1")).map(a => a.name);
+  assert.deepEqual(names, ["SBI OD"]);
+  const all = await listBankAccounts("ws1", { includeInactive: true });
+  assert.equal(Number(all.find(a => a.id === hdfc.id).line_count), 1);
+  // its ledger and number are free again once it is inactive
+  await saveBankAccount("ws1", { name: "HDFC New", accountNo: "50100012345678", ledger: hdfc.ledger_account });
+});
+
+test("accounts are per workspace", async () => {
+  assert.deepEqual(await listBankAccounts("ws2"), []);
+  await assert.rejects(deleteBankAccount("ws2", hdfc.id), { http: 404 });
+});
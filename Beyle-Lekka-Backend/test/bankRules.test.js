@@ -0,0 +1,86 @@
+// test/bankRules.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setupDb } from "./helpers/db.js";
+import { call } from "./helpers/http.js";
+
+const { query } = await setupDb();
+const { saveRule, draftRulePreviews } = await import("../services/bankRules.js");
+const { confirmAndSaveEntry } = await import("../controllers/confirmAndSaveEntry.js");
+
+await query(
+  `INSERT INTO bank_accounts (id, session_id, name, ledger_account) VALUES ('ba1', 'ws1', 'HDFC Current', 'Bank')`
+);
+async function line(id, date, narration, cents) {
+  await query(
+    `INSERT INTO bank_statement_lines (id, session_id, bank_account_id, value_date, narration, amount_cents)
+     VALUES ($1, 'ws1', 'ba1', $2, $3, $4)`,
+    [id, date, narration, cents]
+  );
+}
+const lineRow = async (id) =>
+  (await query(`SELECT status, preview_id, rule_id FROM bank_statement_lines WHERE id = $1`, [id])).rows[0];
+const posted = async () => Number((await query(`SELECT COUNT(*) AS n FROM ledger_entries WHERE session_id = 'ws1'`)).rows[0].n);
+const confirm = (d, key) => call(confirmAndSaveEntry, { body: { previewId: d.previewId, hash: d.hash, idempotencyKey: key } });
+
+const { id: ruleId } = await saveRule("ws1", { name: "Counter sales", pattern: "COUNTER SALE", direction: "in", counterAccount: "Sales" });
+await line("bl1", "2025-07-02", "UPI/COUNTER SALE/1", 250000);
+await line("bl2", "2025-07-03", "NEFT/UNKNOWN", 9900);
+
+test("a line with a live draft is not drafted again", async () => {
+  const first = await draftRulePreviews("ws1", { bankAccountId: "ba1" });
+  assert.equal(first.drafts.length, 1);
+  assert.equal(first.withoutRule, 1);
+  const [d] = first.drafts;
+  assert.equal(d.bankLineId, "bl1");
+  assert.equal((await lineRow("bl1")).preview_id, d.previewId);
+
+  const again = await draftRulePreviews("ws1", { bankAccountId: "ba1" });
+  assert.equal(again.drafts.length, 0);
+  assert.deepEqual(again.skipped, [{ bankLineId: "bl1", reason: "draft_pending", previewId: d.previewId }]);
+});
+
+test("an expired draft no longer holds the line", async () => {
+  const { preview_id } = await lineRow("bl1");
+  await query(`UPDATE preview_snapshots SET expires_at = '2000-01-01T00:00:00.000Z' WHERE preview_id = $1`, [preview_id]);
+  const out = await draftRulePreviews("ws1", { bankAccountId: "ba1" });
+  assert.equal(out.drafts.length, 1);
+  assert.notEqual(out.drafts[0].previewId, preview_id);
+});
+
+test("confirming a draft matches the line; a second draft for it rolls back with 409", async () => {
+  // Two live previews for bl1, as drafted before pending previews were recorded
+  await query(`UPDATE bank_statement_lines SET preview_id = NULL WHERE id = 'bl1'`);
+  const [a] = (await draftRulePreviews("ws1", { bankAccountId: "ba1" })).drafts;
+  await query(`UPDATE bank_statement_lines SET preview_id = NULL WHERE id = 'bl1'`);
+  const [b] = (await draftRulePreviews("ws1", { bankAccountId: "ba1" })).drafts;
+  assert.ok(a && b && a.previewId !== b.previewId);
+
+  const ok = await confirm(a, "bank-rule-a");
+  assert.equal(ok.status, 200);
+  const row = await lineRow("bl1");
+  assert.equal(row.status, "matched");
+  assert.equal(row.rule_id, ruleId);
+  const before = await posted();
+
+  // b's entry equals a's and would trip the duplicate-content check; reword it to reach step 3c
+  const snap = (await query(`SELECT payload_json FROM preview_snapshots WHERE preview_id = $1`, [b.previewId])).rows[0];
+  const payload = JSON.parse(snap.payload_json);
+  payload.journal = payload.journal.map(l => ({ ...l, narration: "second draft" }));
+  const { stableHash } = await import("../utils/preview/hash.js");
+  const hash = stableHash(payload);
+  await query(`UPDATE preview_snapshots SET payload_json = $1, hash = $2 WHERE preview_id = $3`, [JSON.stringify(payload), hash, b.previewId]);
+
+  const dup = await confirm({ previewId: b.previewId, hash }, "bank-rule-b");
+  assert.equal(dup.status, 409);
+  assert.match(dup.body.error, /already matched/);
+  assert.equal(await posted(), before);
+  const snapB = (await query(`SELECT status FROM preview_snapshots WHERE preview_id = $1`, [b.previewId])).rows[0];
+  assert.equal(snapB.status, "ACTIVE");
+});
+
+test("matched lines are not drafted", async () => {
+  const out = await draftRulePreviews("ws1", { bankAccountId: "ba1" });
+  assert.equal(out.drafts.length, 0);
+  assert.equal(out.unmatched, 1);
+});
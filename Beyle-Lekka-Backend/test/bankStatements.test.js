@@ -0,0 +1,102 @@
+// test/bankStatements.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setupDb } from "./helpers/db.js";
+
+const { query } = await setupDb();
+const { importStatement } = await import("../services/bankStatements.js");
+const { parseMt940 } = await import("../services/formats/mt940-bank-statement-v1.js");
+const { parseCamt053 } = await import("../services/formats/camt053-bank-statement-v1.js");
+const { parseOfx } = await import("../services/formats/ofx-bank-statement-v1.js");
+
+await query(
+  `INSERT INTO bank_accounts (id, session_id, name, account_no) VALUES ('ba1', 'ws1', 'HDFC Current', '50100012345678')`
+);
+
+// Two daily statements of the same account in one file, then one for another account
+const mt940 = (stmts) => stmts.map(([ref, acct, open, lines, close]) => [
+  `:20:${ref}`, `:25:${acct}`, ":28C:1/1", `:60F:${open}`,
+  ...lines.flatMap(([l61, l86]) => [`:61:${l61}`, `:86:${l86}`]),
+  `:62F:${close}`, "-",
+].join("\r\n")).join("\r\n");
+
+const DAILY = mt940([
+  ["D1", "HDFC0000001/50100012345678", "C250401INR10000,00", [
+    ["2504010401D299,00NTRFNONREF//TXN001", "UPI/Acme Store"],
+    ["2504010401C1000,00NTRFNONREF//TXN002", "NEFT/Zen Retail"],
+  ], "C250401INR10701,00"],
+  ["D2", "HDFC0000001/50100012345678", "C250402INR10701,00", [
+    ["2504020402D1,00NTRFNONREF//TXN003", "SMS charges"],
+  ], "C250402INR10700,00"],
+  ["O1", "ICIC0000002/000401234567", "C250401INR500,00", [
+    ["2504010401C50,00NTRFNONREF//TXN900", "Interest"],
+  ], "C250401INR550,00"],
+]);
+
+test("parsers tag each line with the index of its statement", () => {
+  const { bank_txns, statements } = parseMt940(DAILY);
+  assert.equal(statements.length, 3);
+  assert.deepEqual(bank_txns.map(t => [t.ref, t.statement]), [["TXN001", 0], ["TXN002", 0], ["TXN003", 1], ["TXN900", 2]]);
+
+  const camt = parseCamt053(`<Document><BkToCstmrStmt>
+    <Stmt><Id>S1</Id><Acct><Id><IBAN>IN01</IBAN></Id></Acct>
+      <Ntry><Amt>5.00</Amt><CdtDbtInd>DBIT</CdtDbtInd><BookgDt><Dt>2025-04-01</Dt></BookgDt><AcctSvcrRef>A1</AcctSvcrRef></Ntry></Stmt>
+    <Stmt><Id>S2</Id><Acct><Id><IBAN>IN01</IBAN></Id></Acct>
+      <Ntry><Amt>7.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><BookgDt><Dt>2025-04-02</Dt></BookgDt><AcctSvcrRef>A2</AcctSvcrRef></Ntry></Stmt>
+  </BkToCstmrStmt></Document>`);
+  assert.deepEqual(camt.bank_txns.map(t => [t.ref, t.statement]), [["A1", 0], ["A2", 1]]);
+
+  const ofx = parseOfx(`<OFX><BANKMSGSRSV1>
+    <STMTTRNRS><STMTRS><CURDEF>INR<BANKACCTFROM><ACCTID>111</BANKACCTFROM><BANKTRANLIST>
+      <STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20250401<TRNAMT>-5.00<FITID>F1<NAME>Fee</STMTTRN></BANKTRANLIST></STMTRS></STMTTRNRS>
+    <STMTTRNRS><STMTRS><CURDEF>INR<BANKACCTFROM><ACCTID>111</BANKACCTFROM><BANKTRANLIST>
+      <STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20250402<TRNAMT>7.00<FITID>F2<NAME>Refund</STMTTRN></BANKTRANLIST></STMTRS></STMTTRNRS>
+  </BANKMSGSRSV1></OFX>`);
+  assert.deepEqual(ofx.bank_txns.map(t => [t.ref, t.statement]), [["F1", 0], ["F2", 1]]);
+});
+
+test("several statements of one account each keep only their own lines", async () => {
+  const out = await importStatement("ws1", { bankAccountId: "ba1", parsed: parseMt940(DAILY), format: "mt940-bank-statement-v1" });
+  assert.equal(out.imported, 3);
+  assert.equal(out.duplicates, 0);
+  assert.deepEqual(out.statements.map(s => [s.statementRef, s.lines, s.imported, s.balanceOk]), [["D1", 2, 2, true], ["D2", 1, 1, true]]);
+  assert.equal(out.openingBalanceSet, true);
+
+  const { rows } = await query(
+    `SELECT s.statement_ref, l.ext_ref FROM bank_statement_lines l JOIN bank_statements s ON s.id = l.statement_id
+      WHERE l.session_id = 'ws1' ORDER BY l.ext_ref`
+  );
+  assert.deepEqual(rows.map(r => [r.statement_ref, r.ext_ref]), [["D1", "TXN001"], ["D1", "TXN002"], ["D2", "TXN003"]]);
+  const acct = (await query(`SELECT opening_balance_cents FROM bank_accounts WHERE id = 'ba1'`)).rows[0];
+  assert.equal(Number(acct.opening_balance_cents), 1000000);
+});
+
+test("re-importing the file only counts duplicates", async () => {
+  const out = await importStatement("ws1", { bankAccountId: "ba1", parsed: parseMt940(DAILY), format: "mt940-bank-statement-v1" });
+  assert.equal(out.imported, 0);
+  assert.equal(out.duplicates, 3);
+});
+
+test("a file for several accounts needs accountRef when the account number does not pick one", async () => {
+  await query(`INSERT INTO bank_accounts (id, session_id, name) VALUES ('ba2', 'ws1', 'No number')`);
+  await assert.rejects(
+    importStatement("ws1", { bankAccountId: "ba2", parsed: parseMt940(DAILY), format: "mt940-bank-statement-v1" }),
+    (e) => e.http === 400 && e.accounts.length === 2
+  );
+  const out = await importStatement("ws1", {
+    bankAccountId: "ba2", parsed: parseMt940(DAILY), format: "mt940-bank-statement-v1", accountRef: "ICIC0000002/000401234567",
+  });
+  assert.deepEqual(out.statements.map(s => [s.statementRef, s.imported]), [["O1", 1]]);
+});
+
+test("lines without statements (CSV profiles) land under one statement", async () => {
+  await query(`INSERT INTO bank_accounts (id, session_id, name) VALUES ('ba3', 'ws1', 'Cash credit')`);
+  const parsed = { bank_txns: [
+    { date: "02/04/2025", narration: "a", amount_cents: 100 },
+    { date: "2025-04-03", narration: "b", amount_cents: -40 },
+  ] };
+  const out = await importStatement("ws1", { bankAccountId: "ba3", parsed, format: "csv" });
+  assert.equal(out.statements.length, 1);
+  assert.equal(out.statements[0].imported, 2);
+  assert.equal(out.statements[0].balanceOk, null);
+});
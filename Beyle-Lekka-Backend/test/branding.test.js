@@ -0,0 +1,93 @@
+// test/branding.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import zlib from "zlib";
+import { setupDb } from "./helpers/db.js";
+
+process.env.ORG_GSTIN = "27AAPFU0939F1ZV";
+process.env.ORG_LEGAL_NAME = "Env Traders";
+process.env.COMPANY_ADDRESS = "12 Market Road, Pune 411001";
+
+const { query } = await setupDb();
+const { getBranding, setBranding } = await import("../services/workspaceSettings.js");
+const { sellerIdentity, einvoicePayload } = await import("../services/einvoice.js");
+const { ewayBillJson } = await import("../services/ewaybill.js");
+const { amountInWords, numberInWords } = await import("../utils/docGenerators/pdf/words.js");
+const { generateInvoicePdf } = await import("../utils/docGenerators/pdf/invoice.js");
+
+const dm = {
+  buyer: "Bengaluru Mills", customerGSTIN: "29AAGCB7383J1Z4", buyerAddress: "4 Mill Lane, Bengaluru 560001",
+  items: [{ name: "Cotton yarn", hsn: "5205", qty: 1000, rate: 60, gstRate: 5, uom: "kg" }],
+  transport: { vehicleNo: "KA01AB1234", distanceKm: 20 },
+};
+
+async function postDoc(sessionId, id) {
+  await query(
+    `INSERT INTO documents (id, session_id, doc_type, number, date, party_name, gross_amount_cents, status, payload_json)
+     VALUES ($1, $2, 'invoice', 'INV-1', '2025-05-10', 'Bengaluru Mills', 6300000, 'FINALIZED', $3)`,
+    [id, sessionId, JSON.stringify(dm)]
+  );
+}
+
+test("amounts are spelled out Indian style with paise", () => {
+  assert.equal(numberInWords(12345678), "One Crore Twenty Three Lakh Forty Five Thousand Six Hundred Seventy Eight");
+  assert.equal(amountInWords(1180.5), "Rupees One Thousand One Hundred Eighty and Fifty Paise Only");
+  assert.equal(amountInWords(0.75), "Seventy Five Paise Only");
+  assert.equal(amountInWords(0), "Rupees Zero Only");
+});
+
+test("branding is validated and merged over the environment identity", async () => {
+  await assert.rejects(setBranding("ws1", { gstin: "ABC" }), { http: 400 });
+  await assert.rejects(setBranding("ws1", { upiId: "nobank" }), { http: 400 });
+  await assert.rejects(setBranding("ws1", { bank: { ifsc: "HDFC1234" } }), { http: 400 });
+  await assert.rejects(setBranding("ws1", { logo: "https://example.com/logo.png" }), { http: 400 });
+
+  const env = await getBranding("ws1");
+  assert.deepEqual([env.legalName, env.gstin, env.docFormat], ["Env Traders", "27AAPFU0939F1ZV", "pdf"]);
+
+  const b = await setBranding("ws1", {
+    legalName: "Beyle Textiles LLP", gstin: "29aagcb1234k1z5", address: "7 Loom Street, Mysuru 570001", bank: { ifsc: "hdfc0001234" },
+  });
+  assert.deepEqual([b.legalName, b.gstin, b.bank.ifsc], ["Beyle Textiles LLP", "29AAGCB1234K1Z5", "HDFC0001234"]);
+  assert.equal((await setBranding("ws1", { legalName: "" })).legalName, "Env Traders");
+  await setBranding("ws1", { legalName: "Beyle Textiles LLP" });
+});
+
+test("e-invoices and e-way bills take the seller from the workspace branding, else the environment", async () => {
+  assert.deepEqual(await sellerIdentity("ws1"), {
+    gstin: "29AAGCB1234K1Z5", name: "Beyle Textiles LLP", address: "7 Loom Street, Mysuru 570001", location: "", pin: "",
+  });
+  assert.equal((await sellerIdentity("ws2")).gstin, "27AAPFU0939F1ZV");
+
+  await postDoc("ws1", "inv-ws1");
+  await postDoc("ws2", "inv-ws2");
+  const mine = await einvoicePayload("ws1", "inv-ws1");
+  assert.deepEqual([mine.payload.SellerDtls.Gstin, mine.payload.SellerDtls.LglNm, mine.payload.SellerDtls.Pin], ["29AAGCB1234K1Z5", "Beyle Textiles LLP", 570001]);
+  assert.equal(mine.payload.ValDtls.CgstVal, 1500);
+  const other = await einvoicePayload("ws2", "inv-ws2");
+  assert.deepEqual([other.payload.SellerDtls.Gstin, other.payload.ValDtls.IgstVal], ["27AAPFU0939F1ZV", 3000]);
+
+  const { json } = await ewayBillJson("ws1", ["inv-ws1"]);
+  assert.deepEqual([json.billLists[0].fromGstin, json.billLists[0].fromPincode], ["29AAGCB1234K1Z5", 570001]);
+});
+
+test("an invoice renders as a PDF with the letterhead, tax and amount in words", async () => {
+  const meta = await generateInvoicePdf({
+    branding: await getBranding("ws1"),
+    structured: { docType: "invoice", documentFields: { invoice: { ...dm, number: "INV-1", date: "2025-05-10" } } },
+  });
+  try {
+    const buf = fs.readFileSync(meta.absPath);
+    assert.equal(buf.subarray(0, 5).toString(), "%PDF-");
+    const text = [...buf.toString("latin1").matchAll(/stream\r?\n([\s\S]*?)\r?\nendstream/g)]
+      .map(m => { try { return zlib.inflateSync(Buffer.from(m[1], "latin1")).toString("latin1"); } catch { return ""; } })
+      .join("\n");
+    assert.match(text, /TAX INVOICE/);
+    assert.match(text, /Beyle Textiles LLP/);
+    assert.match(text, /29AAGCB1234K1Z5/);
+    assert.match(text, /Sixty Three Thousand/);
+  } finally {
+    fs.rmSync(meta.absPath, { force: true });
+  }
+});
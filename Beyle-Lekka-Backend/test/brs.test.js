@@ -0,0 +1,90 @@
+// test/brs.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setupDb } from "./helpers/db.js";
+
+const { query } = await setupDb();
+const { brsReport } = await import("../services/brs.js");
+const { createMatchGroup, excludeLines } = await import("../services/recoGroups.js");
+const { buildBrs } = await import("../utils/reports/brs.js");
+
+await query(
+  `INSERT INTO bank_accounts (id, session_id, name, ledger_account, opening_balance_cents)
+   VALUES ('ba1', 'ws1', 'HDFC Current', 'Bank', 0)`
+);
+async function line(id, date, narration, cents) {
+  await query(
+    `INSERT INTO bank_statement_lines (id, session_id, bank_account_id, value_date, narration, amount_cents)
+     VALUES ($1, 'ws1', 'ba1', $2, $3, $4)`,
+    [id, date, narration, cents]
+  );
+}
+async function entry(id, date, debit, credit, cents, narration = "") {
+  await query(
+    `INSERT INTO ledger_entries (id, session_id, debit_account, credit_account, amount_cents, narration, transaction_date)
+     VALUES ($1, 'ws1', $2, $3, $4, $5, $6)`,
+    [id, debit, credit, cents, narration, date]
+  );
+}
+
+await entry("rcpt", "2025-07-02", "Bank", "Sales", 100000, "receipt");
+await entry("chq", "2025-07-05", "Rent", "Bank", 30000, "cheque 101");
+await line("l-rcpt", "2025-07-02", "NEFT RECEIPT", 100000);
+await line("l-chg", "2025-07-08", "SMS CHARGES", -5000);
+// a cheque returned and re-credited the same day: both lines excluded, net nil
+await line("l-ret", "2025-07-09", "CHQ RETURN", -20000);
+await line("l-rev", "2025-07-09", "CHQ RETURN REVERSAL", 20000);
+await createMatchGroup("ws1", { bankLineIds: ["l-rcpt"], ledgerEntryIds: ["rcpt"] });
+await excludeLines("ws1", { bankLineIds: ["l-ret", "l-rev"], reason: "returned and re-credited" });
+
+test("excluded lines count in the statement totals but are not reconciling items", async () => {
+  const r = await brsReport("ws1", { bankAccountId: "ba1", asOf: "2025-07-31" });
+  assert.equal(r.book_cents, 70000);
+  assert.deepEqual(r.sections.chequesNotPresented.rows.map(e => e.id), ["chq"]);
+  assert.deepEqual(r.sections.bankDebits.rows.map(l => l.id), ["l-chg"]);
+  assert.deepEqual(r.sections.bankCredits.rows, []);
+  assert.equal(r.adjusted_cents, 70000 + 30000 - 5000);
+  assert.deepEqual(r.statement, { opening_cents: 0, movements_cents: 95000, closing_cents: 95000 });
+  assert.equal(r.difference_cents, 0);
+  assert.deepEqual(r.excluded, { count: 2, cents: 0 });
+});
+
+test("an excluded line that moved the balance shows up as a difference, not as silence", () => {
+  const r = buildBrs({
+    asOf: "2025-07-31",
+    entries: [{ id: "e1", date: "2025-07-02", cents: 100000 }],
+    lines: [
+      { id: "b1", date: "2025-07-02", cents: 100000, status: "matched" },
+      { id: "b2", date: "2025-07-10", cents: -1500, status: "excluded" },
+    ],
+    items: [
+      { group_id: "g1", kind: "bank", ref_id: "b1", date: "2025-07-02", on_bank_ledger: 0 },
+      { group_id: "g1", kind: "ledger", ref_id: "e1", date: "2025-07-02", on_bank_ledger: 1 },
+    ],
+    openingCents: 0,
+    statementStart: "2025-07-01",
+  });
+  assert.equal(r.statement.movements_cents, 98500);
+  assert.equal(r.statement.closing_cents, 98500);
+  assert.equal(r.sections.bankDebits.rows.length, 0);
+  assert.equal(r.adjusted_cents, 100000);
+  assert.equal(r.difference_cents, -1500);
+  assert.deepEqual(r.excluded, { count: 1, cents: -1500 });
+});
+
+test("a match group is cleared only when all its members are dated on or before asOf", async () => {
+  await entry("dep", "2025-07-30", "Bank", "Sales", 40000, "deposit");
+  await line("l-dep", "2025-08-02", "CASH DEPOSIT", 40000);
+  await createMatchGroup("ws1", { bankLineIds: ["l-dep"], ledgerEntryIds: ["dep"] });
+  const july = await brsReport("ws1", { bankAccountId: "ba1", asOf: "2025-07-31" });
+  assert.deepEqual(july.sections.depositsNotCredited.rows.map(e => e.id), ["dep"]);
+  assert.equal(july.difference_cents, 0);
+  const aug = await brsReport("ws1", { bankAccountId: "ba1", asOf: "2025-08-31" });
+  assert.deepEqual(aug.sections.depositsNotCredited.rows, []);
+  assert.equal(aug.difference_cents, 0);
+});
+
+test("the account must belong to the workspace", async () => {
+  await assert.rejects(brsReport("ws2", { bankAccountId: "ba1", asOf: "2025-07-31" }), { http: 404 });
+  await assert.rejects(brsReport("ws1", { asOf: "2025-07-31" }), { http: 400 });
+});
@@ -0,0 +1,72 @@
+// test/einvoice.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setupDb } from "./helpers/db.js";
+
+process.env.ORG_GSTIN = "27AAPFU0939F1ZV";
+process.env.ORG_LEGAL_NAME = "Beyle Traders Pvt Ltd";
+process.env.COMPANY_ADDRESS = "12 Market Road, Pune 411001";
+process.env.COMPANY_CITY = "Pune";
+
+const { query } = await setupDb();
+const { buildEInvoice, validateEInvoice, irpDate, unitCode } = await import("../utils/tax/einvoice.js");
+const { einvoicePayload, generateIrn, listEInvoices } = await import("../services/einvoice.js");
+
+const BUYER = "29AAGCB7383J1Z4";
+const dm = {
+  buyer: "Bengaluru Mills", customerGSTIN: BUYER, buyerAddress: "4 Mill Lane, Bengaluru 560001", buyerCity: "Bengaluru",
+  items: [
+    { name: "Cotton yarn", hsn: "5205", qty: 10, rate: 100, gstRate: 5, uom: "kg" },
+    { name: "Dyeing", hsn: "998821", qty: 1, rate: 500, gstRate: 18, uom: "hrs" },
+  ],
+  taxes: 140, total: 1640,
+};
+
+test("an inter-state invoice carries IGST, IRP dates and unit codes", () => {
+  const json = buildEInvoice({ doc_type: "invoice", number: "INV-7", date: "2025-05-04", dm }, {
+    seller: { gstin: "27AAPFU0939F1ZV", name: "Beyle Traders", address: "Pune 411001", location: "Pune" },
+  });
+  assert.deepEqual(json.DocDtls, { Typ: "INV", No: "INV-7", Dt: "04/05/2025" });
+  assert.equal(json.SellerDtls.Stcd, "27");
+  assert.equal(json.SellerDtls.Pin, 411001);
+  assert.equal(json.BuyerDtls.Pos, "29");
+  assert.deepEqual(json.ItemList.map(i => [i.Unit, i.IsServc, i.IgstAmt, i.CgstAmt]), [["KGS", "N", 50, 0], ["OTH", "Y", 90, 0]]);
+  assert.deepEqual([json.ValDtls.AssVal, json.ValDtls.IgstVal, json.ValDtls.TotInvVal], [1500, 140, 1640]);
+  assert.deepEqual(validateEInvoice(json, dm), []);
+  assert.equal(irpDate("2025-12-31T10:00:00Z"), "31/12/2025");
+  assert.equal(unitCode("Pieces"), "PCS");
+});
+
+test("validation reports schema and cross-check errors", () => {
+  const json = buildEInvoice({ doc_type: "invoice", number: "INV-8", date: "2025-05-04", dm: { ...dm, customerGSTIN: "27AAPFU0939F1ZV" } }, {
+    seller: { gstin: "27AAPFU0939F1ZV", name: "Beyle Traders", address: "Pune 411001", location: "Pune" },
+  });
+  const errors = validateEInvoice(json, { taxes: 999 });
+  assert.ok(errors.some(e => e.path === "BuyerDtls.Gstin" && /seller's GSTIN/.test(e.message)));
+  assert.ok(errors.some(e => e.path === "ItemList" && /books 999\.00/.test(e.message)));
+  assert.throws(() => buildEInvoice({ doc_type: "receipt", dm }), /No e-invoice/);
+});
+
+test("a posted note registers once with the stub IRP and keeps its IRN", async () => {
+  const note = { ...dm, originalInvoiceNumber: "INV-7", originalInvoiceDate: "2025-05-04" };
+  await query(
+    `INSERT INTO documents (id, session_id, doc_type, number, date, party_name, gross_amount_cents, status, payload_json)
+     VALUES ('cn-1', 'ws1', 'credit_note', 'CN-1', '2025-05-10', 'Bengaluru Mills', 164000, 'FINALIZED', $1)`,
+    [JSON.stringify(note)]
+  );
+  const { payload, valid, errors } = await einvoicePayload("ws1", "cn-1");
+  assert.deepEqual(errors, []);
+  assert.equal(valid, true);
+  assert.equal(payload.SellerDtls.Gstin, "27AAPFU0939F1ZV");
+  assert.deepEqual(payload.RefDtls.PrecDocDtls, [{ InvNo: "INV-7", InvDt: "04/05/2025" }]);
+  assert.deepEqual((await listEInvoices("ws1", { status: "pending" })).map(d => d.number), ["CN-1"]);
+
+  const r = await generateIrn("ws1", "cn-1");
+  assert.match(r.irn, /^[0-9a-f]{64}$/);
+  assert.ok(r.signed_qr.split(".").length === 3);
+  const { rows } = await query(`SELECT irn, irn_ack_no FROM documents WHERE id = 'cn-1'`);
+  assert.equal(rows[0].irn, r.irn);
+  assert.equal(rows[0].irn_ack_no, r.ack_no);
+  await assert.rejects(generateIrn("ws1", "cn-1"), { http: 409 });
+  assert.deepEqual((await listEInvoices("ws1", { status: "registered" })).map(d => d.number), ["CN-1"]);
+});
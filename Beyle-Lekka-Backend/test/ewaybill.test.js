@@ -0,0 +1,95 @@
+// test/ewaybill.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setupDb } from "./helpers/db.js";
+
+process.env.ORG_GSTIN = "27AAPFU0939F1ZV";
+process.env.ORG_LEGAL_NAME = "Beyle Traders Pvt Ltd";
+process.env.COMPANY_ADDRESS = "12 Market Road, Pune 411001";
+
+const { query } = await setupDb();
+const {
+  normalizeTransport, transportProblems, ewbValidUntil, invoiceEwayBill, transferEwayBill,
+} = await import("../utils/tax/ewaybill.js");
+const { listEwayBills, ewayBillJson, saveTransport, recordEwayBill } = await import("../services/ewaybill.js");
+
+const seller = { gstin: "27AAPFU0939F1ZV", name: "Beyle Traders", address: "12 Market Road, Pune 411001" };
+const dm = {
+  buyer: "Bengaluru Mills", customerGSTIN: "29AAGCB7383J1Z4", buyerAddress: "4 Mill Lane, Bengaluru 560001",
+  items: [
+    { name: "Cotton yarn", hsn: "5205", qty: 1000, rate: 60, gstRate: 5, uom: "kg" },
+    { name: "Freight", hsn: "996511", qty: 1, rate: 2000, gstRate: 18 },
+  ],
+};
+
+async function postDoc(id, docType, number, date, model) {
+  await query(
+    `INSERT INTO documents (id, session_id, doc_type, number, date, party_name, gross_amount_cents, status, payload_json)
+     VALUES ($1, 'ws1', $2, $3, $4, '', 0, 'FINALIZED', $5)`,
+    [id, docType, number, date, JSON.stringify(model)]
+  );
+}
+
+test("transport details are normalised and checked for Part B", () => {
+  const t = normalizeTransport({ vehicleNo: "mh 12 ab 1234", distance: "450" });
+  assert.deepEqual([t.mode, t.vehicleNo, t.distanceKm], ["road", "MH12AB1234", 450]);
+  assert.deepEqual(transportProblems(t), []);
+  assert.equal(normalizeTransport({}), null);
+  assert.deepEqual(transportProblems(normalizeTransport({ mode: "rail", distanceKm: 900 })),
+    ["rail transport needs the transport document number and date"]);
+  assert.ok(transportProblems(normalizeTransport({ vehicleNo: "X1", distanceKm: 5000 })).length >= 2);
+});
+
+test("validity runs one day per 200 km (20 km over-dimensional) to midnight", () => {
+  assert.equal(ewbValidUntil("2025-05-10 14:00:00", 150), "2025-05-11 23:59:59");
+  assert.equal(ewbValidUntil("2025-05-10 14:00:00", 450), "2025-05-13 23:59:59");
+  assert.equal(ewbValidUntil("2025-05-10 14:00:00", 45, "odc"), "2025-05-13 23:59:59");
+});
+
+test("an invoice bill carries the goods only; a transfer bill is a challan between own locations", () => {
+  const { bill, value, problems } = invoiceEwayBill(
+    { number: "INV-1", date: "2025-05-10", dm: { ...dm, transport: { vehicleNo: "MH12AB1234", distanceKm: 840 } } },
+    { seller }
+  );
+  assert.deepEqual(problems, []);
+  assert.equal(bill.itemList.length, 1);
+  assert.deepEqual([bill.totalValue, bill.igstValue, value], [60000, 3000, 63000]);
+  assert.deepEqual([bill.fromPincode, bill.toPincode, bill.toStateCode, bill.docDate], [411001, 560001, 29, "10/05/2025"]);
+
+  const services = invoiceEwayBill({ number: "INV-2", dm: { items: [dm.items[1]] } }, { seller });
+  assert.equal(services.bill, null);
+
+  const chl = transferEwayBill({
+    number: "STN-1", date: "2025-05-10",
+    dm: {
+      fromWarehouse: { name: "Pune", address: "Plot 4, Pune 411019" }, toWarehouse: { name: "Nashik", address: "Nashik 422001" },
+      items: [{ name: "Cotton yarn", hsn: "5205", qty: 100, amount: 6000 }], transport: { vehicleNo: "MH15CD4321", distanceKm: 210 },
+    },
+  }, { seller });
+  assert.deepEqual(chl.problems, []);
+  assert.deepEqual([chl.bill.docType, chl.bill.subSupplyType, chl.bill.toGstin, chl.bill.igstValue], ["CHL", 5, seller.gstin, 0]);
+});
+
+test("bulk JSON leaves out incomplete documents; a recorded EWB fixes the transport", async () => {
+  await postDoc("inv-1", "invoice", "INV-1", "2025-05-10", dm);
+  await postDoc("inv-2", "invoice", "INV-2", "2025-05-11", { ...dm, items: [{ ...dm.items[0], qty: 10 }] });
+  assert.deepEqual((await listEwayBills("ws1", { status: "pending" })).map(d => d.number), ["INV-1"]);
+
+  let out = await ewayBillJson("ws1", ["inv-1"]);
+  assert.equal(out.json.billLists.length, 0);
+  assert.deepEqual(out.skipped[0].problems, ["transport details missing"]);
+
+  const saved = await saveTransport("ws1", "inv-1", { vehicleNo: "MH12AB1234", distanceKm: 840 });
+  assert.deepEqual(saved.problems, []);
+  out = await ewayBillJson("ws1", ["inv-1"]);
+  assert.deepEqual(out.included, [{ id: "inv-1", number: "INV-1" }]);
+  assert.equal(out.json.billLists[0].fromGstin, "27AAPFU0939F1ZV");
+  assert.equal(out.json.billLists[0].vehicleNo, "MH12AB1234");
+
+  await assert.rejects(recordEwayBill("ws1", "inv-1", { ewbNo: "12345" }), { http: 400 });
+  const r = await recordEwayBill("ws1", "inv-1", { ewbNo: "3410 1234 5678", ewbDate: "2025-05-10 09:00:00" });
+  assert.deepEqual([r.ewb_no, r.ewb_valid_until], ["341012345678", "2025-05-15 23:59:59"]);
+  await assert.rejects(recordEwayBill("ws1", "inv-2", { ewbNo: "341012345678" }), { http: 409 });
+  await assert.rejects(saveTransport("ws1", "inv-1", { vehicleNo: "MH12AB9999", distanceKm: 840 }), { http: 409 });
+  assert.deepEqual((await listEwayBills("ws1", { status: "generated" })).map(d => d.number), ["INV-1"]);
+});
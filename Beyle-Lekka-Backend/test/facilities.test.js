@@ -0,0 +1,60 @@
+// test/facilities.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setupDb } from "./helpers/db.js";
+import { call } from "./helpers/http.js";
+
+const { query } = await setupDb();
+const { createFacility, changeLimit, closeFacility, headroom } = await import("../services/facilities.js");
+const { postClose } = await import("../controllers/facilitiesController.js");
+
+let n = 0;
+async function post(date, debit, credit, cents) {
+  await query(
+    `INSERT INTO ledger_entries (id, session_id, debit_account, credit_account, amount_cents, narration, transaction_date)
+     VALUES ($1, 'ws1', $2, $3, $4, '', $5)`,
+    [`fc-${++n}`, debit, credit, cents, date]
+  );
+}
+
+const od = await createFacility("ws1", { account: "Bank", type: "OD", limit: 1000, validFrom: "2025-04-01" });
+
+test("outflows may overdraw up to the limit in force that day", async () => {
+  await post("2025-05-01", "Bank", "Sales", 50000);
+  await post("2025-05-10", "Rent", "Bank", 80000);
+  await assert.rejects(post("2025-05-11", "Rent", "Bank", 80000), /Insufficient funds/);
+  const h = await headroom("ws1", { account: "Bank", asOf: "2025-05-10" });
+  assert.equal(h.utilised_cents, 30000);
+  assert.equal(h.available_cents, 70000);
+
+  await changeLimit("ws1", od.id, { limit: 2000, effectiveFrom: "2025-05-11", reason: "enhanced" });
+  await post("2025-05-11", "Rent", "Bank", 80000);
+  assert.equal((await headroom("ws1", { account: "Bank", asOf: "2025-05-11" })).utilised_cents, 110000);
+  await post("2025-05-20", "Bank", "Sales", 110000);
+});
+
+test("closing needs a reason and a date within the facility", async () => {
+  await assert.rejects(closeFacility("ws1", od.id, { closedOn: "2025-05-31" }), { http: 400 });
+  await assert.rejects(closeFacility("ws1", od.id, { closedOn: "2025-03-31", reason: "x" }), { http: 400 });
+});
+
+test("a facility drawn on the close date cannot be closed", async () => {
+  await assert.rejects(closeFacility("ws1", od.id, { closedOn: "2025-05-10", reason: "x" }), { http: 409 });
+});
+
+test("a facility drawn on a later date cannot be closed before it", async () => {
+  const res = await call(postClose, { params: { id: od.id }, body: { closedOn: "2025-05-05", reason: "repaid" } });
+  assert.equal(res.status, 409);
+  assert.match(res.body.error, /₹1100\.00 on 2025-05-11, after 2025-05-05/);
+  assert.deepEqual(res.body.headroom.utilisedAfter, { date: "2025-05-11", amount: 1100 });
+  const { rows } = await query(`SELECT status FROM account_facilities WHERE id = $1`, [od.id]);
+  assert.notEqual(rows[0].status, "closed");
+});
+
+test("once repaid it closes, and the limit stops from that date", async () => {
+  const f = await closeFacility("ws1", od.id, { closedOn: "2025-05-31", reason: "repaid" });
+  assert.equal(f.status, "closed");
+  assert.equal(f.valid_to, "2025-05-31");
+  await assert.rejects(closeFacility("ws1", od.id, { closedOn: "2025-06-30", reason: "x" }), { http: 409 });
+  await assert.rejects(post("2025-06-02", "Rent", "Bank", 100), /Insufficient funds/);
+});
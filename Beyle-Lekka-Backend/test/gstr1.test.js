@@ -0,0 +1,65 @@
+// test/gstr1.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setupDb } from "./helpers/db.js";
+
+await setupDb();
+const { buildGstr1, portalDate, returnPeriod, placeOfSupplyOf } = await import("../utils/tax/gstr1.js");
+
+const SELLER = "27AAPFU0939F1ZV";   // Maharashtra
+const KA_BUYER = "29AAGCB7383J1Z4"; // Karnataka
+
+const item = (amount, gstRate, hsn = "8471") => ({ name: "Laptop", hsn, qty: 1, amount, gstRate, uom: "NOS" });
+
+const docs = [
+  { doc_type: "invoice", number: "INV-1", date: "2025-04-03", dm: { customerGSTIN: KA_BUYER, items: [item(1000, 18), item(500, 5, "4901")] } },
+  { doc_type: "invoice", number: "INV-2", date: "2025-04-04", dm: { placeOfSupply: "07-Delhi", items: [item(200000, 18)] } },
+  { doc_type: "invoice", number: "INV-3", date: "2025-04-05", dm: { items: [item(1000, 18)] } },
+  { doc_type: "invoice", number: "INV-4", date: "2025-04-06", dm: { placeOfSupply: "07", items: [item(2000, 18)] } },
+  { doc_type: "credit_note", number: "CN-1", date: "2025-04-20", dm: { customerGSTIN: KA_BUYER, originalInvoiceNumber: "INV-1", items: [item(100, 18)] } },
+  { doc_type: "credit_note", number: "CN-2", date: "2025-04-21", dm: { items: [item(100, 18)] } },
+];
+
+const { json, rows, warnings } = buildGstr1(docs, { gstin: SELLER, fp: "042025" });
+
+test("registered buyers go to B2B with one itms row per rate", () => {
+  assert.equal(json.b2b.length, 1);
+  const [inv] = json.b2b[0].inv;
+  assert.equal(json.b2b[0].ctin, KA_BUYER);
+  assert.deepEqual([inv.inum, inv.idt, inv.pos, inv.val], ["INV-1", "03-04-2025", "29", 1705]);
+  assert.deepEqual(inv.itms.map(i => i.itm_det), [
+    { txval: 500, rt: 5, iamt: 25, csamt: 0 },
+    { txval: 1000, rt: 18, iamt: 180, csamt: 0 },
+  ]);
+  assert.equal(rows.b2b.length, 2);
+});
+
+test("large inter-state B2C invoices go to B2CL, the rest are summarised in B2CS", () => {
+  assert.deepEqual(json.b2cl.map(x => [x.pos, x.inv.map(i => i.inum)]), [["07", ["INV-2"]]]);
+  const b2cs = Object.fromEntries(json.b2cs.map(r => [`${r.sply_ty}|${r.pos}`, r]));
+  // INV-3 less the B2C credit note CN-2, both intra-state
+  assert.deepEqual(b2cs["INTRA|27"], { sply_ty: "INTRA", pos: "27", typ: "OE", rt: 18, txval: 900, iamt: 0, camt: 81, samt: 81, csamt: 0 });
+  assert.equal(b2cs["INTER|07"].iamt, 360);
+});
+
+test("credit notes to registered buyers go to CDNR and reduce the HSN summary", () => {
+  const nt = json.cdnr[0].nt[0];
+  assert.deepEqual([json.cdnr[0].ctin, nt.ntty, nt.nt_num, nt.nt_dt], [KA_BUYER, "C", "CN-1", "20-04-2025"]);
+  assert.equal(rows.cdnr[0].original_invoice, "INV-1");
+
+  const laptops = json.hsn.data.find(h => h.hsn_sc === "8471" && h.rt === 18);
+  // 1000 + 200000 + 1000 + 2000 − 100 − 100
+  assert.equal(laptops.txval, 203800);
+  assert.equal(laptops.qty, 2);
+});
+
+test("header, dates and warnings", () => {
+  assert.deepEqual([json.gstin, json.fp], [SELLER, "042025"]);
+  assert.equal(portalDate("2025-04-03"), "03-04-2025");
+  assert.equal(returnPeriod("2025-04-30"), "042025");
+  assert.equal(placeOfSupplyOf({ placeOfSupply: "7" }), "07");
+  assert.deepEqual(warnings, []);
+
+  const bad = buildGstr1([{ doc_type: "invoice", number: "X", date: "2025-04-01", dm: { items: [{ amount: 10, gstRate: 18 }] } }], { gstin: SELLER });
+  assert.deepEqual(bad.warnings, [{ number: "X", warning: "missing_hsn" }]);
+});
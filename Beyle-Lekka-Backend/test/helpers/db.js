@@ -0,0 +1,54 @@
+// test/helpers/db.js
+// A throwaway SQLite workspace for service tests: a temp file with every migration applied,
+// wired in as SQLITE_FILE before services/db.js is first imported. node --test runs each test
+// file in its own process, so each file gets its own database.
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import Database from "better-sqlite3";
+
+const MIGRATIONS = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..", "..", "migrations");
+
+// Archived migrations that databases created before they were retired still carry, and that
+// later migrations (014 onwards) build on. 021 used Postgres-only syntax and never ran on SQLite.
+const ARCHIVED = ["009_inventory_costing.sql", "010_org_placeholder.sql"];
+
+function migrationFiles() {
+  const live = fs.readdirSync(MIGRATIONS).filter(f => f.endsWith(".sql")).map(f => path.join(MIGRATIONS, f));
+  const archived = ARCHIVED.map(f => path.join(MIGRATIONS, "_archived", f));
+  return [...live, ...archived].sort((a, b) => path.basename(a).localeCompare(path.basename(b)));
+}
+
+/**
+ * Create the database and return { query, withTx, rawDb, file }. Call (and await) before
+ * importing any service module.
+ */
+export async function setupDb() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "lekka-test-"));
+  const file = path.join(dir, "test.db");
+  const db = new Database(file);
+  for (const f of migrationFiles()) db.exec(fs.readFileSync(f, "utf8").replace(/^﻿/, ""));
+  db.close();
+
+  process.env.SQLITE_FILE = file;
+  process.on("exit", () => fs.rmSync(dir, { recursive: true, force: true }));
+
+  // The SQLite adapter logs every failed statement, including the Postgres probes that
+  // services try first and expect to fail; keep test output to the assertions.
+  const error = console.error;
+  console.error = (...args) => {
+    if (typeof args[0] === "string" && args[0].startsWith("[db]")) return;
+    error(...args);
+  };
+  const log = console.log;
+  console.log = () => {};
+  try {
+    const db = await import("../../services/db.js");
+    const { ensureBaseCoA } = await import("../../utils/coaService.js");
+    await ensureBaseCoA();
+    return { ...db, file };
+  } finally {
+    console.log = log;
+  }
+}
@@ -0,0 +1,29 @@
+// test/helpers/http.js
+// Drive an Express handler without a server: a minimal req/res pair that resolves once the
+// handler responds.
+
+/**
+ * call(handler, { sessionId, body, query, params, user, headers }) → { status, body }
+ * sessionId defaults to "ws1"; pass null to exercise the workspace_required paths.
+ */
+export function call(handler, { sessionId = "ws1", body = {}, query = {}, params = {}, user = null, headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      status(code) { this.statusCode = code; return this; },
+      set(k, v) { this.headers[String(k).toLowerCase()] = v; return this; },
+      setHeader(k, v) { return this.set(k, v); },
+      json(payload) { resolve({ status: this.statusCode, body: payload }); return this; },
+      send(payload) { resolve({ status: this.statusCode, body: payload }); return this; },
+      end(payload) { resolve({ status: this.statusCode, body: payload }); return this; },
+    };
+    const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+    const req = {
+      sessionId, body, query, params, user, headers: lower,
+      get(name) { return lower[String(name).toLowerCase()]; },
+      header(name) { return lower[String(name).toLowerCase()]; },
+    };
+    Promise.resolve(handler(req, res)).catch(reject);
+  });
+}
@@ -0,0 +1,58 @@
+// test/inventory.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setupDb } from "./helpers/db.js";
+
+const { query } = await setupDb();
+const { saveItem, postStockMovement, receiveGoods, stockValuation } = await import("../services/inventory.js");
+const { closePeriod } = await import("../services/periods.js");
+
+await saveItem("ws1", { code: "BOLT", name: "Bolt M8" });
+
+async function movementCount() {
+  const { rows } = await query(`SELECT COUNT(*) AS n FROM stock_ledger WHERE session_id = 'ws1'`);
+  return Number(rows[0].n);
+}
+
+test("stock movements and GRNs dated in a closed period are refused", async () => {
+  await postStockMovement("ws1", { code: "BOLT", kind: "opening", qty: 10, rate: 5, date: "2025-04-01" });
+  await closePeriod("ws1", { periodEnd: "2025-06-30", force: true });
+  const before = await movementCount();
+
+  await assert.rejects(
+    postStockMovement("ws1", { code: "BOLT", kind: "issue", qty: 2, date: "2025-06-15" }),
+    { http: 409, message: /Period locked for date 2025-06-15/ }
+  );
+  await assert.rejects(
+    receiveGoods("ws1", { number: "GRN-1", date: "2025-06-30", items: [{ code: "BOLT", qty: 5, rate: 5 }] }),
+    { http: 409, message: /Period locked/ }
+  );
+  assert.equal(await movementCount(), before);
+  const { rows } = await query(`SELECT id FROM documents WHERE session_id = 'ws1' AND doc_type = 'grn'`);
+  assert.equal(rows.length, 0);
+
+  await postStockMovement("ws1", { code: "BOLT", kind: "issue", qty: 2, date: "2025-07-01" });
+  await receiveGoods("ws1", { number: "GRN-1", date: "2025-07-01", items: [{ code: "BOLT", qty: 2, rate: 5 }] });
+  assert.equal(await movementCount(), before + 2);
+});
+
+test("valuation reconciles against inventory ledgers from the shared chart", async () => {
+  await query(
+    `INSERT INTO chart_of_accounts (account_code, name, type, normal_balance, session_id)
+     VALUES ('1400', 'Inventory', 'Asset', 'debit', 'GLOBAL')`
+  );
+  await query(
+    `INSERT INTO chart_of_accounts (account_code, name, type, normal_balance, session_id, parent_code)
+     VALUES ('1410', 'Stock-in-Trade', 'Asset', 'debit', 'GLOBAL', '1400')`
+  );
+  await query(
+    `INSERT INTO ledger_entries (id, session_id, debit_account, credit_account, amount_cents, narration, transaction_date)
+     VALUES ('inv-1', 'ws1', 'Stock-in-Trade', 'Capital Account', 5000, '', '2025-07-01')`
+  );
+
+  const v = await stockValuation("ws1", { asOf: "2025-07-31" });
+  assert.equal(v.total_cents, 5000);
+  assert.ok(v.reconciliation.ledgers.includes("stock-in-trade"));
+  assert.equal(v.reconciliation.ledger_balance_cents, 5000);
+  assert.equal(v.reconciliation.difference_cents, 0);
+});
@@ -0,0 +1,84 @@
+// test/itcReco.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setupDb } from "./helpers/db.js";
+
+await setupDb();
+const { default: gstr2b, parseGstr2b } = await import("../services/formats/gstr2b-json-v1.js");
+const { reconcileItc, normInvoiceNo, ITC_STATUS } = await import("../utils/tax/itcReco.js");
+
+const SUP_A = "29AAGCB7383J1Z4";
+const SUP_B = "07AAACR5055K1ZS";
+
+const portalFile = {
+  data: {
+    gstin: "27AAPFU0939F1ZV",
+    rtnprd: "042025",
+    docdata: {
+      b2b: [
+        { ctin: SUP_A, trdnm: "Acme Supplies", inv: [
+          { inum: "AS/0012", dt: "05-04-2025", val: 1180, itms: [{ itm_det: { rt: 18, txval: 1000, iamt: 180 } }] },
+          { inum: "AS/0013", dt: "09-04-2025", val: 590, igst: 90, txval: 500 },
+          { inum: "AS/0014", dt: "12-04-2025", val: 118, igst: 18, txval: 100, itcavl: "N" },
+        ] },
+        { ctin: SUP_B, trdnm: "Beta Traders", inv: [
+          { inum: "BT-7", dt: "10-04-2025", val: 1120, cgst: 60, sgst: 60, txval: 1000 },
+          { inum: "BT-9", dt: "15-04-2025", val: 224, cgst: 12, sgst: 12, txval: 200 },
+        ] },
+      ],
+      cdnr: [
+        { ctin: SUP_A, nt: [{ ntnum: "ACN-1", dt: "20-04-2025", typ: "C", val: 118, igst: 18, txval: 100 }] },
+      ],
+    },
+  },
+};
+
+test("parses invoices and notes with taxes from the document or its items", async () => {
+  const { docs, meta } = parseGstr2b(portalFile);
+  assert.deepEqual(meta, { gstin: "27AAPFU0939F1ZV", rtnprd: "042025", gendt: null });
+  assert.equal(docs.length, 6);
+  assert.deepEqual([docs[0].number, docs[0].date, docs[0].igst, docs[0].taxable], ["AS/0012", "2025-04-05", 180, 1000]);
+  assert.equal(docs[2].itc_available, false);
+  const note = docs.find(d => d.kind === "credit_note");
+  assert.deepEqual([note.number, note.igst, note.value], ["ACN-1", -18, -118]);
+
+  const buf = Buffer.from(JSON.stringify(portalFile));
+  assert.equal((await gstr2b.sniff(buf, "2b.json")).match, true);
+  assert.equal((await gstr2b.parse(buf)).gstr2b_docs.length, 6);
+});
+
+test("invoice numbers compare without separators or leading zeros", () => {
+  assert.equal(normInvoiceNo("AS/0012"), normInvoiceNo("as-12"));
+  assert.equal(normInvoiceNo("AS12"), "AS12");
+  assert.notEqual(normInvoiceNo("AS/120"), normInvoiceNo("AS/12"));
+});
+
+test("matches by GSTIN and number, by number alone, and by date window and tax", () => {
+  const { docs } = parseGstr2b(portalFile);
+  const books = [
+    { document_id: "p1", number: "as-12", date: "2025-04-05", ctin: SUP_A, igst: 180 },
+    { document_id: "p2", number: "AS13", date: "2025-04-09", ctin: SUP_A, igst: 100 },
+    { document_id: "p3", number: "BT-7", date: "2025-04-10", cgst: 60, sgst: 60 },
+    { document_id: "p4", number: "B/9", date: "2025-04-16", ctin: SUP_B, cgst: 12, sgst: 12 },
+    { document_id: "p5", number: "ZZ-1", date: "2025-04-01", ctin: SUP_B, cgst: 5, sgst: 5 },
+  ];
+  const { rows, summary } = reconcileItc({ books, portal: docs });
+  const byDoc = Object.fromEntries(rows.filter(r => r.books).map(r => [r.books.document_id, r]));
+
+  assert.equal(byDoc.p1.status, ITC_STATUS.MATCHED);
+  assert.equal(byDoc.p2.status, ITC_STATUS.MISMATCH);
+  assert.equal(byDoc.p2.diff.igst, 10);
+  assert.deepEqual([byDoc.p3.status, byDoc.p3.ctin, byDoc.p3.notes], [ITC_STATUS.MATCHED, SUP_B, ["gstin_from_2b"]]);
+  assert.deepEqual([byDoc.p4.status, byDoc.p4.notes], [ITC_STATUS.MATCHED, ["number_differs", "date_differs"]]);
+  assert.equal(byDoc.p5.status, ITC_STATUS.MISSING_IN_2B);
+
+  const missing = rows.filter(r => r.status === ITC_STATUS.MISSING_IN_BOOKS).map(r => [r.gstr2b.number, r.notes]);
+  assert.deepEqual(missing, [["AS/0014", ["itc_not_available"]], ["ACN-1", []]]);
+
+  assert.deepEqual(
+    [summary.matched, summary.mismatched_amount, summary.missing_in_books, summary.missing_in_2b],
+    [3, 1, 2, 1]
+  );
+  // Books 180+100+120+24+10; 2B excludes the ITC-ineligible AS/0014 and nets the credit note
+  assert.deepEqual(summary.itc, { books: 434, gstr2b: 396, difference: 38 });
+});
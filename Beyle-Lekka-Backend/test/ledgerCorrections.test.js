@@ -0,0 +1,71 @@
+// test/ledgerCorrections.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setupDb } from "./helpers/db.js";
+import { call } from "./helpers/http.js";
+
+const { query } = await setupDb();
+const { updateLedgerEntry } = await import("../controllers/updateLedgerEntry.js");
+
+async function postEntry(id, { debit = "Cash", credit = "Sales", cents = 10000, date = "2025-04-10" } = {}) {
+  await query(
+    `INSERT INTO ledger_entries (id, session_id, debit_account, credit_account, amount_cents, narration, transaction_date)
+     VALUES ($1, 'ws1', $2, $3, $4, 'original', $5)`,
+    [id, debit, credit, cents, date]
+  );
+}
+
+const amend = (body) => call(updateLedgerEntry, { body });
+
+test("amending posts a reversal and a corrected entry and leaves the original untouched", async () => {
+  await postEntry("le-1");
+  const r = await amend({
+    id: "le-1", transaction_date: "2025-04-11", debit_account: "Bank", credit_account: "Sales",
+    amount: 125.5, narration: "fixed", reason: "wrong account",
+  });
+  assert.equal(r.status, 200);
+
+  const rows = (await query(
+    `SELECT id, debit_account, credit_account, amount_cents, transaction_date, reverses_id, amends_id
+       FROM ledger_entries WHERE session_id = 'ws1' AND (id = 'le-1' OR reverses_id = 'le-1' OR amends_id = 'le-1')`
+  )).rows;
+  assert.equal(rows.length, 3);
+
+  const orig = rows.find(x => x.id === "le-1");
+  assert.deepEqual([orig.debit_account, orig.credit_account, Number(orig.amount_cents)], ["Cash", "Sales", 10000]);
+
+  const rev = rows.find(x => x.id === r.body.reversalId);
+  assert.equal(rev.reverses_id, "le-1");
+  assert.deepEqual([rev.debit_account, rev.credit_account, Number(rev.amount_cents)], ["Sales", "Cash", 10000]);
+  assert.equal(rev.transaction_date, "2025-04-10");
+
+  const fix = rows.find(x => x.id === r.body.amendmentId);
+  assert.equal(fix.amends_id, "le-1");
+  assert.deepEqual([fix.debit_account, fix.credit_account, Number(fix.amount_cents)], ["Bank", "Sales", 12550]);
+
+  const audit = (await query(
+    `SELECT action FROM audit_log WHERE session_id = 'ws1' AND entity = 'ledger_entries' AND entity_id = 'le-1'`
+  )).rows;
+  assert.deepEqual(audit.map(a => a.action), ["amend_ledger_entry"]);
+});
+
+test("an entry can be corrected only once, and reversals cannot be amended", async () => {
+  await postEntry("le-2");
+  const body = { id: "le-2", transaction_date: "2025-04-10", debit_account: "Bank", credit_account: "Sales", amount: 100 };
+  const first = await amend(body);
+  assert.equal(first.status, 200);
+
+  assert.equal((await amend(body)).status, 409);
+  assert.equal((await amend({ ...body, id: first.body.reversalId })).status, 409);
+  // The correction itself stays amendable.
+  assert.equal((await amend({ ...body, id: first.body.amendmentId, amount: 90 })).status, 200);
+});
+
+test("rejects unknown entries and bad input", async () => {
+  const base = { transaction_date: "2025-04-10", debit_account: "Bank", credit_account: "Sales", amount: 1 };
+  assert.equal((await amend({ ...base, id: "missing" })).status, 404);
+  assert.equal((await amend({ ...base })).status, 400);
+  assert.equal((await amend({ ...base, id: "x", credit_account: "bank" })).status, 400);
+  assert.equal((await amend({ ...base, id: "x", amount: -5 })).status, 400);
+  assert.equal((await call(updateLedgerEntry, { sessionId: null, body: { ...base, id: "x" } })).status, 400);
+});
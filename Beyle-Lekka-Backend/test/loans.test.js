@@ -0,0 +1,55 @@
+// test/loans.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setupDb } from "./helpers/db.js";
+import { call } from "./helpers/http.js";
+
+const { query } = await setupDb();
+const { createLoan, draftDueInstallments, getLoan, markLoanVoucherPosted } = await import("../services/loans.js");
+const { confirmAndSaveEntry } = await import("../controllers/confirmAndSaveEntry.js");
+
+await query(
+  `INSERT INTO ledger_entries (id, session_id, debit_account, credit_account, amount_cents, narration, transaction_date)
+   VALUES ('seed', 'ws1', 'Bank', 'Capital Account', 10000000, 'capital', '2025-01-01')`
+);
+let k = 0;
+const confirm = async (d) => {
+  const res = await call(confirmAndSaveEntry, { body: { previewId: d.previewId, hash: d.hash, idempotencyKey: `loan-${++k}` } });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+};
+
+const { loan, disbursement } = await createLoan("ws1", {
+  name: "Tractor", principal: 12000, rate: 12, tenureMonths: 3, startDate: "2025-04-01",
+  bankLedger: "Bank", draftDisbursement: true,
+});
+
+test("the schedule repays the principal and the disbursement drafts through preview/confirm", async () => {
+  assert.equal(loan.status, "active");
+  assert.equal(loan.installments.length, 3);
+  const principal = loan.installments.reduce((s, i) => s + Number(i.principal_cents), 0);
+  assert.equal(principal, 1200000);
+  assert.deepEqual(loan.installments.map(i => i.due_date), ["2025-05-01", "2025-06-01", "2025-07-01"]);
+  await confirm(disbursement);
+});
+
+test("posting the last instalment closes the loan", async () => {
+  const first = await draftDueInstallments("ws1", { asOf: "2025-06-15" });
+  assert.equal(first.drafts.length, 2);
+  for (const d of first.drafts) await confirm(d);
+  assert.equal((await getLoan("ws1", loan.id)).status, "active");
+
+  const last = await draftDueInstallments("ws1", { asOf: "2025-07-31" });
+  assert.equal(last.drafts.length, 1);
+  await confirm(last.drafts[0]);
+  const done = await getLoan("ws1", loan.id);
+  assert.equal(done.status, "closed");
+  assert.ok(done.installments.every(i => i.status === "posted"));
+  assert.equal((await draftDueInstallments("ws1", { asOf: "2025-12-31" })).due, 0);
+});
+
+test("an instalment already posted is left alone", async () => {
+  const inst = (await getLoan("ws1", loan.id)).installments[0];
+  assert.equal(await markLoanVoucherPosted("ws1", { installmentId: inst.id, ledgerEntryId: "other" }), false);
+  const { rows } = await query(`SELECT ledger_entry_id FROM loan_installments WHERE id = $1`, [inst.id]);
+  assert.notEqual(rows[0].ledger_entry_id, "other");
+});
@@ -0,0 +1,97 @@
+// test/notes.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setupDb } from "./helpers/db.js";
+import { call } from "./helpers/http.js";
+
+const { query } = await setupDb();
+const { draftNote, notesForInvoice } = await import("../services/notes.js");
+const { confirmAndSaveEntry } = await import("../controllers/confirmAndSaveEntry.js");
+const { default: noteLimitRule } = await import("../utils/validation/rules/crossDoc/noteLimit.js");
+
+const DEBTORS = "Debtors (Accounts Receivable)";
+const invoice = {
+  buyer: "Kolhapur Stores", sellerGSTIN: "27AAPFU0939F1ZV", customerGSTIN: "27AABCK1234L1Z2",
+  items: [
+    { name: "Steel rack", hsn: "9403", qty: 10, rate: 100, gstRate: 18 },
+    { name: "Installation", hsn: "9954", qty: 1, rate: 500, gstRate: 5 },
+  ],
+};
+
+await query(
+  `INSERT INTO documents (id, session_id, doc_type, number, date, party_name, gross_amount_cents, status, payload_json)
+   VALUES ('inv-1', 'ws1', 'invoice', 'INV-1', '2025-05-10', 'Kolhapur Stores', 170500, 'FINALIZED', $1)`,
+  [JSON.stringify(invoice)]
+);
+let n = 0;
+for (const [credit, cents] of [["Sales", 150000], ["GST Output (CGST)", 10250], ["GST Output (SGST)", 10250]]) {
+  await query(
+    `INSERT INTO ledger_entries (id, session_id, debit_account, credit_account, amount_cents, narration, transaction_date, document_id)
+     VALUES ($1, 'ws1', $2, $3, $4, 'INV-1', '2025-05-10', 'inv-1')`,
+    [`inv-${++n}`, DEBTORS, credit, cents]
+  );
+}
+
+let k = 0;
+async function confirm(d) {
+  return call(confirmAndSaveEntry, { body: { previewId: d.previewId, hash: d.hash, idempotencyKey: `note-${++k}` } });
+}
+
+test("drafts are checked against the invoice they adjust", async () => {
+  const base = { docType: "credit_note", originalInvoiceNumber: "INV-1", reason: "returned" };
+  await assert.rejects(draftNote("ws1", { ...base, reason: "" }), { http: 400 });
+  await assert.rejects(draftNote("ws1", { ...base, originalInvoiceNumber: "INV-9" }), { http: 404 });
+  await assert.rejects(draftNote("ws1", { ...base, date: "2025-05-01" }), { http: 400, message: /before invoice INV-1/ });
+  await assert.rejects(draftNote("ws1", { ...base, items: [{ line: 0, qty: 11 }] }), { http: 400, message: /more than the 10 invoiced/ });
+  await assert.rejects(draftNote("ws1", { ...base, items: [{ line: 5 }] }), { http: 400 });
+});
+
+test("a partial credit note reverses the invoice's own ledgers with the same GST split", async () => {
+  const d = await draftNote("ws1", {
+    docType: "credit_note", originalInvoiceNumber: "INV-1", date: "2025-05-20", reason: "4 racks returned", items: [{ line: 0, qty: 4 }],
+  });
+  assert.match(d.number, /CN/);
+  assert.deepEqual([d.docModel.cgst, d.docModel.sgst, d.docModel.igst, d.docModel.total], [36, 36, 0, 472]);
+  assert.equal(d.docModel.customerGSTIN, invoice.customerGSTIN);
+  assert.deepEqual(d.journal.map(l => [l.account, l.debit, l.credit]), [
+    ["Sales", 400, 0], ["GST Output (CGST)", 36, 0], ["GST Output (SGST)", 36, 0], [DEBTORS, 0, 472],
+  ]);
+
+  const res = await confirm(d);
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  const { rows } = await query(`SELECT original_document_id FROM documents WHERE session_id = 'ws1' AND number = $1`, [d.number]);
+  assert.equal(rows[0].original_document_id, "inv-1");
+
+  const open = await notesForInvoice("ws1", { number: "INV-1" });
+  assert.deepEqual(open.notes.map(x => x.number), [d.number]);
+  assert.deepEqual(open.open_cents, { credit_note: 170500 - 47200, debit_note: 170500 });
+});
+
+test("credit notes cannot add up to more than the invoice", async () => {
+  await assert.rejects(
+    draftNote("ws1", { docType: "credit_note", originalInvoiceNumber: "INV-1", date: "2025-05-21", reason: "cancelled order" }),
+    { http: 422, message: /above the invoice value 1705/ }
+  );
+});
+
+test("a value-only debit note adds to the party at the line's rate", async () => {
+  const d = await draftNote("ws1", {
+    docType: "debit_note", originalInvoiceId: "inv-1", date: "2025-05-22", reason: "extra visit", items: [{ line: 1, amount: 100 }],
+  });
+  assert.deepEqual(d.journal.map(l => [l.account, l.debit, l.credit]), [
+    ["Sales", 0, 100], ["GST Output (CGST)", 0, 2.5], ["GST Output (SGST)", 0, 2.5], [DEBTORS, 105, 0],
+  ]);
+});
+
+test("the note rule flags a changed tax split", async () => {
+  const res = await noteLimitRule({
+    docType: "credit_note", sessionId: "ws1",
+    docModel: {
+      ...invoice, customerGSTIN: "29AAGCB7383J1Z4", originalInvoiceId: "inv-1", total: 10,
+      items: [{ name: "Steel rack", qty: 1, rate: 10, gstRate: 12 }],
+    },
+  });
+  const messages = res.errors.map(e => e.message).join("\n");
+  assert.match(messages, /customer GSTIN 29AAGCB7383J1Z4 differs/);
+  assert.match(messages, /GST rate 12% is not on invoice INV-1/);
+});
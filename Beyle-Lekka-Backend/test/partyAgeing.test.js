@@ -0,0 +1,62 @@
+// test/partyAgeing.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setupDb } from "./helpers/db.js";
+import { call } from "./helpers/http.js";
+
+const { query } = await setupDb();
+const { arAgeing, apAgeing } = await import("../controllers/reportsController.js");
+
+let n = 0;
+async function post(sid, date, debit, credit, cents) {
+  await query(
+    `INSERT INTO ledger_entries (id, session_id, debit_account, credit_account, amount_cents, narration, transaction_date)
+     VALUES ($1, $2, $3, $4, $5, '', $6)`,
+    [`ag-${++n}`, sid, debit, credit, cents, date]
+  );
+}
+async function ledger(sid, code, name, type, normal, parent = null) {
+  await query(
+    `INSERT INTO chart_of_accounts (account_code, name, type, normal_balance, is_active, session_id, parent_code)
+     VALUES ($1, $2, $3, $4, 1, $5, $6)`,
+    [code, name, type, normal, sid, parent]
+  );
+}
+
+const ACME = "Debtors (Accounts Receivable) - Acme";
+const VENDOR = "Creditors (Accounts Payable) - Steel Co";
+await ledger("ws1", "T-1", ACME, "asset", "debit", "1100");
+await ledger("ws1", "T-2", VENDOR, "liability", "credit", "2000");
+// A ws2 customer ledger outside the "Parent - Party" naming; only ws2's CoA files it under Debtors.
+await ledger("ws2", "T-3", "Zen Retail", "asset", "debit", "1100");
+
+await post("ws1", "2025-01-10", ACME, "Sales", 50000);   // 80 days old on 2025-03-31
+await post("ws1", "2025-03-01", ACME, "Sales", 30000);   // 30 days old
+await post("ws1", "2025-03-15", "Cash", ACME, 20000);    // FIFO against the January charge
+await post("ws1", "2025-03-20", "Zen Retail", "Sales", 70000);
+await post("ws1", "2025-02-01", "Rent", VENDOR, 45000);
+await post("ws2", "2025-03-20", "Zen Retail", "Sales", 99000);
+
+test("AR ageing buckets open charges after FIFO knock-off", async () => {
+  const r = await call(arAgeing, { query: { asOf: "2025-03-31" } });
+  assert.equal(r.status, 200);
+  assert.deepEqual(r.body.parties.map(p => p.party), ["Acme"]);
+  const [acme] = r.body.parties;
+  assert.equal(acme.outstanding, 600);
+  assert.deepEqual(acme.buckets, { "0-30": 300, "31-60": 0, "61-90": 300, "90+": 0 });
+  assert.deepEqual(acme.open_items.map(i => [i.amount, i.outstanding, i.days]), [[500, 300, 80], [300, 300, 30]]);
+  assert.equal(r.body.totals.outstanding, 600);
+});
+
+test("another workspace's party ledgers do not turn this workspace's ledgers into parties", async () => {
+  const r = await call(arAgeing, { query: { asOf: "2025-03-31" } });
+  assert.ok(!r.body.parties.some(p => p.ledger === "Zen Retail"));
+
+  const ws2 = await call(arAgeing, { sessionId: "ws2", query: { asOf: "2025-03-31" } });
+  assert.deepEqual(ws2.body.parties.map(p => [p.ledger, p.outstanding]), [["Zen Retail", 990]]);
+});
+
+test("AP ageing ages credits to supplier ledgers", async () => {
+  const r = await call(apAgeing, { query: { asOf: "2025-03-31" } });
+  assert.deepEqual(r.body.parties.map(p => [p.party, p.outstanding, p.buckets["31-60"]]), [["Steel Co", 450, 450]]);
+});
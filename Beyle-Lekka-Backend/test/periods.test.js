@@ -0,0 +1,97 @@
+// test/periods.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setupDb } from "./helpers/db.js";
+
+const { query } = await setupDb();
+const {
+  closePeriod, reopenPeriod, runYearEnd, yearEndPreview, listOpeningBalances, isDateLocked, RESERVES_LEDGER,
+} = await import("../services/periods.js");
+
+const DR = "Debtors (Accounts Receivable)";
+const CR = "Creditors (Accounts Payable)";
+const policy = { financialYear: { startMonth: 4, startDay: 1 } };
+
+let n = 0;
+async function post(date, debit, credit, cents) {
+  await query(
+    `INSERT INTO ledger_entries (id, session_id, debit_account, credit_account, amount_cents, narration, transaction_date)
+     VALUES ($1, 'ws1', $2, $3, $4, '', $5)`,
+    [`pd-${++n}`, debit, credit, cents, date]
+  );
+}
+async function balance(account, to = "2026-03-31") {
+  const { rows } = await query(
+    `SELECT COALESCE(SUM(CASE WHEN debit_account = $1 THEN amount_cents ELSE -amount_cents END), 0) AS net
+       FROM ledger_entries
+      WHERE session_id = 'ws1' AND (debit_account = $1 OR credit_account = $1) AND transaction_date <= $2`,
+    [account, to]
+  );
+  return Number(rows[0].net);
+}
+
+await post("2025-05-10", DR, "Sales", 500000);
+await post("2025-08-01", "Rent", CR, 120000);
+
+test("closing a period locks postings on or before it; reopening needs a reason", async () => {
+  await closePeriod("ws1", { periodEnd: "2025-06-30" });
+  assert.equal(await isDateLocked("ws1", "2025-06-30"), true);
+  assert.equal(await isDateLocked("ws1", "2025-07-01"), false);
+  await assert.rejects(post("2025-06-15", DR, "Sales", 100), /period_closed/);
+  await assert.rejects(closePeriod("ws1", { periodEnd: "2025-05-31" }), { http: 409 });
+
+  await assert.rejects(reopenPeriod("ws1", { periodEnd: "2025-06-30", reason: " " }), { http: 400 });
+  const out = await reopenPeriod("ws1", { periodEnd: "2025-06-30", reason: "late invoice" });
+  assert.deepEqual(out.reopened, ["2025-06-30"]);
+  assert.equal(out.lockedThrough, null);
+  const audit = await query(`SELECT details_json FROM audit_log WHERE session_id = 'ws1' AND action = 'reopen_period'`);
+  assert.equal(JSON.parse(audit.rows[0].details_json).reason, "late invoice");
+});
+
+test("year-end closes income and expense into reserves and carries balances forward", async () => {
+  const plan = await yearEndPreview("ws1", { fy: 2025, policy });
+  assert.equal(plan.profit_cents, 380000);
+
+  const out = await runYearEnd("ws1", { fy: 2025, policy });
+  assert.equal(out.number, "YE-2025-26");
+  const doc = await query(`SELECT gross_amount_cents FROM documents WHERE session_id = 'ws1' AND number = 'YE-2025-26'`);
+  assert.equal(Number(doc.rows[0].gross_amount_cents), 380000);
+  assert.equal(await balance("Sales"), 0);
+  assert.equal(await balance("Rent"), 0);
+  assert.equal(await balance(RESERVES_LEDGER), -380000);
+
+  const opening = Object.fromEntries((await listOpeningBalances("ws1", 2026)).map(r => [r.account, Number(r.balance_cents)]));
+  assert.deepEqual(opening, { [DR]: 500000, [CR]: -120000, [RESERVES_LEDGER]: -380000 });
+  assert.equal(await isDateLocked("ws1", "2026-03-31"), true);
+  await assert.rejects(runYearEnd("ws1", { fy: 2025, policy }), { http: 409 });
+});
+
+test("reopening the year reverses its close so the year-end can run again", async () => {
+  const out = await reopenPeriod("ws1", { periodEnd: "2026-03-01", reason: "missed March sales" });
+  assert.deepEqual(out.yearEndReversed.map(r => [r.number, r.entries]), [["YE-2025-26", 2]]);
+  assert.equal(await balance("Sales"), -500000);
+  assert.equal(await balance(RESERVES_LEDGER), 0);
+  assert.deepEqual(await listOpeningBalances("ws1", 2026), []);
+  const doc = await query(`SELECT status FROM documents WHERE session_id = 'ws1' AND number = 'YE-2025-26'`);
+  assert.equal(doc.rows[0].status, "REVERSED");
+
+  // The reversal stays out of the P&L like the close it undoes.
+  const plan = await yearEndPreview("ws1", { fy: 2025, policy });
+  assert.equal(plan.profit_cents, 380000);
+
+  await post("2026-03-20", DR, "Sales", 20000);
+  const again = await runYearEnd("ws1", { fy: 2025, policy });
+  assert.equal(again.number, "YE-2025-26/2");
+  assert.equal(again.profit_cents, 400000);
+  assert.equal(await balance(RESERVES_LEDGER), -400000);
+  assert.equal(await balance("Sales"), 0);
+  await assert.rejects(runYearEnd("ws1", { fy: 2025, policy }), { http: 409 });
+});
+
+test("reopening a later period leaves an earlier year-end in place", async () => {
+  await closePeriod("ws1", { periodEnd: "2026-06-30", force: true });
+  const out = await reopenPeriod("ws1", { periodEnd: "2026-06-30", reason: "typo" });
+  assert.deepEqual(out.yearEndReversed, []);
+  assert.equal(out.lockedThrough, "2026-03-31");
+  assert.equal(await balance(RESERVES_LEDGER), -400000);
+});
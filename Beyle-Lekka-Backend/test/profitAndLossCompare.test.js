@@ -0,0 +1,73 @@
+// test/profitAndLossCompare.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setupDb } from "./helpers/db.js";
+import { call } from "./helpers/http.js";
+
+const { query } = await setupDb();
+const { profitAndLoss } = await import("../controllers/reportsController.js");
+
+let n = 0;
+async function post(date, debit, credit, cents) {
+  await query(
+    `INSERT INTO ledger_entries (id, session_id, debit_account, credit_account, amount_cents, narration, transaction_date)
+     VALUES ($1, 'ws1', $2, $3, $4, '', $5)`,
+    [`pl-${++n}`, debit, credit, cents, date]
+  );
+}
+
+await post("2025-04-05", "Cash", "Sales", 100000);
+await post("2025-05-12", "Cash", "Sales", 150000);
+await post("2025-05-20", "Rent", "Cash", 40000);
+await post("2024-05-15", "Cash", "Sales", 50000);
+
+const pl = (query) => call(profitAndLoss, { query });
+
+test("monthly compare lays out the financial year with variance against the previous month", async () => {
+  const r = await pl({ compare: "monthly", to: "2025-06-30" });
+  assert.equal(r.status, 200);
+  const { columns, income, totals, variance } = r.body;
+  assert.equal(columns.length, 12);
+  assert.deepEqual([columns[0].from, columns[11].to], ["2025-04-01", "2026-03-31"]);
+  assert.equal(columns[0].baseKey, null);
+  assert.equal(columns[1].baseKey, columns[0].key);
+
+  const sales = income.find(r => r.account === "Sales");
+  assert.deepEqual(sales.values.slice(0, 3), [1000, 1500, 0]);
+  assert.deepEqual(sales.variance[1], { amount: 500, pct: 50 });
+  assert.deepEqual(totals.net.slice(0, 2), [1000, 1100]);
+  assert.equal(variance.net[0], null);
+});
+
+test("quarterly compare folds months into four columns", async () => {
+  const r = await pl({ compare: "quarterly", to: "2025-06-30" });
+  assert.equal(r.status, 200);
+  assert.deepEqual(r.body.columns.map(c => c.key), ["Q1", "Q2", "Q3", "Q4"]);
+  assert.equal(r.body.totals.income[0], 2500);
+  assert.equal(r.body.totals.expenses[0], 400);
+});
+
+test("yoy compares the range with the same dates a year earlier", async () => {
+  const r = await pl({ compare: "yoy", from: "2025-04-01", to: "2025-05-31" });
+  assert.equal(r.status, 200);
+  assert.deepEqual(r.body.columns.map(c => [c.from, c.to]), [["2025-04-01", "2025-05-31"], ["2024-04-01", "2024-05-31"]]);
+  assert.deepEqual(r.body.totals.income, [2500, 500]);
+  assert.deepEqual(r.body.variance.income[0], { amount: 2000, pct: 400 });
+});
+
+test("rejects unknown compare modes", async () => {
+  assert.equal((await pl({ compare: "weekly" })).status, 400);
+});
+
+test("failures inside compare mode are answered by the handler", async () => {
+  await query(`ALTER TABLE ledger_entries RENAME TO ledger_entries_gone`);
+  try {
+    const log = console.error;
+    console.error = () => {};
+    const r = await pl({ compare: "monthly", to: "2025-06-30" }).finally(() => { console.error = log; });
+    assert.equal(r.status, 500);
+    assert.equal(r.body.ok, false);
+  } finally {
+    await query(`ALTER TABLE ledger_entries_gone RENAME TO ledger_entries`);
+  }
+});
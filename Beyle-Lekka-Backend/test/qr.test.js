@@ -0,0 +1,83 @@
+// test/qr.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import jsQR from "jsqr";
+import sharp from "sharp";
+import { setupDb } from "./helpers/db.js";
+
+await setupDb();
+const { encodeQr, qrPng, dataCodewords } = await import("../utils/qr.js");
+
+const LEVELS = ["L", "M", "Q", "H"];
+const LEVEL_INDEX = { L: 0, M: 1, Q: 2, H: 3 };
+
+/** Bytes that fit a version at a level in byte mode: 4-bit mode, 8/16-bit count, then the data. */
+const capacity = (ver, ecc) => Math.floor((dataCodewords(ver, LEVEL_INDEX[ecc]) * 8 - 4 - (ver <= 9 ? 8 : 16)) / 8);
+
+/** Decode a module matrix with jsQR: 2 px per module, a four-module quiet zone. */
+function decode({ size, modules }) {
+  const scale = 2;
+  const border = 4;
+  const dim = (size + border * 2) * scale;
+  const px = new Uint8ClampedArray(dim * dim * 4).fill(255);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!modules[y][x]) continue;
+      for (let dy = 0; dy < scale; dy++) {
+        for (let dx = 0; dx < scale; dx++) {
+          const i = (((y + border) * scale + dy) * dim + (x + border) * scale + dx) * 4;
+          px[i] = px[i + 1] = px[i + 2] = 0;
+        }
+      }
+    }
+  }
+  return jsQR(px, dim, dim, { inversionAttempts: "dontInvert" });
+}
+
+const payload = (n, seed = 0) => Array.from({ length: n }, (_, i) => String.fromCharCode(33 + ((i * 7 + seed) % 94))).join("");
+
+function roundTrip(text, ecc, version) {
+  const qr = encodeQr(text, { ecc });
+  assert.equal(qr.version, version, `${text.length} bytes at ${ecc}`);
+  assert.equal(qr.size, 17 + 4 * version);
+  const got = decode(qr);
+  assert.ok(got, `version ${version}-${ecc} did not decode`);
+  assert.equal(Buffer.from(got.binaryData).toString("utf8"), text);
+}
+
+test("byte capacities match the QR specification", () => {
+  assert.deepEqual(LEVELS.map(l => capacity(1, l)), [17, 14, 11, 7]);
+  assert.deepEqual(LEVELS.map(l => capacity(10, l)), [271, 213, 151, 119]);
+  assert.deepEqual(LEVELS.map(l => capacity(40, l)), [2953, 2331, 1663, 1273]);
+});
+
+test("payloads that fill a version decode at it; one byte more moves to the next", () => {
+  for (const ecc of LEVELS) {
+    for (const ver of [1, 6, 9, 10, 26]) {
+      const n = capacity(ver, ecc);
+      roundTrip(payload(n, ver), ecc, ver);
+      roundTrip(payload(n + 1, ver), ecc, ver + 1);
+    }
+  }
+});
+
+test("the largest version decodes at every level and anything longer is refused", () => {
+  for (const ecc of LEVELS) {
+    const n = capacity(40, ecc);
+    roundTrip(payload(n), ecc, 40);
+    assert.throws(() => encodeQr(payload(n + 1), { ecc }), /too long/);
+  }
+});
+
+test("UTF-8 text, an empty payload and an unknown level", () => {
+  roundTrip("upi://pay?pa=beyle@hdfc&pn=Beyle Lekka&am=1180.00&cu=INR&tn=₹ invoice", "M", 5);
+  roundTrip("", "H", 1);
+  assert.throws(() => encodeQr("x", { ecc: "X" }), /Unknown QR error-correction level/);
+});
+
+test("the PNG rendering decodes to the same text", async () => {
+  const text = "IRN 4f7d1c0a9b8e6d5c3b2a1908f7e6d5c4b3a29180f7e6d5c4b3a2918f7e6d5c";
+  const { data, info } = await sharp(await qrPng(text, { ecc: "L", scale: 3 })).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const got = jsQR(new Uint8ClampedArray(data), info.width, info.height);
+  assert.equal(got?.data, text);
+});
@@ -0,0 +1,111 @@
+// test/recoGroups.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setupDb } from "./helpers/db.js";
+
+const { query } = await setupDb();
+const { createMatchGroup, unmatch, excludeLines, listGroups, groupSuggestions } = await import("../services/recoGroups.js");
+const { findSubsets, rankGroupCandidates } = await import("../utils/reco/matcher.js");
+
+await query(
+  `INSERT INTO bank_accounts (id, session_id, name, ledger_account) VALUES ('ba1', 'ws1', 'HDFC Current', 'Bank')`
+);
+async function line(id, date, narration, cents) {
+  await query(
+    `INSERT INTO bank_statement_lines (id, session_id, bank_account_id, value_date, narration, amount_cents)
+     VALUES ($1, 'ws1', 'ba1', $2, $3, $4)`,
+    [id, date, narration, cents]
+  );
+}
+async function entry(id, date, debit, credit, cents, narration = "") {
+  await query(
+    `INSERT INTO ledger_entries (id, session_id, debit_account, credit_account, amount_cents, narration, transaction_date)
+     VALUES ($1, 'ws1', $2, $3, $4, $5, $6)`,
+    [id, debit, credit, cents, narration, date]
+  );
+}
+const status = async (id) => (await query(`SELECT status, match_group_id FROM bank_statement_lines WHERE id = $1`, [id])).rows[0];
+
+// one deposit covering two receipts; one receipt paid in two transfers; a stray charge
+await line("dep", "2025-07-05", "CASH DEPOSIT", 250000);
+await entry("r1", "2025-07-03", "Bank", "Sales", 100000, "receipt acme");
+await entry("r2", "2025-07-04", "Bank", "Sales", 150000, "receipt zen");
+await line("p1", "2025-07-10", "NEFT ACME PART 1", 40000);
+await line("p2", "2025-07-12", "NEFT ACME PART 2", 60000);
+await entry("r3", "2025-07-11", "Bank", "Sales", 100000, "acme invoice");
+await line("chg", "2025-07-15", "SMS CHARGES", -1800);
+
+test("findSubsets returns exact same-sign subsets of two or more items, largest first", () => {
+  const items = [{ id: "a", cents: 500 }, { id: "b", cents: 300 }, { id: "c", cents: 200 }, { id: "d", cents: -300 }, { id: "e", cents: 800 }];
+  // "e" alone equals 800 but is a 1:1 match, left to rankCandidates; "d" has the wrong sign
+  assert.deepEqual(findSubsets(800, items).map(s => s.map(i => i.id)), [["a", "b"]]);
+  assert.deepEqual(findSubsets(1000, items).map(s => s.map(i => i.id)), [["e", "c"], ["a", "b", "c"]]);
+  assert.deepEqual(findSubsets(0, items), []);
+  assert.deepEqual(findSubsets(1000, items, { maxItems: 2 }).map(s => s.map(i => i.id)), [["e", "c"]]);
+});
+
+test("rankGroupCandidates proposes one-to-many and many-to-one groups within the window", () => {
+  const lines = [
+    { id: "dep", value_date: "2025-07-05", narration: "CASH DEPOSIT", amount_cents: 250000 },
+    { id: "p1", value_date: "2025-07-10", narration: "NEFT ACME PART 1", amount_cents: 40000 },
+    { id: "p2", value_date: "2025-07-12", narration: "NEFT ACME PART 2", amount_cents: 60000 },
+  ];
+  const entries = [
+    { id: "r1", transaction_date: "2025-07-03", narration: "receipt", debit_account: "Bank", credit_account: "Sales", amount_cents: 100000 },
+    { id: "r2", transaction_date: "2025-07-04", narration: "receipt", debit_account: "Bank", credit_account: "Sales", amount_cents: 150000 },
+    { id: "r3", transaction_date: "2025-07-11", narration: "acme invoice", debit_account: "Bank", credit_account: "Sales", amount_cents: 100000 },
+  ];
+  const groups = rankGroupCandidates(lines, entries, { bankLedger: "Bank" });
+  const keys = groups.map(g => `${g.bankLineIds.join("+")}=${g.ledgerEntryIds.join("+")}`).sort();
+  assert.deepEqual(keys, ["dep=r2+r1", "p2+p1=r3"]);
+  assert.equal(rankGroupCandidates(lines, entries, { bankLedger: "Bank", windowDays: 0 }).length, 0);
+});
+
+test("groupSuggestions reads unmatched lines and unreconciled entries of the account", async () => {
+  const { bankLedger, groups } = await groupSuggestions("ws1", { bankAccountId: "ba1" });
+  assert.equal(bankLedger, "Bank");
+  assert.equal(groups.length, 2);
+  await assert.rejects(groupSuggestions("ws1", {}), { http: 400 });
+});
+
+test("a group links N lines to M entries only when the totals agree", async () => {
+  await assert.rejects(createMatchGroup("ws1", { bankLineIds: ["dep"], ledgerEntryIds: ["r1"] }), { http: 422 });
+  await assert.rejects(createMatchGroup("ws1", { bankLineIds: ["nope"], ledgerEntryIds: ["r1"] }), { http: 404 });
+
+  const g = await createMatchGroup("ws1", { bankLineIds: ["dep"], ledgerEntryIds: ["r1", "r2"], actorId: "u1" });
+  assert.equal(g.totalCents, 250000);
+  assert.equal((await status("dep")).status, "matched");
+  assert.equal((await status("dep")).match_group_id, g.groupId);
+
+  const many = await createMatchGroup("ws1", { bankLineIds: ["p1", "p2"], ledgerEntryIds: ["r3"] });
+  const [listed] = (await listGroups("ws1", { bankAccountId: "ba1" })).filter(x => x.id === many.groupId);
+  assert.deepEqual(listed.bank.map(b => b.ref_id).sort(), ["p1", "p2"]);
+  assert.deepEqual(listed.ledger.map(l => [l.ref_id, l.amount_cents]), [["r3", 100000]]);
+
+  // neither side can be matched twice
+  await line("dup", "2025-07-05", "DUP", 100000);
+  await assert.rejects(createMatchGroup("ws1", { bankLineIds: ["dup"], ledgerEntryIds: ["r1"] }), { http: 409 });
+  await assert.rejects(createMatchGroup("ws1", { bankLineIds: ["dep"], ledgerEntryIds: ["r1", "r2"] }), { http: 409 });
+  assert.equal((await groupSuggestions("ws1", { bankAccountId: "ba1" })).groups.length, 0);
+});
+
+test("unmatch reopens every line of the group and frees its entries", async () => {
+  const { groupId, bankLineIds } = await unmatch("ws1", { bankLineId: "p1" });
+  assert.deepEqual(bankLineIds.sort(), ["p1", "p2"]);
+  assert.equal((await status("p2")).status, "unmatched");
+  const { rows } = await query(`SELECT COUNT(*) AS n FROM reco_match_items WHERE group_id = $1`, [groupId]);
+  assert.equal(Number(rows[0].n), 0);
+  await assert.rejects(unmatch("ws1", { bankLineId: "p1" }), { http: 409 });
+  await createMatchGroup("ws1", { bankLineIds: ["p1", "p2"], ledgerEntryIds: ["r3"] });
+});
+
+test("excluding needs a reason and an open line; unmatch re-opens it", async () => {
+  await assert.rejects(excludeLines("ws1", { bankLineIds: ["chg"], reason: " " }), { http: 400 });
+  await assert.rejects(excludeLines("ws1", { bankLineIds: ["dep"], reason: "x" }), { http: 409 });
+  await excludeLines("ws1", { bankLineIds: ["chg"], reason: "booked with the month-end charges" });
+  const { rows } = await query(`SELECT status, excluded_reason FROM bank_statement_lines WHERE id = 'chg'`);
+  assert.deepEqual({ ...rows[0] }, { status: "excluded", excluded_reason: "booked with the month-end charges" });
+  const out = await unmatch("ws1", { bankLineId: "chg" });
+  assert.equal(out.groupId, null);
+  assert.equal((await status("chg")).status, "unmatched");
+});
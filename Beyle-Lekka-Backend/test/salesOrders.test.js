@@ -0,0 +1,83 @@
+// test/salesOrders.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setupDb } from "./helpers/db.js";
+import { call } from "./helpers/http.js";
+
+const { query } = await setupDb();
+const {
+  createQuotation, createOrder, convertQuotation, cancelSalesDocument, draftOrderInvoice, getSalesDocument, pendingOrders,
+} = await import("../services/salesOrders.js");
+const { confirmAndSaveEntry } = await import("../controllers/confirmAndSaveEntry.js");
+
+const items = [
+  { name: "Steel rack", hsn: "9403", qty: 10, rate: 100, gstRate: 18 },
+  { name: "Shelf bracket", hsn: "7326", qty: 20, rate: 10, gstRate: 18 },
+];
+
+let k = 0;
+async function confirm(d) {
+  return call(confirmAndSaveEntry, { body: { previewId: d.previewId, hash: d.hash, idempotencyKey: `so-${++k}` } });
+}
+
+test("a quotation converts once into an order with the same party and prices", async () => {
+  await assert.rejects(createQuotation("ws1", { buyer: "", items }), { http: 400 });
+  await assert.rejects(createQuotation("ws1", { buyer: "X", customerGSTIN: "BAD", items }), { http: 400 });
+
+  const q = await createQuotation("ws1", { date: "2025-05-01", validUntil: "2025-05-15", buyer: "Kolhapur Stores", items });
+  assert.match(q.number, /QTN/);
+  assert.equal(q.docModel.total, 1416);
+  await assert.rejects(convertQuotation("ws1", q.id, { date: "2025-05-20" }), { http: 409, message: /expired/ });
+
+  const so = await convertQuotation("ws1", q.id, { date: "2025-05-10", deliveryDate: "2025-05-31" });
+  assert.match(so.number, /SO/);
+  assert.equal(so.source_number, q.number);
+  assert.deepEqual(so.items.map(i => [i.name, i.qty, i.rate]), [["Steel rack", 10, 100], ["Shelf bracket", 20, 10]]);
+  assert.equal((await getSalesDocument("ws1", q.id)).status, "converted");
+  await assert.rejects(convertQuotation("ws1", q.id, { date: "2025-05-11" }), { http: 409 });
+});
+
+test("an order for a new buyer drafts an invoice against the buyer's own sub-ledger and posts", async () => {
+  const so = await createOrder("ws1", { date: "2025-06-01", buyer: "Nashik Hardware Mart", items });
+  const d = await draftOrderInvoice("ws1", so.id, { date: "2025-06-05", items: [{ line: 0, qty: 4 }] });
+  const party = d.journal.find(l => l.debit > 0).account;
+  assert.equal(party, "Debtors (Accounts Receivable) - nashik hardware mart");
+  const { rows } = await query(`SELECT name FROM chart_of_accounts WHERE name = $1 AND session_id = 'ws1'`, [party]);
+  assert.equal(rows.length, 1);
+  assert.equal(d.docModel.total, 472);
+
+  const again = await getSalesDocument("ws1", so.id);
+  assert.deepEqual(again.lines.map(l => [l.drafted, l.available]), [[4, 6], [0, 20]]);
+  await assert.rejects(draftOrderInvoice("ws1", so.id, { items: [{ line: 0, qty: 7 }] }), { http: 409 });
+  await assert.rejects(cancelSalesDocument("ws1", so.id), { http: 409, message: /pending/ });
+
+  const res = await confirm(d);
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  const { rows: posted } = await query(
+    `SELECT debit_account FROM ledger_entries WHERE session_id = 'ws1' AND debit_account = $1`, [party]
+  );
+  assert.equal(posted.length > 0, true);
+  const after = await getSalesDocument("ws1", so.id);
+  assert.equal(after.status, "partial");
+  assert.deepEqual(after.lines.map(l => [l.invoiced, l.pending]), [[4, 6], [0, 20]]);
+});
+
+test("a second invoice for the same buyer reuses the sub-ledger and fulfils the order", async () => {
+  const [so] = (await pendingOrders("ws1", { asOf: "2025-06-30", party: "nashik" })).orders;
+  assert.equal(so.pending_value_cents, 6 * 10000 + 20 * 1000);
+  const d = await draftOrderInvoice("ws1", so.id, { date: "2025-06-10" });
+  assert.equal(d.journal.find(l => l.debit > 0).account, "Debtors (Accounts Receivable) - nashik hardware mart");
+  assert.equal((await confirm(d)).status, 200);
+
+  assert.equal((await getSalesDocument("ws1", so.id)).status, "fulfilled");
+  assert.deepEqual((await pendingOrders("ws1", { asOf: "2025-06-30" })).orders.map(o => o.party_name), ["Kolhapur Stores"]);
+  assert.deepEqual((await pendingOrders("ws1", { asOf: "2025-06-07", party: "nashik" })).orders[0].lines.map(l => l.pending), [6, 20]);
+});
+
+test("cancelling an open order drops what is left", async () => {
+  const [open] = (await pendingOrders("ws1", { asOf: "2025-06-30", party: "kolhapur" })).orders;
+  const c = await cancelSalesDocument("ws1", open.id, { reason: "customer withdrew" });
+  assert.equal(c.status, "cancelled");
+  await assert.rejects(draftOrderInvoice("ws1", open.id), { http: 409 });
+  assert.equal((await pendingOrders("ws1", { asOf: "2025-06-30" })).orders.length, 0);
+});
@@ -0,0 +1,117 @@
+// test/settlements.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setupDb } from "./helpers/db.js";
+
+const { query } = await setupDb();
+const { ensureLedgerExists } = await import("../utils/coaService.js");
+const {
+  allocationAmounts, normalizeAllocations, findDocumentRef, saveAllocations, openItemsForParty,
+} = await import("../services/settlements.js");
+const { default: allocationsRule } = await import("../utils/validation/rules/crossDoc/allocations.js");
+
+// Party ledgers are posted under the name the CoA stores for them.
+const code = await ensureLedgerExists("Debtors (Accounts Receivable) - Acme", "ws1");
+const ACME = (await query(`SELECT name FROM chart_of_accounts WHERE account_code = $1`, [code])).rows[0].name;
+
+let n = 0;
+async function doc(id, docType, number, date) {
+  await query(
+    `INSERT INTO documents (id, session_id, doc_type, number, date, party_name, status)
+     VALUES ($1, 'ws1', $2, $3, $4, 'Acme', 'FINALIZED')`,
+    [id, docType, number, date]
+  );
+}
+async function post(date, debit, credit, cents, documentId) {
+  await query(
+    `INSERT INTO ledger_entries (id, session_id, debit_account, credit_account, amount_cents, narration, transaction_date, document_id)
+     VALUES ($1, 'ws1', $2, $3, $4, '', $5, $6)`,
+    [`st-${++n}`, debit, credit, cents, date, documentId]
+  );
+}
+
+await doc("inv-1", "invoice", "INV-001", "2025-04-01");
+await doc("inv-2", "invoice", "INV-002", "2025-04-05");
+await doc("rct-0", "receipt", "RCT-000", "2025-04-02");
+await post("2025-04-01", ACME, "Sales", 40000, "inv-1");
+await post("2025-04-05", ACME, "Sales", 60000, "inv-2");
+
+const receipt = (cents) => [
+  { account: "Bank", debit: cents / 100, credit: 0 },
+  { account: ACME, debit: 0, credit: cents / 100 },
+];
+const validate = (allocations, cents) => allocationsRule({
+  docType: "receipt", sessionId: "ws1", journal: receipt(cents), docModel: { allocations },
+});
+
+test("allocationAmounts gives the first amount-less allocation what the explicit ones leave", () => {
+  const list = normalizeAllocations([
+    { invoice_number: "INV-001" },
+    { invoice_number: "INV-002", amount: 250 },
+    { invoice_number: "INV-003" },
+    { on_account: true },
+  ]);
+  const { lines, remainder_cents } = allocationAmounts(list, 70000);
+  assert.deepEqual(lines.map(l => l.cents), [45000, 25000, 0, 0]);
+  assert.equal(remainder_cents, 0);
+
+  assert.equal(allocationAmounts(normalizeAllocations([{ invoice_number: "INV-001", amount: 100 }]), 30000).remainder_cents, 20000);
+  assert.equal(allocationAmounts(normalizeAllocations([{ invoice_number: "INV-001", amount: 500 }]), 30000).remainder_cents, 0);
+});
+
+test("validation and posting split an amount-less allocation listed first the same way", async () => {
+  const allocations = [{ invoice_number: "INV-001" }, { invoice_number: "INV-002", amount: 300 }];
+
+  // 700 received: 300 to INV-002 leaves 400 for INV-001, exactly its outstanding.
+  const v = await validate(allocations, 70000);
+  assert.deepEqual(v.errors, []);
+  assert.equal(v.info.length, 0);
+
+  await doc("rct-1", "receipt", "RCT-001", "2025-04-10");
+  const saved = await saveAllocations({
+    sessionId: "ws1", settlementDocId: "rct-1", partyLedger: ACME, totalCents: 70000, allocations,
+  });
+  assert.deepEqual(saved.map(r => [r.invoice_doc_id, r.kind, r.amount_cents]), [
+    ["inv-1", "invoice", 40000],
+    ["inv-2", "invoice", 30000],
+  ]);
+
+  await post("2025-04-10", "Bank", ACME, 70000, "rct-1");
+  const { items } = await openItemsForParty("ws1", "ar", ACME);
+  assert.deepEqual(items.map(i => [i.document_number, i.outstanding_cents]), [["INV-001", 0], ["INV-002", 30000]]);
+});
+
+test("the remainder of a partly allocated settlement is kept on account", async () => {
+  const v = await validate([{ invoice_number: "INV-002", amount: 100 }], 25000);
+  assert.deepEqual(v.errors, []);
+  assert.deepEqual(v.info.map(i => i.code), ["ALLOC_ON_ACCOUNT"]);
+
+  await doc("rct-2", "receipt", "RCT-002", "2025-04-12");
+  const saved = await saveAllocations({
+    sessionId: "ws1", settlementDocId: "rct-2", partyLedger: ACME, totalCents: 25000,
+    allocations: [{ invoice_number: "INV-002", amount: 100 }],
+  });
+  assert.deepEqual(saved.map(r => [r.kind, r.amount_cents]), [["invoice", 10000], ["on_account", 15000]]);
+});
+
+test("only documents that charge a party can be allocated against", async () => {
+  assert.equal((await findDocumentRef("ws1", { number: "INV-001" }))?.id, "inv-1");
+  assert.equal(await findDocumentRef("ws1", { number: "RCT-000" }), null);
+  assert.equal(await findDocumentRef("ws1", { id: "rct-0" }), null);
+  assert.equal(await findDocumentRef("ws2", { number: "INV-001" }), null);
+
+  const v = await validate([{ invoice_number: "RCT-000", amount: 10 }], 1000);
+  assert.deepEqual(v.errors.map(e => e.code), ["ALLOC_DOC_NOT_FOUND"]);
+  await assert.rejects(
+    saveAllocations({
+      sessionId: "ws1", settlementDocId: "rct-3", partyLedger: ACME, totalCents: 1000,
+      allocations: [{ invoice_number: "RCT-000", amount: 10 }],
+    }),
+    /Allocation invoice not found/
+  );
+});
+
+test("over-allocation is reported against the settlement and the invoice", async () => {
+  const v = await validate([{ invoice_number: "INV-002", amount: 900 }], 50000);
+  assert.deepEqual(v.errors.map(e => e.code).sort(), ["ALLOC_OVER_OUTSTANDING", "ALLOC_OVER_SETTLEMENT"]);
+});
@@ -0,0 +1,105 @@
+// test/stockCosting.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setupDb } from "./helpers/db.js";
+
+await setupDb();
+const { planIssue } = await import("../utils/stock/fifo.js");
+const {
+  saveItem, postStockMovement, stockValuation, expiryReport, itemBatches,
+} = await import("../services/inventory.js");
+const { setInventorySettings } = await import("../services/workspaceSettings.js");
+
+const { item: fifo } = await saveItem("ws1", { code: "NUT", name: "Nut M8", costingMethod: "fifo" });
+const { item: avg } = await saveItem("ws1", { code: "WASHER", name: "Washer", costingMethod: "wavg" });
+const { item: syrup } = await saveItem("ws1", { code: "SYRUP", name: "Cough syrup", batchTracked: true });
+
+const move = (input) => postStockMovement("ws1", input);
+
+test("planIssue takes layers oldest first, or earliest expiry first, skipping expired ones", () => {
+  const layers = [
+    { id: "a", date: "2025-04-01", expiry_date: "2025-12-31", qty_remaining: 5, rate_cents: 100 },
+    { id: "b", date: "2025-04-05", expiry_date: "2025-06-30", qty_remaining: 5, rate_cents: 200 },
+    { id: "c", date: "2025-04-10", expiry_date: "2025-04-30", qty_remaining: 5, rate_cents: 300 },
+  ];
+  const f = planIssue(layers, 7, { date: "2025-05-01" });
+  assert.deepEqual(f.picks.map(p => [p.layer.id, p.qty]), [["a", 5], ["b", 2]]);
+  assert.equal(f.value_cents, 900);
+
+  const e = planIssue(layers, 7, { date: "2025-05-01", order: "fefo" });
+  assert.deepEqual(e.picks.map(p => [p.layer.id, p.qty]), [["b", 5], ["a", 2]]);
+
+  const short = planIssue(layers, 12, { date: "2025-05-01" });
+  assert.equal(short.short, 2);
+  const all = planIssue(layers, 12, { date: "2025-05-01", allowExpired: true });
+  assert.equal(all.short, 0);
+  assert.equal(all.expired_qty, 2);
+});
+
+test("FIFO issues are valued at the layers they consume; weighted average at the running rate", async () => {
+  for (const code of ["NUT", "WASHER"]) {
+    await move({ code, kind: "receipt", qty: 10, rate: 10, date: "2025-04-01" });
+    await move({ code, kind: "receipt", qty: 10, rate: 20, date: "2025-04-02" });
+  }
+  const f = await move({ code: "NUT", kind: "issue", qty: 15, date: "2025-04-03" });
+  assert.equal(f.method, "fifo");
+  assert.equal(f.value_cents, 10 * 1000 + 5 * 2000);
+  assert.deepEqual(f.layers.map(l => [l.qty, l.rate_cents]), [[10, 1000], [5, 2000]]);
+
+  const w = await move({ code: "WASHER", kind: "issue", qty: 15, date: "2025-04-03" });
+  assert.equal(w.method, "wavg");
+  assert.equal(w.value_cents, 15 * 1500);
+
+  const v = await stockValuation("ws1", { asOf: "2025-04-03" });
+  const row = (code) => v.rows.find(r => r.code === code);
+  assert.equal(row("NUT").value_cents, 5 * 2000);
+  assert.equal(row("WASHER").value_cents, 5 * 1500);
+});
+
+test("an item's costing method is fixed once it has movements", async () => {
+  await assert.rejects(saveItem("ws1", { id: fifo.id, costingMethod: "wavg" }), { http: 409 });
+  await assert.rejects(saveItem("ws1", { id: avg.id, batchTracked: true }), { http: 409 });
+});
+
+test("batch-tracked items need a batch on receipt and issue earliest expiry first", async () => {
+  await assert.rejects(move({ code: "SYRUP", kind: "receipt", qty: 5, rate: 50, date: "2025-04-01" }), { http: 400 });
+  await move({ code: "SYRUP", kind: "receipt", qty: 5, rate: 50, batchNo: "B-LATE", expiryDate: "2026-03-31", date: "2025-04-01" });
+  await move({ code: "SYRUP", kind: "receipt", qty: 5, rate: 60, batchNo: "B-SOON", expiryDate: "2025-05-31", date: "2025-04-02" });
+
+  const out = await move({ code: "SYRUP", kind: "issue", qty: 3, date: "2025-04-10" });
+  assert.equal(out.batch_no, "B-SOON");
+
+  const named = await move({ code: "SYRUP", kind: "issue", qty: 1, batchNo: "B-LATE", date: "2025-04-10" });
+  assert.equal(named.batch_no, "B-LATE");
+  await assert.rejects(move({ code: "SYRUP", kind: "issue", qty: 1, batchNo: "B-NONE", date: "2025-04-10" }), { http: 422 });
+
+  const { batches } = await itemBatches("ws1", syrup.id, "2025-04-10");
+  assert.deepEqual(batches.map(b => [b.batch_no, b.qty]), [["B-SOON", 2], ["B-LATE", 4]]);
+});
+
+test("expired batches are not issued and show on the expiry report", async () => {
+  await assert.rejects(
+    move({ code: "SYRUP", kind: "issue", qty: 6, date: "2025-06-15" }),
+    { http: 422, message: /B-SOON \(expired 2025-05-31\) cannot be issued/ }
+  );
+  const ok = await move({ code: "SYRUP", kind: "issue", qty: 4, date: "2025-06-15" });
+  assert.equal(ok.batch_no, "B-LATE");
+
+  const r = await expiryReport("ws1", { asOf: "2025-06-15", days: 30 });
+  assert.deepEqual(r.expired.map(x => [x.batch_no, x.qty]), [["B-SOON", 2]]);
+  assert.equal(r.totals.expired_cents, 2 * 6000);
+  assert.equal(r.nearExpiry.length, 0);
+
+  const back = await expiryReport("ws1", { asOf: "2025-05-15", days: 30 });
+  assert.deepEqual(back.nearExpiry.map(x => [x.batch_no, x.qty, x.days_left]), [["B-SOON", 2, 16]]);
+});
+
+test("items without their own method take the workspace default at their first movement", async () => {
+  await setInventorySettings("ws1", { costingMethod: "fifo" });
+  await saveItem("ws1", { code: "PIN", name: "Pin" });
+  const r = await move({ code: "PIN", kind: "receipt", qty: 1, rate: 1, date: "2025-04-01" });
+  assert.equal(r.method, "fifo");
+  await setInventorySettings("ws1", { costingMethod: "wavg" });
+  const i = await move({ code: "PIN", kind: "issue", qty: 1, date: "2025-04-02" });
+  assert.equal(i.method, "fifo");
+});
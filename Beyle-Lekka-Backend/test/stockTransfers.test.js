@@ -0,0 +1,59 @@
+// test/stockTransfers.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setupDb } from "./helpers/db.js";
+
+const { query } = await setupDb();
+const { saveWarehouse } = await import("../services/warehouses.js");
+const { saveItem, postStockMovement, onHand } = await import("../services/inventory.js");
+const { createTransfer, receiveTransfer, cancelTransfer } = await import("../services/stockTransfers.js");
+const { closePeriod } = await import("../services/periods.js");
+
+const { warehouse: main } = await saveWarehouse("ws1", { name: "Main", code: "MAIN" });
+const { warehouse: godown } = await saveWarehouse("ws1", { name: "Godown", code: "GDN" });
+const { item } = await saveItem("ws1", { code: "BOLT", name: "Bolt M8" });
+await postStockMovement("ws1", { code: "BOLT", kind: "opening", qty: 20, rate: 5, date: "2025-04-01", warehouseId: main.id });
+
+const at = (warehouseId, date = "2999-12-31") => onHand("ws1", item.id, date, query, warehouseId);
+const transfer = (date, extra = {}) =>
+  createTransfer("ws1", { date, fromWarehouseId: "MAIN", toWarehouseId: "GDN", items: [{ code: "BOLT", qty: 5 }], ...extra });
+
+test("a transfer sits in transit until it is received, at the value it left with", async () => {
+  const t = await transfer("2025-05-01");
+  assert.equal(t.status, "in_transit");
+  assert.equal(t.value_cents, 2500);
+  assert.equal(await at(main.id), 15);
+  assert.equal(await at(godown.id), 0);
+
+  await assert.rejects(receiveTransfer("ws1", t.id, { date: "2025-04-30" }), { http: 400 });
+  const r = await receiveTransfer("ws1", t.id, { date: "2025-05-03" });
+  assert.equal(r.status, "received");
+  assert.equal(await at(godown.id), 5);
+  await assert.rejects(cancelTransfer("ws1", t.id, { date: "2025-05-04" }), { http: 409 });
+});
+
+test("a cancelled transfer returns the goods to the source", async () => {
+  const t = await transfer("2025-05-10");
+  await cancelTransfer("ws1", t.id, { date: "2025-05-11", reason: "wrong truck" });
+  assert.equal(await at(main.id), 15);
+  assert.equal(await at(godown.id), 5);
+});
+
+test("transfers and receipts dated in a closed period are refused", async () => {
+  const pending = await transfer("2025-06-20");
+  await closePeriod("ws1", { periodEnd: "2025-06-30", force: true });
+  const { rows: before } = await query(`SELECT COUNT(*) AS n FROM stock_transfers WHERE session_id = 'ws1'`);
+
+  await assert.rejects(transfer("2025-06-25"), { http: 409, message: /Period locked for date 2025-06-25/ });
+  await assert.rejects(transfer("2025-06-25", { receiveNow: true }), { http: 409 });
+  await assert.rejects(receiveTransfer("ws1", pending.id, { date: "2025-06-30" }), { http: 409, message: /Period locked/ });
+
+  const { rows: after } = await query(`SELECT COUNT(*) AS n FROM stock_transfers WHERE session_id = 'ws1'`);
+  assert.equal(Number(after[0].n), Number(before[0].n));
+
+  const r = await receiveTransfer("ws1", pending.id, { date: "2025-07-01" });
+  assert.equal(r.received_date, "2025-07-01");
+  const t = await transfer("2025-07-01", { receiveNow: true });
+  assert.equal(t.status, "received");
+  assert.equal(await at(godown.id), 15);
+});
@@ -0,0 +1,97 @@
+// test/tds26q.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setupDb } from "./helpers/db.js";
+
+await setupDb();
+const {
+  SECTION_CODES, sectionCode, sameSection, quarterBounds, quarterOf, depositDueDate,
+  lateInterestCents, allocateChallans, build26QText, deducteeCodeForPAN,
+} = await import("../utils/tax/tds26q.js");
+
+// Section → code, as listed in the section-code annexure of the NSDL 26Q file format.
+const NSDL = [
+  ["192A", "2AA"], ["193", "193"], ["194", "194"], ["194A", "94A"], ["194B", "94B"],
+  ["194BA", "4BA"], ["194BB", "4BB"], ["194C", "94C"], ["194D", "94D"], ["194DA", "4DA"],
+  ["194EE", "4EE"], ["194F", "94F"], ["194G", "94G"], ["194H", "94H"], ["194I(a)", "4IA"],
+  ["194I(b)", "4IB"], ["194IA", "9IA"], ["194IB", "9IB"], ["194IC", "4IC"], ["194J(a)", "4JA"],
+  ["194J(b)", "4JB"], ["194K", "94K"], ["194LA", "94L"], ["194M", "94M"], ["194N", "94N"],
+  ["194O", "94O"], ["194Q", "94Q"], ["194R", "94R"], ["194S", "94S"],
+];
+
+test("every section maps to its NSDL code", () => {
+  for (const [section, code] of NSDL) assert.equal(sectionCode(section), code, section);
+  assert.equal(Object.keys(SECTION_CODES).length, NSDL.length);
+});
+
+test("sub-clauses are not confused with the sections of the same letters", () => {
+  assert.equal(sectionCode("194I(a)"), "4IA");
+  assert.equal(sectionCode("194IA"), "9IA");
+  assert.equal(sectionCode("194I(b)"), "4IB");
+  assert.equal(sectionCode("194IB"), "9IB");
+  assert.equal(sectionCode("194 I (B)"), "4IB");
+  assert.equal(sectionCode("Section 194C"), "94C");
+  assert.equal(sectionCode("u/s 194H"), "94H");
+});
+
+test("unknown and ambiguous sections have no code", () => {
+  assert.equal(sectionCode("194I"), null);
+  assert.equal(sectionCode("194J"), null);
+  assert.equal(sectionCode("194Z"), null);
+  assert.equal(sectionCode(""), null);
+  // Codes are accepted as they are
+  assert.equal(sectionCode("4JB"), "4JB");
+  assert.ok(sameSection("194C", "94C"));
+  assert.ok(sameSection("194J", "194 j"));
+  assert.ok(!sameSection("194I(a)", "194IA"));
+});
+
+test("quarters, due dates and late interest", () => {
+  assert.deepEqual(quarterBounds(2025, "Q3"), { from: "2025-10-01", to: "2025-12-31" });
+  assert.deepEqual(quarterBounds(2025, "Q4"), { from: "2026-01-01", to: "2026-03-31" });
+  assert.deepEqual(quarterOf("2026-02-10"), { fy: 2025, quarter: "Q4" });
+  assert.equal(depositDueDate("2025-12-15"), "2026-01-07");
+  assert.equal(depositDueDate("2026-03-10"), "2026-04-30");
+  assert.equal(lateInterestCents(100000, "2025-05-10", "2025-06-07"), 0);
+  // May → July: three months or part at 1.5%
+  assert.equal(lateInterestCents(100000, "2025-05-10", "2025-07-02"), 4500);
+});
+
+test("challans cover deductions FIFO, only of their own section", () => {
+  const { deductions, challans } = allocateChallans(
+    [
+      { key: "a", date: "2025-04-10", section: "194C", tds_cents: 1000 },
+      { key: "b", date: "2025-04-20", section: "194J(b)", tds_cents: 5000 },
+      { key: "c", date: "2025-05-02", section: "194C", tds_cents: 2000 },
+    ],
+    [
+      { id: "ch1", deposit_date: "2025-05-07", section: "94C", tds_cents: 2500 },
+      { id: "ch2", deposit_date: "2025-05-07", section: "194J(b)", tds_cents: 5000 },
+    ]
+  );
+  const by = Object.fromEntries(deductions.map(d => [d.key, d]));
+  assert.deepEqual(by.a.challans, [{ challan_id: "ch1", cents: 1000 }]);
+  assert.deepEqual(by.b.challans, [{ challan_id: "ch2", cents: 5000 }]);
+  assert.equal(by.c.unallocated_cents, 500);
+  assert.deepEqual(challans.map(c => c.used_cents), [2500, 5000]);
+});
+
+test("the NSDL text carries the section codes", () => {
+  const text = build26QText({
+    deductor: { tan: "MUMA12345B", pan: "AAPFU0939F", name: "Acme", address: "Mumbai", email: "a@b.in" },
+    fy: 2025,
+    quarter: "Q1",
+    createdOn: "2025-07-20",
+    challans: [{
+      challan_serial: "00123", bsr_code: "0510002", deposit_date: "2025-05-07", section: "194I(b)",
+      tds_cents: 10000, interest_cents: 0, others_cents: 0, fee_cents: 0, amount_cents: 10000,
+      rows: [{ deductee: { pan: "ABCDE1234F", name: "Landlord" }, section: "194I(b)", date: "2025-04-30", tds_cents: 10000, paid_cents: 100000, rate: 0.1 }],
+    }],
+  });
+  const records = text.trim().split("\r\n").map(l => l.split("^"));
+  assert.deepEqual(records.map(r => r[1]), ["FH", "BH", "CD", "DD"]);
+  assert.ok(records[2].includes("4IB"));
+  assert.equal(records[3][records[3].length - 1], "4IB");
+  assert.equal(deducteeCodeForPAN("AAACR5055K"), "01");
+  assert.equal(deducteeCodeForPAN("ABCPE1234F"), "02");
+});
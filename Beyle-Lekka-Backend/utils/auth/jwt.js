@@ -0,0 +1,38 @@
+// utils/auth/jwt.js
+// Minimal HS256 JSON Web Tokens (sign / verify with exp) on node:crypto.
+import { createHmac, timingSafeEqual } from "crypto";
+
+const b64 = (obj) => Buffer.from(JSON.stringify(obj)).toString("base64url");
+
+function signature(data, secret) {
+  return createHmac("sha256", secret).update(data).digest("base64url");
+}
+
+/** payload gets iat/exp (seconds); ttlSeconds <= 0 → no exp */
+export function signJwt(payload, secret, ttlSeconds = 8 * 3600) {
+  const iat = Math.floor(Date.now() / 1000);
+  const body = { ...payload, iat };
+  if (ttlSeconds > 0) body.exp = iat + ttlSeconds;
+  const data = `${b64({ alg: "HS256", typ: "JWT" })}.${b64(body)}`;
+  return `${data}.${signature(data, secret)}`;
+}
+
+/** Returns the payload, or throws Error("invalid_token" | "token_expired"). */
+export function verifyJwt(token, secret) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) throw new Error("invalid_token");
+  const [h, p, s] = parts;
+  let header, payload;
+  try {
+    header = JSON.parse(Buffer.from(h, "base64url").toString("utf8"));
+    payload = JSON.parse(Buffer.from(p, "base64url").toString("utf8"));
+  } catch {
+    throw new Error("invalid_token");
+  }
+  if (header?.alg !== "HS256") throw new Error("invalid_token");
+  const want = Buffer.from(signature(`${h}.${p}`, secret));
+  const got = Buffer.from(s);
+  if (want.length !== got.length || !timingSafeEqual(want, got)) throw new Error("invalid_token");
+  if (payload?.exp && Math.floor(Date.now() / 1000) >= payload.exp) throw new Error("token_expired");
+  return payload;
+}
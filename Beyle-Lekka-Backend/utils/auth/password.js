@@ -0,0 +1,28 @@
+// utils/auth/password.js
+// scrypt password hashes, stored as "scrypt$N$r$p$salt$hash" (base64url salt/hash).
+import { scrypt, randomBytes, timingSafeEqual } from "crypto";
+
+const N = 16384, R = 8, P = 1, KEYLEN = 64;
+export const MIN_PASSWORD_LENGTH = 8;
+
+function derive(password, salt, n, r, p) {
+  return new Promise((resolve, reject) => {
+    scrypt(String(password), salt, KEYLEN, { N: n, r, p, maxmem: 64 * 1024 * 1024 }, (err, key) =>
+      err ? reject(err) : resolve(key)
+    );
+  });
+}
+
+export async function hashPassword(password) {
+  const salt = randomBytes(16);
+  const key = await derive(password, salt, N, R, P);
+  return ["scrypt", N, R, P, salt.toString("base64url"), key.toString("base64url")].join("$");
+}
+
+export async function verifyPassword(password, stored) {
+  const [alg, n, r, p, salt, hash] = String(stored || "").split("$");
+  if (alg !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "base64url");
+  const key = await derive(password, Buffer.from(salt, "base64url"), Number(n), Number(r), Number(p));
+  return key.length === expected.length && timingSafeEqual(key, expected);
+}
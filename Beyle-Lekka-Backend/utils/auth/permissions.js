@@ -0,0 +1,34 @@
+// utils/auth/permissions.js
+// Workspace roles → permissions. Routes ask for a permission (middleware/auth.js `can`),
+// never for a role, so a role's reach is decided here only.
+
+export const ROLES = ["owner", "accountant", "data-entry", "viewer", "auditor"];
+
+const ALL = ROLES;
+const BOOKKEEPERS = ["owner", "accountant", "data-entry"];
+
+export const PERMISSIONS = {
+  read:             ALL,                                   // reports, ledger view, listings
+  post:             BOOKKEEPERS,                           // preview/confirm entries, document upload
+  import:           BOOKKEEPERS,
+  amend:            ["owner", "accountant"],               // reverse-and-repost corrections
+  reconcile:        ["owner", "accountant"],               // bank statements and matching
+  tax:              ["owner", "accountant"],               // TDS deductees / challans, e-invoice IRNs
+  masters:          ["owner", "accountant"],               // bank accounts, facilities, loans, items, warehouses
+  export:           ["owner", "accountant", "auditor"],
+  "period.close":   ["owner"],
+  "year_end":       ["owner"],
+  "members.manage": ["owner"],
+};
+
+export function isRole(role) {
+  return ROLES.includes(role);
+}
+
+export function roleCan(role, permission) {
+  return !!PERMISSIONS[permission]?.includes(role);
+}
+
+export function permissionsOf(role) {
+  return Object.keys(PERMISSIONS).filter(p => roleCan(role, p));
+}
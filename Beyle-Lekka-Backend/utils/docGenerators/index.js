@@ -0,0 +1,36 @@
+// utils/docGenerators/index.js
+// One entry point for posted-document files: PDF from the templates under ./pdf (default) or
+// the editable DOCX generators, per the workspace's doc format or an explicit `format`.
+import { generateInvoiceDoc } from "./invoice.js";
+import { generateReceiptDoc } from "./receipt.js";
+import { generatePaymentVoucherDoc } from "./paymentVoucher.js";
+import { generateInvoicePdf } from "./pdf/invoice.js";
+import { generateReceiptPdf } from "./pdf/receipt.js";
+import { generatePaymentVoucherPdf } from "./pdf/paymentVoucher.js";
+
+const GENERATORS = {
+  invoice: { pdf: generateInvoicePdf, docx: generateInvoiceDoc },
+  receipt: { pdf: generateReceiptPdf, docx: generateReceiptDoc },
+  payment_voucher: { pdf: generatePaymentVoucherPdf, docx: generatePaymentVoucherDoc },
+  // Notes reuse the invoice layout and exist as PDF only
+  credit_note: { pdf: generateInvoicePdf },
+  debit_note: { pdf: generateInvoicePdf },
+  // So do quotations and sales orders (non-posting)
+  quotation: { pdf: generateInvoicePdf },
+  sales_order: { pdf: generateInvoicePdf },
+};
+
+export const RENDERABLE_DOC_TYPES = Object.keys(GENERATORS);
+
+/**
+ * Render a document file. structured: { docType, documentFields: { [docType]: docModel } }.
+ * Returns the generator's { docType, number, filename, url, absPath, fields }, or null for
+ * document types without a template. Types without a DOCX template fall back to PDF.
+ */
+export async function generateDocument({ structured, branding = {}, format = null }) {
+  const gen = GENERATORS[structured?.docType];
+  if (!gen) return null;
+  const fmt = (format || branding.docFormat || "pdf") === "docx" && gen.docx ? "docx" : "pdf";
+  const meta = await gen[fmt]({ structured, branding });
+  return { format: fmt, ...meta };
+}
@@ -11,10 +11,12 @@ import {
   TableRow,
   TableCell,
   AlignmentType,
-  WidthType
+  WidthType,
+  ImageRun
 } from "docx";
 import dotenv from "dotenv";
 import { getNextNumber } from "../../services/series.js"; // numbering service (fallback only)
+import { qrPng } from "../qr.js";
 dotenv.config();
 
 const OUTPUT_DIR = path.resolve("./generated_docs");
@@ -95,6 +97,28 @@ export async function generateInvoiceDoc({ structured }) {
     ]
   });
 
+  // E-invoice registration (IRN, ack, signed QR) once the IRP has accepted the invoice
+  const irnBlock = [];
+  if (f.irn) {
+    irnBlock.push(new Paragraph({
+      children: [
+        new TextRun({ text: `IRN: ${f.irn}\n`, size: 16 }),
+        new TextRun({ text: `Ack No: ${f.ackNo || ""}   Ack Date: ${f.ackDate || ""}\n`, size: 16 })
+      ]
+    }));
+    if (f.signedQr) {
+      try {
+        const png = await qrPng(f.signedQr, { ecc: "L", scale: 3 });
+        irnBlock.push(new Paragraph({
+          alignment: AlignmentType.RIGHT,
+          children: [new ImageRun({ type: "png", data: png, transformation: { width: 140, height: 140 } })]
+        }));
+      } catch (e) {
+        console.warn("E-invoice QR not rendered:", e?.message);
+      }
+    }
+  }
+
   const headRow = new TableRow({
     children: ["Item", "Qty", "Rate", "Amount"].map(
       (t) =>
@@ -134,7 +158,7 @@ export async function generateInvoiceDoc({ structured }) {
   });
 
   const doc = new Document({
-    sections: [{ children: [title, header, table, summary, narration] }]
+    sections: [{ children: [title, header, ...irnBlock, table, summary, narration] }]
   });
 
   // Use invoice number in filename for traceability
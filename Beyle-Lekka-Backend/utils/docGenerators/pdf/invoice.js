@@ -0,0 +1,229 @@
+// utils/docGenerators/pdf/invoice.js
+import { getNextNumber } from "../../../services/series.js"; // fallback only
+import { taxLines, supplierGSTINOf, customerGSTINOf, placeOfSupplyOf } from "../../tax/gstr1.js";
+import { stateCodeFromGSTIN, isInterState, round2 } from "../../tax/gstUtil.js";
+import { amountInWords } from "./words.js";
+import {
+  newDocument, brandingImages, letterhead, block, table, totals, bankAndTerms, signatures,
+  ensureSpace, contentWidth, savePdf, inr,
+} from "./layout.js";
+
+// Credit / debit notes print on the invoice layout with their own title and the invoice they
+// adjust; quotations and sales orders with their validity / delivery date
+const TITLES = {
+  invoice: "TAX INVOICE", credit_note: "CREDIT NOTE", debit_note: "DEBIT NOTE",
+  quotation: "QUOTATION", sales_order: "SALES ORDER",
+};
+const LABELS = {
+  invoice: "Invoice", credit_note: "Credit note", debit_note: "Debit note",
+  quotation: "Quotation", sales_order: "Sales order",
+};
+const NOTES = ["credit_note", "debit_note"];
+// Payment QR only where money is due
+const PAYABLE = ["invoice", "debit_note"];
+
+// HSN/SAC-wise summary: one row per HSN and rate
+function hsnSummary(lines) {
+  const by = new Map();
+  for (const l of lines) {
+    const key = `${l.hsn || "-"}|${l.rt}`;
+    const r = by.get(key) || { hsn: l.hsn || "-", rt: l.rt, txval: 0, camt: 0, samt: 0, iamt: 0, csamt: 0 };
+    r.txval += l.txval; r.camt += l.camt; r.samt += l.samt; r.iamt += l.iamt; r.csamt += l.csamt;
+    by.set(key, r);
+  }
+  return [...by.values()];
+}
+
+function upiUri(b, amount, memo) {
+  const q = new URLSearchParams({
+    pa: b.upiId,
+    pn: b.upiName || b.legalName || "",
+    am: amount.toFixed(2),
+    cu: "INR",
+    tn: memo,
+  });
+  return `upi://pay?${q.toString().replace(/\+/g, "%20")}`;
+}
+
+/**
+ * Tax invoice (or credit / debit note, per structured.docType) as PDF.
+ * Accepts the same structured.documentFields.invoice as the DOCX generator (reserved number in
+ * `number` / `invoiceNo`), plus branding ({ legalName, address, gstin, bank, upiId, terms, logo, … }).
+ * Notes read documentFields.credit_note / debit_note and show originalInvoiceNumber / Date and reason;
+ * quotations / sales orders read documentFields.quotation / sales_order (validUntil, deliveryDate).
+ */
+export async function generateInvoicePdf({ structured, branding = {} }) {
+  const docType = TITLES[structured?.docType] ? structured.docType : "invoice";
+  const label = LABELS[docType];
+  const fIn = structured?.documentFields?.[docType];
+  if (!fIn) throw new Error(`Missing documentFields.${docType}`);
+  const f = { ...fIn };
+
+  if (!Array.isArray(f.items) || f.items.length === 0) throw new Error(`${label} requires at least one item.`);
+  if (!f.buyer) throw new Error(`${label} requires buyer.`);
+  if (!f.date) throw new Error(`${label} requires date (YYYY-MM-DD).`);
+  if (NOTES.includes(docType) && !f.originalInvoiceNumber) throw new Error(`${label} requires originalInvoiceNumber.`);
+
+  const invoiceNo = f.number || f.invoiceNo || (await getNextNumber(docType));
+  f.invoiceNo = invoiceNo;
+  f.number = invoiceNo;
+
+  const b = { ...branding, legalName: f.sellerName || branding.legalName, address: f.sellerAddress || branding.address };
+  const imgs = await brandingImages(b);
+  const seller = supplierGSTINOf(f, b.gstin);
+  const origin = stateCodeFromGSTIN(seller);
+  const pos = placeOfSupplyOf(f) || origin;
+  const inter = isInterState(origin, pos);
+  const lines = taxLines(f, inter);
+  const withRates = lines.some(l => l.rt);
+
+  const taxable = round2(lines.reduce((s, l) => s + l.txval, 0));
+  const sum = (k) => round2(lines.reduce((s, l) => s + l[k], 0));
+  const lineTax = round2(sum("iamt") + sum("camt") + sum("samt") + sum("csamt"));
+  const tax = withRates ? lineTax : round2(f.taxes || 0);
+  const total = typeof f.totalAmount === "number" ? round2(f.totalAmount) : round2(taxable + tax);
+  const roundOff = round2(total - taxable - tax);
+
+  const pdf = newDocument(b, `${label} ${invoiceNo}`);
+  const against = f.originalInvoiceNumber
+    ? `${f.originalInvoiceNumber}${f.originalInvoiceDate ? ` dt ${f.originalInvoiceDate}` : ""}`
+    : null;
+  let y = letterhead(pdf, b, imgs, {
+    title: TITLES[docType],
+    meta: [
+      [`${label} No`, invoiceNo],
+      ["Date", f.date],
+      ["Against invoice", NOTES.includes(docType) ? against : null],
+      ["Quotation", docType === "sales_order" ? f.quotationNumber : null],
+      ["Valid until", docType === "quotation" ? f.validUntil : null],
+      ["Delivery by", docType === "sales_order" ? f.deliveryDate : null],
+      ["Due date", f.dueDate],
+      ["Place of supply", pos],
+      ["Reverse charge", f.reverseCharge ? "Yes" : null],
+    ],
+  });
+
+  // Parties
+  const w = contentWidth(pdf), half = w / 2 - 10;
+  const buyerAddr = f.buyerAddress || f.customerAddress || f.billingAddress || "";
+  const ctin = customerGSTINOf(f);
+  const billY = block(pdf, pdf.margin, y, half, "BILL TO", [
+    { text: f.buyerLegalName || f.buyer, bold: true },
+    buyerAddr,
+    ctin ? `GSTIN: ${ctin}` : "",
+  ]);
+  let shipY = y;
+  if (f.shipToAddress || f.transport) {
+    const t = f.transport || {};
+    shipY = block(pdf, pdf.margin + w / 2 + 10, y, half, f.shipToAddress ? "SHIP TO" : "DISPATCH", [
+      f.shipToName || "",
+      f.shipToAddress || "",
+      t.vehicleNo ? `Vehicle: ${t.vehicleNo}` : "",
+      t.transporterName || t.transporterId ? `Transporter: ${t.transporterName || t.transporterId}` : "",
+      t.transDocNo ? `LR/RR: ${t.transDocNo}${t.transDocDate ? ` dt ${t.transDocDate}` : ""}` : "",
+    ]);
+  }
+  y = Math.max(billY, shipY) + 8;
+  if (NOTES.includes(docType) && f.reason) y = block(pdf, pdf.margin, y, w, "REASON", [f.reason]) + 6;
+
+  // E-invoice registration
+  if (f.irn) {
+    y = ensureSpace(pdf, y, 100);
+    const irnY = block(pdf, pdf.margin, y, w - 110, "E-INVOICE", [
+      `IRN: ${f.irn}`,
+      `Ack No: ${f.ackNo || ""}   Ack Date: ${f.ackDate || ""}`,
+    ]);
+    if (f.signedQr) {
+      try {
+        pdf.qr(f.signedQr, pdf.margin + w - 95, y, 95, { ecc: "L" });
+        y = Math.max(irnY, y + 100);
+      } catch (e) {
+        console.warn("E-invoice QR not rendered:", e?.message);
+        y = irnY;
+      }
+    } else {
+      y = irnY;
+    }
+    y += 6;
+  }
+
+  // Items
+  const items = f.items;
+  const columns = [
+    { label: "#", width: 20 },
+    { label: "Description", width: 160 },
+    { label: "HSN/SAC", width: 50 },
+    { label: "Qty", width: 40, align: "right" },
+    { label: "Rate", width: 60, align: "right" },
+    { label: "Taxable", width: 70, align: "right" },
+    { label: "GST %", width: 35, align: "right" },
+    { label: "Amount", width: w - 435, align: "right" },
+  ];
+  y = table(pdf, y, columns, lines.map((l, i) => [
+    String(i + 1),
+    l.desc || "Item",
+    l.hsn,
+    String(l.qty),
+    inr(items[i]?.rate ?? (l.qty ? l.txval / l.qty : l.txval)),
+    inr(l.txval),
+    withRates ? String(l.rt) : "",
+    inr(l.txval + l.iamt + l.camt + l.samt + l.csamt),
+  ])) + 8;
+
+  // Totals and amount in words
+  const taxRows = !withRates
+    ? (tax ? [["Taxes", inr(tax)]] : [])
+    : inter
+      ? [["IGST", inr(sum("iamt"))]]
+      : [["CGST", inr(sum("camt"))], ["SGST", inr(sum("samt"))]];
+  if (withRates && sum("csamt")) taxRows.push(["Cess", inr(sum("csamt"))]);
+  const pairs = [["Taxable value", inr(taxable)], ...taxRows];
+  if (roundOff && Math.abs(roundOff) < 1) pairs.push(["Round off", inr(roundOff)]);
+  pairs.push(Object.assign(["Total (INR)", inr(total)], { bold: true }));
+  y = ensureSpace(pdf, y, pairs.length * 15 + 10);
+  const wordsY = pdf.paragraph(`Amount in words: ${amountInWords(total)}`, pdf.margin, y, w - 240, { size: 9, bold: true });
+  y = Math.max(totals(pdf, y, pairs), wordsY) + 8;
+
+  // HSN-wise tax summary
+  if (withRates) {
+    const rows = hsnSummary(lines);
+    const cols = inter
+      ? [
+          { label: "HSN/SAC", width: 90 }, { label: "Taxable", width: 110, align: "right" }, { label: "Rate %", width: 60, align: "right" },
+          { label: "IGST", width: 110, align: "right" }, { label: "Total tax", width: w - 370, align: "right" },
+        ]
+      : [
+          { label: "HSN/SAC", width: 80 }, { label: "Taxable", width: 95, align: "right" }, { label: "Rate %", width: 50, align: "right" },
+          { label: "CGST", width: 95, align: "right" }, { label: "SGST", width: 95, align: "right" }, { label: "Total tax", width: w - 415, align: "right" },
+        ];
+    const body = rows.map(r => {
+      const t = r.iamt + r.camt + r.samt + r.csamt;
+      return inter
+        ? [r.hsn, inr(r.txval), String(r.rt), inr(r.iamt), inr(t)]
+        : [r.hsn, inr(r.txval), String(r.rt), inr(r.camt), inr(r.samt), inr(t)];
+    });
+    const foot = inter
+      ? ["Total", inr(taxable), "", inr(sum("iamt")), inr(lineTax)]
+      : ["Total", inr(taxable), "", inr(sum("camt")), inr(sum("samt")), inr(lineTax)];
+    y = ensureSpace(pdf, y, 40);
+    pdf.text("HSN/SAC SUMMARY", pdf.margin, y, { size: 8, bold: true, color: "#666666" });
+    y = table(pdf, y + 11, cols, [...body, Object.assign(foot, { bold: true })], { size: 8 }) + 8;
+  }
+
+  if (f.narration) y = pdf.paragraph(`Narration: ${f.narration}`, pdf.margin, ensureSpace(pdf, y, 24), w, { size: 8.5 }) + 4;
+
+  // Bank, terms, UPI and signature
+  const upi = b.upiId && total > 0 && PAYABLE.includes(docType) ? upiUri(b, total, `${label} ${invoiceNo}`) : null;
+  y = bankAndTerms(pdf, y, b, {
+    qr: upi
+      ? (qx, qy) => {
+          pdf.qr(upi, qx, qy, 90);
+          pdf.text("Scan to pay (UPI)", qx, qy + 91, { size: 7.5, align: "center", width: 90 });
+          pdf.text(b.upiId, qx - 20, qy + 100, { size: 7, align: "center", width: 130 });
+        }
+      : null,
+  });
+  signatures(pdf, y, b, imgs);
+
+  return { docType, number: invoiceNo, ...savePdf(pdf, docType.replace("_", "-"), invoiceNo), fields: f };
+}
@@ -0,0 +1,235 @@
+// utils/docGenerators/pdf/layout.js
+// Building blocks shared by the PDF templates: letterhead, tables with page breaks,
+// amount boxes, bank/terms and signature blocks, and writing the file next to the DOCX output.
+import fs from "fs";
+import path from "path";
+import { v4 as uuidv4 } from "uuid";
+import { createPdf, wrapText } from "./writer.js";
+import { amountInWords } from "./words.js";
+
+const OUTPUT_DIR = path.resolve("./generated_docs");
+if (!fs.existsSync(OUTPUT_DIR)) fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+const GREY = "#666666";
+const RULE = "#cccccc";
+const HEAD_FILL = "#eeeeee";
+
+export const accentOf = (b) => (/^#[0-9a-f]{6}$/i.test(b?.accentColor || "") ? b.accentColor : "#1f3a5f");
+
+/** Indian digit grouping with two decimals: 1,23,456.50 */
+export const inr = (n) =>
+  (Number(n) || 0).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+export const twoDp = (n) => {
+  const x = Number(n);
+  return Number.isFinite(x) ? Math.round(x * 100) / 100 : 0;
+};
+
+// Branding images arrive as data URLs; the writer only embeds JPEG, so others go through sharp
+async function toJpeg(dataUrl) {
+  const m = String(dataUrl || "").match(/^data:image\/(jpeg|jpg|png|webp);base64,(.+)$/s);
+  if (!m) return null;
+  const buf = Buffer.from(m[2], "base64");
+  if (m[1] === "jpeg" || m[1] === "jpg") return buf;
+  try {
+    const { default: sharp } = await import("sharp");
+    return await sharp(buf).flatten({ background: "#ffffff" }).jpeg({ quality: 90 }).toBuffer();
+  } catch (e) {
+    console.warn("Branding image not converted for PDF:", e?.message);
+    return null;
+  }
+}
+
+/** Logo and signature as JPEG buffers (null when absent or unreadable). */
+export async function brandingImages(b = {}) {
+  const [logo, signature] = await Promise.all([toJpeg(b.logo), toJpeg(b.signature)]);
+  return { logo, signature };
+}
+
+export function newDocument(b = {}, title = "") {
+  return createPdf({ size: "A4", margin: 40, title, author: b.legalName || "" });
+}
+
+export const contentWidth = (pdf) => pdf.width - pdf.margin * 2;
+
+/** Start a new page when `need` points do not fit below y; returns the y to continue at. */
+export function ensureSpace(pdf, y, need) {
+  if (y + need <= pdf.height - pdf.margin) return y;
+  pdf.addPage();
+  return pdf.margin;
+}
+
+/**
+ * Letterhead: logo, name, address and registrations on the left; document title and
+ * its reference lines ([label, value]) on the right. Returns the y below the rule.
+ */
+export function letterhead(pdf, b, imgs, { title, meta = [] }) {
+  const x = pdf.margin, top = pdf.margin, w = contentWidth(pdf);
+  const accent = accentOf(b);
+  let tx = x;
+  let leftBottom = top;
+  if (imgs.logo) {
+    const drawn = pdf.image(imgs.logo, x, top, 90, 55);
+    if (drawn) { tx = x + drawn.width + 10; leftBottom = top + drawn.height; }
+  }
+  const leftW = w * 0.58 - (tx - x);
+  let ly = top;
+  pdf.text(b.legalName || "", tx, ly, { size: 13, bold: true, color: accent });
+  ly += 16;
+  if (b.tradeName && b.tradeName !== b.legalName) {
+    pdf.text(b.tradeName, tx, ly, { size: 9, color: GREY });
+    ly += 11;
+  }
+  if (b.address) ly = pdf.paragraph(b.address, tx, ly, leftW, { size: 8.5 });
+  const reg = [b.gstin ? `GSTIN: ${b.gstin}` : "", b.pan ? `PAN: ${b.pan}` : ""].filter(Boolean).join("   ");
+  if (reg) { pdf.text(reg, tx, ly, { size: 8.5, bold: true }); ly += 11; }
+  const contact = [b.phone, b.email].filter(Boolean).join("  ·  ");
+  if (contact) { pdf.text(contact, tx, ly, { size: 8.5, color: GREY }); ly += 11; }
+  leftBottom = Math.max(leftBottom, ly);
+
+  const rx = x + w * 0.6, rw = w * 0.4;
+  let ry = top;
+  pdf.text(title, rx, ry, { size: 16, bold: true, color: accent, align: "right", width: rw });
+  ry += 22;
+  for (const [label, value] of meta) {
+    if (value == null || value === "") continue;
+    pdf.text(`${label}: ${value}`, rx, ry, { size: 9, align: "right", width: rw });
+    ry += 12;
+  }
+
+  const y = Math.max(leftBottom, ry) + 6;
+  pdf.line(x, y, x + w, y, { width: 1, color: accent });
+  return y + 10;
+}
+
+/** A titled block of lines at (x, y) within width; returns the y below it. */
+export function block(pdf, x, y, width, heading, lines) {
+  let cy = y;
+  if (heading) { pdf.text(heading, x, cy, { size: 8, bold: true, color: GREY }); cy += 11; }
+  for (const l of lines.filter(Boolean)) {
+    const bold = typeof l === "object" && l.bold;
+    cy = pdf.paragraph(typeof l === "object" ? l.text : l, x, cy, width, { size: 9, bold });
+  }
+  return cy;
+}
+
+/**
+ * A table from `columns` ([{ label, width, align }]) and `rows` (arrays of strings), with the
+ * header repeated after page breaks. Cells wrap; returns the y below the last row.
+ */
+export function table(pdf, y, columns, rows, { size = 8.5 } = {}) {
+  const x0 = pdf.margin;
+  const total = columns.reduce((s, c) => s + c.width, 0);
+  const pad = 3;
+  const header = (cy) => {
+    const h = size * 1.25 + pad * 2;
+    pdf.rect(x0, cy, total, h, { fill: HEAD_FILL, stroke: null });
+    let cx = x0;
+    for (const c of columns) {
+      pdf.text(c.label, cx + pad, cy + pad, { size, bold: true, align: c.align || "left", width: c.width - pad * 2 });
+      cx += c.width;
+    }
+    return cy + h;
+  };
+  let cy = header(ensureSpace(pdf, y, size * 5));
+  for (const row of rows) {
+    const cells = columns.map((c, i) => wrapText(row[i] ?? "", c.width - pad * 2, size, !!row.bold));
+    const h = Math.max(...cells.map(l => l.length)) * size * 1.25 + pad * 2;
+    if (cy + h > pdf.height - pdf.margin) {
+      pdf.addPage();
+      cy = header(pdf.margin);
+    }
+    let cx = x0;
+    columns.forEach((c, i) => {
+      cells[i].forEach((line, j) => {
+        pdf.text(line, cx + pad, cy + pad + j * size * 1.25, { size, bold: !!row.bold, align: c.align || "left", width: c.width - pad * 2 });
+      });
+      cx += c.width;
+    });
+    cy += h;
+    pdf.line(x0, cy, x0 + total, cy, { color: RULE });
+  }
+  return cy;
+}
+
+/** Right-aligned label/value pairs (totals); a pair may be { bold: true }. Returns the y below. */
+export function totals(pdf, y, pairs, { width = 220 } = {}) {
+  const x = pdf.margin + contentWidth(pdf) - width;
+  let cy = ensureSpace(pdf, y, pairs.length * 13 + 6);
+  for (const p of pairs) {
+    const [label, value] = p;
+    if (p.bold) { pdf.line(x, cy, x + width, cy, { color: RULE }); cy += 3; }
+    pdf.text(label, x, cy, { size: p.bold ? 10 : 9, bold: !!p.bold });
+    pdf.text(value, x, cy, { size: p.bold ? 10 : 9, bold: !!p.bold, align: "right", width });
+    cy += p.bold ? 15 : 13;
+  }
+  return cy;
+}
+
+/** Bill-wise allocations on a receipt / payment as table rows. */
+export function allocationRows(allocations) {
+  return (Array.isArray(allocations) ? allocations : []).map(a => [
+    a.on_account ? "On account" : String(a.invoice_number || a.invoice_id || ""),
+    a.amount != null ? inr(a.amount) : "",
+  ]);
+}
+
+/** The amount in a box with the amount in words beside it; returns the y below. */
+export function amountBox(pdf, y, amount) {
+  const w = contentWidth(pdf);
+  pdf.rect(pdf.margin, y, w, 40, { fill: "#f5f5f5", stroke: "#cccccc" });
+  pdf.text(`Rs. ${inr(amount)}`, pdf.margin + 10, y + 8, { size: 14, bold: true });
+  pdf.paragraph(amountInWords(amount), pdf.margin + 170, y + 8, w - 180, { size: 9 });
+  return y + 50;
+}
+
+/** Bank account and terms, side by side with an optional QR (drawn by `qr(x, y)`, 90pt). */
+export function bankAndTerms(pdf, y, b, { qr = null } = {}) {
+  const x = pdf.margin, w = contentWidth(pdf);
+  const bank = b.bank || {};
+  const hasBank = bank.accountNo || bank.ifsc;
+  if (!hasBank && !b.terms && !qr) return y;
+  let cy = ensureSpace(pdf, y + 6, 100);
+  const textW = qr ? w - 110 : w;
+  let by = cy;
+  if (hasBank) {
+    by = block(pdf, x, by, textW, "BANK DETAILS", [
+      bank.accountName ? `A/c name: ${bank.accountName}` : "",
+      bank.bankName ? `Bank: ${bank.bankName}${bank.branch ? `, ${bank.branch}` : ""}` : "",
+      bank.accountNo ? `A/c no: ${bank.accountNo}` : "",
+      bank.ifsc ? `IFSC: ${bank.ifsc}` : "",
+    ]) + 6;
+  }
+  if (b.terms) by = block(pdf, x, by, textW, "TERMS & CONDITIONS", [b.terms]) + 4;
+  if (qr) qr(x + w - 95, cy);
+  return Math.max(by, qr ? cy + 110 : by);
+}
+
+/**
+ * Signature area: "For <name>", the signature image and "Authorised Signatory" on the right;
+ * `left` adds a second signature line (e.g. the receiver's). Returns the y below.
+ */
+export function signatures(pdf, y, b, imgs, { left = null } = {}) {
+  const x = pdf.margin, w = contentWidth(pdf);
+  const cy = ensureSpace(pdf, y + 10, 80);
+  const rx = x + w - 180;
+  pdf.text(`For ${b.legalName || ""}`, rx, cy, { size: 9, bold: true, align: "right", width: 180 });
+  if (imgs.signature) pdf.image(imgs.signature, rx + 60, cy + 14, 120, 40);
+  pdf.line(rx + 40, cy + 58, rx + 180, cy + 58, { color: GREY });
+  pdf.text("Authorised Signatory", rx, cy + 61, { size: 8.5, align: "right", width: 180 });
+  if (left) {
+    pdf.line(x, cy + 58, x + 140, cy + 58, { color: GREY });
+    pdf.text(left, x, cy + 61, { size: 8.5 });
+  }
+  return cy + 75;
+}
+
+export const safeName = (s) => String(s).replace(/[^a-z0-9\-_.]/gi, "-");
+
+/** Write the PDF under generated_docs and describe it the way the DOCX generators do. */
+export function savePdf(pdf, prefix, number) {
+  const filename = `${prefix}-${safeName(number)}-${uuidv4().slice(0, 8)}.pdf`;
+  const absPath = path.join(OUTPUT_DIR, filename);
+  fs.writeFileSync(absPath, pdf.toBuffer());
+  return { filename, url: `/files/${filename}`, absPath, format: "pdf" };
+}
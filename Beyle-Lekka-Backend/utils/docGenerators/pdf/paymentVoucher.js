@@ -0,0 +1,48 @@
+// utils/docGenerators/pdf/paymentVoucher.js
+import { getNextNumber } from "../../../services/series.js"; // fallback only
+import {
+  newDocument, brandingImages, letterhead, block, table, signatures, amountBox, allocationRows,
+  contentWidth, savePdf, twoDp,
+} from "./layout.js";
+
+/**
+ * Payment voucher as PDF; same structured.documentFields.payment_voucher (or .voucher) as the
+ * DOCX generator (amount, payee, date, mode, purpose, narration, allocations).
+ */
+export async function generatePaymentVoucherPdf({ structured, branding = {} }) {
+  const fIn = structured?.documentFields?.payment_voucher || structured?.documentFields?.voucher;
+  if (!fIn) throw new Error("Missing documentFields.payment_voucher / voucher");
+  const f = { ...fIn };
+
+  if (f.amount == null || isNaN(Number(f.amount))) throw new Error("Payment voucher requires a numeric amount.");
+  if (!f.payee) throw new Error("Payment voucher requires payee.");
+  if (!f.date) throw new Error("Payment voucher requires date (YYYY-MM-DD).");
+  f.amount = twoDp(f.amount);
+
+  const voucherNo = f.number || f.voucherNo || (await getNextNumber("voucher"));
+  f.voucherNo = voucherNo;
+  f.number = voucherNo;
+
+  const b = { ...branding, legalName: f.company || branding.legalName };
+  const imgs = await brandingImages(b);
+  const pdf = newDocument(b, `Payment voucher ${voucherNo}`);
+  const w = contentWidth(pdf);
+
+  let y = letterhead(pdf, b, imgs, { title: "PAYMENT VOUCHER", meta: [["Voucher No", voucherNo], ["Date", f.date]] });
+  y = block(pdf, pdf.margin, y + 4, w, null, [
+    { text: `Paid to: ${f.payee}`, bold: true },
+    `Mode: ${f.mode || "Unspecified"}${f.reference ? `   Ref: ${f.reference}` : ""}`,
+    `Towards: ${f.purpose || f.towards || "Payment"}`,
+  ]) + 8;
+  y = amountBox(pdf, y, f.amount);
+
+  const rows = allocationRows(f.allocations);
+  if (rows.length) {
+    pdf.text("AGAINST", pdf.margin, y, { size: 8, bold: true, color: "#666666" });
+    y = table(pdf, y + 11, [{ label: "Bill", width: 200 }, { label: "Amount", width: 120, align: "right" }], rows) + 8;
+  }
+  if (f.narration) y = block(pdf, pdf.margin, y, w, "NARRATION", [f.narration]) + 6;
+
+  signatures(pdf, y + 10, b, imgs, { left: "Receiver's Signature" });
+  return { docType: "payment_voucher", number: voucherNo, ...savePdf(pdf, "payment-voucher", voucherNo), fields: f };
+}
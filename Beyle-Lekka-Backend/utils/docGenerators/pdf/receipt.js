@@ -0,0 +1,48 @@
+// utils/docGenerators/pdf/receipt.js
+import { getNextNumber } from "../../../services/series.js"; // fallback only
+import {
+  newDocument, brandingImages, letterhead, block, table, signatures, amountBox, allocationRows,
+  contentWidth, savePdf, inr, twoDp,
+} from "./layout.js";
+
+/**
+ * Receipt as PDF; same structured.documentFields.receipt as the DOCX generator
+ * (amount, receivedFrom, date, mode, towards, narration, allocations).
+ */
+export async function generateReceiptPdf({ structured, branding = {} }) {
+  const fIn = structured?.documentFields?.receipt;
+  if (!fIn) throw new Error("Missing documentFields.receipt");
+  const f = { ...fIn };
+
+  if (f.amount == null || isNaN(Number(f.amount))) throw new Error("Receipt requires a numeric amount.");
+  if (!f.receivedFrom) throw new Error("Receipt requires receivedFrom.");
+  if (!f.date) throw new Error("Receipt requires date (YYYY-MM-DD).");
+  f.amount = twoDp(f.amount);
+
+  const receiptNo = f.number || f.receiptNo || (await getNextNumber("receipt"));
+  f.receiptNo = receiptNo;
+  f.number = receiptNo;
+
+  const b = { ...branding, legalName: f.company || branding.legalName };
+  const imgs = await brandingImages(b);
+  const pdf = newDocument(b, `Receipt ${receiptNo}`);
+  const w = contentWidth(pdf);
+
+  let y = letterhead(pdf, b, imgs, { title: "RECEIPT", meta: [["Receipt No", receiptNo], ["Date", f.date]] });
+  y = pdf.paragraph(
+    `Received with thanks from ${f.receivedFrom} the sum of Rs. ${inr(f.amount)} by ${f.mode || "unspecified mode"} ` +
+      `towards ${f.towards || "dues"}.`,
+    pdf.margin, y + 4, w, { size: 10.5 }
+  ) + 8;
+  y = amountBox(pdf, y, f.amount);
+
+  const rows = allocationRows(f.allocations);
+  if (rows.length) {
+    pdf.text("AGAINST", pdf.margin, y, { size: 8, bold: true, color: "#666666" });
+    y = table(pdf, y + 11, [{ label: "Invoice", width: 200 }, { label: "Amount", width: 120, align: "right" }], rows) + 8;
+  }
+  if (f.narration) y = block(pdf, pdf.margin, y, w, "NARRATION", [f.narration]) + 6;
+
+  signatures(pdf, y + 10, b, imgs);
+  return { docType: "receipt", number: receiptNo, ...savePdf(pdf, "receipt", receiptNo), fields: f };
+}
@@ -0,0 +1,50 @@
+// utils/docGenerators/pdf/words.js
+// Amounts in words with Indian grouping (thousand, lakh, crore), as printed on Indian
+// invoices and vouchers: 1,25,00,050.75 → "Rupees One Crore Twenty Five Lakh Fifty and Seventy Five Paise Only".
+
+const ONES = [
+  "", "One", "Two", "Three", "Four", "Five", "Six", "Seven", "Eight", "Nine", "Ten",
+  "Eleven", "Twelve", "Thirteen", "Fourteen", "Fifteen", "Sixteen", "Seventeen", "Eighteen", "Nineteen",
+];
+const TENS = ["", "", "Twenty", "Thirty", "Forty", "Fifty", "Sixty", "Seventy", "Eighty", "Ninety"];
+
+function belowHundred(n) {
+  if (n < 20) return ONES[n];
+  return [TENS[Math.floor(n / 10)], ONES[n % 10]].filter(Boolean).join(" ");
+}
+
+function belowThousand(n) {
+  const h = Math.floor(n / 100), rest = n % 100;
+  return [h ? `${ONES[h]} Hundred` : "", rest ? belowHundred(rest) : ""].filter(Boolean).join(" ");
+}
+
+/** A whole number in words, Indian style; crores above 99 are themselves spelled out. */
+export function numberInWords(n) {
+  n = Math.floor(Math.abs(Number(n) || 0));
+  if (n === 0) return "Zero";
+  const parts = [];
+  const crore = Math.floor(n / 10000000);
+  if (crore) parts.push(`${numberInWords(crore)} Crore`);
+  n %= 10000000;
+  const lakh = Math.floor(n / 100000);
+  if (lakh) parts.push(`${belowHundred(lakh)} Lakh`);
+  n %= 100000;
+  const thousand = Math.floor(n / 1000);
+  if (thousand) parts.push(`${belowHundred(thousand)} Thousand`);
+  n %= 1000;
+  if (n) parts.push(belowThousand(n));
+  return parts.join(" ");
+}
+
+/**
+ * An amount in words. opts: { currency: "Rupees", subunit: "Paise" }
+ * Paise are rounded to the nearest whole; a zero rupee part is left out when there are paise.
+ */
+export function amountInWords(amount, { currency = "Rupees", subunit = "Paise" } = {}) {
+  const cents = Math.round(Math.abs(Number(amount) || 0) * 100);
+  const whole = Math.floor(cents / 100), paise = cents % 100;
+  const words = [];
+  if (whole || !paise) words.push(`${currency} ${numberInWords(whole)}`);
+  if (paise) words.push(`${numberInWords(paise)} ${subunit}`);
+  return `${Number(amount) < 0 ? "Minus " : ""}${words.join(" and ")} Only`;
+}
@@ -0,0 +1,282 @@
+// utils/docGenerators/pdf/writer.js
+// Minimal PDF 1.4 writer for the document templates: the standard Helvetica faces
+// (WinAnsi, no embedding), lines and boxes, JPEG images and vector QR codes.
+// Coordinates are in points from the TOP-left corner of the page; text is placed by its top.
+import zlib from "zlib";
+import { encodeQr } from "../../qr.js";
+
+export const PAGE_SIZES = { A4: [595.28, 841.89] };
+
+// Advance widths (1/1000 em) for U+0020..U+007E
+const HELVETICA = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556,
+  278, 278, 584, 584, 584, 556, 1015,
+  667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611,
+  278, 278, 278, 469, 556, 333,
+  556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500,
+  334, 260, 334, 584,
+];
+const HELVETICA_BOLD = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556,
+  333, 333, 584, 584, 584, 611, 975,
+  722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611,
+  333, 278, 333, 584, 556, 333,
+  556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500,
+  389, 280, 389, 584,
+];
+
+// Characters outside ASCII that WinAnsi has, and a few it does not
+const WIN_ANSI = {
+  "€": 0x80, "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94, "•": 0x95,
+  "–": 0x96, "—": 0x97, "·": 0xb7, "×": 0xd7, "©": 0xa9,
+};
+const SUBSTITUTE = { "₹": "Rs.", "→": "->", "…": "..." };
+
+/** Text as WinAnsi bytes (one char per byte); anything unmappable becomes "?". */
+export function winAnsi(text) {
+  let out = "";
+  for (const ch of String(text ?? "")) {
+    if (SUBSTITUTE[ch]) { out += SUBSTITUTE[ch]; continue; }
+    const c = ch.codePointAt(0);
+    if (c >= 0x20 && c < 0x7f) out += ch;
+    else if (WIN_ANSI[ch]) out += String.fromCharCode(WIN_ANSI[ch]);
+    else if (c >= 0xa0 && c <= 0xff) out += ch;
+    else if (ch === "\t") out += " ";
+    else out += "?";
+  }
+  return out;
+}
+
+export function textWidth(text, size = 10, bold = false) {
+  const table = bold ? HELVETICA_BOLD : HELVETICA;
+  let w = 0;
+  for (const ch of winAnsi(text)) {
+    const c = ch.charCodeAt(0);
+    w += c >= 0x20 && c < 0x7f ? table[c - 0x20] : 556;
+  }
+  return (w * size) / 1000;
+}
+
+/** Greedy word wrap to `width` points; explicit newlines are kept and over-long words split. */
+export function wrapText(text, width, size = 10, bold = false) {
+  const lines = [];
+  for (const para of String(text ?? "").split(/\r?\n/)) {
+    let line = "";
+    for (const word of para.split(/\s+/).filter(Boolean)) {
+      const next = line ? `${line} ${word}` : word;
+      if (textWidth(next, size, bold) <= width) { line = next; continue; }
+      if (line) lines.push(line);
+      line = "";
+      let rest = word;
+      while (textWidth(rest, size, bold) > width && rest.length > 1) {
+        let n = rest.length - 1;
+        while (n > 1 && textWidth(rest.slice(0, n), size, bold) > width) n--;
+        lines.push(rest.slice(0, n));
+        rest = rest.slice(n);
+      }
+      line = rest;
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+// PDF literal string (WinAnsi bytes, escaped)
+function literal(text) {
+  let s = "(";
+  for (const ch of winAnsi(text)) {
+    const c = ch.charCodeAt(0);
+    if (ch === "(" || ch === ")" || ch === "\\") s += `\\${ch}`;
+    else if (c < 0x20 || c > 0x7e) s += `\\${c.toString(8).padStart(3, "0")}`;
+    else s += ch;
+  }
+  return `${s})`;
+}
+
+const num = (n) => String(Math.round(Number(n) * 100) / 100);
+
+function rgb(color) {
+  const m = String(color || "#000000").match(/^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i);
+  if (!m) return "0 0 0";
+  return [m[1], m[2], m[3]].map(h => num(parseInt(h, 16) / 255)).join(" ");
+}
+
+/** Width, height and component count of a baseline/progressive JPEG, or null. */
+export function jpegInfo(buf) {
+  if (!Buffer.isBuffer(buf) || buf[0] !== 0xff || buf[1] !== 0xd8) return null;
+  let i = 2;
+  while (i + 9 < buf.length) {
+    if (buf[i] !== 0xff) { i++; continue; }
+    const marker = buf[i + 1];
+    if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) { i += 2; continue; }
+    const len = buf.readUInt16BE(i + 2);
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { height: buf.readUInt16BE(i + 5), width: buf.readUInt16BE(i + 7), components: buf[i + 9] };
+    }
+    i += 2 + len;
+  }
+  return null;
+}
+
+/**
+ * A new document with one empty page.
+ * opts: { size: "A4", margin: 40, title?, author? }
+ */
+export function createPdf({ size = "A4", margin = 40, title = "", author = "" } = {}) {
+  const [width, height] = PAGE_SIZES[size] || PAGE_SIZES.A4;
+  const pages = [];
+  const images = [];
+  let ops = null;
+
+  const Y = (y) => height - y;
+
+  const pdf = {
+    width,
+    height,
+    margin,
+    get pageCount() { return pages.length; },
+
+    addPage() {
+      ops = [];
+      pages.push(ops);
+      return pdf;
+    },
+
+    /** Text placed by its top edge. opts: { size, bold, color, align: left|right|center, width } */
+    text(str, x, y, { size = 10, bold = false, color = null, align = "left", width: box = null } = {}) {
+      const s = String(str ?? "");
+      if (!s) return pdf;
+      let tx = x;
+      if (align !== "left" && box != null) {
+        const w = textWidth(s, size, bold);
+        tx = align === "right" ? x + box - w : x + (box - w) / 2;
+      }
+      ops.push(
+        `BT ${color ? `${rgb(color)} rg ` : ""}/${bold ? "F2" : "F1"} ${num(size)} Tf ` +
+        `${num(tx)} ${num(Y(y + size * 0.8))} Td ${literal(s)} Tj ET${color ? " 0 0 0 rg" : ""}`
+      );
+      return pdf;
+    },
+
+    /** Wrapped text; returns the y below the last line. */
+    paragraph(str, x, y, width, { size = 10, bold = false, color = null, align = "left", leading = 1.25 } = {}) {
+      let cy = y;
+      for (const line of wrapText(str, width, size, bold)) {
+        pdf.text(line, x, cy, { size, bold, color, align, width });
+        cy += size * leading;
+      }
+      return cy;
+    },
+
+    line(x1, y1, x2, y2, { width: lw = 0.5, color = null } = {}) {
+      ops.push(`q ${num(lw)} w ${color ? `${rgb(color)} RG ` : ""}${num(x1)} ${num(Y(y1))} m ${num(x2)} ${num(Y(y2))} l S Q`);
+      return pdf;
+    },
+
+    /** opts: { fill: "#rrggbb" | null, stroke: "#rrggbb" | null, lineWidth } */
+    rect(x, y, w, h, { fill = null, stroke = "#000000", lineWidth = 0.5 } = {}) {
+      const paint = fill && stroke ? "B" : fill ? "f" : "S";
+      ops.push(
+        `q ${num(lineWidth)} w ${fill ? `${rgb(fill)} rg ` : ""}${stroke ? `${rgb(stroke)} RG ` : ""}` +
+        `${num(x)} ${num(Y(y + h))} ${num(w)} ${num(h)} re ${paint} Q`
+      );
+      return pdf;
+    },
+
+    /** A JPEG scaled to fit w×h (aspect kept, top-left anchored). Returns the drawn size, or null. */
+    image(jpeg, x, y, w, h) {
+      const info = jpegInfo(jpeg);
+      if (!info) return null;
+      let img = images.find(i => i.data === jpeg);
+      if (!img) {
+        img = { name: `Im${images.length + 1}`, data: jpeg, ...info };
+        images.push(img);
+      }
+      const scale = Math.min(w / info.width, h / info.height);
+      const dw = info.width * scale, dh = info.height * scale;
+      ops.push(`q ${num(dw)} 0 0 ${num(dh)} ${num(x)} ${num(Y(y + dh))} cm /${img.name} Do Q`);
+      return { width: dw, height: dh };
+    },
+
+    /** A QR code of `text` drawn as vector modules, `size` points square (quiet zone included). */
+    qr(text, x, y, size, { ecc = "M" } = {}) {
+      const { size: n, modules } = encodeQr(text, { ecc });
+      const border = 2;
+      const cell = size / (n + border * 2);
+      const parts = [];
+      for (let r = 0; r < n; r++) {
+        for (let c = 0; c < n; c++) {
+          if (!modules[r][c]) continue;
+          let run = 1;
+          while (c + run < n && modules[r][c + run]) run++;
+          const mx = x + (c + border) * cell, my = y + (r + border) * cell;
+          parts.push(`${num(mx)} ${num(Y(my + cell))} ${num(run * cell + 0.01)} ${num(cell + 0.01)} re`);
+          c += run - 1;
+        }
+      }
+      ops.push(`q 0 0 0 rg ${parts.join(" ")} f Q`);
+      return pdf;
+    },
+
+    /** The finished file. */
+    toBuffer() {
+      const chunks = [];
+      const offsets = [];
+      let length = 0;
+      const push = (b) => { const buf = Buffer.isBuffer(b) ? b : Buffer.from(b, "latin1"); chunks.push(buf); length += buf.length; };
+      const object = (id, body, stream = null) => {
+        offsets[id] = length;
+        push(`${id} 0 obj\n${body}\n`);
+        if (stream) { push("stream\n"); push(stream); push("\nendstream\n"); }
+        push("endobj\n");
+      };
+
+      // 1 catalog, 2 pages, 3/4 fonts, 5 info, then images, then page + content pairs
+      const imageBase = 6;
+      const pageBase = imageBase + images.length;
+      const kids = pages.map((_, i) => `${pageBase + i * 2} 0 R`).join(" ");
+      const xobjects = images.length
+        ? `/XObject << ${images.map((im, i) => `/${im.name} ${imageBase + i} 0 R`).join(" ")} >>`
+        : "";
+
+      push("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n");
+      object(1, "<< /Type /Catalog /Pages 2 0 R >>");
+      object(2, `<< /Type /Pages /Kids [${kids}] /Count ${pages.length} >>`);
+      object(3, "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+      object(4, "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+      object(5, `<< /Producer (Beyle Lekka) /Title ${literal(title)} /Author ${literal(author)} >>`);
+      images.forEach((im, i) => {
+        const cs = im.components === 1 ? "/DeviceGray" : im.components === 4 ? "/DeviceCMYK /Decode [1 0 1 0 1 0 1 0]" : "/DeviceRGB";
+        object(
+          imageBase + i,
+          `<< /Type /XObject /Subtype /Image /Width ${im.width} /Height ${im.height} /ColorSpace ${cs} ` +
+          `/BitsPerComponent 8 /Filter /DCTDecode /Length ${im.data.length} >>`,
+          im.data
+        );
+      });
+      pages.forEach((pageOps, i) => {
+        const pageId = pageBase + i * 2;
+        const content = zlib.deflateSync(Buffer.from(pageOps.join("\n"), "latin1"));
+        object(
+          pageId,
+          `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(width)} ${num(height)}] ` +
+          `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> ${xobjects} >> /Contents ${pageId + 1} 0 R >>`
+        );
+        object(pageId + 1, `<< /Length ${content.length} /Filter /FlateDecode >>`, content);
+      });
+
+      const count = pageBase + pages.length * 2;
+      const xref = length;
+      let table = `xref\n0 ${count}\n0000000000 65535 f \n`;
+      for (let id = 1; id < count; id++) table += `${String(offsets[id]).padStart(10, "0")} 00000 n \n`;
+      push(table);
+      push(`trailer\n<< /Size ${count} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+      return Buffer.concat(chunks);
+    },
+  };
+
+  pdf.addPage();
+  return pdf;
+}
@@ -16,6 +16,10 @@ export function extractGRNFields(text, fileName = "") {
   const sup = t.match(/\b(?:seller|supplier|from|consignor)\s*[:\-]?\s*([A-Za-z0-9&., \-]{3,80})/i);
   if (sup) out.supplier = sup[1].trim();
 
+  // Receiving location, when the challan names one (matched against the warehouse master later)
+  const wh = t.match(/\b(?:warehouse|godown|deliver(?:y)?\s*to|ship\s*to|location)\s*[:\-]\s*([A-Za-z0-9&., \-]{2,60})/i);
+  if (wh) out.warehouse = wh[1].trim().replace(/[.,]+$/, "");
+
   if (fileName) out._source_file = fileName;
   return out;
 }
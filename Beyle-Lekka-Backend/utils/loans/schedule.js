@@ -0,0 +1,121 @@
+// utils/loans/schedule.js
+// EMI schedules in integer paise. Rates are annual, in basis points (10.50% → 1050).
+//   reducing: EMI = P·r·(1+r)^n / ((1+r)^n − 1), r = monthly rate; interest on the opening balance
+//   flat:     interest = P·annual·n/12 spread evenly; principal = P/n
+// The last instalment absorbs rounding so the closing balance is exactly zero.
+
+export const METHODS = ["reducing", "flat"];
+
+const monthlyRate = (rateBps) => Number(rateBps || 0) / 10000 / 12;
+
+/** YYYY-MM-DD plus n months, clamped to the month's last day (31 Jan + 1 → 28/29 Feb). */
+export function addMonths(iso, n, day = null) {
+  const [y, m, d] = String(iso).slice(0, 10).split("-").map(Number);
+  const total = (y * 12 + (m - 1)) + n;
+  const ny = Math.floor(total / 12);
+  const nm = total % 12;
+  const last = new Date(Date.UTC(ny, nm + 1, 0)).getUTCDate();
+  const dd = Math.min(day || d, last);
+  return `${ny}-${String(nm + 1).padStart(2, "0")}-${String(dd).padStart(2, "0")}`;
+}
+
+/** Level EMI (paise) for a reducing-balance loan. */
+export function emiFor(principalCents, rateBps, months) {
+  const n = Math.max(1, Math.trunc(months));
+  const r = monthlyRate(rateBps);
+  if (r === 0) return Math.round(principalCents / n);
+  const f = Math.pow(1 + r, n);
+  return Math.round((principalCents * r * f) / (f - 1));
+}
+
+/** Months needed to repay principalCents at a given EMI (reducing); Infinity if EMI ≤ interest. */
+export function tenureFor(principalCents, rateBps, emiCents) {
+  const r = monthlyRate(rateBps);
+  if (principalCents <= 0) return 0;
+  if (r === 0) return Math.ceil(principalCents / emiCents);
+  const x = 1 - (principalCents * r) / emiCents;
+  if (x <= 0) return Infinity;
+  return Math.ceil(-Math.log(x) / Math.log(1 + r));
+}
+
+/**
+ * Instalments for `principalCents` over `months`, first due on `firstDueDate`.
+ * opts.emiCents fixes the EMI (reducing only; tenure follows from it).
+ * Returns [{ seq, due_date, opening_cents, emi_cents, interest_cents, principal_cents, closing_cents }].
+ */
+export function buildSchedule({
+  principalCents, rateBps, months, firstDueDate, method = "reducing", startSeq = 1, emiCents = null, dueDay = null,
+}) {
+  const P = Math.round(Number(principalCents || 0));
+  if (P <= 0) return [];
+  if (!METHODS.includes(method)) throw new Error(`method must be one of ${METHODS.join(", ")}`);
+  const day = dueDay || Number(String(firstDueDate).slice(8, 10));
+
+  let n = Math.max(1, Math.trunc(months || 0));
+  const rows = [];
+
+  if (method === "flat") {
+    const totalInterest = Math.round((P * Number(rateBps || 0) * n) / (10000 * 12));
+    const basePrincipal = Math.floor(P / n);
+    const baseInterest = Math.floor(totalInterest / n);
+    let bal = P;
+    let interestLeft = totalInterest;
+    for (let i = 0; i < n; i++) {
+      const last = i === n - 1;
+      const principal = last ? bal : basePrincipal;
+      const interest = last ? interestLeft : baseInterest;
+      rows.push(row(startSeq + i, addMonths(firstDueDate, i, day), bal, principal, interest));
+      bal -= principal;
+      interestLeft -= interest;
+    }
+    return rows;
+  }
+
+  const r = monthlyRate(rateBps);
+  const emi = emiCents ? Math.round(emiCents) : emiFor(P, rateBps, n);
+  if (emiCents) {
+    n = tenureFor(P, rateBps, emi);
+    if (!Number.isFinite(n)) throw new Error("EMI does not cover the monthly interest");
+  }
+  let bal = P;
+  for (let i = 0; i < n && bal > 0; i++) {
+    const interest = Math.round(bal * r);
+    const last = i === n - 1 || emi - interest >= bal;
+    const principal = last ? bal : emi - interest;
+    rows.push(row(startSeq + i, addMonths(firstDueDate, i, day), bal, principal, interest));
+    bal -= principal;
+  }
+  return rows;
+}
+
+function row(seq, due_date, opening, principal, interest) {
+  return {
+    seq,
+    due_date,
+    opening_cents: opening,
+    emi_cents: principal + interest,
+    interest_cents: interest,
+    principal_cents: principal,
+    closing_cents: opening - principal,
+  };
+}
+
+/**
+ * Regenerate the tail of a schedule after a prepayment or rate reset.
+ * `kept` are the instalments left as they are (posted, or due on/before the event date);
+ * the rest are rebuilt from the balance after them less `prepaymentCents`.
+ *   keep: "tenure" → same number of remaining instalments, new EMI
+ *         "emi"    → same EMI (reducing only), fewer / more instalments
+ */
+export function regenerateTail({
+  kept, remainingMonths, nextDueDate, principalAfterKept, prepaymentCents = 0, rateBps, method, keep = "tenure", emiCents = null, dueDay = null,
+}) {
+  const balance = principalAfterKept - Math.round(prepaymentCents || 0);
+  if (balance < 0) throw new Error("Prepayment exceeds the outstanding principal");
+  const startSeq = (kept.length ? kept[kept.length - 1].seq : 0) + 1;
+  if (balance === 0) return [];
+  if (keep === "emi" && method === "reducing" && emiCents) {
+    return buildSchedule({ principalCents: balance, rateBps, firstDueDate: nextDueDate, method, startSeq, emiCents, dueDay });
+  }
+  return buildSchedule({ principalCents: balance, rateBps, months: Math.max(1, remainingMonths), firstDueDate: nextDueDate, method, startSeq, dueDay });
+}
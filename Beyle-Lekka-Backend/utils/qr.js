@@ -0,0 +1,332 @@
+// utils/qr.js
+// QR code encoder (ISO/IEC 18004, byte mode) for the codes printed on documents: the IRP's
+// signed e-invoice QR and UPI payment links. No dependency; the module matrix renders to SVG,
+// which the document generators rasterise where the output format needs a bitmap.
+
+const ECL = { L: 0, M: 1, Q: 2, H: 3 };
+const ECL_FORMAT_BITS = [1, 0, 3, 2]; // L, M, Q, H as encoded in the format information
+
+// Per version 1..40 (index 0 unused), by error-correction level L, M, Q, H
+const ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+];
+const NUM_ERROR_CORRECTION_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+];
+
+/* ------------------------ capacity ------------------------ */
+
+function rawDataModules(ver) {
+  let n = (16 * ver + 128) * ver + 64;
+  if (ver >= 2) {
+    const align = Math.floor(ver / 7) + 2;
+    n -= (25 * align - 10) * align - 55;
+    if (ver >= 7) n -= 36;
+  }
+  return n;
+}
+
+export function dataCodewords(ver, ecl) {
+  return Math.floor(rawDataModules(ver) / 8) - ECC_CODEWORDS_PER_BLOCK[ecl][ver] * NUM_ERROR_CORRECTION_BLOCKS[ecl][ver];
+}
+
+/* ------------------------ Reed–Solomon over GF(256), poly 0x11D ------------------------ */
+
+function gfMul(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function rsDivisor(degree) {
+  const out = new Array(degree).fill(0);
+  out[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < out.length; j++) {
+      out[j] = gfMul(out[j], root);
+      if (j + 1 < out.length) out[j] ^= out[j + 1];
+    }
+    root = gfMul(root, 0x02);
+  }
+  return out;
+}
+
+export function rsRemainder(data, degree) {
+  const divisor = rsDivisor(degree);
+  const out = new Array(degree).fill(0);
+  for (const b of data) {
+    const factor = b ^ out.shift();
+    out.push(0);
+    divisor.forEach((coef, i) => { out[i] ^= gfMul(coef, factor); });
+  }
+  return out;
+}
+
+/* ------------------------ codewords ------------------------ */
+
+function interleave(data, ver, ecl) {
+  const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[ecl][ver];
+  const eccLen = ECC_CODEWORDS_PER_BLOCK[ecl][ver];
+  const rawCodewords = Math.floor(rawDataModules(ver) / 8);
+  const numShort = numBlocks - (rawCodewords % numBlocks);
+  const shortLen = Math.floor(rawCodewords / numBlocks);
+
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const dat = data.slice(k, k + shortLen - eccLen + (i < numShort ? 0 : 1));
+    k += dat.length;
+    const ecc = rsRemainder(dat, eccLen);
+    if (i < numShort) dat.push(0); // placeholder so every block has the same length
+    blocks.push(dat.concat(ecc));
+  }
+  const out = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((b, j) => {
+      if (i !== shortLen - eccLen || j >= numShort) out.push(b[i]);
+    });
+  }
+  return out;
+}
+
+function encodeData(bytes, ver, ecl) {
+  const bits = [];
+  const put = (val, len) => { for (let i = len - 1; i >= 0; i--) bits.push((val >>> i) & 1); };
+  put(0x4, 4);                                 // byte mode
+  put(bytes.length, ver <= 9 ? 8 : 16);
+  for (const b of bytes) put(b, 8);
+
+  const capacityBits = dataCodewords(ver, ecl) * 8;
+  put(0, Math.min(4, capacityBits - bits.length));
+  put(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) put(pad, 8);
+
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) data.push(parseInt(bits.slice(i, i + 8).join(""), 2));
+  return data;
+}
+
+/* ------------------------ matrix ------------------------ */
+
+function alignmentPositions(ver) {
+  if (ver === 1) return [];
+  const num = Math.floor(ver / 7) + 2;
+  const step = ver === 32 ? 26 : Math.ceil((ver * 4 + 4) / (num * 2 - 2)) * 2;
+  const out = [6];
+  for (let pos = ver * 4 + 10; out.length < num; pos -= step) out.splice(1, 0, pos);
+  return out;
+}
+
+function bchBits(data, poly, polyLen) {
+  let rem = data;
+  for (let i = 0; i < polyLen; i++) rem = (rem << 1) ^ ((rem >>> (polyLen - 1)) * poly);
+  return rem;
+}
+
+export function formatBits(ecl, mask) {
+  const data = (ECL_FORMAT_BITS[ecl] << 3) | mask;
+  return ((data << 10) | bchBits(data, 0x537, 10)) ^ 0x5412;
+}
+
+export function versionBits(ver) {
+  return (ver << 12) | bchBits(ver, 0x1f25, 12);
+}
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+class Matrix {
+  constructor(ver) {
+    this.ver = ver;
+    this.size = ver * 4 + 17;
+    this.dark = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.fn = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+  }
+
+  set(x, y, dark) {
+    this.dark[y][x] = dark;
+    this.fn[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    const { size } = this;
+    for (let i = 0; i < size; i++) {
+      this.set(6, i, i % 2 === 0);
+      this.set(i, 6, i % 2 === 0);
+    }
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const d = Math.max(Math.abs(dx), Math.abs(dy));
+          const x = cx + dx, y = cy + dy;
+          if (x >= 0 && x < size && y >= 0 && y < size) this.set(x, y, d !== 2 && d !== 4);
+        }
+      }
+    }
+    const align = alignmentPositions(this.ver);
+    const last = align.length - 1;
+    align.forEach((ax, i) => align.forEach((ay, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) this.set(ax + dx, ay + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }));
+    this.drawFormat(0, 0); // reserve the area; real bits are drawn once the mask is chosen
+    if (this.ver >= 7) {
+      const bits = versionBits(this.ver);
+      for (let i = 0; i < 18; i++) {
+        const bit = ((bits >>> i) & 1) === 1;
+        const a = size - 11 + (i % 3), b = Math.floor(i / 3);
+        this.set(a, b, bit);
+        this.set(b, a, bit);
+      }
+    }
+  }
+
+  drawFormat(ecl, mask) {
+    const bits = formatBits(ecl, mask);
+    const bit = (i) => ((bits >>> i) & 1) === 1;
+    const { size } = this;
+    for (let i = 0; i <= 5; i++) this.set(8, i, bit(i));
+    this.set(8, 7, bit(6));
+    this.set(8, 8, bit(7));
+    this.set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) this.set(14 - i, 8, bit(i));
+    for (let i = 0; i < 8; i++) this.set(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) this.set(8, size - 15 + i, bit(i));
+    this.set(8, size - 8, true); // dark module
+  }
+
+  drawCodewords(codewords) {
+    const { size } = this;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vert : vert;
+          if (!this.fn[y][x] && i < codewords.length * 8) {
+            this.dark[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  applyMask(mask) {
+    const test = MASKS[mask];
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.fn[y][x] && test(x, y)) this.dark[y][x] = !this.dark[y][x];
+      }
+    }
+  }
+
+  penalty() {
+    const { size, dark } = this;
+    let score = 0;
+    const runs = (get) => {
+      for (let a = 0; a < size; a++) {
+        let run = 1;
+        const line = [];
+        for (let b = 0; b < size; b++) line.push(get(a, b));
+        for (let b = 1; b <= size; b++) {
+          if (b < size && line[b] === line[b - 1]) { run++; continue; }
+          if (run >= 5) score += run - 2;
+          run = 1;
+        }
+        // finder-like 1:1:3:1:1 with four light modules on either side
+        for (let b = 0; b + 7 <= size; b++) {
+          const core = line[b] && !line[b + 1] && line[b + 2] && line[b + 3] && line[b + 4] && !line[b + 5] && line[b + 6];
+          if (!core) continue;
+          const lightBefore = b >= 4 && !line[b - 1] && !line[b - 2] && !line[b - 3] && !line[b - 4];
+          const lightAfter = b + 11 <= size && !line[b + 7] && !line[b + 8] && !line[b + 9] && !line[b + 10];
+          if (lightBefore || lightAfter) score += 40;
+        }
+      }
+    };
+    runs((y, x) => dark[y][x]);
+    runs((x, y) => dark[y][x]);
+    for (let y = 0; y + 1 < size; y++) {
+      for (let x = 0; x + 1 < size; x++) {
+        const c = dark[y][x];
+        if (c === dark[y][x + 1] && c === dark[y + 1][x] && c === dark[y + 1][x + 1]) score += 3;
+      }
+    }
+    const total = size * size;
+    const darkCount = dark.reduce((s, row) => s + row.filter(Boolean).length, 0);
+    score += (Math.ceil(Math.abs(darkCount * 20 - total * 10) / total) - 1) * 10;
+    return score;
+  }
+}
+
+/* ------------------------ public API ------------------------ */
+
+/**
+ * Encode text (UTF-8, byte mode) into a QR module matrix.
+ * Picks the smallest version that fits at the requested level ("L" | "M" | "Q" | "H"),
+ * then the mask with the lowest penalty. Returns { version, size, modules: boolean[][] }.
+ */
+export function encodeQr(text, { ecc = "M" } = {}) {
+  const ecl = ECL[String(ecc).toUpperCase()];
+  if (ecl === undefined) throw new Error(`Unknown QR error-correction level: ${ecc}`);
+  const bytes = [...Buffer.from(String(text ?? ""), "utf8")];
+
+  let ver = 1;
+  for (; ver <= 40; ver++) {
+    const header = 4 + (ver <= 9 ? 8 : 16);
+    if (header + bytes.length * 8 <= dataCodewords(ver, ecl) * 8) break;
+  }
+  if (ver > 40) throw new Error(`Text too long for a QR code (${bytes.length} bytes)`);
+
+  const codewords = interleave(encodeData(bytes, ver, ecl), ver, ecl);
+  let best = null;
+  for (let mask = 0; mask < 8; mask++) {
+    const m = new Matrix(ver);
+    m.drawFunctionPatterns();
+    m.drawCodewords(codewords);
+    m.applyMask(mask);
+    m.drawFormat(ecl, mask);
+    const score = m.penalty();
+    if (!best || score < best.score) best = { score, m };
+  }
+  return { version: ver, size: best.m.size, modules: best.m.dark };
+}
+
+/** SVG of a QR code, `scale` pixels per module with a four-module quiet zone. */
+export function qrSvg(text, { ecc = "M", scale = 4, border = 4 } = {}) {
+  const { size, modules } = encodeQr(text, { ecc });
+  const dim = (size + border * 2) * scale;
+  let path = "";
+  modules.forEach((row, y) => row.forEach((on, x) => {
+    if (on) path += `M${(x + border) * scale},${(y + border) * scale}h${scale}v${scale}h-${scale}z`;
+  }));
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${dim}" height="${dim}" viewBox="0 0 ${dim} ${dim}" shape-rendering="crispEdges">` +
+    `<rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
+
+/** PNG of a QR code (rendered from the SVG with sharp), for formats that take bitmaps only. */
+export async function qrPng(text, opts = {}) {
+  const sharp = (await import("sharp")).default;
+  return sharp(Buffer.from(qrSvg(text, opts))).png().toBuffer();
+}
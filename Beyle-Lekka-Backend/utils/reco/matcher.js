@@ -37,3 +37,121 @@ export function rankCandidates(bankLine, ledgerCandidates, windowDays = 5) {
     }))
     .sort((a,b) => b.score - a.score);
 }
+
+/* ------------------------ match groups (N bank lines ↔ M ledger entries) ------------------------ */
+
+const DAY = 1000 * 60 * 60 * 24;
+const dayDiff = (a, b) => Math.abs((new Date(a) - new Date(b)) / DAY);
+
+/**
+ * Signed cents of a ledger entry as seen from the bank: debit to the bank ledger is an
+ * inflow (+), credit is an outflow (−). null when the entry doesn't touch `bankLedger`.
+ */
+export function signedLedgerCents(entry, bankLedger) {
+  const amt = Math.abs(Number(entry?.amount_cents || 0));
+  const norm = (s) => String(s || "").trim().toLowerCase();
+  if (bankLedger && norm(entry.debit_account) === norm(bankLedger)) return amt;
+  if (bankLedger && norm(entry.credit_account) === norm(bankLedger)) return -amt;
+  return null;
+}
+
+/**
+ * Subsets of `items` (each { id, cents }) whose cents add up to `target` exactly, using at most
+ * `maxItems` items. Depth-first over amounts largest first; all items must share target's sign.
+ * `maxNodes` bounds the search so a long statement cannot stall the request.
+ */
+export function findSubsets(target, items, { maxItems = 4, maxResults = 5, maxNodes = 20000 } = {}) {
+  const sign = Math.sign(target);
+  if (!sign) return [];
+  const pool = items
+    .filter(i => Math.sign(i.cents) === sign && Math.abs(i.cents) <= Math.abs(target))
+    .sort((a, b) => Math.abs(b.cents) - Math.abs(a.cents));
+  // suffix sums let us prune branches that cannot reach the target
+  const rest = new Array(pool.length + 1).fill(0);
+  for (let i = pool.length - 1; i >= 0; i--) rest[i] = rest[i + 1] + Math.abs(pool[i].cents);
+
+  const out = [];
+  let nodes = 0;
+  const goal = Math.abs(target);
+  const pick = [];
+  (function walk(start, sum) {
+    if (out.length >= maxResults || ++nodes > maxNodes) return;
+    if (sum === goal) { if (pick.length > 1) out.push(pick.slice()); return; }
+    if (pick.length >= maxItems) return;
+    for (let i = start; i < pool.length; i++) {
+      const v = Math.abs(pool[i].cents);
+      if (sum + v > goal) continue;
+      if (sum + rest[i] < goal) return;
+      pick.push(pool[i]);
+      walk(i + 1, sum + v);
+      pick.pop();
+      if (out.length >= maxResults || nodes > maxNodes) return;
+    }
+  })(0, 0);
+  return out;
+}
+
+/**
+ * Group proposals for the unmatched lines of one bank account.
+ *   one → many : a bank line equal to the sum of several ledger entries (a deposit of receipts)
+ *   many → one : several bank lines adding up to one ledger entry (an invoice paid in parts)
+ * bankLines: [{ id, value_date, narration, amount_cents }]
+ * ledgerEntries: [{ id, transaction_date, narration, debit_account, credit_account, amount_cents }]
+ * Ledger entries that don't touch `bankLedger` take the sign of the side they are matched to,
+ * like rankCandidates. Lines with an exact single candidate are left to rankCandidates.
+ * Returns [{ bankLineIds, ledgerEntryIds, amount_cents, score }] best first.
+ */
+export function rankGroupCandidates(bankLines, ledgerEntries, { bankLedger = null, windowDays = 5, maxItems = 4, maxGroups = 50 } = {}) {
+  const entries = ledgerEntries.map(e => ({ ...e, signed: signedLedgerCents(e, bankLedger) }));
+  const asSeenBy = (e, sign) => (e.signed == null ? sign * Math.abs(Number(e.amount_cents || 0)) : e.signed);
+  const singles = new Set();
+  for (const b of bankLines) {
+    if (rankCandidates(b, entries, windowDays).length) singles.add(b.id);
+  }
+
+  const out = [];
+  const seen = new Set();
+  const push = (bankSet, ledgerSet, cents) => {
+    const key = `${bankSet.map(x => x.id).sort().join(",")}|${ledgerSet.map(x => x.id).sort().join(",")}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    const dates = [...bankSet.map(x => x.value_date), ...ledgerSet.map(x => x.transaction_date)];
+    const spread = Math.max(...dates.map(d => dayDiff(d, dates[0])));
+    const words = bankSet.reduce((n, b) => n + ledgerSet.reduce((m, l) => m + overlap(b.narration, l.narration), 0), 0);
+    out.push({
+      bankLineIds: bankSet.map(x => x.id),
+      ledgerEntryIds: ledgerSet.map(x => x.id),
+      amount_cents: cents,
+      score: 100 - 5 * (bankSet.length + ledgerSet.length - 2) - spread + words,
+    });
+  };
+
+  // one bank line → many ledger entries
+  for (const b of bankLines) {
+    if (singles.has(b.id)) continue;
+    const sign = Math.sign(Number(b.amount_cents)) || 1;
+    const pool = entries
+      .filter(e => dayDiff(e.transaction_date, b.value_date) <= windowDays)
+      .map(e => ({ id: e.id, cents: asSeenBy(e, sign), ref: e }));
+    for (const set of findSubsets(Number(b.amount_cents), pool, { maxItems })) {
+      push([b], set.map(s => s.ref), Number(b.amount_cents));
+    }
+  }
+
+  // many bank lines → one ledger entry
+  const open = bankLines.filter(b => !singles.has(b.id));
+  for (const e of entries) {
+    const lines = open.filter(b => dayDiff(e.transaction_date, b.value_date) <= windowDays);
+    if (lines.length < 2) continue;
+    const signs = e.signed == null ? [1, -1] : [Math.sign(e.signed)];
+    for (const sign of signs) {
+      const target = asSeenBy(e, sign);
+      const pool = lines.map(b => ({ id: b.id, cents: Number(b.amount_cents), ref: b }));
+      for (const set of findSubsets(target, pool, { maxItems })) {
+        push(set.map(s => s.ref), [e], target);
+      }
+    }
+  }
+
+  return out.sort((a, b) => b.score - a.score).slice(0, maxGroups);
+}
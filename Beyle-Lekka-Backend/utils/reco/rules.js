@@ -0,0 +1,167 @@
+// utils/reco/rules.js
+// Bank rules: match statement lines to a counter ledger, and learn rules from past matches.
+import { tokenize } from "./matcher.js";
+
+export const DIRECTIONS = ["in", "out", "any"];
+export const MATCH_TYPES = ["contains", "regex"];
+
+// Words every bank narration carries; never useful as a rule keyword
+const STOPWORDS = new Set([
+  "upi", "neft", "imps", "rtgs", "nach", "ach", "ecs", "mmt", "inb", "ib", "mb", "pos", "atm", "bil", "bill",
+  "cr", "dr", "to", "from", "by", "for", "the", "of", "and", "ref", "refno", "no", "txn", "trf", "tfr",
+  "transfer", "payment", "paid", "received", "credit", "debit", "a", "c", "ac", "acct", "account",
+  "bank", "ltd", "pvt", "private", "limited", "india", "p", "s", "n", "na",
+]);
+
+export function directionOf(line) {
+  return Number(line?.amount_cents) >= 0 ? "in" : "out";
+}
+
+/** Compile a rule's pattern once; returns a predicate on narration (null when invalid). */
+export function compilePattern(matchType, pattern) {
+  const p = String(pattern || "");
+  if (!p.trim()) return null;
+  if (matchType === "regex") {
+    try {
+      const re = new RegExp(p, "i");
+      return (s) => re.test(String(s || ""));
+    } catch {
+      return null;
+    }
+  }
+  // contains: compared on tokens, so "acme traders" matches "UPI/ACME/TRADERS"
+  const needle = ` ${tokenize(p).join(" ")} `;
+  if (!needle.trim()) return null;
+  return (s) => ` ${tokenize(s).join(" ")} `.includes(needle);
+}
+
+export function ruleMatches(rule, line) {
+  if (rule.bank_account_id && line.bank_account_id && rule.bank_account_id !== line.bank_account_id) return false;
+  const dir = rule.direction || "any";
+  if (dir !== "any" && dir !== directionOf(line)) return false;
+  const abs = Math.abs(Number(line.amount_cents || 0));
+  if (rule.min_amount_cents != null && abs < Number(rule.min_amount_cents)) return false;
+  if (rule.max_amount_cents != null && abs > Number(rule.max_amount_cents)) return false;
+  const test = rule._test || compilePattern(rule.match_type, rule.pattern);
+  return !!test && test(line.narration);
+}
+
+/**
+ * First matching rule for a line: lowest priority value, then account-specific rules,
+ * then narrower amount ranges. Rules are pre-compiled here.
+ */
+export function pickRule(rules, line) {
+  const ordered = rules
+    .filter(r => Number(r.is_active ?? 1))
+    .map(r => ({ ...r, _test: r._test || compilePattern(r.match_type, r.pattern) }))
+    .sort((a, b) =>
+      (Number(a.priority ?? 100) - Number(b.priority ?? 100)) ||
+      ((b.bank_account_id ? 1 : 0) - (a.bank_account_id ? 1 : 0)) ||
+      (span(a) - span(b))
+    );
+  return ordered.find(r => ruleMatches(r, line)) || null;
+}
+
+function span(r) {
+  const lo = r.min_amount_cents != null ? Number(r.min_amount_cents) : 0;
+  const hi = r.max_amount_cents != null ? Number(r.max_amount_cents) : Number.MAX_SAFE_INTEGER;
+  return hi - lo;
+}
+
+/** Journal lines (units) for a statement line posted against `counterAccount`. */
+export function draftJournal(line, { bankLedger, counterAccount, narration }) {
+  const amount = Math.abs(Number(line.amount_cents || 0)) / 100;
+  const date = String(line.value_date || "").slice(0, 10);
+  const inflow = directionOf(line) === "in";
+  return [
+    { account: inflow ? bankLedger : counterAccount, debit: amount, credit: 0, date, narration },
+    { account: inflow ? counterAccount : bankLedger, debit: 0, credit: amount, date, narration },
+  ];
+}
+
+export function renderNarration(template, line) {
+  const base = String(line?.narration || "").trim();
+  if (!template) return base;
+  return String(template).replace(/\{narration\}/g, base).replace(/\{date\}/g, String(line?.value_date || ""));
+}
+
+function keywords(narration) {
+  return [...new Set(tokenize(narration).filter(t => t.length >= 3 && !/\d/.test(t) && !STOPWORDS.has(t)))];
+}
+
+// Widen a keyword to an adjacent word pair when every covered line has the same pair
+function phraseFor(keyword, narrations) {
+  let common = null;
+  for (const n of narrations) {
+    const t = tokenize(n);
+    const pairs = new Set();
+    t.forEach((w, i) => {
+      if (w !== keyword) return;
+      if (i > 0 && !/\d/.test(t[i - 1]) && !STOPWORDS.has(t[i - 1])) pairs.add(`${t[i - 1]} ${w}`);
+      if (i + 1 < t.length && !/\d/.test(t[i + 1]) && !STOPWORDS.has(t[i + 1])) pairs.add(`${w} ${t[i + 1]}`);
+    });
+    common = common ? new Set([...common].filter(x => pairs.has(x))) : pairs;
+    if (!common.size) return keyword;
+  }
+  return common?.size ? [...common].sort()[0] : keyword;
+}
+
+/**
+ * Propose contains-rules from matched lines.
+ * decisions: [{ narration, amount_cents, counter_account, bank_account_id? }]
+ * A keyword becomes a rule for (direction, counter account) when at least `minSupport` lines of
+ * that group contain it and at least `minPrecision` of all lines containing it belong to the group.
+ * Proposals carry no amount bounds (the keyword decides); the observed range is returned
+ * for review. Returns [{ pattern, direction, counter_account, bank_account_id, support,
+ * precision, observed: { min_cents, max_cents } }] best first, one per group.
+ */
+export function learnRules(decisions, { minSupport = 2, minPrecision = 0.9 } = {}) {
+  const rows = decisions
+    .filter(d => d && d.counter_account && d.narration)
+    .map(d => ({ ...d, dir: directionOf(d), kw: keywords(d.narration) }));
+
+  const byKeyword = new Map(); // kw|dir → total lines
+  for (const r of rows) for (const k of r.kw) byKeyword.set(`${k}|${r.dir}`, (byKeyword.get(`${k}|${r.dir}`) || 0) + 1);
+
+  const groups = new Map();
+  for (const r of rows) {
+    const g = `${r.dir}|${r.counter_account}`;
+    if (!groups.has(g)) groups.set(g, []);
+    groups.get(g).push(r);
+  }
+
+  const out = [];
+  for (const [, lines] of groups) {
+    const counts = new Map();
+    for (const r of lines) for (const k of r.kw) counts.set(k, (counts.get(k) || 0) + 1);
+
+    let best = null;
+    for (const [k, support] of counts) {
+      if (support < minSupport) continue;
+      const precision = support / byKeyword.get(`${k}|${lines[0].dir}`);
+      if (precision < minPrecision) continue;
+      const cand = { k, support, precision };
+      if (!best ||
+          support > best.support ||
+          (support === best.support && precision > best.precision) ||
+          (support === best.support && precision === best.precision && k.length > best.k.length)) {
+        best = cand;
+      }
+    }
+    if (!best) continue;
+
+    const covered = lines.filter(r => r.kw.includes(best.k));
+    const amounts = covered.map(r => Math.abs(Number(r.amount_cents || 0)));
+    const accounts = new Set(covered.map(r => r.bank_account_id || null));
+    out.push({
+      pattern: phraseFor(best.k, covered.map(r => r.narration)),
+      direction: lines[0].dir,
+      counter_account: lines[0].counter_account,
+      bank_account_id: accounts.size === 1 ? [...accounts][0] : null,
+      support: best.support,
+      precision: Math.round(best.precision * 1000) / 1000,
+      observed: { min_cents: Math.min(...amounts), max_cents: Math.max(...amounts) },
+    });
+  }
+  return out.sort((a, b) => b.support - a.support || b.precision - a.precision);
+}
@@ -0,0 +1,137 @@
+// utils/reports/ageing.js
+// Receivable/payable ageing: FIFO knock-off of settlements against open charges,
+// then bucket what remains by age (days since invoice date) as of a date.
+
+export const AGE_BUCKETS = [
+  { key: "0-30",  min: 0,  max: 30 },
+  { key: "31-60", min: 31, max: 60 },
+  { key: "61-90", min: 61, max: 90 },
+  { key: "90+",   min: 91, max: Infinity },
+];
+
+export function emptyBuckets() {
+  return Object.fromEntries(AGE_BUCKETS.map(b => [b.key, 0]));
+}
+
+export function daysBetween(fromISO, toISO) {
+  const a = Date.parse(`${String(fromISO).slice(0, 10)}T00:00:00Z`);
+  const b = Date.parse(`${String(toISO).slice(0, 10)}T00:00:00Z`);
+  if (!Number.isFinite(a) || !Number.isFinite(b)) return 0;
+  return Math.max(0, Math.round((b - a) / 86400000));
+}
+
+export function bucketFor(days) {
+  const d = Math.max(0, Number(days) || 0);
+  return (AGE_BUCKETS.find(b => d >= b.min && d <= b.max) || AGE_BUCKETS[AGE_BUCKETS.length - 1]).key;
+}
+
+/**
+ * Collapse per-line charges into open items. An invoice posts one pair per
+ * credit line (sales, CGST, SGST…), so lines sharing a document_id form one item.
+ * charge: { ledger_id, document_id, document_number, date, cents }
+ */
+export function groupCharges(charges) {
+  const items = [];
+  const byDoc = new Map();
+  for (const c of charges) {
+    const key = c.document_id ? `doc:${c.document_id}` : `le:${c.ledger_id}`;
+    let it = byDoc.get(key);
+    if (!it) {
+      it = {
+        key,
+        document_id: c.document_id || null,
+        document_number: c.document_number || null,
+        date: c.date,
+        cents: 0,
+        ledger_ids: [],
+      };
+      byDoc.set(key, it);
+      items.push(it);
+    }
+    it.cents += Number(c.cents || 0);
+    it.ledger_ids.push(c.ledger_id);
+    if (c.date < it.date) it.date = c.date;
+  }
+  return items.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+}
+
+/**
+ * FIFO knock-off: total settlements are applied to the oldest open items first.
+ * Items that already carry `allocated_cents` (bill-wise) are only knocked off for
+ * the remainder. Returns items with `outstanding_cents` and any excess as
+ * `unapplied_cents` (advance / on-account balance).
+ */
+export function fifoKnockOff(items, settlementCents) {
+  let pool = Math.max(0, Number(settlementCents || 0));
+  const out = items.map(it => {
+    const allocated = Number(it.allocated_cents || 0);
+    const applied = Math.min(pool, it.cents - allocated);
+    pool -= applied;
+    return { ...it, allocated_cents: allocated, settled_cents: applied, outstanding_cents: it.cents - allocated - applied };
+  });
+  return { items: out, unapplied_cents: pool };
+}
+
+/**
+ * Bill-wise settlement for one party ledger.
+ * - settlements: [{ document_id, cents }] (receipt/payment legs on the party ledger)
+ * - allocations: settlement_allocations rows for the party
+ * Settlements with allocation rows are applied to their invoices; what they do not
+ * allocate stays on account. Settlements without any rows are knocked off FIFO.
+ */
+export function settleParty({ charges = [], settlements = [], allocations: allRows = [] }) {
+  // Only allocations made by settlements inside this view count.
+  const inView = new Set(settlements.map(s => s.document_id).filter(Boolean));
+  const allocations = allRows.filter(a => inView.has(a.settlement_doc_id));
+
+  const withRows = new Set(allocations.map(a => a.settlement_doc_id));
+  const toInvoice = new Map();     // invoice_doc_id -> cents
+  const allocatedBySettlement = new Map();
+  for (const a of allocations) {
+    if (a.kind !== "invoice") continue;
+    const c = Number(a.amount_cents || 0);
+    toInvoice.set(a.invoice_doc_id, (toInvoice.get(a.invoice_doc_id) || 0) + c);
+    allocatedBySettlement.set(a.settlement_doc_id, (allocatedBySettlement.get(a.settlement_doc_id) || 0) + c);
+  }
+
+  let fifoPool = 0;
+  let onAccount = 0;
+  const explicitCents = new Map();
+  for (const s of settlements) {
+    if (s.document_id && withRows.has(s.document_id)) {
+      explicitCents.set(s.document_id, (explicitCents.get(s.document_id) || 0) + Number(s.cents || 0));
+    } else {
+      fifoPool += Number(s.cents || 0);
+    }
+  }
+  for (const [docId, cents] of explicitCents) {
+    onAccount += Math.max(0, cents - (allocatedBySettlement.get(docId) || 0));
+  }
+
+  const items = groupCharges(charges).map(it => {
+    const want = it.document_id ? (toInvoice.get(it.document_id) || 0) : 0;
+    const allocated = Math.min(want, it.cents);
+    onAccount += want - allocated; // allocation beyond the invoice value falls back to on-account
+    if (it.document_id) toInvoice.delete(it.document_id);
+    return { ...it, allocated_cents: allocated };
+  });
+  // Allocations to invoices outside this view (e.g. dated after asOf) stay unapplied here.
+  for (const c of toInvoice.values()) onAccount += c;
+
+  const knocked = fifoKnockOff(items, fifoPool);
+  return { items: knocked.items, unapplied_cents: knocked.unapplied_cents + onAccount };
+}
+
+/** Age open items as of a date; returns per-bucket cents and the aged item list. */
+export function ageItems(items, asOf) {
+  const buckets = emptyBuckets();
+  const open = [];
+  for (const it of items) {
+    if (it.outstanding_cents <= 0) continue;
+    const days = daysBetween(it.date, asOf);
+    const bucket = bucketFor(days);
+    buckets[bucket] += it.outstanding_cents;
+    open.push({ ...it, days, bucket });
+  }
+  return { buckets, open };
+}
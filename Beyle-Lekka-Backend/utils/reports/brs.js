@@ -0,0 +1,78 @@
+// utils/reports/brs.js
+// Bank Reconciliation Statement: book balance of the bank ledger, plus/minus the items that
+// explain why it differs from the statement, ending at the statement closing balance.
+//
+// A match group is cleared as of a date when every bank line and ledger entry in it is dated on
+// or before that date and every entry posts to the bank ledger. Everything else is a reconciling
+// item: book entries not cleared are cheques not presented (outflows) or deposits not credited
+// (inflows); statement lines not cleared are bank-only debits (charges) or credits (interest).
+// Excluded lines still moved the bank balance, so they count in the statement totals; they are
+// only left out of the reconciling items (and listed under `excluded`).
+// bank_accounts.opening_balance_cents is the bank balance before the first imported line, so
+// unmatched book entries dated before that line are taken as brought forward in it.
+
+/**
+ * entries: bank-ledger postings dated ≤ asOf — [{ id, date, narration, document_number, cents }]
+ *          cents signed as seen from the bank (+ debit to the bank ledger)
+ * lines:   statement lines dated ≤ asOf, excluded ones included — [{ id, date, narration, cents, status }]
+ * items:   membership of every match group on the account, any date —
+ *          [{ group_id, kind: "bank"|"ledger", ref_id, date, on_bank_ledger }]
+ * openingCents: bank_accounts.opening_balance_cents
+ * statementStart: value_date of the account's first statement line (null → none imported)
+ * All amounts in cents.
+ */
+export function buildBrs({ asOf, entries, lines, items, openingCents = 0, statementStart = null }) {
+  const groups = new Map();
+  for (const it of items || []) {
+    if (!groups.has(it.group_id)) groups.set(it.group_id, []);
+    groups.get(it.group_id).push(it);
+  }
+  const clearedBank = new Set();
+  const clearedLedger = new Set();
+  const grouped = new Set((items || []).filter(m => m.kind === "ledger").map(m => m.ref_id));
+  for (const [, members] of groups) {
+    const cleared = members.every(m =>
+      String(m.date || "").slice(0, 10) <= asOf && (m.kind === "bank" || Number(m.on_bank_ledger))
+    );
+    if (!cleared) continue;
+    for (const m of members) (m.kind === "bank" ? clearedBank : clearedLedger).add(m.ref_id);
+  }
+
+  const bookCents = entries.reduce((s, e) => s + Number(e.cents || 0), 0);
+  const broughtForward = entries.filter(e =>
+    statementStart && String(e.date) < statementStart && !grouped.has(e.id)
+  );
+  const bf = new Set(broughtForward.map(e => e.id));
+  const openEntries = entries.filter(e => !clearedLedger.has(e.id) && !bf.has(e.id));
+  const excluded = lines.filter(l => l.status === "excluded");
+  const openLines = lines.filter(l => l.status !== "excluded" && !clearedBank.has(l.id));
+
+  const section = (rows) => ({
+    total_cents: rows.reduce((s, r) => s + Math.abs(Number(r.cents || 0)), 0),
+    rows: rows.slice().sort((a, b) => String(a.date).localeCompare(String(b.date))),
+  });
+  const chequesNotPresented = section(openEntries.filter(e => e.cents < 0));
+  const depositsNotCredited = section(openEntries.filter(e => e.cents > 0));
+  const bankDebits = section(openLines.filter(l => l.cents < 0));
+  const bankCredits = section(openLines.filter(l => l.cents > 0));
+
+  const adjustedCents = bookCents
+    + chequesNotPresented.total_cents
+    - depositsNotCredited.total_cents
+    - bankDebits.total_cents
+    + bankCredits.total_cents;
+
+  const movementsCents = lines.reduce((s, l) => s + Number(l.cents || 0), 0);
+  const closingCents = Number(openingCents || 0) + movementsCents;
+
+  return {
+    asOf,
+    book_cents: bookCents,
+    brought_forward: { before: statementStart, count: broughtForward.length, cents: broughtForward.reduce((s, e) => s + e.cents, 0) },
+    sections: { chequesNotPresented, depositsNotCredited, bankDebits, bankCredits },
+    adjusted_cents: adjustedCents,
+    statement: { opening_cents: Number(openingCents || 0), movements_cents: movementsCents, closing_cents: closingCents },
+    difference_cents: closingCents - adjustedCents,
+    excluded: { count: excluded.length, cents: excluded.reduce((s, l) => s + Number(l.cents || 0), 0) },
+  };
+}
@@ -0,0 +1,104 @@
+// utils/reports/stock.js
+// Stock summary and item movement register from stock_ledger rows, valued at the perpetual
+// weighted average that utils/stock/wavg.js posts: receipts add qty_in × rate, issues take
+// qty_out × the average at the time, so an item's value is the signed sum of value_cents and
+// its rate is value / qty (as getWAVG computes it).
+
+const signedValue = (m) => (Number(m.qty_out || 0) > 0 ? -1 : 1) * Number(m.value_cents || 0);
+
+/**
+ * items:     [{ id, code, name, uom, hsn, gst_rate, reorder_level, ... }]
+ * movements: stock_ledger rows dated ≤ to — [{ item_id, date, qty_in, qty_out, value_cents }]
+ * from:      first day of the period (null → everything before `to` is movement, no opening)
+ * Returns one row per item (cents) and totals; zero rows are kept so the master is complete.
+ */
+export function buildStockSummary({ items, movements, from = null }) {
+  const byItem = new Map(items.map(it => [it.id, {
+    ...it,
+    opening_qty: 0, opening_cents: 0,
+    in_qty: 0, in_cents: 0,
+    out_qty: 0, out_cents: 0,
+  }]));
+
+  for (const m of movements) {
+    const row = byItem.get(m.item_id);
+    if (!row) continue;
+    const d = String(m.date || "").slice(0, 10);
+    if (from && d < from) {
+      row.opening_qty += Number(m.qty_in || 0) - Number(m.qty_out || 0);
+      row.opening_cents += signedValue(m);
+      continue;
+    }
+    if (Number(m.qty_out || 0) > 0) {
+      row.out_qty += Number(m.qty_out);
+      row.out_cents += Number(m.value_cents || 0);
+    } else {
+      row.in_qty += Number(m.qty_in || 0);
+      row.in_cents += Number(m.value_cents || 0);
+    }
+  }
+
+  const rows = [...byItem.values()].map(r => {
+    const closing_qty = round3(r.opening_qty + r.in_qty - r.out_qty);
+    const closing_cents = r.opening_cents + r.in_cents - r.out_cents;
+    const reorder = r.reorder_level == null ? null : Number(r.reorder_level);
+    return {
+      ...r,
+      opening_qty: round3(r.opening_qty),
+      in_qty: round3(r.in_qty),
+      out_qty: round3(r.out_qty),
+      closing_qty,
+      closing_cents: closing_qty > 0 ? closing_cents : 0,
+      rate_cents: closing_qty > 0 ? Math.round(closing_cents / closing_qty) : 0,
+      below_reorder: reorder != null && closing_qty <= reorder,
+    };
+  });
+
+  const totals = rows.reduce((t, r) => ({
+    opening_cents: t.opening_cents + r.opening_cents,
+    in_cents: t.in_cents + r.in_cents,
+    out_cents: t.out_cents + r.out_cents,
+    closing_cents: t.closing_cents + r.closing_cents,
+  }), { opening_cents: 0, in_cents: 0, out_cents: 0, closing_cents: 0 });
+
+  return { rows, totals, below_reorder: rows.filter(r => r.below_reorder).length };
+}
+
+/**
+ * Movement register for one item: opening balance at `from`, then each movement in the period
+ * with running quantity, value and average rate.
+ * movements: the item's stock_ledger rows dated ≤ to, ordered by date.
+ */
+export function buildMovementRegister({ movements, from = null }) {
+  let qty = 0;
+  let cents = 0;
+  const rows = [];
+  for (const m of movements) {
+    const d = String(m.date || "").slice(0, 10);
+    qty += Number(m.qty_in || 0) - Number(m.qty_out || 0);
+    cents += signedValue(m);
+    if (from && d < from) continue;
+    rows.push({
+      ...m,
+      date: d,
+      balance_qty: round3(qty),
+      balance_cents: cents,
+      balance_rate_cents: qty > 0 ? Math.round(cents / qty) : 0,
+    });
+  }
+  const first = rows[0];
+  const opening = first
+    ? { qty: round3(first.balance_qty - Number(first.qty_in || 0) + Number(first.qty_out || 0)), cents: first.balance_cents - signedValue(first) }
+    : { qty: round3(qty), cents };
+  return {
+    opening_qty: opening.qty,
+    opening_cents: opening.cents,
+    rows,
+    closing_qty: round3(qty),
+    closing_cents: cents,
+  };
+}
+
+function round3(n) {
+  return Math.round(Number(n || 0) * 1000) / 1000;
+}
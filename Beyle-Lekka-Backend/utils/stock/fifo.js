@@ -0,0 +1,89 @@
+// utils/stock/fifo.js
+// Receipt layers (migration 039) for FIFO-costed and batch-tracked items. Every receipt of such
+// an item opens a layer; issues consume layers oldest first (FIFO) or, for batch-tracked items,
+// earliest expiry first (FEFO), and stock_layer_issues records what each issue took.
+// A batch is expired on a date after its expiry_date; expired layers are only used when the
+// caller allows it (after every usable layer is exhausted).
+import { randomUUID } from "crypto";
+import { query } from "../../services/db.js";
+
+export const isExpired = (layer, date) => !!layer.expiry_date && String(layer.expiry_date) < String(date);
+
+export async function addLayer({ sessionId, itemId, warehouseId = null, receiptId, date, batchNo = null, expiryDate = null, qty, rateCents }, run = query) {
+  const id = randomUUID();
+  await run(
+    `INSERT INTO stock_layers
+       (id, session_id, item_id, warehouse_id, receipt_id, date, batch_no, expiry_date, qty_in, qty_remaining, rate_cents)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$9,$10)`,
+    [id, sessionId, itemId, warehouseId, receiptId, date, batchNo, expiryDate, qty, Math.round(rateCents || 0)]
+  );
+  return id;
+}
+
+/**
+ * Layers with quantity left that were received on or before `date` — optionally in one location,
+ * of one batch, or opened by one receipt (a transfer's in-transit leg).
+ */
+export async function openLayers({ sessionId, itemId, warehouseId = null, date, batchNo = null, receiptId = null }, run = query) {
+  const { rows } = await run(
+    `SELECT id, item_id, warehouse_id, receipt_id, date, batch_no, expiry_date, qty_in, qty_remaining, rate_cents
+       FROM stock_layers
+      WHERE session_id = $1 AND item_id = $2 AND qty_remaining > 0 AND date <= $3
+        AND ($4 IS NULL OR warehouse_id = $4) AND ($5 IS NULL OR batch_no = $5) AND ($6 IS NULL OR receipt_id = $6)
+      ORDER BY date, created_at, rowid`,
+    [sessionId, itemId, date, warehouseId, batchNo, receiptId]
+  );
+  return rows || [];
+}
+
+/**
+ * Which layers an issue of `qty` on `date` takes.
+ *   order "fifo": receipt date; "fefo": expiry date (no expiry last), then receipt date
+ * Returns { picks: [{ layer, qty, value_cents }], short, expired_qty, value_cents } where short is
+ * the quantity no layer could cover and expired_qty what was taken from expired layers.
+ */
+export function planIssue(layers, qty, { date, order = "fifo", allowExpired = false } = {}) {
+  const byOrder = [...layers].sort((a, b) => {
+    if (order === "fefo") {
+      const ea = a.expiry_date || "9999-12-31";
+      const eb = b.expiry_date || "9999-12-31";
+      if (ea !== eb) return ea < eb ? -1 : 1;
+    }
+    return String(a.date) < String(b.date) ? -1 : String(a.date) > String(b.date) ? 1 : 0;
+  });
+  const usable = byOrder.filter(l => !isExpired(l, date));
+  const expired = byOrder.filter(l => isExpired(l, date));
+  const pool = allowExpired ? [...usable, ...expired] : usable;
+
+  let left = Number(qty || 0);
+  const picks = [];
+  let expiredQty = 0;
+  for (const layer of pool) {
+    if (left <= 1e-9) break;
+    const take = Math.min(left, Number(layer.qty_remaining));
+    if (take <= 0) continue;
+    picks.push({ layer, qty: take, value_cents: Math.round(take * Number(layer.rate_cents || 0)) });
+    if (isExpired(layer, date)) expiredQty += take;
+    left -= take;
+  }
+  return {
+    picks,
+    short: Math.max(0, Math.round(left * 1000) / 1000),
+    expired_qty: expiredQty,
+    value_cents: picks.reduce((s, p) => s + p.value_cents, 0),
+  };
+}
+
+/** Record an issue's picks and reduce the layers it drew on. */
+export async function applyIssue({ sessionId, issueId, picks }, run = query) {
+  for (const p of picks) {
+    await run(
+      `INSERT INTO stock_layer_issues (id, session_id, issue_id, layer_id, qty, value_cents) VALUES ($1,$2,$3,$4,$5,$6)`,
+      [randomUUID(), sessionId, issueId, p.layer.id, p.qty, p.value_cents]
+    );
+    await run(
+      `UPDATE stock_layers SET qty_remaining = qty_remaining - $1 WHERE id = $2 AND session_id = $3`,
+      [p.qty, p.layer.id, sessionId]
+    );
+  }
+}
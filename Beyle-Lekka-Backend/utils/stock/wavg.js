@@ -1,14 +1,18 @@
-﻿// utils/stock/wavg.js
+// utils/stock/wavg.js
 import { query } from "../../services/db.js";
 
 /**
  * Maintain per-item weighted average (simple implementation).
  * We keep no separate table; compute WAVG on the fly up to date, or cache later.
+ * value_cents is stored unsigned: receipts add it, issues (qty_out > 0) take it away.
+ * With warehouse_id the average is that location's; without it, the workspace's (the two legs of
+ * a stock transfer cancel out there).
  */
 
-export async function getWAVG(item_id, asOfDate = "2999-12-31", warehouse_id = null) {
-  const { rows } = await query(
-    `SELECT SUM(qty_in) AS qty_in, SUM(qty_out) AS qty_out, SUM(value_cents) AS value_cents
+export async function getWAVG(item_id, asOfDate = "2999-12-31", warehouse_id = null, run = query) {
+  const { rows } = await run(
+    `SELECT SUM(qty_in) AS qty_in, SUM(qty_out) AS qty_out,
+            SUM(CASE WHEN qty_out > 0 THEN -value_cents ELSE value_cents END) AS value_cents
        FROM stock_ledger
       WHERE item_id=$1 AND date <= $2
         AND ($3 IS NULL OR warehouse_id=$3)`,
@@ -18,28 +22,37 @@ export async function getWAVG(item_id, asOfDate = "2999-12-31", warehouse_id = n
   const qty = (r.qty_in || 0) - (r.qty_out || 0);
   const val = r.value_cents || 0;
   const rate = qty > 0 ? Math.round(val / qty) : 0;
-  return { qty, rate_cents: rate };
+  return { qty, rate_cents: rate, value_cents: qty > 0 ? val : 0 };
 }
 
 /**
  * Post a stock movement; set value_cents based on WAVG for issues and purchase rate for receipts.
- * movement: { id, date, item_id, qty_in, qty_out, warehouse_id, rate_cents? }
+ * movement: { id, date, item_id, qty_in, qty_out, warehouse_id, rate_cents?,
+ *             session_id?, kind?, ref_doc?, document_id?, narration?, created_by?,
+ *             batch_no?, expiry_date?, value_cents? }
+ * value_cents, when given, is the issue's cost from consumed FIFO layers (utils/stock/fifo.js)
+ * or, on either leg of a stock transfer, the value the goods carry between locations.
  */
-export async function postMovement(mv) {
+export async function postMovement(mv, run = query) {
   const isIssue = (mv.qty_out || 0) > 0;
   let rate_cents = mv.rate_cents || 0;
   if (isIssue && !rate_cents) {
-    const { rate_cents: r } = await getWAVG(mv.item_id, mv.date, mv.warehouse_id || null);
+    const { rate_cents: r } = await getWAVG(mv.item_id, mv.date, mv.warehouse_id || null, run);
     rate_cents = r;
   }
-  const value_cents =
-    Math.round((mv.qty_in || 0) * (mv.rate_cents || 0)) +
-    Math.round((mv.qty_out || 0) * rate_cents);
+  const value_cents = mv.value_cents != null
+    ? Math.round(mv.value_cents)
+    : Math.round((mv.qty_in || 0) * (mv.rate_cents || 0)) +
+      Math.round((mv.qty_out || 0) * rate_cents);
 
-  await query(
-    `INSERT INTO stock_ledger (id, date, item_id, qty_in, qty_out, ref_doc, warehouse_id, rate_cents, value_cents)
-     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)`,
-    [mv.id, mv.date, mv.item_id, mv.qty_in||0, mv.qty_out||0, mv.ref_doc||null, mv.warehouse_id||null, rate_cents||0, value_cents||0]
+  await run(
+    `INSERT INTO stock_ledger
+       (id, date, item_id, qty_in, qty_out, ref_doc, warehouse_id, rate_cents, value_cents,
+        session_id, kind, document_id, narration, created_by, batch_no, expiry_date, created_at)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16, datetime('now'))`,
+    [mv.id, mv.date, mv.item_id, mv.qty_in||0, mv.qty_out||0, mv.ref_doc||null, mv.warehouse_id||null, rate_cents||0, value_cents||0,
+     mv.session_id||null, mv.kind||null, mv.document_id||null, mv.narration||null, mv.created_by||null,
+     mv.batch_no||null, mv.expiry_date||null]
   );
 
   return { rate_cents, value_cents };
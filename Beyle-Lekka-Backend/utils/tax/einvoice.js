@@ -0,0 +1,218 @@
+// utils/tax/einvoice.js
+// GST e-invoice: posted invoice / note docModel → NIC schema 1.1 JSON for the IRP, and its
+// validation (JSON schema in schemas/einvoice.schema.json plus the IRP's value cross-checks).
+// Item tax follows the GSTR-1 builder, so the return and the IRN carry the same numbers.
+import jsonschema from "jsonschema";
+import SCHEMA from "../../schemas/einvoice.schema.json" with { type: "json" };
+import { stateCodeFromGSTIN, isInterState, round2 } from "./gstUtil.js";
+import { supplierGSTINOf, customerGSTINOf, placeOfSupplyOf, taxLines } from "./gstr1.js";
+
+const validator = new jsonschema.Validator();
+
+export const DOC_TYPES = { invoice: "INV", credit_note: "CRN", debit_note: "DBN" };
+
+// Item units → GST unit quantity codes; anything else reports as OTH
+const UQC = {
+  NOS: "NOS", NO: "NOS", PC: "PCS", PCS: "PCS", PIECE: "PCS", PIECES: "PCS", UNIT: "UNT", UNITS: "UNT", UNT: "UNT",
+  KG: "KGS", KGS: "KGS", KILOGRAM: "KGS", G: "GMS", GM: "GMS", GMS: "GMS", GRAM: "GMS", TON: "TON", MT: "MTS", MTS: "MTS",
+  L: "LTR", LTR: "LTR", LITRE: "LTR", ML: "MLT", MLT: "MLT", M: "MTR", MTR: "MTR", METRE: "MTR", SQM: "SQM", SQF: "SQF",
+  BOX: "BOX", BAG: "BAG", BAGS: "BAG", BTL: "BTL", BOTTLE: "BTL", CTN: "CTN", CARTON: "CTN", DOZ: "DOZ", DOZEN: "DOZ",
+  PAC: "PAC", PACK: "PAC", PKT: "PAC", SET: "SET", SETS: "SET", PRS: "PRS", PAIR: "PRS", ROL: "ROL", ROLL: "ROL",
+  HRS: "OTH", OTH: "OTH",
+};
+
+const str = (v) => (v === undefined || v === null ? "" : String(v).trim());
+const first = (o, ...keys) => { for (const k of keys) if (str(o?.[k])) return str(o[k]); return ""; };
+const pinOf = (v) => { const m = str(v).match(/\b(\d{6})\b/); return m ? Number(m[1]) : undefined; };
+const clip = (s, n) => (s && s.length > n ? s.slice(0, n) : s || undefined);
+
+// IRP dates are dd/mm/yyyy
+export function irpDate(iso) {
+  const m = str(iso).match(/^(\d{4})-(\d{2})-(\d{2})/);
+  return m ? `${m[3]}/${m[2]}/${m[1]}` : "";
+}
+
+export function unitCode(uom) {
+  const k = str(uom).toUpperCase().replace(/[^A-Z]/g, "");
+  return UQC[k] || (k.length === 3 ? k : "OTH");
+}
+
+// Address lines: the first 100 characters, then the next 100
+function addressLines(addr) {
+  const a = str(addr).replace(/\s*\n\s*/g, ", ");
+  return { Addr1: clip(a, 100), Addr2: a.length > 103 ? clip(a.slice(100).trim(), 100) : undefined };
+}
+
+function party({ gstin, name, tradeName, address, location, pin, state, phone, email }) {
+  const out = {
+    Gstin: gstin || undefined,
+    LglNm: clip(name, 100),
+    ...(tradeName && tradeName !== name ? { TrdNm: clip(tradeName, 100) } : {}),
+    ...addressLines(address),
+    Loc: clip(location, 50),
+    Pin: pin,
+    Stcd: state || undefined,
+    ...(phone ? { Ph: phone.replace(/\D/g, "").slice(-12) } : {}),
+    ...(email ? { Em: email } : {}),
+  };
+  for (const k of Object.keys(out)) if (out[k] === undefined) delete out[k];
+  return out;
+}
+
+/**
+ * Seller details: the docModel's own seller fields, else `seller` (the workspace identity).
+ * seller: { gstin, name, address, location, pin }
+ */
+function sellerOf(dm, seller = {}) {
+  const gstin = supplierGSTINOf(dm, seller.gstin);
+  return party({
+    gstin,
+    name: first(dm, "sellerLegalName", "sellerName", "supplierName") || str(seller.name),
+    tradeName: first(dm, "sellerTradeName"),
+    address: first(dm, "sellerAddress", "supplierAddress") || str(seller.address),
+    location: first(dm, "sellerCity", "sellerLocation") || str(seller.location),
+    pin: pinOf(first(dm, "sellerPincode", "sellerPin")) ?? pinOf(seller.pin) ?? pinOf(seller.address),
+    state: stateCodeFromGSTIN(gstin),
+    phone: first(dm, "sellerPhone"),
+    email: first(dm, "sellerEmail"),
+  });
+}
+
+function buyerOf(dm, pos) {
+  const gstin = customerGSTINOf(dm);
+  const address = first(dm, "buyerAddress", "customerAddress", "billingAddress");
+  const state = first(dm, "buyerStateCode", "buyerState").match(/^\d{1,2}/)?.[0];
+  return {
+    ...party({
+      gstin,
+      name: first(dm, "buyerLegalName", "buyer", "customer", "customerName", "party"),
+      tradeName: first(dm, "buyerTradeName"),
+      address,
+      location: first(dm, "buyerCity", "buyerLocation", "customerCity"),
+      pin: pinOf(first(dm, "buyerPincode", "buyerPin", "customerPincode")) ?? pinOf(address),
+      state: state ? state.padStart(2, "0") : stateCodeFromGSTIN(gstin),
+      phone: first(dm, "buyerPhone", "customerPhone"),
+      email: first(dm, "buyerEmail", "customerEmail"),
+    }),
+    Pos: pos || undefined,
+  };
+}
+
+/**
+ * NIC e-invoice JSON for one posted document.
+ * doc: { doc_type, number, date, dm }; opts: { seller } (workspace identity for fields the docModel lacks).
+ */
+export function buildEInvoice(doc, { seller = {} } = {}) {
+  const dm = doc.dm || {};
+  const typ = DOC_TYPES[doc.doc_type];
+  if (!typ) throw new Error(`No e-invoice for ${doc.doc_type} documents`);
+
+  const sellerDtls = sellerOf(dm, seller);
+  const origin = sellerDtls.Stcd || null;
+  const pos = placeOfSupplyOf(dm) || origin;
+  const igstOnIntra = String(dm.igstOnIntra || "").toUpperCase() === "Y" || dm.igstOnIntra === true;
+  const inter = igstOnIntra || isInterState(origin, pos);
+  const lines = taxLines(dm, inter);
+  const items = Array.isArray(dm.items) ? dm.items : [];
+
+  const itemList = lines.map((l, i) => {
+    const it = items[i] || {};
+    const qty = l.qty || 1;
+    let unitPrice = round2(it.rate ?? it.price ?? l.txval / qty);
+    let totAmt = round2(unitPrice * qty);
+    if (totAmt < l.txval) { totAmt = l.txval; unitPrice = round2(l.txval / qty); }
+    const discount = round2(totAmt - l.txval);
+    const batch = str(it.batchNo || it.batch_no || it.batch);
+    return {
+      SlNo: String(i + 1),
+      PrdDesc: clip(l.desc, 300),
+      IsServc: /^99/.test(l.hsn) || it.isService === true ? "Y" : "N",
+      HsnCd: l.hsn,
+      Qty: l.qty,
+      Unit: unitCode(it.uqc || it.unit || it.uom),
+      UnitPrice: unitPrice,
+      TotAmt: totAmt,
+      Discount: discount,
+      AssAmt: l.txval,
+      GstRt: l.rt,
+      IgstAmt: l.iamt,
+      CgstAmt: l.camt,
+      SgstAmt: l.samt,
+      CesAmt: l.csamt,
+      OthChrg: 0,
+      TotItemVal: round2(l.txval + l.iamt + l.camt + l.samt + l.csamt),
+      ...(batch ? { BchDtls: { Nm: clip(batch, 20), ...(it.expiryDate ? { ExpDt: irpDate(it.expiryDate) } : {}) } } : {}),
+    };
+  });
+
+  const sum = (k) => round2(itemList.reduce((s, x) => s + (x[k] || 0), 0));
+  const itemsValue = sum("TotItemVal");
+  const shown = Number(dm.totalAmount ?? dm.total);
+  const roundOff = Number.isFinite(shown) && shown > 0 && Math.abs(shown - itemsValue) < 1 ? round2(shown - itemsValue) : 0;
+  const valDtls = {
+    AssVal: sum("AssAmt"),
+    CgstVal: sum("CgstAmt"),
+    SgstVal: sum("SgstAmt"),
+    IgstVal: sum("IgstAmt"),
+    CesVal: sum("CesAmt"),
+    Discount: 0,
+    OthChrg: 0,
+    RndOffAmt: roundOff,
+    TotInvVal: round2(itemsValue + roundOff),
+  };
+
+  const json = {
+    Version: "1.1",
+    TranDtls: {
+      TaxSch: "GST",
+      SupTyp: str(dm.supplyType).toUpperCase() || "B2B",
+      RegRev: dm.reverseCharge ? "Y" : "N",
+      EcmGstin: null,
+      IgstOnIntra: igstOnIntra ? "Y" : "N",
+    },
+    DocDtls: { Typ: typ, No: str(doc.number || dm.number), Dt: irpDate(doc.date || dm.date) },
+    SellerDtls: sellerDtls,
+    BuyerDtls: buyerOf(dm, pos),
+    ItemList: itemList,
+    ValDtls: valDtls,
+  };
+
+  const orig = str(dm.originalInvoiceNumber || dm.originalInvoice);
+  if (typ !== "INV" && orig) {
+    json.RefDtls = { PrecDocDtls: [{ InvNo: orig, InvDt: irpDate(dm.originalInvoiceDate) }] };
+  }
+  return json;
+}
+
+/**
+ * Schema errors plus the IRP's own cross-checks, as [{ path, message }]; empty when the
+ * payload can be submitted. `dm` (optional) lets the booked tax be compared with the items'.
+ */
+export function validateEInvoice(json, dm = null) {
+  const errors = validator.validate(json, SCHEMA, { nestedErrors: false }).errors.map(e => ({
+    path: e.property.replace(/^instance\.?/, "") || "(root)",
+    message: e.message,
+  }));
+
+  const v = json?.ValDtls || {};
+  const items = Array.isArray(json?.ItemList) ? json.ItemList : [];
+  items.forEach((it, i) => {
+    if (Math.abs(round2((it.TotAmt || 0) - (it.Discount || 0)) - (it.AssAmt || 0)) > 1) {
+      errors.push({ path: `ItemList[${i}].AssAmt`, message: "must equal TotAmt − Discount" });
+    }
+  });
+  const seller = json?.SellerDtls?.Gstin, buyer = json?.BuyerDtls?.Gstin;
+  if (seller && buyer && seller === buyer) errors.push({ path: "BuyerDtls.Gstin", message: "cannot be the seller's GSTIN" });
+  if (json?.TranDtls?.SupTyp === "B2B" && buyer === "URP") {
+    errors.push({ path: "BuyerDtls.Gstin", message: "an unregistered buyer is not a B2B supply" });
+  }
+  const inter = v.IgstVal > 0, intra = v.CgstVal > 0 || v.SgstVal > 0;
+  if (inter && intra) errors.push({ path: "ValDtls", message: "cannot carry both IGST and CGST/SGST" });
+  if (dm && typeof dm.taxes === "number") {
+    const tax = round2((v.IgstVal || 0) + (v.CgstVal || 0) + (v.SgstVal || 0) + (v.CesVal || 0));
+    if (Math.abs(tax - round2(dm.taxes)) > 1) {
+      errors.push({ path: "ItemList", message: `item GST rates give ${tax.toFixed(2)} tax but the invoice books ${round2(dm.taxes).toFixed(2)}` });
+    }
+  }
+  return errors;
+}
@@ -0,0 +1,260 @@
+// utils/tax/ewaybill.js
+// E-way bills: posted goods invoices and stock transfers → the portal's bulk-generation JSON.
+// Transport details (docModel.transport) are captured at preview or on the transfer; values and
+// HSN follow the GSTR-1 / e-invoice builders. Service lines (HSN 99…) never travel on an EWB.
+import { stateCodeFromGSTIN, isInterState, isValidGSTIN, round2 } from "./gstUtil.js";
+import { supplierGSTINOf, customerGSTINOf, placeOfSupplyOf, taxLines } from "./gstr1.js";
+import { irpDate, unitCode } from "./einvoice.js";
+
+export const EWB_VERSION = "1.0.0621";
+export const DEFAULT_EWB_THRESHOLD = 50000;
+export const TRANSPORT_MODES = { road: 1, rail: 2, air: 3, ship: 4 };
+
+const VEHICLE_NO = /^([A-Z]{2}[0-9]{1,2}[A-Z]{0,3}[0-9]{4}|TR[A-Z0-9]{6,13})$/;
+const TRANSPORTER_ID = /^[0-9]{2}[0-9A-Z]{13}$/;
+const ISO = /^\d{4}-\d{2}-\d{2}$/;
+
+const str = (v) => (v === undefined || v === null ? "" : String(v).trim());
+const first = (o, ...keys) => { for (const k of keys) if (str(o?.[k])) return str(o[k]); return ""; };
+const pinOf = (v) => { const m = str(v).match(/\b(\d{6})\b/); return m ? Number(m[1]) : null; };
+const isServiceHsn = (hsn) => /^99/.test(str(hsn));
+
+/* ------------------------ transport details ------------------------ */
+
+/**
+ * Transport details as stored on the docModel, or null when none are given.
+ * Accepts { mode: road|rail|air|ship|1..4, transporterId, transporterName, vehicleNo,
+ *           vehicleType: regular|odc, distanceKm, transDocNo, transDocDate } and common aliases.
+ */
+export function normalizeTransport(t) {
+  if (!t || typeof t !== "object") return null;
+  const modeRaw = first(t, "mode", "transMode").toLowerCase();
+  const mode = TRANSPORT_MODES[modeRaw]
+    ? modeRaw
+    : Object.keys(TRANSPORT_MODES).find(k => String(TRANSPORT_MODES[k]) === modeRaw) || (modeRaw ? modeRaw : null);
+  const distance = first(t, "distanceKm", "distance", "transDistance");
+  const out = {
+    mode: mode || null,
+    transporterId: first(t, "transporterId", "transporter_id", "transporterGSTIN").toUpperCase() || null,
+    transporterName: first(t, "transporterName", "transporter") || null,
+    vehicleNo: first(t, "vehicleNo", "vehicle_no", "vehicleNumber").toUpperCase().replace(/[^A-Z0-9]/g, "") || null,
+    vehicleType: /^(o|odc|over)/i.test(first(t, "vehicleType")) ? "odc" : first(t, "vehicleType") ? "regular" : null,
+    distanceKm: distance === "" ? null : Math.round(Number(distance)),
+    transDocNo: first(t, "transDocNo", "lrNo", "rrNo", "awbNo") || null,
+    transDocDate: first(t, "transDocDate", "lrDate") || null,
+  };
+  if (Object.values(out).every(v => v === null)) return null;
+  if (out.vehicleNo && !out.mode) out.mode = "road";
+  return out;
+}
+
+/** What keeps these transport details from generating a complete (Part A + B) e-way bill. */
+export function transportProblems(t) {
+  const out = [];
+  if (!t) return ["transport details missing"];
+  if (t.mode && !TRANSPORT_MODES[t.mode]) out.push(`mode must be one of ${Object.keys(TRANSPORT_MODES).join(", ")}`);
+  if (t.distanceKm === null || t.distanceKm === undefined) out.push("distance (km) is required; 0 lets the portal compute it");
+  else if (!Number.isFinite(t.distanceKm) || t.distanceKm < 0 || t.distanceKm > 4000) out.push("distance must be 0–4000 km");
+  if (t.transporterId && !TRANSPORTER_ID.test(t.transporterId)) out.push(`transporter ID ${t.transporterId} is not a GSTIN / TRANSIN`);
+  if (t.vehicleNo && !VEHICLE_NO.test(t.vehicleNo)) out.push(`vehicle number ${t.vehicleNo} is not in the RTO format`);
+  const mode = t.mode || "road";
+  if (mode === "road" && !t.vehicleNo && !t.transporterId) out.push("vehicle number or transporter ID is required");
+  if (mode !== "road" && (!t.transDocNo || !t.transDocDate)) out.push(`${mode} transport needs the transport document number and date`);
+  if (t.transDocDate && !ISO.test(t.transDocDate)) out.push("transport document date must be YYYY-MM-DD");
+  return out;
+}
+
+/**
+ * Last moment an e-way bill generated at `generatedAt` (ISO date-time) stays valid: one day per
+ * 200 km (20 km for over-dimensional cargo), each day ending at midnight after the first 24 hours.
+ */
+export function ewbValidUntil(generatedAt, distanceKm, vehicleType = "regular") {
+  const start = new Date(String(generatedAt).replace(" ", "T"));
+  if (Number.isNaN(start.getTime())) return null;
+  const perDay = vehicleType === "odc" ? 20 : 200;
+  const days = Math.max(1, Math.ceil(Number(distanceKm || 0) / perDay));
+  const end = new Date(Date.UTC(start.getFullYear(), start.getMonth(), start.getDate() + days));
+  return `${end.toISOString().slice(0, 10)} 23:59:59`;
+}
+
+/* ------------------------ bill builders ------------------------ */
+
+function transportFields(t) {
+  const tr = t || {};
+  return {
+    transMode: TRANSPORT_MODES[tr.mode || "road"] || 1,
+    transDistance: Number.isFinite(tr.distanceKm) ? tr.distanceKm : 0,
+    transporterId: tr.transporterId || "",
+    transporterName: tr.transporterName || "",
+    transDocNo: tr.transDocNo || "",
+    transDocDate: tr.transDocDate ? irpDate(tr.transDocDate) : "",
+    vehicleNo: tr.vehicleNo || "",
+    vehicleType: tr.vehicleType === "odc" ? "O" : "R",
+  };
+}
+
+function address(addr) {
+  const a = str(addr).replace(/\s*\n\s*/g, ", ");
+  return { line1: a.slice(0, 120), line2: a.length > 120 ? a.slice(120, 240) : "" };
+}
+
+function mainHsn(lines) {
+  const top = [...lines].sort((a, b) => b.txval - a.txval)[0];
+  return top ? Number(top.hsn) || 0 : 0;
+}
+
+function itemList(lines, items, inter) {
+  return lines.map((l, i) => ({
+    itemNo: i + 1,
+    productName: l.desc.slice(0, 100),
+    productDesc: l.desc.slice(0, 100),
+    hsnCode: Number(l.hsn) || 0,
+    quantity: l.qty,
+    qtyUnit: unitCode(items[i]?.uqc || items[i]?.unit || items[i]?.uom),
+    taxableAmount: l.txval,
+    sgstRate: inter ? 0 : l.rt / 2,
+    cgstRate: inter ? 0 : l.rt / 2,
+    igstRate: inter ? l.rt : 0,
+    cessRate: 0,
+    cessNonAdvol: 0,
+  }));
+}
+
+/**
+ * One bill of the bulk JSON for a posted invoice.
+ * opts: { seller: { gstin, name, address, location, pin }, dispatchFrom?: { address, pin } }
+ * Returns { bill, value, problems } — bill is null when the invoice carries no goods.
+ */
+export function invoiceEwayBill(doc, { seller = {}, dispatchFrom = null } = {}) {
+  const dm = doc.dm || {};
+  const gstin = supplierGSTINOf(dm, seller.gstin);
+  const origin = stateCodeFromGSTIN(gstin);
+  const pos = placeOfSupplyOf(dm) || origin;
+  const inter = isInterState(origin, pos);
+  const items = Array.isArray(dm.items) ? dm.items : [];
+  const all = taxLines(dm, inter);
+  const goods = all.map((l, i) => ({ l, it: items[i] || {} })).filter(x => x.l.hsn && !isServiceHsn(x.l.hsn));
+  if (!goods.length) {
+    return { bill: null, value: 0, problems: all.some(l => !l.hsn) ? ["items have no HSN"] : ["no goods on this invoice"] };
+  }
+  const lines = goods.map(x => x.l);
+  const sum = (k) => round2(lines.reduce((s, l) => s + l[k], 0));
+  const ctin = customerGSTINOf(dm);
+  const buyerAddr = first(dm, "shipToAddress", "buyerAddress", "customerAddress", "billingAddress");
+  const fromAddr = address(dispatchFrom?.address || first(dm, "sellerAddress") || seller.address);
+  const toAddr = address(buyerAddr);
+  const transport = normalizeTransport(dm.transport);
+
+  const bill = {
+    userGstin: gstin,
+    supplyType: "O",
+    subSupplyType: 1,
+    subSupplyDesc: "",
+    docType: "INV",
+    docNo: str(doc.number || dm.number),
+    docDate: irpDate(doc.date || dm.date),
+    transType: 1,
+    fromGstin: gstin,
+    fromTrdName: first(dm, "sellerName", "supplierName") || str(seller.name),
+    fromAddr1: fromAddr.line1,
+    fromAddr2: fromAddr.line2,
+    fromPlace: first(dm, "sellerCity") || str(seller.location),
+    fromPincode: pinOf(dispatchFrom?.pin) ?? pinOf(dispatchFrom?.address) ?? pinOf(first(dm, "sellerPincode")) ?? pinOf(seller.pin) ?? pinOf(seller.address),
+    fromStateCode: Number(origin) || 0,
+    actualFromStateCode: Number(origin) || 0,
+    toGstin: isValidGSTIN(ctin) ? ctin : "URP",
+    toTrdName: first(dm, "buyerLegalName", "buyer", "customer", "customerName"),
+    toAddr1: toAddr.line1,
+    toAddr2: toAddr.line2,
+    toPlace: first(dm, "shipToCity", "buyerCity", "customerCity"),
+    toPincode: pinOf(first(dm, "shipToPincode", "buyerPincode", "buyerPin")) ?? pinOf(buyerAddr),
+    toStateCode: Number(stateCodeFromGSTIN(ctin) || pos) || 0,
+    actualToStateCode: Number(first(dm, "shipToStateCode") || pos) || 0,
+    totalValue: sum("txval"),
+    cgstValue: sum("camt"),
+    sgstValue: sum("samt"),
+    igstValue: sum("iamt"),
+    cessValue: sum("csamt"),
+    TotNonAdvolVal: 0,
+    OthValue: 0,
+    totInvValue: round2(lines.reduce((s, l) => s + l.txval + l.iamt + l.camt + l.samt + l.csamt, 0)),
+    ...transportFields(transport),
+    mainHsnCode: mainHsn(lines),
+    itemList: itemList(lines, goods.map(x => x.it), inter),
+  };
+  return { bill, value: bill.totInvValue, problems: billProblems(bill, transport) };
+}
+
+/**
+ * One bill for a stock transfer between the workspace's own locations (delivery challan,
+ * "for own use"); both ends carry the workspace GSTIN and no tax.
+ * opts: { seller }; the docModel's fromWarehouse / toWarehouse give the addresses.
+ */
+export function transferEwayBill(doc, { seller = {} } = {}) {
+  const dm = doc.dm || {};
+  const gstin = str(seller.gstin).toUpperCase();
+  const state = Number(stateCodeFromGSTIN(gstin)) || 0;
+  const items = Array.isArray(dm.items) ? dm.items : [];
+  const lines = items.map(it => ({
+    hsn: str(it.hsn), desc: str(it.name || it.code), qty: Number(it.qty || 0), txval: round2(it.amount), rt: 0,
+  }));
+  const from = dm.fromWarehouse || {}, to = dm.toWarehouse || {};
+  const fromAddr = address(from.address), toAddr = address(to.address);
+  const transport = normalizeTransport(dm.transport);
+  const value = round2(lines.reduce((s, l) => s + l.txval, 0));
+
+  const bill = {
+    userGstin: gstin,
+    supplyType: "O",
+    subSupplyType: 5,
+    subSupplyDesc: "",
+    docType: "CHL",
+    docNo: str(doc.number || dm.number),
+    docDate: irpDate(doc.date || dm.date),
+    transType: 1,
+    fromGstin: gstin,
+    fromTrdName: str(seller.name),
+    fromAddr1: fromAddr.line1,
+    fromAddr2: fromAddr.line2,
+    fromPlace: str(from.name),
+    fromPincode: pinOf(from.address),
+    fromStateCode: state,
+    actualFromStateCode: state,
+    toGstin: gstin,
+    toTrdName: str(seller.name),
+    toAddr1: toAddr.line1,
+    toAddr2: toAddr.line2,
+    toPlace: str(to.name),
+    toPincode: pinOf(to.address),
+    toStateCode: state,
+    actualToStateCode: state,
+    totalValue: value,
+    cgstValue: 0,
+    sgstValue: 0,
+    igstValue: 0,
+    cessValue: 0,
+    TotNonAdvolVal: 0,
+    OthValue: 0,
+    totInvValue: value,
+    ...transportFields(transport),
+    mainHsnCode: mainHsn(lines),
+    itemList: itemList(lines, items, false),
+  };
+  return { bill, value, problems: billProblems(bill, transport) };
+}
+
+function billProblems(bill, transport) {
+  const out = [];
+  if (!isValidGSTIN(bill.userGstin)) out.push("workspace GSTIN missing or invalid (set it in branding)");
+  if (!bill.docNo) out.push("document number missing");
+  if (!bill.fromPincode) out.push("dispatch pincode missing");
+  if (!bill.toPincode) out.push("delivery pincode missing");
+  if (!bill.toStateCode) out.push("delivery state unknown");
+  if (bill.itemList.some(it => !it.hsnCode)) out.push("items without HSN");
+  return out.concat(transportProblems(transport));
+}
+
+/** The bulk-generation file for the portal. */
+export function bulkEwayBillJson(bills) {
+  return { version: EWB_VERSION, billLists: bills };
+}
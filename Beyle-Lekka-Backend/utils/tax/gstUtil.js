@@ -4,6 +4,13 @@ export function round2(n){ return Math.round(Number(n||0)*100)/100; }
 export function isInterState(origin,pos,assumeInterIfUnknown=false){
   if(!origin||!pos) return !!assumeInterIfUnknown; return String(origin)!==String(pos);
 }
+// Inter-state for a docModel, reading GSTINs and place of supply the way gstCore does
+export function isInterStateSupply(dm={}, assumeIntraIfUnknown=true){
+  const customer=dm.customerGSTIN||dm.buyerGSTIN||dm.toGSTIN||"";
+  const pos=dm.placeOfSupplyCode||dm.placeOfSupply||stateCodeFromGSTIN(customer)||null;
+  const origin=stateCodeFromGSTIN(dm.supplierGSTIN||dm.sellerGSTIN||dm.fromGSTIN||"");
+  return isInterState(origin,pos,!assumeIntraIfUnknown);
+}
 export function computeGSTBreakup(items=[], inter){
   let taxable=0, igst=0, cgst=0, sgst=0;
   for(const it of items){
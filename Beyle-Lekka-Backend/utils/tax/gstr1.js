@@ -0,0 +1,207 @@
+// utils/tax/gstr1.js
+// GSTR-1 builder: posted invoice / note docModels → portal JSON sections
+// (b2b, b2cl, b2cs, cdnr, cdnur, hsn) plus flat rows for the Excel workbook.
+import { isValidGSTIN, stateCodeFromGSTIN, isInterState, round2 } from "./gstUtil.js";
+
+export const NOTE_TYPES = { credit_note: "C", debit_note: "D" };
+export const DEFAULT_B2CL_THRESHOLD = 100000;
+
+/* ------------------------ docModel readers ------------------------ */
+
+export function supplierGSTINOf(dm, fallback = "") {
+  return String(dm?.supplierGSTIN || dm?.sellerGSTIN || dm?.fromGSTIN || fallback || "").trim().toUpperCase();
+}
+export function customerGSTINOf(dm) {
+  return String(dm?.customerGSTIN || dm?.buyerGSTIN || dm?.toGSTIN || "").trim().toUpperCase();
+}
+export function placeOfSupplyOf(dm) {
+  const raw = dm?.placeOfSupplyCode || dm?.placeOfSupply || stateCodeFromGSTIN(customerGSTINOf(dm)) || null;
+  const m = raw == null ? null : String(raw).match(/^\s*(\d{1,2})\b/);
+  return m ? m[1].padStart(2, "0") : null;
+}
+
+// Portal dates are dd-mm-yyyy
+export function portalDate(iso) {
+  const m = String(iso || "").match(/^(\d{4})-(\d{2})-(\d{2})/);
+  return m ? `${m[3]}-${m[2]}-${m[1]}` : "";
+}
+// Return period MMYYYY
+export function returnPeriod(iso) {
+  const m = String(iso || "").match(/^(\d{4})-(\d{2})/);
+  return m ? `${m[2]}${m[1]}` : "";
+}
+
+/**
+ * Tax lines of one document. Items are taxed like gstCore: amount (or qty*rate)
+ * at gstRate %, IGST when inter-state else CGST+SGST halves.
+ */
+export function taxLines(dm, inter) {
+  const items = Array.isArray(dm?.items) ? dm.items : [];
+  return items.map(it => {
+    const qty = Number(it.qty || 1);
+    const txval = round2(it.amount != null ? Number(it.amount) : qty * Number(it.rate || it.price || 0));
+    const rt = Number(it.gstRate ?? it.gst ?? 0);
+    const tax = round2(txval * rt / 100);
+    const camt = inter ? 0 : round2(tax / 2);
+    return {
+      hsn: String(it.hsn || it.hsnCode || it.sac || "").trim(),
+      desc: String(it.name || it.description || "").trim(),
+      uqc: String(it.uqc || it.unit || it.uom || "NOS").trim().toUpperCase(),
+      qty,
+      txval,
+      rt,
+      iamt: inter ? tax : 0,
+      camt,
+      samt: inter ? 0 : round2(tax - camt),
+      csamt: round2(it.cess || 0),
+    };
+  });
+}
+
+// Portal "itms": one row per rate
+function itemsByRate(lines, inter) {
+  const byRate = new Map();
+  for (const l of lines) {
+    const r = byRate.get(l.rt) || { txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 };
+    r.txval += l.txval; r.iamt += l.iamt; r.camt += l.camt; r.samt += l.samt; r.csamt += l.csamt;
+    byRate.set(l.rt, r);
+  }
+  return [...byRate.entries()].sort((a, b) => a[0] - b[0]).map(([rt, r], i) => ({
+    num: i + 1,
+    itm_det: inter
+      ? { txval: round2(r.txval), rt, iamt: round2(r.iamt), csamt: round2(r.csamt) }
+      : { txval: round2(r.txval), rt, camt: round2(r.camt), samt: round2(r.samt), csamt: round2(r.csamt) },
+  }));
+}
+
+function docValue(dm, lines) {
+  const shown = Number(dm?.total);
+  if (Number.isFinite(shown) && shown > 0) return round2(shown);
+  return round2(lines.reduce((s, l) => s + l.txval + l.iamt + l.camt + l.samt + l.csamt, 0));
+}
+
+/* ------------------------ builder ------------------------ */
+
+/**
+ * docs: [{ doc_type, number, date, dm }] — invoices and credit/debit notes.
+ * Returns { json, rows, warnings } where rows holds per-section sheet rows.
+ */
+export function buildGstr1(docs, { gstin = "", fp = "", b2clThreshold = DEFAULT_B2CL_THRESHOLD, assumeIntraIfUnknown = true } = {}) {
+  const b2b = new Map();   // ctin -> inv[]
+  const b2cl = new Map();  // pos -> inv[]
+  const b2cs = new Map();  // sply_ty|pos|rt -> row
+  const cdnr = new Map();  // ctin -> nt[]
+  const cdnur = [];
+  const hsn = new Map();   // hsn|uqc|rt -> row
+  const rows = { b2b: [], b2cl: [], b2cs: [], cdnr: [], cdnur: [], hsn: [] };
+  const warnings = [];
+
+  const addHsn = (lines, sign) => {
+    for (const l of lines) {
+      const key = `${l.hsn}|${l.uqc}|${l.rt}`;
+      const h = hsn.get(key) || { hsn_sc: l.hsn, desc: l.desc, uqc: l.uqc, rt: l.rt, qty: 0, txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 };
+      h.qty += sign * l.qty; h.txval += sign * l.txval; h.iamt += sign * l.iamt;
+      h.camt += sign * l.camt; h.samt += sign * l.samt; h.csamt += sign * l.csamt;
+      if (!h.desc && l.desc) h.desc = l.desc;
+      hsn.set(key, h);
+    }
+  };
+  const addB2cs = (lines, inter, pos, sign) => {
+    for (const l of lines) {
+      const sply_ty = inter ? "INTER" : "INTRA";
+      const key = `${sply_ty}|${pos}|${l.rt}`;
+      const r = b2cs.get(key) || { sply_ty, pos, typ: "OE", rt: l.rt, txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 };
+      r.txval += sign * l.txval; r.iamt += sign * l.iamt; r.camt += sign * l.camt;
+      r.samt += sign * l.samt; r.csamt += sign * l.csamt;
+      b2cs.set(key, r);
+    }
+  };
+  const sheetRow = (section, d, extra, lines) => {
+    for (const l of lines) {
+      rows[section].push({
+        ...extra,
+        number: d.number,
+        date: d.date,
+        hsn: l.hsn,
+        rate: l.rt,
+        taxable: l.txval,
+        igst: l.iamt,
+        cgst: l.camt,
+        sgst: l.samt,
+        cess: l.csamt,
+      });
+    }
+  };
+
+  for (const d of docs) {
+    const dm = d.dm || {};
+    const origin = stateCodeFromGSTIN(supplierGSTINOf(dm, gstin));
+    const pos = placeOfSupplyOf(dm) || origin;
+    const inter = isInterState(origin, pos, !assumeIntraIfUnknown);
+    const ctin = customerGSTINOf(dm);
+    const registered = isValidGSTIN(ctin);
+    const lines = taxLines(dm, inter);
+    if (!lines.length) { warnings.push({ number: d.number, warning: "no_items" }); continue; }
+    if (lines.some(l => !l.hsn)) warnings.push({ number: d.number, warning: "missing_hsn" });
+    if (!pos) warnings.push({ number: d.number, warning: "missing_place_of_supply" });
+
+    const val = docValue(dm, lines);
+    const itms = itemsByRate(lines, inter);
+    const ntty = NOTE_TYPES[d.doc_type];
+
+    if (!ntty) {
+      addHsn(lines, 1);
+      if (registered) {
+        const inv = { inum: d.number, idt: portalDate(d.date), val, pos, rchrg: dm.reverseCharge ? "Y" : "N", inv_typ: "R", itms };
+        (b2b.get(ctin) || b2b.set(ctin, []).get(ctin)).push(inv);
+        sheetRow("b2b", d, { ctin, pos, value: val }, lines);
+      } else if (inter && val > b2clThreshold) {
+        (b2cl.get(pos) || b2cl.set(pos, []).get(pos)).push({ inum: d.number, idt: portalDate(d.date), val, itms });
+        sheetRow("b2cl", d, { pos, value: val }, lines);
+      } else {
+        addB2cs(lines, inter, pos, 1);
+      }
+      continue;
+    }
+
+    // Credit notes reduce, debit notes add
+    const sign = ntty === "C" ? -1 : 1;
+    addHsn(lines, sign);
+    const nt = { ntty, nt_num: d.number, nt_dt: portalDate(d.date), val, pos, rchrg: dm.reverseCharge ? "Y" : "N", inv_typ: "R", itms };
+    const orig = dm.originalInvoiceNumber || dm.originalInvoice || null;
+    if (registered) {
+      (cdnr.get(ctin) || cdnr.set(ctin, []).get(ctin)).push(nt);
+      sheetRow("cdnr", d, { ctin, note_type: ntty, original_invoice: orig, pos, value: val }, lines);
+    } else if (inter && Number(dm.originalInvoiceValue ?? val) > b2clThreshold) {
+      const { rchrg, inv_typ, ...rest } = nt;
+      cdnur.push({ ...rest, typ: "B2CL" });
+      sheetRow("cdnur", d, { note_type: ntty, original_invoice: orig, pos, value: val }, lines);
+    } else {
+      // Notes against B2C small invoices are netted into B2CS
+      addB2cs(lines, inter, pos, sign);
+    }
+  }
+
+  const money = (o) => {
+    for (const k of ["txval", "iamt", "camt", "samt", "csamt", "qty", "val"]) if (k in o) o[k] = round2(o[k]);
+    return o;
+  };
+
+  const b2csList = [...b2cs.values()].map(money).filter(r => r.txval !== 0);
+  rows.b2cs = b2csList.map(r => ({ type: r.sply_ty, pos: r.pos, rate: r.rt, taxable: r.txval, igst: r.iamt, cgst: r.camt, sgst: r.samt, cess: r.csamt }));
+
+  const hsnList = [...hsn.values()].map(h => money({ ...h, val: h.txval + h.iamt + h.camt + h.samt + h.csamt }))
+    .sort((a, b) => (a.hsn_sc < b.hsn_sc ? -1 : a.hsn_sc > b.hsn_sc ? 1 : a.rt - b.rt))
+    .map((h, i) => ({ num: i + 1, ...h }));
+  rows.hsn = hsnList.map(h => ({ hsn: h.hsn_sc, description: h.desc, uqc: h.uqc, qty: h.qty, rate: h.rt, value: h.val, taxable: h.txval, igst: h.iamt, cgst: h.camt, sgst: h.samt, cess: h.csamt }));
+
+  const json = { gstin, fp, version: "GST3.0.4", hash: "hash" };
+  if (b2b.size) json.b2b = [...b2b.entries()].map(([ctin, inv]) => ({ ctin, inv }));
+  if (b2cl.size) json.b2cl = [...b2cl.entries()].map(([pos, inv]) => ({ pos, inv }));
+  if (b2csList.length) json.b2cs = b2csList;
+  if (cdnr.size) json.cdnr = [...cdnr.entries()].map(([ctin, nt]) => ({ ctin, nt }));
+  if (cdnur.length) json.cdnur = cdnur;
+  if (hsnList.length) json.hsn = { data: hsnList };
+
+  return { json, rows, warnings };
+}
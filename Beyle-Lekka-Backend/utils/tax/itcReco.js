@@ -0,0 +1,142 @@
+// utils/tax/itcReco.js
+// Input tax credit reconciliation: ITC in our books vs supplier-reported GSTR-2B.
+import { round2 } from "./gstUtil.js";
+
+export const ITC_STATUS = {
+  MATCHED: "matched",
+  MISMATCH: "mismatched_amount",
+  MISSING_IN_BOOKS: "missing_in_books",
+  MISSING_IN_2B: "missing_in_2b",
+};
+
+const HEADS = ["igst", "cgst", "sgst", "cess"];
+
+// "AS/0012", "as-12" and "AS12" compare equal (leading zeros of each number dropped)
+export function normInvoiceNo(s) {
+  return String(s || "").toUpperCase()
+    .replace(/(^|[^0-9])0+(?=\d)/g, "$1")
+    .replace(/[^A-Z0-9]/g, "");
+}
+
+export function taxOf(r) {
+  const t = Object.fromEntries(HEADS.map(h => [h, round2(r?.[h] || 0)]));
+  t.total = round2(HEADS.reduce((s, h) => s + t[h], 0));
+  return t;
+}
+
+function daysApart(a, b) {
+  const x = Date.parse(`${a}T00:00:00Z`), y = Date.parse(`${b}T00:00:00Z`);
+  return Number.isFinite(x) && Number.isFinite(y) ? Math.abs(x - y) / 86400000 : Infinity;
+}
+
+function compare(book, portal, tolerance, notes) {
+  const b = taxOf(book), p = taxOf(portal);
+  const diff = Object.fromEntries([...HEADS, "total"].map(h => [h, round2(b[h] - p[h])]));
+  const ok = HEADS.every(h => Math.abs(diff[h]) <= tolerance);
+  if (book.date && portal.date && book.date !== portal.date) notes.push("date_differs");
+  if (portal.itc_available === false) notes.push("itc_not_available");
+  if (portal.reverse_charge) notes.push("reverse_charge");
+  return {
+    status: ok ? ITC_STATUS.MATCHED : ITC_STATUS.MISMATCH,
+    ctin: portal.ctin || book.ctin || null,
+    party: book.party || portal.trade_name || null,
+    books: { document_id: book.document_id || null, number: book.number || null, date: book.date || null, ...b },
+    gstr2b: { number: portal.number, date: portal.date, kind: portal.kind, ...p },
+    diff,
+    notes,
+  };
+}
+
+/**
+ * books:  [{ document_id, number, date, ctin, party, igst, cgst, sgst, cess }]
+ * portal: GSTR-2B docs from gstr2b-json-v1 ({ ctin, number, date, igst, cgst, sgst, cess, ... })
+ * Matching passes:
+ *   1) same GSTIN + invoice number
+ *   2) books without a GSTIN: invoice number alone, when it identifies one 2B document
+ *   3) same GSTIN, dates within `dateWindowDays` and equal total tax (number keyed differently)
+ */
+export function reconcileItc({ books = [], portal = [], tolerance = 1, dateWindowDays = 3 }) {
+  const rows = [];
+  const openPortal = new Set(portal.map((_, i) => i));
+  const openBooks = new Set(books.map((_, i) => i));
+
+  const take = (bi, pi, notes = []) => {
+    rows.push(compare(books[bi], portal[pi], tolerance, notes));
+    openBooks.delete(bi);
+    openPortal.delete(pi);
+  };
+
+  // 1) GSTIN + number
+  const byKey = new Map();
+  portal.forEach((p, i) => {
+    const k = `${p.ctin}|${normInvoiceNo(p.number)}`;
+    if (!byKey.has(k)) byKey.set(k, []);
+    byKey.get(k).push(i);
+  });
+  for (const bi of [...openBooks]) {
+    const b = books[bi];
+    if (!b.ctin || !b.number) continue;
+    const pi = (byKey.get(`${b.ctin}|${normInvoiceNo(b.number)}`) || []).find(i => openPortal.has(i));
+    if (pi != null) take(bi, pi);
+  }
+
+  // 2) number only (books carry no GSTIN)
+  const byNo = new Map();
+  for (const pi of openPortal) {
+    const n = normInvoiceNo(portal[pi].number);
+    byNo.set(n, byNo.has(n) ? null : pi); // null = ambiguous
+  }
+  for (const bi of [...openBooks]) {
+    const b = books[bi];
+    if (b.ctin || !b.number) continue;
+    const pi = byNo.get(normInvoiceNo(b.number));
+    if (pi != null && openPortal.has(pi)) take(bi, pi, ["gstin_from_2b"]);
+  }
+
+  // 3) GSTIN + date window + tax
+  for (const bi of [...openBooks]) {
+    const b = books[bi];
+    if (!b.ctin) continue;
+    const total = taxOf(b).total;
+    const pi = [...openPortal].find(i => {
+      const p = portal[i];
+      return p.ctin === b.ctin &&
+        daysApart(p.date, b.date) <= dateWindowDays &&
+        Math.abs(taxOf(p).total - total) <= tolerance;
+    });
+    if (pi != null) take(bi, pi, ["number_differs"]);
+  }
+
+  for (const pi of openPortal) {
+    const p = portal[pi];
+    rows.push({
+      status: ITC_STATUS.MISSING_IN_BOOKS,
+      ctin: p.ctin,
+      party: p.trade_name || null,
+      books: null,
+      gstr2b: { number: p.number, date: p.date, kind: p.kind, ...taxOf(p) },
+      diff: null,
+      notes: p.itc_available === false ? ["itc_not_available"] : [],
+    });
+  }
+  for (const bi of openBooks) {
+    const b = books[bi];
+    rows.push({
+      status: ITC_STATUS.MISSING_IN_2B,
+      ctin: b.ctin || null,
+      party: b.party || null,
+      books: { document_id: b.document_id || null, number: b.number || null, date: b.date || null, ...taxOf(b) },
+      gstr2b: null,
+      diff: null,
+      notes: b.ctin ? [] : ["gstin_unknown"],
+    });
+  }
+
+  const summary = Object.fromEntries(Object.values(ITC_STATUS).map(s => [s, 0]));
+  for (const r of rows) summary[r.status]++;
+  const itcBooks = round2(books.reduce((s, b) => s + taxOf(b).total, 0));
+  const itc2b = round2(portal.filter(p => p.itc_available !== false).reduce((s, p) => s + taxOf(p).total, 0));
+  summary.itc = { books: itcBooks, gstr2b: itc2b, difference: round2(itcBooks - itc2b) };
+
+  return { rows, summary };
+}
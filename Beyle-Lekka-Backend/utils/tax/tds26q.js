@@ -0,0 +1,208 @@
+// utils/tax/tds26q.js
+// Form 26Q helpers: quarters, deposit due dates, 201(1A) interest, challan
+// allocation and the NSDL caret-delimited text layout (FH/BH/CD/DD records).
+
+export const QUARTERS = ["Q1", "Q2", "Q3", "Q4"];
+export const LATE_INTEREST_RATE = 0.015; // per month or part of a month
+
+/**
+ * Section codes of the NSDL e-TDS file format (26Q section-code annexure). Sub-clauses are
+ * written "194I(a)"; 194IA and 194IB are sections of their own, not 194I(a) / 194I(b).
+ * 194I and 194J have no code without their sub-clause (94J was withdrawn from FY 2020-21).
+ */
+export const SECTION_CODES = {
+  "192A": "2AA",
+  "193": "193",
+  "194": "194",
+  "194A": "94A",
+  "194B": "94B",
+  "194BA": "4BA",
+  "194BB": "4BB",
+  "194C": "94C",
+  "194D": "94D",
+  "194DA": "4DA",
+  "194EE": "4EE",
+  "194F": "94F",
+  "194G": "94G",
+  "194H": "94H",
+  "194I(A)": "4IA",
+  "194I(B)": "4IB",
+  "194IA": "9IA",
+  "194IB": "9IB",
+  "194IC": "4IC",
+  "194J(A)": "4JA",
+  "194J(B)": "4JB",
+  "194K": "94K",
+  "194LA": "94L",
+  "194M": "94M",
+  "194N": "94N",
+  "194O": "94O",
+  "194Q": "94Q",
+  "194R": "94R",
+  "194S": "94S",
+};
+const KNOWN_CODES = new Set(Object.values(SECTION_CODES));
+
+// "194 I (b)", "194i(B)" → "194I(B)"; "section 194C" → "194C"
+function normSection(section) {
+  return String(section || "").toUpperCase().replace(/^\s*(SECTION|SEC\.?|U\/S)\s*/, "").replace(/[^0-9A-Z()]/g, "");
+}
+
+/** NSDL code for a section ("194C" → "94C", "194I(b)" → "4IB"); null when unknown or ambiguous. */
+export function sectionCode(section) {
+  const s = normSection(section);
+  if (SECTION_CODES[s]) return SECTION_CODES[s];
+  return KNOWN_CODES.has(s) ? s : null;
+}
+
+/** Same section: by NSDL code when both have one, else by the written section. */
+export function sameSection(a, b) {
+  const ca = sectionCode(a), cb = sectionCode(b);
+  return ca && cb ? ca === cb : normSection(a) === normSection(b);
+}
+
+export function isValidPAN(pan) {
+  return /^[A-Z]{5}\d{4}[A-Z]$/.test(String(pan || "").toUpperCase());
+}
+
+// 4th PAN character C = company
+export function deducteeCodeForPAN(pan) {
+  return String(pan || "").toUpperCase()[3] === "C" ? "01" : "02";
+}
+
+function iso(y, m, d) {
+  return `${y}-${String(m).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+}
+
+/** Quarter window of the FY starting in `fyStartYear` (fyStartMonth from policy). */
+export function quarterBounds(fyStartYear, quarter, fyStartMonth = 4) {
+  const qi = QUARTERS.indexOf(String(quarter).toUpperCase());
+  if (qi < 0) return null;
+  const m0 = fyStartMonth - 1 + qi * 3; // 0-based month offset from Jan of fyStartYear
+  const fromY = fyStartYear + Math.floor(m0 / 12), fromM = (m0 % 12) + 1;
+  const end = new Date(Date.UTC(fromY, fromM - 1 + 3, 0));
+  return { from: iso(fromY, fromM, 1), to: end.toISOString().slice(0, 10) };
+}
+
+/** Quarter containing a date → { fy, quarter } (fy = FY start year). */
+export function quarterOf(dateISO, fyStartMonth = 4) {
+  const [y, m] = String(dateISO).slice(0, 7).split("-").map(Number);
+  const fy = m >= fyStartMonth ? y : y - 1;
+  const offset = (m - fyStartMonth + 12) % 12;
+  return { fy, quarter: QUARTERS[Math.floor(offset / 3)] };
+}
+
+/** Deposit due date: 7th of the next month; March deductions by 30 April. */
+export function depositDueDate(deductionISO) {
+  const [y, m] = String(deductionISO).slice(0, 7).split("-").map(Number);
+  if (m === 3) return iso(y, 4, 30);
+  return m === 12 ? iso(y + 1, 1, 7) : iso(y, m + 1, 7);
+}
+
+/** Months (calendar months, part counted as full) from deduction to deposit. */
+export function lateMonths(deductionISO, depositISO) {
+  const [y1, m1] = String(deductionISO).slice(0, 7).split("-").map(Number);
+  const [y2, m2] = String(depositISO).slice(0, 7).split("-").map(Number);
+  return Math.max(1, (y2 - y1) * 12 + (m2 - m1) + 1);
+}
+
+export function lateInterestCents(tdsCents, deductionISO, depositISO) {
+  if (!depositISO || depositISO <= depositDueDate(deductionISO)) return 0;
+  return Math.round(tdsCents * LATE_INTEREST_RATE * lateMonths(deductionISO, depositISO));
+}
+
+/**
+ * Allocate challans to deductions FIFO. A challan only covers deductions dated on or
+ * before its deposit date (and of its section, when it names one).
+ * deductions: [{ key, date, section, tds_cents }]; challans: [{ id, deposit_date, section, tds_cents }]
+ * Returns deductions with `challans: [{ challan_id, cents }]`, `unallocated_cents`,
+ * `deposit_date` (latest challan used) and `interest_cents`; challans with `used_cents`.
+ */
+export function allocateChallans(deductions, challans) {
+  const ch = challans
+    .map(c => ({ ...c, used_cents: 0 }))
+    .sort((a, b) => (a.deposit_date < b.deposit_date ? -1 : a.deposit_date > b.deposit_date ? 1 : 0));
+  const out = [...deductions]
+    .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0))
+    .map(d => {
+      let need = d.tds_cents;
+      const used = [];
+      for (const c of ch) {
+        if (need <= 0) break;
+        if (c.deposit_date < d.date) continue;
+        if (c.section && d.section && !sameSection(c.section, d.section)) continue;
+        const take = Math.min(need, c.tds_cents - c.used_cents);
+        if (take <= 0) continue;
+        c.used_cents += take;
+        need -= take;
+        used.push({ challan_id: c.id, cents: take, deposit_date: c.deposit_date });
+      }
+      const depositDate = used.length ? used[used.length - 1].deposit_date : null;
+      const interest = used.reduce((s, u) => s + lateInterestCents(u.cents, d.date, u.deposit_date), 0);
+      return {
+        ...d,
+        challans: used.map(({ challan_id, cents }) => ({ challan_id, cents })),
+        unallocated_cents: need,
+        deposit_date: depositDate,
+        due_date: depositDueDate(d.date),
+        late: !!depositDate && depositDate > depositDueDate(d.date),
+        interest_cents: interest,
+      };
+    });
+  return { deductions: out, challans: ch };
+}
+
+/* ------------------------ NSDL text layout ------------------------ */
+
+const amt = (cents) => (Number(cents || 0) / 100).toFixed(2);
+const ddmmyyyy = (isoDate) => {
+  const m = String(isoDate || "").match(/^(\d{4})-(\d{2})-(\d{2})/);
+  return m ? `${m[3]}${m[2]}${m[1]}` : "";
+};
+const clip = (s, n) => String(s || "").replace(/\^/g, " ").trim().slice(0, n).toUpperCase();
+
+/**
+ * 26Q regular statement as caret-delimited records: FH (file header), BH (batch header),
+ * CD (challan detail) and DD (deductee detail) for the return preparation utility.
+ * deductor: { tan, pan, name, address, email, phone }
+ * challans: allocated challans, each with `rows` = [{ deductee, section, paid_cents, date, tds_cents }]
+ */
+export function build26QText({ deductor, fy, quarter, challans, createdOn }) {
+  const lines = [];
+  let n = 0;
+  const push = (fields) => lines.push([++n, ...fields].join("^"));
+  const fyCode = `${fy}${String((fy + 1) % 100).padStart(2, "0")}`;
+  const ayCode = `${fy + 1}${String((fy + 2) % 100).padStart(2, "0")}`;
+  const totalDeposit = challans.reduce((s, c) => s + Number(c.amount_cents || 0), 0);
+
+  push(["FH", "NS1", "R", ddmmyyyy(createdOn), "1", "D", clip(deductor.tan, 10), "1", "Beyle Lekka", "", "", "", "", "", "", "", ""]);
+  push([
+    "BH", "1", String(challans.length), "26Q", "", "", "", "", "", "",
+    clip(deductor.tan, 10), "", clip(deductor.pan, 10), ayCode, fyCode, quarter,
+    clip(deductor.name, 75), "", clip(deductor.address, 25), "", "", "", "", "", "", "",
+    clip(deductor.email, 75), "", "", "", "N", "", "", "", "", amt(totalDeposit),
+  ]);
+
+  challans.forEach((c, ci) => {
+    const rows = c.rows || [];
+    push([
+      "CD", "1", String(ci + 1), String(rows.length), "N", "", "", "", "",
+      clip(c.challan_serial, 5), "", "", "", clip(c.bsr_code, 7), "", ddmmyyyy(c.deposit_date), "", "",
+      sectionCode(c.section) || "",
+      amt(c.tds_cents), "0.00", "0.00", amt(c.interest_cents), amt(c.others_cents), amt(c.amount_cents),
+      "", amt(rows.reduce((s, r) => s + r.tds_cents, 0)), "", "", "", "", "", "", "", "", amt(c.fee_cents),
+    ]);
+    rows.forEach((r, ri) => {
+      const d = r.deductee || {};
+      push([
+        "DD", "1", String(ci + 1), String(ri + 1), "O", "", d.deductee_code || deducteeCodeForPAN(d.pan), "",
+        isValidPAN(d.pan) ? clip(d.pan, 10) : "PANNOTAVBL", "", "", clip(d.name, 75),
+        amt(r.tds_cents), "0.00", "0.00", amt(r.tds_cents), "", amt(r.tds_cents), "", "",
+        amt(r.paid_cents), ddmmyyyy(r.date), ddmmyyyy(r.date), ddmmyyyy(c.deposit_date),
+        r.rate != null ? Number(r.rate * 100).toFixed(4) : "", "", "", "", "", sectionCode(r.section) || "",
+      ]);
+    });
+  });
+
+  return lines.join("\r\n") + "\r\n";
+}
@@ -18,12 +18,25 @@
   GST_SPLIT_INTRA:"GST_SPLIT_INTRA",
   GST_TAX_MISMATCH:"GST_TAX_MISMATCH",
   GST_GROSS_MISMATCH:"GST_GROSS_MISMATCH",
+  EWB_TRANSPORT_MISSING:"EWB_TRANSPORT_MISSING",
+  EWB_TRANSPORT_INVALID:"EWB_TRANSPORT_INVALID",
   INV_ITEM_MISSING:"INV_ITEM_MISSING",
   INV_NEG_STOCK:"INV_NEG_STOCK",
   INV_NEG_STOCK_WARN:"INV_NEG_STOCK_WARN",
+  INV_BATCH_MISSING:"INV_BATCH_MISSING",
+  INV_BATCH_EXPIRED:"INV_BATCH_EXPIRED",
+  INV_WAREHOUSE_MISSING:"INV_WAREHOUSE_MISSING",
   TDS_SECTION_MISSING:"TDS_SECTION_MISSING",
   TDS_MISMATCH:"TDS_MISMATCH",
   TDS_LEDGER_MISSING:"TDS_LEDGER_MISSING",
   DATE_INVALID:"DATE_INVALID",
-  BANK_CASH_INSUFFICIENT:"BANK_CASH_INSUFFICIENT"
+  BANK_CASH_INSUFFICIENT:"BANK_CASH_INSUFFICIENT",
+  ALLOC_NO_PARTY:"ALLOC_NO_PARTY",
+  ALLOC_DOC_NOT_FOUND:"ALLOC_DOC_NOT_FOUND",
+  ALLOC_PARTY_MISMATCH:"ALLOC_PARTY_MISMATCH",
+  ALLOC_OVER_OUTSTANDING:"ALLOC_OVER_OUTSTANDING",
+  ALLOC_OVER_SETTLEMENT:"ALLOC_OVER_SETTLEMENT",
+  NOTE_ORIGINAL_MISSING:"NOTE_ORIGINAL_MISSING",
+  NOTE_OVER_ORIGINAL:"NOTE_OVER_ORIGINAL",
+  NOTE_SPLIT_MISMATCH:"NOTE_SPLIT_MISMATCH"
 };
@@ -2,10 +2,12 @@
 import receiptPack from "./packs/receipt.js";
 import paymentVoucherPack from "./packs/paymentVoucher.js";
 import journalPack from "./packs/journal.js";
+import notePack from "./packs/note.js";
 import defPolicy from "./policies/default.json" with { type: "json" };
 import { emptyResult, combine } from "./result.js";
 
-const packsByType = { invoice:invoicePack, receipt:receiptPack, payment_voucher:paymentVoucherPack, journal:journalPack };
+const packsByType = { invoice:invoicePack, receipt:receiptPack, payment_voucher:paymentVoucherPack, journal:journalPack,
+                       credit_note:notePack, debit_note:notePack };
 
 export async function runValidation(ctxIn){
   const policy = { ...defPolicy, ...(ctxIn.policy||{}) };
@@ -6,6 +6,7 @@ import bankCash from "../rules/accounting/bankCash.js";                 // struc
 import cashBankFacilities from "../rules/accounting/cashBankFacilities.js"; // funds + OD/OCC/Loan headroom (runs before totals)
 import totals from "../rules/accounting/totals.js";
 import gstCore from "../rules/tax/gstCore.js";
+import ewayBill from "../rules/tax/ewayBill.js";
 import stockGuards from "../rules/inventory/stockGuards.js";
 import duplicateInvoice from "../rules/crossDoc/duplicateInvoice.js";
 import idempotency from "../rules/accounting/idempotency.js";
@@ -24,6 +25,7 @@ export default [
   cashBankFacilities,
   totals,
   gstCore,
+  ewayBill,
   stockGuards,
   duplicateInvoice,
   idempotency
@@ -0,0 +1,21 @@
+﻿import schema from "../rules/base/schema.js";
+import balance from "../rules/base/balance.js";
+import ledgerTypes from "../rules/accounting/ledgerTypes.js";
+import periodDate from "../rules/accounting/periodDate.js";
+import totals from "../rules/accounting/totals.js";
+import gstCore from "../rules/tax/gstCore.js";
+import noteLimit from "../rules/crossDoc/noteLimit.js";     // original invoice link, tax split, value cap
+import idempotency from "../rules/accounting/idempotency.js";
+
+// Credit and debit notes: no cash/bank legs, so no funds guard; the note is checked against
+// the invoice it adjusts after its own totals and GST add up.
+export default [
+  schema,
+  balance,
+  ledgerTypes,
+  periodDate,
+  totals,
+  gstCore,
+  noteLimit,
+  idempotency
+];
@@ -5,6 +5,7 @@ import periodDate from "../rules/accounting/periodDate.js";
 import bankCash from "../rules/accounting/bankCash.js";                 // structural hygiene
 import cashBankFacilities from "../rules/accounting/cashBankFacilities.js"; // funds + OD/OCC/Loan headroom
 import tdsCore from "../rules/tax/tdsCore.js";
+import allocations from "../rules/crossDoc/allocations.js";            // bill-wise settlement
 import idempotency from "../rules/accounting/idempotency.js";
 
 // Order notes:
@@ -18,5 +19,6 @@ export default [
   bankCash,
   cashBankFacilities,
   tdsCore,
+  allocations,
   idempotency
 ];
@@ -4,6 +4,7 @@ import ledgerTypes from "../rules/accounting/ledgerTypes.js";
 import periodDate from "../rules/accounting/periodDate.js";
 import bankCash from "../rules/accounting/bankCash.js";                 // structural hygiene
 import cashBankFacilities from "../rules/accounting/cashBankFacilities.js"; // funds + OD/OCC/Loan headroom
+import allocations from "../rules/crossDoc/allocations.js";            // bill-wise settlement
 import idempotency from "../rules/accounting/idempotency.js";
 
 export default [
@@ -13,5 +14,6 @@ export default [
   periodDate,
   bankCash,
   cashBankFacilities,
+  allocations,
   idempotency
 ];
@@ -1,4 +1,8 @@
 ﻿import { query } from "../../services/db.js";
+import { openItemsForParty, findDocumentRef } from "../../services/settlements.js";
+import { isDateLocked } from "../../services/periods.js";
+import { getPostedDocument } from "../../services/documentPayloads.js";
+import { sellerIdentity } from "../../services/einvoice.js";
 
 export async function getLedger(name){
   if(!name) return null;
@@ -9,9 +13,9 @@ export async function getLedger(name){
   return rows[0] || null;
 }
 
-export async function isPeriodClosed(/* isoDate */){
-  // Hook into a period-lock table later if needed
-  return false;
+export async function isPeriodClosed(isoDate, sessionId){
+  if(!sessionId) return false;
+  return isDateLocked(sessionId, isoDate);
 }
 
 export async function hasDuplicateInvoice({ number, date }){
@@ -25,18 +29,116 @@ export async function canIssueNumber(docType){
   return rows.length>0;
 }
 
-export async function getOnHand(itemCode){
+/**
+ * Item master row with on-hand quantity, scoped to the workspace when sessionId is given and to
+ * one warehouse when warehouseId is given (else the whole workspace).
+ * Looks up by code, then by exact name (invoice lines often carry only the name).
+ */
+export async function getOnHand(itemCode, sessionId = null, itemName = null, warehouseId = null){
   // If you didn't add inventory tables yet, you can return a stub or derive from elsewhere
-  try{
+  const lookup = async (where, param) => {
     const { rows } = await query(`
-      SELECT i.id, i.code, i.name, i.stock_tracked,
+      SELECT i.id, i.code, i.name, i.stock_tracked, i.batch_tracked,
              COALESCE(SUM(sl.qty_in) - SUM(sl.qty_out), 0) AS onhand
       FROM items i
-      LEFT JOIN stock_ledger sl ON sl.item_id = i.id
-      WHERE i.code = $1
-    `,[itemCode]);
+      LEFT JOIN stock_ledger sl ON sl.item_id = i.id AND ($3 IS NULL OR sl.warehouse_id = $3)
+      WHERE ${where} AND ($2 IS NULL OR i.session_id = $2)
+      GROUP BY i.id, i.code, i.name, i.stock_tracked, i.batch_tracked
+      LIMIT 1
+    `,[param, sessionId, warehouseId]);
     return rows[0] || null;
+  };
+  try{
+    return (itemCode && await lookup("i.code = $1", itemCode))
+        || (itemName && await lookup("lower(i.name) = lower($1)", itemName))
+        || null;
   }catch(e){
     return null; // tables may not exist yet
   }
 }
+
+// Batches of an item with quantity left, received on or before asOf (optionally in one warehouse).
+export async function getBatches(itemId, sessionId = null, asOf = "2999-12-31", warehouseId = null){
+  try{
+    const { rows } = await query(`
+      SELECT batch_no, MIN(expiry_date) AS expiry_date, SUM(qty_remaining) AS qty
+      FROM stock_layers
+      WHERE item_id = $1 AND ($2 IS NULL OR session_id = $2) AND qty_remaining > 0 AND date <= $3
+        AND ($4 IS NULL OR warehouse_id = $4)
+      GROUP BY batch_no
+    `,[itemId, sessionId, asOf, warehouseId]);
+    return rows || [];
+  }catch(e){
+    return [];
+  }
+}
+
+// Warehouse a document names (id, code or name), else the workspace default. Returns
+// { id, code, name } — id null when the workspace has no warehouses yet — or null when not found.
+export async function getWarehouseRef(sessionId, ref = null){
+  try{
+    if (ref) {
+      const { rows } = await query(`
+        SELECT id, code, name FROM warehouses
+        WHERE session_id = $1 AND is_transit = 0 AND is_active = 1
+          AND (id = $2 OR upper(code) = upper($2) OR lower(name) = lower($2))
+        LIMIT 1
+      `,[sessionId, String(ref)]);
+      return rows[0] || null;
+    }
+    const { rows } = await query(
+      "SELECT id, code, name FROM warehouses WHERE session_id = $1 AND is_default = 1 LIMIT 1",
+      [sessionId]
+    );
+    return rows[0] || { id: null, code: null, name: null };
+  }catch(e){
+    return { id: null, code: null, name: null }; // no warehouse columns yet
+  }
+}
+
+export async function getOpenItemsForParty(sessionId, side, partyLedger){
+  if(!sessionId || !partyLedger) return { items:[], unapplied_cents:0 };
+  return openItemsForParty(sessionId, side, partyLedger);
+}
+
+// Workspace GSTIN, name and address (branding, else the environment) for seller fields a docModel lacks
+export async function getSellerIdentity(sessionId){
+  return sellerIdentity(sessionId || null);
+}
+
+export async function getDocumentRef(sessionId, ref){
+  if(!sessionId) return null;
+  return findDocumentRef(sessionId, ref||{});
+}
+
+// Invoice a credit / debit note adjusts, its value in cents and the notes already posted against
+// it ({ credit_note: cents, debit_note: cents }), leaving out the note being validated (by number).
+export async function getNoteOriginal(sessionId, { id = null, number = null } = {}, excludeNumber = null){
+  if(!sessionId || (!id && !number)) return null;
+  let docId = id;
+  if (!docId) {
+    const { rows } = await query(
+      "SELECT id FROM documents WHERE session_id = $1 AND number = $2 AND doc_type = 'invoice' ORDER BY date DESC LIMIT 1",
+      [sessionId, number]
+    );
+    docId = rows[0]?.id || null;
+  }
+  const original = docId ? await getPostedDocument(sessionId, docId) : null;
+  if (!original) return null;
+  const noted = { credit_note: 0, debit_note: 0 };
+  try{
+    const { rows } = await query(`
+      SELECT doc_type, COALESCE(SUM(gross_amount_cents), 0) AS cents
+      FROM documents
+      WHERE session_id = $1 AND original_document_id = $2 AND doc_type IN ('credit_note','debit_note')
+        AND COALESCE(status, 'FINALIZED') <> 'CANCELLED' AND ($3 IS NULL OR number <> $3)
+      GROUP BY doc_type
+    `,[sessionId, original.id, excludeNumber]);
+    for (const r of rows || []) noted[r.doc_type] = Number(r.cents) || 0;
+  }catch(e){
+    // original_document_id arrives with migration 044
+  }
+  const shown = Number(original.dm?.totalAmount ?? original.dm?.total);
+  const valueCents = Number.isFinite(shown) && shown > 0 ? Math.round(shown * 100) : Number(original.gross_amount_cents || 0);
+  return { original, valueCents, noted };
+}
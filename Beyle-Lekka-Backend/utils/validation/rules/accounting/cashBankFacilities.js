@@ -6,7 +6,7 @@
  * Works on SQLite and Postgres, tenant-scoped via sessionId, and respects preview holds.
  */
 
-import { query } from "../../../../services/db.js"; // <-- correct relative path (4 levels up)
+import { facilityOn, headroomAsOf } from "../../../../services/facilities.js";
 import { CODES } from "../../codes.js";
 import { err } from "../../result.js";
 
@@ -14,108 +14,17 @@ const OK = (code, message, meta = null) => ({ code, message, level: "info", ...(
 
 const toCents = (n) => Math.round((Number(n) || 0) * 100);
 const asISODate = (s) => (s ? String(s).slice(0, 10) : new Date().toISOString().slice(0, 10));
-const nowISO = () => new Date().toISOString();
 
 // Treat names that contain these words as payment instruments.
 // Facilities can still force checks even if the name doesn't match.
 const INSTRUMENT_RE = /bank|cash|loan/i;
 
-/** Running balance (Dr - Cr) as of date (inclusive), tenant-scoped. */
-async function balanceAsOf(sessionId, account, dateISO) {
-  // Prefer amount_cents (live schema); if that fails (legacy DB), fall back to amount.
-  const SQL_CENTS = `
-    SELECT
-      COALESCE(SUM(CASE WHEN debit_account  = $1 THEN amount_cents ELSE 0 END),0)
-    - COALESCE(SUM(CASE WHEN credit_account = $1 THEN amount_cents ELSE 0 END),0) AS bal_cents
-    FROM ledger_entries
-    WHERE transaction_date <= $2
-      AND ($3 IS NULL OR session_id = $3)
-  `;
-  const SQL_AMOUNT = `
-    SELECT
-      COALESCE(SUM(CASE WHEN debit_account  = $1 THEN CAST(ROUND(amount*100.0) AS INTEGER) ELSE 0 END),0)
-    - COALESCE(SUM(CASE WHEN credit_account = $1 THEN CAST(ROUND(amount*100.0) AS INTEGER) ELSE 0 END),0) AS bal_cents
-    FROM ledger_entries
-    WHERE transaction_date <= $2
-      AND ($3 IS NULL OR session_id = $3)
-  `;
-
-  try {
-    const { rows } = await query(SQL_CENTS, [account, dateISO, sessionId]);
-    return Number(rows?.[0]?.bal_cents ?? 0);
-  } catch (_e1) {
-    try {
-      const { rows } = await query(SQL_AMOUNT, [account, dateISO, sessionId]);
-      return Number(rows?.[0]?.bal_cents ?? 0);
-    } catch (_e2) {
-      return 0;
-    }
-  }
-}
-
-/** Facility (if any) applicable on date; returns { facility_type, limit_cents } or null. */
-async function getFacility(sessionId, account, dateISO) {
-  const sql = `
-    SELECT facility_type, limit_cents
-      FROM account_facilities
-     WHERE primary_account = $1
-       AND ($2 IS NULL OR session_id = $2)
-       AND (valid_from IS NULL OR valid_from <= $3)
-       AND (valid_to   IS NULL OR valid_to   >= $3)
-     LIMIT 1
-  `;
-  try {
-    const { rows } = await query(sql, [account, sessionId, dateISO]);
-    if (!rows || !rows[0]) return null;
-    return {
-      facility_type: String(rows[0].facility_type || "").toUpperCase(),
-      limit_cents: Number(rows[0].limit_cents || 0)
-    };
-  } catch {
-    return null;
-  }
-}
-
-/** Active preview holds for (account,date), tenant-scoped. */
-async function holdsOnDate(sessionId, account, dateISO) {
-  const sql = `
-    SELECT COALESCE(SUM(amount_cents),0) AS held
-      FROM funds_holds
-     WHERE account = $1
-       AND hold_date = $2
-       AND ($3 IS NULL OR session_id = $3)
-       AND expires_at > $4
-  `;
-  try {
-    const { rows } = await query(sql, [account, dateISO, sessionId, nowISO()]);
-    return Number(rows?.[0]?.held || 0);
-  } catch {
-    // If holds table doesn't exist, treat as zero held.
-    return 0;
-  }
-}
-
 /**
- * Compute available headroom for an outflow from `account` on `dateISO`.
- * - With LOAN facility: available = max(0, limit - outstandingLoan) - holds
- * - With OD/OCC/LIMIT_ONLY facility (or no facility): available = balance + limit - holds
+ * Available headroom for an outflow from `account` on `dateISO`
+ * (services/facilities.js, limit history aware).
  */
 async function availableHeadroom(sessionId, account, dateISO) {
-  const bal = await balanceAsOf(sessionId, account, dateISO); // Dr - Cr
-  const fac = await getFacility(sessionId, account, dateISO);
-  const held = await holdsOnDate(sessionId, account, dateISO);
-
-  if (fac && fac.facility_type === "LOAN") {
-    // Loan is a liability; outstanding appears as credit (negative Dr-Cr).
-    const outstanding = Math.max(0, -bal);
-    const limit = Math.max(0, fac.limit_cents || 0);
-    const headroom = Math.max(0, limit - outstanding);
-    return headroom - held; // do not add bank balance here for LOAN
-  }
-
-  // OD/OCC/LIMIT_ONLY or no facility:
-  const limit = fac ? Math.max(0, fac.limit_cents || 0) : 0;
-  return (bal + limit) - held;
+  return (await headroomAsOf(sessionId, account, dateISO)).available_cents;
 }
 
 export default async function cashBankFacilities(ctx) {
@@ -153,7 +62,7 @@ export default async function cashBankFacilities(ctx) {
     let fac = null;
     const looksInstrument = INSTRUMENT_RE.test(account);
     if (!looksInstrument) {
-      fac = await getFacility(sessionId, account, dateISO);
+      fac = await facilityOn(sessionId, account, dateISO);
       if (!fac) continue; // not an instrument and no facility: don't enforce
     }
 
@@ -12,7 +12,7 @@ export default async function periodDateRule(ctx){
   if (ctx.policy?.allowFutureDates===false && d>today) res.errors.push(err(CODES.DATE_FUTURE,`Future-dated posting not allowed (${d})`,{date:d,today}));
   const back = Number(ctx.policy?.backdateWindowDays||0);
   if (back>0 && d<today) res.warnings.push(warn(CODES.DATE_BACKDATED,`Back-dated by policy window (${back} days)`,{date:d,today,backDays:back}));
-  if (await isPeriodClosed(d)) res.errors.push(err(CODES.PERIOD_LOCKED,`Period locked for date ${d}`,{date:d}));
+  if (await isPeriodClosed(d, ctx.sessionId || null)) res.errors.push(err(CODES.PERIOD_LOCKED,`Period locked for date ${d}`,{date:d}));
 
   return res;
 }
@@ -0,0 +1,73 @@
+import { getOpenItemsForParty, getDocumentRef } from "../../repo.js";
+import { err, info } from "../../result.js";
+import { CODES } from "../../codes.js";
+import { SETTLEMENT_SIDE, settlementPartyLine, normalizeAllocations, allocationAmounts } from "../../../../services/settlements.js";
+
+const units = (c) => Math.round(Number(c || 0)) / 100;
+
+// Bill-wise allocations on receipts / payment vouchers (docModel.allocations).
+export default async function allocationsRule(ctx){
+  const res = { errors:[], warnings:[], info:[] };
+  const side = SETTLEMENT_SIDE[ctx.docType];
+  if (!side) return res;
+  const allocs = normalizeAllocations(ctx.docModel?.allocations);
+  if (!allocs.length) return res;
+
+  const party = settlementPartyLine(ctx.journal, side);
+  if (!party){
+    res.errors.push(err(CODES.ALLOC_NO_PARTY,"Allocations need a party ledger (Debtors/Creditors - <party>) on the settlement","allocations"));
+    return res;
+  }
+
+  const explicit = allocs.filter(a => a.kind==="invoice" && a.amount_cents);
+  const allocated = explicit.reduce((s,a)=>s+a.amount_cents,0);
+  if (allocated > party.cents){
+    res.errors.push(err(CODES.ALLOC_OVER_SETTLEMENT,
+      `Allocated ${units(allocated)} exceeds the ${side==="ar"?"receipt":"payment"} amount ${units(party.cents)}`,
+      "allocations",{allocated:units(allocated),amount:units(party.cents)}));
+  }
+
+  const { items } = await getOpenItemsForParty(ctx.sessionId || null, side, party.account);
+  const byId = new Map(items.filter(i=>i.document_id).map(i=>[i.document_id,i]));
+  const byNumber = new Map(items.filter(i=>i.document_number).map(i=>[String(i.document_number).toLowerCase(),i]));
+
+  // Same split saveAllocations posts: an allocation without an amount takes the remainder.
+  const { lines, remainder_cents } = allocationAmounts(allocs, party.cents);
+
+  const perInvoice = new Map(); // document_id -> { item, cents, ref }
+  for (let i=0;i<lines.length;i++){
+    const a = lines[i];
+    if (a.kind!=="invoice") continue;
+    const ref = a.invoice_id || a.invoice_number;
+    const item = (a.invoice_id && byId.get(a.invoice_id)) ||
+                 (a.invoice_number && byNumber.get(a.invoice_number.toLowerCase())) || null;
+    if (!item){
+      const doc = await getDocumentRef(ctx.sessionId || null, { id:a.invoice_id, number:a.invoice_number });
+      if (doc){
+        res.errors.push(err(CODES.ALLOC_PARTY_MISMATCH,
+          `Invoice ${doc.number||ref} is not an open item of ${party.account}`,
+          `allocations[${i}]`,{invoice:doc.number||ref,invoiceParty:doc.party_name||null,party:party.account}));
+      } else {
+        res.errors.push(err(CODES.ALLOC_DOC_NOT_FOUND,`Invoice ${ref} not found`,`allocations[${i}]`,{invoice:ref}));
+      }
+      continue;
+    }
+    const prev = perInvoice.get(item.document_id || item.key) || { item, cents:0, ref };
+    prev.cents += a.cents;
+    perInvoice.set(item.document_id || item.key, prev);
+  }
+
+  for (const { item, cents, ref } of perInvoice.values()){
+    if (cents > item.outstanding_cents){
+      res.errors.push(err(CODES.ALLOC_OVER_OUTSTANDING,
+        `Allocation ${units(cents)} to ${item.document_number||ref} exceeds its outstanding ${units(item.outstanding_cents)}`,
+        "allocations",{invoice:item.document_number||ref,allocated:units(cents),outstanding:units(item.outstanding_cents)}));
+    }
+  }
+
+  const onAccount = remainder_cents;
+  if (!res.errors.length && onAccount > 0){
+    res.info.push(info("ALLOC_ON_ACCOUNT",`${units(onAccount)} will be kept on account`,"allocations",{onAccount:units(onAccount)}));
+  }
+  return res;
+}
@@ -0,0 +1,66 @@
+import { getNoteOriginal } from "../../repo.js";
+import { err } from "../../result.js";
+import { CODES } from "../../codes.js";
+import { supplierGSTINOf, customerGSTINOf, placeOfSupplyOf } from "../../../tax/gstr1.js";
+
+const NOTE_LABEL = { credit_note: "Credit note", debit_note: "Debit note" };
+const cents = (n) => Math.round(Number(n || 0) * 100);
+const units = (c) => Math.round(Number(c || 0)) / 100;
+
+// Credit / debit notes: the original invoice must exist and be live, the note keeps its tax
+// split (same GSTINs, place of supply and rates), and notes of one kind against an invoice
+// never add up to more than the invoice itself.
+export default async function noteLimitRule(ctx){
+  const res = { errors:[], warnings:[], info:[] };
+  const label = NOTE_LABEL[ctx.docType];
+  if (!label) return res;
+
+  const dm = ctx.docModel || {};
+  const ref = { id: dm.originalInvoiceId || null, number: dm.originalInvoiceNumber || dm.originalInvoice || null };
+  if (!ref.id && !ref.number){
+    res.errors.push(err(CODES.NOTE_ORIGINAL_MISSING,`${label} must reference the original invoice`,"originalInvoiceId"));
+    return res;
+  }
+  const found = await getNoteOriginal(ctx.sessionId || null, ref, dm.number || null);
+  const original = found?.original;
+  if (!original || original.doc_type!=="invoice"){
+    res.errors.push(err(CODES.NOTE_ORIGINAL_MISSING,`Original invoice ${ref.number||ref.id} not found`,"originalInvoiceId",ref));
+    return res;
+  }
+  if (String(original.status||"").toUpperCase()==="CANCELLED"){
+    res.errors.push(err(CODES.NOTE_ORIGINAL_MISSING,`Original invoice ${original.number} is cancelled`,"originalInvoiceId",{invoice:original.number}));
+    return res;
+  }
+
+  const odm = original.dm || {};
+  const pairs = [
+    ["supplier GSTIN", supplierGSTINOf(dm), supplierGSTINOf(odm)],
+    ["customer GSTIN", customerGSTINOf(dm), customerGSTINOf(odm)],
+    ["place of supply", placeOfSupplyOf(dm), placeOfSupplyOf(odm)],
+  ];
+  for (const [what, mine, theirs] of pairs){
+    if ((mine||"")!==(theirs||"")){
+      res.errors.push(err(CODES.NOTE_SPLIT_MISMATCH,
+        `${label} ${what} ${mine||"(none)"} differs from invoice ${original.number} (${theirs||"none"})`,
+        null,{field:what,note:mine||null,invoice:theirs||null}));
+    }
+  }
+  const rates = new Set((Array.isArray(odm.items)?odm.items:[]).map(it=>Number(it.gstRate ?? it.gst ?? 0)));
+  (Array.isArray(dm.items)?dm.items:[]).forEach((it,i)=>{
+    const rt = Number(it.gstRate ?? it.gst ?? 0);
+    if (!rates.has(rt)){
+      res.errors.push(err(CODES.NOTE_SPLIT_MISMATCH,
+        `GST rate ${rt}% is not on invoice ${original.number}`,`items[${i}].gstRate`,{rate:rt,invoiceRates:[...rates]}));
+    }
+  });
+
+  const limit = found.valueCents;
+  const prior = found.noted[ctx.docType] || 0;
+  const mine = cents(dm.totalAmount ?? dm.total);
+  if (prior + mine > limit){
+    res.errors.push(err(CODES.NOTE_OVER_ORIGINAL,
+      `${label} ${units(mine)} takes ${label.toLowerCase()}s on ${original.number} to ${units(prior+mine)}, above the invoice value ${units(limit)}`,
+      "total",{invoice:original.number,invoiceValue:units(limit),alreadyNoted:units(prior),note:units(mine)}));
+  }
+  return res;
+}
@@ -1,26 +1,78 @@
-﻿import { getOnHand } from "../../repo.js";
+import { getOnHand, getBatches, getWarehouseRef } from "../../repo.js";
 import { err, warn } from "../../result.js";
 import { CODES } from "../../codes.js";
 
+// Lines are checked when they match a stock-tracked item in the workspace's item master (by code,
+// else by name), or when flagged stockTracked — then a missing master item is an error.
+// Batch-tracked items: a named batch must exist and not be expired on the document date; without
+// a batch, only unexpired batches count towards the quantity available.
+// Stock is checked in the line's warehouse, else the document's, else the workspace default —
+// the location postDocumentMovements will issue from.
+const warehouseRef = (o = {}) => {
+  const v = o.warehouseId || o.warehouse_id || o.warehouse;
+  return v && typeof v === "object" ? v.id || v.code || v.name || null : v || null;
+};
+
 export default async function stockGuardsRule(ctx){
   const res = { errors:[], warnings:[], info:[] };
   if (!ctx.policy?.inventory?.enabled) return res;
 
+  const docDate = String(ctx.docModel?.date || new Date().toISOString()).slice(0,10);
   const items = Array.isArray(ctx.docModel?.items) ? ctx.docModel.items : [];
   for (let i=0;i<items.length;i++){
     const it = items[i] || {};
-    const track = it.stockTracked===true || it.stock_tracked===true;
-    if (!track) continue;
+    const flagged = it.stockTracked===true || it.stock_tracked===true;
     const code = it.code || it.itemCode || it.sku;
+    const name = it.name || it.description;
     const qty  = Number(it.qty || 0);
-    if (!code || qty<=0) continue;
+    if ((!code && !name) || qty<=0) continue;
+
+    const master = await getOnHand(code, ctx.sessionId || null, name);
+    if (!master) {
+      if (flagged) res.errors.push(err(CODES.INV_ITEM_MISSING,`Item not found: ${code || name}`,{index:i,code:code || name}));
+      continue;
+    }
+    if (!flagged && !Number(master.stock_tracked)) continue;
+
+    const ref = warehouseRef(it) || warehouseRef(ctx.docModel);
+    const wh = await getWarehouseRef(ctx.sessionId || null, ref);
+    if (!wh) {
+      res.errors.push(err(CODES.INV_WAREHOUSE_MISSING,`Warehouse not found: ${ref}`,{index:i,warehouse:ref}));
+      continue;
+    }
+    const where = wh.name ? ` in ${wh.name}` : "";
+    const on = wh.id ? (await getOnHand(master.code, ctx.sessionId || null, null, wh.id)) || master : master;
+    let onhand = Number(on.onhand||0);
+
+    if (Number(on.batch_tracked)) {
+      const batchNo = it.batchNo || it.batch_no || it.batch || null;
+      const batches = await getBatches(on.id, ctx.sessionId || null, docDate, wh.id);
+      const isExpired = (b) => !!b.expiry_date && String(b.expiry_date) < docDate;
+      if (batchNo) {
+        const b = batches.find(x => String(x.batch_no) === String(batchNo));
+        if (!b) {
+          res.errors.push(err(CODES.INV_BATCH_MISSING,`Batch ${batchNo} of ${on.code} has no stock${where}`,{index:i,code:on.code,batch:batchNo}));
+          continue;
+        }
+        if (isExpired(b)) {
+          res.errors.push(err(CODES.INV_BATCH_EXPIRED,`Batch ${batchNo} of ${on.code} expired on ${b.expiry_date}`,{index:i,code:on.code,batch:batchNo,expiry:b.expiry_date}));
+          continue;
+        }
+        onhand = Number(b.qty||0);
+      } else {
+        const usable = batches.filter(b => !isExpired(b)).reduce((s,b) => s + Number(b.qty||0), 0);
+        const expired = batches.filter(isExpired).reduce((s,b) => s + Number(b.qty||0), 0);
+        if (usable < qty && expired > 0) {
+          res.errors.push(err(CODES.INV_BATCH_EXPIRED,`Only ${usable} of ${on.code} is in unexpired batches${where}; ${expired} has expired`,{index:i,code:on.code,usable,expired,qty}));
+          continue;
+        }
+        onhand = usable;
+      }
+    }
 
-    const on = await getOnHand(code);
-    if (!on) { res.errors.push(err(CODES.INV_ITEM_MISSING,`Item not found: ${code}`,{index:i,code})); continue; }
-    const onhand = Number(on.onhand||0);
     if (onhand < qty){
-      if (ctx.policy?.inventory?.blockNegativeStock) res.errors.push(err(CODES.INV_NEG_STOCK,`Insufficient stock for ${code}: on-hand ${onhand}, requested ${qty}`,{index:i,code,onhand,qty}));
-      else res.warnings.push(warn(CODES.INV_NEG_STOCK_WARN,`Stock would go negative for ${code}`,{index:i,code,onhand,qty}));
+      if (ctx.policy?.inventory?.blockNegativeStock) res.errors.push(err(CODES.INV_NEG_STOCK,`Insufficient stock for ${on.code}${where}: on-hand ${onhand}, requested ${qty}`,{index:i,code:on.code,warehouse:wh.code,onhand,qty}));
+      else res.warnings.push(warn(CODES.INV_NEG_STOCK_WARN,`Stock would go negative for ${on.code}${where}`,{index:i,code:on.code,warehouse:wh.code,onhand,qty}));
     }
   }
   return res;
@@ -0,0 +1,29 @@
+import { CODES } from "../../codes.js";
+import { warn } from "../../result.js";
+import { getSellerIdentity } from "../../repo.js";
+import { invoiceEwayBill, normalizeTransport, transportProblems, DEFAULT_EWB_THRESHOLD } from "../../../tax/ewaybill.js";
+
+// Goods invoices above the e-way bill threshold should carry transport details before posting;
+// they can still be added afterwards, so this only warns.
+export default async function ewayBillRule(ctx){
+  const res = { errors:[], warnings:[], info:[] };
+  if (!ctx.policy?.ewayBill?.enabled) return res;
+  if (ctx.docType!=="invoice") return res;
+
+  const dm = ctx.docModel || {};
+  const { bill, value } = invoiceEwayBill({ number: dm.number, date: dm.date, dm }, { seller: await getSellerIdentity(ctx.sessionId) });
+  const threshold = Number(ctx.policy.ewayBill.threshold ?? DEFAULT_EWB_THRESHOLD);
+  if (!bill || value <= threshold) return res;
+
+  const transport = normalizeTransport(dm.transport);
+  if (!transport) {
+    res.warnings.push(warn(CODES.EWB_TRANSPORT_MISSING,
+      `Goods worth ${value} need an e-way bill: add transport details (vehicle / transporter, distance)`, "transport", { value, threshold }));
+    return res;
+  }
+  const problems = transportProblems(transport);
+  if (problems.length) {
+    res.warnings.push(warn(CODES.EWB_TRANSPORT_INVALID, `E-way bill transport details: ${problems.join("; ")}`, "transport", { problems }));
+  }
+  return res;
+}
@@ -5,7 +5,7 @@ import { isValidGSTIN, stateCodeFromGSTIN, isInterState, computeGSTBreakup, roun
 export default async function gstCoreRule(ctx){
   const res = { errors:[], warnings:[], info:[] };
   if (!ctx.policy?.gst?.enabled) return res;
-  if (ctx.docType!=="invoice") return res;
+  if (!["invoice","credit_note","debit_note"].includes(ctx.docType)) return res;
 
   const dm = ctx.docModel || {};
   const supplier = dm.supplierGSTIN || dm.sellerGSTIN || dm.fromGSTIN || "";
@@ -1,5 +1,5 @@
 // src/App.jsx
-import React from "react";
+import React, { useState } from "react";
 import { BrowserRouter, Routes, Route, Link, useLocation } from "react-router-dom";
 import { Box, AppBar, Toolbar, Typography, Button } from "@mui/material";
 
@@ -9,10 +9,17 @@ import PromptThreadPane from "./components/PromptThreadPane";
 import ReportsDrawer from "./components/ReportsDrawer";
 import DocumentUpload from "./components/DocumentUpload";
 import BankReconciliation from "./components/BankReconciliation";
+import Facilities from "./components/Facilities";
+import Loans from "./components/Loans";
+import Inventory from "./components/Inventory";
+import SalesOrders from "./components/SalesOrders";
+import Branding from "./components/Branding";
+import Login from "./components/Login";
+import { getAuthToken } from "./services/apiService";
 // NEW: brand‑agnostic import/export UI
 import ImportExport from "./components/ImportExport";
 
-function Nav() {
+function Nav({ signedIn }) {
   const { pathname } = useLocation();
   const tab = (p) => (pathname === p ? "contained" : "text");
   return (
@@ -23,10 +30,18 @@ function Nav() {
         <Button color="inherit" component={Link} to="/reports" variant={tab("/reports")}>Reports</Button>
         <Button color="inherit" component={Link} to="/docs" variant={tab("/docs")}>Docs</Button>
         <Button color="inherit" component={Link} to="/bank-reco" variant={tab("/bank-reco")}>Bank Reco</Button>
+        <Button color="inherit" component={Link} to="/facilities" variant={tab("/facilities")}>Facilities</Button>
+        <Button color="inherit" component={Link} to="/loans" variant={tab("/loans")}>Loans</Button>
+        <Button color="inherit" component={Link} to="/inventory" variant={tab("/inventory")}>Inventory</Button>
+        <Button color="inherit" component={Link} to="/sales" variant={tab("/sales")}>Sales</Button>
+        <Button color="inherit" component={Link} to="/branding" variant={tab("/branding")}>Letterhead</Button>
         {/* NEW: Import/Export */}
         <Button color="inherit" component={Link} to="/import-export" variant={tab("/import-export")}>
           Import/Export
         </Button>
+        <Button color="inherit" component={Link} to="/login" variant={tab("/login")}>
+          {signedIn ? "Account" : "Sign in"}
+        </Button>
       </Toolbar>
     </AppBar>
   );
@@ -42,16 +57,23 @@ function PromptPage() {
 }
 
 export default function App() {
+  const [signedIn, setSignedIn] = useState(() => !!getAuthToken());
   return (
     <PromptProvider>
       <BrowserRouter>
-        <Nav />
+        <Nav signedIn={signedIn} />
         <Box sx={{ p: 2 }}>
           <Routes>
+            <Route path="/login" element={<Login onChange={setSignedIn} />} />
             <Route path="/" element={<PromptPage />} />
             <Route path="/reports" element={<ReportsDrawer sessionId="default-session" />} />
             <Route path="/docs" element={<DocumentUpload sessionId="default-session" />} />
             <Route path="/bank-reco" element={<BankReconciliation />} />
+            <Route path="/facilities" element={<Facilities />} />
+            <Route path="/loans" element={<Loans />} />
+            <Route path="/inventory" element={<Inventory />} />
+            <Route path="/sales" element={<SalesOrders />} />
+            <Route path="/branding" element={<Branding />} />
             {/* NEW: Import/Export route */}
             <Route path="/import-export" element={<ImportExport />} />
           </Routes>
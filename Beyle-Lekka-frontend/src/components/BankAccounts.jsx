@@ -0,0 +1,150 @@
+// src/components/BankAccounts.jsx
+import React, { useEffect, useState } from "react";
+import {
+  Box, Paper, Typography, Stack, Button, TextField, MenuItem, Alert,
+  Table, TableBody, TableCell, TableHead, TableRow, IconButton, Chip
+} from "@mui/material";
+import EditIcon from "@mui/icons-material/Edit";
+import DeleteIcon from "@mui/icons-material/Delete";
+import { getBankAccounts, saveBankAccount, deleteBankAccount } from "../services/apiService";
+
+const IFSC_RE = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const EMPTY = {
+  id: null, name: "", accountNo: "", ifsc: "", bankName: "", branch: "", accountType: "CURRENT",
+  ledger: "", openingBalance: "", openingDate: "", facilityType: "", facilityLimit: "",
+};
+
+const fromAccount = (a) => ({
+  id: a.id, name: a.name || "", accountNo: a.account_no || "", ifsc: a.ifsc || "",
+  bankName: a.bank_name || "", branch: a.branch || "", accountType: a.account_type || "CURRENT",
+  ledger: a.ledger_account || "", openingBalance: a.opening_balance ?? "", openingDate: a.opening_date || "",
+  facilityType: a.facility_type || "", facilityLimit: a.facility_limit ?? "", hasFacility: !!a.facility_id,
+});
+
+/** Bank account master: list + create/edit form. onChange(accounts) after every save/delete. */
+export default function BankAccounts({ onChange }) {
+  const [accounts, setAccounts] = useState([]);
+  const [form, setForm] = useState(EMPTY);
+  const [msg, setMsg] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const load = async () => {
+    const res = await getBankAccounts();
+    const list = res?.accounts || [];
+    setAccounts(list);
+    onChange?.(list);
+  };
+
+  useEffect(() => { load().catch((e) => setMsg({ type: "error", text: e.message })); }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const set = (k) => (e) => setForm((f) => ({ ...f, [k]: e.target.value }));
+  const ifscBad = !!form.ifsc && !IFSC_RE.test(form.ifsc.trim().toUpperCase());
+
+  const save = async () => {
+    setMsg(null);
+    try {
+      setBusy(true);
+      const body = {
+        name: form.name, accountNo: form.accountNo, ifsc: form.ifsc, bankName: form.bankName,
+        branch: form.branch, accountType: form.accountType, openingDate: form.openingDate || null,
+        openingBalance: form.openingBalance === "" ? 0 : Number(form.openingBalance),
+      };
+      if (form.ledger) body.ledger = form.ledger;
+      if (form.facilityType && !form.hasFacility) body.facility = { type: form.facilityType, limit: Number(form.facilityLimit || 0) };
+      const res = await saveBankAccount(form.id, body);
+      if (!res?.ok) throw new Error(res?.error || "Save failed");
+      setMsg({ type: "success", text: `${res.created ? "Created" : "Updated"} ${res.account.name} → ledger ${res.account.ledger_account}` });
+      setForm(EMPTY);
+      await load();
+    } catch (e) {
+      setMsg({ type: "error", text: e?.response?.data?.error || e.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const remove = async (a) => {
+    if (!window.confirm(`Remove bank account "${a.name}"?`)) return;
+    try {
+      const res = await deleteBankAccount(a.id);
+      setMsg({ type: "info", text: res.deactivated ? `${a.name} has statement lines or rules; it was deactivated.` : `${a.name} deleted.` });
+      await load();
+    } catch (e) {
+      setMsg({ type: "error", text: e?.response?.data?.error || e.message });
+    }
+  };
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2, mb: 2 }}>
+      <Typography variant="subtitle1" sx={{ fontWeight: 700, mb: 1 }}>Bank accounts</Typography>
+      {msg && <Alert severity={msg.type} sx={{ mb: 1 }}>{msg.text}</Alert>}
+
+      <Table size="small" sx={{ mb: 2 }}>
+        <TableHead>
+          <TableRow>
+            <TableCell>Name</TableCell>
+            <TableCell>Account no.</TableCell>
+            <TableCell>IFSC</TableCell>
+            <TableCell>Ledger</TableCell>
+            <TableCell>Facility</TableCell>
+            <TableCell align="right">Opening</TableCell>
+            <TableCell />
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {accounts.map((a) => (
+            <TableRow key={a.id}>
+              <TableCell>{a.name}</TableCell>
+              <TableCell>{a.account_no || ""}</TableCell>
+              <TableCell>{a.ifsc || ""}</TableCell>
+              <TableCell>{a.ledger_account || <Chip size="small" color="warning" label="not linked" />}</TableCell>
+              <TableCell>{a.facility_type ? `${a.facility_type} ${Number(a.facility_limit || 0).toLocaleString("en-IN")}` : ""}</TableCell>
+              <TableCell align="right">{Number(a.opening_balance || 0).toLocaleString("en-IN", { minimumFractionDigits: 2 })}</TableCell>
+              <TableCell>
+                <IconButton size="small" onClick={() => setForm(fromAccount(a))}><EditIcon fontSize="small" /></IconButton>
+                <IconButton size="small" onClick={() => remove(a)}><DeleteIcon fontSize="small" /></IconButton>
+              </TableCell>
+            </TableRow>
+          ))}
+          {!accounts.length && (
+            <TableRow><TableCell colSpan={7}>No bank accounts yet.</TableCell></TableRow>
+          )}
+        </TableBody>
+      </Table>
+
+      <Box>
+        <Typography variant="subtitle2" sx={{ mb: 1 }}>{form.id ? `Edit ${form.name}` : "New bank account"}</Typography>
+        <Stack direction={{ xs: "column", md: "row" }} spacing={1} sx={{ mb: 1 }}>
+          <TextField size="small" label="Name" value={form.name} onChange={set("name")} required />
+          <TextField size="small" label="Account no." value={form.accountNo} onChange={set("accountNo")} />
+          <TextField size="small" label="IFSC" value={form.ifsc} onChange={set("ifsc")}
+                     error={ifscBad} helperText={ifscBad ? "e.g. HDFC0001234" : ""} />
+          <TextField size="small" label="Bank" value={form.bankName} onChange={set("bankName")} />
+          <TextField size="small" label="Branch" value={form.branch} onChange={set("branch")} />
+        </Stack>
+        <Stack direction={{ xs: "column", md: "row" }} spacing={1} alignItems="center">
+          <TextField size="small" select label="Type" value={form.accountType} onChange={set("accountType")} sx={{ minWidth: 120 }}>
+            {["SAVINGS", "CURRENT", "OD", "OCC"].map((t) => <MenuItem key={t} value={t}>{t}</MenuItem>)}
+          </TextField>
+          <TextField size="small" label="Ledger" value={form.ledger} onChange={set("ledger")}
+                     placeholder={form.name ? `Bank - ${form.name}` : "Bank - <name>"} InputLabelProps={{ shrink: true }} />
+          <TextField size="small" type="number" label="Opening balance" value={form.openingBalance} onChange={set("openingBalance")} />
+          <TextField size="small" type="date" label="As of" value={form.openingDate} onChange={set("openingDate")} InputLabelProps={{ shrink: true }} />
+          <TextField size="small" select label="Facility" value={form.facilityType} onChange={set("facilityType")} sx={{ minWidth: 120 }}
+                     disabled={form.hasFacility} helperText={form.hasFacility ? "Change under Facilities" : ""}>
+            <MenuItem value="">None</MenuItem>
+            {["OD", "OCC", "LIMIT_ONLY"].map((t) => <MenuItem key={t} value={t}>{t}</MenuItem>)}
+          </TextField>
+          {form.facilityType && (
+            <TextField size="small" type="number" label="Limit" value={form.facilityLimit} onChange={set("facilityLimit")}
+                       disabled={form.hasFacility} />
+          )}
+          <Button variant="contained" onClick={save} disabled={busy || !form.name || ifscBad}>
+            {form.id ? "Update" : "Create"}
+          </Button>
+          {form.id && <Button onClick={() => setForm(EMPTY)}>Cancel</Button>}
+        </Stack>
+      </Box>
+    </Paper>
+  );
+}
@@ -1,21 +1,78 @@
 // src/components/BankReconciliation.jsx
 import React, { useEffect, useState } from "react";
 import {
-  Box, Paper, Typography, Stack, Button, TextField, Divider, Alert,
+  Box, Paper, Typography, Stack, Button, TextField, MenuItem, Divider, Alert,
   Table, TableBody, TableCell, TableContainer, TableHead, TableRow, IconButton, CircularProgress
 } from "@mui/material";
 import LinkIcon from "@mui/icons-material/Link";
-import { importBankCSV, fetchRecoSuggestions, confirmRecoMatch } from "../services/apiService";
+import {
+  importBankCSV, fetchRecoSuggestions, confirmRecoMatch,
+  fetchRecoGroupSuggestions, confirmRecoGroup, excludeRecoLines, getBRS, downloadBRS, getBankAccounts
+} from "../services/apiService";
+import BankAccounts from "./BankAccounts";
+
+const noPrint = { "@media print": { display: "none" } };
+const inr = (n) => Number(n || 0).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+/** Printable BRS: book balance → reconciling items → statement balance */
+function BrsStatement({ brs }) {
+  const line = (label, amount, opts = {}) => (
+    <TableRow>
+      <TableCell sx={{ fontWeight: opts.bold ? 700 : 400, pl: opts.indent ? 4 : 2 }} colSpan={3}>{label}</TableCell>
+      <TableCell align="right" sx={{ fontWeight: opts.bold ? 700 : 400 }}>{amount == null ? "" : inr(amount)}</TableCell>
+    </TableRow>
+  );
+  return (
+    <Box>
+      <Typography variant="h6" sx={{ fontWeight: 700 }}>Bank Reconciliation Statement</Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+        {brs.bankAccount?.name}{brs.bankAccount?.account_no ? ` • A/c ${brs.bankAccount.account_no}` : ""} • Ledger: {brs.bankLedger} • As of {brs.asOf}
+      </Typography>
+      <Table size="small">
+        <TableBody>
+          {line("Balance as per books", brs.bookBalance, { bold: true })}
+          {(brs.sections || []).map((sec) => (
+            <React.Fragment key={sec.key}>
+              {line(sec.label, sec.sign * sec.total, { bold: true })}
+              {sec.rows.map((r) => (
+                <TableRow key={r.id}>
+                  <TableCell sx={{ pl: 4 }}>{r.date}</TableCell>
+                  <TableCell>{r.document_number || ""}</TableCell>
+                  <TableCell>{r.narration || ""}</TableCell>
+                  <TableCell align="right">{inr(r.amount)}</TableCell>
+                </TableRow>
+              ))}
+            </React.Fragment>
+          ))}
+          {line("Adjusted balance", brs.adjustedBalance, { bold: true })}
+          {line("Balance as per bank statement", brs.statement?.closing, { bold: true })}
+          {line("Opening balance", brs.statement?.opening, { indent: true })}
+          {line("Statement movements", brs.statement?.movements, { indent: true })}
+          {line("Unexplained difference", brs.difference, { bold: true })}
+        </TableBody>
+      </Table>
+      {brs.excluded?.count > 0 && (
+        <Typography variant="caption" color="text.secondary">
+          {brs.excluded.count} excluded statement line(s) totalling {inr(brs.excluded.amount)} count in the statement balance but not as reconciling items.
+        </Typography>
+      )}
+    </Box>
+  );
+}
 
 export default function BankReconciliation() {
   const [file, setFile] = useState(null);
   const [bankAccountId, setBankAccountId] = useState("");
+  const [accounts, setAccounts] = useState([]);
+  const [manageAccounts, setManageAccounts] = useState(false);
   const [dateFrom, setDateFrom] = useState("1900-01-01");
   const [dateTo, setDateTo] = useState(() => new Date().toISOString().slice(0, 10));
 
   const [busy, setBusy] = useState(false);
   const [msg, setMsg] = useState(null);
   const [suggestions, setSuggestions] = useState([]);
+  const [groups, setGroups] = useState([]);
+  const [brs, setBrs] = useState(null);
 
   const onSelect = (e) => {
     const f = e.target.files?.[0];
@@ -27,9 +84,12 @@ export default function BankReconciliation() {
     setMsg(null);
     try {
       setBusy(true);
-      const res = await importBankCSV(file);
+      const res = await importBankCSV(file, bankAccountId);
       if (!res?.ok) throw new Error(res?.error || "Import failed");
-      setMsg({ type: "success", text: `Imported ${res.imported} lines.` });
+      setMsg({
+        type: "success",
+        text: `Imported ${res.imported} lines` + (res.duplicates ? `, ${res.duplicates} already imported` : "") + ".",
+      });
       await loadSuggestions();
     } catch (e) {
       setMsg({ type: "error", text: e.message });
@@ -40,7 +100,7 @@ export default function BankReconciliation() {
 
   const loadSuggestions = async () => {
     if (!bankAccountId) {
-      setMsg({ type: "warning", text: "Provide bankAccountId to fetch suggestions." });
+      setMsg({ type: "warning", text: "Choose a bank account to fetch suggestions." });
       return;
     }
     try {
@@ -48,6 +108,8 @@ export default function BankReconciliation() {
       const res = await fetchRecoSuggestions({ bankAccountId, dateFrom, dateTo });
       if (!res?.ok) throw new Error(res?.error || "Failed to load suggestions");
       setSuggestions(res.suggestions || []);
+      const g = await fetchRecoGroupSuggestions({ bankAccountId, dateFrom, dateTo });
+      setGroups(g?.ok ? g.groups || [] : []);
     } catch (e) {
       setMsg({ type: "error", text: e.message });
     } finally {
@@ -69,7 +131,70 @@ export default function BankReconciliation() {
     }
   };
 
-  useEffect(() => { /* no-op */ }, []);
+  const onMatchGroup = async (g) => {
+    try {
+      setBusy(true);
+      const res = await confirmRecoGroup(g.bankLineIds, g.ledgerEntryIds);
+      if (!res?.ok) throw new Error(res?.error || "Match failed");
+      setMsg({ type: "success", text: `Matched ${g.bankLineIds.length} bank line(s) to ${g.ledgerEntryIds.length} entr${g.ledgerEntryIds.length === 1 ? "y" : "ies"}.` });
+      await loadSuggestions();
+    } catch (e) {
+      setMsg({ type: "error", text: e?.response?.data?.error || e.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const onExclude = async (bankLineId) => {
+    const reason = window.prompt("Reason for excluding this line from reconciliation?");
+    if (!reason) return;
+    try {
+      setBusy(true);
+      const res = await excludeRecoLines([bankLineId], reason);
+      if (!res?.ok) throw new Error(res?.error || "Exclude failed");
+      setMsg({ type: "success", text: "Line excluded." });
+      await loadSuggestions();
+    } catch (e) {
+      setMsg({ type: "error", text: e?.response?.data?.error || e.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const loadBrs = async () => {
+    try {
+      setBusy(true);
+      const res = await getBRS(bankAccountId, dateTo);
+      if (!res?.ok) throw new Error(res?.error || "Failed to build BRS");
+      setBrs(res);
+    } catch (e) {
+      setMsg({ type: "error", text: e?.response?.data?.error || e.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const exportBrs = async () => {
+    try {
+      setBusy(true);
+      await downloadBRS(bankAccountId, dateTo);
+    } catch (e) {
+      setMsg({ type: "error", text: e.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Account picker; the first active account is preselected
+  useEffect(() => {
+    getBankAccounts()
+      .then((res) => {
+        const list = res?.accounts || [];
+        setAccounts(list);
+        if (list.length) setBankAccountId((cur) => cur || list[0].id);
+      })
+      .catch((e) => setMsg({ type: "error", text: e.message }));
+  }, []);
 
   // Try to render flexible structure
   const renderCandidates = (cands = [], bankLineId) => {
@@ -108,16 +233,36 @@ export default function BankReconciliation() {
 
   return (
     <Box>
-      <Typography variant="h6" sx={{ mb: 1, fontWeight: 700 }}>Bank Reconciliation</Typography>
+      <Typography variant="h6" sx={{ mb: 1, fontWeight: 700, ...noPrint }}>Bank Reconciliation</Typography>
+
+      {manageAccounts && (
+        <Box sx={noPrint}>
+          <BankAccounts onChange={(list) => {
+            setAccounts(list);
+            if (!list.some((a) => a.id === bankAccountId)) setBankAccountId(list[0]?.id || "");
+          }} />
+        </Box>
+      )}
 
-      <Paper variant="outlined" sx={{ p: 2, mb: 2 }}>
+      <Paper variant="outlined" sx={{ p: 2, mb: 2, ...noPrint }}>
         <Stack direction={{ xs: "column", sm: "row" }} spacing={2} alignItems="center">
           <TextField
-            label="Bank Account ID"
+            select
+            label="Bank account"
             size="small"
             value={bankAccountId}
             onChange={(e) => setBankAccountId(e.target.value)}
-          />
+            sx={{ minWidth: 220 }}
+          >
+            {accounts.map((a) => (
+              <MenuItem key={a.id} value={a.id}>
+                {a.name}{a.account_no ? ` • ${String(a.account_no).slice(-4)}` : ""}
+              </MenuItem>
+            ))}
+          </TextField>
+          <Button variant="text" size="small" onClick={() => setManageAccounts((v) => !v)}>
+            {manageAccounts ? "Hide accounts" : "Manage accounts"}
+          </Button>
           <TextField
             label="From"
             type="date"
@@ -135,8 +280,8 @@ export default function BankReconciliation() {
             InputLabelProps={{ shrink: true }}
           />
           <Button variant="outlined" component="label" disabled={busy}>
-            Choose CSV
-            <input hidden type="file" accept=".csv,text/csv" onChange={onSelect} />
+            Choose statement
+            <input hidden type="file" accept=".csv,text/csv,.ofx,.qfx,.xml,.sta,.mt940,.940,.txt" onChange={onSelect} />
           </Button>
           <Button onClick={doImport} variant="contained" disabled={!file || busy}>
             {busy ? <CircularProgress size={20} color="inherit" /> : "Import"}
@@ -144,29 +289,84 @@ export default function BankReconciliation() {
           <Button onClick={loadSuggestions} variant="text" disabled={busy || !bankAccountId}>
             Refresh Suggestions
           </Button>
+          <Button onClick={loadBrs} variant="text" disabled={busy || !bankAccountId}>
+            BRS as of To
+          </Button>
         </Stack>
         {msg && <Alert severity={msg.type} sx={{ mt: 2 }}>{msg.text}</Alert>}
       </Paper>
 
-      <Paper variant="outlined" sx={{ p: 2 }}>
+      {brs && (
+        <Paper variant="outlined" sx={{ p: 2, mb: 2, "@media print": { border: "none", p: 0 } }}>
+          <Stack direction="row" spacing={1} justifyContent="flex-end" sx={{ mb: 1, ...noPrint }}>
+            <Button size="small" onClick={exportBrs} disabled={busy}>Export XLSX</Button>
+            <Button size="small" onClick={() => window.print()}>Print</Button>
+            <Button size="small" onClick={() => setBrs(null)}>Close</Button>
+          </Stack>
+          {brs.reconciled === false && (
+            <Alert severity="warning" sx={{ mb: 1, ...noPrint }}>
+              Book and bank differ by {inr(brs.difference)} after the listed items.
+            </Alert>
+          )}
+          <BrsStatement brs={brs} />
+        </Paper>
+      )}
+
+      <Paper variant="outlined" sx={{ p: 2, ...noPrint }}>
         <Typography variant="subtitle1" sx={{ mb: 1, fontWeight: 700 }}>Suggestions</Typography>
         {!suggestions.length ? (
           <Typography color="text.secondary">No suggestions yet.</Typography>
         ) : (
           suggestions.map((sugg, idx) => {
             const b = sugg.bankLine || sugg.bank_line || {};
+            const lineId = b.id || sugg.bankLineId;
             return (
               <Box key={idx} sx={{ mb: 2, p: 1, border: "1px solid #eee", borderRadius: 1 }}>
-                <Typography variant="subtitle2">
-                  Bank line: {b.value_date || b.date} • {b.description || b.narration} • ₹{Number(b.amount_cents || b.amount || 0) / 100}
-                </Typography>
+                <Stack direction="row" alignItems="center" justifyContent="space-between">
+                  <Typography variant="subtitle2">
+                    Bank line: {b.value_date || b.date || lineId} • {b.description || b.narration} • ₹{Number(b.amount_cents || b.amount || 0) / 100}
+                  </Typography>
+                  <Button size="small" onClick={() => onExclude(lineId)} disabled={busy}>Exclude</Button>
+                </Stack>
                 <Divider sx={{ my: 1 }} />
-                {renderCandidates(sugg.candidates || sugg.matches || [], b.id)}
+                {renderCandidates(sugg.candidates || sugg.matches || [], lineId)}
               </Box>
             );
           })
         )}
       </Paper>
+
+      {groups.length > 0 && (
+        <Paper variant="outlined" sx={{ p: 2, mt: 2, ...noPrint }}>
+          <Typography variant="subtitle1" sx={{ mb: 1, fontWeight: 700 }}>Group suggestions</Typography>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Bank lines</TableCell>
+                <TableCell>Ledger entries</TableCell>
+                <TableCell align="right">Amount</TableCell>
+                <TableCell>Score</TableCell>
+                <TableCell align="center">Action</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {groups.map((g, i) => (
+                <TableRow key={i}>
+                  <TableCell>{g.bankLineIds.length}</TableCell>
+                  <TableCell>{g.ledgerEntryIds.length}</TableCell>
+                  <TableCell align="right">{Number(g.amount_cents || 0) / 100}</TableCell>
+                  <TableCell>{Math.round(g.score ?? 0)}</TableCell>
+                  <TableCell align="center">
+                    <IconButton onClick={() => onMatchGroup(g)} title="Match group" size="small" disabled={busy}>
+                      <LinkIcon fontSize="small" />
+                    </IconButton>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </Paper>
+      )}
     </Box>
   );
 }
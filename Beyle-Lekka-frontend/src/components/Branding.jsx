@@ -0,0 +1,129 @@
+// src/components/Branding.jsx
+import React, { useEffect, useState } from "react";
+import {
+  Box, Paper, Stack, Typography, Button, Alert, TextField, LinearProgress, ToggleButton, ToggleButtonGroup
+} from "@mui/material";
+import { getBranding, saveBranding } from "../services/apiService";
+
+const TEXT_FIELDS = [
+  ["legalName", "Legal name"],
+  ["tradeName", "Trade name"],
+  ["gstin", "GSTIN"],
+  ["pan", "PAN"],
+  ["phone", "Phone"],
+  ["email", "Email"],
+  ["upiId", "UPI ID (for payment QR)"],
+  ["upiName", "UPI payee name"],
+  ["accentColor", "Accent colour (#rrggbb)"],
+];
+const BANK_FIELDS = [
+  ["accountName", "Account name"],
+  ["bankName", "Bank"],
+  ["branch", "Branch"],
+  ["accountNo", "Account no."],
+  ["ifsc", "IFSC"],
+];
+const MAX_IMAGE_KB = 512;
+
+const readAsDataUrl = (file) =>
+  new Promise((resolve, reject) => {
+    const r = new FileReader();
+    r.onload = () => resolve(r.result);
+    r.onerror = () => reject(r.error);
+    r.readAsDataURL(file);
+  });
+
+export default function Branding() {
+  const [b, setB] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [msg, setMsg] = useState(null);
+
+  useEffect(() => {
+    getBranding()
+      .then((res) => setB(res.branding))
+      .catch((e) => setMsg({ type: "error", text: e.message }));
+  }, []);
+
+  const set = (k) => (e) => setB((p) => ({ ...p, [k]: e.target.value }));
+  const setBank = (k) => (e) => setB((p) => ({ ...p, bank: { ...(p.bank || {}), [k]: e.target.value } }));
+
+  const onImage = (k) => async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    if (file.size > MAX_IMAGE_KB * 1024) {
+      setMsg({ type: "error", text: `Image must be at most ${MAX_IMAGE_KB} KB` });
+      return;
+    }
+    const url = await readAsDataUrl(file);
+    setB((p) => ({ ...p, [k]: url }));
+  };
+
+  const onSave = async () => {
+    setBusy(true); setMsg(null);
+    try {
+      const res = await saveBranding(b);
+      setB(res.branding);
+      setMsg({ type: "success", text: "Letterhead saved; new documents will use it." });
+    } catch (e) {
+      setMsg({ type: "error", text: e.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!b) return <Paper sx={{ p: 2 }}>{msg ? <Alert severity={msg.type}>{msg.text}</Alert> : <LinearProgress />}</Paper>;
+
+  return (
+    <Paper sx={{ p: 2 }}>
+      <Stack spacing={2}>
+        <Typography variant="h6">Letterhead for invoices, receipts and vouchers</Typography>
+        {msg && <Alert severity={msg.type}>{msg.text}</Alert>}
+        {busy && <LinearProgress />}
+
+        <Stack direction="row" spacing={2} alignItems="center">
+          <Typography variant="body2">Generate posted documents as</Typography>
+          <ToggleButtonGroup size="small" exclusive value={b.docFormat || "pdf"} onChange={(_, v) => v && setB((p) => ({ ...p, docFormat: v }))}>
+            <ToggleButton value="pdf">PDF</ToggleButton>
+            <ToggleButton value="docx">DOCX (editable)</ToggleButton>
+          </ToggleButtonGroup>
+        </Stack>
+
+        <Box sx={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(240px, 1fr))", gap: 2 }}>
+          {TEXT_FIELDS.map(([k, label]) => (
+            <TextField key={k} size="small" label={label} value={b[k] || ""} onChange={set(k)} />
+          ))}
+        </Box>
+        <TextField size="small" label="Address" multiline minRows={2} value={b.address || ""} onChange={set("address")} />
+
+        <Typography variant="subtitle2">Bank details</Typography>
+        <Box sx={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(200px, 1fr))", gap: 2 }}>
+          {BANK_FIELDS.map(([k, label]) => (
+            <TextField key={k} size="small" label={label} value={b.bank?.[k] || ""} onChange={setBank(k)} />
+          ))}
+        </Box>
+        <TextField size="small" label="Terms & conditions" multiline minRows={3} value={b.terms || ""} onChange={set("terms")} />
+
+        <Stack direction={{ xs: "column", sm: "row" }} spacing={4}>
+          {[["logo", "Logo"], ["signature", "Signature"]].map(([k, label]) => (
+            <Stack key={k} spacing={1} alignItems="flex-start">
+              <Typography variant="subtitle2">{label}</Typography>
+              {b[k] ? <Box component="img" src={b[k]} alt={label} sx={{ maxHeight: 70, maxWidth: 200, border: "1px solid #eee" }} /> : null}
+              <Stack direction="row" spacing={1}>
+                <Button size="small" variant="outlined" component="label">
+                  Upload
+                  <input hidden type="file" accept="image/png,image/jpeg,image/webp" onChange={onImage(k)} />
+                </Button>
+                {b[k] ? <Button size="small" onClick={() => setB((p) => ({ ...p, [k]: null }))}>Remove</Button> : null}
+              </Stack>
+            </Stack>
+          ))}
+        </Stack>
+
+        <Box>
+          <Button variant="contained" onClick={onSave} disabled={busy}>Save</Button>
+        </Box>
+      </Stack>
+    </Paper>
+  );
+}
@@ -0,0 +1,206 @@
+// src/components/CreditDebitNotes.jsx
+import React, { useState } from "react";
+import {
+  Box, Paper, Stack, Typography, Button, Alert, TextField, LinearProgress,
+  Table, TableHead, TableRow, TableCell, TableBody, ToggleButton, ToggleButtonGroup
+} from "@mui/material";
+import { getInvoiceNotes, draftNote, confirmFromPreview, downloadDocumentFile } from "../services/apiService";
+
+const fmt = (n) => (n == null ? "" : Number(n).toFixed(2));
+const TYPE = { credit_note: "Credit note", debit_note: "Debit note" };
+
+export default function CreditDebitNotes() {
+  const [invoiceNo, setInvoiceNo] = useState("");
+  const [data, setData] = useState(null);
+  const [docType, setDocType] = useState("credit_note");
+  const [date, setDate] = useState(new Date().toISOString().slice(0, 10));
+  const [reason, setReason] = useState("");
+  const [lines, setLines] = useState({}); // { [line]: { qty, amount } }
+  const [draft, setDraft] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [msg, setMsg] = useState(null);
+
+  const load = async (number = invoiceNo) => {
+    setBusy(true); setMsg(null);
+    try {
+      const res = await getInvoiceNotes({ invoice: number.trim() });
+      setData(res);
+      setLines({});
+      setDraft(null);
+    } catch (e) {
+      setData(null);
+      setMsg({ type: "error", text: e.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const setLine = (line, k) => (e) =>
+    setLines((m) => ({ ...m, [line]: { ...(m[line] || {}), [k]: e.target.value } }));
+
+  // Lines with a qty or amount entered; none means the whole invoice
+  const picks = () =>
+    Object.entries(lines)
+      .filter(([, v]) => (v.qty || "").trim() || (v.amount || "").trim())
+      .map(([line, v]) => ({
+        line: Number(line),
+        ...((v.qty || "").trim() ? { qty: Number(v.qty) } : {}),
+        ...((v.amount || "").trim() ? { amount: Number(v.amount) } : {}),
+      }));
+
+  const onDraft = async () => {
+    setBusy(true); setMsg(null);
+    try {
+      const res = await draftNote({ docType, originalInvoiceId: data.invoice.id, date, reason, items: picks() });
+      setDraft(res);
+    } catch (e) {
+      setMsg({ type: "error", text: e.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const onConfirm = async () => {
+    setBusy(true); setMsg(null);
+    try {
+      const res = await confirmFromPreview({ previewId: draft.previewId, hash: draft.hash });
+      setMsg({ type: "success", text: `${TYPE[draft.docType]} ${res.document?.number || draft.number} posted.` });
+      await load(data.invoice.number);
+      setReason("");
+    } catch (e) {
+      setMsg({ type: "error", text: e.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 2 }}>
+      <Stack spacing={2}>
+        <Typography variant="h6">Credit / debit notes</Typography>
+        <Typography variant="body2" color="text.secondary">
+          Notes are raised against a posted invoice and keep its GST split. Leave every line blank to note the whole invoice,
+          enter a quantity for returned goods, or an amount for a value-only adjustment.
+        </Typography>
+        {msg && <Alert severity={msg.type}>{msg.text}</Alert>}
+        {busy && <LinearProgress />}
+
+        <Stack direction="row" spacing={2} alignItems="center">
+          <TextField size="small" label="Invoice no." value={invoiceNo} onChange={(e) => setInvoiceNo(e.target.value)} />
+          <Button variant="contained" onClick={() => load()} disabled={busy || !invoiceNo.trim()}>Load</Button>
+        </Stack>
+
+        {data && (
+          <>
+            <Typography variant="body2">
+              {data.invoice.number} dated {data.invoice.date} · {data.invoice.party_name || ""} · value {fmt(data.invoice.value)}
+              {" "}· open for credit notes {fmt(data.open.credit_note)}, debit notes {fmt(data.open.debit_note)}
+            </Typography>
+
+            {data.notes.length > 0 && (
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Type</TableCell>
+                    <TableCell>No. / date</TableCell>
+                    <TableCell align="right">Amount</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell />
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {data.notes.map((n) => (
+                    <TableRow key={n.id}>
+                      <TableCell>{TYPE[n.doc_type] || n.doc_type}</TableCell>
+                      <TableCell>{n.number} / {n.date}</TableCell>
+                      <TableCell align="right">{fmt(n.gross_amount)}</TableCell>
+                      <TableCell>{n.status}</TableCell>
+                      <TableCell><Button size="small" onClick={() => downloadDocumentFile(n.id, "pdf")}>PDF</Button></TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+
+            <Stack direction={{ xs: "column", sm: "row" }} spacing={2} alignItems="center">
+              <ToggleButtonGroup size="small" exclusive value={docType} onChange={(_, v) => { if (v) { setDocType(v); setDraft(null); } }}>
+                <ToggleButton value="credit_note">Credit note</ToggleButton>
+                <ToggleButton value="debit_note">Debit note</ToggleButton>
+              </ToggleButtonGroup>
+              <TextField size="small" type="date" label="Date" value={date} onChange={(e) => setDate(e.target.value)} InputLabelProps={{ shrink: true }} />
+              <TextField size="small" label="Reason" value={reason} onChange={(e) => setReason(e.target.value)} sx={{ minWidth: 280 }} />
+            </Stack>
+
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Item</TableCell>
+                  <TableCell align="right">Invoiced qty</TableCell>
+                  <TableCell align="right">Taxable</TableCell>
+                  <TableCell align="right">GST %</TableCell>
+                  <TableCell>Qty</TableCell>
+                  <TableCell>Amount</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {data.invoice.items.map((it) => (
+                  <TableRow key={it.line}>
+                    <TableCell>{it.name}</TableCell>
+                    <TableCell align="right">{it.qty}</TableCell>
+                    <TableCell align="right">{fmt(it.amount)}</TableCell>
+                    <TableCell align="right">{it.gstRate}</TableCell>
+                    <TableCell>
+                      <TextField size="small" type="number" value={lines[it.line]?.qty || ""} onChange={setLine(it.line, "qty")} sx={{ width: 90 }} />
+                    </TableCell>
+                    <TableCell>
+                      <TextField size="small" type="number" value={lines[it.line]?.amount || ""} onChange={setLine(it.line, "amount")} sx={{ width: 120 }} />
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+
+            <Box>
+              <Button variant="contained" onClick={onDraft} disabled={busy || !reason.trim()}>Preview {TYPE[docType].toLowerCase()}</Button>
+            </Box>
+          </>
+        )}
+
+        {draft && (
+          <Paper variant="outlined" sx={{ p: 2 }}>
+            <Stack spacing={1}>
+              <Typography variant="subtitle1">
+                {TYPE[draft.docType]} {draft.number} · total {fmt(draft.docModel.total)}
+                {draft.docModel.igst ? ` (IGST ${fmt(draft.docModel.igst)})` : ` (CGST ${fmt(draft.docModel.cgst)} + SGST ${fmt(draft.docModel.sgst)})`}
+              </Typography>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Ledger</TableCell>
+                    <TableCell align="right">Debit</TableCell>
+                    <TableCell align="right">Credit</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {draft.journal.map((l, i) => (
+                    <TableRow key={i}>
+                      <TableCell>{l.account}</TableCell>
+                      <TableCell align="right">{l.debit ? fmt(l.debit) : ""}</TableCell>
+                      <TableCell align="right">{l.credit ? fmt(l.credit) : ""}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+              {draft.warnings?.length > 0 && (
+                <Alert severity="warning">{draft.warnings.map((w) => w.message).join("; ")}</Alert>
+              )}
+              <Box>
+                <Button variant="contained" color="success" onClick={onConfirm} disabled={busy}>Confirm & post</Button>
+              </Box>
+            </Stack>
+          </Paper>
+        )}
+      </Stack>
+    </Paper>
+  );
+}
@@ -0,0 +1,144 @@
+// src/components/EInvoices.jsx
+import React, { useEffect, useState } from "react";
+import {
+  Box, Paper, Stack, Typography, Button, Alert, TextField, Chip, LinearProgress,
+  Table, TableHead, TableRow, TableCell, TableBody, ToggleButton, ToggleButtonGroup
+} from "@mui/material";
+import DownloadIcon from "@mui/icons-material/Download";
+import { getEInvoices, getEInvoicePayload, generateIrn, downloadEInvoiceJson } from "../services/apiService";
+
+const fmt = (n) => (n == null ? "" : Number(n).toFixed(2));
+const TYPE = { invoice: "Invoice", credit_note: "Credit note", debit_note: "Debit note" };
+
+export default function EInvoices() {
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [status, setStatus] = useState("pending");
+  const [busy, setBusy] = useState(false);
+  const [msg, setMsg] = useState(null);
+  const [data, setData] = useState(null);
+  const [check, setCheck] = useState(null); // { id, number, errors }
+
+  const load = async () => {
+    setBusy(true); setMsg(null);
+    try {
+      const res = await getEInvoices({ from: from || undefined, to: to || undefined, status: status === "all" ? undefined : status });
+      setData(res);
+    } catch (e) {
+      setMsg({ type: "error", text: e.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  useEffect(() => { load(); }, [status]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const onCheck = async (d) => {
+    setBusy(true); setMsg(null);
+    try {
+      const res = await getEInvoicePayload(d.id);
+      setCheck({ id: d.id, number: d.number, errors: res.errors || [] });
+    } catch (e) {
+      setMsg({ type: "error", text: e.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const onGenerate = async (d) => {
+    setBusy(true); setMsg(null);
+    try {
+      const res = await generateIrn(d.id);
+      setMsg({ type: "success", text: `${d.number}: IRN ${res.irn} (ack ${res.ack_no})` });
+      setCheck(null);
+      await load();
+    } catch (e) {
+      setMsg({ type: "error", text: `${d.number}: ${e.message}` });
+      onCheck(d);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const onDownload = async (d) => {
+    try { await downloadEInvoiceJson(d.id); }
+    catch (e) { setMsg({ type: "error", text: e.message }); }
+  };
+
+  return (
+    <Paper sx={{ p: 2 }}>
+      <Stack spacing={2}>
+        <Typography variant="h6">GST e-invoice (IRN)</Typography>
+        <Typography variant="body2" color="text.secondary">
+          B2B invoices and notes are registered with the IRP{data?.adapter ? ` (adapter: ${data.adapter})` : ""}; the IRN and signed QR are printed on the invoice.
+        </Typography>
+        {msg && <Alert severity={msg.type}>{msg.text}</Alert>}
+        {busy && <LinearProgress />}
+
+        <Stack direction={{ xs: "column", sm: "row" }} spacing={2} alignItems="center">
+          <TextField size="small" type="date" label="From" value={from} onChange={(e) => setFrom(e.target.value)} InputLabelProps={{ shrink: true }} />
+          <TextField size="small" type="date" label="To" value={to} onChange={(e) => setTo(e.target.value)} InputLabelProps={{ shrink: true }} />
+          <ToggleButtonGroup size="small" exclusive value={status} onChange={(_, v) => v && setStatus(v)}>
+            <ToggleButton value="pending">Pending</ToggleButton>
+            <ToggleButton value="registered">Registered</ToggleButton>
+            <ToggleButton value="all">All</ToggleButton>
+          </ToggleButtonGroup>
+          <Button variant="contained" onClick={load} disabled={busy}>Refresh</Button>
+        </Stack>
+
+        {check && (
+          <Alert severity={check.errors.length ? "warning" : "success"} onClose={() => setCheck(null)}>
+            {check.errors.length
+              ? <>
+                  {check.number}: fix these before registering
+                  <Box component="ul" sx={{ m: 0, pl: 2 }}>
+                    {check.errors.map((e, i) => <li key={i}>{e.path}: {e.message}</li>)}
+                  </Box>
+                </>
+              : `${check.number}: e-invoice JSON is valid`}
+          </Alert>
+        )}
+
+        {data && (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Type</TableCell>
+                <TableCell>No. / date</TableCell>
+                <TableCell>Party</TableCell>
+                <TableCell>Buyer GSTIN</TableCell>
+                <TableCell align="right">Value</TableCell>
+                <TableCell>IRN / ack</TableCell>
+                <TableCell />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {(data.documents || []).map((d) => (
+                <TableRow key={d.id}>
+                  <TableCell>{TYPE[d.doc_type] || d.doc_type}</TableCell>
+                  <TableCell>{d.number} / {d.date}</TableCell>
+                  <TableCell>{d.party_name || ""}</TableCell>
+                  <TableCell>{d.buyer_gstin || <Chip size="small" label="B2C" />}</TableCell>
+                  <TableCell align="right">{fmt(d.gross_amount)}</TableCell>
+                  <TableCell sx={{ maxWidth: 260, wordBreak: "break-all" }}>
+                    {d.irn ? <>{d.irn}<br />{d.irn_ack_no} · {d.irn_ack_date}</> : "—"}
+                  </TableCell>
+                  <TableCell align="right" sx={{ whiteSpace: "nowrap" }}>
+                    <Button size="small" onClick={() => onCheck(d)} disabled={busy}>Check</Button>
+                    <Button size="small" startIcon={<DownloadIcon />} onClick={() => onDownload(d)}>JSON</Button>
+                    {!d.irn && d.b2b && (
+                      <Button size="small" variant="outlined" onClick={() => onGenerate(d)} disabled={busy}>Generate IRN</Button>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+              {!data.documents?.length && (
+                <TableRow><TableCell colSpan={7}>No documents.</TableCell></TableRow>
+              )}
+            </TableBody>
+          </Table>
+        )}
+      </Stack>
+    </Paper>
+  );
+}
@@ -0,0 +1,160 @@
+// src/components/EWayBills.jsx
+import React, { useEffect, useState } from "react";
+import {
+  Box, Paper, Stack, Typography, Button, Alert, TextField, Chip, LinearProgress, Checkbox,
+  Table, TableHead, TableRow, TableCell, TableBody, ToggleButton, ToggleButtonGroup
+} from "@mui/material";
+import DownloadIcon from "@mui/icons-material/Download";
+import { getEwayBills, getEwayBillJson, downloadEwayBillJson, recordEwayBill } from "../services/apiService";
+
+const fmt = (n) => (n == null ? "" : Number(n).toFixed(2));
+const TYPE = { invoice: "Invoice", stock_transfer: "Stock transfer" };
+
+const transportLabel = (t) =>
+  t ? [t.vehicleNo || t.transporterId || t.transDocNo, t.distanceKm != null ? `${t.distanceKm} km` : null].filter(Boolean).join(" · ") : "";
+
+export default function EWayBills() {
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [status, setStatus] = useState("pending");
+  const [busy, setBusy] = useState(false);
+  const [msg, setMsg] = useState(null);
+  const [data, setData] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [skipped, setSkipped] = useState(null); // [{ id, number, problems }]
+  const [ewbNo, setEwbNo] = useState({});       // { [id]: "12 digits" }
+
+  const load = async () => {
+    setBusy(true); setMsg(null);
+    try {
+      const res = await getEwayBills({ from: from || undefined, to: to || undefined, status: status === "all" ? undefined : status });
+      setData(res);
+      setSelected([]);
+    } catch (e) {
+      setMsg({ type: "error", text: e.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  useEffect(() => { load(); }, [status]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const toggle = (id) => setSelected((s) => (s.includes(id) ? s.filter((x) => x !== id) : [...s, id]));
+
+  const onDownload = async () => {
+    setBusy(true); setMsg(null);
+    try {
+      const res = await getEwayBillJson(selected);
+      setSkipped(res.skipped?.length ? res.skipped : null);
+      if (res.included?.length) await downloadEwayBillJson(res.included.map((d) => d.id));
+      else setMsg({ type: "warning", text: "None of the selected documents can produce an e-way bill yet." });
+    } catch (e) {
+      setMsg({ type: "error", text: e.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const onRecord = async (d) => {
+    setBusy(true); setMsg(null);
+    try {
+      const res = await recordEwayBill(d.id, { ewbNo: ewbNo[d.id] });
+      setMsg({ type: "success", text: `${d.number}: e-way bill ${res.ewb_no} valid until ${res.ewb_valid_until}` });
+      setEwbNo((m) => ({ ...m, [d.id]: "" }));
+      await load();
+    } catch (e) {
+      setMsg({ type: "error", text: `${d.number}: ${e.message}` });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 2 }}>
+      <Stack spacing={2}>
+        <Typography variant="h6">E-way bills</Typography>
+        <Typography variant="body2" color="text.secondary">
+          Download the bulk JSON for the portal from posted goods invoices and stock transfers, then record the EWB number it returns.
+          Transport details are added on the invoice preview or when dispatching a transfer.
+        </Typography>
+        {msg && <Alert severity={msg.type}>{msg.text}</Alert>}
+        {busy && <LinearProgress />}
+
+        <Stack direction={{ xs: "column", sm: "row" }} spacing={2} alignItems="center">
+          <TextField size="small" type="date" label="From" value={from} onChange={(e) => setFrom(e.target.value)} InputLabelProps={{ shrink: true }} />
+          <TextField size="small" type="date" label="To" value={to} onChange={(e) => setTo(e.target.value)} InputLabelProps={{ shrink: true }} />
+          <ToggleButtonGroup size="small" exclusive value={status} onChange={(_, v) => v && setStatus(v)}>
+            <ToggleButton value="pending">Pending</ToggleButton>
+            <ToggleButton value="generated">Generated</ToggleButton>
+            <ToggleButton value="all">All</ToggleButton>
+          </ToggleButtonGroup>
+          <Button variant="contained" onClick={load} disabled={busy}>Refresh</Button>
+          <Button variant="outlined" startIcon={<DownloadIcon />} onClick={onDownload} disabled={busy || !selected.length}>
+            Bulk JSON ({selected.length})
+          </Button>
+        </Stack>
+
+        {skipped && (
+          <Alert severity="warning" onClose={() => setSkipped(null)}>
+            Left out of the JSON:
+            <Box component="ul" sx={{ m: 0, pl: 2 }}>
+              {skipped.map((s) => <li key={s.id}>{s.number}: {s.problems.join("; ")}</li>)}
+            </Box>
+          </Alert>
+        )}
+
+        {data && (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell padding="checkbox" />
+                <TableCell>Type</TableCell>
+                <TableCell>No. / date</TableCell>
+                <TableCell>Party</TableCell>
+                <TableCell align="right">Goods value</TableCell>
+                <TableCell>Transport</TableCell>
+                <TableCell>EWB</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {(data.documents || []).map((d) => (
+                <TableRow key={d.id}>
+                  <TableCell padding="checkbox">
+                    {!d.ewb_no && <Checkbox size="small" checked={selected.includes(d.id)} onChange={() => toggle(d.id)} />}
+                  </TableCell>
+                  <TableCell>{TYPE[d.doc_type] || d.doc_type}</TableCell>
+                  <TableCell>{d.number} / {d.date}</TableCell>
+                  <TableCell>{d.party_name || ""}</TableCell>
+                  <TableCell align="right">{fmt(d.goods_value)}</TableCell>
+                  <TableCell>
+                    {transportLabel(d.transport) || <Chip size="small" color="warning" label="missing" />}
+                    {d.transport && !d.ready && !d.ewb_no ? <Chip size="small" sx={{ ml: 1 }} label="incomplete" /> : null}
+                  </TableCell>
+                  <TableCell sx={{ whiteSpace: "nowrap" }}>
+                    {d.ewb_no ? (
+                      <>{d.ewb_no}<br />valid until {d.ewb_valid_until}</>
+                    ) : (
+                      <Stack direction="row" spacing={1} alignItems="center">
+                        <TextField
+                          size="small"
+                          placeholder="12-digit EWB no."
+                          value={ewbNo[d.id] || ""}
+                          onChange={(e) => setEwbNo((m) => ({ ...m, [d.id]: e.target.value }))}
+                          sx={{ width: 160 }}
+                        />
+                        <Button size="small" onClick={() => onRecord(d)} disabled={busy || !(ewbNo[d.id] || "").trim()}>Record</Button>
+                      </Stack>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+              {!data.documents?.length && (
+                <TableRow><TableCell colSpan={7}>No documents.</TableCell></TableRow>
+              )}
+            </TableBody>
+          </Table>
+        )}
+      </Stack>
+    </Paper>
+  );
+}
@@ -8,6 +8,8 @@ const PROFILES = [
   { id: "xlsx-universal-workbook-v1", name: "Universal Workbook (.xlsx)" },
   { id: "csv-universal-journal-v1",  name: "Universal Journal (CSV)" },
   { id: "json-audit-package-v1",    name: "Audit Package (JSON)" },
+  { id: "gstr1-v1",                 name: "GSTR-1 (portal JSON + Excel)" },
+  { id: "tds-26q-v1",               name: "TDS 26Q (NSDL text, quarter of 'To')" },
 ];
 
 export default function ExportPane() {
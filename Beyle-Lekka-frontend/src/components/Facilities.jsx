@@ -0,0 +1,206 @@
+// src/components/Facilities.jsx
+import React, { useEffect, useState } from "react";
+import {
+  Box, Paper, Typography, Stack, Button, TextField, MenuItem, Alert, Chip,
+  Table, TableBody, TableCell, TableHead, TableRow, FormControlLabel, Checkbox
+} from "@mui/material";
+import {
+  getFacilities, getFacility, createFacility, changeFacilityLimit, renewFacility, closeFacility, getBankAccounts
+} from "../services/apiService";
+
+const inr = (n) => (n == null ? "—" : Number(n).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 }));
+const todayISO = () => new Date().toISOString().slice(0, 10);
+const errText = (e) => e?.response?.data?.error || e.message;
+
+const NEW = { target: "", type: "OD", limit: "", validFrom: "", validTo: "", lender: "", sanctionRef: "" };
+
+/** Limit / renew / close form for one facility */
+function FacilityActions({ facility, onDone, setMsg }) {
+  const [mode, setMode] = useState("limit");
+  const [f, setF] = useState({ limit: "", effectiveFrom: todayISO(), validTo: "", closedOn: todayISO(), reason: "", sanctionRef: "" });
+  const [history, setHistory] = useState([]);
+  const set = (k) => (e) => setF((x) => ({ ...x, [k]: e.target.value }));
+
+  useEffect(() => {
+    getFacility(facility.id).then((res) => setHistory(res?.facility?.limits || [])).catch(() => setHistory([]));
+  }, [facility.id]);
+
+  const submit = async () => {
+    try {
+      if (mode === "limit") {
+        await changeFacilityLimit(facility.id, { limit: Number(f.limit), effectiveFrom: f.effectiveFrom, reason: f.reason, sanctionRef: f.sanctionRef });
+      } else if (mode === "renew") {
+        await renewFacility(facility.id, {
+          validTo: f.validTo, reason: f.reason, sanctionRef: f.sanctionRef,
+          ...(f.limit !== "" ? { limit: Number(f.limit), effectiveFrom: f.effectiveFrom || undefined } : {}),
+        });
+      } else {
+        await closeFacility(facility.id, { closedOn: f.closedOn, reason: f.reason });
+      }
+      setMsg({ type: "success", text: `${facility.primary_account}: ${mode === "limit" ? "limit changed" : mode === "renew" ? "renewed" : "closed"}.` });
+      onDone();
+    } catch (e) {
+      setMsg({ type: "error", text: errText(e) });
+    }
+  };
+
+  return (
+    <Box sx={{ p: 1, bgcolor: "action.hover" }}>
+      <Typography variant="caption" sx={{ display: "block", mb: 1 }}>
+        Limit history: {history.map((h) => `${h.effective_from} → ${inr(h.limit)}${h.sanction_ref ? ` (${h.sanction_ref})` : ""}`).join("; ") || "—"}
+      </Typography>
+      <Stack direction={{ xs: "column", md: "row" }} spacing={1} alignItems="center">
+        <TextField size="small" select label="Action" value={mode} onChange={(e) => setMode(e.target.value)} sx={{ minWidth: 130 }}>
+          <MenuItem value="limit">Change limit</MenuItem>
+          <MenuItem value="renew">Renew</MenuItem>
+          <MenuItem value="close">Close</MenuItem>
+        </TextField>
+        {mode === "renew" && (
+          <TextField size="small" type="date" label="Valid to" value={f.validTo} onChange={set("validTo")} InputLabelProps={{ shrink: true }} />
+        )}
+        {mode !== "close" && (
+          <>
+            <TextField size="small" type="number" label={mode === "renew" ? "New limit (optional)" : "New limit"} value={f.limit} onChange={set("limit")} />
+            <TextField size="small" type="date" label="Effective from" value={f.effectiveFrom} onChange={set("effectiveFrom")} InputLabelProps={{ shrink: true }} />
+            <TextField size="small" label="Sanction ref" value={f.sanctionRef} onChange={set("sanctionRef")} />
+          </>
+        )}
+        {mode === "close" && (
+          <TextField size="small" type="date" label="Closed on" value={f.closedOn} onChange={set("closedOn")} InputLabelProps={{ shrink: true }} />
+        )}
+        <TextField size="small" label="Reason" value={f.reason} onChange={set("reason")} />
+        <Button variant="contained" size="small" onClick={submit}>Apply</Button>
+      </Stack>
+    </Box>
+  );
+}
+
+/** Facilities panel: limit, utilised, holds and available as of a date */
+export default function Facilities() {
+  const [asOf, setAsOf] = useState(todayISO());
+  const [includeClosed, setIncludeClosed] = useState(false);
+  const [rows, setRows] = useState([]);
+  const [accounts, setAccounts] = useState([]);
+  const [open, setOpen] = useState(null);
+  const [form, setForm] = useState(NEW);
+  const [msg, setMsg] = useState(null);
+
+  const load = async () => {
+    try {
+      const res = await getFacilities({ asOf, includeClosed: includeClosed ? 1 : undefined });
+      setRows(res?.facilities || []);
+    } catch (e) {
+      setMsg({ type: "error", text: errText(e) });
+    }
+  };
+
+  useEffect(() => { load(); }, [asOf, includeClosed]); // eslint-disable-line react-hooks/exhaustive-deps
+  useEffect(() => {
+    getBankAccounts().then((res) => setAccounts(res?.accounts || [])).catch(() => setAccounts([]));
+  }, []);
+
+  const set = (k) => (e) => setForm((f) => ({ ...f, [k]: e.target.value }));
+
+  const create = async () => {
+    setMsg(null);
+    try {
+      const bank = accounts.find((a) => a.id === form.target);
+      await createFacility({
+        ...(bank ? { bankAccountId: bank.id } : { account: form.target }),
+        type: form.type, limit: Number(form.limit), validFrom: form.validFrom || null, validTo: form.validTo || null,
+        lender: form.lender || null, sanctionRef: form.sanctionRef || null,
+      });
+      setMsg({ type: "success", text: "Facility created." });
+      setForm(NEW);
+      await load();
+    } catch (e) {
+      setMsg({ type: "error", text: errText(e) });
+    }
+  };
+
+  return (
+    <Box>
+      <Typography variant="h6" sx={{ mb: 1, fontWeight: 700 }}>Facilities</Typography>
+      {msg && <Alert severity={msg.type} sx={{ mb: 1 }}>{msg.text}</Alert>}
+
+      <Paper variant="outlined" sx={{ p: 2, mb: 2 }}>
+        <Stack direction="row" spacing={2} alignItems="center" sx={{ mb: 1 }}>
+          <TextField size="small" type="date" label="As of" value={asOf} onChange={(e) => setAsOf(e.target.value)} InputLabelProps={{ shrink: true }} />
+          <FormControlLabel control={<Checkbox checked={includeClosed} onChange={(e) => setIncludeClosed(e.target.checked)} />} label="Show closed" />
+        </Stack>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Ledger</TableCell>
+              <TableCell>Type</TableCell>
+              <TableCell>Validity</TableCell>
+              <TableCell align="right">Limit</TableCell>
+              <TableCell align="right">Utilised</TableCell>
+              <TableCell align="right">Holds</TableCell>
+              <TableCell align="right">Available</TableCell>
+              <TableCell />
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {rows.map((f) => (
+              <React.Fragment key={f.id}>
+                <TableRow>
+                  <TableCell>
+                    {f.primary_account}{" "}
+                    {f.status === "closed" && <Chip size="small" label="closed" />}
+                  </TableCell>
+                  <TableCell>{f.facility_type}</TableCell>
+                  <TableCell>{f.valid_from || "…"} → {f.valid_to || "…"}</TableCell>
+                  <TableCell align="right">{inr(f.headroom?.limit)}</TableCell>
+                  <TableCell align="right">{inr(f.headroom?.utilised)}</TableCell>
+                  <TableCell align="right">{inr(f.headroom?.holds)}</TableCell>
+                  <TableCell align="right" sx={{ fontWeight: 700, color: (f.headroom?.available || 0) < 0 ? "error.main" : undefined }}>
+                    {inr(f.headroom?.available)}
+                  </TableCell>
+                  <TableCell>
+                    <Button size="small" onClick={() => setOpen(open === f.id ? null : f.id)}>
+                      {open === f.id ? "Hide" : "Manage"}
+                    </Button>
+                  </TableCell>
+                </TableRow>
+                {open === f.id && (
+                  <TableRow>
+                    <TableCell colSpan={8}>
+                      <FacilityActions facility={f} setMsg={setMsg} onDone={() => { setOpen(null); load(); }} />
+                    </TableCell>
+                  </TableRow>
+                )}
+              </React.Fragment>
+            ))}
+            {!rows.length && (
+              <TableRow><TableCell colSpan={8}>No facilities.</TableCell></TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </Paper>
+
+      <Paper variant="outlined" sx={{ p: 2 }}>
+        <Typography variant="subtitle2" sx={{ mb: 1 }}>New facility</Typography>
+        <Stack direction={{ xs: "column", md: "row" }} spacing={1} alignItems="center">
+          <TextField size="small" select label="Bank account" value={accounts.some((a) => a.id === form.target) ? form.target : ""}
+                     onChange={set("target")} sx={{ minWidth: 200 }}>
+            <MenuItem value="">(ledger below)</MenuItem>
+            {accounts.map((a) => <MenuItem key={a.id} value={a.id}>{a.name}</MenuItem>)}
+          </TextField>
+          {!accounts.some((a) => a.id === form.target) && (
+            <TextField size="small" label="Ledger" placeholder="e.g. Loan - SBI Term Loan" value={form.target} onChange={set("target")} />
+          )}
+          <TextField size="small" select label="Type" value={form.type} onChange={set("type")} sx={{ minWidth: 120 }}>
+            {["OD", "OCC", "LOAN", "LIMIT_ONLY"].map((t) => <MenuItem key={t} value={t}>{t}</MenuItem>)}
+          </TextField>
+          <TextField size="small" type="number" label="Limit" value={form.limit} onChange={set("limit")} />
+          <TextField size="small" type="date" label="Valid from" value={form.validFrom} onChange={set("validFrom")} InputLabelProps={{ shrink: true }} />
+          <TextField size="small" type="date" label="Valid to" value={form.validTo} onChange={set("validTo")} InputLabelProps={{ shrink: true }} />
+          <TextField size="small" label="Lender" value={form.lender} onChange={set("lender")} />
+          <TextField size="small" label="Sanction ref" value={form.sanctionRef} onChange={set("sanctionRef")} />
+          <Button variant="contained" onClick={create} disabled={!form.target || form.limit === ""}>Create</Button>
+        </Stack>
+      </Paper>
+    </Box>
+  );
+}
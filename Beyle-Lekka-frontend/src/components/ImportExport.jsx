@@ -3,6 +3,10 @@ import React, { useState } from "react";
 import { Box, Tabs, Tab, Stack } from "@mui/material";
 import ImportWizard from "./ImportWizard";
 import ExportPane from "./ExportPane";
+import ItcReconciliation from "./ItcReconciliation";
+import EInvoices from "./EInvoices";
+import EWayBills from "./EWayBills";
+import CreditDebitNotes from "./CreditDebitNotes";
 
 export default function ImportExport() {
   const [tab, setTab] = useState(0);
@@ -11,10 +15,18 @@ export default function ImportExport() {
       <Tabs value={tab} onChange={(_, v) => setTab(v)} sx={{ mb: 2 }}>
         <Tab label="Import" />
         <Tab label="Export" />
+        <Tab label="GSTR-2B Reco" />
+        <Tab label="E-invoice" />
+        <Tab label="E-way bill" />
+        <Tab label="Credit/debit notes" />
       </Tabs>
       <Stack spacing={2}>
         {tab === 0 && <ImportWizard />}
         {tab === 1 && <ExportPane />}
+        {tab === 2 && <ItcReconciliation />}
+        {tab === 3 && <EInvoices />}
+        {tab === 4 && <EWayBills />}
+        {tab === 5 && <CreditDebitNotes />}
       </Stack>
     </Box>
   );
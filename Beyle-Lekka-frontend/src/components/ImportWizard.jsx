@@ -1,8 +1,8 @@
 // src/components/ImportWizard.jsx
-import React, { useMemo, useState } from "react";
+import React, { useEffect, useMemo, useState } from "react";
 import {
   Box, Paper, Stack, Typography, Button, Alert, Divider,
-  Select, MenuItem, FormControl, InputLabel, Chip, LinearProgress
+  Select, MenuItem, FormControl, InputLabel, Chip, LinearProgress, TextField
 } from "@mui/material";
 import CloudUploadIcon from "@mui/icons-material/CloudUpload";
 import PreviewIcon from "@mui/icons-material/Preview";
@@ -11,14 +11,18 @@ import DownloadIcon from "@mui/icons-material/Download";
 
 import {
   importUpload, importGetBatch, importSetProfile,
-  importPreview, importCommit, downloadTemplate
+  importPreview, importCommit, downloadTemplate, getBankAccounts
 } from "../services/apiService";
 
 const PROFILES = [
   { id: "xlsx-universal-workbook-v1", name: "Universal Workbook (.xlsx)" },
   { id: "csv-universal-journal-v1",  name: "Universal Journal (CSV)" },
   { id: "csv-bank-statement-v1",    name: "Bank Statement (CSV)" },
+  { id: "ofx-bank-statement-v1",    name: "Bank Statement (OFX / QFX)" },
+  { id: "camt053-bank-statement-v1", name: "Bank Statement (CAMT.053)" },
+  { id: "mt940-bank-statement-v1",  name: "Bank Statement (MT940)" },
   { id: "json-audit-package-v1",    name: "Audit Package (JSON)" },
+  { id: "gstr2b-json-v1",           name: "GSTR-2B (portal JSON)" },
 ];
 
 export default function ImportWizard() {
@@ -32,6 +36,12 @@ export default function ImportWizard() {
 
   const [counts, setCounts] = useState(null);
   const [unknownAccounts, setUnknownAccounts] = useState([]);
+  const [bankAccountId, setBankAccountId] = useState("");
+  const [bankAccounts, setBankAccounts] = useState([]);
+
+  useEffect(() => {
+    getBankAccounts().then((res) => setBankAccounts(res?.accounts || [])).catch(() => setBankAccounts([]));
+  }, []);
 
   const [step, setStep] = useState(1); // 1 upload, 2 profile/preview, 3 commit, 4 done
 
@@ -82,7 +92,7 @@ export default function ImportWizard() {
     if (!batchId) return;
     setBusy(true); setMsg(null);
     try {
-      const res = await importPreview(batchId);
+      const res = await importPreview(batchId, bankAccountId ? { bankAccountId } : undefined);
       if (!res?.ok) throw new Error(res?.error || "Preview failed");
       setCounts(res.counts || null);
       setUnknownAccounts(res.unknownAccounts || []);
@@ -99,9 +109,15 @@ export default function ImportWizard() {
     if (!batchId) return;
     setBusy(true); setMsg(null);
     try {
-      const res = await importCommit(batchId);
+      const res = await importCommit(batchId, counts?.bankTransactions ? { bankAccountId } : {});
       if (!res?.ok) throw new Error(res?.error || "Commit failed");
-      setMsg({ type: "success", text: `Committed: ${res.result?.inserted || 0} inserted, ${res.result?.skipped || 0} skipped, ${res.result?.errors || 0} errors.` });
+      const r = res.result || {};
+      setMsg({
+        type: "success",
+        text: counts?.bankTransactions
+          ? `Bank statement imported: ${r.imported || 0} lines, ${r.duplicates || 0} duplicates skipped.`
+          : `Committed: ${r.inserted || 0} inserted, ${r.skipped || 0} skipped, ${r.errors || 0} errors.`,
+      });
       setStep(4);
     } catch (e) {
       setMsg({ type: "error", text: e.message });
@@ -125,9 +141,14 @@ export default function ImportWizard() {
 
         {/* Step 1: upload */}
         <Box>
-          <Typography variant="subtitle2" sx={{ mb: 1 }}>1) Upload a file (XLSX/CSV/JSON)</Typography>
+          <Typography variant="subtitle2" sx={{ mb: 1 }}>1) Upload a file (XLSX/CSV/JSON, or a bank statement in OFX/QFX, CAMT.053 or MT940)</Typography>
           <Stack direction="row" spacing={2} alignItems="center">
             <input type="file" onChange={onChooseFile} />
+            <TextField size="small" select label="Bank account (statements)" value={bankAccountId}
+                       onChange={(e) => setBankAccountId(e.target.value)} sx={{ minWidth: 220 }}>
+              <MenuItem value="">None</MenuItem>
+              {bankAccounts.map((a) => <MenuItem key={a.id} value={a.id}>{a.name}</MenuItem>)}
+            </TextField>
             <Button variant="contained" startIcon={<CloudUploadIcon />} onClick={onUpload} disabled={!file || busy}>
               Upload
             </Button>
@@ -188,8 +209,28 @@ export default function ImportWizard() {
               <Chip color={(counts.estimatedDuplicates || 0) > 0 ? "warning" : "default"}
                     label={`Estimated duplicates: ${counts.estimatedDuplicates || 0}`} />
               <Chip label={`Unique accounts in file: ${counts.uniqueAccounts || 0}`} />
+              {counts.gstr2bDocuments > 0 && (
+                <Chip color="primary" label={`GSTR-2B documents: ${counts.gstr2bDocuments}${counts.returnPeriod ? ` (${counts.returnPeriod})` : ""}`} />
+              )}
+              {counts.bankTransactions > 0 && (
+                <Chip color="primary" label={`Bank lines: ${counts.bankTransactions}`} />
+              )}
+              {counts.bankDuplicates > 0 && (
+                <Chip color="warning" label={`Already imported: ${counts.bankDuplicates}`} />
+              )}
             </Stack>
 
+            {(counts.statements || []).map((st, i) => (
+              <Typography key={i} variant="caption" sx={{ display: "block", mt: 1 }}>
+                Statement {st.account || ""} {st.from || "?"} → {st.to || "?"}: {st.lines} lines,
+                opening {st.opening_cents == null ? "—" : (st.opening_cents / 100).toFixed(2)},
+                closing {st.closing_cents == null ? "—" : (st.closing_cents / 100).toFixed(2)}
+              </Typography>
+            ))}
+            {counts.bankTransactions > 0 && !bankAccountId && (
+              <Alert severity="warning" sx={{ mt: 2 }}>Choose the bank account above before committing a bank statement.</Alert>
+            )}
+
             {unknownAccounts?.length > 0 && (
               <Alert severity="info" sx={{ mt: 2 }}>
                 Unknown / new ledgers detected (sample):
@@ -200,7 +241,8 @@ export default function ImportWizard() {
             )}
 
             <Stack direction="row" spacing={2} sx={{ mt: 2 }}>
-              <Button variant="contained" color="success" startIcon={<DoneAllIcon />} onClick={onCommit} disabled={busy}>
+              <Button variant="contained" color="success" startIcon={<DoneAllIcon />} onClick={onCommit}
+                      disabled={busy || (counts.bankTransactions > 0 && !bankAccountId)}>
                 Commit & Post
               </Button>
             </Stack>
@@ -0,0 +1,772 @@
+// src/components/Inventory.jsx
+import React, { useEffect, useState } from "react";
+import {
+  Box, Paper, Typography, Stack, Button, TextField, MenuItem, Alert, Chip, Tabs, Tab,
+  Table, TableBody, TableCell, TableHead, TableRow, FormControlLabel, Checkbox, IconButton
+} from "@mui/material";
+import {
+  getItems, saveItem, deleteItem, postStockMovement, postGrn,
+  getStockSummary, getStockRegister, getStockValuation, getStockExpiry,
+  getInventorySettings, saveInventorySettings, extractGrn, getStockByWarehouse,
+  getWarehouses, saveWarehouse, getStockTransfers, createStockTransfer, receiveStockTransfer, cancelStockTransfer
+} from "../services/apiService";
+
+const inr = (n) => (n == null ? "—" : Number(n).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 }));
+const qtyFmt = (n) => (n == null ? "—" : Number(n).toLocaleString("en-IN", { maximumFractionDigits: 3 }));
+const todayISO = () => new Date().toISOString().slice(0, 10);
+const errText = (e) => e?.response?.data?.error || e.message;
+
+const NEW_ITEM = { id: null, code: "", name: "", uom: "NOS", hsn: "", gstRate: "", reorderLevel: "", stockTracked: true,
+  costingMethod: "", batchTracked: false };
+const NEW_LINE = { itemId: "", qty: "", rate: "", batchNo: "", expiryDate: "" };
+const METHOD_LABEL = { wavg: "Weighted average", fifo: "FIFO" };
+const NEW_WAREHOUSE = { id: null, code: "", name: "", address: "", isDefault: false, isActive: true };
+const NEW_TRANSFER_LINE = { itemId: "", qty: "", batchNo: "" };
+
+/** Warehouse select; "" = the workspace default (or, with allLabel, every location) */
+function WarehousePicker({ warehouses, value, onChange, label = "Warehouse", allLabel = null, sx }) {
+  return (
+    <TextField size="small" select label={label} value={value} onChange={onChange} sx={{ minWidth: 180, ...sx }}>
+      <MenuItem value="">{allLabel || "Default warehouse"}</MenuItem>
+      {warehouses.map((w) => <MenuItem key={w.id} value={w.id}>{w.name}{Number(w.is_default) ? " (default)" : ""}</MenuItem>)}
+    </TextField>
+  );
+}
+
+/** Item master: list + form */
+function Items({ items, reload, setMsg }) {
+  const [settings, setSettings] = useState(null);
+  const [form, setForm] = useState(NEW_ITEM);
+  const set = (k) => (e) => setForm((f) => ({ ...f, [k]: e.target.type === "checkbox" ? e.target.checked : e.target.value }));
+
+  const edit = (it) => setForm({
+    id: it.id, code: it.code, name: it.name, uom: it.uom || "", hsn: it.hsn || "",
+    gstRate: it.gst_rate ?? "", reorderLevel: it.reorder_level ?? "", stockTracked: !!Number(it.stock_tracked),
+    costingMethod: it.costing_method || "", batchTracked: !!Number(it.batch_tracked),
+  });
+
+  useEffect(() => {
+    getInventorySettings().then((r) => setSettings(r?.settings || null)).catch(() => {});
+  }, []);
+
+  const saveSettings = async () => {
+    try {
+      const r = await saveInventorySettings(settings);
+      setSettings(r?.settings || settings);
+      setMsg({ type: "success", text: "Inventory settings saved." });
+    } catch (e) {
+      setMsg({ type: "error", text: errText(e) });
+    }
+  };
+
+  const save = async () => {
+    try {
+      const { id, ...body } = form;
+      await saveItem(id, {
+        ...body,
+        gstRate: body.gstRate === "" ? null : Number(body.gstRate),
+        reorderLevel: body.reorderLevel === "" ? null : Number(body.reorderLevel),
+        costingMethod: body.costingMethod || null,
+      });
+      setMsg({ type: "success", text: `Item ${form.code} saved.` });
+      setForm(NEW_ITEM);
+      reload();
+    } catch (e) {
+      setMsg({ type: "error", text: errText(e) });
+    }
+  };
+
+  const remove = async (it) => {
+    try {
+      const res = await deleteItem(it.id);
+      setMsg({ type: "success", text: `${it.code} ${res?.deactivated ? "deactivated (has stock history)" : "deleted"}.` });
+      reload();
+    } catch (e) {
+      setMsg({ type: "error", text: errText(e) });
+    }
+  };
+
+  return (
+    <>
+      {settings && (
+        <Stack direction={{ xs: "column", md: "row" }} spacing={1} alignItems="center" sx={{ mb: 2 }}>
+          <Typography variant="subtitle2">Workspace costing</Typography>
+          <TextField size="small" select label="Default method" value={settings.costingMethod}
+            onChange={(e) => setSettings((s) => ({ ...s, costingMethod: e.target.value }))} sx={{ minWidth: 180 }}>
+            {Object.entries(METHOD_LABEL).map(([k, v]) => <MenuItem key={k} value={k}>{v}</MenuItem>)}
+          </TextField>
+          <TextField size="small" label="Inventory ledger" value={settings.inventoryLedger}
+            onChange={(e) => setSettings((s) => ({ ...s, inventoryLedger: e.target.value }))} />
+          <Button size="small" onClick={saveSettings}>Save settings</Button>
+        </Stack>
+      )}
+
+      <Table size="small" sx={{ mb: 2 }}>
+        <TableHead>
+          <TableRow>
+            <TableCell>Code</TableCell>
+            <TableCell>Name</TableCell>
+            <TableCell>UOM</TableCell>
+            <TableCell>HSN</TableCell>
+            <TableCell align="right">GST %</TableCell>
+            <TableCell>Costing</TableCell>
+            <TableCell align="right">Reorder level</TableCell>
+            <TableCell align="right">On hand</TableCell>
+            <TableCell />
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {items.map((it) => (
+            <TableRow key={it.id}>
+              <TableCell>{it.code} {!Number(it.is_active) && <Chip size="small" label="inactive" />}</TableCell>
+              <TableCell>{it.name}</TableCell>
+              <TableCell>{it.uom}</TableCell>
+              <TableCell>{it.hsn}</TableCell>
+              <TableCell align="right">{it.gst_rate ?? "—"}</TableCell>
+              <TableCell>
+                {it.costing_method ? METHOD_LABEL[it.costing_method] : "Workspace default"}
+                {!!Number(it.batch_tracked) && <Chip size="small" label="batches" sx={{ ml: 0.5 }} />}
+              </TableCell>
+              <TableCell align="right">{it.reorder_level ?? "—"}</TableCell>
+              <TableCell align="right" sx={{ color: it.reorder_level != null && Number(it.on_hand) <= Number(it.reorder_level) ? "warning.main" : undefined }}>
+                {Number(it.stock_tracked) ? qtyFmt(it.on_hand) : "—"}
+              </TableCell>
+              <TableCell>
+                <Button size="small" onClick={() => edit(it)}>Edit</Button>
+                <IconButton size="small" onClick={() => remove(it)} title="Delete">✕</IconButton>
+              </TableCell>
+            </TableRow>
+          ))}
+          {!items.length && <TableRow><TableCell colSpan={9}>No items.</TableCell></TableRow>}
+        </TableBody>
+      </Table>
+
+      <Typography variant="subtitle2" sx={{ mb: 1 }}>{form.id ? `Edit ${form.code}` : "New item"}</Typography>
+      <Stack direction={{ xs: "column", md: "row" }} spacing={1} alignItems="center">
+        <TextField size="small" label="Code" value={form.code} onChange={set("code")} />
+        <TextField size="small" label="Name" value={form.name} onChange={set("name")} />
+        <TextField size="small" label="UOM" value={form.uom} onChange={set("uom")} sx={{ width: 90 }} />
+        <TextField size="small" label="HSN/SAC" value={form.hsn} onChange={set("hsn")} sx={{ width: 120 }} />
+        <TextField size="small" select label="GST %" value={form.gstRate} onChange={set("gstRate")} sx={{ width: 100 }}>
+          <MenuItem value="">—</MenuItem>
+          {[0, 0.25, 3, 5, 12, 18, 28].map((r) => <MenuItem key={r} value={r}>{r}</MenuItem>)}
+        </TextField>
+        <TextField size="small" type="number" label="Reorder level" value={form.reorderLevel} onChange={set("reorderLevel")} sx={{ width: 130 }} />
+        <TextField size="small" select label="Costing" value={form.costingMethod} onChange={set("costingMethod")} sx={{ minWidth: 170 }}>
+          <MenuItem value="">Workspace default</MenuItem>
+          {Object.entries(METHOD_LABEL).map(([k, v]) => <MenuItem key={k} value={k}>{v}</MenuItem>)}
+        </TextField>
+        <FormControlLabel control={<Checkbox checked={form.stockTracked} onChange={set("stockTracked")} />} label="Track stock" />
+        <FormControlLabel control={<Checkbox checked={form.batchTracked} onChange={set("batchTracked")} />} label="Batches / expiry" />
+        <Button variant="contained" onClick={save} disabled={!form.code || !form.name}>Save</Button>
+        {form.id && <Button onClick={() => setForm(NEW_ITEM)}>Cancel</Button>}
+      </Stack>
+    </>
+  );
+}
+
+/** GRN (several lines, optionally prefilled from challan text) or a single opening / receipt / issue / adjustment */
+function Movements({ items, warehouses, reload, setMsg }) {
+  const tracked = items.filter((it) => Number(it.stock_tracked) && Number(it.is_active));
+  const [grn, setGrn] = useState({ number: "", date: todayISO(), supplier: "", warehouseId: "", lines: [NEW_LINE] });
+  const [challan, setChallan] = useState("");
+  const [mv, setMv] = useState({ itemId: "", kind: "opening", date: todayISO(), qty: "", rate: "", narration: "", batchNo: "", expiryDate: "", warehouseId: "" });
+  const batched = (id) => !!Number(items.find((it) => it.id === id)?.batch_tracked);
+  const setLine = (i, k) => (e) => setGrn((g) => ({ ...g, lines: g.lines.map((l, j) => (j === i ? { ...l, [k]: e.target.value } : l)) }));
+  const setM = (k) => (e) => setMv((x) => ({ ...x, [k]: e.target.value }));
+
+  const prefill = async () => {
+    try {
+      const { draft } = await extractGrn({ text: challan, warehouseId: grn.warehouseId || undefined });
+      setGrn((g) => ({
+        ...g,
+        number: draft?.number || g.number,
+        date: draft?.date || g.date,
+        supplier: draft?.supplier || g.supplier,
+        warehouseId: draft?.warehouseId || g.warehouseId,
+      }));
+      setMsg({ type: draft?.note ? "warning" : "info", text: draft?.note || `Challan read; goods will land in ${draft?.warehouse}.` });
+    } catch (e) {
+      setMsg({ type: "error", text: errText(e) });
+    }
+  };
+
+  const receive = async () => {
+    try {
+      const res = await postGrn({
+        number: grn.number, date: grn.date, supplier: grn.supplier || null, warehouseId: grn.warehouseId || null,
+        items: grn.lines.filter((l) => l.itemId && l.qty).map((l) => ({
+          itemId: l.itemId, qty: Number(l.qty), rate: Number(l.rate),
+          batchNo: l.batchNo || null, expiryDate: l.expiryDate || null,
+        })),
+      });
+      setMsg({ type: "success", text: `GRN ${res?.number} received (${res?.movements?.length || 0} lines).` });
+      setGrn({ number: "", date: todayISO(), supplier: "", warehouseId: grn.warehouseId, lines: [NEW_LINE] });
+      setChallan("");
+      reload();
+    } catch (e) {
+      setMsg({ type: "error", text: errText(e) });
+    }
+  };
+
+  const move = async () => {
+    try {
+      const res = await postStockMovement({
+        itemId: mv.itemId, kind: mv.kind, date: mv.date, qty: Number(mv.qty),
+        rate: mv.rate === "" ? null : Number(mv.rate), narration: mv.narration || null,
+        batchNo: mv.batchNo || null, expiryDate: mv.expiryDate || null, warehouseId: mv.warehouseId || null,
+      });
+      setMsg({ type: "success", text: `${res?.movement?.code}: ${mv.kind} posted in ${res?.movement?.warehouse} at ${inr(res?.movement?.rate)} / unit.` });
+      setMv((x) => ({ ...x, qty: "", rate: "", narration: "", batchNo: "", expiryDate: "" }));
+      reload();
+    } catch (e) {
+      setMsg({ type: "error", text: errText(e) });
+    }
+  };
+
+  const itemPicker = (value, onChange) => (
+    <TextField size="small" select label="Item" value={value} onChange={onChange} sx={{ minWidth: 220 }}>
+      {tracked.map((it) => <MenuItem key={it.id} value={it.id}>{it.code} – {it.name}</MenuItem>)}
+    </TextField>
+  );
+
+  return (
+    <>
+      <Typography variant="subtitle2" sx={{ mb: 1 }}>Goods received note</Typography>
+      <Stack direction={{ xs: "column", md: "row" }} spacing={1} alignItems="center" sx={{ mb: 1 }}>
+        <TextField size="small" multiline minRows={1} maxRows={4} label="Paste delivery challan text (optional)" value={challan}
+          onChange={(e) => setChallan(e.target.value)} sx={{ flex: 1 }} />
+        <Button size="small" onClick={prefill} disabled={!challan.trim()}>Read challan</Button>
+      </Stack>
+      <Stack direction={{ xs: "column", md: "row" }} spacing={1} sx={{ mb: 1 }}>
+        <TextField size="small" label="GRN / DC no." value={grn.number} onChange={(e) => setGrn((g) => ({ ...g, number: e.target.value }))} />
+        <TextField size="small" type="date" label="Date" value={grn.date} onChange={(e) => setGrn((g) => ({ ...g, date: e.target.value }))} InputLabelProps={{ shrink: true }} />
+        <TextField size="small" label="Supplier" value={grn.supplier} onChange={(e) => setGrn((g) => ({ ...g, supplier: e.target.value }))} />
+        <WarehousePicker warehouses={warehouses} value={grn.warehouseId} onChange={(e) => setGrn((g) => ({ ...g, warehouseId: e.target.value }))} label="Receive into" />
+      </Stack>
+      {grn.lines.map((l, i) => (
+        <Stack key={i} direction="row" spacing={1} sx={{ mb: 1 }}>
+          {itemPicker(l.itemId, setLine(i, "itemId"))}
+          <TextField size="small" type="number" label="Qty" value={l.qty} onChange={setLine(i, "qty")} sx={{ width: 110 }} />
+          <TextField size="small" type="number" label="Rate" value={l.rate} onChange={setLine(i, "rate")} sx={{ width: 130 }} />
+          {batched(l.itemId) && (
+            <>
+              <TextField size="small" label="Batch" value={l.batchNo} onChange={setLine(i, "batchNo")} sx={{ width: 130 }} />
+              <TextField size="small" type="date" label="Expiry" value={l.expiryDate} onChange={setLine(i, "expiryDate")} InputLabelProps={{ shrink: true }} />
+            </>
+          )}
+        </Stack>
+      ))}
+      <Stack direction="row" spacing={1} sx={{ mb: 3 }}>
+        <Button size="small" onClick={() => setGrn((g) => ({ ...g, lines: [...g.lines, NEW_LINE] }))}>Add line</Button>
+        <Button variant="contained" onClick={receive} disabled={!grn.number || !grn.lines.some((l) => l.itemId && l.qty)}>Receive</Button>
+      </Stack>
+
+      <Typography variant="subtitle2" sx={{ mb: 1 }}>Single movement</Typography>
+      <Stack direction={{ xs: "column", md: "row" }} spacing={1} alignItems="center">
+        {itemPicker(mv.itemId, setM("itemId"))}
+        <WarehousePicker warehouses={warehouses} value={mv.warehouseId} onChange={setM("warehouseId")} />
+        <TextField size="small" select label="Kind" value={mv.kind} onChange={setM("kind")} sx={{ minWidth: 130 }}>
+          {["opening", "receipt", "issue", "adjustment"].map((k) => <MenuItem key={k} value={k}>{k}</MenuItem>)}
+        </TextField>
+        <TextField size="small" type="date" label="Date" value={mv.date} onChange={setM("date")} InputLabelProps={{ shrink: true }} />
+        <TextField size="small" type="number" label={mv.kind === "adjustment" ? "Qty (± )" : "Qty"} value={mv.qty} onChange={setM("qty")} sx={{ width: 110 }} />
+        {mv.kind !== "issue" && <TextField size="small" type="number" label="Rate" value={mv.rate} onChange={setM("rate")} sx={{ width: 130 }} />}
+        {batched(mv.itemId) && (
+          <TextField size="small" label={mv.kind === "issue" ? "Batch (optional)" : "Batch"} value={mv.batchNo} onChange={setM("batchNo")} sx={{ width: 140 }} />
+        )}
+        {batched(mv.itemId) && mv.kind !== "issue" && (
+          <TextField size="small" type="date" label="Expiry" value={mv.expiryDate} onChange={setM("expiryDate")} InputLabelProps={{ shrink: true }} />
+        )}
+        <TextField size="small" label="Narration" value={mv.narration} onChange={setM("narration")} />
+        <Button variant="contained" onClick={move} disabled={!mv.itemId || !mv.qty}>Post</Button>
+      </Stack>
+    </>
+  );
+}
+
+/** Stock summary, valuation (reconciled to the inventory ledger), expiry and item movement register */
+function Reports({ items, warehouses, setMsg }) {
+  const [kind, setKind] = useState("summary");
+  const [warehouseId, setWarehouseId] = useState("");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState(todayISO());
+  const [itemId, setItemId] = useState("");
+  const [days, setDays] = useState(30);
+  const [data, setData] = useState(null);
+
+  const run = async () => {
+    try {
+      const wh = warehouseId || undefined;
+      if (kind === "summary") setData(await getStockSummary({ from: from || undefined, to, warehouseId: wh }));
+      else if (kind === "valuation") setData(await getStockValuation({ asOf: to, warehouseId: wh }));
+      else if (kind === "expiry") setData(await getStockExpiry({ asOf: to, days, warehouseId: wh }));
+      else if (kind === "locations") setData(await getStockByWarehouse({ asOf: to }));
+      else setData(await getStockRegister({ itemId, from: from || undefined, to, warehouseId: wh }));
+    } catch (e) {
+      setMsg({ type: "error", text: errText(e) });
+    }
+  };
+
+  useEffect(() => { setData(null); }, [kind]);
+
+  return (
+    <>
+      <Stack direction={{ xs: "column", md: "row" }} spacing={1} alignItems="center" sx={{ mb: 2 }}>
+        <TextField size="small" select label="Report" value={kind} onChange={(e) => setKind(e.target.value)} sx={{ minWidth: 180 }}>
+          <MenuItem value="summary">Stock summary</MenuItem>
+          <MenuItem value="valuation">Valuation</MenuItem>
+          <MenuItem value="expiry">Expired / near expiry</MenuItem>
+          <MenuItem value="register">Movement register</MenuItem>
+          <MenuItem value="locations">Stock by warehouse</MenuItem>
+        </TextField>
+        {kind !== "locations" && (
+          <WarehousePicker warehouses={warehouses} value={warehouseId} onChange={(e) => setWarehouseId(e.target.value)} allLabel="All warehouses" />
+        )}
+        {kind === "register" && (
+          <TextField size="small" select label="Item" value={itemId} onChange={(e) => setItemId(e.target.value)} sx={{ minWidth: 220 }}>
+            {items.map((it) => <MenuItem key={it.id} value={it.id}>{it.code} – {it.name}</MenuItem>)}
+          </TextField>
+        )}
+        {kind === "expiry" && (
+          <TextField size="small" type="number" label="Within days" value={days} onChange={(e) => setDays(e.target.value)} sx={{ width: 120 }} />
+        )}
+        {kind !== "valuation" && kind !== "expiry" && kind !== "locations" && (
+          <TextField size="small" type="date" label="From" value={from} onChange={(e) => setFrom(e.target.value)} InputLabelProps={{ shrink: true }} />
+        )}
+        <TextField size="small" type="date" label={["valuation", "expiry", "locations"].includes(kind) ? "As of" : "To"} value={to} onChange={(e) => setTo(e.target.value)} InputLabelProps={{ shrink: true }} />
+        <Button variant="contained" onClick={run} disabled={kind === "register" && !itemId}>Run</Button>
+      </Stack>
+
+      {data && kind === "summary" && (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Item</TableCell>
+              <TableCell align="right">Opening</TableCell>
+              <TableCell align="right">In</TableCell>
+              <TableCell align="right">Out</TableCell>
+              <TableCell align="right">Closing</TableCell>
+              <TableCell align="right">Rate</TableCell>
+              <TableCell align="right">Value</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {(data.rows || []).map((r) => (
+              <TableRow key={r.id}>
+                <TableCell>{r.code} – {r.name} {r.below_reorder && <Chip size="small" color="warning" label="reorder" />}</TableCell>
+                <TableCell align="right">{qtyFmt(r.opening_qty)}</TableCell>
+                <TableCell align="right">{qtyFmt(r.in_qty)}</TableCell>
+                <TableCell align="right">{qtyFmt(r.out_qty)}</TableCell>
+                <TableCell align="right">{qtyFmt(r.closing_qty)} {r.uom}</TableCell>
+                <TableCell align="right">{inr(r.rate)}</TableCell>
+                <TableCell align="right">{inr(r.closing)}</TableCell>
+              </TableRow>
+            ))}
+            <TableRow>
+              <TableCell colSpan={6} sx={{ fontWeight: 700 }}>Closing stock</TableCell>
+              <TableCell align="right" sx={{ fontWeight: 700 }}>{inr(data.totals?.closing)}</TableCell>
+            </TableRow>
+          </TableBody>
+        </Table>
+      )}
+
+      {data && kind === "valuation" && (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Item</TableCell>
+              <TableCell>Method</TableCell>
+              <TableCell align="right">Qty</TableCell>
+              <TableCell align="right">Rate</TableCell>
+              <TableCell align="right">Value</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {(data.rows || []).map((r) => (
+              <TableRow key={r.id}>
+                <TableCell>{r.code} – {r.name}</TableCell>
+                <TableCell>{METHOD_LABEL[r.method] || r.method}</TableCell>
+                <TableCell align="right">{qtyFmt(r.qty)} {r.uom}</TableCell>
+                <TableCell align="right">{inr(r.rate)}</TableCell>
+                <TableCell align="right">{inr(r.value)}</TableCell>
+              </TableRow>
+            ))}
+            <TableRow>
+              <TableCell colSpan={4} sx={{ fontWeight: 700 }}>Total as of {data.asOf}</TableCell>
+              <TableCell align="right" sx={{ fontWeight: 700 }}>{inr(data.total)}</TableCell>
+            </TableRow>
+            {data.reconciliation && (
+              <>
+                <TableRow>
+                  <TableCell colSpan={4}>Balance in {data.reconciliation.ledgers?.join(", ") || data.reconciliation.ledger}</TableCell>
+                  <TableCell align="right">{inr(data.reconciliation.ledger_balance)}</TableCell>
+                </TableRow>
+                <TableRow>
+                  <TableCell colSpan={4}>Difference (ledger − stock)</TableCell>
+                  <TableCell align="right" sx={{ color: Math.abs(Number(data.reconciliation.difference || 0)) >= 0.01 ? "error.main" : "success.main" }}>
+                    {inr(data.reconciliation.difference)}
+                  </TableCell>
+                </TableRow>
+              </>
+            )}
+          </TableBody>
+        </Table>
+      )}
+
+      {data && kind === "expiry" && [["Expired", data.expired, data.totals?.expired], [`Expiring within ${data.days} days`, data.nearExpiry, data.totals?.near_expiry]].map(([title, rows, total]) => (
+        <Box key={title} sx={{ mb: 2 }}>
+          <Typography variant="subtitle2" sx={{ mb: 1 }}>{title}</Typography>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Item</TableCell>
+                <TableCell>Batch · warehouse</TableCell>
+                <TableCell>Expiry</TableCell>
+                <TableCell align="right">Days left</TableCell>
+                <TableCell align="right">Qty</TableCell>
+                <TableCell align="right">Value</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {(rows || []).map((r) => (
+                <TableRow key={r.layer_id}>
+                  <TableCell>{r.code} – {r.name}</TableCell>
+                  <TableCell>{r.batch_no || "—"}{r.warehouse ? ` · ${r.warehouse}` : ""}</TableCell>
+                  <TableCell>{r.expiry_date}</TableCell>
+                  <TableCell align="right" sx={{ color: r.days_left < 0 ? "error.main" : "warning.main" }}>{r.days_left}</TableCell>
+                  <TableCell align="right">{qtyFmt(r.qty)} {r.uom}</TableCell>
+                  <TableCell align="right">{inr(r.value)}</TableCell>
+                </TableRow>
+              ))}
+              {!rows?.length && <TableRow><TableCell colSpan={6}>None.</TableCell></TableRow>}
+              <TableRow>
+                <TableCell colSpan={5} sx={{ fontWeight: 700 }}>Total</TableCell>
+                <TableCell align="right" sx={{ fontWeight: 700 }}>{inr(total)}</TableCell>
+              </TableRow>
+            </TableBody>
+          </Table>
+        </Box>
+      ))}
+
+      {data && kind === "locations" && (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Item</TableCell>
+              <TableCell align="right">Qty</TableCell>
+              <TableCell align="right">Rate</TableCell>
+              <TableCell align="right">Value</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {(data.warehouses || []).map((w) => (
+              <React.Fragment key={w.id || "none"}>
+                <TableRow>
+                  <TableCell colSpan={3} sx={{ fontWeight: 700 }}>
+                    {w.name} {w.is_transit && <Chip size="small" color="info" label="in transit" />}
+                  </TableCell>
+                  <TableCell align="right" sx={{ fontWeight: 700 }}>{inr(w.total)}</TableCell>
+                </TableRow>
+                {w.items.map((r) => (
+                  <TableRow key={`${w.id}-${r.item_id}`}>
+                    <TableCell sx={{ pl: 4 }}>{r.code} – {r.name}</TableCell>
+                    <TableCell align="right" sx={{ color: r.qty < 0 ? "error.main" : undefined }}>{qtyFmt(r.qty)} {r.uom}</TableCell>
+                    <TableCell align="right">{inr(r.rate)}</TableCell>
+                    <TableCell align="right">{inr(r.value)}</TableCell>
+                  </TableRow>
+                ))}
+              </React.Fragment>
+            ))}
+            <TableRow>
+              <TableCell colSpan={3} sx={{ fontWeight: 700 }}>Total as of {data.asOf}</TableCell>
+              <TableCell align="right" sx={{ fontWeight: 700 }}>{inr(data.total)}</TableCell>
+            </TableRow>
+          </TableBody>
+        </Table>
+      )}
+
+      {data && kind === "register" && (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Date</TableCell>
+              <TableCell>Kind</TableCell>
+              <TableCell>Reference</TableCell>
+              <TableCell align="right">In</TableCell>
+              <TableCell align="right">Out</TableCell>
+              <TableCell align="right">Rate</TableCell>
+              <TableCell align="right">Balance</TableCell>
+              <TableCell align="right">Value</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            <TableRow>
+              <TableCell colSpan={6}>Opening</TableCell>
+              <TableCell align="right">{qtyFmt(data.opening_qty)}</TableCell>
+              <TableCell align="right">{inr(data.opening)}</TableCell>
+            </TableRow>
+            {(data.rows || []).map((r) => (
+              <TableRow key={r.id}>
+                <TableCell>{r.date}</TableCell>
+                <TableCell>{r.kind || "—"}</TableCell>
+                <TableCell>{[r.ref_doc, r.party_name, r.narration].filter(Boolean).join(" · ")}</TableCell>
+                <TableCell align="right">{r.qty_in ? qtyFmt(r.qty_in) : ""}</TableCell>
+                <TableCell align="right">{r.qty_out ? qtyFmt(r.qty_out) : ""}</TableCell>
+                <TableCell align="right">{inr(r.rate)}</TableCell>
+                <TableCell align="right">{qtyFmt(r.balance_qty)}</TableCell>
+                <TableCell align="right">{inr(r.balance)}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+    </>
+  );
+}
+
+/** Warehouse master; the default warehouse receives movements that name no location */
+function Warehouses({ warehouses, reload, setMsg }) {
+  const [form, setForm] = useState(NEW_WAREHOUSE);
+  const set = (k) => (e) => setForm((f) => ({ ...f, [k]: e.target.type === "checkbox" ? e.target.checked : e.target.value }));
+
+  const save = async () => {
+    try {
+      const { id, ...body } = form;
+      await saveWarehouse(id, body);
+      setMsg({ type: "success", text: `Warehouse ${form.name} saved.` });
+      setForm(NEW_WAREHOUSE);
+      reload();
+    } catch (e) {
+      setMsg({ type: "error", text: errText(e) });
+    }
+  };
+
+  return (
+    <>
+      <Table size="small" sx={{ mb: 2 }}>
+        <TableHead>
+          <TableRow>
+            <TableCell>Code</TableCell>
+            <TableCell>Name</TableCell>
+            <TableCell>Address</TableCell>
+            <TableCell />
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {warehouses.filter((w) => !Number(w.is_transit)).map((w) => (
+            <TableRow key={w.id}>
+              <TableCell>{w.code}</TableCell>
+              <TableCell>
+                {w.name} {!!Number(w.is_default) && <Chip size="small" color="primary" label="default" />}
+                {!Number(w.is_active) && <Chip size="small" label="inactive" sx={{ ml: 0.5 }} />}
+              </TableCell>
+              <TableCell>{w.address || "—"}</TableCell>
+              <TableCell>
+                <Button size="small" onClick={() => setForm({
+                  id: w.id, code: w.code || "", name: w.name, address: w.address || "",
+                  isDefault: !!Number(w.is_default), isActive: !!Number(w.is_active),
+                })}>Edit</Button>
+              </TableCell>
+            </TableRow>
+          ))}
+          {!warehouses.length && <TableRow><TableCell colSpan={4}>No warehouses yet; the first movement creates "Main".</TableCell></TableRow>}
+        </TableBody>
+      </Table>
+
+      <Typography variant="subtitle2" sx={{ mb: 1 }}>{form.id ? `Edit ${form.name}` : "New warehouse"}</Typography>
+      <Stack direction={{ xs: "column", md: "row" }} spacing={1} alignItems="center">
+        <TextField size="small" label="Code" value={form.code} onChange={set("code")} sx={{ width: 120 }} />
+        <TextField size="small" label="Name" value={form.name} onChange={set("name")} />
+        <TextField size="small" label="Address" value={form.address} onChange={set("address")} sx={{ minWidth: 260 }} />
+        <FormControlLabel control={<Checkbox checked={form.isDefault} onChange={set("isDefault")} />} label="Default" />
+        <FormControlLabel control={<Checkbox checked={form.isActive} onChange={set("isActive")} />} label="Active" />
+        <Button variant="contained" onClick={save} disabled={!form.name}>Save</Button>
+        {form.id && <Button onClick={() => setForm(NEW_WAREHOUSE)}>Cancel</Button>}
+      </Stack>
+    </>
+  );
+}
+
+/** Stock transfers: dispatch into transit, then receive at the destination (or cancel back) */
+function Transfers({ items, warehouses, reload, setMsg }) {
+  const tracked = items.filter((it) => Number(it.stock_tracked) && Number(it.is_active));
+  const blankForm = { date: todayISO(), fromWarehouseId: "", toWarehouseId: "", note: "", receiveNow: false, lines: [NEW_TRANSFER_LINE] };
+  const [form, setForm] = useState(blankForm);
+  const [status, setStatus] = useState("in_transit");
+  const [list, setList] = useState([]);
+  const [actDate, setActDate] = useState(todayISO());
+
+  const load = async () => {
+    try {
+      const res = await getStockTransfers({ status: status || undefined });
+      setList(res?.transfers || []);
+    } catch (e) {
+      setMsg({ type: "error", text: errText(e) });
+    }
+  };
+  useEffect(() => { load(); }, [status]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const setLine = (i, k) => (e) => setForm((f) => ({ ...f, lines: f.lines.map((l, j) => (j === i ? { ...l, [k]: e.target.value } : l)) }));
+
+  const dispatch = async () => {
+    try {
+      const res = await createStockTransfer({
+        date: form.date, fromWarehouseId: form.fromWarehouseId, toWarehouseId: form.toWarehouseId,
+        note: form.note || null, receiveNow: form.receiveNow,
+        items: form.lines.filter((l) => l.itemId && l.qty).map((l) => ({ itemId: l.itemId, qty: Number(l.qty), batchNo: l.batchNo || null })),
+      });
+      setMsg({ type: "success", text: `Transfer ${res?.transfer?.number} ${res?.transfer?.status === "received" ? "completed" : "dispatched"} (${inr(res?.transfer?.value)}).` });
+      setForm(blankForm);
+      load();
+      reload();
+    } catch (e) {
+      setMsg({ type: "error", text: errText(e) });
+    }
+  };
+
+  const act = async (t, which) => {
+    try {
+      if (which === "receive") await receiveStockTransfer(t.id, { date: actDate });
+      else await cancelStockTransfer(t.id, { date: actDate });
+      setMsg({ type: "success", text: `Transfer ${t.number} ${which === "receive" ? "received" : "cancelled"}.` });
+      load();
+      reload();
+    } catch (e) {
+      setMsg({ type: "error", text: errText(e) });
+    }
+  };
+
+  const locations = warehouses.filter((w) => !Number(w.is_transit) && Number(w.is_active));
+  const picker = (label, key) => (
+    <TextField size="small" select label={label} value={form[key]} onChange={(e) => setForm((f) => ({ ...f, [key]: e.target.value }))} sx={{ minWidth: 180 }}>
+      {locations.map((w) => <MenuItem key={w.id} value={w.id}>{w.name}</MenuItem>)}
+    </TextField>
+  );
+
+  return (
+    <>
+      <Typography variant="subtitle2" sx={{ mb: 1 }}>New transfer</Typography>
+      <Stack direction={{ xs: "column", md: "row" }} spacing={1} alignItems="center" sx={{ mb: 1 }}>
+        {picker("From", "fromWarehouseId")}
+        {picker("To", "toWarehouseId")}
+        <TextField size="small" type="date" label="Dispatch date" value={form.date} onChange={(e) => setForm((f) => ({ ...f, date: e.target.value }))} InputLabelProps={{ shrink: true }} />
+        <TextField size="small" label="Note" value={form.note} onChange={(e) => setForm((f) => ({ ...f, note: e.target.value }))} />
+        <FormControlLabel control={<Checkbox checked={form.receiveNow} onChange={(e) => setForm((f) => ({ ...f, receiveNow: e.target.checked }))} />} label="Received same day" />
+      </Stack>
+      {form.lines.map((l, i) => (
+        <Stack key={i} direction="row" spacing={1} sx={{ mb: 1 }}>
+          <TextField size="small" select label="Item" value={l.itemId} onChange={setLine(i, "itemId")} sx={{ minWidth: 220 }}>
+            {tracked.map((it) => <MenuItem key={it.id} value={it.id}>{it.code} – {it.name}</MenuItem>)}
+          </TextField>
+          <TextField size="small" type="number" label="Qty" value={l.qty} onChange={setLine(i, "qty")} sx={{ width: 110 }} />
+          {!!Number(tracked.find((it) => it.id === l.itemId)?.batch_tracked) && (
+            <TextField size="small" label="Batch (optional)" value={l.batchNo} onChange={setLine(i, "batchNo")} sx={{ width: 150 }} />
+          )}
+        </Stack>
+      ))}
+      <Stack direction="row" spacing={1} sx={{ mb: 3 }}>
+        <Button size="small" onClick={() => setForm((f) => ({ ...f, lines: [...f.lines, NEW_TRANSFER_LINE] }))}>Add line</Button>
+        <Button variant="contained" onClick={dispatch}
+          disabled={!form.fromWarehouseId || !form.toWarehouseId || form.fromWarehouseId === form.toWarehouseId || !form.lines.some((l) => l.itemId && l.qty)}>
+          Dispatch
+        </Button>
+      </Stack>
+
+      <Stack direction="row" spacing={1} alignItems="center" sx={{ mb: 1 }}>
+        <TextField size="small" select label="Status" value={status} onChange={(e) => setStatus(e.target.value)} sx={{ minWidth: 150 }}>
+          <MenuItem value="">All</MenuItem>
+          <MenuItem value="in_transit">In transit</MenuItem>
+          <MenuItem value="received">Received</MenuItem>
+          <MenuItem value="cancelled">Cancelled</MenuItem>
+        </TextField>
+        <TextField size="small" type="date" label="Receive / cancel on" value={actDate} onChange={(e) => setActDate(e.target.value)} InputLabelProps={{ shrink: true }} />
+      </Stack>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Number</TableCell>
+            <TableCell>Date</TableCell>
+            <TableCell>From → To</TableCell>
+            <TableCell>Items</TableCell>
+            <TableCell align="right">Value</TableCell>
+            <TableCell>Status</TableCell>
+            <TableCell />
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {list.map((t) => (
+            <TableRow key={t.id}>
+              <TableCell>{t.number}</TableCell>
+              <TableCell>{t.date}</TableCell>
+              <TableCell>{t.from_warehouse} → {t.to_warehouse}</TableCell>
+              <TableCell>{(t.items || []).map((l) => `${l.code} × ${qtyFmt(l.qty)}`).join(", ")}</TableCell>
+              <TableCell align="right">{inr(t.value)}</TableCell>
+              <TableCell>
+                <Chip size="small" label={t.status.replace("_", " ")} color={t.status === "in_transit" ? "warning" : t.status === "received" ? "success" : "default"} />
+                {t.received_date && ` ${t.received_date}`}
+              </TableCell>
+              <TableCell>
+                {t.status === "in_transit" && (
+                  <>
+                    <Button size="small" onClick={() => act(t, "receive")}>Receive</Button>
+                    <Button size="small" color="error" onClick={() => act(t, "cancel")}>Cancel</Button>
+                  </>
+                )}
+              </TableCell>
+            </TableRow>
+          ))}
+          {!list.length && <TableRow><TableCell colSpan={7}>No transfers.</TableCell></TableRow>}
+        </TableBody>
+      </Table>
+    </>
+  );
+}
+
+/** Inventory: item master, warehouses, GRNs / movements, transfers and stock reports */
+export default function Inventory() {
+  const [tab, setTab] = useState(0);
+  const [items, setItems] = useState([]);
+  const [warehouses, setWarehouses] = useState([]);
+  const [includeInactive, setIncludeInactive] = useState(false);
+  const [msg, setMsg] = useState(null);
+
+  const load = async () => {
+    try {
+      const [res, wh] = await Promise.all([
+        getItems({ includeInactive: includeInactive ? 1 : undefined }),
+        getWarehouses({ includeInactive: 1, includeTransit: 1 }),
+      ]);
+      setItems(res?.items || []);
+      setWarehouses(wh?.warehouses || []);
+    } catch (e) {
+      setMsg({ type: "error", text: errText(e) });
+    }
+  };
+  useEffect(() => { load(); }, [includeInactive]); // eslint-disable-line react-hooks/exhaustive-deps
+  const active = warehouses.filter((w) => !Number(w.is_transit) && Number(w.is_active));
+
+  return (
+    <Box>
+      <Stack direction="row" spacing={2} alignItems="center" sx={{ mb: 1 }}>
+        <Typography variant="h6" sx={{ fontWeight: 700 }}>Inventory</Typography>
+        <FormControlLabel control={<Checkbox checked={includeInactive} onChange={(e) => setIncludeInactive(e.target.checked)} />} label="Show inactive" />
+      </Stack>
+      {msg && <Alert severity={msg.type} sx={{ mb: 1 }} onClose={() => setMsg(null)}>{msg.text}</Alert>}
+      <Tabs value={tab} onChange={(_, v) => setTab(v)} sx={{ mb: 1 }}>
+        <Tab label="Items" />
+        <Tab label="Warehouses" />
+        <Tab label="Movements" />
+        <Tab label="Transfers" />
+        <Tab label="Reports" />
+      </Tabs>
+      <Paper variant="outlined" sx={{ p: 2 }}>
+        {tab === 0 && <Items items={items} reload={load} setMsg={setMsg} />}
+        {tab === 1 && <Warehouses warehouses={warehouses} reload={load} setMsg={setMsg} />}
+        {tab === 2 && <Movements items={items} warehouses={active} reload={load} setMsg={setMsg} />}
+        {tab === 3 && <Transfers items={items} warehouses={warehouses} reload={load} setMsg={setMsg} />}
+        {tab === 4 && <Reports items={items} warehouses={warehouses} setMsg={setMsg} />}
+      </Paper>
+    </Box>
+  );
+}
@@ -0,0 +1,120 @@
+// src/components/ItcReconciliation.jsx
+import React, { useMemo, useState } from "react";
+import {
+  Box, Paper, Stack, Typography, Button, Alert, TextField, Chip, LinearProgress,
+  Table, TableHead, TableRow, TableCell, TableBody, ToggleButton, ToggleButtonGroup
+} from "@mui/material";
+import CompareArrowsIcon from "@mui/icons-material/CompareArrows";
+import { getItcReconciliation } from "../services/apiService";
+
+const STATUS = {
+  matched:           { label: "Matched",            color: "success" },
+  mismatched_amount: { label: "Amount mismatch",    color: "warning" },
+  missing_in_books:  { label: "Missing in books",   color: "error" },
+  missing_in_2b:     { label: "Missing in 2B",      color: "error" },
+};
+
+const fmt = (n) => (n == null ? "" : Number(n).toFixed(2));
+
+export default function ItcReconciliation() {
+  const [batchId, setBatchId] = useState("");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [msg, setMsg] = useState(null);
+  const [data, setData] = useState(null);
+  const [filter, setFilter] = useState("all");
+
+  const rows = useMemo(
+    () => (data?.rows || []).filter(r => filter === "all" || r.status === filter),
+    [data, filter]
+  );
+
+  const onRun = async () => {
+    setBusy(true); setMsg(null);
+    try {
+      const res = await getItcReconciliation({
+        batchId: batchId.trim() || undefined,
+        from: from || undefined,
+        to: to || undefined,
+      });
+      if (!res?.ok) throw new Error(res?.error || "Reconciliation failed");
+      setData(res);
+      setFrom(res.from); setTo(res.to);
+    } catch (e) {
+      setMsg({ type: "error", text: e?.response?.data?.error || e.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 2 }}>
+      <Stack spacing={2}>
+        <Typography variant="h6">Input tax credit vs GSTR-2B</Typography>
+        <Typography variant="body2" color="text.secondary">
+          Import the GSTR-2B JSON from the Import tab (preview is enough), then reconcile it against GST Input in your books.
+        </Typography>
+        {msg && <Alert severity={msg.type}>{msg.text}</Alert>}
+        {busy && <LinearProgress />}
+
+        <Stack direction={{ xs: "column", sm: "row" }} spacing={2} alignItems="center">
+          <TextField size="small" label="Import batch (optional)" value={batchId} onChange={(e) => setBatchId(e.target.value)} sx={{ minWidth: 280 }} />
+          <TextField size="small" type="date" label="From" value={from} onChange={(e) => setFrom(e.target.value)} InputLabelProps={{ shrink: true }} />
+          <TextField size="small" type="date" label="To" value={to} onChange={(e) => setTo(e.target.value)} InputLabelProps={{ shrink: true }} />
+          <Button variant="contained" startIcon={<CompareArrowsIcon />} onClick={onRun} disabled={busy}>Reconcile</Button>
+        </Stack>
+
+        {data && (
+          <Box>
+            <Stack direction="row" spacing={1} flexWrap="wrap" sx={{ mb: 1 }}>
+              {data.returnPeriod && <Chip label={`Return period: ${data.returnPeriod}`} />}
+              <Chip label={`ITC in books: ${fmt(data.summary?.itc?.books)}`} />
+              <Chip label={`ITC in 2B: ${fmt(data.summary?.itc?.gstr2b)}`} />
+              <Chip color={Math.abs(data.summary?.itc?.difference || 0) > (data.tolerance || 0) ? "warning" : "default"}
+                    label={`Difference: ${fmt(data.summary?.itc?.difference)}`} />
+            </Stack>
+
+            <ToggleButtonGroup size="small" exclusive value={filter} onChange={(_, v) => v && setFilter(v)} sx={{ mb: 1 }}>
+              <ToggleButton value="all">All ({data.rows?.length || 0})</ToggleButton>
+              {Object.entries(STATUS).map(([k, s]) => (
+                <ToggleButton key={k} value={k}>{s.label} ({data.summary?.[k] || 0})</ToggleButton>
+              ))}
+            </ToggleButtonGroup>
+
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Status</TableCell>
+                  <TableCell>Supplier GSTIN</TableCell>
+                  <TableCell>Party</TableCell>
+                  <TableCell>Books no. / date</TableCell>
+                  <TableCell>2B no. / date</TableCell>
+                  <TableCell align="right">Books tax</TableCell>
+                  <TableCell align="right">2B tax</TableCell>
+                  <TableCell align="right">Diff</TableCell>
+                  <TableCell>Notes</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {rows.map((r, i) => (
+                  <TableRow key={i}>
+                    <TableCell><Chip size="small" color={STATUS[r.status]?.color} label={STATUS[r.status]?.label || r.status} /></TableCell>
+                    <TableCell>{r.ctin || "—"}</TableCell>
+                    <TableCell>{r.party || ""}</TableCell>
+                    <TableCell>{r.books ? `${r.books.number || "—"} / ${r.books.date || ""}` : "—"}</TableCell>
+                    <TableCell>{r.gstr2b ? `${r.gstr2b.number} / ${r.gstr2b.date || ""}` : "—"}</TableCell>
+                    <TableCell align="right">{fmt(r.books?.total)}</TableCell>
+                    <TableCell align="right">{fmt(r.gstr2b?.total)}</TableCell>
+                    <TableCell align="right">{fmt(r.diff?.total)}</TableCell>
+                    <TableCell>{(r.notes || []).join(", ")}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </Box>
+        )}
+      </Stack>
+    </Paper>
+  );
+}
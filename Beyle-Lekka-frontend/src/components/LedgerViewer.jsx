@@ -141,11 +141,9 @@ const LedgerViewer = ({ sessionId }) => {
         amount: amt,
         narration: draft.narration ?? "",
       });
-      // Optimistically update UI without a full reload
-      setEntries((prev) =>
-        prev.map((r) => (r.id === draft.id ? { ...r, ...draft, amount: amt } : r))
-      );
+      // The server reverses the original and posts a corrected entry; reload to show both.
       cancelEdit();
+      await load();
     } catch (err) {
       alert(err?.message || "Failed to update ledger entry");
     } finally {
@@ -0,0 +1,295 @@
+// src/components/Loans.jsx
+import React, { useEffect, useState } from "react";
+import {
+  Box, Paper, Typography, Stack, Button, TextField, MenuItem, Alert, Chip,
+  Table, TableBody, TableCell, TableHead, TableRow, FormControlLabel, Checkbox
+} from "@mui/material";
+import {
+  getLoans, getLoan, createLoan, prepayLoan, resetLoanRate, draftLoanEmis, getLoanReport,
+  getBankAccounts, confirmFromPreview
+} from "../services/apiService";
+
+const inr = (n) => (n == null ? "—" : Number(n).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 }));
+const todayISO = () => new Date().toISOString().slice(0, 10);
+const errText = (e) => e?.response?.data?.error || e.message;
+
+const NEW = {
+  name: "", lender: "", principal: "", rate: "", tenureMonths: "", startDate: todayISO(), firstDueDate: "",
+  method: "reducing", secured: true, bankAccountId: "", draftDisbursement: true,
+};
+
+/** EMI schedule plus prepayment / rate-reset form for one loan */
+function LoanDetail({ loanId, onDone, setMsg, confirmDraft }) {
+  const [loan, setLoan] = useState(null);
+  const [mode, setMode] = useState("prepay");
+  const [f, setF] = useState({ date: todayISO(), amount: "", rate: "", keep: "tenure", note: "" });
+  const set = (k) => (e) => setF((x) => ({ ...x, [k]: e.target.value }));
+
+  const load = () => getLoan(loanId).then((res) => setLoan(res?.loan || null)).catch((e) => setMsg({ type: "error", text: errText(e) }));
+  useEffect(() => { load(); }, [loanId]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const submit = async () => {
+    try {
+      if (mode === "prepay") {
+        const res = await prepayLoan(loanId, { date: f.date, amount: Number(f.amount), keep: f.keep, note: f.note || null });
+        if (res?.voucher?.previewId) await confirmDraft(res.voucher);
+        setMsg({ type: "success", text: `Prepayment recorded; ${res?.change?.added ?? 0} instalments regenerated.` });
+      } else {
+        const res = await resetLoanRate(loanId, { effectiveFrom: f.date, rate: Number(f.rate), keep: f.keep, note: f.note || null });
+        setMsg({ type: "success", text: `Rate reset; ${res?.change?.added ?? 0} instalments regenerated.` });
+      }
+      await load();
+      onDone();
+    } catch (e) {
+      setMsg({ type: "error", text: errText(e) });
+    }
+  };
+
+  if (!loan) return null;
+  return (
+    <Box sx={{ p: 1, bgcolor: "action.hover" }}>
+      <Stack direction={{ xs: "column", md: "row" }} spacing={1} alignItems="center" sx={{ mb: 1 }}>
+        <TextField size="small" select label="Action" value={mode} onChange={(e) => setMode(e.target.value)} sx={{ minWidth: 140 }}>
+          <MenuItem value="prepay">Prepayment</MenuItem>
+          <MenuItem value="rate">Rate reset</MenuItem>
+        </TextField>
+        <TextField size="small" type="date" label={mode === "prepay" ? "Date" : "Effective from"} value={f.date} onChange={set("date")} InputLabelProps={{ shrink: true }} />
+        {mode === "prepay"
+          ? <TextField size="small" type="number" label="Amount" value={f.amount} onChange={set("amount")} />
+          : <TextField size="small" type="number" label="New rate %" value={f.rate} onChange={set("rate")} />}
+        <TextField size="small" select label="Keep" value={f.keep} onChange={set("keep")} sx={{ minWidth: 150 }}>
+          <MenuItem value="tenure">Tenure (EMI changes)</MenuItem>
+          <MenuItem value="emi">EMI (tenure changes)</MenuItem>
+        </TextField>
+        <TextField size="small" label="Note" value={f.note} onChange={set("note")} />
+        <Button variant="contained" size="small" onClick={submit}>Apply</Button>
+      </Stack>
+
+      {!!loan.events?.length && (
+        <Typography variant="caption" sx={{ display: "block", mb: 1 }}>
+          Events: {loan.events.map((e) => `${e.event_date} ${e.kind}${e.amount != null ? ` ${inr(e.amount)}` : ""}${e.rate != null && e.kind === "rate_reset" ? ` @ ${e.rate}%` : ""}${e.ledger_entry_id ? " ✓" : ""}`).join("; ")}
+        </Typography>
+      )}
+
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>#</TableCell>
+            <TableCell>Due</TableCell>
+            <TableCell align="right">Opening</TableCell>
+            <TableCell align="right">EMI</TableCell>
+            <TableCell align="right">Interest</TableCell>
+            <TableCell align="right">Principal</TableCell>
+            <TableCell align="right">Closing</TableCell>
+            <TableCell align="right">Rate %</TableCell>
+            <TableCell>Status</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {(loan.installments || []).map((i) => (
+            <TableRow key={i.id}>
+              <TableCell>{i.seq}</TableCell>
+              <TableCell>{i.due_date}</TableCell>
+              <TableCell align="right">{inr(i.opening)}</TableCell>
+              <TableCell align="right">{inr(i.emi)}</TableCell>
+              <TableCell align="right">{inr(i.interest)}</TableCell>
+              <TableCell align="right">{inr(i.principal)}</TableCell>
+              <TableCell align="right">{inr(i.closing)}</TableCell>
+              <TableCell align="right">{i.rate}</TableCell>
+              <TableCell><Chip size="small" label={i.status} color={i.status === "posted" ? "success" : i.status === "drafted" ? "warning" : "default"} /></TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </Box>
+  );
+}
+
+/** Loans panel: schedules, EMI drafts and outstanding (schedule vs ledger) */
+export default function Loans() {
+  const [asOf, setAsOf] = useState(todayISO());
+  const [includeClosed, setIncludeClosed] = useState(false);
+  const [loans, setLoans] = useState([]);
+  const [report, setReport] = useState({});
+  const [accounts, setAccounts] = useState([]);
+  const [drafts, setDrafts] = useState([]);
+  const [open, setOpen] = useState(null);
+  const [form, setForm] = useState(NEW);
+  const [msg, setMsg] = useState(null);
+
+  const load = async () => {
+    try {
+      const [l, r] = await Promise.all([
+        getLoans({ includeClosed: includeClosed ? 1 : undefined }),
+        getLoanReport({ asOf }),
+      ]);
+      setLoans(l?.loans || []);
+      setReport(Object.fromEntries((r?.loans || []).map((x) => [x.loanId, x])));
+    } catch (e) {
+      setMsg({ type: "error", text: errText(e) });
+    }
+  };
+
+  useEffect(() => { load(); }, [asOf, includeClosed]); // eslint-disable-line react-hooks/exhaustive-deps
+  useEffect(() => {
+    getBankAccounts().then((res) => setAccounts(res?.accounts || [])).catch(() => setAccounts([]));
+  }, []);
+
+  const set = (k) => (e) => setForm((f) => ({ ...f, [k]: e.target.type === "checkbox" ? e.target.checked : e.target.value }));
+
+  const confirmDraft = async (d) => {
+    await confirmFromPreview({ previewId: d.previewId, hash: d.hash });
+    setDrafts((xs) => xs.filter((x) => x.previewId !== d.previewId));
+  };
+
+  const create = async () => {
+    setMsg(null);
+    try {
+      const res = await createLoan({
+        ...form,
+        principal: Number(form.principal), rate: Number(form.rate), tenureMonths: Number(form.tenureMonths),
+        firstDueDate: form.firstDueDate || null, bankAccountId: form.bankAccountId || null,
+      });
+      if (res?.disbursement?.previewId) setDrafts((xs) => [...xs, { ...res.disbursement, label: `Disbursement – ${res.loan?.name}` }]);
+      setMsg({ type: "success", text: `Loan created with ${res?.loan?.installments?.length || 0} instalments.` });
+      setForm(NEW);
+      await load();
+    } catch (e) {
+      setMsg({ type: "error", text: errText(e) });
+    }
+  };
+
+  const draftDue = async () => {
+    setMsg(null);
+    try {
+      const res = await draftLoanEmis({ asOf });
+      setDrafts((xs) => [...xs, ...(res?.drafts || []).map((d) => ({ ...d, label: `EMI ${d.seq} due ${d.dueDate}` }))]);
+      const pending = (res?.skipped || []).filter((s) => s.reason === "draft_pending").length;
+      const invalid = (res?.skipped || []).length - pending;
+      setMsg({
+        type: invalid ? "warning" : "info",
+        text: `${res?.drafts?.length || 0} EMI drafts created${pending ? `, ${pending} already drafted` : ""}${invalid ? `, ${invalid} failed validation` : ""}.`,
+      });
+      await load();
+    } catch (e) {
+      setMsg({ type: "error", text: errText(e) });
+    }
+  };
+
+  const post = async (d) => {
+    try {
+      await confirmDraft(d);
+      setMsg({ type: "success", text: `${d.label || d.number} posted.` });
+      await load();
+    } catch (e) {
+      setMsg({ type: "error", text: errText(e) });
+    }
+  };
+
+  return (
+    <Box>
+      <Typography variant="h6" sx={{ mb: 1, fontWeight: 700 }}>Loans</Typography>
+      {msg && <Alert severity={msg.type} sx={{ mb: 1 }}>{msg.text}</Alert>}
+
+      <Paper variant="outlined" sx={{ p: 2, mb: 2 }}>
+        <Stack direction="row" spacing={2} alignItems="center" sx={{ mb: 1 }}>
+          <TextField size="small" type="date" label="As of" value={asOf} onChange={(e) => setAsOf(e.target.value)} InputLabelProps={{ shrink: true }} />
+          <FormControlLabel control={<Checkbox checked={includeClosed} onChange={(e) => setIncludeClosed(e.target.checked)} />} label="Show closed" />
+          <Button variant="outlined" onClick={draftDue}>Draft EMIs due</Button>
+        </Stack>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Loan</TableCell>
+              <TableCell align="right">Principal</TableCell>
+              <TableCell align="right">Rate %</TableCell>
+              <TableCell align="right">Outstanding (schedule)</TableCell>
+              <TableCell align="right">Outstanding (ledger)</TableCell>
+              <TableCell align="right">Difference</TableCell>
+              <TableCell>Next EMI</TableCell>
+              <TableCell />
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {loans.map((l) => {
+              const r = report[l.id] || {};
+              return (
+                <React.Fragment key={l.id}>
+                  <TableRow>
+                    <TableCell>
+                      {l.name} <Typography variant="caption" color="text.secondary">{l.loan_ledger} · {l.method}</Typography>{" "}
+                      {l.status === "closed" && <Chip size="small" label="closed" />}
+                      {!!r.overdue?.length && <Chip size="small" color="warning" label={`${r.overdue.length} unposted`} />}
+                    </TableCell>
+                    <TableCell align="right">{inr(l.principal)}</TableCell>
+                    <TableCell align="right">{l.rate}</TableCell>
+                    <TableCell align="right">{inr(r.schedule_outstanding)}</TableCell>
+                    <TableCell align="right">{inr(r.ledger_outstanding)}</TableCell>
+                    <TableCell align="right" sx={{ color: r.difference ? "error.main" : undefined }}>{inr(r.difference)}</TableCell>
+                    <TableCell>{r.next_due ? `${r.next_due.due_date} · ${inr(r.next_due.emi)}` : "—"}</TableCell>
+                    <TableCell>
+                      <Button size="small" onClick={() => setOpen(open === l.id ? null : l.id)}>
+                        {open === l.id ? "Hide" : "Schedule"}
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                  {open === l.id && (
+                    <TableRow>
+                      <TableCell colSpan={8}>
+                        <LoanDetail loanId={l.id} setMsg={setMsg} confirmDraft={confirmDraft} onDone={load} />
+                      </TableCell>
+                    </TableRow>
+                  )}
+                </React.Fragment>
+              );
+            })}
+            {!loans.length && (
+              <TableRow><TableCell colSpan={8}>No loans.</TableCell></TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </Paper>
+
+      {!!drafts.length && (
+        <Paper variant="outlined" sx={{ p: 2, mb: 2 }}>
+          <Typography variant="subtitle2" sx={{ mb: 1 }}>Drafts awaiting confirmation</Typography>
+          {drafts.map((d) => (
+            <Stack key={d.previewId} direction="row" spacing={2} alignItems="center" sx={{ mb: 0.5 }}>
+              <Typography variant="body2" sx={{ minWidth: 260 }}>{d.label || d.number}</Typography>
+              <Typography variant="caption" color="text.secondary">
+                {(d.journal || []).map((j) => `${j.debit ? "Dr" : "Cr"} ${j.account} ${inr(j.debit || j.credit)}`).join(" · ")}
+              </Typography>
+              <Button size="small" variant="contained" onClick={() => post(d)}>Post</Button>
+            </Stack>
+          ))}
+        </Paper>
+      )}
+
+      <Paper variant="outlined" sx={{ p: 2 }}>
+        <Typography variant="subtitle2" sx={{ mb: 1 }}>New loan</Typography>
+        <Stack direction={{ xs: "column", md: "row" }} spacing={1} alignItems="center" sx={{ flexWrap: "wrap" }}>
+          <TextField size="small" label="Name" value={form.name} onChange={set("name")} />
+          <TextField size="small" label="Lender" value={form.lender} onChange={set("lender")} />
+          <TextField size="small" type="number" label="Principal" value={form.principal} onChange={set("principal")} />
+          <TextField size="small" type="number" label="Rate % p.a." value={form.rate} onChange={set("rate")} />
+          <TextField size="small" type="number" label="Tenure (months)" value={form.tenureMonths} onChange={set("tenureMonths")} />
+          <TextField size="small" type="date" label="Start" value={form.startDate} onChange={set("startDate")} InputLabelProps={{ shrink: true }} />
+          <TextField size="small" type="date" label="First EMI" value={form.firstDueDate} onChange={set("firstDueDate")} InputLabelProps={{ shrink: true }} />
+          <TextField size="small" select label="Method" value={form.method} onChange={set("method")} sx={{ minWidth: 120 }}>
+            <MenuItem value="reducing">Reducing</MenuItem>
+            <MenuItem value="flat">Flat</MenuItem>
+          </TextField>
+          <TextField size="small" select label="Bank account" value={form.bankAccountId} onChange={set("bankAccountId")} sx={{ minWidth: 200 }}>
+            {accounts.map((a) => <MenuItem key={a.id} value={a.id}>{a.name}</MenuItem>)}
+          </TextField>
+          <FormControlLabel control={<Checkbox checked={form.secured} onChange={set("secured")} />} label="Secured" />
+          <FormControlLabel control={<Checkbox checked={form.draftDisbursement} onChange={set("draftDisbursement")} />} label="Draft disbursement" />
+          <Button variant="contained" onClick={create}
+                  disabled={!form.name || !form.principal || form.rate === "" || !form.tenureMonths || !form.startDate || !form.bankAccountId}>
+            Create
+          </Button>
+        </Stack>
+      </Paper>
+    </Box>
+  );
+}
@@ -0,0 +1,134 @@
+// src/components/Login.jsx
+import React, { useEffect, useState } from "react";
+import {
+  Box, Paper, Stack, Typography, Button, Alert, TextField, ToggleButton, ToggleButtonGroup,
+  List, ListItemButton, ListItemText, Divider,
+} from "@mui/material";
+import {
+  login, logout, getMe, getAuthToken, getWorkspaceId, setWorkspaceId, createWorkspace, claimWorkspace,
+} from "../services/apiService";
+
+/** Sign in (password or API token), then pick, create or claim a workspace. */
+export default function Login({ onChange }) {
+  const [mode, setMode] = useState("password");
+  const [form, setForm] = useState({ email: "", password: "", apiToken: "" });
+  const [me, setMe] = useState(null);
+  const [ws, setWs] = useState({ id: "", name: "", bootstrapToken: "" });
+  const [busy, setBusy] = useState(false);
+  const [msg, setMsg] = useState(null);
+
+  const refresh = () =>
+    getMe()
+      .then(setMe)
+      .catch((e) => { logout(); setMe(null); setMsg({ type: "error", text: e.message }); });
+
+  useEffect(() => { if (getAuthToken()) refresh(); }, []);
+
+  const set = (k) => (e) => setForm((p) => ({ ...p, [k]: e.target.value }));
+  const setW = (k) => (e) => setWs((p) => ({ ...p, [k]: e.target.value }));
+
+  const run = async (fn, ok) => {
+    setBusy(true); setMsg(null);
+    try {
+      await fn();
+      if (ok) setMsg({ type: "success", text: ok });
+    } catch (e) {
+      setMsg({ type: "error", text: e.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const onLogin = () =>
+    run(async () => {
+      await login(mode === "token" ? { apiToken: form.apiToken } : { email: form.email, password: form.password });
+      setForm({ email: "", password: "", apiToken: "" });
+      await refresh();
+      onChange?.(true);
+    });
+
+  const onLogout = () => { logout(); setMe(null); setMsg(null); onChange?.(false); };
+
+  const pick = (sid) => { setWorkspaceId(sid); setMsg({ type: "success", text: `Working in ${sid}` }); };
+
+  const onCreate = () =>
+    run(async () => {
+      const res = await createWorkspace({ id: ws.id.trim(), name: ws.name.trim() || undefined });
+      pick(res.sessionId);
+      await refresh();
+    });
+
+  const onClaim = () =>
+    run(async () => {
+      const res = await claimWorkspace(ws.id.trim(), { bootstrapToken: ws.bootstrapToken.trim() || undefined });
+      pick(res.sessionId);
+      await refresh();
+    });
+
+  if (!me) {
+    return (
+      <Paper sx={{ p: 2, maxWidth: 420, mx: "auto" }}>
+        <Stack spacing={2}>
+          <Typography variant="h6">Sign in</Typography>
+          <ToggleButtonGroup size="small" exclusive value={mode} onChange={(_, v) => v && setMode(v)}>
+            <ToggleButton value="password">Email &amp; password</ToggleButton>
+            <ToggleButton value="token">API token</ToggleButton>
+          </ToggleButtonGroup>
+          {mode === "password" ? (
+            <>
+              <TextField size="small" label="Email" type="email" autoComplete="username" value={form.email} onChange={set("email")} />
+              <TextField size="small" label="Password" type="password" autoComplete="current-password" value={form.password} onChange={set("password")} />
+            </>
+          ) : (
+            <TextField size="small" label="API token" type="password" value={form.apiToken} onChange={set("apiToken")} />
+          )}
+          {msg && <Alert severity={msg.type}>{msg.text}</Alert>}
+          <Button variant="contained" disabled={busy} onClick={onLogin}>Sign in</Button>
+        </Stack>
+      </Paper>
+    );
+  }
+
+  const current = getWorkspaceId();
+  return (
+    <Paper sx={{ p: 2, maxWidth: 520, mx: "auto" }}>
+      <Stack spacing={2}>
+        <Stack direction="row" alignItems="center" spacing={2}>
+          <Typography variant="h6" sx={{ flexGrow: 1 }}>
+            Signed in as {me.user?.name || me.user?.email}
+          </Typography>
+          <Button onClick={onLogout}>Sign out</Button>
+        </Stack>
+
+        <Typography variant="subtitle2">Your workspaces</Typography>
+        {me.memberships?.length ? (
+          <List dense disablePadding>
+            {me.memberships.map((m) => (
+              <ListItemButton key={m.session_id} selected={m.session_id === current} onClick={() => pick(m.session_id)}>
+                <ListItemText primary={m.session_id} secondary={m.role} />
+              </ListItemButton>
+            ))}
+          </List>
+        ) : (
+          <Typography variant="body2" color="text.secondary">You are not a member of any workspace yet.</Typography>
+        )}
+
+        <Divider />
+        <Typography variant="subtitle2">New workspace, or claim one nobody belongs to yet</Typography>
+        <Box sx={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 1 }}>
+          <TextField size="small" label="Workspace id" value={ws.id} onChange={setW("id")} />
+          <TextField size="small" label="Name (new only)" value={ws.name} onChange={setW("name")} />
+        </Box>
+        <TextField
+          size="small" type="password" label="Bootstrap token (claim only)" value={ws.bootstrapToken} onChange={setW("bootstrapToken")}
+          helperText="Needed to claim a workspace you did not create"
+        />
+        {msg && <Alert severity={msg.type}>{msg.text}</Alert>}
+        <Stack direction="row" spacing={1}>
+          <Button variant="contained" disabled={busy || !ws.id.trim()} onClick={onCreate}>Create</Button>
+          <Button disabled={busy || !ws.id.trim()} onClick={onClaim}>Claim</Button>
+        </Stack>
+      </Stack>
+    </Paper>
+  );
+}
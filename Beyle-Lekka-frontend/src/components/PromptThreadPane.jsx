@@ -1,7 +1,7 @@
 // src/components/PromptThreadPane.jsx
 import React, { useEffect, useRef, useState } from "react";
 import {
-  Box, Typography, Card, CardContent, Divider, Button, Alert, Chip, TextField, IconButton
+  Box, Typography, Card, CardContent, Divider, Button, Alert, Chip, TextField, IconButton, MenuItem
 } from "@mui/material";
 import EditIcon from "@mui/icons-material/Edit";
 import CloseIcon from "@mui/icons-material/Close";
@@ -10,6 +10,7 @@ import {
   confirmEntry,                // legacy fallback
   confirmFromPreview,          // ✅ new snapshot confirm
   orchestratePrompt as orchestrateAPI,
+  downloadDocumentFile,
   BASE_URL,
   makeIdemKey,
 } from "../services/apiService";
@@ -182,8 +183,81 @@ const DocumentPreview = ({ docType, documentFields }) => {
 };
 
 // ---------- main ----------
+// E-way bill transport details on an invoice preview; applied as a doc-field edit so the
+// re-previewed snapshot (and the posted docModel) carries them.
+const TRANSPORT_FIELDS = [
+  ["vehicleNo", "Vehicle no."],
+  ["transporterId", "Transporter ID"],
+  ["transporterName", "Transporter"],
+  ["distanceKm", "Distance (km)"],
+  ["transDocNo", "LR / RR / AWB no."],
+  ["transDocDate", "Transport doc date"],
+];
+
+const TransportForm = ({ documentFields, onApply }) => {
+  const current = pickDocFields("invoice", documentFields)?.transport || {};
+  const [open, setOpen] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [t, setT] = useState({ mode: "road", vehicleType: "regular", ...current });
+  const set = (k) => (e) => setT((p) => ({ ...p, [k]: e.target.value }));
+
+  const apply = async () => {
+    setBusy(true);
+    try {
+      const transport = Object.fromEntries(Object.entries(t).filter(([, v]) => v !== "" && v != null));
+      await onApply(transport);
+      setOpen(false);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!open) {
+    return (
+      <Box sx={{ mt: 1, display: "flex", alignItems: "center", gap: 1 }}>
+        {current.vehicleNo || current.transporterId ? (
+          <Chip size="small" label={`Transport: ${current.vehicleNo || current.transporterId}${current.distanceKm != null ? ` · ${current.distanceKm} km` : ""}`} />
+        ) : null}
+        <Button size="small" onClick={() => setOpen(true)}>
+          {current.vehicleNo || current.transporterId ? "Edit transport" : "Add transport (e-way bill)"}
+        </Button>
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ mt: 1, p: 1.5, border: "1px dashed #ccc", borderRadius: 1, background: "#fff" }}>
+      <Typography variant="caption" color="text.secondary">E-way bill transport details</Typography>
+      <Box sx={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(170px, 1fr))", gap: 1, mt: 1 }}>
+        <TextField select size="small" label="Mode" value={t.mode || "road"} onChange={set("mode")}>
+          {["road", "rail", "air", "ship"].map((m) => <MenuItem key={m} value={m}>{m}</MenuItem>)}
+        </TextField>
+        <TextField select size="small" label="Vehicle type" value={t.vehicleType || "regular"} onChange={set("vehicleType")}>
+          <MenuItem value="regular">Regular</MenuItem>
+          <MenuItem value="odc">Over-dimensional</MenuItem>
+        </TextField>
+        {TRANSPORT_FIELDS.map(([k, label]) => (
+          <TextField
+            key={k}
+            size="small"
+            label={label}
+            type={k === "distanceKm" ? "number" : k === "transDocDate" ? "date" : "text"}
+            InputLabelProps={k === "transDocDate" ? { shrink: true } : undefined}
+            value={t[k] ?? ""}
+            onChange={set(k)}
+          />
+        ))}
+      </Box>
+      <Box sx={{ mt: 1, display: "flex", gap: 1 }}>
+        <Button size="small" variant="contained" onClick={apply} disabled={busy}>Apply &amp; re-preview</Button>
+        <Button size="small" onClick={() => setOpen(false)} disabled={busy}>Cancel</Button>
+      </Box>
+    </Box>
+  );
+};
+
 const PromptThreadPane = () => {
-  const { thread, sessionId } = usePrompt();
+  const { thread, sessionId, updatePromptSession } = usePrompt();
   const bottomRef = useRef(null);
   const [saveStatus, setSaveStatus] = useState({});
   const [editMode, setEditMode] = useState({});       // { [cardIndex]: boolean }
@@ -236,6 +310,21 @@ const PromptThreadPane = () => {
     }
   };
 
+  const applyTransport = async (transport) => {
+    try {
+      const res = await orchestrateAPI({
+        sessionId,
+        docType: "invoice",
+        docFieldEdits: { invoice: { transport } },
+        edits: {},
+      });
+      updatePromptSession(res);
+    } catch (e) {
+      console.error("Transport re-preview failed:", e);
+      alert(`Re-preview failed: ${e?.message || "check console"}`);
+    }
+  };
+
   // Prefer snapshot confirm; fallback to legacy confirm if handles missing
   const handleSave = async (journalRows, promptText, index, docType, documentFields, item) => {
     try {
@@ -375,6 +464,10 @@ const PromptThreadPane = () => {
                     <DocumentPreview docType={docType} documentFields={documentFields} />
                   ) : null}
 
+                  {docType === "invoice" && !saveStatus[idx] ? (
+                    <TransportForm documentFields={documentFields} onApply={applyTransport} />
+                  ) : null}
+
                   {/* Row list OR inline editor */}
                   {!editMode[idx] && (Array.isArray(item.journal) && item.journal.length > 0 ? (
                     item.journal.map((entry, j) => (
@@ -438,8 +531,19 @@ const PromptThreadPane = () => {
                             <Alert severity="success">✅ Saved to ledger</Alert>
                             {href ? (
                               <>
-                                <Button variant="outlined" component="a" href={href} target="_blank" rel="noreferrer">Download .docx</Button>
+                                <Button variant="outlined" component="a" href={href} target="_blank" rel="noreferrer">
+                                  {doc?.format === "docx" ? "Download .docx" : "Download PDF"}
+                                </Button>
                                 <Button variant="text" onClick={() => window.open(href, "_blank")}>Open / Print</Button>
+                                {doc?.id ? (
+                                  <Button
+                                    variant="text"
+                                    onClick={() => downloadDocumentFile(doc.id, doc?.format === "docx" ? "pdf" : "docx")
+                                      .catch((e) => alert(e?.message || "Download failed"))}
+                                  >
+                                    {doc?.format === "docx" ? "As PDF" : "As .docx"}
+                                  </Button>
+                                ) : null}
                                 {doc?.number ? <Chip size="small" label={`${doc.docType || "doc"}: ${doc.number}`} /> : null}
                               </>
                             ) : null}
@@ -18,12 +18,15 @@ import {
   TextField,
   Chip,
   CircularProgress,
+  ToggleButton,
+  ToggleButtonGroup,
 } from "@mui/material";
 import RefreshIcon from "@mui/icons-material/Refresh";
 import {
   fetchLedgerView, // kept for parity (not used here directly but left in case other parts depend on tree‑shaking)
   getTrialBalance,
   getPL,
+  getPLCompare,
   getBalanceSheet,
 } from "../services/apiService";
 import LedgerViewer from "./LedgerViewer";
@@ -31,6 +34,85 @@ import LedgerViewer from "./LedgerViewer";
 const pretty = (n) =>
   Number(n || 0).toLocaleString("en-IN", { maximumFractionDigits: 2 });
 
+const prettyVariance = (v) => {
+  if (!v) return "";
+  const pct = v.pct === null || v.pct === undefined ? "" : ` (${v.pct > 0 ? "+" : ""}${v.pct}%)`;
+  return `${v.amount > 0 ? "+" : ""}${pretty(v.amount)}${pct}`;
+};
+
+function PLCompareTable({ data }) {
+  const cols = Array.isArray(data?.columns) ? data.columns : [];
+  const sectionRows = (title, rows, totals, variance) => [
+    <TableRow key={`${title}-h`}>
+      <TableCell colSpan={cols.length + 1} sx={{ fontWeight: 700, bgcolor: "#fafafa" }}>
+        {title}
+      </TableCell>
+    </TableRow>,
+    ...rows.map((r) => (
+      <TableRow key={`${title}-${r.account}`}>
+        <TableCell>{r.account}</TableCell>
+        {cols.map((c, i) => (
+          <TableCell key={c.key} align="right">
+            ₹{pretty(r.values[i])}
+            {r.variance?.[i] && (
+              <Typography variant="caption" display="block" color="text.secondary">
+                {prettyVariance(r.variance[i])}
+              </Typography>
+            )}
+          </TableCell>
+        ))}
+      </TableRow>
+    )),
+    <TableRow key={`${title}-t`}>
+      <TableCell sx={{ fontWeight: 700 }}>Total {title}</TableCell>
+      {cols.map((c, i) => (
+        <TableCell key={c.key} align="right" sx={{ fontWeight: 700 }}>
+          ₹{pretty(totals?.[i])}
+          {variance?.[i] && (
+            <Typography variant="caption" display="block" color="text.secondary">
+              {prettyVariance(variance[i])}
+            </Typography>
+          )}
+        </TableCell>
+      ))}
+    </TableRow>,
+  ];
+
+  return (
+    <TableContainer component={Paper} elevation={0} sx={{ border: "1px solid #eee" }}>
+      <Table size="small" stickyHeader>
+        <TableHead>
+          <TableRow>
+            <TableCell>Account</TableCell>
+            {cols.map((c) => (
+              <TableCell key={c.key} align="right">
+                {c.label}
+              </TableCell>
+            ))}
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {sectionRows("Income", data?.income || [], data?.totals?.income, data?.variance?.income)}
+          {sectionRows("Expenses", data?.expenses || [], data?.totals?.expenses, data?.variance?.expenses)}
+          <TableRow>
+            <TableCell sx={{ fontWeight: 700 }}>Net Profit</TableCell>
+            {cols.map((c, i) => (
+              <TableCell key={c.key} align="right" sx={{ fontWeight: 700 }}>
+                ₹{pretty(data?.totals?.net?.[i])}
+                {data?.variance?.net?.[i] && (
+                  <Typography variant="caption" display="block" color="text.secondary">
+                    {prettyVariance(data.variance.net[i])}
+                  </Typography>
+                )}
+              </TableCell>
+            ))}
+          </TableRow>
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+}
+
 export default function ReportsDrawer({ sessionId = "default-session" }) {
   const [tab, setTab] = useState(0);
 
@@ -44,6 +126,9 @@ export default function ReportsDrawer({ sessionId = "default-session" }) {
   const [pl, setPL] = useState(null);
   const [bs, setBS] = useState(null);
 
+  // P&L compare mode: "" (single period) | "monthly" | "quarterly" | "yoy"
+  const [plCompare, setPLCompare] = useState("");
+
   const [loadingReports, setLoadingReports] = useState(false);
   const [reportsError, setReportsError] = useState(null);
 
@@ -56,7 +141,7 @@ export default function ReportsDrawer({ sessionId = "default-session" }) {
     try {
       const [tbRes, plRes, bsRes] = await Promise.all([
         getTrialBalance(asOf),
-        getPL(from, to),
+        plCompare ? getPLCompare(plCompare, from, to) : getPL(from, to),
         getBalanceSheet(asOf),
       ]);
 
@@ -78,7 +163,7 @@ export default function ReportsDrawer({ sessionId = "default-session" }) {
   useEffect(() => {
     refreshReports();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [asOf, from, to]);
+  }, [asOf, from, to, plCompare]);
 
   const tbTotals = useMemo(() => {
     return (tb || []).reduce(
@@ -200,13 +285,28 @@ export default function ReportsDrawer({ sessionId = "default-session" }) {
 
       {/* Profit & Loss (SERVER ONLY) */}
       <Box sx={{ p: 2, display: tab === 2 ? "block" : "none" }}>
-        <Typography variant="h6" sx={{ mb: 1, fontWeight: 700 }}>
-          Profit &amp; Loss
-        </Typography>
+        <Stack direction="row" alignItems="center" spacing={2} sx={{ mb: 1 }}>
+          <Typography variant="h6" sx={{ fontWeight: 700 }}>
+            Profit &amp; Loss
+          </Typography>
+          <ToggleButtonGroup
+            size="small"
+            exclusive
+            value={plCompare}
+            onChange={(_, v) => v !== null && setPLCompare(v)}
+          >
+            <ToggleButton value="">Period</ToggleButton>
+            <ToggleButton value="monthly">Monthly</ToggleButton>
+            <ToggleButton value="quarterly">Quarterly</ToggleButton>
+            <ToggleButton value="yoy">vs Last Year</ToggleButton>
+          </ToggleButtonGroup>
+        </Stack>
         {loadingReports ? (
           <Box sx={{ p: 2, textAlign: "center" }}>
             <CircularProgress size={28} />
           </Box>
+        ) : pl?.compare ? (
+          <PLCompareTable data={pl} />
         ) : pl ? (
           <Stack direction={{ xs: "column", md: "row" }} spacing={4}>
             <Box flex={1}>
@@ -0,0 +1,361 @@
+// src/components/SalesOrders.jsx
+import React, { useEffect, useState } from "react";
+import {
+  Box, Paper, Stack, Typography, Button, Alert, TextField, LinearProgress, Chip,
+  Table, TableHead, TableRow, TableCell, TableBody, ToggleButton, ToggleButtonGroup
+} from "@mui/material";
+import {
+  getSalesDocuments, getSalesDocument, createQuotation, createSalesOrder, convertQuotation,
+  cancelSalesDocument, draftOrderInvoice, getPendingOrders, confirmFromPreview, downloadDocumentFile
+} from "../services/apiService";
+
+const fmt = (n) => (n == null ? "" : Number(n).toFixed(2));
+const todayISO = () => new Date().toISOString().slice(0, 10);
+const TYPE = { quotation: "Quotation", sales_order: "Sales order" };
+const STATUS_COLOR = { open: "primary", partial: "warning", fulfilled: "success", converted: "success", cancelled: "default" };
+const BLANK_LINE = { item: "", qty: "", rate: "", gstRate: "" };
+const BLANK_FORM = { buyer: "", customerGSTIN: "", placeOfSupply: "", customerPO: "", date: todayISO(), until: "", note: "" };
+
+export default function SalesOrders() {
+  const [view, setView] = useState("quotation");
+  const [docs, setDocs] = useState([]);
+  const [form, setForm] = useState(BLANK_FORM);
+  const [lines, setLines] = useState([{ ...BLANK_LINE }]);
+  const [order, setOrder] = useState(null);
+  const [picks, setPicks] = useState({}); // { [line]: qty }
+  const [invDate, setInvDate] = useState(todayISO());
+  const [draft, setDraft] = useState(null);
+  const [report, setReport] = useState(null);
+  const [asOf, setAsOf] = useState(todayISO());
+  const [busy, setBusy] = useState(false);
+  const [msg, setMsg] = useState(null);
+
+  const run = async (fn) => {
+    setBusy(true); setMsg(null);
+    try {
+      await fn();
+    } catch (e) {
+      setMsg({ type: "error", text: e.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const load = (docType = view) =>
+    docType === "pending"
+      ? getPendingOrders({ asOf }).then(setReport)
+      : getSalesDocuments({ docType }).then((res) => setDocs(res.documents || []));
+
+  useEffect(() => {
+    setOrder(null); setDraft(null);
+    run(() => load(view));
+  }, [view]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const set = (k) => (e) => setForm((f) => ({ ...f, [k]: e.target.value }));
+  const setLine = (i, k) => (e) => setLines((ls) => ls.map((l, j) => (j === i ? { ...l, [k]: e.target.value } : l)));
+
+  const onCreate = () =>
+    run(async () => {
+      const body = {
+        buyer: form.buyer,
+        customerGSTIN: form.customerGSTIN || undefined,
+        placeOfSupply: form.placeOfSupply || undefined,
+        customerPO: form.customerPO || undefined,
+        date: form.date,
+        note: form.note || undefined,
+        ...(view === "quotation" ? { validUntil: form.until || undefined } : { deliveryDate: form.until || undefined }),
+        items: lines
+          .filter((l) => l.item.trim())
+          .map((l) => ({
+            code: l.item.trim(),
+            name: l.item.trim(),
+            qty: Number(l.qty),
+            rate: Number(l.rate),
+            ...(l.gstRate !== "" ? { gstRate: Number(l.gstRate) } : {}),
+          })),
+      };
+      const res = view === "quotation" ? await createQuotation(body) : await createSalesOrder(body);
+      setMsg({ type: "success", text: `${TYPE[view]} ${res.document.number} created.` });
+      setForm({ ...BLANK_FORM, date: todayISO() });
+      setLines([{ ...BLANK_LINE }]);
+      await load();
+    });
+
+  const onConvert = (d) =>
+    run(async () => {
+      const res = await convertQuotation(d.id, { date: todayISO() });
+      setMsg({ type: "success", text: `Quotation ${d.number} converted into sales order ${res.document.number}.` });
+      await load();
+    });
+
+  const onCancel = (d) =>
+    run(async () => {
+      await cancelSalesDocument(d.id, {});
+      setMsg({ type: "success", text: `${TYPE[d.doc_type]} ${d.number} cancelled.` });
+      if (order?.id === d.id) setOrder(null);
+      await load();
+    });
+
+  const openOrder = (id) =>
+    run(async () => {
+      const res = await getSalesDocument(id);
+      setOrder(res.document);
+      setPicks({});
+      setDraft(null);
+    });
+
+  const onDraftInvoice = () =>
+    run(async () => {
+      const items = Object.entries(picks)
+        .filter(([, q]) => String(q).trim())
+        .map(([line, q]) => ({ line: Number(line), qty: Number(q) }));
+      setDraft(await draftOrderInvoice(order.id, { date: invDate, items }));
+    });
+
+  const onConfirm = () =>
+    run(async () => {
+      const res = await confirmFromPreview({ previewId: draft.previewId, hash: draft.hash });
+      setMsg({ type: "success", text: `Invoice ${res.document?.number || draft.number} posted against ${order.number}.` });
+      setDraft(null);
+      setOrder((await getSalesDocument(order.id)).document);
+      setPicks({});
+      await load();
+    });
+
+  const statusChip = (s) => <Chip size="small" label={s} color={STATUS_COLOR[s] || "default"} variant="outlined" />;
+
+  return (
+    <Paper sx={{ p: 2 }}>
+      <Stack spacing={2}>
+        <Typography variant="h6">Quotations and sales orders</Typography>
+        <Typography variant="body2" color="text.secondary">
+          Quotations and orders do not post to the books. Convert an accepted quotation into an order, then invoice the order in one
+          or more goes; each invoice is previewed with its number reserved and posts when you confirm it.
+        </Typography>
+        {msg && <Alert severity={msg.type}>{msg.text}</Alert>}
+        {busy && <LinearProgress />}
+
+        <ToggleButtonGroup size="small" exclusive value={view} onChange={(_, v) => v && setView(v)}>
+          <ToggleButton value="quotation">Quotations</ToggleButton>
+          <ToggleButton value="sales_order">Sales orders</ToggleButton>
+          <ToggleButton value="pending">Pending orders</ToggleButton>
+        </ToggleButtonGroup>
+
+        {view !== "pending" && (
+          <>
+            <Paper variant="outlined" sx={{ p: 2 }}>
+              <Stack spacing={2}>
+                <Typography variant="subtitle1">New {TYPE[view].toLowerCase()}</Typography>
+                <Box sx={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(200px, 1fr))", gap: 2 }}>
+                  <TextField size="small" label="Customer" value={form.buyer} onChange={set("buyer")} />
+                  <TextField size="small" label="Customer GSTIN" value={form.customerGSTIN} onChange={set("customerGSTIN")} />
+                  <TextField size="small" label="Place of supply (state code)" value={form.placeOfSupply} onChange={set("placeOfSupply")} />
+                  <TextField size="small" label="Customer PO" value={form.customerPO} onChange={set("customerPO")} />
+                  <TextField size="small" type="date" label="Date" value={form.date} onChange={set("date")} InputLabelProps={{ shrink: true }} />
+                  <TextField
+                    size="small" type="date" label={view === "quotation" ? "Valid until" : "Delivery by"}
+                    value={form.until} onChange={set("until")} InputLabelProps={{ shrink: true }}
+                  />
+                </Box>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Item code / name</TableCell>
+                      <TableCell>Qty</TableCell>
+                      <TableCell>Rate</TableCell>
+                      <TableCell>GST % (blank: item master)</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {lines.map((l, i) => (
+                      <TableRow key={i}>
+                        <TableCell><TextField size="small" value={l.item} onChange={setLine(i, "item")} fullWidth /></TableCell>
+                        <TableCell><TextField size="small" type="number" value={l.qty} onChange={setLine(i, "qty")} sx={{ width: 90 }} /></TableCell>
+                        <TableCell><TextField size="small" type="number" value={l.rate} onChange={setLine(i, "rate")} sx={{ width: 120 }} /></TableCell>
+                        <TableCell><TextField size="small" type="number" value={l.gstRate} onChange={setLine(i, "gstRate")} sx={{ width: 90 }} /></TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+                <TextField size="small" label="Note" value={form.note} onChange={set("note")} />
+                <Stack direction="row" spacing={2}>
+                  <Button onClick={() => setLines((ls) => [...ls, { ...BLANK_LINE }])}>Add line</Button>
+                  <Button variant="contained" onClick={onCreate} disabled={busy || !form.buyer.trim()}>Create {TYPE[view].toLowerCase()}</Button>
+                </Stack>
+              </Stack>
+            </Paper>
+
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>No. / date</TableCell>
+                  <TableCell>Customer</TableCell>
+                  <TableCell>{view === "quotation" ? "Valid until" : "Delivery by"}</TableCell>
+                  <TableCell align="right">Value</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {docs.map((d) => (
+                  <TableRow key={d.id} selected={order?.id === d.id}>
+                    <TableCell>{d.number} / {d.date}{d.source_number ? ` (from ${d.source_number})` : ""}</TableCell>
+                    <TableCell>{d.party_name}</TableCell>
+                    <TableCell>{d.due_date || ""}{d.expired ? " (expired)" : ""}</TableCell>
+                    <TableCell align="right">{fmt(d.value)}</TableCell>
+                    <TableCell>{statusChip(d.status)}</TableCell>
+                    <TableCell>
+                      <Button size="small" onClick={() => downloadDocumentFile(d.document_id, "pdf")}>PDF</Button>
+                      {d.doc_type === "quotation" && d.status === "open" && !d.expired && (
+                        <Button size="small" onClick={() => onConvert(d)} disabled={busy}>Convert to order</Button>
+                      )}
+                      {d.doc_type === "sales_order" && <Button size="small" onClick={() => openOrder(d.id)} disabled={busy}>Invoice</Button>}
+                      {["open", "partial"].includes(d.status) && (
+                        <Button size="small" color="error" onClick={() => onCancel(d)} disabled={busy}>Cancel</Button>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+                {!docs.length && (
+                  <TableRow><TableCell colSpan={6}>No {TYPE[view].toLowerCase()}s yet.</TableCell></TableRow>
+                )}
+              </TableBody>
+            </Table>
+          </>
+        )}
+
+        {view === "sales_order" && order && (
+          <Paper variant="outlined" sx={{ p: 2 }}>
+            <Stack spacing={2}>
+              <Stack direction="row" spacing={1} alignItems="center">
+                <Typography variant="subtitle1">{order.number} · {order.party_name}</Typography>
+                {statusChip(order.status)}
+              </Stack>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Item</TableCell>
+                    <TableCell align="right">Ordered</TableCell>
+                    <TableCell align="right">Invoiced</TableCell>
+                    <TableCell align="right">In drafts</TableCell>
+                    <TableCell align="right">Available</TableCell>
+                    <TableCell>Invoice qty</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {order.lines.map((l) => (
+                    <TableRow key={l.line}>
+                      <TableCell>{l.name}</TableCell>
+                      <TableCell align="right">{l.ordered}</TableCell>
+                      <TableCell align="right">{l.invoiced}</TableCell>
+                      <TableCell align="right">{l.drafted || ""}</TableCell>
+                      <TableCell align="right">{l.available}</TableCell>
+                      <TableCell>
+                        <TextField
+                          size="small" type="number" value={picks[l.line] ?? ""} disabled={!l.available}
+                          onChange={(e) => setPicks((p) => ({ ...p, [l.line]: e.target.value }))} sx={{ width: 100 }}
+                        />
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+              {order.invoices?.length > 0 && (
+                <Typography variant="body2">
+                  Invoices: {order.invoices.map((i) => `${i.invoice_number} (${i.status === "posted" ? "posted" : i.live ? "draft" : "draft expired"})`).join(", ")}
+                </Typography>
+              )}
+              {["open", "partial"].includes(order.status) && (
+                <Stack direction="row" spacing={2} alignItems="center">
+                  <TextField size="small" type="date" label="Invoice date" value={invDate} onChange={(e) => setInvDate(e.target.value)} InputLabelProps={{ shrink: true }} />
+                  <Button variant="contained" onClick={onDraftInvoice} disabled={busy}>Preview invoice</Button>
+                  <Typography variant="caption" color="text.secondary">Leave every quantity blank to invoice everything available.</Typography>
+                </Stack>
+              )}
+            </Stack>
+          </Paper>
+        )}
+
+        {draft && (
+          <Paper variant="outlined" sx={{ p: 2 }}>
+            <Stack spacing={1}>
+              <Typography variant="subtitle1">
+                Invoice {draft.number} · total {fmt(draft.docModel.total)}
+                {draft.docModel.igst ? ` (IGST ${fmt(draft.docModel.igst)})` : ` (CGST ${fmt(draft.docModel.cgst)} + SGST ${fmt(draft.docModel.sgst)})`}
+              </Typography>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Ledger</TableCell>
+                    <TableCell align="right">Debit</TableCell>
+                    <TableCell align="right">Credit</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {draft.journal.map((l, i) => (
+                    <TableRow key={i}>
+                      <TableCell>{l.account}</TableCell>
+                      <TableCell align="right">{l.debit ? fmt(l.debit) : ""}</TableCell>
+                      <TableCell align="right">{l.credit ? fmt(l.credit) : ""}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+              {draft.warnings?.length > 0 && (
+                <Alert severity="warning">{draft.warnings.map((w) => w.message).join("; ")}</Alert>
+              )}
+              <Box>
+                <Button variant="contained" color="success" onClick={onConfirm} disabled={busy}>Confirm & post</Button>
+              </Box>
+            </Stack>
+          </Paper>
+        )}
+
+        {view === "pending" && (
+          <>
+            <Stack direction="row" spacing={2} alignItems="center">
+              <TextField size="small" type="date" label="As of" value={asOf} onChange={(e) => setAsOf(e.target.value)} InputLabelProps={{ shrink: true }} />
+              <Button variant="contained" onClick={() => run(() => load("pending"))} disabled={busy}>Refresh</Button>
+              {report && <Typography variant="body2">Pending value (taxable): {fmt(report.total_pending)}</Typography>}
+            </Stack>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Order / date</TableCell>
+                  <TableCell>Customer</TableCell>
+                  <TableCell>Delivery by</TableCell>
+                  <TableCell>Item</TableCell>
+                  <TableCell align="right">Ordered</TableCell>
+                  <TableCell align="right">Invoiced</TableCell>
+                  <TableCell align="right">Pending</TableCell>
+                  <TableCell align="right">Pending value</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {(report?.orders || []).flatMap((o) =>
+                  o.lines.map((l, i) => (
+                    <TableRow key={`${o.id}-${l.line}`}>
+                      <TableCell>{i === 0 ? `${o.number} / ${o.date}` : ""}</TableCell>
+                      <TableCell>{i === 0 ? o.party_name : ""}</TableCell>
+                      <TableCell sx={o.overdue ? { color: "error.main" } : undefined}>
+                        {i === 0 ? `${o.delivery_date || ""}${o.overdue ? " (overdue)" : ""}` : ""}
+                      </TableCell>
+                      <TableCell>{l.name}</TableCell>
+                      <TableCell align="right">{l.ordered}</TableCell>
+                      <TableCell align="right">{l.invoiced}</TableCell>
+                      <TableCell align="right">{l.pending}</TableCell>
+                      <TableCell align="right">{fmt(l.pending_value)}</TableCell>
+                    </TableRow>
+                  ))
+                )}
+                {report && !report.orders.length && (
+                  <TableRow><TableCell colSpan={8}>No orders pending as of {report.asOf}.</TableCell></TableRow>
+                )}
+              </TableBody>
+            </Table>
+          </>
+        )}
+      </Stack>
+    </Paper>
+  );
+}
@@ -103,6 +103,21 @@ export function setAdminKey(k) {
   } catch {}
 }
 
+/** Auth token helpers (JWT from /api/auth/login, sent as Authorization: Bearer) */
+export function getAuthToken() {
+  try {
+    return localStorage.getItem("authToken") || "";
+  } catch {
+    return "";
+  }
+}
+export function setAuthToken(token) {
+  try {
+    if (token) localStorage.setItem("authToken", token);
+    else localStorage.removeItem("authToken");
+  } catch {}
+}
+
 /** Axios instance */
 const api = axios.create({
   baseURL: BASE_URL,
@@ -114,6 +129,7 @@ const api = axios.create({
  * - Inject X-Workspace-Id on EVERY request (supports "ALL" for admin reads).
  *   Priority: explicit header on config > body.sessionId/params.sessionId > localStorage > env/default.
  * - Auto-inject X-Admin-Key for /api/admin/* when available.
+ * - Attach the signed-in user's JWT (Authorization: Bearer).
  */
 api.interceptors.request.use((config) => {
   const h = config.headers || {};
@@ -134,6 +150,9 @@ api.interceptors.request.use((config) => {
     if (key) h["X-Admin-Key"] = key;
   }
 
+  const token = getAuthToken();
+  if (token && !h.Authorization && !h.authorization) h.Authorization = `Bearer ${token}`;
+
   config.headers = h;
   return config;
 });
@@ -274,7 +293,102 @@ export const getMemoryBySession = (sessionId = getWorkspaceId()) => handle("post
 /** Server-side reports (GET) — header carries the workspace automatically */
 export const getTrialBalance = (asOf) => handle("get", "/reports/trial-balance", { asOf });
 export const getPL = (from, to) => handle("get", "/reports/pl", { from, to });
+/** P&L side-by-side: compare = "monthly" | "quarterly" | "yoy" */
+export const getPLCompare = (compare, from, to) => handle("get", "/reports/pl", { compare, from, to });
 export const getBalanceSheet = (asOf) => handle("get", "/reports/bs", { asOf });
+export const getAccountStatement = (account, from, to) =>
+  handle("get", "/reports/account-statement", { account, from, to });
+export const getARAgeing = (asOf) => handle("get", "/reports/ar-ageing", { asOf });
+export const getAPAgeing = (asOf) => handle("get", "/reports/ap-ageing", { asOf });
+export const getBRS = (bankAccountId, asOf) => handle("get", "/reports/brs", { bankAccountId, asOf });
+
+/** Bill-wise settlement: open invoices per party (side = "ar" | "ap") and per invoice */
+export const getPartyOutstanding = (party, side = "ar", asOf) =>
+  handle("get", "/settlements/outstanding", { party, side, asOf });
+export const getInvoiceOutstanding = (idOrNumber) =>
+  handle("get", `/settlements/invoices/${encodeURIComponent(idOrNumber)}`);
+
+/** GST: input tax credit vs a staged GSTR-2B import batch (latest when batchId omitted) */
+export const getItcReconciliation = ({ batchId, from, to, tolerance } = {}) =>
+  handle("get", "/gst/itc-reco", { batchId, from, to, tolerance });
+
+/** GST e-invoice: posted invoices/notes with IRN state, NIC JSON preview, IRN generation */
+export const getEInvoices = ({ from, to, status } = {}) => handle("get", "/einvoice", { from, to, status });
+export const getEInvoicePayload = (id) => handle("get", `/einvoice/${encodeURIComponent(id)}/payload`);
+export const generateIrn = (id) => handle("post", `/einvoice/${encodeURIComponent(id)}/irn`);
+
+/** Letterhead for generated PDFs / DOCX (logo and signature as data URLs) */
+export const getBranding = () => handle("get", "/settings/branding");
+export const saveBranding = (branding) => handle("put", "/settings/branding", branding);
+
+/** E-way bills: posted invoices/transfers with EWB state, bulk JSON, transport details, EWB numbers */
+export const getEwayBills = ({ from, to, status } = {}) => handle("get", "/ewaybill", { from, to, status });
+export const getEwayBillJson = (ids = []) => handle("get", "/ewaybill/json", { ids: ids.join(",") });
+export const saveEwayBillTransport = (id, transport) =>
+  handle("put", `/ewaybill/${encodeURIComponent(id)}/transport`, { transport });
+export const recordEwayBill = (id, { ewbNo, ewbDate, validUntil } = {}) =>
+  handle("post", `/ewaybill/${encodeURIComponent(id)}`, { ewbNo, ewbDate, validUntil });
+
+/** Credit / debit notes: an invoice's lines and notes ({ invoice } number or { invoiceId }), and note drafts */
+export const getInvoiceNotes = ({ invoice, invoiceId } = {}) => handle("get", "/notes", { invoice, invoiceId });
+/** { docType, originalInvoiceId, date?, reason, items?: [{ line, qty?, amount? }] } → preview; confirm via confirmFromPreview */
+export const draftNote = (body) => handle("post", "/notes/draft", body);
+
+/** Quotations and sales orders (non-posting); orders are invoiced through preview drafts */
+export const getSalesDocuments = ({ docType, status, party, from, to } = {}) =>
+  handle("get", "/sales/documents", { docType, status, party, from, to });
+export const getSalesDocument = (id) => handle("get", `/sales/documents/${encodeURIComponent(id)}`);
+/** { date?, validUntil?, buyer, buyerAddress?, customerGSTIN?, placeOfSupply?, customerPO?, note?, items: [{ code | name, qty, rate, gstRate? }] } */
+export const createQuotation = (body) => handle("post", "/sales/quotations", body);
+/** Same fields as a quotation with deliveryDate instead of validUntil, or { quotationId, date?, deliveryDate? } */
+export const createSalesOrder = (body) => handle("post", "/sales/orders", body);
+export const convertQuotation = (id, body) => handle("post", `/sales/quotations/${encodeURIComponent(id)}/convert`, body);
+export const cancelSalesDocument = (id, body) => handle("post", `/sales/documents/${encodeURIComponent(id)}/cancel`, body);
+/** { date?, dueDate?, items?: [{ line, qty? }] } → invoice preview; confirm via confirmFromPreview */
+export const draftOrderInvoice = (id, body) => handle("post", `/sales/orders/${encodeURIComponent(id)}/invoice-draft`, body);
+export const getPendingOrders = ({ asOf, party } = {}) => handle("get", "/reports/pending-orders", { asOf, party });
+
+/** TDS: deductee master, challans and quarterly 26Q (fy = FY start year, quarter = Q1..Q4) */
+export const getTdsDeductees = () => handle("get", "/tds/deductees");
+export const saveTdsDeductee = (deductee) => handle("post", "/tds/deductees", deductee);
+export const getTdsChallans = (from, to) => handle("get", "/tds/challans", { from, to });
+export const saveTdsChallan = (challan) => handle("post", "/tds/challans", challan);
+export const getTdsClearingPayments = (unlinked = true) =>
+  handle("get", "/tds/clearing-payments", { unlinked: unlinked ? 1 : undefined });
+export const getForm26Q = (fy, quarter) => handle("get", "/tds/26q", { fy, quarter });
+
+/** Auth: login (password or API token), current user + memberships, API tokens, members */
+export async function login({ email, password, apiToken } = {}) {
+  const res = await handle("post", "/auth/login", apiToken ? { apiToken } : { email, password });
+  if (res?.token) setAuthToken(res.token);
+  return res;
+}
+export const logout = () => setAuthToken("");
+export const register = ({ email, password, name }) => handle("post", "/auth/register", { email, password, name });
+export const getMe = () => handle("get", "/auth/me");
+export const getApiTokens = () => handle("get", "/auth/tokens");
+export const createApiToken = ({ name, workspaceId, expiresInDays } = {}) =>
+  handle("post", "/auth/tokens", { name, workspaceId, expiresInDays });
+export const revokeApiToken = (id) => handle("delete", `/auth/tokens/${encodeURIComponent(id)}`);
+export const createWorkspace = ({ id, name } = {}) => handle("post", "/auth/workspaces", { id, name });
+// Only the workspace's creator, or whoever holds the server's bootstrap token, may claim it
+export const claimWorkspace = (workspaceId = getWorkspaceId(), { bootstrapToken } = {}) =>
+  handle("post", `/auth/workspaces/${encodeURIComponent(workspaceId)}/claim`, bootstrapToken ? { bootstrapToken } : {});
+export const getMembers = () => handle("get", "/members");
+export const saveMember = ({ email, userId, role }) => handle("post", "/members", { email, userId, role });
+export const removeMember = (userId) => handle("delete", `/members/${encodeURIComponent(userId)}`);
+
+/** Period close: locks, pre-close checklist, admin reopen (reason required) and year-end */
+export const getClosedPeriods = () => handle("get", "/periods");
+export const getPeriodChecklist = (periodEnd) => handle("get", "/periods/checklist", { periodEnd });
+export const closePeriod = (periodEnd, { force = false } = {}) =>
+  handle("post", "/periods/close", { periodEnd, force });
+export const reopenPeriod = (periodEnd, reason) =>
+  handle("post", "/periods/reopen", { periodEnd, reason }, { headers: { "X-Admin-Key": getAdminKey() } });
+export const getYearEndPreview = (fy) => handle("get", "/periods/year-end", { fy });
+export const runYearEnd = (fy, { lock = true, force = false } = {}) =>
+  handle("post", "/periods/year-end", { fy, lock, force });
+export const getOpeningBalances = (fy) => handle("get", "/periods/opening-balances", { fy });
 
 /** Document upload + extraction */
 export async function uploadDocument(file, opts = {}) {
@@ -307,6 +421,88 @@ export async function importBankCSV(file, bankAccountId) {
 export const fetchRecoSuggestions = (params) => handle("get", "/bankreco/suggestions", params);
 export const confirmRecoMatch = (bankLineId, ledgerEntryId) =>
   handle("post", "/bankreco/match", { bankLineId, ledgerEntryId });
+/** N bank lines ↔ M ledger entries whose totals agree */
+export const confirmRecoGroup = (bankLineIds, ledgerEntryIds, note) =>
+  handle("post", "/bankreco/match", { bankLineIds, ledgerEntryIds, note });
+export const fetchRecoGroupSuggestions = (params) => handle("get", "/bankreco/group-suggestions", params);
+export const fetchRecoGroups = (params) => handle("get", "/bankreco/groups", params);
+/** { groupId } | { bankLineId } — also re-opens an excluded line */
+export const unmatchReco = (body) => handle("post", "/bankreco/unmatch", body);
+export const excludeRecoLines = (bankLineIds, reason) =>
+  handle("post", "/bankreco/exclude", { bankLineIds, reason });
+/** Imported statements with opening/closing balances and balance check */
+export const fetchBankStatements = (params) => handle("get", "/bankreco/statements", params);
+
+// Bank rules
+export const getBankRules = () => handle("get", "/bankreco/rules");
+export const saveBankRule = (rule) => handle("post", "/bankreco/rules", rule);
+export const deleteBankRule = (id) => handle("delete", `/bankreco/rules/${encodeURIComponent(id)}`);
+/** Propose rules from past matches; { save: true } stores the new proposals */
+export const learnBankRules = (body = {}) => handle("post", "/bankreco/rules/learn", body);
+/** Draft previews for rule-matched unmatched lines; confirm each via confirmAndSaveEntry */
+export const draftBankAutoPost = (body) => handle("post", "/bankreco/auto-post", body);
+
+// Bank account master
+export const getBankAccounts = (params) => handle("get", "/bank-accounts", params);
+/** Create (no id) or update; { name, accountNo, ifsc, ledger?, openingBalance?, facility?: { type, limit } } */
+export const saveBankAccount = (id, body) =>
+  id ? handle("put", `/bank-accounts/${encodeURIComponent(id)}`, body) : handle("post", "/bank-accounts", body);
+/** Deactivates instead of deleting when the account has statement lines or rules */
+export const deleteBankAccount = (id) => handle("delete", `/bank-accounts/${encodeURIComponent(id)}`);
+
+// OD/OCC/loan facilities
+/** { includeClosed?, asOf? } — each facility carries its headroom on asOf */
+export const getFacilities = (params) => handle("get", "/facilities", params);
+export const getFacility = (id) => handle("get", `/facilities/${encodeURIComponent(id)}`);
+/** { account | bankAccountId | facilityId, asOf? } → { balance, limit, utilised, holds, available } */
+export const getFacilityHeadroom = (params) => handle("get", "/facilities/headroom", params);
+export const createFacility = (body) => handle("post", "/facilities", body);
+export const changeFacilityLimit = (id, body) => handle("post", `/facilities/${encodeURIComponent(id)}/limit`, body);
+export const renewFacility = (id, body) => handle("post", `/facilities/${encodeURIComponent(id)}/renew`, body);
+export const closeFacility = (id, body) => handle("post", `/facilities/${encodeURIComponent(id)}/close`, body);
+
+// Term loans
+export const getLoans = (params) => handle("get", "/loans", params);
+/** Loan with its EMI schedule and events */
+export const getLoan = (id) => handle("get", `/loans/${encodeURIComponent(id)}`);
+export const createLoan = (body) => handle("post", "/loans", body);
+/** { date, amount, keep: "tenure"|"emi", note?, draft? } — regenerates the schedule and drafts the voucher */
+export const prepayLoan = (id, body) => handle("post", `/loans/${encodeURIComponent(id)}/prepay`, body);
+export const resetLoanRate = (id, body) => handle("post", `/loans/${encodeURIComponent(id)}/rate-reset`, body);
+/** Draft EMI previews due by asOf; confirm each via confirmFromPreview */
+export const draftLoanEmis = (body) => handle("post", "/loans/draft-emis", body);
+export const getLoanReport = (params) => handle("get", "/reports/loans", params);
+
+// Item master, stock movements and inventory reports
+export const getItems = (params) => handle("get", "/items", params);
+export const saveItem = (id, body) =>
+  id ? handle("put", `/items/${encodeURIComponent(id)}`, body) : handle("post", "/items", body);
+/** Deactivates instead of deleting when the item has stock history */
+export const deleteItem = (id) => handle("delete", `/items/${encodeURIComponent(id)}`);
+/** { itemId | code, date, kind: opening|receipt|issue|adjustment, qty, rate?, batchNo?, expiryDate? } */
+export const postStockMovement = (body) => handle("post", "/stock/movements", body);
+/** { number, date, supplier?, items: [{ itemId | code, qty, rate, batchNo?, expiryDate? }] } */
+export const postGrn = (body) => handle("post", "/stock/grn", body);
+export const getStockSummary = (params) => handle("get", "/reports/stock-summary", params);
+export const getStockRegister = (params) => handle("get", "/reports/stock-register", params);
+export const getStockValuation = (params) => handle("get", "/reports/stock-valuation", params);
+export const getStockExpiry = (params) => handle("get", "/reports/stock-expiry", params);
+export const getItemBatches = (id, params) => handle("get", `/items/${encodeURIComponent(id)}/batches`, params);
+export const getInventorySettings = () => handle("get", "/inventory/settings");
+export const saveInventorySettings = (body) => handle("put", "/inventory/settings", body);
+/** Delivery-challan text → GRN header { number, date, supplier, warehouseId } */
+export const extractGrn = (body) => handle("post", "/stock/grn/extract", body);
+export const getStockByWarehouse = (params) => handle("get", "/reports/stock-by-warehouse", params);
+
+// Warehouses and stock transfers
+export const getWarehouses = (params) => handle("get", "/warehouses", params);
+export const saveWarehouse = (id, body) =>
+  id ? handle("put", `/warehouses/${encodeURIComponent(id)}`, body) : handle("post", "/warehouses", body);
+export const getStockTransfers = (params) => handle("get", "/stock/transfers", params);
+/** { number?, date?, fromWarehouseId, toWarehouseId, items: [{ itemId, qty, batchNo? }], note?, receiveNow? } */
+export const createStockTransfer = (body) => handle("post", "/stock/transfers", body);
+export const receiveStockTransfer = (id, body) => handle("post", `/stock/transfers/${encodeURIComponent(id)}/receive`, body);
+export const cancelStockTransfer = (id, body) => handle("post", `/stock/transfers/${encodeURIComponent(id)}/cancel`, body);
 
 /* -----------------------------------------------------------------------------
  *                          IMPORT / EXPORT (BRAND‑AGNOSTIC)
@@ -335,16 +531,16 @@ export const importSetProfile = (batchId, profileId) => {
   return handle("post", `/import/batches/${batchId}/profile`, { profileId });
 };
 
-/** Preview (parse & stage) */
-export const importPreview = (batchId) => {
+/** Preview (parse & stage); { bankAccountId } counts bank-statement duplicates */
+export const importPreview = (batchId, params) => {
   if (!batchId) throw new Error("batchId is required");
-  return handle("get", `/import/batches/${batchId}/preview`);
+  return handle("get", `/import/batches/${batchId}/preview`, params);
 };
 
-/** Commit (post to ledger) */
-export const importCommit = (batchId) => {
+/** Commit (post to ledger); bank statements need { bankAccountId } */
+export const importCommit = (batchId, body = {}) => {
   if (!batchId) throw new Error("batchId is required");
-  return handle("post", `/import/batches/${batchId}/commit`, {});
+  return handle("post", `/import/batches/${batchId}/commit`, body);
 };
 
 /** Common helpers for binary downloads */
@@ -396,6 +592,54 @@ export async function exportDownload(profileId, from, to) {
   return true;
 }
 
+/** Bank Reconciliation Statement as XLSX */
+export async function downloadBRS(bankAccountId, asOf) {
+  if (!bankAccountId) throw new Error("bankAccountId is required");
+  const res = await api.get("/reports/brs", {
+    params: { bankAccountId, asOf, format: "xlsx" },
+    responseType: "blob",
+  });
+  const fname = filenameFromDisposition(res.headers?.["content-disposition"]) || `BRS_${asOf || "today"}.xlsx`;
+  saveBlobToDisk(res.data, fname, res.headers?.["content-type"]);
+  return true;
+}
+
+/** NIC e-invoice JSON of one posted document */
+export async function downloadEInvoiceJson(id) {
+  if (!id) throw new Error("id is required");
+  const res = await api.get(`/einvoice/${encodeURIComponent(id)}/payload`, {
+    params: { download: 1 },
+    responseType: "blob",
+  });
+  const fname = filenameFromDisposition(res.headers?.["content-disposition"]) || `einvoice_${id}.json`;
+  saveBlobToDisk(res.data, fname, res.headers?.["content-type"]);
+  return true;
+}
+
+/** A posted invoice / receipt / voucher rendered afresh as PDF or DOCX */
+export async function downloadDocumentFile(id, format = "pdf") {
+  if (!id) throw new Error("id is required");
+  const res = await api.get(`/documents/${encodeURIComponent(id)}/file`, {
+    params: { format },
+    responseType: "blob",
+  });
+  const fname = filenameFromDisposition(res.headers?.["content-disposition"]) || `document_${id}.${format}`;
+  saveBlobToDisk(res.data, fname, res.headers?.["content-type"]);
+  return true;
+}
+
+/** Bulk e-way bill JSON for the selected documents */
+export async function downloadEwayBillJson(ids = []) {
+  if (!ids.length) throw new Error("ids are required");
+  const res = await api.get("/ewaybill/json", {
+    params: { ids: ids.join(","), download: 1 },
+    responseType: "blob",
+  });
+  const fname = filenameFromDisposition(res.headers?.["content-disposition"]) || "ewaybill.json";
+  saveBlobToDisk(res.data, fname, res.headers?.["content-type"]);
+  return true;
+}
+
 /* -----------------------------------------------------------------------------
  *                                  ADMIN
  * ---------------------------------------------------------------------------*/